@@ -10,31 +10,50 @@ import AuditLog from './components/AuditLog';
 import Login from './components/Login';
 import TwoFactorAuth from './components/TwoFactorAuth';
 import TwoFactorSetup from './components/TwoFactorSetup'; // Novo componente
+import ForcedPasswordChange from './components/ForcedPasswordChange';
 import { Page, User, UserRole, AppSettings } from './types'; // Import AppSettings type
-import { getSettings } from './services/apiService';
+import { getPublicSettings, logout, hasAuthToken, clearAuthToken } from './services/apiService';
 import AIAssistantWidget from './components/AIAssistantWidget';
+import PhysicalAuditManager from './components/PhysicalAuditManager';
+import MaintenanceOverview from './components/MaintenanceOverview';
+import CollaboratorDirectory from './components/CollaboratorDirectory';
+import MobileAssetPage from './components/MobileAssetPage';
+import { ASSET_HASH_PATTERN } from './components/common/physicalAuditSession';
+
+// Equipamento aberto pelo endereço gravado no QR code da etiqueta (#/ativo/:id)
+const assetIdFromHash = (): number | null => {
+  const match = window.location.hash.match(ASSET_HASH_PATTERN);
+  return match ? Number(match[1]) : null;
+};
 
 const App: React.FC = () => {
   const [currentUser, setCurrentUser] = useState<User | null>(null);
   const [userFor2FA, setUserFor2FA] = useState<User | null>(null);
   const [userFor2FASetup, setUserFor2FASetup] = useState<User | null>(null); // Novo estado
+  const [userForPasswordChange, setUserForPasswordChange] = useState<User | null>(null);
   const [activePage, setActivePage] = useState<Page>('Dashboard');
   const [isSidebarOpen, setIsSidebarOpen] = useState(false);
   const [isDarkMode, setIsDarkMode] = useState(false);
   const [companyName, setCompanyName] = useState('MRR INFORMATICA');
   const [isSsoEnabled, setIsSsoEnabled] = useState(false);
   const [globalSettings, setGlobalSettings] = useState<Partial<AppSettings>>({});
+  const [assetId, setAssetId] = useState<number | null>(assetIdFromHash);
+
+  // O endereço da etiqueta continua no hash durante o login, então a página do equipamento abre logo depois dele
+  useEffect(() => {
+    const handleHashChange = () => setAssetId(assetIdFromHash());
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
 
   // 1. Carrega usuário do localStorage
   useEffect(() => {
+    // Só restaura o usuário se ainda houver um token de sessão; o servidor valida o token a cada requisição
     const savedUser = localStorage.getItem('currentUser');
-    if (savedUser) {
-      const user = JSON.parse(savedUser);
-      if (user.is2FAEnabled && !sessionStorage.getItem('2fa_verified')) {
-        setUserFor2FA(user);
-      } else {
-        setCurrentUser(user);
-      }
+    if (savedUser && hasAuthToken()) {
+      setCurrentUser(JSON.parse(savedUser));
+    } else {
+      localStorage.removeItem('currentUser');
     }
     const savedTheme = localStorage.getItem('theme');
     if (savedTheme === 'dark') {
@@ -46,7 +65,7 @@ const App: React.FC = () => {
   // 2. Busca configurações globais
   const fetchSettings = useCallback(async () => {
         try {
-            const settings = await getSettings();
+            const settings = await getPublicSettings();
             setGlobalSettings(settings);
             setCompanyName(settings.companyName || 'MRR INFORMATICA');
             setIsSsoEnabled(settings.isSsoEnabled || false);
@@ -61,7 +80,8 @@ const App: React.FC = () => {
 
     // 3. Validação de Segurança: Força setup de 2FA se obrigatório globalmente e não configurado pelo usuário (mesmo se já logado via localStorage)
     useEffect(() => {
-        if (currentUser && globalSettings.require2fa && !currentUser.is2FAEnabled && !userFor2FASetup) {
+        // Contas criadas pelo SSO ficam de fora: o segundo fator é responsabilidade do provedor de identidade
+        if (currentUser && globalSettings.require2fa && !currentUser.is2FAEnabled && !currentUser.ssoProvider && !userFor2FASetup) {
             // Se o usuário já está logado (ex: localStorage), mas o 2FA é obrigatório e ele não tem
             // Forçamos o fluxo de setup
             setUserFor2FASetup(currentUser);
@@ -71,7 +91,11 @@ const App: React.FC = () => {
 
 
   const handleLoginSuccess = (user: User & { requires2FASetup?: boolean }) => {
-    if (user.requires2FASetup) {
+    // A troca de senha vem antes do segundo fator; ao concluir, a resposta volta por aqui
+    setUserForPasswordChange(null);
+    if (user.requiresPasswordChange) {
+      setUserForPasswordChange(user);
+    } else if (user.requires2FASetup) {
       setUserFor2FASetup(user);
     } else if (user.is2FAEnabled) {
       setUserFor2FA(user);
@@ -82,7 +106,6 @@ const App: React.FC = () => {
   };
   
   const handle2FAVerificationSuccess = (user: User) => {
-    sessionStorage.setItem('2fa_verified', 'true');
     setCurrentUser(user);
     setUserFor2FA(null);
     localStorage.setItem('currentUser', JSON.stringify(user));
@@ -90,20 +113,34 @@ const App: React.FC = () => {
   
   const handle2FASetupSuccess = (user: User) => {
     const updatedUser = { ...user, is2FAEnabled: true };
-    sessionStorage.setItem('2fa_verified', 'true');
     setCurrentUser(updatedUser);
     setUserFor2FASetup(null);
     localStorage.setItem('currentUser', JSON.stringify(updatedUser));
   };
 
-  const handleLogout = () => {
+  const clearSession = useCallback(() => {
     setCurrentUser(null);
     setUserFor2FA(null);
     setUserFor2FASetup(null); // Limpar estado
+    setUserForPasswordChange(null);
     localStorage.removeItem('currentUser');
-    sessionStorage.removeItem('2fa_verified');
     setActivePage('Dashboard');
+  }, []);
+
+  const handleLogout = () => {
+    logout().catch(error => console.error("Failed to end session:", error));
+    clearSession();
   };
+
+  // O apiService avisa quando o servidor recusa o token (expirado, usuário removido etc.)
+  useEffect(() => {
+    const handleAuthExpired = () => {
+      clearAuthToken();
+      clearSession();
+    };
+    window.addEventListener('auth:expired', handleAuthExpired);
+    return () => window.removeEventListener('auth:expired', handleAuthExpired);
+  }, [clearSession]);
   
   const handleUserUpdate = (updatedUser: User) => {
     setCurrentUser(updatedUser);
@@ -127,7 +164,10 @@ const App: React.FC = () => {
   const pages: Page[] = [
     'Dashboard',
     'Inventário de Equipamentos',
+    'Auditoria Física',
+    'Manutenção',
     'Controle de Licenças',
+    'Colaboradores',
   ];
 
   if (currentUser && [UserRole.Admin, UserRole.UserManager].includes(currentUser.role)) {
@@ -147,8 +187,14 @@ const App: React.FC = () => {
         return <Dashboard setActivePage={setActivePage} currentUser={currentUser} />;
       case 'Inventário de Equipamentos':
         return <EquipmentList currentUser={currentUser} companyName={companyName} />;
+      case 'Auditoria Física':
+        return <PhysicalAuditManager />;
+      case 'Manutenção':
+        return <MaintenanceOverview />;
       case 'Controle de Licenças':
         return <LicenseControl currentUser={currentUser} />;
+      case 'Colaboradores':
+        return <CollaboratorDirectory currentUser={currentUser} />;
       case 'Usuários e Permissões':
         return <UserManagement currentUser={currentUser} />;
       case 'Auditoria':
@@ -160,6 +206,10 @@ const App: React.FC = () => {
     }
   };
 
+  if (userForPasswordChange) {
+    return <ForcedPasswordChange user={userForPasswordChange} onChangeSuccess={handleLoginSuccess} onCancel={handleLogout} />
+  }
+
   if (userFor2FASetup) {
     return <TwoFactorSetup user={userFor2FASetup} onSetupSuccess={handle2FASetupSuccess} onCancel={handleLogout} />
   }
@@ -172,6 +222,20 @@ const App: React.FC = () => {
     return <Login onLoginSuccess={handleLoginSuccess} isSsoEnabled={isSsoEnabled} />;
   }
 
+  if (assetId !== null) {
+    return (
+      <MobileAssetPage
+        equipmentId={assetId}
+        currentUser={currentUser}
+        companyName={companyName}
+        onExit={() => {
+          window.history.replaceState(null, '', window.location.pathname + window.location.search);
+          setAssetId(null);
+        }}
+      />
+    );
+  }
+
   return (
     <div className="flex h-screen bg-gray-100 dark:bg-dark-bg text-gray-800 dark:text-dark-text-primary">
       <Sidebar
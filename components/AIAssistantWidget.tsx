@@ -1,34 +1,15 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { getEquipment, generateAiReport } from '../services/apiService';
-import { Equipment, User } from '../types';
+import { User } from '../types';
 import Icon from './common/Icon';
+import useAiConversation from './common/useAiConversation';
+import AiConversationTurn from './AiConversationTurn';
 
-const AIAssistantWidget: React.FC<{ currentUser: User }> = ({ currentUser }) => {
+const AIAssistantWidget: React.FC<{ currentUser: User }> = () => {
     const [isOpen, setIsOpen] = useState(false);
     const [query, setQuery] = useState('');
-    const [isLoading, setIsLoading] = useState(false);
-    const [report, setReport] = useState<Equipment[] | null>(null);
-    const [error, setError] = useState<React.ReactNode>('');
-    const [inventoryData, setInventoryData] = useState<Equipment[]>([]);
-    const [isDataLoading, setIsDataLoading] = useState(true);
+    const { turns, isAsking, ask, rerun, reset } = useAiConversation();
     const widgetRef = useRef<HTMLDivElement>(null);
-
-    useEffect(() => {
-        const loadInventory = async () => {
-            if (!isOpen) return; // Only load data when widget is opened
-            setIsDataLoading(true);
-            try {
-                const data = await getEquipment(currentUser);
-                setInventoryData(data);
-            } catch (error) {
-                console.error("Failed to load inventory for AI assistant", error);
-                setError("Não foi possível carregar os dados do inventário para o assistente.");
-            } finally {
-                setIsDataLoading(false);
-            }
-        };
-        loadInventory();
-    }, [currentUser, isOpen]);
+    const endRef = useRef<HTMLDivElement>(null);
 
     useEffect(() => {
         // Close widget if clicked outside
@@ -43,29 +24,15 @@ const AIAssistantWidget: React.FC<{ currentUser: User }> = ({ currentUser }) =>
         };
     }, []);
 
+    useEffect(() => {
+        endRef.current?.scrollIntoView({ behavior: 'smooth' });
+    }, [turns.length]);
 
-    const handleGenerateReport = async () => {
-        if (!query.trim()) return;
-
-        setIsLoading(true);
-        setError('');
-        setReport(null);
-        try {
-            const result = await generateAiReport(query, inventoryData, currentUser.username);
-
-            if (result.error) {
-                setError(result.error);
-            } else if (result.reportData) {
-                setReport(result.reportData);
-            } else {
-                setError('A resposta do servidor não continha dados de relatório válidos.');
-            }
-        } catch (e: any) {
-            console.error(e);
-            setError(`Falha ao processar a resposta do servidor de IA: ${e.message}`);
-        } finally {
-            setIsLoading(false);
-        }
+    const handleAsk = async () => {
+        if (!query.trim() || isAsking) return;
+        const question = query;
+        setQuery('');
+        await ask(question);
     };
     
     if (!isOpen) {
@@ -88,53 +55,40 @@ const AIAssistantWidget: React.FC<{ currentUser: User }> = ({ currentUser }) =>
                     <Icon name="Bot" size={24} className="text-brand-primary" />
                     <div>
                         <h3 className="text-lg font-bold text-brand-dark dark:text-dark-text-primary">Assistente Local (Ollama)</h3>
-                        <p className="text-xs text-green-600 font-medium">Modelo Llama 3.2 (Busca Híbrida)</p>
+                        <p className="text-xs text-green-600 font-medium">Consultas estruturadas ao inventário</p>
                     </div>
                 </div>
-                <button onClick={() => setIsOpen(false)} className="text-gray-500 hover:text-gray-800 dark:text-gray-400 dark:hover:text-white">
-                    <Icon name="X" size={24} />
-                </button>
+                <div className="flex items-center gap-3">
+                    {turns.length > 0 && (
+                        <button onClick={reset} className="text-gray-500 hover:text-gray-800 dark:text-gray-400 dark:hover:text-white" title="Nova conversa">
+                            <Icon name="RotateCcw" size={20} />
+                        </button>
+                    )}
+                    <button onClick={() => setIsOpen(false)} className="text-gray-500 hover:text-gray-800 dark:text-gray-400 dark:hover:text-white">
+                        <Icon name="X" size={24} />
+                    </button>
+                </div>
             </header>
 
-            <div className="flex-grow p-4 overflow-y-auto">
-                {error && <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 mb-4" role="alert">{error}</div>}
-                
-                {report ? (
-                    <div className="space-y-4">
-                        <div className="flex justify-between items-center">
-                             <h4 className="text-md font-semibold text-brand-dark dark:text-dark-text-primary">Resultados ({report.length} itens)</h4>
-                             <button onClick={() => setReport(null)} className="text-sm text-brand-primary hover:underline">Nova consulta</button>
-                        </div>
-                        {report.length > 0 ? (
-                            <div className="space-y-3">
-                                {report.map(item => (
-                                    <div key={item.id} className="p-3 bg-gray-50 dark:bg-dark-bg border dark:border-dark-border rounded-lg text-xs">
-                                        <p className="font-bold text-sm">{item.equipamento}</p>
-                                        <div className="grid grid-cols-2 gap-1 mt-1 text-gray-600 dark:text-gray-300">
-                                            <p><strong>Usuário:</strong> {item.usuarioAtual || 'N/A'}</p>
-                                            <p><strong>Serial:</strong> {item.serial || 'N/A'}</p>
-                                            <p><strong>Marca:</strong> {item.brand || 'N/A'}</p>
-                                            <p><strong>Status:</strong> <span className="px-1.5 py-0.5 bg-gray-200 dark:bg-gray-700 rounded-full text-[10px]">{item.status}</span></p>
-                                        </div>
-                                    </div>
-                                ))}
-                            </div>
-                        ) : (
-                            <div className="text-center py-6 text-gray-500 dark:text-dark-text-secondary">
-                                <Icon name="SearchX" size={32} className="mx-auto text-gray-400 mb-2" />
-                                <p>Nenhum resultado encontrado.</p>
-                                <p className="text-xs mt-2">Tente simplificar sua busca (ex: "Dell" em vez de "quais são os dells").</p>
-                            </div>
-                        )}
-                    </div>
+            <div className="flex-grow p-4 overflow-y-auto space-y-4">
+                {turns.length > 0 ? (
+                    turns.map((turn, index) => (
+                        <AiConversationTurn key={index} turn={turn} onRerun={(spec) => rerun(index, spec)} compact />
+                    ))
                 ) : (
                      <div className="text-center text-gray-500 dark:text-dark-text-secondary">
                         <Icon name="Lightbulb" size={32} className="mx-auto text-yellow-400 mb-2"/>
                         <p>Faça uma pergunta sobre o inventário.</p>
                         <p className="text-xs mt-2">Ex: "Quais notebooks Dell estão em estoque?"</p>
-                        <p className="text-xs mt-2">Ex: "O que está com o Marcelo?"</p>
+                        <p className="text-xs mt-2">Ex: "Quantos equipamentos por setor?" e depois "e só os da marca Dell?"</p>
+                    </div>
+                )}
+                {isAsking && (
+                    <div className="flex items-center gap-2 text-sm text-gray-500 dark:text-dark-text-secondary">
+                        <Icon name="LoaderCircle" className="animate-spin" size={16} /> Interpretando a pergunta...
                     </div>
                 )}
+                <div ref={endRef} />
             </div>
 
             <footer className="p-4 border-t dark:border-dark-border">
@@ -143,17 +97,17 @@ const AIAssistantWidget: React.FC<{ currentUser: User }> = ({ currentUser }) =>
                         type="text"
                         value={query}
                         onChange={(e) => setQuery(e.target.value)}
-                        placeholder="Pergunte algo..."
+                        placeholder={turns.length > 0 ? 'Refine ou pergunte algo novo...' : 'Pergunte algo...'}
                         className="flex-grow p-3 border dark:border-dark-border rounded-lg bg-white dark:bg-gray-800 text-gray-800 dark:text-dark-text-primary"
-                        disabled={isLoading || isDataLoading}
-                        onKeyPress={(e) => e.key === 'Enter' && handleGenerateReport()}
+                        disabled={isAsking}
+                        onKeyPress={(e) => e.key === 'Enter' && handleAsk()}
                     />
                     <button
-                        onClick={handleGenerateReport}
-                        disabled={isLoading || isDataLoading || !query.trim()}
+                        onClick={handleAsk}
+                        disabled={isAsking || !query.trim()}
                         className="bg-brand-primary text-white p-3 rounded-lg hover:bg-blue-700 disabled:bg-gray-400 flex items-center justify-center"
                     >
-                        {isLoading || isDataLoading ? (
+                        {isAsking ? (
                             <Icon name="LoaderCircle" className="animate-spin" size={24} />
                         ) : (
                            <Icon name="Send" size={24} />
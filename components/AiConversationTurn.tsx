@@ -0,0 +1,54 @@
+import React, { useState } from 'react';
+import { AiQuerySpec } from '../types';
+import Icon from './common/Icon';
+import { AiTurn } from './common/useAiConversation';
+import { describeAiQuery } from './common/aiQuery';
+import AiQueryResultView from './AiQueryResultView';
+import AiQuerySpecEditor from './AiQuerySpecEditor';
+
+interface AiConversationTurnProps {
+    turn: AiTurn;
+    onRerun: (spec: AiQuerySpec) => Promise<void>;
+    compact?: boolean;
+}
+
+// Uma pergunta da conversa: o que o assistente entendeu, o resultado e a consulta editável
+const AiConversationTurn: React.FC<AiConversationTurnProps> = ({ turn, onRerun, compact = false }) => {
+    const [isEditing, setIsEditing] = useState(false);
+
+    const handleRun = async (spec: AiQuerySpec) => {
+        await onRerun(spec);
+        setIsEditing(false);
+    };
+
+    return (
+        <div className="space-y-2">
+            <div className="flex justify-end">
+                <p className="max-w-[85%] px-3 py-2 rounded-lg bg-brand-primary text-white text-sm">{turn.question}</p>
+            </div>
+            {turn.error && (
+                <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-3 text-sm" role="alert">{turn.error}</div>
+            )}
+            {turn.result && (
+                <div className="p-3 bg-gray-50 dark:bg-dark-bg border dark:border-dark-border rounded-lg space-y-3">
+                    <div className="flex items-start justify-between gap-2">
+                        <div className="text-sm">
+                            {turn.result.explanation && <p className="text-gray-800 dark:text-dark-text-primary">{turn.result.explanation}</p>}
+                            <p className="text-xs text-gray-500 dark:text-dark-text-secondary mt-1">{describeAiQuery(turn.result.spec)}</p>
+                        </div>
+                        <button
+                            onClick={() => setIsEditing(prev => !prev)}
+                            className="text-xs text-brand-primary hover:underline flex items-center gap-1 flex-shrink-0"
+                        >
+                            <Icon name="SlidersHorizontal" size={14} /> {isEditing ? 'Fechar consulta' : 'Ver/editar consulta'}
+                        </button>
+                    </div>
+                    {isEditing && <AiQuerySpecEditor spec={turn.result.spec} onRun={handleRun} onCancel={() => setIsEditing(false)} />}
+                    <AiQueryResultView result={turn.result} compact={compact} />
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default AiConversationTurn;
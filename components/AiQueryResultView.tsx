@@ -0,0 +1,105 @@
+import React from 'react';
+import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts';
+import { AiQueryEntity, AiQueryResult } from '../types';
+import Icon from './common/Icon';
+import { aiFieldLabel } from './common/aiQuery';
+
+const ROW_COLUMNS: Record<AiQueryEntity, string[]> = {
+    equipment: ['equipamento', 'serial', 'usuarioAtual', 'status', 'setor'],
+    licenses: ['produto', 'usuario', 'chaveSerial', 'dataExpiracao', 'setor'],
+};
+
+const EMPTY_GROUP = '(vazio)';
+
+interface AiQueryResultViewProps {
+    result: AiQueryResult;
+    // Versão enxuta para o widget flutuante: sem gráfico e com menos colunas
+    compact?: boolean;
+}
+
+const AiQueryResultView: React.FC<AiQueryResultViewProps> = ({ result, compact = false }) => {
+    const { spec } = result;
+    const isDarkMode = document.documentElement.classList.contains('dark');
+    const textColor = isDarkMode ? '#edf2f7' : '#333';
+    const tooltipBackgroundColor = isDarkMode ? '#2d3748' : '#ffffff';
+    const tooltipBorderColor = isDarkMode ? '#4a5568' : '#cccccc';
+
+    if (spec.result === 'count') {
+        return (
+            <div className="text-center py-4">
+                <p className="text-4xl font-bold text-brand-primary">{result.total}</p>
+                <p className="text-sm text-gray-500 dark:text-dark-text-secondary">registro(s) encontrado(s)</p>
+            </div>
+        );
+    }
+
+    if (result.total === 0) {
+        return (
+            <div className="text-center py-6 text-gray-500 dark:text-dark-text-secondary">
+                <Icon name="SearchX" size={32} className="mx-auto text-gray-400 mb-2" />
+                <p>Nenhum resultado encontrado.</p>
+            </div>
+        );
+    }
+
+    if (spec.result === 'group') {
+        const data = (result.groups || []).map(group => ({ name: group.key ?? EMPTY_GROUP, value: group.count }));
+        return (
+            <div className="space-y-3">
+                {!compact && (
+                    <ResponsiveContainer width="100%" height={Math.max(160, data.length * 28)}>
+                        <BarChart layout="vertical" data={data} margin={{ top: 5, right: 20, left: 60, bottom: 5 }}>
+                            <XAxis type="number" stroke={textColor} allowDecimals={false} />
+                            <YAxis type="category" dataKey="name" stroke={textColor} width={100} tick={{ fontSize: 12, fill: textColor }} />
+                            <Tooltip cursor={{fill: 'rgba(128,128,128,0.1)'}} contentStyle={{ backgroundColor: tooltipBackgroundColor, borderColor: tooltipBorderColor }}/>
+                            <Bar dataKey="value" name="Quantidade" fill="#3498db" barSize={16} />
+                        </BarChart>
+                    </ResponsiveContainer>
+                )}
+                <table className="w-full text-sm text-left text-gray-700 dark:text-dark-text-secondary">
+                    <thead className="text-xs text-gray-800 dark:text-dark-text-primary uppercase bg-gray-100 dark:bg-gray-900/50">
+                        <tr>
+                            <th scope="col" className="px-3 py-2">{aiFieldLabel(spec.entity, spec.groupBy || '')}</th>
+                            <th scope="col" className="px-3 py-2 text-right">Quantidade</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {data.map(row => (
+                            <tr key={row.name} className="border-b dark:border-dark-border">
+                                <td className="px-3 py-1.5">{row.name}</td>
+                                <td className="px-3 py-1.5 text-right font-medium">{row.value}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+                <p className="text-xs text-gray-500 dark:text-dark-text-secondary">Total: {result.total}</p>
+            </div>
+        );
+    }
+
+    const rows = result.rows || [];
+    const columns = compact ? ROW_COLUMNS[spec.entity].slice(0, 3) : ROW_COLUMNS[spec.entity];
+    return (
+        <div className="space-y-2">
+            <div className="overflow-x-auto border dark:border-dark-border rounded-lg">
+                <table className="w-full text-sm text-left text-gray-700 dark:text-dark-text-secondary">
+                    <thead className="text-xs text-gray-800 dark:text-dark-text-primary uppercase bg-gray-100 dark:bg-gray-900/50">
+                        <tr>
+                            {columns.map(column => <th key={column} scope="col" className="px-3 py-2">{aiFieldLabel(spec.entity, column)}</th>)}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {rows.map(row => (
+                            <tr key={row.id} className="bg-white dark:bg-dark-card border-b dark:border-dark-border hover:bg-gray-50 dark:hover:bg-gray-700">
+                                {columns.map(column => <td key={column} className="px-3 py-1.5">{row[column] || 'N/A'}</td>)}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            <p className="text-xs text-gray-500 dark:text-dark-text-secondary">Mostrando {rows.length} de {result.total}</p>
+        </div>
+    );
+};
+
+export default AiQueryResultView;
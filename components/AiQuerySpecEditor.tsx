@@ -0,0 +1,193 @@
+import React, { useState, useEffect } from 'react';
+import { AiQueryEntity, AiQueryFilter, AiQueryOperator, AiQuerySchema, AiQuerySpec } from '../types';
+import { getAiQuerySchema, ApiError } from '../services/apiService';
+import Icon from './common/Icon';
+import { ENTITY_LABELS, RESULT_LABELS, OPERATOR_LABELS, NO_VALUE_OPERATORS, aiFieldLabel } from './common/aiQuery';
+
+interface AiQuerySpecEditorProps {
+    spec: AiQuerySpec;
+    onRun: (spec: AiQuerySpec) => Promise<void>;
+    onCancel: () => void;
+}
+
+// O catálogo de campos não muda durante a sessão: uma requisição atende todos os editores
+let schemaRequest: Promise<AiQuerySchema> | null = null;
+const loadSchema = () => {
+    if (!schemaRequest) {
+        schemaRequest = getAiQuerySchema().catch(error => {
+            schemaRequest = null;
+            throw error;
+        });
+    }
+    return schemaRequest;
+};
+
+// Filtro em edição: `value` é sempre texto ("in" separado por vírgulas) e `valueTo` é o fim do "entre"
+interface DraftFilter {
+    field: string;
+    op: AiQueryOperator;
+    value: string;
+    valueTo: string;
+}
+
+const toDraft = (filter: AiQueryFilter): DraftFilter => {
+    const values = Array.isArray(filter.value) ? filter.value.map(String) : [filter.value === undefined ? '' : String(filter.value)];
+    return filter.op === 'between'
+        ? { field: filter.field, op: filter.op, value: values[0] || '', valueTo: values[1] || '' }
+        : { field: filter.field, op: filter.op, value: values.join(', '), valueTo: '' };
+};
+
+const fromDraft = (draft: DraftFilter): AiQueryFilter => {
+    if (NO_VALUE_OPERATORS.includes(draft.op)) return { field: draft.field, op: draft.op };
+    if (draft.op === 'between') return { field: draft.field, op: draft.op, value: [draft.value, draft.valueTo] };
+    if (draft.op === 'in') return { field: draft.field, op: draft.op, value: draft.value.split(',').map(value => value.trim()).filter(Boolean) };
+    return { field: draft.field, op: draft.op, value: draft.value };
+};
+
+const inputClass = 'p-1.5 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-800 dark:text-dark-text-primary text-sm';
+
+// Editor da consulta interpretada pelo assistente: o usuário corrige filtros, agrupamento e limite e executa de novo
+const AiQuerySpecEditor: React.FC<AiQuerySpecEditorProps> = ({ spec, onRun, onCancel }) => {
+    const [schema, setSchema] = useState<AiQuerySchema | null>(null);
+    const [entity, setEntity] = useState<AiQueryEntity>(spec.entity);
+    const [filters, setFilters] = useState<DraftFilter[]>(spec.filters.map(toDraft));
+    const [result, setResult] = useState(spec.result);
+    const [groupBy, setGroupBy] = useState(spec.groupBy || '');
+    const [limit, setLimit] = useState(String(spec.limit));
+    const [errors, setErrors] = useState<Record<string, string>>({});
+    const [error, setError] = useState('');
+    const [isRunning, setIsRunning] = useState(false);
+
+    useEffect(() => {
+        loadSchema()
+            .then(setSchema)
+            .catch(e => setError(`Falha ao carregar os campos: ${e.message}`));
+    }, []);
+
+    if (!schema) {
+        return error
+            ? <p className="text-sm text-red-600 dark:text-red-400">{error}</p>
+            : <Icon name="LoaderCircle" className="animate-spin text-brand-primary" size={20} />;
+    }
+
+    const fields = schema.entities[entity].fields;
+    const fieldType = (name: string) => (fields.find(field => field.name === name) || fields[0]).type;
+
+    const changeEntity = (value: AiQueryEntity) => {
+        setEntity(value);
+        setFilters([]);
+        setGroupBy('');
+        setErrors({});
+    };
+
+    const updateFilter = (index: number, changes: Partial<DraftFilter>) => {
+        setFilters(prev => prev.map((filter, i) => {
+            if (i !== index) return filter;
+            const next = { ...filter, ...changes };
+            // Trocar de campo pode tornar o operador inválido (ex.: "contém" em uma data)
+            if (!schema.operators[fieldType(next.field)].includes(next.op)) next.op = 'eq';
+            return next;
+        }));
+    };
+
+    const handleRun = async () => {
+        setErrors({});
+        setError('');
+        setIsRunning(true);
+        try {
+            await onRun({
+                entity,
+                filters: filters.map(fromDraft),
+                result,
+                ...(result === 'group' ? { groupBy } : {}),
+                ...(spec.sort && spec.entity === entity ? { sort: spec.sort } : {}),
+                limit: Number(limit),
+            });
+        } catch (e: any) {
+            setErrors(e instanceof ApiError && e.fieldErrors ? e.fieldErrors : {});
+            setError(e.message || 'Falha ao executar a consulta.');
+        } finally {
+            setIsRunning(false);
+        }
+    };
+
+    const fieldError = (name: string) => errors[name] && <p className="text-xs text-red-600 dark:text-red-400 mt-1">{errors[name]}</p>;
+
+    return (
+        <div className="space-y-3 p-3 bg-gray-50 dark:bg-dark-bg border dark:border-dark-border rounded-lg text-sm">
+            <div className="flex flex-wrap gap-2 items-center">
+                <select value={entity} onChange={(e) => changeEntity(e.target.value as AiQueryEntity)} className={inputClass}>
+                    {(Object.keys(schema.entities) as AiQueryEntity[]).map(name => <option key={name} value={name}>{ENTITY_LABELS[name]}</option>)}
+                </select>
+                <select value={result} onChange={(e) => setResult(e.target.value as AiQuerySpec['result'])} className={inputClass}>
+                    {schema.resultTypes.map(type => <option key={type} value={type}>{RESULT_LABELS[type]}</option>)}
+                </select>
+                {result === 'group' && (
+                    <select value={groupBy} onChange={(e) => setGroupBy(e.target.value)} className={inputClass}>
+                        <option value="">Agrupar por...</option>
+                        {fields.map(field => <option key={field.name} value={field.name}>{aiFieldLabel(entity, field.name)}</option>)}
+                    </select>
+                )}
+                <label className="flex items-center gap-1 text-gray-600 dark:text-dark-text-secondary">
+                    Limite
+                    <input type="number" min={1} max={schema.maxLimit} value={limit} onChange={(e) => setLimit(e.target.value)} className={`${inputClass} w-20`} />
+                </label>
+            </div>
+            {fieldError('groupBy')}
+            {fieldError('limit')}
+
+            {filters.map((filter, index) => (
+                <div key={index}>
+                    <div className="flex flex-wrap gap-2 items-center">
+                        <select value={filter.field} onChange={(e) => updateFilter(index, { field: e.target.value })} className={inputClass}>
+                            {fields.map(field => <option key={field.name} value={field.name}>{aiFieldLabel(entity, field.name)}</option>)}
+                        </select>
+                        <select value={filter.op} onChange={(e) => updateFilter(index, { op: e.target.value as AiQueryOperator })} className={inputClass}>
+                            {schema.operators[fieldType(filter.field)].map(op => <option key={op} value={op}>{OPERATOR_LABELS[op]}</option>)}
+                        </select>
+                        {!NO_VALUE_OPERATORS.includes(filter.op) && (
+                            <input
+                                type={fieldType(filter.field) === 'date' && filter.op !== 'in' ? 'date' : 'text'}
+                                value={filter.value}
+                                onChange={(e) => updateFilter(index, { value: e.target.value })}
+                                placeholder={filter.op === 'in' ? 'valores separados por vírgula' : 'valor'}
+                                className={`${inputClass} flex-1 min-w-[8rem]`}
+                            />
+                        )}
+                        {filter.op === 'between' && (
+                            <input
+                                type={fieldType(filter.field) === 'date' ? 'date' : 'text'}
+                                value={filter.valueTo}
+                                onChange={(e) => updateFilter(index, { valueTo: e.target.value })}
+                                className={`${inputClass} flex-1 min-w-[8rem]`}
+                            />
+                        )}
+                        <button onClick={() => setFilters(prev => prev.filter((_, i) => i !== index))} className="text-red-500 hover:text-red-700" title="Remover filtro">
+                            <Icon name="Trash2" size={16} />
+                        </button>
+                    </div>
+                    {fieldError(`filters[${index}].field`)}
+                    {fieldError(`filters[${index}].op`)}
+                    {fieldError(`filters[${index}].value`)}
+                </div>
+            ))}
+
+            <button
+                onClick={() => setFilters(prev => [...prev, { field: fields[0].name, op: 'contains', value: '', valueTo: '' }])}
+                className="text-brand-primary hover:underline flex items-center gap-1"
+            >
+                <Icon name="Plus" size={14} /> Adicionar filtro
+            </button>
+
+            {error && <p className="text-xs text-red-600 dark:text-red-400">{error}</p>}
+            <div className="flex justify-end gap-2">
+                <button onClick={onCancel} className="px-3 py-1.5 rounded-md bg-gray-300 dark:bg-gray-600 text-gray-800 dark:text-white">Cancelar</button>
+                <button onClick={handleRun} disabled={isRunning} className="px-3 py-1.5 rounded-md bg-brand-primary text-white hover:bg-blue-700 disabled:bg-gray-400 flex items-center gap-1">
+                    {isRunning ? <Icon name="LoaderCircle" className="animate-spin" size={14} /> : <Icon name="Play" size={14} />} Executar
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default AiQuerySpecEditor;
@@ -0,0 +1,173 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ApiKey, ApiKeyScope } from '../types';
+import { getApiKeys, createApiKey, revokeApiKey, getOpenApiUrl, ApiError } from '../services/apiService';
+import Icon from './common/Icon';
+import FieldError from './common/FieldError';
+import SecretReveal from './common/SecretReveal';
+import { API_KEY_SCOPE_LABELS } from './common/integrationLabels';
+
+const SCOPES = Object.keys(API_KEY_SCOPE_LABELS) as ApiKeyScope[];
+
+const formatDateTime = (value: string | null) => value ? new Date(value).toLocaleString('pt-BR') : '-';
+
+// Chaves de API para integrações (helpdesk, RH...) que usam /api/v1
+const ApiKeyManager: React.FC = () => {
+    const [apiKeys, setApiKeys] = useState<ApiKey[]>([]);
+    const [name, setName] = useState('');
+    const [scopes, setScopes] = useState<ApiKeyScope[]>(['equipment:read']);
+    const [createdKey, setCreatedKey] = useState<{ name: string; key: string } | null>(null);
+    const [fieldErrors, setFieldErrors] = useState<Record<string, string>>({});
+    // 'create' ou o id da chave sendo revogada
+    const [busyAction, setBusyAction] = useState<string | number | null>(null);
+    const [error, setError] = useState<string | null>(null);
+
+    const loadKeys = useCallback(async () => {
+        try {
+            setApiKeys(await getApiKeys());
+        } catch (e: any) {
+            setError(`Falha ao carregar as chaves de API: ${e.message}`);
+        }
+    }, []);
+
+    useEffect(() => {
+        loadKeys();
+    }, [loadKeys]);
+
+    const toggleScope = (scope: ApiKeyScope) => {
+        setScopes(prev => prev.includes(scope) ? prev.filter(item => item !== scope) : [...prev, scope]);
+    };
+
+    const handleCreate = async (e: React.FormEvent) => {
+        e.preventDefault();
+        setBusyAction('create');
+        setError(null);
+        setFieldErrors({});
+        try {
+            const result = await createApiKey({ name, scopes });
+            setCreatedKey({ name: result.apiKey.name, key: result.key });
+            setName('');
+            await loadKeys();
+        } catch (err: any) {
+            setFieldErrors(err instanceof ApiError && err.fieldErrors ? err.fieldErrors : {});
+            setError(err.message);
+        } finally {
+            setBusyAction(null);
+        }
+    };
+
+    const handleRevoke = async (apiKey: ApiKey) => {
+        if (!window.confirm(`Revogar a chave "${apiKey.name}"? As integrações que a usam deixarão de ter acesso imediatamente.`)) return;
+        setBusyAction(apiKey.id);
+        setError(null);
+        try {
+            await revokeApiKey(apiKey.id);
+            await loadKeys();
+        } catch (e: any) {
+            setError(e.message);
+        } finally {
+            setBusyAction(null);
+        }
+    };
+
+    return (
+        <div className="p-6 bg-gray-50 dark:bg-dark-bg rounded-lg border dark:border-dark-border">
+            <div className="flex flex-col sm:flex-row justify-between sm:items-center gap-3 mb-4">
+                <h3 className="text-lg font-bold text-brand-secondary dark:text-dark-text-primary flex items-center gap-2">
+                    <Icon name="KeyRound" size={20} />
+                    Chaves de API
+                </h3>
+                <a href={getOpenApiUrl()} target="_blank" rel="noopener noreferrer" className="text-sm text-brand-primary hover:underline flex items-center gap-1">
+                    <Icon name="FileJson" size={16} /> Documentação OpenAPI
+                </a>
+            </div>
+            <p className="mb-4 text-sm text-gray-600 dark:text-dark-text-secondary">
+                Outros sistemas acessam equipamentos, licenças e histórico em <code>/api/v1</code> enviando a chave no cabeçalho <code>Authorization: Bearer &lt;chave&gt;</code>. Cada chamada é registrada na auditoria como <code>api:&lt;nome da chave&gt;</code>.
+            </p>
+
+            {error && <div className="mb-4 bg-red-100 border-l-4 border-red-500 text-red-700 p-4" role="alert"><p>{error}</p></div>}
+            {createdKey && <SecretReveal title={`Chave "${createdKey.name}" criada`} value={createdKey.key} onDismiss={() => setCreatedKey(null)} />}
+
+            <form onSubmit={handleCreate} className="mb-6 p-4 bg-white dark:bg-dark-card rounded-lg border dark:border-dark-border space-y-3">
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-dark-text-secondary mb-1">Nome da integração</label>
+                    <input
+                        type="text"
+                        value={name}
+                        onChange={(e) => setName(e.target.value)}
+                        placeholder="Ex.: Helpdesk"
+                        className="p-2 w-full md:w-1/2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800"
+                        required
+                    />
+                    <FieldError errors={fieldErrors} name="name" />
+                </div>
+                <fieldset>
+                    <legend className="block text-sm font-medium text-gray-700 dark:text-dark-text-secondary mb-1">Permissões</legend>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-1">
+                        {SCOPES.map(scope => (
+                            <label key={scope} className="flex items-center gap-2 text-sm text-gray-700 dark:text-dark-text-secondary">
+                                <input type="checkbox" checked={scopes.includes(scope)} onChange={() => toggleScope(scope)} className="h-4 w-4 rounded text-brand-primary focus:ring-brand-primary" />
+                                {API_KEY_SCOPE_LABELS[scope]} <code className="text-xs text-gray-500">{scope}</code>
+                            </label>
+                        ))}
+                    </div>
+                    <FieldError errors={fieldErrors} name="scopes" />
+                </fieldset>
+                <div className="flex justify-end">
+                    <button type="submit" disabled={busyAction !== null || scopes.length === 0} className="bg-brand-primary text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:bg-gray-400 flex items-center gap-2 text-sm">
+                        {busyAction === 'create' ? <Icon name="LoaderCircle" className="animate-spin" size={16} /> : <Icon name="Plus" size={16} />}
+                        Gerar Chave
+                    </button>
+                </div>
+            </form>
+
+            {apiKeys.length === 0 ? (
+                <p className="text-sm text-gray-500 dark:text-dark-text-secondary">Nenhuma chave de API criada.</p>
+            ) : (
+                <div className="overflow-x-auto border dark:border-dark-border rounded-lg">
+                    <table className="w-full text-sm text-left text-gray-700 dark:text-dark-text-secondary">
+                        <thead className="text-xs text-gray-800 dark:text-dark-text-primary uppercase bg-gray-100 dark:bg-gray-900/50">
+                            <tr>
+                                <th scope="col" className="px-4 py-2">Nome</th>
+                                <th scope="col" className="px-4 py-2">Permissões</th>
+                                <th scope="col" className="px-4 py-2">Criada</th>
+                                <th scope="col" className="px-4 py-2">Último uso</th>
+                                <th scope="col" className="px-4 py-2 text-right">Situação</th>
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white dark:bg-dark-card">
+                            {apiKeys.map(apiKey => (
+                                <tr key={apiKey.id} className={`border-b dark:border-dark-border last:border-0 ${apiKey.revoked_at ? 'opacity-60' : ''}`}>
+                                    <td className="px-4 py-2">
+                                        <p className="font-medium text-gray-900 dark:text-dark-text-primary">{apiKey.name}</p>
+                                        <code className="text-xs text-gray-500">{apiKey.key_prefix}…</code>
+                                    </td>
+                                    <td className="px-4 py-2">
+                                        <div className="flex flex-wrap gap-1">
+                                            {apiKey.scopes.map(scope => (
+                                                <span key={scope} title={API_KEY_SCOPE_LABELS[scope]} className="px-2 py-0.5 rounded-full text-xs bg-blue-100 text-blue-800 dark:bg-blue-900/40 dark:text-blue-300">{scope}</span>
+                                            ))}
+                                        </div>
+                                    </td>
+                                    <td className="px-4 py-2 whitespace-nowrap">{formatDateTime(apiKey.created_at)}{apiKey.created_by ? ` por ${apiKey.created_by}` : ''}</td>
+                                    <td className="px-4 py-2 whitespace-nowrap">{formatDateTime(apiKey.last_used_at)}</td>
+                                    <td className="px-4 py-2 whitespace-nowrap text-right">
+                                        {apiKey.revoked_at ? (
+                                            <span className="text-xs text-red-600 dark:text-red-400" title={`Por ${apiKey.revoked_by || '-'}`}>Revogada em {formatDateTime(apiKey.revoked_at)}</span>
+                                        ) : (
+                                            <button type="button" onClick={() => handleRevoke(apiKey)} disabled={busyAction !== null} className="text-red-500 hover:text-red-600 disabled:opacity-50 inline-flex items-center gap-1">
+                                                {busyAction === apiKey.id ? <Icon name="LoaderCircle" className="animate-spin" size={16} /> : <Icon name="Ban" size={16} />}
+                                                Revogar
+                                            </button>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ApiKeyManager;
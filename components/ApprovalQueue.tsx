@@ -1,7 +1,9 @@
 import React, { useState, useEffect, useCallback } from 'react';
-import { getPendingApprovals, approveItem, rejectItem } from '../services/apiService';
-import { User } from '../types';
+import { getPendingApprovals, approveItem, rejectItem, getPendingChangeRequests, approveChangeRequest, rejectChangeRequest } from '../services/apiService';
+import { User, ChangeRequest } from '../types';
 import Icon from './common/Icon';
+import { equipmentFieldLabel } from './common/equipmentFields';
+import { LICENSE_FIELD_LABELS } from './common/licenseFields';
 
 interface ApprovalItem {
     id: number;
@@ -15,11 +17,11 @@ interface ApprovalQueueProps {
 }
 
 const RejectionModal: React.FC<{
-    item: ApprovalItem;
+    itemName: string;
     onClose: () => void;
     onConfirm: (reason: string) => void;
     isProcessing: boolean;
-}> = ({ item, onClose, onConfirm, isProcessing }) => {
+}> = ({ itemName, onClose, onConfirm, isProcessing }) => {
     const [reason, setReason] = useState('');
 
     const handleSubmit = () => {
@@ -36,7 +38,7 @@ const RejectionModal: React.FC<{
                 <div className="p-6">
                     <h3 className="text-xl font-bold text-brand-dark dark:text-dark-text-primary">Rejeitar Solicitação</h3>
                     <p className="mt-2 text-gray-600 dark:text-dark-text-secondary">
-                        Você está rejeitando a solicitação para: <strong>{item.name}</strong>. Por favor, forneça um motivo.
+                        Você está rejeitando a solicitação para: <strong>{itemName}</strong>. Por favor, forneça um motivo.
                     </p>
                     <textarea
                         value={reason}
@@ -57,18 +59,105 @@ const RejectionModal: React.FC<{
     );
 };
 
+const fieldLabel = (request: ChangeRequest, field: string) => request.item_type === 'equipment'
+    ? equipmentFieldLabel(field)
+    : (LICENSE_FIELD_LABELS as Record<string, string>)[field] || field;
+
+const displayValue = (field: string, value: string | number | null | undefined) => {
+    if (value === null || value === undefined || value === '') return '(vazio)';
+    return field === 'foto' || field === 'qrCode' ? '(imagem)' : String(value);
+};
+
+// Edição ou exclusão solicitada por um usuário não administrador, com os campos alterados
+const ChangeRequestCard: React.FC<{
+    request: ChangeRequest;
+    isProcessing: boolean;
+    onApprove: () => void;
+    onReject: () => void;
+}> = ({ request, isProcessing, onApprove, onReject }) => {
+    const hasConflict = request.changes.some(change => change.conflict);
+    return (
+        <div className="p-3 bg-gray-50 dark:bg-dark-bg rounded-md">
+            <div className="flex items-start justify-between gap-2">
+                <div>
+                    <span className={`text-xs font-bold uppercase py-1 px-2 rounded-md mr-2 ${request.item_type === 'equipment' ? 'bg-blue-200 text-blue-800' : 'bg-green-200 text-green-800'}`}>
+                        {request.item_type === 'equipment' ? 'Equip.' : 'Licença'}
+                    </span>
+                    <span className={`text-xs font-bold uppercase py-1 px-2 rounded-md mr-3 ${request.action === 'delete' ? 'bg-red-200 text-red-800' : 'bg-yellow-200 text-yellow-800'}`}>
+                        {request.action === 'delete' ? 'Exclusão' : 'Edição'}
+                    </span>
+                    <span className="text-gray-800 dark:text-dark-text-primary">{request.item_name}</span>
+                    <p className="text-xs text-gray-500 dark:text-dark-text-secondary mt-1">
+                        Solicitado por <strong>{request.requested_by}</strong> em {new Date(request.requested_at).toLocaleString('pt-BR')}
+                    </p>
+                </div>
+                <div className="flex items-center gap-2">
+                    <button
+                        onClick={onApprove}
+                        disabled={isProcessing || request.itemMissing}
+                        className="p-2 text-green-600 hover:bg-green-100 dark:hover:bg-green-900/50 rounded-full disabled:opacity-50"
+                        title="Aprovar"
+                    >
+                        <Icon name="Check" size={18} />
+                    </button>
+                    <button
+                        onClick={onReject}
+                        disabled={isProcessing}
+                        className="p-2 text-red-600 hover:bg-red-100 dark:hover:bg-red-900/50 rounded-full disabled:opacity-50"
+                        title="Rejeitar"
+                    >
+                        <Icon name="X" size={18} />
+                    </button>
+                </div>
+            </div>
+            {request.itemMissing && (
+                <p className="mt-2 text-xs text-red-600 dark:text-red-400">O item não existe mais; rejeite a solicitação.</p>
+            )}
+            {request.action === 'update' && !request.itemMissing && (
+                <table className="mt-2 w-full text-xs bg-white dark:bg-gray-800 rounded">
+                    <thead>
+                        <tr className="text-gray-500 dark:text-gray-400">
+                            <th className="p-1.5 text-left font-medium">Campo</th>
+                            <th className="p-1.5 text-left font-medium">Atual</th>
+                            <th className="p-1.5 text-left font-medium">Proposto</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {request.changes.map(change => (
+                            <tr key={change.field} className="border-t dark:border-dark-border">
+                                <td className="p-1.5 font-semibold text-gray-700 dark:text-gray-300">{fieldLabel(request, change.field)}</td>
+                                <td className={`p-1.5 ${change.conflict ? 'text-orange-600 dark:text-orange-400' : 'text-red-600 dark:text-red-400 line-through'}`}>
+                                    {displayValue(change.field, change.current)}
+                                    {change.conflict && <span className="block">(era {displayValue(change.field, change.from)} na solicitação)</span>}
+                                </td>
+                                <td className="p-1.5 text-green-700 dark:text-green-400">{displayValue(change.field, change.to)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+            {hasConflict && (
+                <p className="mt-1 text-xs text-orange-600 dark:text-orange-400">Campos em laranja foram alterados depois da solicitação; aprovar sobrescreve o valor atual.</p>
+            )}
+        </div>
+    );
+};
 
 const ApprovalQueue: React.FC<ApprovalQueueProps> = ({ currentUser, onAction }) => {
     const [approvals, setApprovals] = useState<ApprovalItem[]>([]);
     const [isLoading, setIsLoading] = useState(true);
     const [isProcessing, setIsProcessing] = useState<number | null>(null);
     const [itemToReject, setItemToReject] = useState<ApprovalItem | null>(null);
+    const [changeRequests, setChangeRequests] = useState<ChangeRequest[]>([]);
+    const [processingRequest, setProcessingRequest] = useState<number | null>(null);
+    const [requestToReject, setRequestToReject] = useState<ChangeRequest | null>(null);
 
     const fetchApprovals = useCallback(async () => {
         setIsLoading(true);
         try {
-            const data = await getPendingApprovals();
+            const [data, requests] = await Promise.all([getPendingApprovals(), getPendingChangeRequests()]);
             setApprovals(data);
+            setChangeRequests(requests);
         } catch (error) {
             console.error("Failed to fetch pending approvals", error);
         } finally {
@@ -123,53 +212,109 @@ const ApprovalQueue: React.FC<ApprovalQueueProps> = ({ currentUser, onAction })
         );
     }
     
-    if (approvals.length === 0) {
+    const handleApproveChange = async (request: ChangeRequest) => {
+        setProcessingRequest(request.id);
+        try {
+            await approveChangeRequest(request.id);
+            await fetchApprovals();
+            onAction();
+        } catch (error: any) {
+            console.error("Failed to approve change request", error);
+            alert(`Falha ao aprovar a solicitação: ${error.message}`);
+        } finally {
+            setProcessingRequest(null);
+        }
+    };
+
+    const confirmChangeRejection = async (reason: string) => {
+        if (!requestToReject) return;
+
+        setProcessingRequest(requestToReject.id);
+        try {
+            await rejectChangeRequest(requestToReject.id, reason);
+            setRequestToReject(null);
+            await fetchApprovals();
+        } catch (error: any) {
+            console.error("Failed to reject change request", error);
+            alert(`Falha ao rejeitar a solicitação: ${error.message}`);
+        } finally {
+            setProcessingRequest(null);
+        }
+    };
+
+    if (approvals.length === 0 && changeRequests.length === 0) {
         return null;
     }
 
     return (
         <>
-            <div className="bg-white dark:bg-dark-card p-6 rounded-lg shadow-md border-l-4 border-yellow-400 animate-fade-in">
-                <h3 className="text-xl font-semibold mb-4 text-brand-dark dark:text-dark-text-primary">Solicitações Pendentes de Aprovação ({approvals.length})</h3>
-                <div className="space-y-3 max-h-64 overflow-y-auto pr-2">
-                    {approvals.map(item => (
-                        <div key={`${item.itemType}-${item.id}`} className="flex items-center justify-between p-3 bg-gray-50 dark:bg-dark-bg rounded-md">
-                            <div>
-                                <span className={`text-xs font-bold uppercase py-1 px-2 rounded-md mr-3 ${item.itemType === 'equipment' ? 'bg-blue-200 text-blue-800' : 'bg-green-200 text-green-800'}`}>
-                                    {item.itemType === 'equipment' ? 'Equip.' : 'Licença'}
-                                </span>
-                                <span className="text-gray-800 dark:text-dark-text-primary">{item.name}</span>
-                            </div>
-                            <div className="flex items-center gap-2">
-                                <button 
-                                    onClick={() => handleApprove(item)} 
-                                    disabled={isProcessing === item.id}
-                                    className="p-2 text-green-600 hover:bg-green-100 dark:hover:bg-green-900/50 rounded-full disabled:opacity-50"
-                                    title="Aprovar"
-                                >
-                                    <Icon name="Check" size={18} />
-                                </button>
-                                <button 
-                                    onClick={() => handleReject(item)} 
-                                    disabled={isProcessing === item.id}
-                                    className="p-2 text-red-600 hover:bg-red-100 dark:hover:bg-red-900/50 rounded-full disabled:opacity-50"
-                                    title="Rejeitar"
-                                >
-                                    <Icon name="X" size={18} />
-                                </button>
+            {changeRequests.length > 0 && (
+                <div className="bg-white dark:bg-dark-card p-6 rounded-lg shadow-md border-l-4 border-orange-400 animate-fade-in">
+                    <h3 className="text-xl font-semibold mb-4 text-brand-dark dark:text-dark-text-primary">Alterações e Exclusões Pendentes ({changeRequests.length})</h3>
+                    <div className="space-y-3 max-h-96 overflow-y-auto pr-2">
+                        {changeRequests.map(request => (
+                            <ChangeRequestCard
+                                key={request.id}
+                                request={request}
+                                isProcessing={processingRequest === request.id}
+                                onApprove={() => handleApproveChange(request)}
+                                onReject={() => setRequestToReject(request)}
+                            />
+                        ))}
+                    </div>
+                </div>
+            )}
+            {approvals.length > 0 && (
+                <div className="bg-white dark:bg-dark-card p-6 rounded-lg shadow-md border-l-4 border-yellow-400 animate-fade-in">
+                    <h3 className="text-xl font-semibold mb-4 text-brand-dark dark:text-dark-text-primary">Solicitações Pendentes de Aprovação ({approvals.length})</h3>
+                    <div className="space-y-3 max-h-64 overflow-y-auto pr-2">
+                        {approvals.map(item => (
+                            <div key={`${item.itemType}-${item.id}`} className="flex items-center justify-between p-3 bg-gray-50 dark:bg-dark-bg rounded-md">
+                                <div>
+                                    <span className={`text-xs font-bold uppercase py-1 px-2 rounded-md mr-3 ${item.itemType === 'equipment' ? 'bg-blue-200 text-blue-800' : 'bg-green-200 text-green-800'}`}>
+                                        {item.itemType === 'equipment' ? 'Equip.' : 'Licença'}
+                                    </span>
+                                    <span className="text-gray-800 dark:text-dark-text-primary">{item.name}</span>
+                                </div>
+                                <div className="flex items-center gap-2">
+                                    <button 
+                                        onClick={() => handleApprove(item)} 
+                                        disabled={isProcessing === item.id}
+                                        className="p-2 text-green-600 hover:bg-green-100 dark:hover:bg-green-900/50 rounded-full disabled:opacity-50"
+                                        title="Aprovar"
+                                    >
+                                        <Icon name="Check" size={18} />
+                                    </button>
+                                    <button 
+                                        onClick={() => handleReject(item)} 
+                                        disabled={isProcessing === item.id}
+                                        className="p-2 text-red-600 hover:bg-red-100 dark:hover:bg-red-900/50 rounded-full disabled:opacity-50"
+                                        title="Rejeitar"
+                                    >
+                                        <Icon name="X" size={18} />
+                                    </button>
+                                </div>
                             </div>
-                        </div>
-                    ))}
+                        ))}
+                    </div>
                 </div>
-            </div>
+            )}
             {itemToReject && (
                 <RejectionModal
-                    item={itemToReject}
+                    itemName={itemToReject.name}
                     onClose={() => setItemToReject(null)}
                     onConfirm={confirmRejection}
                     isProcessing={isProcessing === itemToReject.id}
                 />
             )}
+            {requestToReject && (
+                <RejectionModal
+                    itemName={requestToReject.item_name}
+                    onClose={() => setRequestToReject(null)}
+                    onConfirm={confirmChangeRejection}
+                    isProcessing={processingRequest === requestToReject.id}
+                />
+            )}
         </>
     );
 };
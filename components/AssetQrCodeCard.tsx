@@ -0,0 +1,60 @@
+import React, { useState, useEffect } from 'react';
+import { AssetQrCode } from '../types';
+import { getEquipmentQrCode, downloadEquipmentLabels } from '../services/apiService';
+import Icon from './common/Icon';
+import { downloadBlob } from './common/downloadBlob';
+
+interface AssetQrCodeCardProps {
+    equipmentId: number;
+}
+
+// QR code da etiqueta do equipamento, com o endereço da página de consulta e a impressão da etiqueta avulsa
+const AssetQrCodeCard: React.FC<AssetQrCodeCardProps> = ({ equipmentId }) => {
+    const [qr, setQr] = useState<AssetQrCode | null>(null);
+    const [error, setError] = useState('');
+    const [isPrinting, setIsPrinting] = useState(false);
+
+    useEffect(() => {
+        getEquipmentQrCode(equipmentId)
+            .then(setQr)
+            .catch(e => setError(e.message || 'Falha ao gerar o QR code.'));
+    }, [equipmentId]);
+
+    const handlePrint = async () => {
+        setIsPrinting(true);
+        try {
+            downloadBlob(await downloadEquipmentLabels([equipmentId]), `etiqueta-${equipmentId}.pdf`);
+        } catch (e: any) {
+            setError(e.message || 'Falha ao gerar a etiqueta.');
+        } finally {
+            setIsPrinting(false);
+        }
+    };
+
+    return (
+        <div className="p-3 bg-gray-50 dark:bg-dark-bg rounded border dark:border-dark-border sm:col-span-2 lg:col-span-3 flex flex-col sm:flex-row items-center gap-4">
+            {qr ? (
+                <img src={qr.qrCode} alt="QR code do equipamento" className="w-28 h-28 bg-white p-1 rounded" />
+            ) : (
+                <div className="w-28 h-28 flex items-center justify-center">
+                    {!error && <Icon name="LoaderCircle" className="animate-spin text-brand-primary" />}
+                </div>
+            )}
+            <div className="flex-1 min-w-0">
+                <span className="block text-xs text-gray-500 uppercase">Etiqueta / QR Code</span>
+                {error ? (
+                    <p className="text-red-500 text-sm mt-1">{error}</p>
+                ) : (
+                    <p className="text-xs text-gray-600 dark:text-dark-text-secondary mt-1 break-all">
+                        Ao ler o código no celular, abre a página de consulta: <a href={qr?.url} className="text-brand-primary hover:underline">{qr?.url}</a>
+                    </p>
+                )}
+                <button onClick={handlePrint} disabled={isPrinting || !!error} className="mt-2 text-sm bg-gray-700 text-white px-3 py-1.5 rounded-lg hover:bg-gray-800 disabled:bg-gray-400 flex items-center gap-2">
+                    {isPrinting ? <Icon name="LoaderCircle" className="animate-spin" size={16} /> : <Icon name="Printer" size={16} />} Imprimir Etiqueta
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default AssetQrCodeCard;
@@ -0,0 +1,216 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { AuditArchive, AuditChainVerification, AuditRetentionSettings } from '../types';
+import { verifyAuditChain, getAuditRetention, saveAuditRetention, getAuditArchives, archiveAuditLogNow, downloadAuditArchive, ApiError } from '../services/apiService';
+import Icon from './common/Icon';
+import FieldError from './common/FieldError';
+import { downloadBlob } from './common/downloadBlob';
+import { formatSize } from './common/formatSize';
+
+const formatDateTime = (value: string | null) => value ? new Date(value).toLocaleString('pt-BR') : '-';
+
+const inputClass = 'p-2 w-32 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800';
+
+// Verificação da cadeia de hashes da auditoria, retenção e arquivos com os registros antigos
+const AuditIntegrityPanel: React.FC = () => {
+    const [verification, setVerification] = useState<AuditChainVerification | null>(null);
+    const [retention, setRetention] = useState<AuditRetentionSettings | null>(null);
+    const [retentionErrors, setRetentionErrors] = useState<Record<string, string>>({});
+    const [archives, setArchives] = useState<AuditArchive[]>([]);
+    // 'verify', 'retention', 'archive' ou o id do arquivo sendo baixado
+    const [busyAction, setBusyAction] = useState<string | number | null>(null);
+    const [error, setError] = useState<string | null>(null);
+    const [message, setMessage] = useState<string | null>(null);
+
+    const loadArchives = useCallback(async () => {
+        try {
+            setArchives(await getAuditArchives());
+        } catch (e: any) {
+            setError(`Falha ao carregar os arquivos da auditoria: ${e.message}`);
+        }
+    }, []);
+
+    useEffect(() => {
+        loadArchives();
+        getAuditRetention()
+            .then(setRetention)
+            .catch(e => setError(`Falha ao carregar a retenção: ${e.message}`));
+    }, [loadArchives]);
+
+    const runAction = async (action: string | number, fn: () => Promise<void>) => {
+        setBusyAction(action);
+        setError(null);
+        setMessage(null);
+        try {
+            await fn();
+        } catch (e: any) {
+            setError(e.message);
+        } finally {
+            setBusyAction(null);
+        }
+    };
+
+    const handleVerify = () => runAction('verify', async () => {
+        setVerification(await verifyAuditChain());
+    });
+
+    const handleSaveRetention = () => {
+        if (!retention) return;
+        setRetentionErrors({});
+        runAction('retention', async () => {
+            try {
+                setRetention(await saveAuditRetention(retention));
+                setMessage('Retenção da auditoria salva.');
+            } catch (e: any) {
+                if (e instanceof ApiError && e.fieldErrors) setRetentionErrors(e.fieldErrors);
+                throw e;
+            }
+        });
+    };
+
+    const handleArchiveNow = () => {
+        if (!retention) return;
+        if (!window.confirm(`Mover para um arquivo os registros com mais de ${retention.retentionDays} dias? Eles deixarão de aparecer na lista e nas exportações, mas o arquivo pode ser baixado aqui.`)) return;
+        runAction('archive', async () => {
+            const result = await archiveAuditLogNow();
+            setMessage(result.message);
+            await loadArchives();
+        });
+    };
+
+    const handleDownload = (archive: AuditArchive) => runAction(archive.id, async () => {
+        downloadBlob(await downloadAuditArchive(archive.id), archive.file_name);
+    });
+
+    const isBusy = busyAction !== null;
+
+    return (
+        <div className="space-y-6">
+            {error && <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4" role="alert"><p>{error}</p></div>}
+            {message && <div className="bg-green-100 border-l-4 border-green-500 text-green-700 p-4" role="status"><p>{message}</p></div>}
+
+            <div className="p-6 bg-gray-50 dark:bg-dark-bg rounded-lg border dark:border-dark-border">
+                <div className="flex flex-col sm:flex-row justify-between sm:items-center gap-3 mb-2">
+                    <h3 className="text-lg font-bold text-brand-secondary dark:text-dark-text-primary flex items-center gap-2">
+                        <Icon name="Link" size={20} />
+                        Integridade dos Registros
+                    </h3>
+                    <button type="button" onClick={handleVerify} disabled={isBusy} className="bg-brand-primary text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:bg-gray-400 flex items-center gap-2 text-sm">
+                        {busyAction === 'verify' ? <Icon name="LoaderCircle" className="animate-spin" size={16} /> : <Icon name="ShieldCheck" size={16} />}
+                        Verificar Integridade
+                    </button>
+                </div>
+                <p className="text-sm text-gray-600 dark:text-dark-text-secondary">
+                    Cada registro guarda o hash do anterior. Alterar, excluir ou inserir registros diretamente no banco quebra a cadeia a partir daquele ponto.
+                </p>
+
+                {verification && (
+                    <div className={`mt-4 p-4 border-l-4 text-sm ${verification.valid ? 'bg-green-50 border-green-500 text-green-800 dark:bg-green-900/20 dark:text-green-200' : 'bg-red-50 border-red-500 text-red-800 dark:bg-red-900/20 dark:text-red-200'}`}>
+                        <p className="font-semibold flex items-center gap-2">
+                            <Icon name={verification.valid ? 'CircleCheck' : 'ShieldAlert'} size={16} />
+                            {verification.valid
+                                ? `Cadeia íntegra: ${verification.checked} registros verificados.`
+                                : `${verification.breakCount} quebra(s) encontrada(s) em ${verification.checked} registros verificados.`}
+                        </p>
+                        <p className="mt-1 text-xs">
+                            {verification.firstSeq !== null && verification.lastSeq !== null ? `Sequência ${verification.firstSeq} a ${verification.lastSeq}` : 'Nenhum registro na cadeia'}
+                            {verification.anchor.archiveFile && `, continuando do arquivo ${verification.anchor.archiveFile}`}
+                            {` · verificado em ${formatDateTime(verification.verifiedAt)}`}
+                        </p>
+                        {verification.unsealed > 0 && (
+                            <p className="mt-1 text-xs">{verification.unsealed} registro(s) recém-gravado(s) ainda não encadeado(s); serão incluídos em instantes.</p>
+                        )}
+                        {verification.breaks.length > 0 && (
+                            <ul className="mt-2 list-disc list-inside space-y-0.5">
+                                {verification.breaks.map((item, index) => <li key={index}>{item.message}</li>)}
+                                {verification.breakCount > verification.breaks.length && <li>E mais {verification.breakCount - verification.breaks.length} quebra(s).</li>}
+                            </ul>
+                        )}
+                    </div>
+                )}
+            </div>
+
+            <div className="p-6 bg-gray-50 dark:bg-dark-bg rounded-lg border dark:border-dark-border">
+                <h3 className="text-lg font-bold text-brand-secondary dark:text-dark-text-primary flex items-center gap-2 mb-2">
+                    <Icon name="Archive" size={20} />
+                    Retenção
+                </h3>
+                <p className="mb-4 text-sm text-gray-600 dark:text-dark-text-secondary">
+                    Registros mais antigos que o prazo são movidos uma vez por dia para um arquivo compactado no servidor, que continua verificável. Os erros do sistema são apagados após o prazo próprio.
+                </p>
+                {retention && (
+                    <div className="space-y-4">
+                        <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-dark-text-secondary">
+                            <input type="checkbox" checked={retention.archiveEnabled} onChange={(e) => setRetention({ ...retention, archiveEnabled: e.target.checked })} className="h-4 w-4 rounded text-brand-primary focus:ring-brand-primary" />
+                            Arquivar automaticamente os registros antigos
+                        </label>
+                        <div className="flex flex-wrap gap-6">
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 dark:text-dark-text-secondary mb-1">Manter registros por (dias)</label>
+                                <input type="number" min={30} max={3650} value={retention.retentionDays} onChange={(e) => setRetention({ ...retention, retentionDays: parseInt(e.target.value, 10) || 0 })} className={inputClass} />
+                                <FieldError errors={retentionErrors} name="retentionDays" />
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 dark:text-dark-text-secondary mb-1">Manter erros do sistema por (dias)</label>
+                                <input type="number" min={1} max={365} value={retention.clientErrorRetentionDays} onChange={(e) => setRetention({ ...retention, clientErrorRetentionDays: parseInt(e.target.value, 10) || 0 })} className={inputClass} />
+                                <FieldError errors={retentionErrors} name="clientErrorRetentionDays" />
+                            </div>
+                        </div>
+                        <div className="flex flex-wrap justify-end gap-3">
+                            <button type="button" onClick={handleArchiveNow} disabled={isBusy} className="px-4 py-2 bg-gray-300 dark:bg-gray-600 text-gray-800 dark:text-white rounded-lg hover:bg-gray-400 disabled:opacity-50 flex items-center gap-2 text-sm">
+                                {busyAction === 'archive' ? <Icon name="LoaderCircle" className="animate-spin" size={16} /> : <Icon name="ArchiveRestore" size={16} />}
+                                Arquivar Agora
+                            </button>
+                            <button type="button" onClick={handleSaveRetention} disabled={isBusy} className="bg-brand-primary text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:bg-gray-400 flex items-center gap-2 text-sm">
+                                {busyAction === 'retention' ? <Icon name="LoaderCircle" className="animate-spin" size={16} /> : <Icon name="Save" size={16} />}
+                                Salvar Retenção
+                            </button>
+                        </div>
+                    </div>
+                )}
+
+                <h4 className="mt-6 mb-3 font-semibold text-gray-800 dark:text-dark-text-primary">Arquivos</h4>
+                {archives.length === 0 ? (
+                    <p className="text-sm text-gray-500 dark:text-dark-text-secondary">Nenhum registro arquivado.</p>
+                ) : (
+                    <div className="overflow-x-auto border dark:border-dark-border rounded-lg">
+                        <table className="w-full text-sm text-left text-gray-700 dark:text-dark-text-secondary">
+                            <thead className="text-xs text-gray-800 dark:text-dark-text-primary uppercase bg-gray-100 dark:bg-gray-900/50">
+                                <tr>
+                                    <th scope="col" className="px-4 py-2">Período</th>
+                                    <th scope="col" className="px-4 py-2">Sequência</th>
+                                    <th scope="col" className="px-4 py-2">Registros</th>
+                                    <th scope="col" className="px-4 py-2">Tamanho</th>
+                                    <th scope="col" className="px-4 py-2">Arquivado</th>
+                                    <th scope="col" className="px-4 py-2 text-right">Ações</th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white dark:bg-dark-card">
+                                {archives.map(archive => (
+                                    <tr key={archive.id} className="border-b dark:border-dark-border last:border-0">
+                                        <td className="px-4 py-2 whitespace-nowrap" title={archive.file_name}>{formatDateTime(archive.from_timestamp)} a {formatDateTime(archive.to_timestamp)}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap">{archive.first_seq} a {archive.last_seq}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap">{archive.entry_count}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap" title={`SHA-256 ${archive.sha256}`}>{formatSize(archive.size)}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap">{formatDateTime(archive.created_at)}{archive.created_by ? ` por ${archive.created_by}` : ''}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap text-right">
+                                            {archive.file_exists ? (
+                                                <button type="button" onClick={() => handleDownload(archive)} disabled={isBusy} className="text-brand-primary hover:underline disabled:opacity-50 inline-flex items-center gap-1">
+                                                    {busyAction === archive.id ? <Icon name="LoaderCircle" className="animate-spin" size={16} /> : <Icon name="Download" size={16} />}
+                                                    Baixar
+                                                </button>
+                                            ) : (
+                                                <span className="text-xs text-red-600 dark:text-red-400">Arquivo ausente no servidor</span>
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default AuditIntegrityPanel;
@@ -1,47 +1,128 @@
-
-import React, { useState, useEffect } from 'react';
-import { getAuditLog } from '../services/apiService';
-import { AuditLogEntry } from '../types';
+import React, { useState, useEffect, useMemo } from 'react';
+import { getAuditLogPage, getAuditLogFilterOptions, exportAuditLog } from '../services/apiService';
+import { AuditLogEntry, AuditExportFormat, ListQuery, SortOrder } from '../types';
 import Icon from './common/Icon';
+import Pagination from './common/Pagination';
+import useDebouncedValue from './common/useDebouncedValue';
+import { downloadBlob } from './common/downloadBlob';
+import ClientErrorLog from './ClientErrorLog';
+import AuditIntegrityPanel from './AuditIntegrityPanel';
 import * as icons from 'lucide-react';
 
+const TARGET_TYPE_LABELS: Record<string, string> = {
+    EQUIPMENT: 'Equipamentos',
+    LICENSE: 'Licenças',
+    USER: 'Usuários',
+    PHYSICAL_AUDIT: 'Auditorias Físicas',
+    COLLABORATOR: 'Colaboradores',
+    API_KEY: 'Chaves de API',
+    WEBHOOK: 'Webhooks',
+    AUDIT_LOG: 'Auditoria',
+};
+
+type Tab = 'entries' | 'errors' | 'integrity';
+
+const TABS: { id: Tab; label: string; icon: 'History' | 'Bug' | 'ShieldCheck' }[] = [
+    { id: 'entries', label: 'Registros', icon: 'History' },
+    { id: 'errors', label: 'Erros do Sistema', icon: 'Bug' },
+    { id: 'integrity', label: 'Integridade e Retenção', icon: 'ShieldCheck' }
+];
+
 const AuditLog: React.FC = () => {
+    const [tab, setTab] = useState<Tab>('entries');
     const [logs, setLogs] = useState<AuditLogEntry[]>([]);
+    const [total, setTotal] = useState(0);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState('');
+    const [searchTerm, setSearchTerm] = useState('');
     const [filterUser, setFilterUser] = useState('');
     const [filterAction, setFilterAction] = useState('');
+    const [filterTarget, setFilterTarget] = useState('');
+    const [dateFrom, setDateFrom] = useState('');
+    const [dateTo, setDateTo] = useState('');
+    const [order, setOrder] = useState<SortOrder>('desc');
+    const [page, setPage] = useState(1);
+    const [pageSize, setPageSize] = useState(25);
+    const [filterOptions, setFilterOptions] = useState<Record<string, string[]>>({});
+    const [exportingFormat, setExportingFormat] = useState<AuditExportFormat | null>(null);
+    const debouncedSearch = useDebouncedValue(searchTerm);
+
+    const query = useMemo<ListQuery>(() => ({
+        q: debouncedSearch.trim(),
+        username: filterUser,
+        action_type: filterAction,
+        target_type: filterTarget,
+        from: dateFrom,
+        to: dateTo,
+        sort: 'timestamp',
+        order,
+    }), [debouncedSearch, filterUser, filterAction, filterTarget, dateFrom, dateTo, order]);
 
+    // Filtros novos sempre começam da primeira página
     useEffect(() => {
+        setPage(1);
+    }, [query, pageSize]);
+
+    useEffect(() => {
+        let cancelled = false;
         const fetchLogs = async () => {
             setLoading(true);
             setError('');
             try {
-                const data = await getAuditLog();
-                setLogs(data);
+                const result = await getAuditLogPage({ ...query, page, pageSize });
+                if (cancelled) return;
+                setLogs(result.items);
+                setTotal(result.total);
             } catch (err: any) {
-                setError('Falha ao carregar os registros de auditoria.');
+                if (cancelled) return;
+                setError(err?.fieldErrors ? Object.values(err.fieldErrors).join(' ') : 'Falha ao carregar os registros de auditoria.');
                 console.error(err);
             } finally {
-                setLoading(false);
+                if (!cancelled) setLoading(false);
             }
         };
         fetchLogs();
+        return () => { cancelled = true; };
+    }, [query, page, pageSize]);
+
+    useEffect(() => {
+        getAuditLogFilterOptions()
+            .then(setFilterOptions)
+            .catch(err => console.error(err));
     }, []);
 
-    const filteredLogs = logs.filter(log => {
-        const userMatch = filterUser ? log.username.toLowerCase().includes(filterUser.toLowerCase()) : true;
-        const actionMatch = filterAction ? log.action_type === filterAction : true;
-        return userMatch && actionMatch;
-    });
-    
-    const uniqueUsers = [...new Set(logs.map(log => log.username))];
+    // Exporta tudo o que os filtros atuais selecionam, não só a página visível
+    const handleExport = async (format: AuditExportFormat) => {
+        setExportingFormat(format);
+        setError('');
+        try {
+            downloadBlob(await exportAuditLog(query, format), `auditoria_${new Date().toISOString().split('T')[0]}.${format}`);
+        } catch (err: any) {
+            setError(err?.fieldErrors ? Object.values(err.fieldErrors).join(' ') : `Falha ao exportar: ${err.message}`);
+        } finally {
+            setExportingFormat(null);
+        }
+    };
+
+    const handleClearFilters = () => {
+        setSearchTerm('');
+        setFilterUser('');
+        setFilterAction('');
+        setFilterTarget('');
+        setDateFrom('');
+        setDateTo('');
+    };
 
     const getIconForType = (type: AuditLogEntry['target_type']): keyof typeof icons => {
         switch(type) {
             case 'EQUIPMENT': return 'Computer';
             case 'LICENSE': return 'ScrollText';
             case 'USER': return 'User';
+            case 'PHYSICAL_AUDIT': return 'ClipboardCheck';
+            case 'COLLABORATOR': return 'Contact';
+            case 'AUDIT_LOG': return 'History';
+            case 'API_KEY': return 'KeyRound';
+            case 'WEBHOOK': return 'Webhook';
             default: return 'FileQuestion';
         }
     };
@@ -54,6 +135,24 @@ const AuditLog: React.FC = () => {
             case 'DELETE': return { text: 'Exclusão', color: 'text-red-500', icon: 'Trash2' };
             case 'LOGIN': return { text: 'Login', color: 'text-blue-500', icon: 'LogIn' };
             case 'LOGOUT': return { text: 'Logout', color: 'text-gray-500', icon: 'LogOut' };
+            case 'NOTIFY': return { text: 'Notificação', color: 'text-purple-500', icon: 'Mail' };
+            case 'BACKUP': return { text: 'Backup', color: 'text-indigo-500', icon: 'DatabaseBackup' };
+            case 'RESTORE': return { text: 'Restauração', color: 'text-orange-500', icon: 'ArchiveRestore' };
+            case 'CHECKOUT': return { text: 'Entrega', color: 'text-sky-500', icon: 'PackageCheck' };
+            case 'CHECKIN': return { text: 'Devolução', color: 'text-teal-500', icon: 'PackageOpen' };
+            case 'MAINTENANCE_OPEN': return { text: 'Envio para Manutenção', color: 'text-amber-500', icon: 'Wrench' };
+            case 'MAINTENANCE_CLOSE': return { text: 'Retorno de Manutenção', color: 'text-green-600', icon: 'BadgeCheck' };
+            case 'LOGIN_FAILED': return { text: 'Login Inválido', color: 'text-red-500', icon: 'UserX' };
+            case 'LOGIN_THROTTLED': return { text: 'Login Bloqueado', color: 'text-red-600', icon: 'Ban' };
+            case 'ACCOUNT_LOCKED': return { text: 'Conta Bloqueada', color: 'text-red-700', icon: 'Lock' };
+            case 'PASSWORD_CHANGE': return { text: 'Troca de Senha', color: 'text-indigo-500', icon: 'KeyRound' };
+            case 'PASSWORD_CHANGE_REQUIRED': return { text: 'Troca de Senha Exigida', color: 'text-amber-500', icon: 'KeyRound' };
+            case 'PASSWORD_RESET_REQUEST': return { text: 'Pedido de Redefinição', color: 'text-blue-500', icon: 'MailQuestion' };
+            case 'PASSWORD_RESET': return { text: 'Senha Redefinida', color: 'text-indigo-600', icon: 'RotateCcwKey' };
+            case 'API_CALL': return { text: 'Chamada de API', color: 'text-slate-500', icon: 'Plug' };
+            case 'VERIFY': return { text: 'Verificação', color: 'text-emerald-500', icon: 'ShieldCheck' };
+            case 'EXPORT': return { text: 'Exportação', color: 'text-cyan-500', icon: 'FileDown' };
+            case 'ARCHIVE': return { text: 'Arquivamento', color: 'text-stone-500', icon: 'Archive' };
             default: return { text: log.action_type, color: 'text-gray-500', icon: 'Info' };
         }
     };
@@ -66,66 +165,154 @@ const AuditLog: React.FC = () => {
                 Acompanhe todas as alterações importantes feitas no sistema.
             </p>
 
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6 p-4 border dark:border-dark-border rounded-lg bg-gray-50 dark:bg-dark-bg">
-                <input
-                    type="text"
-                    placeholder="Filtrar por usuário..."
-                    value={filterUser}
-                    onChange={(e) => setFilterUser(e.target.value)}
-                    className="p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800"
-                />
-                <select value={filterAction} onChange={(e) => setFilterAction(e.target.value)} className="p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800">
-                    <option value="">Todas as Ações</option>
-                    <option value="CREATE">Criação</option>
-                    <option value="UPDATE">Atualização</option>
-                    <option value="DELETE">Exclusão</option>
-                    <option value="LOGIN">Login</option>
-                    <option value="LOGOUT">Logout</option>
-                </select>
-                <button onClick={() => { setFilterUser(''); setFilterAction(''); }} className="bg-gray-500 text-white p-2 rounded-md hover:bg-gray-600">
-                    Limpar Filtros
-                </button>
+            <div className="flex border-b dark:border-dark-border overflow-x-auto mb-6">
+                {TABS.map(item => (
+                    <button
+                        key={item.id}
+                        onClick={() => setTab(item.id)}
+                        className={`px-4 py-2 text-sm font-medium flex items-center gap-2 whitespace-nowrap ${tab === item.id ? 'border-b-2 border-brand-primary text-brand-primary' : 'text-gray-500 hover:text-gray-700 dark:text-gray-400'}`}
+                    >
+                        <Icon name={item.icon} size={16} /> {item.label}
+                    </button>
+                ))}
             </div>
 
-            {loading ? (
-                <div className="flex justify-center items-center py-10">
-                    <Icon name="LoaderCircle" className="animate-spin text-brand-primary" size={48} />
-                </div>
-            ) : error ? (
-                <div className="text-center py-10 text-red-500">{error}</div>
-            ) : (
-                <div className="space-y-4">
-                    {filteredLogs.map(log => {
-                         const actionInfo = getActionInfo(log);
-                         return (
-                            <div key={log.id} className="p-4 border dark:border-dark-border rounded-lg flex flex-col sm:flex-row gap-4 hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors">
-                                <div className="flex-shrink-0 flex items-center justify-center w-12 h-12 rounded-full bg-gray-100 dark:bg-dark-bg">
-                                     <Icon name={getIconForType(log.target_type)} size={24} className="text-brand-secondary dark:text-dark-text-secondary" />
-                                </div>
-                                <div className="flex-grow">
-                                    <div className="flex justify-between items-start">
-                                        <div>
-                                            <span className="font-bold text-brand-dark dark:text-dark-text-primary">{log.username}</span>
-                                            <span className={`ml-2 text-sm font-semibold ${actionInfo.color} flex items-center gap-1.5`}>
-                                                <Icon name={actionInfo.icon} size={14}/> {actionInfo.text}
-                                            </span>
+            {tab === 'errors' && <ClientErrorLog />}
+            {tab === 'integrity' && <AuditIntegrityPanel />}
+
+            {tab === 'entries' && (
+                <>
+                    <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6 p-4 border dark:border-dark-border rounded-lg bg-gray-50 dark:bg-dark-bg">
+                        <input
+                            type="text"
+                            placeholder="Buscar nos detalhes..."
+                            value={searchTerm}
+                            onChange={(e) => setSearchTerm(e.target.value)}
+                            className="p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 md:col-span-2"
+                        />
+                        <select value={filterUser} onChange={(e) => setFilterUser(e.target.value)} className="p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800">
+                            <option value="">Todos os Usuários</option>
+                            {(filterOptions.username || []).map(username => <option key={username} value={username}>{username}</option>)}
+                        </select>
+                        <select value={filterAction} onChange={(e) => setFilterAction(e.target.value)} className="p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800">
+                            <option value="">Todas as Ações</option>
+                            <option value="CREATE">Criação</option>
+                            <option value="UPDATE">Atualização</option>
+                            <option value="DELETE">Exclusão</option>
+                            <option value="LOGIN">Login</option>
+                            <option value="LOGOUT">Logout</option>
+                            <option value="NOTIFY">Notificação</option>
+                            <option value="BACKUP">Backup</option>
+                            <option value="RESTORE">Restauração</option>
+                            <option value="CHECKOUT">Entrega</option>
+                            <option value="CHECKIN">Devolução</option>
+                            <option value="MAINTENANCE_OPEN">Envio para Manutenção</option>
+                            <option value="MAINTENANCE_CLOSE">Retorno de Manutenção</option>
+                            <option value="LOGIN_FAILED">Login Inválido</option>
+                            <option value="LOGIN_THROTTLED">Login Bloqueado</option>
+                            <option value="ACCOUNT_LOCKED">Conta Bloqueada</option>
+                            <option value="PASSWORD_CHANGE">Troca de Senha</option>
+                            <option value="PASSWORD_CHANGE_REQUIRED">Troca de Senha Exigida</option>
+                            <option value="PASSWORD_RESET_REQUEST">Pedido de Redefinição</option>
+                            <option value="PASSWORD_RESET">Senha Redefinida</option>
+                            <option value="API_CALL">Chamada de API</option>
+                            <option value="VERIFY">Verificação</option>
+                            <option value="EXPORT">Exportação</option>
+                            <option value="ARCHIVE">Arquivamento</option>
+                        </select>
+                        <select value={filterTarget} onChange={(e) => setFilterTarget(e.target.value)} className="p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800">
+                            <option value="">Todos os Alvos</option>
+                            {(filterOptions.target_type || []).map(type => <option key={type} value={type}>{TARGET_TYPE_LABELS[type] || type}</option>)}
+                        </select>
+                        <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-dark-text-secondary">
+                            De
+                            <input type="date" value={dateFrom} max={dateTo || undefined} onChange={(e) => setDateFrom(e.target.value)} className="flex-grow p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800" />
+                        </label>
+                        <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-dark-text-secondary">
+                            Até
+                            <input type="date" value={dateTo} min={dateFrom || undefined} onChange={(e) => setDateTo(e.target.value)} className="flex-grow p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800" />
+                        </label>
+                        <div className="flex gap-2">
+                            <button
+                                onClick={() => setOrder(order === 'desc' ? 'asc' : 'desc')}
+                                className="flex-grow flex items-center justify-center gap-1.5 p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 hover:bg-gray-100 dark:hover:bg-gray-700 text-sm"
+                                title="Alternar ordem por data"
+                            >
+                                <Icon name={order === 'desc' ? 'ArrowDownWideNarrow' : 'ArrowUpNarrowWide'} size={16} />
+                                {order === 'desc' ? 'Mais recentes' : 'Mais antigos'}
+                            </button>
+                            <button onClick={handleClearFilters} className="flex-grow bg-gray-500 text-white p-2 rounded-md hover:bg-gray-600">
+                                Limpar Filtros
+                            </button>
+                        </div>
+                    </div>
+
+                    <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center gap-3 mb-4">
+                        <p className="text-sm text-gray-600 dark:text-dark-text-secondary">{total} registro(s) com os filtros atuais</p>
+                        <div className="flex gap-2">
+                            {(['csv', 'json'] as AuditExportFormat[]).map(format => (
+                                <button
+                                    key={format}
+                                    onClick={() => handleExport(format)}
+                                    disabled={exportingFormat !== null || total === 0}
+                                    className="flex items-center gap-1.5 px-3 py-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-50 text-sm"
+                                >
+                                    {exportingFormat === format ? <Icon name="LoaderCircle" className="animate-spin" size={16} /> : <Icon name="FileDown" size={16} />}
+                                    Exportar {format.toUpperCase()}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+
+                    {loading && logs.length === 0 ? (
+                        <div className="flex justify-center items-center py-10">
+                            <Icon name="LoaderCircle" className="animate-spin text-brand-primary" size={48} />
+                        </div>
+                    ) : error ? (
+                        <div className="text-center py-10 text-red-500">{error}</div>
+                    ) : (
+                        <div className={`space-y-4 transition-opacity ${loading ? 'opacity-60' : ''}`}>
+                            {logs.map(log => {
+                                 const actionInfo = getActionInfo(log);
+                                 return (
+                                    <div key={log.id} className="p-4 border dark:border-dark-border rounded-lg flex flex-col sm:flex-row gap-4 hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors">
+                                        <div className="flex-shrink-0 flex items-center justify-center w-12 h-12 rounded-full bg-gray-100 dark:bg-dark-bg">
+                                             <Icon name={getIconForType(log.target_type)} size={24} className="text-brand-secondary dark:text-dark-text-secondary" />
+                                        </div>
+                                        <div className="flex-grow">
+                                            <div className="flex justify-between items-start">
+                                                <div>
+                                                    <span className="font-bold text-brand-dark dark:text-dark-text-primary">{log.username}</span>
+                                                    <span className={`ml-2 text-sm font-semibold ${actionInfo.color} flex items-center gap-1.5`}>
+                                                        <Icon name={actionInfo.icon} size={14}/> {actionInfo.text}
+                                                    </span>
+                                                </div>
+                                                <span className="text-xs text-gray-500 dark:text-dark-text-secondary whitespace-nowrap">
+                                                    {new Date(log.timestamp).toLocaleString('pt-BR')}
+                                                </span>
+                                            </div>
+                                            <p className="text-sm text-gray-700 dark:text-dark-text-secondary mt-1">{log.details}</p>
                                         </div>
-                                        <span className="text-xs text-gray-500 dark:text-dark-text-secondary whitespace-nowrap">
-                                            {new Date(log.timestamp).toLocaleString('pt-BR')}
-                                        </span>
                                     </div>
-                                    <p className="text-sm text-gray-700 dark:text-dark-text-secondary mt-1">{log.details}</p>
+                                 )
+                            })}
+                             {logs.length === 0 && (
+                                <div className="text-center py-10 text-gray-500 dark:text-dark-text-secondary">
+                                     <Icon name="SearchX" size={48} className="mx-auto text-gray-400 mb-4" />
+                                    <p>Nenhum registro encontrado com os filtros atuais.</p>
                                 </div>
-                            </div>
-                         )
-                    })}
-                     {filteredLogs.length === 0 && (
-                        <div className="text-center py-10 text-gray-500 dark:text-dark-text-secondary">
-                             <Icon name="SearchX" size={48} className="mx-auto text-gray-400 mb-4" />
-                            <p>Nenhum registro encontrado com os filtros atuais.</p>
+                            )}
+                            <Pagination
+                                page={page}
+                                pageSize={pageSize}
+                                total={total}
+                                onPageChange={setPage}
+                                onPageSizeChange={setPageSize}
+                                disabled={loading}
+                            />
                         </div>
                     )}
-                </div>
+                </>
             )}
         </div>
     );
@@ -0,0 +1,279 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { User, BackupInfo, BackupSchedule } from '../types';
+import { getBackups, backupDatabase, verifyBackup, deleteBackup, restoreDatabase, clearDatabase, getBackupSchedule, saveBackupSchedule, ApiError } from '../services/apiService';
+import Icon from './common/Icon';
+import FieldError from './common/FieldError';
+import { formatSize } from './common/formatSize';
+
+const REASON_LABELS: Record<NonNullable<BackupInfo['reason']>, string> = {
+    'manual': 'Manual',
+    'scheduled': 'Agendado',
+    'pre-restore': 'Antes de restauração',
+    'pre-clear': 'Antes de zerar',
+};
+
+const totalRows = (backup: BackupInfo) => Object.values(backup.rowCounts || {}).reduce((sum, count) => sum + count, 0);
+
+const BackupManager: React.FC<{ currentUser: User }> = ({ currentUser }) => {
+    const [backups, setBackups] = useState<BackupInfo[]>([]);
+    const [schedule, setSchedule] = useState<BackupSchedule | null>(null);
+    const [scheduleErrors, setScheduleErrors] = useState<Record<string, string>>({});
+    const [expandedId, setExpandedId] = useState<string | null>(null);
+    // Ação em andamento: 'create', 'clear', 'schedule' ou o id do backup sendo verificado/restaurado/excluído
+    const [busyAction, setBusyAction] = useState<string | null>(null);
+    const [error, setError] = useState<string | null>(null);
+    const [message, setMessage] = useState<string | null>(null);
+
+    const loadBackups = useCallback(async () => {
+        try {
+            setBackups(await getBackups());
+        } catch (e: any) {
+            setError(`Falha ao carregar os backups: ${e.message}`);
+        }
+    }, []);
+
+    useEffect(() => {
+        loadBackups();
+        getBackupSchedule()
+            .then(setSchedule)
+            .catch(e => setError(`Falha ao carregar o agendamento de backups: ${e.message}`));
+    }, [loadBackups]);
+
+    const runAction = async (action: string, fn: () => Promise<void>) => {
+        setBusyAction(action);
+        setError(null);
+        setMessage(null);
+        try {
+            await fn();
+        } catch (e: any) {
+            setError(e.message);
+        } finally {
+            setBusyAction(null);
+        }
+    };
+
+    const handleCreate = () => runAction('create', async () => {
+        const result = await backupDatabase(currentUser.username);
+        setMessage(result.message);
+        await loadBackups();
+    });
+
+    const handleVerify = (backup: BackupInfo) => runAction(backup.id, async () => {
+        const result = await verifyBackup(backup.id);
+        if (result.valid) {
+            setMessage(`Backup ${backup.id} íntegro: checksum e contagem de registros conferem.`);
+        } else {
+            setError(`Backup ${backup.id} com problemas: ${result.errors.join(' ')}`);
+        }
+    });
+
+    const handleRestore = (backup: BackupInfo) => {
+        if (!window.confirm(`ATENÇÃO: Restaurar o backup de ${new Date(backup.createdAt).toLocaleString('pt-BR')} substituirá TODOS os dados atuais. Um backup dos dados atuais será criado antes. Deseja continuar?`)) return;
+        runAction(backup.id, async () => {
+            const result = await restoreDatabase(currentUser.username, backup.id);
+            const skipped = result.result && result.result.skippedTables.length > 0 ? ` Tabelas ignoradas: ${result.result.skippedTables.join(', ')}.` : '';
+            alert(`${result.message}${skipped} A aplicação será recarregada para refletir as mudanças.`);
+            window.location.reload();
+        });
+    };
+
+    const handleDelete = (backup: BackupInfo) => {
+        if (!window.confirm(`Excluir definitivamente o backup ${backup.id}?`)) return;
+        runAction(backup.id, async () => {
+            await deleteBackup(backup.id);
+            setMessage(`Backup ${backup.id} excluído.`);
+            await loadBackups();
+        });
+    };
+
+    const handleClear = () => {
+        if (!window.confirm("AVISO CRÍTICO: Zerar o banco de dados APAGARÁ TODOS os dados e configurações (exceto o usuário admin padrão, que será recriado). Um backup dos dados atuais será criado antes. Deseja realmente continuar?")) return;
+        runAction('clear', async () => {
+            const result = await clearDatabase(currentUser.username);
+            alert(result.message + " A aplicação será recarregada.");
+            window.location.reload();
+        });
+    };
+
+    const handleSaveSchedule = () => {
+        if (!schedule) return;
+        setScheduleErrors({});
+        runAction('schedule', async () => {
+            try {
+                setSchedule(await saveBackupSchedule(schedule));
+                setMessage('Agendamento de backups salvo.');
+            } catch (e: any) {
+                if (e instanceof ApiError && e.fieldErrors) setScheduleErrors(e.fieldErrors);
+                throw e;
+            }
+        });
+    };
+
+    const isBusy = busyAction !== null;
+
+    return (
+        <div className="space-y-8">
+            <div className="p-6 bg-gray-50 dark:bg-dark-bg rounded-lg border dark:border-dark-border">
+                <div className="flex flex-col sm:flex-row justify-between sm:items-center gap-3 mb-4">
+                    <h3 className="text-lg font-bold text-brand-secondary dark:text-dark-text-primary flex items-center gap-2">
+                        <Icon name="HardDrive" size={20} />
+                        Backups do Banco de Dados
+                    </h3>
+                    <div className="flex flex-wrap gap-3">
+                        <button
+                            type="button"
+                            onClick={handleCreate}
+                            disabled={isBusy}
+                            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:bg-gray-400 flex items-center gap-2 text-sm"
+                        >
+                            {busyAction === 'create' ? <Icon name="LoaderCircle" className="animate-spin" size={16} /> : <Icon name="SaveAll" size={16} />}
+                            Fazer Backup
+                        </button>
+                        <button
+                            type="button"
+                            onClick={handleClear}
+                            disabled={isBusy}
+                            className="bg-red-600 text-white px-4 py-2 rounded-lg hover:bg-red-700 disabled:bg-gray-400 flex items-center gap-2 text-sm"
+                        >
+                            {busyAction === 'clear' ? <Icon name="LoaderCircle" className="animate-spin" size={16} /> : <Icon name="Eraser" size={16} />}
+                            Zerar Banco
+                        </button>
+                    </div>
+                </div>
+                <p className="mb-4 text-sm text-gray-600 dark:text-dark-text-secondary">
+                    Cada backup contém todas as tabelas (usuários, equipamentos, licenças, histórico, auditoria e configurações) e um checksum que é conferido antes de qualquer restauração.
+                </p>
+
+                {error && <div className="mb-4 bg-red-100 border-l-4 border-red-500 text-red-700 p-4" role="alert"><p>{error}</p></div>}
+                {message && <div className="mb-4 bg-green-100 border-l-4 border-green-500 text-green-700 p-4" role="status"><p>{message}</p></div>}
+
+                {backups.length === 0 ? (
+                    <p className="flex items-center gap-2 text-red-700 dark:text-red-300 font-medium text-sm">
+                        <Icon name="TriangleAlert" size={16} /> Nenhum backup encontrado.
+                    </p>
+                ) : (
+                    <div className="overflow-x-auto border dark:border-dark-border rounded-lg">
+                        <table className="w-full text-sm text-left text-gray-700 dark:text-dark-text-secondary">
+                            <thead className="text-xs text-gray-800 dark:text-dark-text-primary uppercase bg-gray-100 dark:bg-gray-900/50">
+                                <tr>
+                                    <th scope="col" className="px-4 py-2">Data</th>
+                                    <th scope="col" className="px-4 py-2">Origem</th>
+                                    <th scope="col" className="px-4 py-2">Por</th>
+                                    <th scope="col" className="px-4 py-2">Tamanho</th>
+                                    <th scope="col" className="px-4 py-2">Registros</th>
+                                    <th scope="col" className="px-4 py-2 text-right">Ações</th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white dark:bg-dark-card">
+                                {backups.map(backup => (
+                                    <React.Fragment key={backup.id}>
+                                        <tr className="border-b dark:border-dark-border last:border-0">
+                                            <td className="px-4 py-2 whitespace-nowrap" title={backup.id}>{new Date(backup.createdAt).toLocaleString('pt-BR')}</td>
+                                            <td className="px-4 py-2 whitespace-nowrap">{backup.reason ? REASON_LABELS[backup.reason] : '-'}</td>
+                                            <td className="px-4 py-2 whitespace-nowrap">{backup.createdBy || '-'}</td>
+                                            <td className="px-4 py-2 whitespace-nowrap">{formatSize(backup.size)}</td>
+                                            <td className="px-4 py-2 whitespace-nowrap">
+                                                {backup.error ? (
+                                                    <span className="text-red-600 dark:text-red-400" title={backup.error}>Arquivo ilegível</span>
+                                                ) : (
+                                                    <button type="button" onClick={() => setExpandedId(expandedId === backup.id ? null : backup.id)} className="text-brand-primary hover:underline flex items-center gap-1">
+                                                        {totalRows(backup)} em {Object.keys(backup.rowCounts || {}).length} tabela(s)
+                                                        <Icon name={expandedId === backup.id ? 'ChevronUp' : 'ChevronDown'} size={14} />
+                                                    </button>
+                                                )}
+                                            </td>
+                                            <td className="px-4 py-2 whitespace-nowrap">
+                                                <div className="flex justify-end gap-2">
+                                                    {busyAction === backup.id && <Icon name="LoaderCircle" className="animate-spin" size={16} />}
+                                                    <button type="button" onClick={() => handleVerify(backup)} disabled={isBusy} title="Verificar integridade" className="text-gray-600 dark:text-dark-text-secondary hover:text-brand-primary disabled:opacity-50">
+                                                        <Icon name="ShieldCheck" size={16} />
+                                                    </button>
+                                                    <button type="button" onClick={() => handleRestore(backup)} disabled={isBusy || !!backup.error} title="Restaurar este backup" className="text-orange-500 hover:text-orange-600 disabled:opacity-50">
+                                                        <Icon name="RotateCw" size={16} />
+                                                    </button>
+                                                    <button type="button" onClick={() => handleDelete(backup)} disabled={isBusy} title="Excluir backup" className="text-red-500 hover:text-red-600 disabled:opacity-50">
+                                                        <Icon name="Trash2" size={16} />
+                                                    </button>
+                                                </div>
+                                            </td>
+                                        </tr>
+                                        {expandedId === backup.id && backup.rowCounts && (
+                                            <tr className="border-b dark:border-dark-border bg-gray-50 dark:bg-gray-900/30">
+                                                <td colSpan={6} className="px-4 py-2">
+                                                    <div className="flex flex-wrap gap-x-6 gap-y-1 text-xs">
+                                                        {Object.entries(backup.rowCounts).map(([table, count]) => (
+                                                            <span key={table}><code>{table}</code>: {count}</span>
+                                                        ))}
+                                                    </div>
+                                                    {backup.sha256 && <p className="text-xs mt-1 font-mono break-all text-gray-500">SHA-256: {backup.sha256}</p>}
+                                                </td>
+                                            </tr>
+                                        )}
+                                    </React.Fragment>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+
+            {schedule && (
+                <div className="p-6 bg-gray-50 dark:bg-dark-bg rounded-lg border dark:border-dark-border">
+                    <h3 className="text-lg font-bold text-brand-secondary dark:text-dark-text-primary mb-4 flex items-center gap-2">
+                        <Icon name="CalendarClock" size={20} />
+                        Backups Agendados
+                    </h3>
+                    <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-dark-text-secondary mb-4">
+                        <input
+                            type="checkbox"
+                            checked={schedule.enabled}
+                            onChange={(e) => setSchedule({ ...schedule, enabled: e.target.checked })}
+                            className="h-4 w-4 rounded text-brand-primary focus:ring-brand-primary"
+                        />
+                        Fazer backups automaticamente
+                    </label>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4 max-w-xl">
+                        <div>
+                            <label htmlFor="backupInterval" className="block text-sm font-medium text-gray-700 dark:text-dark-text-secondary mb-1">Intervalo (horas)</label>
+                            <input
+                                id="backupInterval"
+                                type="number"
+                                min={1}
+                                value={schedule.intervalHours}
+                                onChange={(e) => setSchedule({ ...schedule, intervalHours: Number(e.target.value) })}
+                                className={`p-2 w-full border rounded-md bg-white dark:bg-gray-800 ${scheduleErrors.intervalHours ? 'border-red-500' : 'dark:border-dark-border'}`}
+                            />
+                            <FieldError errors={scheduleErrors} name="intervalHours" />
+                        </div>
+                        <div>
+                            <label htmlFor="backupKeep" className="block text-sm font-medium text-gray-700 dark:text-dark-text-secondary mb-1">Manter os últimos</label>
+                            <input
+                                id="backupKeep"
+                                type="number"
+                                min={1}
+                                value={schedule.keep}
+                                onChange={(e) => setSchedule({ ...schedule, keep: Number(e.target.value) })}
+                                className={`p-2 w-full border rounded-md bg-white dark:bg-gray-800 ${scheduleErrors.keep ? 'border-red-500' : 'dark:border-dark-border'}`}
+                            />
+                            <FieldError errors={scheduleErrors} name="keep" />
+                        </div>
+                    </div>
+                    <p className="text-xs text-gray-500 dark:text-dark-text-secondary mt-2">
+                        A retenção vale apenas para os backups agendados; backups manuais e os criados antes de restaurar ou zerar só são removidos manualmente.
+                    </p>
+                    <button
+                        type="button"
+                        onClick={handleSaveSchedule}
+                        disabled={isBusy}
+                        className="mt-4 bg-brand-primary text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:bg-gray-400 flex items-center gap-2 text-sm"
+                    >
+                        {busyAction === 'schedule' ? <Icon name="LoaderCircle" className="animate-spin" size={16} /> : <Icon name="Save" size={16} />}
+                        Salvar Agendamento
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default BackupManager;
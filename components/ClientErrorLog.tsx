@@ -0,0 +1,150 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { ClientErrorEntry, ListQuery } from '../types';
+import { getClientErrorsPage, getClientErrorFilterOptions } from '../services/apiService';
+import Icon from './common/Icon';
+import Pagination from './common/Pagination';
+import useDebouncedValue from './common/useDebouncedValue';
+
+const TYPE_LABELS: Record<ClientErrorEntry['type'], string> = {
+    APP_ERROR: 'Erro da aplicação',
+    API_ERROR: 'Erro de comunicação',
+};
+
+const inputClass = 'p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800';
+
+// Erros capturados no navegador dos usuários pelo LogService e enviados à API
+const ClientErrorLog: React.FC = () => {
+    const [errors, setErrors] = useState<ClientErrorEntry[]>([]);
+    const [total, setTotal] = useState(0);
+    const [loading, setLoading] = useState(true);
+    const [loadError, setLoadError] = useState('');
+    const [searchTerm, setSearchTerm] = useState('');
+    const [filterUser, setFilterUser] = useState('');
+    const [filterType, setFilterType] = useState('');
+    const [dateFrom, setDateFrom] = useState('');
+    const [dateTo, setDateTo] = useState('');
+    const [page, setPage] = useState(1);
+    const [pageSize, setPageSize] = useState(25);
+    const [expandedId, setExpandedId] = useState<number | null>(null);
+    const [filterOptions, setFilterOptions] = useState<Record<string, string[]>>({});
+    const debouncedSearch = useDebouncedValue(searchTerm);
+
+    const query = useMemo<ListQuery>(() => ({
+        q: debouncedSearch.trim(),
+        username: filterUser,
+        type: filterType,
+        from: dateFrom,
+        to: dateTo,
+    }), [debouncedSearch, filterUser, filterType, dateFrom, dateTo]);
+
+    useEffect(() => {
+        setPage(1);
+    }, [query, pageSize]);
+
+    useEffect(() => {
+        let cancelled = false;
+        const fetchErrors = async () => {
+            setLoading(true);
+            setLoadError('');
+            try {
+                const result = await getClientErrorsPage({ ...query, page, pageSize });
+                if (cancelled) return;
+                setErrors(result.items);
+                setTotal(result.total);
+            } catch (err: any) {
+                if (cancelled) return;
+                setLoadError(err?.fieldErrors ? Object.values(err.fieldErrors).join(' ') : 'Falha ao carregar os erros do sistema.');
+            } finally {
+                if (!cancelled) setLoading(false);
+            }
+        };
+        fetchErrors();
+        return () => { cancelled = true; };
+    }, [query, page, pageSize]);
+
+    useEffect(() => {
+        getClientErrorFilterOptions()
+            .then(setFilterOptions)
+            .catch(err => console.error(err));
+    }, []);
+
+    return (
+        <div>
+            <p className="text-gray-600 dark:text-dark-text-secondary mb-4 text-sm">
+                Falhas que aconteceram no navegador dos usuários (telas que quebraram, promessas rejeitadas), com a página e o navegador em que ocorreram.
+            </p>
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6 p-4 border dark:border-dark-border rounded-lg bg-gray-50 dark:bg-dark-bg">
+                <input type="text" placeholder="Buscar na mensagem ou página..." value={searchTerm} onChange={(e) => setSearchTerm(e.target.value)} className={`${inputClass} md:col-span-2`} />
+                <select value={filterUser} onChange={(e) => setFilterUser(e.target.value)} className={inputClass}>
+                    <option value="">Todos os Usuários</option>
+                    {(filterOptions.username || []).map(username => <option key={username} value={username}>{username}</option>)}
+                </select>
+                <select value={filterType} onChange={(e) => setFilterType(e.target.value)} className={inputClass}>
+                    <option value="">Todos os Tipos</option>
+                    {(filterOptions.type || []).map(type => <option key={type} value={type}>{TYPE_LABELS[type as ClientErrorEntry['type']] || type}</option>)}
+                </select>
+                <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-dark-text-secondary">
+                    De
+                    <input type="date" value={dateFrom} max={dateTo || undefined} onChange={(e) => setDateFrom(e.target.value)} className={`flex-grow ${inputClass}`} />
+                </label>
+                <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-dark-text-secondary">
+                    Até
+                    <input type="date" value={dateTo} min={dateFrom || undefined} onChange={(e) => setDateTo(e.target.value)} className={`flex-grow ${inputClass}`} />
+                </label>
+            </div>
+
+            {loading && errors.length === 0 ? (
+                <div className="flex justify-center items-center py-10">
+                    <Icon name="LoaderCircle" className="animate-spin text-brand-primary" size={48} />
+                </div>
+            ) : loadError ? (
+                <div className="text-center py-10 text-red-500">{loadError}</div>
+            ) : (
+                <div className={`space-y-3 transition-opacity ${loading ? 'opacity-60' : ''}`}>
+                    {errors.map(entry => (
+                        <div key={entry.id} className="p-4 border dark:border-dark-border rounded-lg">
+                            <div className="flex flex-col sm:flex-row sm:justify-between gap-1">
+                                <div className="min-w-0">
+                                    <span className="font-bold text-brand-dark dark:text-dark-text-primary">{entry.username || '-'}</span>
+                                    <span className="ml-2 text-sm font-semibold text-red-500">{TYPE_LABELS[entry.type] || entry.type}</span>
+                                </div>
+                                <span className="text-xs text-gray-500 dark:text-dark-text-secondary whitespace-nowrap">
+                                    {new Date(entry.occurred_at || entry.created_at).toLocaleString('pt-BR')}
+                                </span>
+                            </div>
+                            <p className="text-sm text-gray-700 dark:text-dark-text-secondary mt-1 break-words">{entry.message}</p>
+                            {entry.url && <p className="text-xs text-gray-500 dark:text-dark-text-secondary mt-1 break-all">{entry.url}</p>}
+                            {(entry.stack || entry.user_agent) && (
+                                <button type="button" onClick={() => setExpandedId(expandedId === entry.id ? null : entry.id)} className="mt-2 text-xs text-brand-primary hover:underline flex items-center gap-1">
+                                    <Icon name={expandedId === entry.id ? 'ChevronUp' : 'ChevronDown'} size={14} /> Detalhes técnicos
+                                </button>
+                            )}
+                            {expandedId === entry.id && (
+                                <div className="mt-2 space-y-1">
+                                    {entry.user_agent && <p className="text-xs text-gray-500 dark:text-dark-text-secondary">{entry.user_agent}</p>}
+                                    {entry.stack && <pre className="p-2 max-h-64 overflow-auto bg-gray-50 dark:bg-gray-800 border dark:border-dark-border rounded text-xs whitespace-pre-wrap break-all">{entry.stack}</pre>}
+                                </div>
+                            )}
+                        </div>
+                    ))}
+                    {errors.length === 0 && (
+                        <div className="text-center py-10 text-gray-500 dark:text-dark-text-secondary">
+                            <Icon name="SearchX" size={48} className="mx-auto text-gray-400 mb-4" />
+                            <p>Nenhum erro registrado com os filtros atuais.</p>
+                        </div>
+                    )}
+                    <Pagination
+                        page={page}
+                        pageSize={pageSize}
+                        total={total}
+                        onPageChange={setPage}
+                        onPageSizeChange={setPageSize}
+                        disabled={loading}
+                    />
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ClientErrorLog;
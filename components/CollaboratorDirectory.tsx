@@ -0,0 +1,270 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { CollaboratorListItem, Offboarding, OffboardingStatus, User, UserRole } from '../types';
+import { getCollaborators, getOffboardings } from '../services/apiService';
+import Icon from './common/Icon';
+import CollaboratorFormModal from './CollaboratorFormModal';
+import CollaboratorProfile from './CollaboratorProfile';
+import CollaboratorMatchReview from './CollaboratorMatchReview';
+import OffboardingChecklist from './OffboardingChecklist';
+import { OFFBOARDING_STATUS_LABELS } from './common/collaboratorLabels';
+
+interface CollaboratorDirectoryProps {
+    currentUser: User;
+}
+
+type Tab = 'directory' | 'review' | 'offboardings';
+
+const TABS: { id: Tab; label: string; icon: 'Contact' | 'GitCompareArrows' | 'UserMinus' }[] = [
+    { id: 'directory', label: 'Colaboradores', icon: 'Contact' },
+    { id: 'review', label: 'Vínculos para Revisar', icon: 'GitCompareArrows' },
+    { id: 'offboardings', label: 'Desligamentos', icon: 'UserMinus' }
+];
+
+const inputClass = 'p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-800 dark:text-dark-text-primary';
+
+const normalize = (text: string) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+// Diretório de colaboradores: liga os responsáveis em texto livre do inventário às pessoas e acompanha os desligamentos
+const CollaboratorDirectory: React.FC<CollaboratorDirectoryProps> = ({ currentUser }) => {
+    const isAdmin = currentUser.role === UserRole.Admin;
+    const [tab, setTab] = useState<Tab>('directory');
+    const [collaborators, setCollaborators] = useState<CollaboratorListItem[]>([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [search, setSearch] = useState('');
+    const [activeFilter, setActiveFilter] = useState<'active' | 'inactive' | ''>('active');
+    const [profileId, setProfileId] = useState<number | null>(null);
+    const [isCreating, setIsCreating] = useState(false);
+    const [offboardings, setOffboardings] = useState<Offboarding[]>([]);
+    const [offboardingFilter, setOffboardingFilter] = useState<OffboardingStatus | ''>('open');
+    const [checklistId, setChecklistId] = useState<number | null>(null);
+
+    const loadCollaborators = useCallback(() => {
+        getCollaborators()
+            .then(setCollaborators)
+            .catch(e => setError(`Falha ao carregar os colaboradores: ${e.message}`))
+            .finally(() => setLoading(false));
+    }, []);
+
+    const loadOffboardings = useCallback(() => {
+        getOffboardings(offboardingFilter || undefined)
+            .then(setOffboardings)
+            .catch(e => setError(`Falha ao carregar os desligamentos: ${e.message}`));
+    }, [offboardingFilter]);
+
+    useEffect(() => {
+        loadCollaborators();
+    }, [loadCollaborators]);
+
+    useEffect(() => {
+        if (tab === 'offboardings') loadOffboardings();
+    }, [tab, loadOffboardings]);
+
+    if (profileId !== null) {
+        return (
+            <CollaboratorProfile
+                collaboratorId={profileId}
+                isAdmin={isAdmin}
+                onBack={() => {
+                    setProfileId(null);
+                    loadCollaborators();
+                }}
+            />
+        );
+    }
+
+    const term = normalize(search.trim());
+    const filtered = collaborators.filter(collaborator => {
+        if (activeFilter === 'active' && !collaborator.active) return false;
+        if (activeFilter === 'inactive' && collaborator.active) return false;
+        if (!term) return true;
+        return [collaborator.name, collaborator.email, collaborator.department, collaborator.manager, collaborator.cost_center]
+            .some(value => value && normalize(value).includes(term));
+    });
+
+    return (
+        <div className="bg-white dark:bg-dark-card p-4 sm:p-6 rounded-lg shadow-md space-y-6">
+            <div className="flex flex-col sm:flex-row justify-between items-start gap-4">
+                <div>
+                    <h2 className="text-2xl font-bold text-brand-dark dark:text-dark-text-primary">Colaboradores</h2>
+                    <p className="text-sm text-gray-600 dark:text-dark-text-secondary mt-1">
+                        Cada colaborador reúne os equipamentos e licenças registrados em seu nome, mesmo quando o nome foi escrito de formas diferentes.
+                        Nomes parecidos ou repetidos aguardam revisão antes de serem vinculados.
+                    </p>
+                </div>
+                {isAdmin && tab === 'directory' && (
+                    <button onClick={() => setIsCreating(true)} className="bg-brand-primary text-white px-4 py-2 rounded-lg hover:bg-blue-700 flex items-center gap-2 flex-shrink-0">
+                        <Icon name="UserPlus" size={18} /> Novo Colaborador
+                    </button>
+                )}
+            </div>
+
+            <div className="flex border-b dark:border-dark-border overflow-x-auto">
+                {TABS.map(item => (
+                    <button
+                        key={item.id}
+                        onClick={() => setTab(item.id)}
+                        className={`px-4 py-2 text-sm font-medium flex items-center gap-2 whitespace-nowrap ${tab === item.id ? 'border-b-2 border-brand-primary text-brand-primary' : 'text-gray-500 hover:text-gray-700 dark:text-gray-400'}`}
+                    >
+                        <Icon name={item.icon} size={16} /> {item.label}
+                    </button>
+                ))}
+            </div>
+
+            {error && <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-3 text-sm" role="alert">{error}</div>}
+
+            {tab === 'directory' && (
+                <>
+                    <div className="flex flex-col sm:flex-row gap-3">
+                        <input
+                            type="text"
+                            placeholder="Buscar por nome, e-mail, setor, gestor ou centro de custo"
+                            value={search}
+                            onChange={(e) => setSearch(e.target.value)}
+                            className={`${inputClass} flex-grow`}
+                        />
+                        <select value={activeFilter} onChange={(e) => setActiveFilter(e.target.value as typeof activeFilter)} className={inputClass}>
+                            <option value="active">Ativos</option>
+                            <option value="inactive">Inativos</option>
+                            <option value="">Todos</option>
+                        </select>
+                    </div>
+
+                    <div className="overflow-x-auto border dark:border-dark-border rounded-lg">
+                        <table className="w-full text-sm text-left text-gray-700 dark:text-dark-text-secondary">
+                            <thead className="text-xs text-gray-800 dark:text-dark-text-primary uppercase bg-gray-100 dark:bg-gray-900/50">
+                                <tr>
+                                    <th className="px-4 py-2">Colaborador</th>
+                                    <th className="px-4 py-2">Setor</th>
+                                    <th className="px-4 py-2">Gestor</th>
+                                    <th className="px-4 py-2">Centro de Custo</th>
+                                    <th className="px-4 py-2 text-center">Equipamentos</th>
+                                    <th className="px-4 py-2 text-center">Licenças</th>
+                                    <th className="px-4 py-2">Situação</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {filtered.map(collaborator => (
+                                    <tr
+                                        key={collaborator.id}
+                                        onClick={() => setProfileId(collaborator.id)}
+                                        className="border-b dark:border-dark-border last:border-0 cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-800/50"
+                                    >
+                                        <td className="px-4 py-2">
+                                            <span className="font-medium text-gray-900 dark:text-dark-text-primary">{collaborator.name}</span>
+                                            {collaborator.email && <span className="block text-xs text-gray-500">{collaborator.email}</span>}
+                                        </td>
+                                        <td className="px-4 py-2">{collaborator.department || '—'}</td>
+                                        <td className="px-4 py-2">{collaborator.manager || '—'}</td>
+                                        <td className="px-4 py-2">{collaborator.cost_center || '—'}</td>
+                                        <td className="px-4 py-2 text-center">{collaborator.equipmentCount}</td>
+                                        <td className="px-4 py-2 text-center">{collaborator.licenseCount}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap">
+                                            {collaborator.openOffboardingId ? (
+                                                <span className="px-2 py-1 rounded-full text-xs font-semibold bg-yellow-100 text-yellow-800 dark:bg-yellow-900/50 dark:text-yellow-200">Em desligamento</span>
+                                            ) : collaborator.active ? (
+                                                <span className="px-2 py-1 rounded-full text-xs font-semibold bg-green-100 text-green-800 dark:bg-green-900/50 dark:text-green-200">Ativo</span>
+                                            ) : (
+                                                <span className="px-2 py-1 rounded-full text-xs font-semibold bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300">Inativo</span>
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))}
+                                {!loading && filtered.length === 0 && (
+                                    <tr>
+                                        <td colSpan={7} className="px-4 py-6 text-center text-gray-500">
+                                            {collaborators.length === 0
+                                                ? 'Nenhum colaborador cadastrado. Use a aba "Vínculos para Revisar" para cadastrá-los a partir do inventário.'
+                                                : 'Nenhum colaborador encontrado.'}
+                                        </td>
+                                    </tr>
+                                )}
+                            </tbody>
+                        </table>
+                    </div>
+                </>
+            )}
+
+            {tab === 'review' && (
+                <CollaboratorMatchReview collaborators={collaborators} isAdmin={isAdmin} onChanged={loadCollaborators} />
+            )}
+
+            {tab === 'offboardings' && (
+                <>
+                    <select value={offboardingFilter} onChange={(e) => setOffboardingFilter(e.target.value as typeof offboardingFilter)} className={inputClass}>
+                        <option value="open">Em andamento</option>
+                        <option value="completed">Concluídos</option>
+                        <option value="cancelled">Cancelados</option>
+                        <option value="">Todos</option>
+                    </select>
+
+                    <div className="overflow-x-auto border dark:border-dark-border rounded-lg">
+                        <table className="w-full text-sm text-left text-gray-700 dark:text-dark-text-secondary">
+                            <thead className="text-xs text-gray-800 dark:text-dark-text-primary uppercase bg-gray-100 dark:bg-gray-900/50">
+                                <tr>
+                                    <th className="px-4 py-2">Colaborador</th>
+                                    <th className="px-4 py-2">Início</th>
+                                    <th className="px-4 py-2">Progresso</th>
+                                    <th className="px-4 py-2">Situação</th>
+                                    <th className="px-4 py-2 text-right">Ações</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {offboardings.map(offboarding => {
+                                    const status = OFFBOARDING_STATUS_LABELS[offboarding.status];
+                                    const done = offboarding.item_count - offboarding.pending_count;
+                                    return (
+                                        <tr key={offboarding.id} className="border-b dark:border-dark-border last:border-0">
+                                            <td className="px-4 py-2">
+                                                <button onClick={() => setProfileId(offboarding.collaborator_id)} className="font-medium text-brand-primary hover:underline">{offboarding.collaborator_name}</button>
+                                                {offboarding.collaborator_email && <span className="block text-xs text-gray-500">{offboarding.collaborator_email}</span>}
+                                            </td>
+                                            <td className="px-4 py-2 whitespace-nowrap">
+                                                {new Date(offboarding.started_at).toLocaleString('pt-BR')}
+                                                <span className="block text-xs text-gray-500">por {offboarding.started_by}</span>
+                                            </td>
+                                            <td className="px-4 py-2">{done}/{offboarding.item_count} itens</td>
+                                            <td className="px-4 py-2"><span className={`px-2 py-1 rounded-full text-xs font-semibold ${status.className}`}>{status.text}</span></td>
+                                            <td className="px-4 py-2 text-right">
+                                                <button onClick={() => setChecklistId(offboarding.id)} className="text-brand-primary hover:underline text-xs inline-flex items-center gap-1"><Icon name="ListChecks" size={14} /> Checklist</button>
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                                {offboardings.length === 0 && (
+                                    <tr><td colSpan={5} className="px-4 py-6 text-center text-gray-500">Nenhum desligamento encontrado.</td></tr>
+                                )}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    {checklistId !== null && (
+                        <OffboardingChecklist
+                            key={checklistId}
+                            offboardingId={checklistId}
+                            isAdmin={isAdmin}
+                            onClose={() => setChecklistId(null)}
+                            onChanged={() => {
+                                loadOffboardings();
+                                loadCollaborators();
+                            }}
+                        />
+                    )}
+                </>
+            )}
+
+            {isCreating && (
+                <CollaboratorFormModal
+                    onClose={() => setIsCreating(false)}
+                    onSaved={(collaborator) => {
+                        setIsCreating(false);
+                        loadCollaborators();
+                        setProfileId(collaborator.id);
+                    }}
+                />
+            )}
+        </div>
+    );
+};
+
+export default CollaboratorDirectory;
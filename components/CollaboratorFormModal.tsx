@@ -0,0 +1,102 @@
+import React, { useState } from 'react';
+import { Collaborator, CollaboratorInput } from '../types';
+import { createCollaborator, updateCollaborator, ApiError } from '../services/apiService';
+import Icon from './common/Icon';
+import FieldError from './common/FieldError';
+
+interface CollaboratorFormModalProps {
+    // Sem colaborador, o formulário cadastra um novo
+    collaborator?: Collaborator;
+    initialValues?: Partial<CollaboratorInput>;
+    onClose: () => void;
+    onSaved: (collaborator: Collaborator) => void;
+}
+
+const inputClass = 'w-full p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary';
+const labelClass = 'block text-sm font-medium text-gray-700 dark:text-dark-text-secondary mb-1';
+
+const FIELDS: { name: keyof Omit<CollaboratorInput, 'active'>; label: string; type?: string; required?: boolean }[] = [
+    { name: 'name', label: 'Nome *', required: true },
+    { name: 'email', label: 'E-mail', type: 'email' },
+    { name: 'department', label: 'Setor' },
+    { name: 'manager', label: 'Gestor' },
+    { name: 'cost_center', label: 'Centro de Custo' }
+];
+
+const CollaboratorFormModal: React.FC<CollaboratorFormModalProps> = ({ collaborator, initialValues, onClose, onSaved }) => {
+    const [form, setForm] = useState<CollaboratorInput>({
+        name: collaborator?.name || initialValues?.name || '',
+        email: collaborator?.email || initialValues?.email || '',
+        department: collaborator?.department || initialValues?.department || '',
+        manager: collaborator?.manager || initialValues?.manager || '',
+        cost_center: collaborator?.cost_center || initialValues?.cost_center || '',
+        active: collaborator ? collaborator.active : true
+    });
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState('');
+    const [fieldErrors, setFieldErrors] = useState<Record<string, string>>({});
+
+    const handleSubmit = async (e: React.FormEvent) => {
+        e.preventDefault();
+        setIsSaving(true);
+        setError('');
+        setFieldErrors({});
+        try {
+            onSaved(collaborator ? await updateCollaborator(collaborator.id, form) : await createCollaborator(form));
+        } catch (err: any) {
+            setFieldErrors(err instanceof ApiError && err.fieldErrors ? err.fieldErrors : {});
+            setError(err.message || 'Falha ao salvar o colaborador.');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-50 p-4">
+            <form onSubmit={handleSubmit} className="bg-white dark:bg-dark-card rounded-lg shadow-xl w-full max-w-lg">
+                <div className="p-4 border-b dark:border-dark-border flex justify-between items-center">
+                    <h3 className="text-lg font-bold text-brand-dark dark:text-dark-text-primary flex items-center gap-2">
+                        <Icon name="Contact" size={20} />
+                        {collaborator ? 'Editar Colaborador' : 'Novo Colaborador'}
+                    </h3>
+                    <button type="button" onClick={onClose} className="text-gray-500 hover:text-gray-800 dark:text-gray-400 dark:hover:text-white">
+                        <Icon name="X" size={24} />
+                    </button>
+                </div>
+
+                <div className="p-6 space-y-4">
+                    {error && <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded text-sm" role="alert">{error}</div>}
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                        {FIELDS.map(field => (
+                            <div key={field.name} className={field.name === 'name' ? 'sm:col-span-2' : ''}>
+                                <label className={labelClass}>{field.label}</label>
+                                <input
+                                    type={field.type || 'text'}
+                                    value={form[field.name] || ''}
+                                    onChange={(e) => setForm(prev => ({ ...prev, [field.name]: e.target.value }))}
+                                    className={inputClass}
+                                    required={field.required}
+                                />
+                                <FieldError errors={fieldErrors} name={field.name} />
+                            </div>
+                        ))}
+                    </div>
+                    <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-dark-text-secondary">
+                        <input type="checkbox" checked={form.active} onChange={(e) => setForm(prev => ({ ...prev, active: e.target.checked }))} />
+                        Colaborador ativo
+                    </label>
+                </div>
+
+                <div className="p-4 bg-gray-50 dark:bg-dark-card/50 border-t dark:border-dark-border flex justify-end gap-3">
+                    <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-300 dark:bg-gray-600 text-gray-800 dark:text-white rounded-md hover:bg-gray-400">Cancelar</button>
+                    <button type="submit" disabled={isSaving} className="px-4 py-2 bg-brand-primary text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400 flex items-center gap-2">
+                        {isSaving && <Icon name="LoaderCircle" className="animate-spin" size={16} />}
+                        Salvar
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+export default CollaboratorFormModal;
@@ -0,0 +1,302 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Collaborator, CollaboratorMatchingReport, CollaboratorMatchDecision, CollaboratorCandidateReason, CollaboratorInput } from '../types';
+import { getCollaboratorMatching, decideCollaboratorMatch, removeCollaboratorAlias, importCollaboratorsFromInventory } from '../services/apiService';
+import Icon from './common/Icon';
+import CollaboratorFormModal from './CollaboratorFormModal';
+import { CANDIDATE_REASON_LABELS, ITEM_TYPE_LABELS } from './common/collaboratorLabels';
+
+interface CollaboratorMatchReviewProps {
+    collaborators: Collaborator[];
+    isAdmin: boolean;
+    // Chamado quando vínculos ou cadastros mudam, para o diretório recarregar as contagens
+    onChanged: () => void;
+}
+
+const selectClass = 'p-1.5 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-800 dark:text-dark-text-primary text-sm max-w-xs';
+
+// Candidatos sugeridos primeiro; os demais colaboradores servem para apelidos que o sistema não reconhece
+const CollaboratorPicker: React.FC<{
+    candidates: (Collaborator & { reason: CollaboratorCandidateReason })[];
+    collaborators: Collaborator[];
+    value: string;
+    onChange: (value: string) => void;
+}> = ({ candidates, collaborators, value, onChange }) => {
+    const candidateIds = new Set(candidates.map(candidate => candidate.id));
+    const label = (collaborator: Collaborator) => [collaborator.name, collaborator.email || collaborator.department].filter(Boolean).join(' — ');
+    return (
+        <select value={value} onChange={(e) => onChange(e.target.value)} className={selectClass}>
+            <option value="">Escolha o colaborador...</option>
+            {candidates.length > 0 && (
+                <optgroup label="Sugeridos">
+                    {candidates.map(candidate => (
+                        <option key={candidate.id} value={candidate.id}>{label(candidate)} ({CANDIDATE_REASON_LABELS[candidate.reason]})</option>
+                    ))}
+                </optgroup>
+            )}
+            <optgroup label="Todos os colaboradores">
+                {collaborators.filter(collaborator => !candidateIds.has(collaborator.id)).map(collaborator => (
+                    <option key={collaborator.id} value={collaborator.id}>{label(collaborator)}</option>
+                ))}
+            </optgroup>
+        </select>
+    );
+};
+
+// Revisão dos responsáveis do inventário que não foram ligados automaticamente a um colaborador
+const CollaboratorMatchReview: React.FC<CollaboratorMatchReviewProps> = ({ collaborators, isAdmin, onChanged }) => {
+    const [report, setReport] = useState<CollaboratorMatchingReport | null>(null);
+    const [error, setError] = useState('');
+    const [message, setMessage] = useState('');
+    const [choices, setChoices] = useState<Record<string, string>>({});
+    const [selected, setSelected] = useState<Set<string>>(new Set());
+    const [isImporting, setIsImporting] = useState(false);
+    const [creating, setCreating] = useState<Partial<CollaboratorInput> | null>(null);
+
+    const load = useCallback(() => {
+        getCollaboratorMatching()
+            .then(setReport)
+            .catch(e => setError(`Falha ao carregar os vínculos: ${e.message}`));
+    }, []);
+
+    useEffect(() => {
+        load();
+    }, [load]);
+
+    const choose = (key: string, value: string) => setChoices(prev => ({ ...prev, [key]: value }));
+
+    const decide = async (decision: CollaboratorMatchDecision) => {
+        setError('');
+        setMessage('');
+        try {
+            setReport(await decideCollaboratorMatch(decision));
+            onChanged();
+        } catch (e: any) {
+            setError(e.message);
+        }
+    };
+
+    const handleIgnore = (holder: string) => {
+        if (!window.confirm(`Marcar "${holder}" como "não é colaborador" (ex.: estoque, setor ou sala)? Os registros escritos assim deixam de aparecer na revisão.`)) return;
+        decide({ holder, collaboratorId: null });
+    };
+
+    const handleUndoIgnore = async (aliasKey: string) => {
+        try {
+            await removeCollaboratorAlias(aliasKey);
+            load();
+        } catch (e: any) {
+            setError(e.message);
+        }
+    };
+
+    const handleImport = async (holderKeys?: string[]) => {
+        const count = holderKeys ? holderKeys.length : report?.unmatched.length || 0;
+        if (!window.confirm(`Cadastrar ${count} colaborador(es) a partir dos nomes do inventário?`)) return;
+        setIsImporting(true);
+        setError('');
+        setMessage('');
+        try {
+            const result = await importCollaboratorsFromInventory(holderKeys);
+            setMessage(`${result.created.length} colaborador(es) cadastrado(s).${result.skipped.length > 0 ? ` ${result.skipped.length} nome(s) parecido(s) com colaboradores já cadastrados foram deixados para revisão.` : ''}`);
+            setSelected(new Set());
+            load();
+            onChanged();
+        } catch (e: any) {
+            setError(e.message);
+        } finally {
+            setIsImporting(false);
+        }
+    };
+
+    const toggleSelected = (holderKey: string) => {
+        setSelected(prev => {
+            const next = new Set(prev);
+            if (next.has(holderKey)) next.delete(holderKey);
+            else next.add(holderKey);
+            return next;
+        });
+    };
+
+    if (!report) {
+        return error
+            ? <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-3 text-sm" role="alert">{error}</div>
+            : <div className="flex justify-center p-6"><Icon name="LoaderCircle" className="animate-spin text-brand-primary" size={32} /></div>;
+    }
+
+    const { counts } = report;
+
+    return (
+        <div className="space-y-6">
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-center">
+                <div className="p-3 rounded bg-green-50 dark:bg-green-900/20"><p className="text-2xl font-bold text-green-700 dark:text-green-300">{counts.linked}</p><p className="text-xs text-gray-500">Registros vinculados</p></div>
+                <div className="p-3 rounded bg-yellow-50 dark:bg-yellow-900/20"><p className="text-2xl font-bold text-yellow-700 dark:text-yellow-300">{counts.ambiguous}</p><p className="text-xs text-gray-500">Para revisar</p></div>
+                <div className="p-3 rounded bg-red-50 dark:bg-red-900/20"><p className="text-2xl font-bold text-red-700 dark:text-red-300">{counts.unmatched}</p><p className="text-xs text-gray-500">Sem correspondência</p></div>
+                <div className="p-3 rounded bg-gray-50 dark:bg-dark-bg"><p className="text-2xl font-bold">{counts.ignored}</p><p className="text-xs text-gray-500">Não são colaboradores</p></div>
+            </div>
+
+            {error && <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-3 text-sm" role="alert">{error}</div>}
+            {message && <div className="bg-green-100 border-l-4 border-green-500 text-green-700 p-3 text-sm" role="status">{message}</div>}
+
+            <div>
+                <h3 className="text-lg font-semibold text-brand-dark dark:text-dark-text-primary mb-1">Nomes Parecidos ou Repetidos</h3>
+                <p className="text-sm text-gray-600 dark:text-dark-text-secondary mb-3">
+                    Vincule a grafia a um colaborador para que todos os registros escritos assim passem a ser dele, ou vincule item a item quando
+                    houver colaboradores com o mesmo nome.
+                </p>
+                <div className="space-y-3">
+                    {report.ambiguous.map(group => {
+                        const holder = group.spellings[0];
+                        return (
+                            <div key={group.holderKey} className="border dark:border-dark-border rounded-lg p-4 space-y-3">
+                                <div className="flex flex-col md:flex-row md:justify-between md:items-center gap-2">
+                                    <div>
+                                        <p className="font-semibold text-gray-900 dark:text-dark-text-primary">{group.spellings.join(' / ')}</p>
+                                        <p className="text-xs text-gray-500">{group.items.length} registro(s) · {group.candidates.length} possível(is) colaborador(es)</p>
+                                    </div>
+                                    {isAdmin && (
+                                        <div className="flex flex-wrap items-center gap-2">
+                                            <CollaboratorPicker candidates={group.candidates} collaborators={collaborators} value={choices[group.holderKey] || ''} onChange={(value) => choose(group.holderKey, value)} />
+                                            <button
+                                                onClick={() => decide({ holder, collaboratorId: Number(choices[group.holderKey]) })}
+                                                disabled={!choices[group.holderKey]}
+                                                className="px-3 py-1.5 bg-brand-primary text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400 text-sm flex items-center gap-1"
+                                            >
+                                                <Icon name="Link" size={14} /> Vincular todos
+                                            </button>
+                                            <button onClick={() => handleIgnore(holder)} className="text-xs text-gray-600 dark:text-gray-300 hover:underline">Não é colaborador</button>
+                                        </div>
+                                    )}
+                                </div>
+                                <ul className="text-sm divide-y dark:divide-dark-border border-t dark:border-dark-border">
+                                    {group.items.map(item => {
+                                        const itemKey = `${item.itemType}-${item.itemId}`;
+                                        return (
+                                            <li key={itemKey} className="py-2 flex flex-col md:flex-row md:justify-between md:items-center gap-2">
+                                                <span>
+                                                    <span className="text-xs text-gray-500">{ITEM_TYPE_LABELS[item.itemType]}:</span> <strong>{item.name}</strong>
+                                                    {item.detail && <span className="text-gray-500"> ({item.detail})</span>}
+                                                    <span className="block text-xs text-gray-500">Registrado como "{item.holder}"{item.setor ? ` · Setor ${item.setor}` : ''}</span>
+                                                </span>
+                                                {isAdmin && (
+                                                    <span className="flex flex-wrap items-center gap-2">
+                                                        <CollaboratorPicker candidates={group.candidates} collaborators={collaborators} value={choices[itemKey] || ''} onChange={(value) => choose(itemKey, value)} />
+                                                        <button
+                                                            onClick={() => decide({ holder: item.holder, collaboratorId: Number(choices[itemKey]), itemType: item.itemType, itemId: item.itemId })}
+                                                            disabled={!choices[itemKey]}
+                                                            className="text-xs text-brand-primary hover:underline disabled:text-gray-400 disabled:no-underline"
+                                                        >
+                                                            Vincular só este
+                                                        </button>
+                                                    </span>
+                                                )}
+                                            </li>
+                                        );
+                                    })}
+                                </ul>
+                            </div>
+                        );
+                    })}
+                    {report.ambiguous.length === 0 && <p className="text-sm text-gray-500">Nenhum registro aguardando revisão.</p>}
+                </div>
+            </div>
+
+            <div>
+                <div className="flex flex-col md:flex-row md:justify-between md:items-end gap-2 mb-3">
+                    <div>
+                        <h3 className="text-lg font-semibold text-brand-dark dark:text-dark-text-primary mb-1">Sem Correspondência no Diretório</h3>
+                        <p className="text-sm text-gray-600 dark:text-dark-text-secondary">
+                            Responsáveis do inventário que não se parecem com nenhum colaborador. O cadastro usa o nome, e-mail, setor, gestor e centro de custo mais frequentes nos registros.
+                        </p>
+                    </div>
+                    {isAdmin && report.unmatched.length > 0 && (
+                        <div className="flex gap-2 flex-shrink-0">
+                            <button onClick={() => handleImport([...selected])} disabled={isImporting || selected.size === 0} className="px-3 py-1.5 bg-brand-primary text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400 text-sm flex items-center gap-1">
+                                <Icon name="UserPlus" size={14} /> Cadastrar selecionados ({selected.size})
+                            </button>
+                            <button onClick={() => handleImport()} disabled={isImporting} className="px-3 py-1.5 bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-white rounded-md hover:bg-gray-300 disabled:opacity-50 text-sm flex items-center gap-1">
+                                {isImporting ? <Icon name="LoaderCircle" className="animate-spin" size={14} /> : <Icon name="Users" size={14} />} Cadastrar todos
+                            </button>
+                        </div>
+                    )}
+                </div>
+                <div className="overflow-x-auto border dark:border-dark-border rounded-lg">
+                    <table className="w-full text-sm text-left text-gray-700 dark:text-dark-text-secondary">
+                        <thead className="text-xs text-gray-800 dark:text-dark-text-primary uppercase bg-gray-100 dark:bg-gray-900/50">
+                            <tr>
+                                {isAdmin && <th className="px-4 py-2 w-8"></th>}
+                                <th className="px-4 py-2">Como aparece</th>
+                                <th className="px-4 py-2">Registros</th>
+                                <th className="px-4 py-2">Cadastro sugerido</th>
+                                {isAdmin && <th className="px-4 py-2 text-right">Ações</th>}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {report.unmatched.map(group => (
+                                <tr key={group.holderKey} className="border-b dark:border-dark-border last:border-0">
+                                    {isAdmin && (
+                                        <td className="px-4 py-2"><input type="checkbox" checked={selected.has(group.holderKey)} onChange={() => toggleSelected(group.holderKey)} /></td>
+                                    )}
+                                    <td className="px-4 py-2 font-medium text-gray-900 dark:text-dark-text-primary">{group.spellings.join(' / ')}</td>
+                                    <td className="px-4 py-2">{group.itemCount}</td>
+                                    <td className="px-4 py-2 text-xs">
+                                        {group.suggestion.name}
+                                        <span className="block text-gray-500">{[group.suggestion.email, group.suggestion.department, group.suggestion.manager && `Gestor: ${group.suggestion.manager}`].filter(Boolean).join(' · ')}</span>
+                                    </td>
+                                    {isAdmin && (
+                                        <td className="px-4 py-2">
+                                            <div className="flex justify-end flex-wrap items-center gap-2 text-xs">
+                                                <CollaboratorPicker candidates={[]} collaborators={collaborators} value={choices[group.holderKey] || ''} onChange={(value) => choose(group.holderKey, value)} />
+                                                <button
+                                                    onClick={() => decide({ holder: group.spellings[0], collaboratorId: Number(choices[group.holderKey]) })}
+                                                    disabled={!choices[group.holderKey]}
+                                                    className="text-brand-primary hover:underline disabled:text-gray-400 disabled:no-underline"
+                                                >
+                                                    Vincular
+                                                </button>
+                                                <button onClick={() => setCreating({ ...group.suggestion, active: true })} className="text-brand-primary hover:underline">Cadastrar...</button>
+                                                <button onClick={() => handleIgnore(group.spellings[0])} className="text-gray-600 dark:text-gray-300 hover:underline">Não é colaborador</button>
+                                            </div>
+                                        </td>
+                                    )}
+                                </tr>
+                            ))}
+                            {report.unmatched.length === 0 && (
+                                <tr><td colSpan={isAdmin ? 5 : 3} className="px-4 py-6 text-center text-gray-500">Todos os responsáveis do inventário correspondem a um colaborador.</td></tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+
+            {report.ignored.length > 0 && (
+                <div>
+                    <h3 className="text-lg font-semibold text-brand-dark dark:text-dark-text-primary mb-2">Não São Colaboradores</h3>
+                    <ul className="flex flex-wrap gap-2 text-sm">
+                        {report.ignored.map(alias => (
+                            <li key={alias.alias_key} className="px-3 py-1 rounded-full bg-gray-100 dark:bg-gray-700 flex items-center gap-2" title={`Marcado por ${alias.created_by}`}>
+                                {alias.alias}
+                                {isAdmin && (
+                                    <button onClick={() => handleUndoIgnore(alias.alias_key)} className="text-gray-500 hover:text-red-600" title="Desfazer"><Icon name="X" size={14} /></button>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+
+            {creating && (
+                <CollaboratorFormModal
+                    initialValues={creating}
+                    onClose={() => setCreating(null)}
+                    onSaved={() => {
+                        setCreating(null);
+                        load();
+                        onChanged();
+                    }}
+                />
+            )}
+        </div>
+    );
+};
+
+export default CollaboratorMatchReview;
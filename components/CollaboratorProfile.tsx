@@ -0,0 +1,294 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { CollaboratorProfile as Profile } from '../types';
+import { getCollaboratorProfile, startOffboarding, removeCollaboratorAlias, ApiError } from '../services/apiService';
+import Icon from './common/Icon';
+import FieldError from './common/FieldError';
+import CollaboratorFormModal from './CollaboratorFormModal';
+import OffboardingChecklist from './OffboardingChecklist';
+import { MATCH_REASON_LABELS, CANDIDATE_REASON_LABELS, ITEM_TYPE_LABELS, OFFBOARDING_STATUS_LABELS } from './common/collaboratorLabels';
+
+interface CollaboratorProfileProps {
+    collaboratorId: number;
+    isAdmin: boolean;
+    onBack: () => void;
+}
+
+const inputClass = 'w-full p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary';
+const sectionTitleClass = 'text-lg font-semibold text-brand-dark dark:text-dark-text-primary mb-2 flex items-center gap-2';
+const tableClass = 'w-full text-sm text-left text-gray-700 dark:text-dark-text-secondary';
+const theadClass = 'text-xs text-gray-800 dark:text-dark-text-primary uppercase bg-gray-100 dark:bg-gray-900/50';
+
+const EmptyRow: React.FC<{ colSpan: number; text: string }> = ({ colSpan, text }) => (
+    <tr><td colSpan={colSpan} className="px-4 py-6 text-center text-gray-500">{text}</td></tr>
+);
+
+// Perfil do colaborador: tudo o que está com ele no inventário, as grafias vinculadas e os desligamentos
+const CollaboratorProfile: React.FC<CollaboratorProfileProps> = ({ collaboratorId, isAdmin, onBack }) => {
+    const [profile, setProfile] = useState<Profile | null>(null);
+    const [error, setError] = useState('');
+    const [isEditing, setIsEditing] = useState(false);
+    const [offboardingForm, setOffboardingForm] = useState<{ notes: string } | null>(null);
+    const [offboardingErrors, setOffboardingErrors] = useState<Record<string, string>>({});
+    const [isStarting, setIsStarting] = useState(false);
+    const [openOffboardingId, setOpenOffboardingId] = useState<number | null>(null);
+
+    const load = useCallback(() => {
+        getCollaboratorProfile(collaboratorId)
+            .then(setProfile)
+            .catch(e => setError(`Falha ao carregar o colaborador: ${e.message}`));
+    }, [collaboratorId]);
+
+    useEffect(() => {
+        load();
+    }, [load]);
+
+    const handleStartOffboarding = async (e: React.FormEvent) => {
+        e.preventDefault();
+        if (!offboardingForm) return;
+        setIsStarting(true);
+        setError('');
+        setOffboardingErrors({});
+        try {
+            const detail = await startOffboarding(collaboratorId, offboardingForm.notes || undefined);
+            setOffboardingForm(null);
+            setOpenOffboardingId(detail.offboarding.id);
+            load();
+        } catch (err: any) {
+            setOffboardingErrors(err instanceof ApiError && err.fieldErrors ? err.fieldErrors : {});
+            setError(err.message);
+        } finally {
+            setIsStarting(false);
+        }
+    };
+
+    const handleRemoveAlias = async (aliasKey: string, alias: string) => {
+        if (!window.confirm(`Desvincular a grafia "${alias}"? Os registros escritos assim voltam para a revisão, se não corresponderem ao colaborador por nome ou e-mail.`)) return;
+        try {
+            await removeCollaboratorAlias(aliasKey);
+            load();
+        } catch (e: any) {
+            setError(e.message);
+        }
+    };
+
+    if (!profile) {
+        return (
+            <div className="bg-white dark:bg-dark-card p-6 rounded-lg shadow-md">
+                <button onClick={onBack} className="text-brand-primary hover:underline text-sm flex items-center gap-1 mb-4"><Icon name="ArrowLeft" size={16} /> Voltar ao diretório</button>
+                {error ? <p className="text-sm text-red-600">{error}</p> : <Icon name="LoaderCircle" className="animate-spin text-brand-primary" size={32} />}
+            </div>
+        );
+    }
+
+    const { collaborator, equipment, licenses, possibleMatches, aliases, offboardings } = profile;
+    const hasOpenOffboarding = offboardings.some(offboarding => offboarding.status === 'open');
+    const details: [string, string | null][] = [
+        ['E-mail', collaborator.email],
+        ['Setor', collaborator.department],
+        ['Gestor', collaborator.manager],
+        ['Centro de Custo', collaborator.cost_center]
+    ];
+
+    return (
+        <div className="bg-white dark:bg-dark-card p-4 sm:p-6 rounded-lg shadow-md space-y-6">
+            <button onClick={onBack} className="text-brand-primary hover:underline text-sm flex items-center gap-1"><Icon name="ArrowLeft" size={16} /> Voltar ao diretório</button>
+
+            <div className="flex flex-col sm:flex-row justify-between items-start gap-4">
+                <div>
+                    <h2 className="text-2xl font-bold text-brand-dark dark:text-dark-text-primary flex items-center gap-2">
+                        {collaborator.name}
+                        {collaborator.active ? (
+                            <span className="px-2 py-1 rounded-full text-xs font-semibold bg-green-100 text-green-800 dark:bg-green-900/50 dark:text-green-200">Ativo</span>
+                        ) : (
+                            <span className="px-2 py-1 rounded-full text-xs font-semibold bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300">Inativo</span>
+                        )}
+                    </h2>
+                    <dl className="grid grid-cols-1 sm:grid-cols-2 gap-x-8 gap-y-1 mt-2 text-sm">
+                        {details.map(([label, value]) => (
+                            <div key={label} className="flex gap-2">
+                                <dt className="text-gray-500 dark:text-dark-text-secondary">{label}:</dt>
+                                <dd className="text-gray-900 dark:text-dark-text-primary">{value || '—'}</dd>
+                            </div>
+                        ))}
+                    </dl>
+                </div>
+                {isAdmin && (
+                    <div className="flex flex-wrap gap-2">
+                        <button onClick={() => setIsEditing(true)} className="px-4 py-2 bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-white rounded-md hover:bg-gray-300 flex items-center gap-2 text-sm"><Icon name="Pencil" size={16} /> Editar</button>
+                        {!hasOpenOffboarding && (
+                            <button onClick={() => setOffboardingForm({ notes: '' })} className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 flex items-center gap-2 text-sm"><Icon name="UserMinus" size={16} /> Iniciar Desligamento</button>
+                        )}
+                    </div>
+                )}
+            </div>
+
+            {error && <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-3 text-sm" role="alert">{error}</div>}
+
+            {offboardingForm && (
+                <form onSubmit={handleStartOffboarding} className="p-4 bg-red-50 dark:bg-red-900/20 border-l-4 border-red-500 rounded space-y-3">
+                    <p className="text-sm text-gray-700 dark:text-dark-text-secondary">
+                        O checklist incluirá os {equipment.length} equipamento(s) e {licenses.length} licença(s) listados abaixo.
+                        Ao resolver o último item, o colaborador é marcado como inativo.
+                    </p>
+                    <div>
+                        <textarea
+                            value={offboardingForm.notes}
+                            onChange={(e) => setOffboardingForm({ notes: e.target.value })}
+                            rows={2}
+                            className={inputClass}
+                            placeholder="Observações (ex.: último dia 30/11, devolução na filial)"
+                        />
+                        <FieldError errors={offboardingErrors} name="notes" />
+                    </div>
+                    <div className="flex justify-end gap-3">
+                        <button type="button" onClick={() => setOffboardingForm(null)} className="px-4 py-2 bg-gray-300 dark:bg-gray-600 text-gray-800 dark:text-white rounded-md hover:bg-gray-400 text-sm">Cancelar</button>
+                        <button type="submit" disabled={isStarting} className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 disabled:bg-gray-400 flex items-center gap-2 text-sm">
+                            {isStarting && <Icon name="LoaderCircle" className="animate-spin" size={16} />}
+                            Iniciar Desligamento
+                        </button>
+                    </div>
+                </form>
+            )}
+
+            {openOffboardingId !== null && (
+                <OffboardingChecklist key={openOffboardingId} offboardingId={openOffboardingId} isAdmin={isAdmin} onClose={() => setOpenOffboardingId(null)} onChanged={load} />
+            )}
+
+            <div>
+                <h3 className={sectionTitleClass}><Icon name="Computer" size={18} /> Equipamentos ({equipment.length})</h3>
+                <div className="overflow-x-auto border dark:border-dark-border rounded-lg">
+                    <table className={tableClass}>
+                        <thead className={theadClass}>
+                            <tr>
+                                <th className="px-4 py-2">Equipamento</th>
+                                <th className="px-4 py-2">Patrimônio / Serial</th>
+                                <th className="px-4 py-2">Local</th>
+                                <th className="px-4 py-2">Entregue em</th>
+                                <th className="px-4 py-2">Vínculo</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {equipment.map(item => (
+                                <tr key={item.id} className="border-b dark:border-dark-border last:border-0">
+                                    <td className="px-4 py-2 font-medium text-gray-900 dark:text-dark-text-primary">
+                                        {item.equipamento}
+                                        <span className="block text-xs text-gray-500">{[item.brand, item.model].filter(Boolean).join(' ')}</span>
+                                    </td>
+                                    <td className="px-4 py-2">{item.patrimonio || '—'}<span className="block text-xs text-gray-500">{item.serial}</span></td>
+                                    <td className="px-4 py-2">{item.local || '—'}</td>
+                                    <td className="px-4 py-2 whitespace-nowrap">{item.dataEntregaUsuario || '—'}</td>
+                                    <td className="px-4 py-2 text-xs" title={`Registrado como "${item.usuarioAtual}"`}>{MATCH_REASON_LABELS[item.matchReason]}</td>
+                                </tr>
+                            ))}
+                            {equipment.length === 0 && <EmptyRow colSpan={5} text="Nenhum equipamento com este colaborador." />}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+
+            <div>
+                <h3 className={sectionTitleClass}><Icon name="ScrollText" size={18} /> Licenças ({licenses.length})</h3>
+                <div className="overflow-x-auto border dark:border-dark-border rounded-lg">
+                    <table className={tableClass}>
+                        <thead className={theadClass}>
+                            <tr>
+                                <th className="px-4 py-2">Produto</th>
+                                <th className="px-4 py-2">Chave / Serial</th>
+                                <th className="px-4 py-2">Expiração</th>
+                                <th className="px-4 py-2">Computador</th>
+                                <th className="px-4 py-2">Vínculo</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {licenses.map(item => (
+                                <tr key={item.id} className="border-b dark:border-dark-border last:border-0">
+                                    <td className="px-4 py-2 font-medium text-gray-900 dark:text-dark-text-primary">
+                                        {item.produto}
+                                        {item.tipoLicenca && <span className="block text-xs text-gray-500">{item.tipoLicenca}</span>}
+                                    </td>
+                                    <td className="px-4 py-2 font-mono text-xs">{item.chaveSerial}</td>
+                                    <td className="px-4 py-2 whitespace-nowrap">{item.dataExpiracao || '—'}</td>
+                                    <td className="px-4 py-2">{item.nomeComputador || '—'}</td>
+                                    <td className="px-4 py-2 text-xs" title={`Registrado como "${item.usuario}"`}>{MATCH_REASON_LABELS[item.matchReason]}</td>
+                                </tr>
+                            ))}
+                            {licenses.length === 0 && <EmptyRow colSpan={5} text="Nenhuma licença atribuída a este colaborador." />}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+
+            {possibleMatches.length > 0 && (
+                <div className="p-4 bg-yellow-50 dark:bg-yellow-900/20 border-l-4 border-yellow-500 rounded">
+                    <h3 className="font-semibold text-yellow-800 dark:text-yellow-200 flex items-center gap-2"><Icon name="TriangleAlert" size={18} /> Possivelmente deste colaborador</h3>
+                    <p className="text-xs text-gray-600 dark:text-dark-text-secondary mb-2">Registros com nome parecido aguardando revisão na aba "Vínculos para Revisar" do diretório.</p>
+                    <ul className="text-sm space-y-1">
+                        {possibleMatches.map(item => (
+                            <li key={`${item.itemType}-${item.itemId}`}>
+                                {ITEM_TYPE_LABELS[item.itemType]}: <strong>{item.name}</strong> {item.detail && `(${item.detail})`} — registrado como "{item.holder}"
+                                <span className="text-xs text-gray-500"> · {CANDIDATE_REASON_LABELS[item.reason]}</span>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                <div>
+                    <h3 className={sectionTitleClass}><Icon name="Link" size={18} /> Grafias Vinculadas</h3>
+                    {aliases.length === 0 ? (
+                        <p className="text-sm text-gray-500">Nenhuma grafia vinculada na revisão. Registros com o mesmo nome ou e-mail são reconhecidos automaticamente.</p>
+                    ) : (
+                        <ul className="text-sm divide-y dark:divide-dark-border border dark:border-dark-border rounded-lg">
+                            {aliases.map(alias => (
+                                <li key={alias.alias_key} className="px-4 py-2 flex justify-between items-center gap-2">
+                                    <span>
+                                        <span className="font-medium text-gray-900 dark:text-dark-text-primary">{alias.alias}</span>
+                                        <span className="block text-xs text-gray-500">por {alias.created_by} em {new Date(alias.created_at).toLocaleString('pt-BR')}</span>
+                                    </span>
+                                    {isAdmin && (
+                                        <button onClick={() => handleRemoveAlias(alias.alias_key, alias.alias)} className="text-red-600 hover:underline text-xs flex items-center gap-1"><Icon name="Unlink" size={14} /> Desvincular</button>
+                                    )}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+                <div>
+                    <h3 className={sectionTitleClass}><Icon name="UserMinus" size={18} /> Desligamentos</h3>
+                    {offboardings.length === 0 ? (
+                        <p className="text-sm text-gray-500">Nenhum desligamento registrado.</p>
+                    ) : (
+                        <ul className="text-sm divide-y dark:divide-dark-border border dark:border-dark-border rounded-lg">
+                            {offboardings.map(offboarding => {
+                                const status = OFFBOARDING_STATUS_LABELS[offboarding.status];
+                                return (
+                                    <li key={offboarding.id} className="px-4 py-2 flex justify-between items-center gap-2">
+                                        <span>
+                                            <span className={`px-2 py-1 rounded-full text-xs font-semibold ${status.className}`}>{status.text}</span>
+                                            <span className="ml-2">{new Date(offboarding.started_at).toLocaleDateString('pt-BR')} · {offboarding.item_count - offboarding.pending_count}/{offboarding.item_count} itens</span>
+                                        </span>
+                                        <button onClick={() => setOpenOffboardingId(offboarding.id)} className="text-brand-primary hover:underline text-xs flex items-center gap-1"><Icon name="ListChecks" size={14} /> Checklist</button>
+                                    </li>
+                                );
+                            })}
+                        </ul>
+                    )}
+                </div>
+            </div>
+
+            {isEditing && (
+                <CollaboratorFormModal
+                    collaborator={collaborator}
+                    onClose={() => setIsEditing(false)}
+                    onSaved={() => {
+                        setIsEditing(false);
+                        load();
+                    }}
+                />
+            )}
+        </div>
+    );
+};
+
+export default CollaboratorProfile;
@@ -6,6 +6,8 @@ import { Equipment, License, Page, User, UserRole, AppSettings } from '../types'
 import Icon from './common/Icon';
 
 const ApprovalQueue = lazy(() => import('./ApprovalQueue'));
+const MyChangeRequests = lazy(() => import('./MyChangeRequests'));
+const LifecycleAnalytics = lazy(() => import('./LifecycleAnalytics'));
 
 interface DashboardProps {
     setActivePage: (page: Page) => void;
@@ -75,8 +77,8 @@ const Dashboard: React.FC<DashboardProps> = ({setActivePage, currentUser}) => {
     try {
       setLoading(true);
       const [equipmentData, licensesData, settingsData] = await Promise.all([
-        getEquipment(currentUser),
-        getLicenses(currentUser),
+        getEquipment(),
+        getLicenses(),
         currentUser.role === UserRole.Admin ? getSettings() : Promise.resolve({})
       ]);
       setEquipment(equipmentData);
@@ -158,6 +160,11 @@ const Dashboard: React.FC<DashboardProps> = ({setActivePage, currentUser}) => {
             <InventoryStatusPanel settings={settings} setActivePage={setActivePage} />
           </Suspense>
        )}
+       {currentUser.role !== UserRole.Admin && (
+          <Suspense fallback={null}>
+            <MyChangeRequests />
+          </Suspense>
+       )}
       <h2 className="text-3xl font-bold text-brand-dark dark:text-dark-text-primary mt-6">Dashboard</h2>
       <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6">
         <StatCard icon="Computer" title="Total de Itens" value={totalEquipment} color="bg-blue-500" onClick={() => setActivePage('Inventário de Equipamentos')} />
@@ -200,6 +207,10 @@ const Dashboard: React.FC<DashboardProps> = ({setActivePage, currentUser}) => {
           </ResponsiveContainer>
         </div>
       </div>
+
+      <Suspense fallback={null}>
+        <LifecycleAnalytics />
+      </Suspense>
     </div>
   );
 };
@@ -1,158 +1,31 @@
-import React, { useState, useRef, useMemo } from 'react';
-import { User, Equipment } from '../types';
+import React, { useState, useMemo } from 'react';
+import { User, UserRole, Equipment } from '../types';
 import Icon from './common/Icon';
+import ImportMapper, { MappedImport } from './common/ImportMapper';
+import { IMPORTABLE_EQUIPMENT_FIELD_LABELS } from './common/equipmentFields';
 import { importEquipment } from '../services/apiService';
 
 type PartialEquipment = Partial<Equipment>;
 
-const FileUploadBox: React.FC<{
-    title: string;
-    icon: any;
-    file: File | null;
-    onFileChange: (event: React.ChangeEvent<HTMLInputElement>) => void;
-    isLoading: boolean;
-}> = ({ title, icon, file, onFileChange, isLoading }) => {
-    const inputRef = useRef<HTMLInputElement>(null);
-
-    return (
-        <div className="bg-white dark:bg-dark-card p-6 rounded-lg shadow-md border-l-4 border-brand-primary">
-            <div className="flex items-center mb-3">
-                <Icon name={icon} size={24} className="text-brand-primary mr-3" />
-                <h3 className="text-xl font-bold text-brand-secondary dark:text-dark-text-primary">{title}</h3>
-            </div>
-            <input
-                type="file"
-                ref={inputRef}
-                onChange={onFileChange}
-                accept=".csv"
-                className="hidden"
-                disabled={isLoading}
-            />
-            <button
-                onClick={() => inputRef.current?.click()}
-                disabled={isLoading}
-                className="w-full bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-dark-text-secondary px-4 py-3 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-600 flex items-center justify-center gap-2 transition-colors disabled:opacity-50"
-            >
-                <Icon name="Upload" size={18} />
-                <span>{file ? 'Trocar Arquivo' : 'Selecionar Arquivo CSV'}</span>
-            </button>
-            {file && (
-                <div className="mt-3 text-sm text-gray-600 dark:text-dark-text-secondary">
-                    <p><strong>Arquivo:</strong> {file.name}</p>
-                </div>
-            )}
-        </div>
-    );
-};
-
 const DataConsolidation: React.FC<{ currentUser: User }> = ({ currentUser }) => {
-    const [baseFile, setBaseFile] = useState<File | null>(null);
-    const [absoluteFile, setAbsoluteFile] = useState<File | null>(null);
+    const [baseImport, setBaseImport] = useState<MappedImport | null>(null);
+    const [absoluteImport, setAbsoluteImport] = useState<MappedImport | null>(null);
     const [consolidatedData, setConsolidatedData] = useState<PartialEquipment[]>([]);
     const [isLoading, setIsLoading] = useState(false);
     const [isSaving, setIsSaving] = useState(false);
     const [error, setError] = useState<string | null>(null);
     const [searchTerm, setSearchTerm] = useState('');
 
-    const splitCsvLine = (line: string, separator: string): string[] => {
-        const result: string[] = [];
-        let current = '';
-        let inQuote = false;
-        for (let i = 0; i < line.length; i++) {
-            const char = line[i];
-            if (char === '"') {
-                inQuote = !inQuote;
-            } else if (char === separator && !inQuote) {
-                result.push(current.trim().replace(/^"|"$/g, ''));
-                current = '';
-            } else {
-                current += char;
-            }
-        }
-        result.push(current.trim().replace(/^"|"$/g, ''));
-        return result;
-    };
-
-    const parseCsv = (fileText: string, mappings: { [key: string]: keyof Equipment }): PartialEquipment[] => {
-        const cleanText = fileText.replace(/^\uFEFF/, ''); // Remove BOM
-        const lines = cleanText.trim().split(/\r\n|\n/);
-        if (lines.length < 2) throw new Error("O arquivo CSV deve conter um cabeçalho e pelo menos uma linha de dados.");
-
-        const headerLine = lines[0].endsWith(',') || lines[0].endsWith(';') ? lines[0].slice(0, -1) : lines[0];
-        // Auto-detect separator by checking which is more prevalent in the header
-        const separator = (headerLine.match(/;/g) || []).length > (headerLine.match(/,/g) || []).length ? ';' : ',';
-        const header = splitCsvLine(headerLine, separator).map(h => h.trim().toUpperCase());
-        const rows = lines.slice(1);
-
-        return rows.map(row => {
-            if (!row.trim()) return null;
-
-            const values = splitCsvLine(row, separator);
-            const entry: PartialEquipment = {};
-
-            header.forEach((colName, index) => {
-                const normalizedColName = colName.replace(/[\s/]+/g, '').toUpperCase();
-                const mappedKey = mappings[normalizedColName] || mappings[colName.toUpperCase()];
-                if (mappedKey && index < values.length) {
-                    (entry as any)[mappedKey] = values[index]?.trim() || '';
-                }
-            });
-
-            // Enforce that the serial number must exist and be non-empty for an item to be valid.
-            if (!entry.serial || entry.serial.trim() === '') {
-                return null;
-            }
-            return entry;
-        }).filter((item): item is PartialEquipment => item !== null);
-    };
-
     const handleConsolidate = async () => {
-        if (!baseFile || !absoluteFile) return;
+        if (!baseImport || !absoluteImport) return;
 
         setIsLoading(true);
         setError(null);
         setConsolidatedData([]);
 
         try {
-            const baseText = await baseFile.text();
-            const absoluteText = await absoluteFile.text();
-            
-            const baseMappings: { [key: string]: keyof Equipment } = {
-                'EQUIPAMENTO': 'equipamento', 'GARANTIA': 'garantia', 'PATRIMONIO': 'patrimonio', 'SERIAL': 'serial',
-                'USUARIOATUAL': 'usuarioAtual', 'USUARIOANTERIOR': 'usuarioAnterior', 'LOCAL': 'local', 'SETOR': 'setor',
-                'DATAENTREGAOUSUARIO': 'dataEntregaUsuario', 'STATUS': 'status', 'DATADEDEVOLUCAO': 'dataDevolucao',
-                'TIPO': 'tipo', 'NOTADECOMPRA': 'notaCompra', 'NOTAPLKM': 'notaPlKm',
-                'TERMODERESPONSABILIDADE': 'termoResponsabilidade', 'FOTO': 'foto', 'QRCODE': 'qrCode',
-                'MARCA': 'brand', 'MODELO': 'model', 'EMAILCOLABORADOR': 'emailColaborador',
-                'IDENTIFICADOR': 'identificador', 'NOMESO': 'nomeSO', 'MEMORIAFISICATOTAL': 'memoriaFisicaTotal', 
-                'GRUPODEPOLITICAS': 'grupoPoliticas', 'PAIS': 'pais', 'CIDADE': 'cidade', 'ESTADOPROVINCIA': 'estadoProvincia',
-                'OBSERVACOES': 'observacoes'
-            };
-
-            // Atualizado conforme imagem fornecida pelo usuário (Coluna B)
-            const absoluteMappings: { [key: string]: keyof Equipment } = {
-                'IDENTIFICADOR': 'identificador',
-                'NOMEDODISPOSITIVO': 'equipamento',
-                'NÚMERODESÉRIE': 'serial',
-                'NUMERODESERIE': 'serial', // Fallback sem acento
-                'MARCA': 'brand',
-                'MODELO': 'model',
-                'NOMEDOUSUÁRIOATUAL': 'usuarioAtual',
-                'NOMEDOUSUARIOATUAL': 'usuarioAtual', // Fallback sem acento
-                'NOMEDOSO': 'nomeSO',
-                'MEMÓRIAFÍSICATOTAL': 'memoriaFisicaTotal', 
-                'MEMORIAFISICATOTAL': 'memoriaFisicaTotal', // Fallback
-                'GRUPODEPOLÍTICAS': 'grupoPoliticas',
-                'GRUPODEPOLITICAS': 'grupoPoliticas', // Fallback
-                'PAÍS': 'pais',
-                'PAIS': 'pais', // Fallback
-                'ESTADO/PROVÍNCIA': 'estadoProvincia',
-                'ESTADOPROVINCIA': 'estadoProvincia', // Fallback
-                'CIDADE': 'cidade'
-            };
-
-            const baseData = parseCsv(baseText, baseMappings);
-            const absoluteData = parseCsv(absoluteText, absoluteMappings);
+            const baseData = baseImport.records as PartialEquipment[];
+            const absoluteData = absoluteImport.records as PartialEquipment[];
             
             const absoluteMap = new Map<string, PartialEquipment>();
             absoluteData.forEach(item => {
@@ -269,26 +142,34 @@ const DataConsolidation: React.FC<{ currentUser: User }> = ({ currentUser }) =>
             </p>
 
             <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                <FileUploadBox
+                <ImportMapper
                     title="1. Planilha Base"
                     icon="Sheet"
-                    file={baseFile}
-                    onFileChange={(e) => setBaseFile(e.target.files ? e.target.files[0] : null)}
-                    isLoading={isLoading || isSaving}
+                    target="equipment"
+                    fieldLabels={IMPORTABLE_EQUIPMENT_FIELD_LABELS as Record<string, string>}
+                    requiredFields={['serial']}
+                    defaultProfileName="Planilha Base"
+                    canManageProfiles={currentUser.role === UserRole.Admin}
+                    disabled={isLoading || isSaving}
+                    onMapped={(result) => { setBaseImport(result); setConsolidatedData([]); }}
                 />
-                <FileUploadBox
+                <ImportMapper
                     title="2. Relatório Absolute"
                     icon="FileText"
-                    file={absoluteFile}
-                    onFileChange={(e) => setAbsoluteFile(e.target.files ? e.target.files[0] : null)}
-                    isLoading={isLoading || isSaving}
+                    target="equipment"
+                    fieldLabels={IMPORTABLE_EQUIPMENT_FIELD_LABELS as Record<string, string>}
+                    requiredFields={['serial']}
+                    defaultProfileName="Absolute"
+                    canManageProfiles={currentUser.role === UserRole.Admin}
+                    disabled={isLoading || isSaving}
+                    onMapped={(result) => { setAbsoluteImport(result); setConsolidatedData([]); }}
                 />
             </div>
 
             <div className="mt-6 flex justify-center">
                 <button
                     onClick={handleConsolidate}
-                    disabled={!baseFile || !absoluteFile || isLoading || isSaving}
+                    disabled={!baseImport || !absoluteImport || isLoading || isSaving}
                     className="bg-brand-primary text-white px-8 py-3 rounded-lg hover:bg-blue-700 disabled:bg-gray-400 flex items-center justify-center gap-2 text-lg font-semibold"
                     aria-label={isLoading ? 'Processando dados' : 'Consolidar dados'}
                 >
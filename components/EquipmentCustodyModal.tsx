@@ -0,0 +1,142 @@
+import React, { useState } from 'react';
+import { Equipment, CustodyResult } from '../types';
+import { checkOutEquipment, checkInEquipment, ApiError } from '../services/apiService';
+import Icon from './common/Icon';
+import FieldError from './common/FieldError';
+
+interface EquipmentCustodyModalProps {
+    equipment: Equipment;
+    mode: 'checkout' | 'checkin';
+    onClose: () => void;
+    onDone: (result: CustodyResult) => void;
+}
+
+const todayIso = () => new Date().toISOString().split('T')[0];
+const inputClass = 'w-full p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary';
+const labelClass = 'block text-sm font-medium text-gray-700 dark:text-dark-text-secondary mb-1';
+
+// Entrega (check-out) ou devolução (check-in) de um equipamento; o servidor gera e arquiva o termo correspondente
+const EquipmentCustodyModal: React.FC<EquipmentCustodyModalProps> = ({ equipment, mode, onClose, onDone }) => {
+    const isCheckOut = mode === 'checkout';
+    const [form, setForm] = useState<Record<string, string>>(isCheckOut
+        ? { usuarioAtual: '', emailColaborador: '', dataEntregaUsuario: todayIso(), setor: equipment.setor || '', local: equipment.local || '' }
+        : { dataDevolucao: todayIso(), status: 'ESTOQUE', local: equipment.local || '' });
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState('');
+    const [fieldErrors, setFieldErrors] = useState<Record<string, string>>({});
+
+    const handleChange = (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>) => {
+        const { name, value } = e.target;
+        setForm(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleSubmit = async (e: React.FormEvent) => {
+        e.preventDefault();
+        setIsSaving(true);
+        setError('');
+        setFieldErrors({});
+        try {
+            const result = isCheckOut
+                ? await checkOutEquipment(equipment.id, form as any)
+                : await checkInEquipment(equipment.id, form);
+            onDone(result);
+        } catch (err: any) {
+            setFieldErrors(err instanceof ApiError && err.fieldErrors ? err.fieldErrors : {});
+            setError(err.message || 'Falha ao registrar a operação.');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-[60] p-4">
+            <form onSubmit={handleSubmit} className="bg-white dark:bg-dark-card rounded-lg shadow-xl w-full max-w-lg">
+                <div className="p-4 border-b dark:border-dark-border flex justify-between items-center">
+                    <h3 className="text-lg font-bold text-brand-dark dark:text-dark-text-primary flex items-center gap-2">
+                        <Icon name={isCheckOut ? 'PackageCheck' : 'PackageOpen'} size={20} />
+                        {isCheckOut ? 'Entregar Equipamento (Check-out)' : 'Receber Devolução (Check-in)'}
+                    </h3>
+                    <button type="button" onClick={onClose} className="text-gray-500 hover:text-gray-800 dark:text-gray-400 dark:hover:text-white">
+                        <Icon name="X" size={24} />
+                    </button>
+                </div>
+
+                <div className="p-6 space-y-4">
+                    <p className="text-sm text-gray-600 dark:text-dark-text-secondary">
+                        <strong>{equipment.equipamento}</strong> — Serial {equipment.serial}{equipment.patrimonio ? `, Patrimônio ${equipment.patrimonio}` : ''}
+                        {!isCheckOut && <><br />Em posse de: <strong>{equipment.usuarioAtual}</strong></>}
+                    </p>
+                    {error && <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded text-sm" role="alert">{error}</div>}
+
+                    {isCheckOut ? (
+                        <>
+                            <div>
+                                <label className={labelClass}>Colaborador *</label>
+                                <input type="text" name="usuarioAtual" value={form.usuarioAtual} onChange={handleChange} className={inputClass} required />
+                                <FieldError errors={fieldErrors} name="usuarioAtual" />
+                            </div>
+                            <div>
+                                <label className={labelClass}>E-mail do Colaborador</label>
+                                <input type="email" name="emailColaborador" value={form.emailColaborador} onChange={handleChange} className={inputClass} />
+                                <FieldError errors={fieldErrors} name="emailColaborador" />
+                            </div>
+                            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                                <div>
+                                    <label className={labelClass}>Data de Entrega</label>
+                                    <input type="date" name="dataEntregaUsuario" value={form.dataEntregaUsuario} onChange={handleChange} className={inputClass} />
+                                    <FieldError errors={fieldErrors} name="dataEntregaUsuario" />
+                                </div>
+                                <div>
+                                    <label className={labelClass}>Setor</label>
+                                    <input type="text" name="setor" value={form.setor} onChange={handleChange} className={inputClass} />
+                                    <FieldError errors={fieldErrors} name="setor" />
+                                </div>
+                                <div>
+                                    <label className={labelClass}>Local</label>
+                                    <input type="text" name="local" value={form.local} onChange={handleChange} className={inputClass} />
+                                    <FieldError errors={fieldErrors} name="local" />
+                                </div>
+                            </div>
+                        </>
+                    ) : (
+                        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                            <div>
+                                <label className={labelClass}>Data de Devolução</label>
+                                <input type="date" name="dataDevolucao" value={form.dataDevolucao} onChange={handleChange} className={inputClass} />
+                                <FieldError errors={fieldErrors} name="dataDevolucao" />
+                            </div>
+                            <div>
+                                <label className={labelClass}>Novo Status</label>
+                                <select name="status" value={form.status} onChange={handleChange} className={inputClass}>
+                                    <option value="ESTOQUE">Estoque</option>
+                                    <option value="MANUTENÇÃO">Manutenção</option>
+                                    <option value="DESCARTE">Descarte</option>
+                                </select>
+                                <FieldError errors={fieldErrors} name="status" />
+                            </div>
+                            <div>
+                                <label className={labelClass}>Local</label>
+                                <input type="text" name="local" value={form.local} onChange={handleChange} className={inputClass} />
+                                <FieldError errors={fieldErrors} name="local" />
+                            </div>
+                        </div>
+                    )}
+
+                    <p className="text-xs text-gray-500 dark:text-dark-text-secondary">
+                        O {isCheckOut ? 'termo de entrega' : 'termo de devolução'} é gerado a partir do modelo configurado, arquivado no equipamento e fica pendente até ser marcado como assinado.
+                    </p>
+                </div>
+
+                <div className="p-4 bg-gray-50 dark:bg-dark-card/50 border-t dark:border-dark-border flex justify-end gap-3">
+                    <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-300 dark:bg-gray-600 text-gray-800 dark:text-white rounded-md hover:bg-gray-400">Cancelar</button>
+                    <button type="submit" disabled={isSaving} className="px-4 py-2 bg-brand-primary text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400 flex items-center gap-2">
+                        {isSaving && <Icon name="LoaderCircle" className="animate-spin" size={16} />}
+                        {isCheckOut ? 'Entregar e Gerar Termo' : 'Registrar Devolução e Gerar Termo'}
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+export default EquipmentCustodyModal;
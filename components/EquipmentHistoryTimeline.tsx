@@ -0,0 +1,205 @@
+
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { EquipmentHistory, EquipmentStateAt, HistorySource } from '../types';
+import { getEquipmentHistory, getEquipmentStateAt, restoreEquipment } from '../services/apiService';
+import Icon from './common/Icon';
+import { equipmentFieldLabel } from './common/equipmentFields';
+
+const SOURCE_LABELS: Record<HistorySource, { label: string; className: string }> = {
+    manual: { label: 'Manual', className: 'bg-blue-100 text-blue-800 dark:bg-blue-900/40 dark:text-blue-300' },
+    csv_import: { label: 'Importação CSV', className: 'bg-purple-100 text-purple-800 dark:bg-purple-900/40 dark:text-purple-300' },
+    periodic_update: { label: 'Atualização Periódica', className: 'bg-teal-100 text-teal-800 dark:bg-teal-900/40 dark:text-teal-300' },
+    approval: { label: 'Aprovação', className: 'bg-green-100 text-green-800 dark:bg-green-900/40 dark:text-green-300' },
+    restore: { label: 'Restauração', className: 'bg-orange-100 text-orange-800 dark:bg-orange-900/40 dark:text-orange-300' },
+    custody: { label: 'Entrega/Devolução', className: 'bg-sky-100 text-sky-800 dark:bg-sky-900/40 dark:text-sky-300' },
+    maintenance: { label: 'Manutenção', className: 'bg-amber-100 text-amber-800 dark:bg-amber-900/40 dark:text-amber-300' },
+    api: { label: 'API', className: 'bg-slate-100 text-slate-800 dark:bg-slate-900/40 dark:text-slate-300' },
+};
+
+const fieldLabel = (field: string | null) => field ? equipmentFieldLabel(field) : 'Campo não identificado';
+
+const displayValue = (value: string | null) => value === null || value === '' ? '(vazio)' : value;
+
+// Entradas gravadas na mesma operação (mesmo instante, autor e tipo) formam um único evento da linha do tempo
+interface HistoryEvent {
+    key: string;
+    timestamp: string;
+    changedBy: string;
+    approvedBy?: string | null;
+    changeType: string;
+    source: HistorySource;
+    entries: EquipmentHistory[];
+}
+
+const groupIntoEvents = (history: EquipmentHistory[]): HistoryEvent[] => {
+    const events: HistoryEvent[] = [];
+    for (const entry of history) {
+        const key = `${entry.timestamp}|${entry.changedBy}|${entry.changeType}|${entry.source}`;
+        const last = events[events.length - 1];
+        if (last && last.key === key) {
+            last.entries.push(entry);
+        } else {
+            events.push({ key, timestamp: entry.timestamp, changedBy: entry.changedBy, approvedBy: entry.approvedBy, changeType: entry.changeType, source: entry.source, entries: [entry] });
+        }
+    }
+    return events;
+};
+
+interface EquipmentHistoryTimelineProps {
+    equipmentId: number;
+    canRestore: boolean;
+    onRestored: () => void;
+}
+
+const EquipmentHistoryTimeline: React.FC<EquipmentHistoryTimelineProps> = ({ equipmentId, canRestore, onRestored }) => {
+    const [history, setHistory] = useState<EquipmentHistory[]>([]);
+    const [loading, setLoading] = useState(true);
+    const [restoreTarget, setRestoreTarget] = useState<HistoryEvent | null>(null);
+    const [preview, setPreview] = useState<EquipmentStateAt | null>(null);
+    const [isRestoring, setIsRestoring] = useState(false);
+    const [restoreError, setRestoreError] = useState('');
+
+    const loadHistory = useCallback(() => {
+        setLoading(true);
+        getEquipmentHistory(equipmentId)
+            .then(data => setHistory(data))
+            .catch(err => console.error("Erro ao buscar histórico", err))
+            .finally(() => setLoading(false));
+    }, [equipmentId]);
+
+    useEffect(() => {
+        loadHistory();
+    }, [loadHistory]);
+
+    const events = useMemo(() => groupIntoEvents(history), [history]);
+
+    const openRestore = async (event: HistoryEvent) => {
+        setRestoreTarget(event);
+        setPreview(null);
+        setRestoreError('');
+        try {
+            setPreview(await getEquipmentStateAt(equipmentId, event.timestamp));
+        } catch (error: any) {
+            setRestoreError(error.message || 'Falha ao calcular o estado do equipamento.');
+        }
+    };
+
+    const handleRestore = async () => {
+        if (!restoreTarget) return;
+        setIsRestoring(true);
+        setRestoreError('');
+        try {
+            await restoreEquipment(equipmentId, restoreTarget.timestamp);
+            setRestoreTarget(null);
+            loadHistory();
+            onRestored();
+        } catch (error: any) {
+            setRestoreError(error.message || 'Falha ao restaurar o equipamento.');
+        } finally {
+            setIsRestoring(false);
+        }
+    };
+
+    if (loading) {
+        return <div className="text-center py-4"><Icon name="LoaderCircle" className="animate-spin mx-auto"/></div>;
+    }
+
+    if (events.length === 0) {
+        return <p className="text-center text-gray-500">Nenhum histórico encontrado.</p>;
+    }
+
+    return (
+        <div className="space-y-4">
+            <div className="relative border-l-2 border-gray-200 dark:border-gray-700 ml-3">
+                {events.map((event, index) => (
+                    <div key={event.key} className="mb-6 ml-4">
+                        <div className="absolute w-3 h-3 bg-brand-primary rounded-full -left-[21px] mt-1.5 border border-white dark:border-dark-card"></div>
+                        <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center mb-1 gap-2">
+                            <div className="flex items-center gap-2">
+                                <span className="text-sm font-bold text-gray-900 dark:text-white">{event.changeType}</span>
+                                <span className={`text-xs px-2 py-0.5 rounded-full ${SOURCE_LABELS[event.source]?.className || SOURCE_LABELS.manual.className}`}>
+                                    {SOURCE_LABELS[event.source]?.label || event.source}
+                                </span>
+                            </div>
+                            <time className="text-xs text-gray-500 dark:text-gray-400">{new Date(event.timestamp).toLocaleString('pt-BR')}</time>
+                        </div>
+                        <p className="text-sm text-gray-600 dark:text-gray-300">
+                            Alterado por: <strong>{event.changedBy}</strong>
+                            {event.approvedBy && <> · Aprovado por: <strong>{event.approvedBy}</strong></>}
+                        </p>
+                        <table className="mt-2 w-full text-xs bg-gray-100 dark:bg-gray-800 rounded">
+                            <tbody>
+                                {event.entries.map(entry => (
+                                    <tr key={`${entry.id}-${entry.field}`} className="border-b last:border-b-0 dark:border-gray-700">
+                                        <td className="p-2 font-medium text-gray-700 dark:text-gray-300 w-1/4 align-top">{fieldLabel(entry.field)}</td>
+                                        <td className="p-2 text-red-600 line-through break-all align-top">{displayValue(entry.from_value)}</td>
+                                        <td className="p-2 text-gray-400 align-top"><Icon name="ArrowRight" size={12} /></td>
+                                        <td className="p-2 text-green-600 break-all align-top">{displayValue(entry.to_value)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                        {canRestore && index > 0 && (
+                            <button onClick={() => openRestore(event)} className="mt-2 text-xs text-brand-primary hover:underline flex items-center gap-1">
+                                <Icon name="History" size={14} /> Restaurar o equipamento para este ponto
+                            </button>
+                        )}
+                    </div>
+                ))}
+            </div>
+
+            {restoreTarget && (
+                <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-[70] p-4">
+                    <div className="bg-white dark:bg-dark-card rounded-lg shadow-xl w-full max-w-2xl max-h-[80vh] flex flex-col">
+                        <div className="p-4 border-b dark:border-dark-border">
+                            <h4 className="text-lg font-bold text-brand-dark dark:text-dark-text-primary">Restaurar para {new Date(restoreTarget.timestamp).toLocaleString('pt-BR')}</h4>
+                        </div>
+                        <div className="p-4 overflow-y-auto text-sm">
+                            {restoreError && (
+                                <div className="mb-3 bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded break-words" role="alert">{restoreError}</div>
+                            )}
+                            {!preview && !restoreError && <div className="text-center py-4"><Icon name="LoaderCircle" className="animate-spin mx-auto"/></div>}
+                            {preview && preview.changes.length === 0 && (
+                                <p className="text-gray-600 dark:text-gray-300">O equipamento já está neste estado. Nada será alterado.</p>
+                            )}
+                            {preview && preview.changes.length > 0 && (
+                                <>
+                                    <p className="mb-2 text-gray-600 dark:text-gray-300">Os seguintes campos serão alterados:</p>
+                                    <table className="w-full text-xs bg-gray-100 dark:bg-gray-800 rounded">
+                                        <tbody>
+                                            {preview.changes.map(change => (
+                                                <tr key={change.field} className="border-b last:border-b-0 dark:border-gray-700">
+                                                    <td className="p-2 font-medium text-gray-700 dark:text-gray-300 w-1/4">{fieldLabel(change.field)}</td>
+                                                    <td className="p-2 text-red-600 line-through break-all">{displayValue(change.from)}</td>
+                                                    <td className="p-2 text-gray-400"><Icon name="ArrowRight" size={12} /></td>
+                                                    <td className="p-2 text-green-600 break-all">{displayValue(change.to)}</td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </>
+                            )}
+                            {preview && preview.unresolved > 0 && (
+                                <p className="mt-3 text-xs text-yellow-700 dark:text-yellow-400">
+                                    {preview.unresolved} registro(s) antigo(s) do histórico não identificam o campo alterado e não serão desfeitos.
+                                </p>
+                            )}
+                        </div>
+                        <div className="p-4 border-t dark:border-dark-border bg-gray-50 dark:bg-dark-card/50 flex justify-end gap-3">
+                            <button onClick={() => setRestoreTarget(null)} className="px-4 py-2 bg-gray-300 dark:bg-gray-600 text-gray-800 dark:text-white rounded-md hover:bg-gray-400">Cancelar</button>
+                            <button
+                                onClick={handleRestore}
+                                disabled={isRestoring || !preview || preview.changes.length === 0}
+                                className="px-4 py-2 bg-orange-500 text-white rounded-md hover:bg-orange-600 disabled:bg-gray-400"
+                            >
+                                {isRestoring ? 'Restaurando...' : 'Restaurar'}
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default EquipmentHistoryTimeline;
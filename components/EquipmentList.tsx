@@ -1,9 +1,20 @@
 
-import React, { useState, useEffect, useMemo } from 'react';
-import { Equipment, User, UserRole, EquipmentHistory } from '../types';
-import { getEquipment, addEquipment, updateEquipment, deleteEquipment, getEquipmentHistory } from '../services/apiService';
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import { Equipment, User, UserRole, ListQuery, SortOrder, EquipmentTermo, CustodyResult } from '../types';
+import { getEquipmentPage, getEquipmentFilterOptions, fetchAllPages, addEquipment, updateEquipment, deleteEquipment, downloadEquipmentLabels, isChangeRequestReceipt, ApiError } from '../services/apiService';
 import Icon from './common/Icon';
+import FieldError from './common/FieldError';
+import Pagination from './common/Pagination';
+import SortableHeader from './common/SortableHeader';
+import useDebouncedValue from './common/useDebouncedValue';
 import TermoResponsabilidade from './TermoResponsabilidade';
+import EquipmentHistoryTimeline from './EquipmentHistoryTimeline';
+import EquipmentCustodyModal from './EquipmentCustodyModal';
+import EquipmentTermoArchive from './EquipmentTermoArchive';
+import EquipmentMaintenancePanel from './EquipmentMaintenancePanel';
+import PendingTermosPanel from './PendingTermosPanel';
+import AssetQrCodeCard from './AssetQrCodeCard';
+import { downloadBlob } from './common/downloadBlob';
 
 // --- MODAL DE FORMULÁRIO (CRIAR/EDITAR) ---
 interface EquipmentFormModalProps {
@@ -35,6 +46,8 @@ const EquipmentFormModal: React.FC<EquipmentFormModalProps> = ({ equipment, onCl
     });
     const [isSaving, setIsSaving] = useState(false);
     const [saveError, setSaveError] = useState('');
+    const [fieldErrors, setFieldErrors] = useState<Record<string, string>>({});
+    const errorBorder = (name: string) => fieldErrors[name] ? ' border-red-500' : '';
 
     useEffect(() => {
         if (equipment) {
@@ -55,6 +68,7 @@ const EquipmentFormModal: React.FC<EquipmentFormModalProps> = ({ equipment, onCl
         e.preventDefault();
         setIsSaving(true);
         setSaveError('');
+        setFieldErrors({});
 
         if (!formData.equipamento || !formData.serial) {
             setSaveError('Equipamento e Serial são campos obrigatórios.');
@@ -64,7 +78,10 @@ const EquipmentFormModal: React.FC<EquipmentFormModalProps> = ({ equipment, onCl
 
         try {
             if (equipment) {
-                await updateEquipment({ ...formData, id: equipment.id } as Equipment, currentUser.username);
+                const result = await updateEquipment({ ...formData, id: equipment.id } as Equipment, currentUser.username);
+                if (isChangeRequestReceipt(result)) {
+                    alert("Alteração enviada para aprovação do administrador. O resultado aparecerá em \"Minhas Solicitações\", no Dashboard.");
+                }
             } else {
                 await addEquipment(formData as any, currentUser);
                 if (currentUser.role !== UserRole.Admin) {
@@ -76,6 +93,7 @@ const EquipmentFormModal: React.FC<EquipmentFormModalProps> = ({ equipment, onCl
         } catch (error: any) {
             console.error("Failed to save equipment", error);
             let message = error.message || "Falha desconhecida ao salvar.";
+            setFieldErrors(error instanceof ApiError && error.fieldErrors ? error.fieldErrors : {});
             
             if (error instanceof TypeError && message === 'Failed to fetch') {
                 message = "Erro de conexão com o servidor. Verifique se a API (backend) está rodando na porta 3001.";
@@ -103,52 +121,112 @@ const EquipmentFormModal: React.FC<EquipmentFormModalProps> = ({ equipment, onCl
                         </div>
                     )}
 
-                    <input type="text" name="equipamento" placeholder="Nome do Equipamento *" value={formData.equipamento || ''} onChange={handleChange} className="p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary" required />
-                    <input type="text" name="serial" placeholder="Número de Série *" value={formData.serial || ''} onChange={handleChange} className="p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary" required />
-                    <input type="text" name="patrimonio" placeholder="Patrimônio" value={formData.patrimonio || ''} onChange={handleChange} className="p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary" />
+                    <div className="flex flex-col">
+                        <input type="text" name="equipamento" placeholder="Nome do Equipamento *" value={formData.equipamento || ''} onChange={handleChange} className={`p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary${errorBorder('equipamento')}`} required />
+                        <FieldError errors={fieldErrors} name="equipamento" />
+                    </div>
+                    <div className="flex flex-col">
+                        <input type="text" name="serial" placeholder="Número de Série *" value={formData.serial || ''} onChange={handleChange} className={`p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary${errorBorder('serial')}`} required />
+                        <FieldError errors={fieldErrors} name="serial" />
+                    </div>
+                    <div className="flex flex-col">
+                        <input type="text" name="patrimonio" placeholder="Patrimônio" value={formData.patrimonio || ''} onChange={handleChange} className={`p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary${errorBorder('patrimonio')}`} />
+                        <FieldError errors={fieldErrors} name="patrimonio" />
+                    </div>
                     
-                    <input type="text" name="brand" placeholder="Marca" value={formData.brand || ''} onChange={handleChange} className="p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary" />
-                    <input type="text" name="model" placeholder="Modelo" value={formData.model || ''} onChange={handleChange} className="p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary" />
-                    <input type="text" name="tipo" placeholder="Tipo (ex: Notebook, Monitor)" value={formData.tipo || ''} onChange={handleChange} className="p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary" />
+                    <div className="flex flex-col">
+                        <input type="text" name="brand" placeholder="Marca" value={formData.brand || ''} onChange={handleChange} className={`p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary${errorBorder('brand')}`} />
+                        <FieldError errors={fieldErrors} name="brand" />
+                    </div>
+                    <div className="flex flex-col">
+                        <input type="text" name="model" placeholder="Modelo" value={formData.model || ''} onChange={handleChange} className={`p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary${errorBorder('model')}`} />
+                        <FieldError errors={fieldErrors} name="model" />
+                    </div>
+                    <div className="flex flex-col">
+                        <input type="text" name="tipo" placeholder="Tipo (ex: Notebook, Monitor)" value={formData.tipo || ''} onChange={handleChange} className={`p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary${errorBorder('tipo')}`} />
+                        <FieldError errors={fieldErrors} name="tipo" />
+                    </div>
 
-                    <input type="text" name="usuarioAtual" placeholder="Usuário Atual" value={formData.usuarioAtual || ''} onChange={handleChange} className="p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary" />
-                    <input type="email" name="emailColaborador" placeholder="Email do Colaborador" value={formData.emailColaborador || ''} onChange={handleChange} className="p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary" />
-                    <input type="text" name="setor" placeholder="Setor" value={formData.setor || ''} onChange={handleChange} className="p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary" />
+                    <div className="flex flex-col">
+                        <input type="text" name="usuarioAtual" placeholder="Usuário Atual" value={formData.usuarioAtual || ''} onChange={handleChange} className={`p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary${errorBorder('usuarioAtual')}`} />
+                        <FieldError errors={fieldErrors} name="usuarioAtual" />
+                    </div>
+                    <div className="flex flex-col">
+                        <input type="email" name="emailColaborador" placeholder="Email do Colaborador" value={formData.emailColaborador || ''} onChange={handleChange} className={`p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary${errorBorder('emailColaborador')}`} />
+                        <FieldError errors={fieldErrors} name="emailColaborador" />
+                    </div>
+                    <div className="flex flex-col">
+                        <input type="text" name="setor" placeholder="Setor" value={formData.setor || ''} onChange={handleChange} className={`p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary${errorBorder('setor')}`} />
+                        <FieldError errors={fieldErrors} name="setor" />
+                    </div>
                     
-                    <input type="text" name="local" placeholder="Localização" value={formData.local || ''} onChange={handleChange} className="p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary" />
+                    <div className="flex flex-col">
+                        <input type="text" name="local" placeholder="Localização" value={formData.local || ''} onChange={handleChange} className={`p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary${errorBorder('local')}`} />
+                        <FieldError errors={fieldErrors} name="local" />
+                    </div>
                     
                     <div className="flex flex-col">
                          <label className="text-xs text-gray-500 dark:text-dark-text-secondary mb-1">Status</label>
-                        <select name="status" value={formData.status || 'Estoque'} onChange={handleChange} className="p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary">
+                        <select name="status" value={formData.status || 'Estoque'} onChange={handleChange} className={`p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary${errorBorder('status')}`}>
                             <option value="Estoque">Estoque</option>
                             <option value="Em Uso">Em Uso</option>
                             <option value="Manutenção">Manutenção</option>
                             <option value="Descartado">Descartado</option>
                         </select>
+                        <FieldError errors={fieldErrors} name="status" />
                     </div>
 
                     <div className="flex flex-col">
                          <label className="text-xs text-gray-500 dark:text-dark-text-secondary mb-1">Condição do Termo</label>
-                         <select name="condicaoTermo" value={formData.condicaoTermo || 'N/A'} onChange={handleChange} className="p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary">
+                         <select name="condicaoTermo" value={formData.condicaoTermo || 'N/A'} onChange={handleChange} className={`p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary${errorBorder('condicaoTermo')}`}>
                             <option value="N/A">N/A</option>
                             <option value="Pendente">Pendente</option>
                             <option value="Assinado - Entrega">Assinado - Entrega</option>
                             <option value="Assinado - Devolução">Assinado - Devolução</option>
                         </select>
+                         <FieldError errors={fieldErrors} name="condicaoTermo" />
                     </div>
 
                     <div className="flex flex-col">
                          <label className="text-xs text-gray-500 dark:text-dark-text-secondary mb-1">Data Entrega</label>
-                         <input type="date" name="dataEntregaUsuario" value={formData.dataEntregaUsuario || ''} onChange={handleChange} className="p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary" />
+                         <input type="date" name="dataEntregaUsuario" value={formData.dataEntregaUsuario || ''} onChange={handleChange} className={`p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary${errorBorder('dataEntregaUsuario')}`} />
+                         <FieldError errors={fieldErrors} name="dataEntregaUsuario" />
                     </div>
                     
-                    <input type="text" name="notaCompra" placeholder="Nota Fiscal Compra" value={formData.notaCompra || ''} onChange={handleChange} className="p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary" />
-                    <input type="text" name="notaPlKm" placeholder="Nota PL/KM" value={formData.notaPlKm || ''} onChange={handleChange} className="p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary" />
-                    <input type="text" name="garantia" placeholder="Garantia" value={formData.garantia || ''} onChange={handleChange} className="p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary" />
+                    <div className="flex flex-col">
+                        <input type="text" name="notaCompra" placeholder="Nota Fiscal Compra" value={formData.notaCompra || ''} onChange={handleChange} className={`p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary${errorBorder('notaCompra')}`} />
+                        <FieldError errors={fieldErrors} name="notaCompra" />
+                    </div>
+                    <div className="flex flex-col">
+                        <input type="text" name="notaPlKm" placeholder="Nota PL/KM" value={formData.notaPlKm || ''} onChange={handleChange} className={`p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary${errorBorder('notaPlKm')}`} />
+                        <FieldError errors={fieldErrors} name="notaPlKm" />
+                    </div>
+                    <div className="flex flex-col">
+                        <input type="text" name="garantia" placeholder="Garantia (até DD/MM/AAAA ou ex.: 3 anos)" value={formData.garantia || ''} onChange={handleChange} className={`p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary${errorBorder('garantia')}`} />
+                        <FieldError errors={fieldErrors} name="garantia" />
+                    </div>
+                    <div className="flex flex-col">
+                         <label className="text-xs text-gray-500 dark:text-dark-text-secondary mb-1">Data de Compra</label>
+                         <input type="date" name="dataCompra" value={formData.dataCompra || ''} onChange={handleChange} className={`p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary${errorBorder('dataCompra')}`} />
+                         <FieldError errors={fieldErrors} name="dataCompra" />
+                    </div>
+                    <div className="flex flex-col">
+                        <input type="text" inputMode="decimal" name="valorCompra" placeholder="Valor de Compra (R$)" value={formData.valorCompra ?? ''} onChange={handleChange} className={`p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary${errorBorder('valorCompra')}`} />
+                        <FieldError errors={fieldErrors} name="valorCompra" />
+                    </div>
+                    <div className="flex flex-col">
+                        <input type="text" name="centroCusto" placeholder="Centro de Custo" value={formData.centroCusto || ''} onChange={handleChange} className={`p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary${errorBorder('centroCusto')}`} />
+                        <FieldError errors={fieldErrors} name="centroCusto" />
+                    </div>
+                    <div className="flex flex-col">
+                        <input type="text" name="empresa" placeholder="Empresa" value={formData.empresa || ''} onChange={handleChange} className={`p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary${errorBorder('empresa')}`} />
+                        <FieldError errors={fieldErrors} name="empresa" />
+                    </div>
                     
                      <div className="sm:col-span-3 lg:col-span-3">
                         <label className="text-xs text-gray-500 dark:text-dark-text-secondary mb-1">Observações</label>
                         <textarea name="observacoes" value={formData.observacoes || ''} onChange={handleChange} rows={3} className="w-full p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary" placeholder="Observações adicionais..."></textarea>
+                        <FieldError errors={fieldErrors} name="observacoes" />
                     </div>
                 </div>
                 <div className="p-6 border-t dark:border-dark-border bg-gray-50 dark:bg-dark-card/50 flex justify-end gap-3 flex-shrink-0">
@@ -166,23 +244,36 @@ interface EquipmentDetailsModalProps {
     onClose: () => void;
     currentUser: User;
     companyName: string;
+    onEquipmentChanged: () => void;
 }
 
-const EquipmentDetailsModal: React.FC<EquipmentDetailsModalProps> = ({ equipment, onClose, currentUser, companyName }) => {
-    const [activeTab, setActiveTab] = useState<'details' | 'history' | 'terms'>('details');
-    const [history, setHistory] = useState<EquipmentHistory[]>([]);
-    const [loadingHistory, setLoadingHistory] = useState(false);
+const EquipmentDetailsModal: React.FC<EquipmentDetailsModalProps> = ({ equipment: initialEquipment, onClose, currentUser, companyName, onEquipmentChanged }) => {
+    const [activeTab, setActiveTab] = useState<'details' | 'history' | 'terms' | 'maintenance'>('details');
     const [selectedTermo, setSelectedTermo] = useState<'entrega' | 'devolucao' | null>(null);
+    // Atualizado localmente após check-out/check-in, sem esperar a lista recarregar
+    const [equipment, setEquipment] = useState(initialEquipment);
+    const [custodyMode, setCustodyMode] = useState<'checkout' | 'checkin' | null>(null);
+    const [archivedTermo, setArchivedTermo] = useState<EquipmentTermo | null>(null);
+    const [termoRefreshKey, setTermoRefreshKey] = useState(0);
+
+    const handleCustodyDone = (result: CustodyResult) => {
+        setCustodyMode(null);
+        setEquipment(prev => ({ ...prev, ...result.equipment }));
+        setTermoRefreshKey(key => key + 1);
+        setArchivedTermo(result.termo);
+        onEquipmentChanged();
+    };
 
-    useEffect(() => {
-        if (activeTab === 'history') {
-            setLoadingHistory(true);
-            getEquipmentHistory(equipment.id)
-                .then(data => setHistory(data))
-                .catch(err => console.error("Erro ao buscar histórico", err))
-                .finally(() => setLoadingHistory(false));
-        }
-    }, [activeTab, equipment.id]);
+    const handleMaintenanceChanged = (updated: Equipment) => {
+        setEquipment(prev => ({ ...prev, status: updated.status }));
+        onEquipmentChanged();
+    };
+
+    const handleTermoSigned = (termo: EquipmentTermo) => {
+        setTermoRefreshKey(key => key + 1);
+        setEquipment(prev => ({ ...prev, condicaoTermo: termo.termo_type === 'entrega' ? 'Assinado - Entrega' : 'Assinado - Devolução' }));
+        onEquipmentChanged();
+    };
 
     return (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-[60] p-4">
@@ -217,6 +308,12 @@ const EquipmentDetailsModal: React.FC<EquipmentDetailsModalProps> = ({ equipment
                     >
                         Termos
                     </button>
+                    <button 
+                        onClick={() => setActiveTab('maintenance')}
+                        className={`px-6 py-3 text-sm font-medium ${activeTab === 'maintenance' ? 'border-b-2 border-brand-primary text-brand-primary' : 'text-gray-500 hover:text-gray-700 dark:text-gray-400'}`}
+                    >
+                        Manutenção
+                    </button>
                 </div>
 
                 <div className="p-6 overflow-y-auto">
@@ -258,60 +355,65 @@ const EquipmentDetailsModal: React.FC<EquipmentDetailsModalProps> = ({ equipment
                                 <span className="block text-xs text-gray-500 uppercase">Specs</span>
                                 <span className="font-medium text-gray-900 dark:text-white text-xs">{equipment.identificador} {equipment.memoriaFisicaTotal}</span>
                             </div>
+                            <AssetQrCodeCard equipmentId={equipment.id} />
                         </div>
                     )}
 
                     {activeTab === 'history' && (
-                        <div className="space-y-4">
-                            {loadingHistory ? (
-                                <div className="text-center py-4"><Icon name="LoaderCircle" className="animate-spin mx-auto"/></div>
-                            ) : history.length === 0 ? (
-                                <p className="text-center text-gray-500">Nenhum histórico encontrado.</p>
-                            ) : (
-                                <div className="relative border-l-2 border-gray-200 dark:border-gray-700 ml-3">
-                                    {history.map((item) => (
-                                        <div key={item.id} className="mb-6 ml-4">
-                                            <div className="absolute w-3 h-3 bg-brand-primary rounded-full -left-[21px] mt-1.5 border border-white dark:border-dark-card"></div>
-                                            <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center mb-1">
-                                                <span className="text-sm font-bold text-gray-900 dark:text-white">{item.changeType}</span>
-                                                <time className="text-xs text-gray-500 dark:text-gray-400">{new Date(item.timestamp).toLocaleString('pt-BR')}</time>
-                                            </div>
-                                            <p className="text-sm text-gray-600 dark:text-gray-300">Alterado por: <strong>{item.changedBy}</strong></p>
-                                            {item.from_value && item.to_value ? (
-                                                <div className="mt-2 text-xs bg-gray-100 dark:bg-gray-800 p-2 rounded">
-                                                    <div className="text-red-600 line-through mb-1">De: {item.from_value.substring(0, 100)}...</div>
-                                                    <div className="text-green-600">Para: {item.to_value.substring(0, 100)}...</div>
-                                                </div>
-                                            ) : (
-                                                <p className="text-xs text-gray-500 mt-1">Detalhes da alteração não disponíveis em formato simples.</p>
-                                            )}
-                                        </div>
-                                    ))}
-                                </div>
-                            )}
-                        </div>
+                        <EquipmentHistoryTimeline
+                            equipmentId={equipment.id}
+                            canRestore={currentUser.role === UserRole.Admin}
+                            onRestored={onEquipmentChanged}
+                        />
+                    )}
+
+                    {activeTab === 'maintenance' && (
+                        <EquipmentMaintenancePanel equipment={equipment} onEquipmentChanged={handleMaintenanceChanged} />
                     )}
 
                     {activeTab === 'terms' && (
-                         <div className="flex flex-col gap-4 items-center justify-center py-8">
-                            <p className="text-gray-600 dark:text-gray-300 mb-4 text-center">
-                                Gere termos de responsabilidade para este equipamento e o usuário atual: <strong>{equipment.usuarioAtual || 'N/A'}</strong>
-                            </p>
-                            <div className="flex gap-4">
-                                <button 
-                                    onClick={() => setSelectedTermo('entrega')}
-                                    className="flex flex-col items-center justify-center p-6 border-2 border-brand-primary rounded-lg hover:bg-blue-50 dark:hover:bg-blue-900/20 transition-colors w-48"
-                                >
-                                    <Icon name="FileText" size={32} className="text-brand-primary mb-2" />
-                                    <span className="font-bold text-brand-dark dark:text-white">Termo de Entrega</span>
-                                </button>
-                                <button 
-                                    onClick={() => setSelectedTermo('devolucao')}
-                                    className="flex flex-col items-center justify-center p-6 border-2 border-orange-500 rounded-lg hover:bg-orange-50 dark:hover:bg-orange-900/20 transition-colors w-48"
-                                >
-                                    <Icon name="FileOutput" size={32} className="text-orange-500 mb-2" />
-                                    <span className="font-bold text-brand-dark dark:text-white">Termo de Devolução</span>
-                                </button>
+                        <div className="space-y-6">
+                            <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+                                <p className="text-gray-600 dark:text-gray-300">
+                                    Em posse de: <strong>{equipment.usuarioAtual || 'ninguém (disponível)'}</strong>
+                                    <span className="block text-xs text-gray-500 dark:text-dark-text-secondary">Situação do termo: {equipment.condicaoTermo || 'N/A'}</span>
+                                </p>
+                                {equipment.usuarioAtual ? (
+                                    <button onClick={() => setCustodyMode('checkin')} className="bg-teal-600 text-white px-4 py-2 rounded-lg hover:bg-teal-700 flex items-center gap-2">
+                                        <Icon name="PackageOpen" size={18} /> Receber Devolução (Check-in)
+                                    </button>
+                                ) : (
+                                    <button onClick={() => setCustodyMode('checkout')} className="bg-brand-primary text-white px-4 py-2 rounded-lg hover:bg-blue-700 flex items-center gap-2">
+                                        <Icon name="PackageCheck" size={18} /> Entregar (Check-out)
+                                    </button>
+                                )}
+                            </div>
+
+                            <div>
+                                <h4 className="font-semibold text-gray-800 dark:text-dark-text-primary mb-2">Termos arquivados</h4>
+                                <EquipmentTermoArchive equipmentId={equipment.id} refreshKey={termoRefreshKey} onOpen={setArchivedTermo} />
+                            </div>
+
+                            <div className="border-t dark:border-dark-border pt-4">
+                                <p className="text-sm text-gray-600 dark:text-gray-300 mb-3">
+                                    Pré-visualizar um termo com os dados atuais, sem arquivar:
+                                </p>
+                                <div className="flex gap-4">
+                                    <button 
+                                        onClick={() => setSelectedTermo('entrega')}
+                                        className="flex items-center gap-2 px-4 py-2 border-2 border-brand-primary rounded-lg hover:bg-blue-50 dark:hover:bg-blue-900/20 transition-colors"
+                                    >
+                                        <Icon name="FileText" size={18} className="text-brand-primary" />
+                                        <span className="font-bold text-brand-dark dark:text-white text-sm">Termo de Entrega</span>
+                                    </button>
+                                    <button 
+                                        onClick={() => setSelectedTermo('devolucao')}
+                                        className="flex items-center gap-2 px-4 py-2 border-2 border-orange-500 rounded-lg hover:bg-orange-50 dark:hover:bg-orange-900/20 transition-colors"
+                                    >
+                                        <Icon name="FileOutput" size={18} className="text-orange-500" />
+                                        <span className="font-bold text-brand-dark dark:text-white text-sm">Termo de Devolução</span>
+                                    </button>
+                                </div>
                             </div>
                         </div>
                     )}
@@ -330,6 +432,27 @@ const EquipmentDetailsModal: React.FC<EquipmentDetailsModalProps> = ({ equipment
                     termoType={selectedTermo}
                 />
             )}
+
+            {archivedTermo && (
+                <TermoResponsabilidade
+                    equipment={equipment}
+                    user={currentUser}
+                    onClose={() => setArchivedTermo(null)}
+                    companyName={companyName}
+                    termoType={archivedTermo.termo_type}
+                    archivedTermoId={archivedTermo.id}
+                    onSigned={handleTermoSigned}
+                />
+            )}
+
+            {custodyMode && (
+                <EquipmentCustodyModal
+                    equipment={equipment}
+                    mode={custodyMode}
+                    onClose={() => setCustodyMode(null)}
+                    onDone={handleCustodyDone}
+                />
+            )}
         </div>
     );
 }
@@ -340,36 +463,92 @@ interface EquipmentListProps {
   companyName: string;
 }
 
+// Filtros exatos aplicados no servidor, na ordem em que aparecem na tela
+const COLUMN_FILTERS: { key: string; label: string }[] = [
+    { key: 'status', label: 'Status' },
+    { key: 'setor', label: 'Setor' },
+    { key: 'local', label: 'Local' },
+    { key: 'tipo', label: 'Tipo' },
+    { key: 'brand', label: 'Marca' },
+];
+
 const EquipmentList: React.FC<EquipmentListProps> = ({ currentUser, companyName }) => {
     const [equipment, setEquipment] = useState<Equipment[]>([]);
+    const [total, setTotal] = useState(0);
     const [loading, setLoading] = useState(true);
+    const [isExporting, setIsExporting] = useState(false);
     const [searchTerm, setSearchTerm] = useState('');
+    const [filters, setFilters] = useState<Record<string, string>>({});
+    const [filterOptions, setFilterOptions] = useState<Record<string, string[]>>({});
+    const [sort, setSort] = useState<{ column: string; order: SortOrder }>({ column: 'id', order: 'desc' });
+    const [page, setPage] = useState(1);
+    const [pageSize, setPageSize] = useState(25);
     const [isModalOpen, setIsModalOpen] = useState(false);
     const [editingEquipment, setEditingEquipment] = useState<Equipment | null>(null);
     const [viewingEquipment, setViewingEquipment] = useState<Equipment | null>(null);
-    
-    const loadEquipment = async () => {
+    const [pendingTermosKey, setPendingTermosKey] = useState(0);
+    // Equipamentos marcados para impressão de etiquetas; a seleção se mantém ao trocar de página ou filtro
+    const [selectedIds, setSelectedIds] = useState<Set<number>>(new Set());
+    const [isPrintingLabels, setIsPrintingLabels] = useState(false);
+    const debouncedSearch = useDebouncedValue(searchTerm);
+    const requestIdRef = useRef(0);
+
+    // Consulta atual sem paginação: usada pela listagem e pela exportação
+    const listQuery = useMemo<ListQuery>(() => ({
+        q: debouncedSearch.trim(),
+        ...filters,
+        sort: sort.column,
+        order: sort.order,
+    }), [debouncedSearch, filters, sort]);
+
+    const loadEquipment = useCallback(async () => {
+        // Descarta respostas que chegam depois de uma consulta mais recente
+        const requestId = ++requestIdRef.current;
         setLoading(true);
         try {
-            const data = await getEquipment(currentUser);
-            setEquipment(data);
+            const result = await getEquipmentPage({ ...listQuery, page, pageSize });
+            if (requestId !== requestIdRef.current) return;
+            setEquipment(result.items);
+            setTotal(result.total);
         } catch (error) {
             console.error("Failed to load equipment", error);
         } finally {
-            setLoading(false);
+            if (requestId === requestIdRef.current) setLoading(false);
         }
-    };
+    }, [listQuery, page, pageSize]);
 
     useEffect(() => {
         loadEquipment();
-    }, [currentUser]);
+    }, [loadEquipment, currentUser]);
+
+    // Alterações que podem mudar a situação dos termos também recarregam o painel de pendentes
+    const handleInventoryChanged = () => {
+        loadEquipment();
+        setPendingTermosKey(key => key + 1);
+    };
+
+    useEffect(() => {
+        getEquipmentFilterOptions()
+            .then(setFilterOptions)
+            .catch(error => console.error("Failed to load equipment filters", error));
+    }, []);
+
+    // Qualquer mudança de busca, filtro ou ordenação volta para a primeira página
+    useEffect(() => {
+        setPage(1);
+    }, [listQuery, pageSize]);
 
     const handleDelete = async (id: number) => {
-        if (currentUser.role !== UserRole.Admin) return;
-        if (window.confirm("Tem certeza que deseja excluir este equipamento?")) {
+        const message = currentUser.role === UserRole.Admin
+            ? "Tem certeza que deseja excluir este equipamento?"
+            : "Solicitar a exclusão deste equipamento? A exclusão só acontece após a aprovação de um administrador.";
+        if (window.confirm(message)) {
             try {
-                await deleteEquipment(id, currentUser.username);
-                loadEquipment();
+                const result = await deleteEquipment(id, currentUser.username);
+                if (isChangeRequestReceipt(result)) {
+                    alert("Solicitação de exclusão enviada para aprovação do administrador.");
+                }
+                handleInventoryChanged();
             } catch (error) {
                 console.error("Failed to delete equipment", error);
             }
@@ -391,22 +570,25 @@ const EquipmentList: React.FC<EquipmentListProps> = ({ currentUser, companyName
         setEditingEquipment(null);
     };
 
-    const filteredEquipment = useMemo(() => {
-        const lowerSearch = searchTerm.toLowerCase();
-        return equipment.filter(item => 
-            (item.equipamento?.toLowerCase().includes(lowerSearch)) ||
-            (item.patrimonio?.toLowerCase().includes(lowerSearch)) ||
-            (item.serial?.toLowerCase().includes(lowerSearch)) ||
-            (item.usuarioAtual?.toLowerCase().includes(lowerSearch))
-        );
-    }, [equipment, searchTerm]);
+    const handleFilterChange = (key: string, value: string) => {
+        setFilters(prev => {
+            const { [key]: _, ...rest } = prev;
+            return value ? { ...rest, [key]: value } : rest;
+        });
+    };
+
+    const handleClearFilters = () => {
+        setSearchTerm('');
+        setFilters({});
+    };
 
     const handleExportToExcel = async () => {
-        if (filteredEquipment.length === 0) {
+        if (total === 0) {
             alert("Não há dados para exportar.");
             return;
         }
 
+        setIsExporting(true);
         try {
             await import('xlsx');
             const XLSX = (window as any).XLSX;
@@ -416,7 +598,9 @@ const EquipmentList: React.FC<EquipmentListProps> = ({ currentUser, companyName
                 return;
             }
 
-            const dataToExport = filteredEquipment.map(item => ({
+            // Exporta todos os itens do filtro atual, não apenas a página exibida
+            const allFiltered = await fetchAllPages(getEquipmentPage, listQuery);
+            const dataToExport = allFiltered.map(item => ({
                 'Equipamento': item.equipamento,
                 'Marca': item.brand || '',
                 'Modelo': item.model || '',
@@ -445,6 +629,8 @@ const EquipmentList: React.FC<EquipmentListProps> = ({ currentUser, companyName
         } catch (error) {
             console.error("Erro ao exportar:", error);
             alert("Erro ao gerar arquivo Excel.");
+        } finally {
+            setIsExporting(false);
         }
     };
 
@@ -458,13 +644,48 @@ const EquipmentList: React.FC<EquipmentListProps> = ({ currentUser, companyName
         return 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300';
     };
 
+    const toggleSelected = (id: number) => {
+        setSelectedIds(prev => {
+            const next = new Set(prev);
+            next.has(id) ? next.delete(id) : next.add(id);
+            return next;
+        });
+    };
+
+    const allOnPageSelected = equipment.length > 0 && equipment.every(item => selectedIds.has(item.id));
+
+    const togglePageSelection = () => {
+        setSelectedIds(prev => {
+            const next = new Set(prev);
+            equipment.forEach(item => allOnPageSelected ? next.delete(item.id) : next.add(item.id));
+            return next;
+        });
+    };
+
+    const handlePrintLabels = async () => {
+        setIsPrintingLabels(true);
+        try {
+            downloadBlob(await downloadEquipmentLabels([...selectedIds]), `etiquetas_${new Date().toISOString().split('T')[0]}.pdf`);
+        } catch (error: any) {
+            alert(`Falha ao gerar as etiquetas: ${error.message}`);
+        } finally {
+            setIsPrintingLabels(false);
+        }
+    };
+
+    const handleSort = (column: string, order: SortOrder) => setSort({ column, order });
+    const hasFilters = searchTerm !== '' || Object.keys(filters).length > 0;
+
     return (
         <div className="bg-white dark:bg-dark-card p-4 sm:p-6 rounded-lg shadow-md">
             <div className="flex flex-col sm:flex-row justify-between sm:items-center mb-4 gap-4">
                 <h2 className="text-2xl font-bold text-brand-dark dark:text-dark-text-primary">Inventário de Equipamentos</h2>
                 <div className="flex flex-wrap gap-2">
-                    <button onClick={handleExportToExcel} className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 flex items-center gap-2">
-                        <Icon name="FileDown" size={18}/> Exportar Excel
+                    <button onClick={handlePrintLabels} disabled={selectedIds.size === 0 || isPrintingLabels} className="bg-gray-700 text-white px-4 py-2 rounded-lg hover:bg-gray-800 disabled:bg-gray-400 flex items-center gap-2" title="Selecione os equipamentos na lista">
+                        {isPrintingLabels ? <Icon name="LoaderCircle" className="animate-spin" size={18}/> : <Icon name="QrCode" size={18}/>} Imprimir Etiquetas ({selectedIds.size})
+                    </button>
+                    <button onClick={handleExportToExcel} disabled={isExporting} className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 disabled:bg-gray-400 flex items-center gap-2">
+                        {isExporting ? <Icon name="LoaderCircle" className="animate-spin" size={18}/> : <Icon name="FileDown" size={18}/>} Exportar Excel
                     </button>
                     <button onClick={handleAddNew} className="bg-brand-primary text-white px-4 py-2 rounded-lg hover:bg-blue-700 flex items-center gap-2">
                         <Icon name="Plus" size={18}/> Novo Item
@@ -472,40 +693,76 @@ const EquipmentList: React.FC<EquipmentListProps> = ({ currentUser, companyName
                 </div>
             </div>
 
+            <PendingTermosPanel
+                currentUser={currentUser}
+                companyName={companyName}
+                refreshKey={pendingTermosKey}
+                onChanged={loadEquipment}
+            />
+
             <div className="mb-4 flex flex-col sm:flex-row gap-4 items-center">
                 <input 
                     type="text" 
-                    placeholder="Buscar por nome, patrimônio, serial ou usuário..." 
+                    placeholder="Buscar por nome, patrimônio, serial, usuário, marca ou modelo..." 
                     value={searchTerm}
                     onChange={(e) => setSearchTerm(e.target.value)}
                     className="w-full p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-800 dark:text-dark-text-primary"
                 />
                 <div className="whitespace-nowrap text-sm text-gray-500 dark:text-dark-text-secondary font-medium">
-                    {filteredEquipment.length} itens encontrados
+                    {total} itens encontrados
+                    {selectedIds.size > 0 && (
+                        <button onClick={() => setSelectedIds(new Set())} className="ml-2 text-brand-primary hover:underline">
+                            ({selectedIds.size} selecionado(s) — limpar)
+                        </button>
+                    )}
                 </div>
             </div>
 
-            {loading ? (
+            <div className="mb-4 grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-2">
+                {COLUMN_FILTERS.map(({ key, label }) => (
+                    <select
+                        key={key}
+                        value={filters[key] || ''}
+                        onChange={(e) => handleFilterChange(key, e.target.value)}
+                        className="p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-800 dark:text-dark-text-primary text-sm"
+                        aria-label={`Filtrar por ${label}`}
+                    >
+                        <option value="">{label}: todos</option>
+                        {(filterOptions[key] || []).map(value => <option key={value} value={value}>{value}</option>)}
+                    </select>
+                ))}
+                <button onClick={handleClearFilters} disabled={!hasFilters} className="bg-gray-500 text-white p-2 rounded-md hover:bg-gray-600 disabled:bg-gray-300 dark:disabled:bg-gray-700 text-sm">
+                    Limpar Filtros
+                </button>
+            </div>
+
+            {loading && equipment.length === 0 ? (
                 <div className="flex justify-center items-center py-10">
                     <Icon name="LoaderCircle" className="animate-spin text-brand-primary" size={48} />
                 </div>
             ) : (
-                <div className="overflow-x-auto">
+                <div className={`overflow-x-auto transition-opacity ${loading ? 'opacity-60' : ''}`}>
                     <table className="w-full text-sm text-left text-gray-700 dark:text-dark-text-secondary">
                         <thead className="text-xs text-gray-800 dark:text-dark-text-primary uppercase bg-gray-100 dark:bg-gray-900/50">
                             <tr>
-                                <th className="px-6 py-3">Equipamento</th>
-                                <th className="px-6 py-3">Patrimônio</th>
-                                <th className="px-6 py-3">Serial</th>
-                                <th className="px-6 py-3">Usuário</th>
-                                <th className="px-6 py-3">Setor</th>
-                                <th className="px-6 py-3">Status</th>
+                                <th className="px-3 py-3">
+                                    <input type="checkbox" checked={allOnPageSelected} onChange={togglePageSelection} title="Selecionar todos desta página" />
+                                </th>
+                                <SortableHeader label="Equipamento" column="equipamento" sort={sort.column} order={sort.order} onSort={handleSort} />
+                                <SortableHeader label="Patrimônio" column="patrimonio" sort={sort.column} order={sort.order} onSort={handleSort} />
+                                <SortableHeader label="Serial" column="serial" sort={sort.column} order={sort.order} onSort={handleSort} />
+                                <SortableHeader label="Usuário" column="usuarioAtual" sort={sort.column} order={sort.order} onSort={handleSort} />
+                                <SortableHeader label="Setor" column="setor" sort={sort.column} order={sort.order} onSort={handleSort} />
+                                <SortableHeader label="Status" column="status" sort={sort.column} order={sort.order} onSort={handleSort} />
                                 <th className="px-6 py-3 text-right">Ações</th>
                             </tr>
                         </thead>
                         <tbody>
-                            {filteredEquipment.map(item => (
+                            {equipment.map(item => (
                                 <tr key={item.id} className="bg-white dark:bg-dark-card border-b dark:border-dark-border hover:bg-gray-50 dark:hover:bg-gray-700">
+                                    <td className="px-3 py-4">
+                                        <input type="checkbox" checked={selectedIds.has(item.id)} onChange={() => toggleSelected(item.id)} aria-label={`Selecionar ${item.equipamento}`} />
+                                    </td>
                                     <td className="px-6 py-4 font-medium text-gray-900 dark:text-dark-text-primary">{item.equipamento}</td>
                                     <td className="px-6 py-4">{item.patrimonio}</td>
                                     <td className="px-6 py-4 font-mono text-xs">{item.serial}</td>
@@ -523,17 +780,15 @@ const EquipmentList: React.FC<EquipmentListProps> = ({ currentUser, companyName
                                         <button onClick={() => handleEdit(item)} className="text-blue-600 hover:text-blue-800 dark:text-blue-400 dark:hover:text-blue-300" title="Editar">
                                             <Icon name="Pencil" size={18} />
                                         </button>
-                                        {currentUser.role === UserRole.Admin && (
-                                            <button onClick={() => handleDelete(item.id)} className="text-red-600 hover:text-red-800 dark:text-red-400 dark:hover:text-red-300" title="Excluir">
-                                                <Icon name="Trash2" size={18} />
-                                            </button>
-                                        )}
+                                        <button onClick={() => handleDelete(item.id)} className="text-red-600 hover:text-red-800 dark:text-red-400 dark:hover:text-red-300" title={currentUser.role === UserRole.Admin ? 'Excluir' : 'Solicitar Exclusão'}>
+                                            <Icon name="Trash2" size={18} />
+                                        </button>
                                     </td>
                                 </tr>
                             ))}
-                             {filteredEquipment.length === 0 && (
+                             {equipment.length === 0 && (
                                 <tr>
-                                    <td colSpan={7} className="px-6 py-10 text-center text-gray-500 dark:text-dark-text-secondary">
+                                    <td colSpan={8} className="px-6 py-10 text-center text-gray-500 dark:text-dark-text-secondary">
                                         <Icon name="SearchX" size={48} className="mx-auto mb-2 opacity-50" />
                                         Nenhum equipamento encontrado.
                                     </td>
@@ -541,6 +796,14 @@ const EquipmentList: React.FC<EquipmentListProps> = ({ currentUser, companyName
                             )}
                         </tbody>
                     </table>
+                    <Pagination
+                        page={page}
+                        pageSize={pageSize}
+                        total={total}
+                        onPageChange={setPage}
+                        onPageSizeChange={setPageSize}
+                        disabled={loading}
+                    />
                 </div>
             )}
 
@@ -548,7 +811,7 @@ const EquipmentList: React.FC<EquipmentListProps> = ({ currentUser, companyName
                 <EquipmentFormModal 
                     equipment={editingEquipment} 
                     onClose={handleCloseModal} 
-                    onSave={loadEquipment} 
+                    onSave={handleInventoryChanged} 
                     currentUser={currentUser}
                 />
             )}
@@ -559,6 +822,7 @@ const EquipmentList: React.FC<EquipmentListProps> = ({ currentUser, companyName
                     onClose={() => setViewingEquipment(null)}
                     currentUser={currentUser}
                     companyName={companyName}
+                    onEquipmentChanged={handleInventoryChanged}
                 />
             )}
         </div>
@@ -0,0 +1,127 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Equipment, EquipmentMaintenance, MaintenanceRecord, ChangeRequest } from '../types';
+import { getEquipmentMaintenance } from '../services/apiService';
+import Icon from './common/Icon';
+import MaintenanceRecordModal, { MaintenanceModalMode } from './MaintenanceRecordModal';
+import { WARRANTY_LABELS, formatDate, formatCurrency, formatDays } from './common/maintenanceLabels';
+
+interface EquipmentMaintenancePanelProps {
+    equipment: Equipment;
+    // Chamado quando abrir ou encerrar um reparo mudou o status do equipamento
+    onEquipmentChanged: (equipment: Equipment) => void;
+}
+
+// Reparos de um equipamento, na aba "Manutenção" dos detalhes
+const EquipmentMaintenancePanel: React.FC<EquipmentMaintenancePanelProps> = ({ equipment, onEquipmentChanged }) => {
+    const [data, setData] = useState<EquipmentMaintenance | null>(null);
+    const [error, setError] = useState<string | null>(null);
+    const [modal, setModal] = useState<{ mode: MaintenanceModalMode; record?: MaintenanceRecord } | null>(null);
+    const [notice, setNotice] = useState('');
+
+    const load = useCallback(async () => {
+        try {
+            setData(await getEquipmentMaintenance(equipment.id));
+            setError(null);
+        } catch (e: any) {
+            setError(`Falha ao carregar as manutenções: ${e.message}`);
+        }
+    }, [equipment.id]);
+
+    useEffect(() => {
+        load();
+    }, [load]);
+
+    const handleDone = (_record: MaintenanceRecord, updated?: Equipment, changeRequest?: ChangeRequest | null) => {
+        setModal(null);
+        setNotice(changeRequest ? 'Manutenção registrada. A mudança de status do equipamento foi enviada para aprovação do administrador.' : '');
+        if (updated) onEquipmentChanged(updated);
+        load();
+    };
+
+    if (error) return <div className="text-center py-10 text-red-500">{error}</div>;
+    if (!data) {
+        return (
+            <div className="flex justify-center items-center py-10">
+                <Icon name="LoaderCircle" className="animate-spin text-brand-primary" size={32} />
+            </div>
+        );
+    }
+
+    const hasOpenRecord = data.records.some(record => record.status === 'open');
+    const totalCost = data.records.reduce((sum, record) => sum + (record.cost || 0), 0);
+
+    return (
+        <div className="space-y-4">
+            <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+                <div className="text-sm text-gray-600 dark:text-gray-300">
+                    <span className={`text-xs px-2 py-0.5 rounded-full ${WARRANTY_LABELS[data.warranty.status].className}`}>{WARRANTY_LABELS[data.warranty.status].text}</span>
+                    {data.warranty.end && <span className="ml-2">{data.warranty.status === 'covered' ? 'até' : 'terminou em'} {formatDate(data.warranty.end)}</span>}
+                    {data.records.length > 0 && (
+                        <span className="block text-xs text-gray-500 dark:text-dark-text-secondary mt-1">
+                            {data.records.length} reparo(s), custo total {formatCurrency(totalCost)}
+                        </span>
+                    )}
+                </div>
+                {!hasOpenRecord && (
+                    <button onClick={() => setModal({ mode: 'open' })} className="bg-amber-600 text-white px-4 py-2 rounded-lg hover:bg-amber-700 flex items-center gap-2">
+                        <Icon name="Wrench" size={18} /> Enviar para Manutenção
+                    </button>
+                )}
+            </div>
+
+            {notice && <div className="bg-blue-100 border-l-4 border-blue-500 text-blue-800 p-3 rounded text-sm">{notice}</div>}
+
+            {data.records.length === 0 ? (
+                <p className="text-center py-6 text-gray-500 dark:text-dark-text-secondary">Nenhuma manutenção registrada para este equipamento.</p>
+            ) : (
+                <div className="space-y-3">
+                    {data.records.map(record => (
+                        <div key={record.id} className={`p-4 border rounded-lg ${record.status === 'open' ? 'border-amber-400 bg-amber-50 dark:bg-amber-900/10' : 'dark:border-dark-border'}`}>
+                            <div className="flex flex-col sm:flex-row sm:justify-between gap-2">
+                                <div className="min-w-0">
+                                    <p className="font-semibold text-gray-900 dark:text-white">
+                                        {record.status === 'open' ? 'Em reparo' : 'Encerrada'} · {formatDate(record.opened_at)}{record.closed_at ? ` a ${formatDate(record.closed_at)}` : ''} ({formatDays(record.days_in_repair)})
+                                    </p>
+                                    <p className="text-xs text-gray-500 dark:text-dark-text-secondary">
+                                        {record.vendor || 'Fornecedor não informado'}{record.ticket_number ? ` · Chamado ${record.ticket_number}` : ''} · Custo {formatCurrency(record.cost)}
+                                    </p>
+                                </div>
+                                <div className="flex items-start gap-3 text-sm whitespace-nowrap">
+                                    <span className={`text-xs px-2 py-0.5 rounded-full ${WARRANTY_LABELS[record.warranty_status].className}`}>{WARRANTY_LABELS[record.warranty_status].text}</span>
+                                    <button onClick={() => setModal({ mode: 'edit', record })} className="text-brand-primary hover:underline flex items-center gap-1">
+                                        <Icon name="Pencil" size={14} /> Editar
+                                    </button>
+                                    {record.status === 'open' && (
+                                        <button onClick={() => setModal({ mode: 'close', record })} className="text-green-600 dark:text-green-400 hover:underline flex items-center gap-1">
+                                            <Icon name="BadgeCheck" size={14} /> Encerrar
+                                        </button>
+                                    )}
+                                </div>
+                            </div>
+                            <p className="text-sm text-gray-700 dark:text-dark-text-secondary mt-2"><strong>Problema:</strong> {record.problem}</p>
+                            {record.resolution && <p className="text-sm text-gray-700 dark:text-dark-text-secondary mt-1"><strong>Serviço:</strong> {record.resolution}</p>}
+                            {record.parts.length > 0 && <p className="text-sm text-gray-700 dark:text-dark-text-secondary mt-1"><strong>Peças:</strong> {record.parts.join(', ')}</p>}
+                            <p className="text-xs text-gray-500 dark:text-dark-text-secondary mt-2">
+                                Aberta por {record.opened_by}{record.previous_status ? ` (status anterior: ${record.previous_status})` : ''}
+                                {record.closed_by && ` · encerrada por ${record.closed_by}, voltou como ${record.return_status || '-'}`}
+                            </p>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {modal && (
+                <MaintenanceRecordModal
+                    equipment={equipment}
+                    mode={modal.mode}
+                    record={modal.record}
+                    warranty={data.warranty}
+                    onClose={() => setModal(null)}
+                    onDone={handleDone}
+                />
+            )}
+        </div>
+    );
+};
+
+export default EquipmentMaintenancePanel;
@@ -0,0 +1,95 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { EquipmentTermo } from '../types';
+import { getEquipmentTermos } from '../services/apiService';
+import Icon from './common/Icon';
+
+interface EquipmentTermoArchiveProps {
+    equipmentId: number;
+    // Incrementado pelo modal de detalhes quando um termo novo é gerado ou assinado
+    refreshKey: number;
+    onOpen: (termo: EquipmentTermo) => void;
+}
+
+export const TERMO_TYPE_LABELS: Record<EquipmentTermo['termo_type'], string> = {
+    entrega: 'Entrega',
+    devolucao: 'Devolução',
+};
+
+// Termos gerados nos check-outs e check-ins do equipamento, do mais recente para o mais antigo
+const EquipmentTermoArchive: React.FC<EquipmentTermoArchiveProps> = ({ equipmentId, refreshKey, onOpen }) => {
+    const [termos, setTermos] = useState<EquipmentTermo[]>([]);
+    const [loading, setLoading] = useState(true);
+
+    const loadTermos = useCallback(() => {
+        setLoading(true);
+        getEquipmentTermos(equipmentId)
+            .then(setTermos)
+            .catch(error => console.error("Erro ao buscar termos", error))
+            .finally(() => setLoading(false));
+    }, [equipmentId]);
+
+    useEffect(() => {
+        loadTermos();
+    }, [loadTermos, refreshKey]);
+
+    if (loading) {
+        return <div className="text-center py-4"><Icon name="LoaderCircle" className="animate-spin mx-auto"/></div>;
+    }
+
+    if (termos.length === 0) {
+        return <p className="text-sm text-center text-gray-500 dark:text-dark-text-secondary">Nenhum termo arquivado. Os termos são gerados ao entregar (check-out) ou receber (check-in) o equipamento.</p>;
+    }
+
+    return (
+        <div className="overflow-x-auto border dark:border-dark-border rounded-lg">
+            <table className="w-full text-sm text-left text-gray-700 dark:text-dark-text-secondary">
+                <thead className="text-xs text-gray-800 dark:text-dark-text-primary uppercase bg-gray-100 dark:bg-gray-900/50">
+                    <tr>
+                        <th scope="col" className="px-4 py-2">Tipo</th>
+                        <th scope="col" className="px-4 py-2">Colaborador</th>
+                        <th scope="col" className="px-4 py-2">Gerado em</th>
+                        <th scope="col" className="px-4 py-2">Assinatura</th>
+                        <th scope="col" className="px-4 py-2">Enviado por e-mail</th>
+                        <th scope="col" className="px-4 py-2 text-right">Ações</th>
+                    </tr>
+                </thead>
+                <tbody className="bg-white dark:bg-dark-card">
+                    {termos.map(termo => (
+                        <tr key={termo.id} className="border-b dark:border-dark-border last:border-0">
+                            <td className="px-4 py-2 whitespace-nowrap">{TERMO_TYPE_LABELS[termo.termo_type]}</td>
+                            <td className="px-4 py-2 whitespace-nowrap">{termo.collaborator || '-'}</td>
+                            <td className="px-4 py-2 whitespace-nowrap">
+                                {new Date(termo.created_at).toLocaleString('pt-BR')}
+                                <span className="block text-xs text-gray-500 dark:text-dark-text-secondary">por {termo.created_by}</span>
+                            </td>
+                            <td className="px-4 py-2 whitespace-nowrap">
+                                {termo.signed_at ? (
+                                    <span className="px-2 py-1 rounded-full text-xs font-semibold bg-green-100 text-green-800 dark:bg-green-900/50 dark:text-green-200">
+                                        Assinado em {new Date(termo.signed_at).toLocaleDateString('pt-BR')}
+                                    </span>
+                                ) : (
+                                    <span className="px-2 py-1 rounded-full text-xs font-semibold bg-yellow-100 text-yellow-800 dark:bg-yellow-900/50 dark:text-yellow-200">Pendente</span>
+                                )}
+                            </td>
+                            <td className="px-4 py-2 whitespace-nowrap">
+                                {termo.sent_at ? (
+                                    <>
+                                        {new Date(termo.sent_at).toLocaleString('pt-BR')}
+                                        <span className="block text-xs text-gray-500 dark:text-dark-text-secondary">{termo.sent_to}</span>
+                                    </>
+                                ) : '-'}
+                            </td>
+                            <td className="px-4 py-2 text-right">
+                                <button onClick={() => onOpen(termo)} className="text-brand-primary hover:underline text-xs flex items-center gap-1 ml-auto">
+                                    <Icon name="FileText" size={14} /> Abrir
+                                </button>
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+export default EquipmentTermoArchive;
@@ -0,0 +1,101 @@
+import React, { useState } from 'react';
+import { PasswordChangeReason, User } from '../types';
+import Icon from './common/Icon';
+import FieldError from './common/FieldError';
+import PasswordRequirements from './PasswordRequirements';
+import { changePassword, ApiError } from '../services/apiService';
+
+interface ForcedPasswordChangeProps {
+  user: User;
+  onChangeSuccess: (user: User) => void;
+  onCancel: () => void;
+}
+
+const REASON_MESSAGES: Record<PasswordChangeReason, string> = {
+  default: 'Você entrou com a senha padrão de instalação. Defina uma senha própria antes de continuar.',
+  required: 'Sua senha foi definida por um administrador. Escolha uma nova senha para continuar.',
+  expired: 'Sua senha expirou de acordo com a política de senhas. Escolha uma nova senha para continuar.',
+};
+
+const inputClass = "shadow appearance-none border dark:border-dark-border rounded w-full py-2 px-3 bg-white dark:bg-gray-800 text-gray-700 dark:text-dark-text-primary leading-tight focus:outline-none focus:shadow-outline";
+
+// Etapa do login que aparece quando a senha é temporária, expirou ou é a padrão: o token só permite trocar a senha
+const ForcedPasswordChange: React.FC<ForcedPasswordChangeProps> = ({ user, onChangeSuccess, onCancel }) => {
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [errors, setErrors] = useState<Record<string, string>>({});
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setErrors({});
+    setError('');
+    if (newPassword !== confirmPassword) {
+      setErrors({ confirmPassword: 'As senhas não conferem.' });
+      return;
+    }
+    setIsLoading(true);
+    try {
+      // A resposta continua o login: pode pedir o segundo fator ou já trazer a sessão
+      onChangeSuccess(await changePassword(currentPassword, newPassword));
+    } catch (err: any) {
+      setErrors(err instanceof ApiError && err.fieldErrors ? err.fieldErrors : {});
+      setError(err.message || 'Não foi possível alterar a senha.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="relative min-h-screen flex items-center justify-center bg-gray-100 dark:bg-dark-bg p-4">
+      <div className="bg-white dark:bg-dark-card p-8 rounded-lg shadow-lg w-full max-w-md">
+        <div className="text-center">
+          <div className="inline-flex items-center justify-center bg-yellow-100 dark:bg-yellow-900/50 text-yellow-600 dark:text-yellow-300 rounded-full p-3 mb-4">
+            <Icon name="KeyRound" size={32} />
+          </div>
+          <h1 className="text-2xl font-bold text-brand-dark dark:text-dark-text-primary">Troca de Senha Obrigatória</h1>
+          <p className="text-gray-500 dark:text-dark-text-secondary mt-2">
+            {REASON_MESSAGES[user.requiresPasswordChange || 'required']}
+          </p>
+        </div>
+
+        {error && <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative my-4" role="alert">{error}</div>}
+
+        <form onSubmit={handleSubmit} className="space-y-4 mt-6">
+          <div>
+            <label className="block text-gray-700 dark:text-dark-text-secondary text-sm font-bold mb-2" htmlFor="currentPassword">Senha atual</label>
+            <input id="currentPassword" type="password" value={currentPassword} onChange={(e) => setCurrentPassword(e.target.value)} className={inputClass} autoFocus />
+            <FieldError errors={errors} name="currentPassword" />
+          </div>
+          <div>
+            <label className="block text-gray-700 dark:text-dark-text-secondary text-sm font-bold mb-2" htmlFor="newPassword">Nova senha</label>
+            <input id="newPassword" type="password" value={newPassword} onChange={(e) => setNewPassword(e.target.value)} className={inputClass} />
+            <FieldError errors={errors} name="newPassword" />
+          </div>
+          <div>
+            <label className="block text-gray-700 dark:text-dark-text-secondary text-sm font-bold mb-2" htmlFor="confirmPassword">Confirme a nova senha</label>
+            <input id="confirmPassword" type="password" value={confirmPassword} onChange={(e) => setConfirmPassword(e.target.value)} className={inputClass} />
+            <FieldError errors={errors} name="confirmPassword" />
+          </div>
+          <PasswordRequirements password={newPassword} />
+          <div className="flex flex-col items-center justify-between gap-4 pt-2">
+            <button
+              type="submit"
+              disabled={isLoading}
+              className="bg-brand-primary hover:bg-blue-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline w-full transition-colors disabled:bg-gray-400"
+            >
+              {isLoading ? 'Salvando...' : 'Alterar senha e continuar'}
+            </button>
+            <button type="button" onClick={onCancel} className="text-sm text-gray-600 dark:text-dark-text-secondary hover:underline">
+              Cancelar e voltar
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ForcedPasswordChange;
@@ -0,0 +1,234 @@
+import React, { useState, useEffect } from 'react';
+import { User, UserRole, LicenseComplianceReport, LicenseAlertItem, LicenseAlertSettings } from '../types';
+import { getLicenseCompliance, getLicenseAlertSettings, saveLicenseAlertSettings, sendLicenseAlertDigest, ApiError } from '../services/apiService';
+import Icon from './common/Icon';
+import FieldError from './common/FieldError';
+
+interface LicenseCompliancePanelProps {
+    currentUser: User;
+    // Recarrega o relatório sempre que as licenças mudam (incrementado pela tela de licenças)
+    refreshKey: number;
+}
+
+const formatDate = (iso: string) => iso.split('-').reverse().join('/');
+
+const AlertTable: React.FC<{ items: LicenseAlertItem[]; expired?: boolean }> = ({ items, expired }) => (
+    <div className="overflow-x-auto max-h-64 border dark:border-dark-border rounded-lg">
+        <table className="w-full text-sm text-left text-gray-700 dark:text-dark-text-secondary">
+            <thead className="text-xs text-gray-800 dark:text-dark-text-primary uppercase bg-gray-100 dark:bg-gray-900/50 sticky top-0">
+                <tr>
+                    <th scope="col" className="px-4 py-2">Produto</th>
+                    <th scope="col" className="px-4 py-2">Usuário</th>
+                    <th scope="col" className="px-4 py-2">Chave</th>
+                    <th scope="col" className="px-4 py-2">Gestor</th>
+                    <th scope="col" className="px-4 py-2">Expiração</th>
+                    <th scope="col" className="px-4 py-2">{expired ? 'Vencida há' : 'Prazo'}</th>
+                </tr>
+            </thead>
+            <tbody className="bg-white dark:bg-dark-card">
+                {items.map(item => (
+                    <tr key={item.id} className="border-b dark:border-dark-border last:border-0">
+                        <td className="px-4 py-2 whitespace-nowrap">{item.produto}</td>
+                        <td className="px-4 py-2 whitespace-nowrap">{item.usuario}</td>
+                        <td className="px-4 py-2 whitespace-nowrap font-mono text-xs">{item.chaveSerial}</td>
+                        <td className="px-4 py-2 whitespace-nowrap">{item.gestor || 'N/A'}</td>
+                        <td className="px-4 py-2 whitespace-nowrap">{formatDate(item.dataExpiracao)}</td>
+                        <td className="px-4 py-2 whitespace-nowrap">
+                            {expired
+                                ? `${Math.abs(item.daysLeft)} dia(s)`
+                                : <span>{item.daysLeft} dia(s) <span className="text-xs text-gray-500 dark:text-dark-text-secondary">(aviso de {item.window} dias)</span></span>}
+                        </td>
+                    </tr>
+                ))}
+            </tbody>
+        </table>
+    </div>
+);
+
+const LicenseCompliancePanel: React.FC<LicenseCompliancePanelProps> = ({ currentUser, refreshKey }) => {
+    const isAdmin = currentUser.role === UserRole.Admin;
+    const [report, setReport] = useState<LicenseComplianceReport | null>(null);
+    const [settings, setSettings] = useState<LicenseAlertSettings | null>(null);
+    const [windowsInput, setWindowsInput] = useState('');
+    const [isOpen, setIsOpen] = useState(false);
+    const [isSaving, setIsSaving] = useState(false);
+    const [isSending, setIsSending] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+    const [fieldErrors, setFieldErrors] = useState<Record<string, string>>({});
+    const [message, setMessage] = useState<string | null>(null);
+
+    useEffect(() => {
+        getLicenseCompliance()
+            .then(setReport)
+            .catch(e => setError(`Falha ao carregar o relatório de conformidade: ${e.message}`));
+    }, [refreshKey]);
+
+    useEffect(() => {
+        if (!isAdmin) return;
+        getLicenseAlertSettings()
+            .then(data => {
+                setSettings(data);
+                setWindowsInput(data.windows.join(', '));
+            })
+            .catch(e => setError(`Falha ao carregar as configurações de alerta: ${e.message}`));
+    }, [isAdmin]);
+
+    const handleSaveSettings = async () => {
+        if (!settings) return;
+        setIsSaving(true);
+        setError(null);
+        setFieldErrors({});
+        setMessage(null);
+        try {
+            const windows = windowsInput.split(',').map(value => value.trim()).filter(Boolean).map(Number);
+            const saved = await saveLicenseAlertSettings({ enabled: settings.enabled, windows });
+            setSettings(saved);
+            setWindowsInput(saved.windows.join(', '));
+            setReport(await getLicenseCompliance());
+            setMessage('Configurações de alerta salvas.');
+        } catch (e: any) {
+            if (e instanceof ApiError && e.fieldErrors) setFieldErrors(e.fieldErrors);
+            setError(e.message);
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleSendNow = async () => {
+        if (!window.confirm('Enviar agora o resumo completo de licenças por e-mail para os administradores e gestores?')) return;
+        setIsSending(true);
+        setError(null);
+        setMessage(null);
+        try {
+            const result = await sendLicenseAlertDigest();
+            const parts: string[] = [];
+            if (result.sentTo.length > 0) parts.push(`Resumo enviado para: ${result.sentTo.join('; ')}.`);
+            else if (result.failed.length === 0 && result.webhookDeliveries === 0) parts.push('Nada a notificar: nenhuma licença a vencer, vencida ou em excesso.');
+            if (result.failed.length > 0) parts.push(`Falha no envio para: ${result.failed.map(f => `${f.to} (${f.error})`).join('; ')}.`);
+            if (result.webhookDeliveries > 0) parts.push(`${result.webhookDeliveries} aviso(s) enfileirado(s) para os webhooks.`);
+            setMessage(parts.join(' '));
+            setSettings(await getLicenseAlertSettings());
+        } catch (e: any) {
+            setError(`Falha ao enviar o resumo: ${e.message}`);
+        } finally {
+            setIsSending(false);
+        }
+    };
+
+    const expiredCount = report?.expired.length || 0;
+    const expiringCount = report?.expiring.length || 0;
+    const overAllocatedCount = report?.overAllocated.length || 0;
+
+    return (
+        <div className="bg-white dark:bg-dark-card rounded-lg shadow-md border dark:border-dark-border">
+            <div
+                className="p-4 flex flex-col sm:flex-row justify-between sm:items-center gap-3 cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors"
+                onClick={() => setIsOpen(prev => !prev)}
+            >
+                <div className="flex items-center gap-2">
+                    <Icon name="ShieldAlert" size={20} className="text-brand-primary" />
+                    <h3 className="text-lg font-bold text-brand-secondary dark:text-dark-text-primary">Conformidade e Alertas</h3>
+                </div>
+                <div className="flex flex-wrap items-center gap-2 text-sm">
+                    <span className="px-2 py-1 rounded-full font-semibold bg-red-100 text-red-800 dark:bg-red-900/50 dark:text-red-300">{expiredCount} vencida(s)</span>
+                    <span className="px-2 py-1 rounded-full font-semibold bg-yellow-100 text-yellow-800 dark:bg-yellow-900/50 dark:text-yellow-300">{expiringCount} a vencer</span>
+                    <span className="px-2 py-1 rounded-full font-semibold bg-orange-100 text-orange-800 dark:bg-orange-900/50 dark:text-orange-300">{overAllocatedCount} produto(s) em excesso</span>
+                    <Icon name={isOpen ? 'ChevronUp' : 'ChevronDown'} size={20} className="text-gray-500" />
+                </div>
+            </div>
+
+            {isOpen && (
+                <div className="p-4 border-t dark:border-dark-border space-y-6">
+                    {error && <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4" role="alert"><p>{error}</p></div>}
+                    {message && <div className="bg-green-100 border-l-4 border-green-500 text-green-700 p-4" role="status"><p>{message}</p></div>}
+
+                    {report && (
+                        <>
+                            <div>
+                                <h4 className="font-semibold text-gray-800 dark:text-dark-text-primary mb-2">
+                                    Licenças a vencer (próximos {report.windows[report.windows.length - 1] || 0} dias)
+                                </h4>
+                                {expiringCount > 0
+                                    ? <AlertTable items={report.expiring} />
+                                    : <p className="text-sm text-gray-500 dark:text-dark-text-secondary">Nenhuma licença a vencer nos prazos configurados.</p>}
+                            </div>
+                            <div>
+                                <h4 className="font-semibold text-gray-800 dark:text-dark-text-primary mb-2">Licenças vencidas</h4>
+                                {expiredCount > 0
+                                    ? <AlertTable items={report.expired} expired />
+                                    : <p className="text-sm text-gray-500 dark:text-dark-text-secondary">Nenhuma licença vencida.</p>}
+                            </div>
+                            <div>
+                                <h4 className="font-semibold text-gray-800 dark:text-dark-text-primary mb-2">Produtos com excesso de alocação</h4>
+                                {overAllocatedCount > 0 ? (
+                                    <ul className="text-sm space-y-1 text-gray-700 dark:text-dark-text-secondary">
+                                        {report.overAllocated.map(item => (
+                                            <li key={item.produto}>
+                                                <strong className="text-gray-800 dark:text-dark-text-primary">{item.produto}</strong>: {item.assigned} atribuída(s) de {item.total} adquirida(s) — <span className="text-orange-600 dark:text-orange-400 font-semibold">{item.excess} a mais</span>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                ) : <p className="text-sm text-gray-500 dark:text-dark-text-secondary">Nenhum produto com mais licenças atribuídas que o total adquirido.</p>}
+                            </div>
+                        </>
+                    )}
+
+                    {isAdmin && settings && (
+                        <div className="p-4 bg-gray-50 dark:bg-dark-bg rounded-lg border dark:border-dark-border space-y-4">
+                            <h4 className="font-semibold text-gray-800 dark:text-dark-text-primary flex items-center gap-2">
+                                <Icon name="Mail" size={18} /> Notificações por e-mail
+                            </h4>
+                            <p className="text-xs text-gray-500 dark:text-dark-text-secondary">
+                                O resumo diário é enviado aos administradores com e-mail cadastrado e, para as próprias licenças, aos gestores cujo campo "Gestor" seja um e-mail. Cada licença é avisada uma vez por prazo. Usa o servidor SMTP definido nas Configurações.
+                            </p>
+                            <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-dark-text-secondary">
+                                <input
+                                    type="checkbox"
+                                    checked={settings.enabled}
+                                    onChange={(e) => setSettings({ ...settings, enabled: e.target.checked })}
+                                    className="h-4 w-4 rounded text-brand-primary focus:ring-brand-primary"
+                                />
+                                Enviar resumo diário automaticamente
+                            </label>
+                            <div className="max-w-sm">
+                                <label htmlFor="alertWindows" className="block text-sm font-medium text-gray-700 dark:text-dark-text-secondary mb-1">Prazos de aviso (dias, separados por vírgula)</label>
+                                <input
+                                    id="alertWindows"
+                                    type="text"
+                                    value={windowsInput}
+                                    onChange={(e) => setWindowsInput(e.target.value)}
+                                    placeholder="90, 30, 7"
+                                    className={`w-full p-2 border rounded-md bg-white dark:bg-gray-800 text-gray-800 dark:text-dark-text-primary ${fieldErrors.windows ? 'border-red-500' : 'dark:border-dark-border'}`}
+                                />
+                                <FieldError errors={fieldErrors} name="windows" />
+                            </div>
+                            <p className="text-xs text-gray-500 dark:text-dark-text-secondary">
+                                Última verificação: {settings.lastRun ? new Date(settings.lastRun).toLocaleString('pt-BR') : 'nunca'}
+                            </p>
+                            <div className="flex flex-wrap gap-2">
+                                <button
+                                    onClick={handleSaveSettings}
+                                    disabled={isSaving || isSending}
+                                    className="bg-brand-primary text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:bg-gray-400 flex items-center gap-2"
+                                >
+                                    {isSaving ? <Icon name="LoaderCircle" className="animate-spin" size={18} /> : <Icon name="Save" size={18} />}
+                                    Salvar
+                                </button>
+                                <button
+                                    onClick={handleSendNow}
+                                    disabled={isSaving || isSending}
+                                    className="bg-brand-secondary text-white px-4 py-2 rounded-lg hover:bg-gray-700 disabled:bg-gray-400 flex items-center gap-2"
+                                >
+                                    {isSending ? <Icon name="LoaderCircle" className="animate-spin" size={18} /> : <Icon name="Send" size={18} />}
+                                    Enviar resumo agora
+                                </button>
+                            </div>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default LicenseCompliancePanel;
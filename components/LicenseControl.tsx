@@ -1,8 +1,14 @@
 
 import React, { useState, useEffect, useMemo } from 'react';
-import { License, User, UserRole } from '../types';
-import { getLicenses, addLicense, updateLicense, deleteLicense, getLicenseTotals, saveLicenseTotals, renameProduct } from '../services/apiService';
+import { License, User, UserRole, SortOrder } from '../types';
+import { getLicensesPage, getLicenseSummary, fetchAllPages, addLicense, updateLicense, deleteLicense, getLicenseTotals, saveLicenseTotals, renameProduct, isChangeRequestReceipt, ApiError } from '../services/apiService';
 import Icon from './common/Icon';
+import FieldError from './common/FieldError';
+import Pagination from './common/Pagination';
+import SortableHeader from './common/SortableHeader';
+import useDebouncedValue from './common/useDebouncedValue';
+import LicenseCompliancePanel from './LicenseCompliancePanel';
+import LicenseReconciliationPanel from './LicenseReconciliationPanel';
 
 interface LicenseFormModalProps {
     license: License | null;
@@ -30,6 +36,9 @@ const LicenseFormModal: React.FC<LicenseFormModalProps> = ({ license, onClose, o
         empresa: ''
     });
     const [isSaving, setIsSaving] = useState(false);
+    const [saveError, setSaveError] = useState('');
+    const [fieldErrors, setFieldErrors] = useState<Record<string, string>>({});
+    const errorBorder = (name: string) => fieldErrors[name] ? ' border-red-500' : '';
 
     useEffect(() => {
         if (license) {
@@ -48,9 +57,14 @@ const LicenseFormModal: React.FC<LicenseFormModalProps> = ({ license, onClose, o
     const handleSubmit = async (e: React.FormEvent) => {
         e.preventDefault();
         setIsSaving(true);
+        setSaveError('');
+        setFieldErrors({});
         try {
             if (license) {
-                await updateLicense({ ...formData, id: license.id } as License, currentUser.username);
+                const result = await updateLicense({ ...formData, id: license.id } as License, currentUser.username);
+                if (isChangeRequestReceipt(result)) {
+                    alert("Alteração enviada para aprovação do administrador. O resultado aparecerá em \"Minhas Solicitações\", no Dashboard.");
+                }
             } else {
                 await addLicense(formData as any, currentUser);
                 if (currentUser.role !== UserRole.Admin) {
@@ -59,9 +73,10 @@ const LicenseFormModal: React.FC<LicenseFormModalProps> = ({ license, onClose, o
             }
             onSave();
             onClose();
-        } catch (error) {
+        } catch (error: any) {
             console.error("Failed to save license", error);
-            alert("Erro ao salvar licença.");
+            setSaveError(error.message || "Erro ao salvar licença.");
+            setFieldErrors(error instanceof ApiError && error.fieldErrors ? error.fieldErrors : {});
         } finally {
             setIsSaving(false);
         }
@@ -74,6 +89,12 @@ const LicenseFormModal: React.FC<LicenseFormModalProps> = ({ license, onClose, o
                     <h3 className="text-xl font-bold text-brand-dark dark:text-dark-text-primary">{license ? 'Editar Licença' : 'Nova Licença'}</h3>
                 </div>
                 <div className="p-6 grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4 overflow-y-auto">
+                    {saveError && (
+                        <div className="sm:col-span-2 lg:col-span-3 bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative break-words" role="alert">
+                            <strong className="font-bold">Erro: </strong>
+                            <span className="block sm:inline">{saveError}</span>
+                        </div>
+                    )}
                      <div className="sm:col-span-1">
                         <label className="block text-sm font-medium text-gray-700 dark:text-dark-text-secondary mb-1">Produto</label>
                         <input 
@@ -83,35 +104,71 @@ const LicenseFormModal: React.FC<LicenseFormModalProps> = ({ license, onClose, o
                             placeholder="Ex: Windows 11 Pro" 
                             value={formData.produto || ''} 
                             onChange={handleChange} 
-                            className="w-full p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary" 
+                            className={`w-full p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary${errorBorder('produto')}`} 
                             required 
                         />
                         <datalist id="product-suggestions">
                             {productNames.map(name => <option key={name} value={name} />)}
                         </datalist>
+                        <FieldError errors={fieldErrors} name="produto" />
+                    </div>
+                    <div className="flex flex-col">
+                        <input type="text" name="chaveSerial" placeholder="Chave Serial *" value={formData.chaveSerial || ''} onChange={handleChange} className={`p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary${errorBorder('chaveSerial')}`} required />
+                        <FieldError errors={fieldErrors} name="chaveSerial" />
+                    </div>
+                    <div className="flex flex-col">
+                        <input type="text" name="usuario" placeholder="Usuário *" value={formData.usuario || ''} onChange={handleChange} className={`p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary${errorBorder('usuario')}`} required />
+                        <FieldError errors={fieldErrors} name="usuario" />
                     </div>
-                    <input type="text" name="chaveSerial" placeholder="Chave Serial *" value={formData.chaveSerial || ''} onChange={handleChange} className="p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary" required />
-                    <input type="text" name="usuario" placeholder="Usuário *" value={formData.usuario || ''} onChange={handleChange} className="p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary" required />
                     
-                    <input type="text" name="tipoLicenca" placeholder="Tipo (Ex: Perpétua, Assinatura)" value={formData.tipoLicenca || ''} onChange={handleChange} className="p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary" />
+                    <div className="flex flex-col">
+                        <input type="text" name="tipoLicenca" placeholder="Tipo (Ex: Perpétua, Assinatura)" value={formData.tipoLicenca || ''} onChange={handleChange} className={`p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary${errorBorder('tipoLicenca')}`} />
+                        <FieldError errors={fieldErrors} name="tipoLicenca" />
+                    </div>
                     <div className="flex flex-col">
                         <label className="text-xs text-gray-500 dark:text-dark-text-secondary">Data Expiração</label>
-                        <input type="date" name="dataExpiracao" value={formData.dataExpiracao || ''} onChange={handleChange} className="p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary" />
+                        <input type="date" name="dataExpiracao" value={formData.dataExpiracao || ''} onChange={handleChange} className={`p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary${errorBorder('dataExpiracao')}`} />
+                        <FieldError errors={fieldErrors} name="dataExpiracao" />
+                    </div>
+                    <div className="flex flex-col">
+                        <input type="text" name="empresa" placeholder="Empresa" value={formData.empresa || ''} onChange={handleChange} className={`p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary${errorBorder('empresa')}`} />
+                        <FieldError errors={fieldErrors} name="empresa" />
                     </div>
-                     <input type="text" name="empresa" placeholder="Empresa" value={formData.empresa || ''} onChange={handleChange} className="p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary" />
                     
-                    <input type="text" name="setor" placeholder="Setor" value={formData.setor || ''} onChange={handleChange} className="p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary" />
-                    <input type="text" name="cargo" placeholder="Cargo" value={formData.cargo || ''} onChange={handleChange} className="p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary" />
-                    <input type="text" name="gestor" placeholder="Gestor" value={formData.gestor || ''} onChange={handleChange} className="p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary" />
+                    <div className="flex flex-col">
+                        <input type="text" name="setor" placeholder="Setor" value={formData.setor || ''} onChange={handleChange} className={`p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary${errorBorder('setor')}`} />
+                        <FieldError errors={fieldErrors} name="setor" />
+                    </div>
+                    <div className="flex flex-col">
+                        <input type="text" name="cargo" placeholder="Cargo" value={formData.cargo || ''} onChange={handleChange} className={`p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary${errorBorder('cargo')}`} />
+                        <FieldError errors={fieldErrors} name="cargo" />
+                    </div>
+                    <div className="flex flex-col">
+                        <input type="text" name="gestor" placeholder="Gestor" value={formData.gestor || ''} onChange={handleChange} className={`p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary${errorBorder('gestor')}`} />
+                        <FieldError errors={fieldErrors} name="gestor" />
+                    </div>
                     
-                    <input type="text" name="centroCusto" placeholder="Centro de Custo" value={formData.centroCusto || ''} onChange={handleChange} className="p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary" />
-                    <input type="text" name="contaRazao" placeholder="Conta Razão" value={formData.contaRazao || ''} onChange={handleChange} className="p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary" />
-                    <input type="text" name="nomeComputador" placeholder="Nome do Computador (Hostname)" value={formData.nomeComputador || ''} onChange={handleChange} className="p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary" />
-                     <input type="text" name="numeroChamado" placeholder="Número do Chamado" value={formData.numeroChamado || ''} onChange={handleChange} className="p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary" />
+                    <div className="flex flex-col">
+                        <input type="text" name="centroCusto" placeholder="Centro de Custo" value={formData.centroCusto || ''} onChange={handleChange} className={`p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary${errorBorder('centroCusto')}`} />
+                        <FieldError errors={fieldErrors} name="centroCusto" />
+                    </div>
+                    <div className="flex flex-col">
+                        <input type="text" name="contaRazao" placeholder="Conta Razão" value={formData.contaRazao || ''} onChange={handleChange} className={`p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary${errorBorder('contaRazao')}`} />
+                        <FieldError errors={fieldErrors} name="contaRazao" />
+                    </div>
+                    <div className="flex flex-col">
+                        <input type="text" name="nomeComputador" placeholder="Nome do Computador (Hostname)" value={formData.nomeComputador || ''} onChange={handleChange} className={`p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary${errorBorder('nomeComputador')}`} />
+                        <FieldError errors={fieldErrors} name="nomeComputador" />
+                    </div>
+                    <div className="flex flex-col">
+                        <input type="text" name="numeroChamado" placeholder="Número do Chamado" value={formData.numeroChamado || ''} onChange={handleChange} className={`p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary${errorBorder('numeroChamado')}`} />
+                        <FieldError errors={fieldErrors} name="numeroChamado" />
+                    </div>
 
                      <div className="sm:col-span-2 lg:col-span-3">
                         <label className="text-xs text-gray-500 dark:text-dark-text-secondary mb-1">Observações</label>
                         <textarea name="observacoes" value={formData.observacoes || ''} onChange={handleChange} rows={2} className="w-full p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary" placeholder="Observações adicionais..."></textarea>
+                        <FieldError errors={fieldErrors} name="observacoes" />
                     </div>
                 </div>
                 <div className="p-6 border-t dark:border-dark-border bg-gray-50 dark:bg-dark-card/50 flex justify-end gap-3">
@@ -300,12 +357,111 @@ const ProductManagerModal: React.FC<{
     );
 };
 
+// --- LICENÇAS DE UM PRODUTO (paginadas no servidor) ---
+interface ProductLicenseTableProps {
+    productName: string;
+    searchTerm: string;
+    refreshKey: number;
+    currentUser: User;
+    onEdit: (license: License) => void;
+    onDelete: (id: number) => void;
+}
+
+const ProductLicenseTable: React.FC<ProductLicenseTableProps> = ({ productName, searchTerm, refreshKey, currentUser, onEdit, onDelete }) => {
+    const [licenses, setLicenses] = useState<License[]>([]);
+    const [total, setTotal] = useState(0);
+    const [loading, setLoading] = useState(true);
+    const [sort, setSort] = useState<{ column: string; order: SortOrder }>({ column: 'usuario', order: 'asc' });
+    const [page, setPage] = useState(1);
+
+    useEffect(() => {
+        setPage(1);
+    }, [searchTerm, sort]);
+
+    useEffect(() => {
+        let cancelled = false;
+        setLoading(true);
+        getLicensesPage({ produto: productName, q: searchTerm, sort: sort.column, order: sort.order, page })
+            .then(result => {
+                if (cancelled) return;
+                setLicenses(result.items);
+                setTotal(result.total);
+            })
+            .catch(error => console.error("Failed to load licenses", error))
+            .finally(() => { if (!cancelled) setLoading(false); });
+        return () => { cancelled = true; };
+    }, [productName, searchTerm, sort, page, refreshKey]);
+
+    const handleSort = (column: string, order: SortOrder) => setSort({ column, order });
+
+    if (loading && licenses.length === 0) {
+        return (
+            <div className="flex justify-center py-4">
+                <Icon name="LoaderCircle" className="animate-spin text-brand-primary" size={24} />
+            </div>
+        );
+    }
+
+    if (total === 0) {
+        return (
+            <div className="text-center py-4 text-gray-500 dark:text-dark-text-secondary">
+                Nenhuma licença cadastrada para este produto.
+            </div>
+        );
+    }
+
+    return (
+        <div className={`overflow-x-auto transition-opacity ${loading ? 'opacity-60' : ''}`}>
+            <table className="w-full text-sm text-left text-gray-700 dark:text-dark-text-secondary">
+                <thead className="text-xs text-gray-800 dark:text-dark-text-primary uppercase bg-gray-200 dark:bg-gray-800">
+                    <tr>
+                        <SortableHeader label="Chave Serial" column="chaveSerial" sort={sort.column} order={sort.order} onSort={handleSort} className="px-4 py-3" />
+                        <SortableHeader label="Usuário" column="usuario" sort={sort.column} order={sort.order} onSort={handleSort} className="px-4 py-3" />
+                        <SortableHeader label="Validade" column="dataExpiracao" sort={sort.column} order={sort.order} onSort={handleSort} className="px-4 py-3" />
+                        <th className="px-4 py-3 text-right">Ações</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {licenses.map(item => {
+                        const isExpired = item.dataExpiracao && item.dataExpiracao !== 'N/A' && new Date(item.dataExpiracao) < new Date();
+                        return (
+                            <tr key={item.id} className="bg-white dark:bg-dark-card border-b dark:border-dark-border hover:bg-gray-100 dark:hover:bg-gray-700">
+                                <td className="px-4 py-3 font-mono text-xs">{item.chaveSerial}</td>
+                                <td className="px-4 py-3">{item.usuario}</td>
+                                <td className="px-4 py-3">
+                                    {item.dataExpiracao ? (
+                                        <span className={`${isExpired ? 'text-red-500 font-bold' : ''}`}>
+                                            {new Date(item.dataExpiracao).toLocaleDateString('pt-BR')}
+                                            {isExpired && <span className="ml-1 text-xs bg-red-100 text-red-800 px-1 rounded">Exp</span>}
+                                        </span>
+                                    ) : 'N/A'}
+                                </td>
+                                <td className="px-4 py-3 text-right flex justify-end gap-2">
+                                    <button onClick={() => onEdit(item)} className="text-blue-600 hover:text-blue-800 dark:text-blue-400 dark:hover:text-blue-300" title="Editar">
+                                        <Icon name="Pencil" size={16} />
+                                    </button>
+                                    <button onClick={() => onDelete(item.id)} className="text-red-600 hover:text-red-800 dark:text-red-400 dark:hover:text-red-300" title={currentUser.role === UserRole.Admin ? 'Excluir' : 'Solicitar Exclusão'}>
+                                        <Icon name="Trash2" size={16} />
+                                    </button>
+                                </td>
+                            </tr>
+                        );
+                    })}
+                </tbody>
+            </table>
+            <Pagination page={page} pageSize={25} total={total} onPageChange={setPage} disabled={loading} />
+        </div>
+    );
+};
+
 interface LicenseControlProps {
     currentUser: User;
 }
 
 const LicenseControl: React.FC<LicenseControlProps> = ({ currentUser }) => {
-    const [licenses, setLicenses] = useState<License[]>([]);
+    // Licenças por produto: todas (inUse) e só as que atendem à busca atual (matches)
+    const [inUseByProduct, setInUseByProduct] = useState<Record<string, number>>({});
+    const [matchesByProduct, setMatchesByProduct] = useState<Record<string, number>>({});
     const [totalLicenses, setTotalLicenses] = useState<Record<string, number>>({});
     const [productNames, setProductNames] = useState<string[]>([]);
     const [loading, setLoading] = useState(true);
@@ -313,6 +469,10 @@ const LicenseControl: React.FC<LicenseControlProps> = ({ currentUser }) => {
     const [isModalOpen, setIsModalOpen] = useState(false);
     const [isManagerOpen, setIsManagerOpen] = useState(false);
     const [editingLicense, setEditingLicense] = useState<License | null>(null);
+    const [exportingProduct, setExportingProduct] = useState<string | null>(null);
+    // Incrementado a cada alteração para que as tabelas abertas e o painel de conformidade recarreguem
+    const [refreshKey, setRefreshKey] = useState(0);
+    const debouncedSearch = useDebouncedValue(searchTerm.trim());
     
     // State for accordion
     const [expandedProducts, setExpandedProducts] = useState<Record<string, boolean>>({});
@@ -320,17 +480,18 @@ const LicenseControl: React.FC<LicenseControlProps> = ({ currentUser }) => {
     const loadLicensesAndProducts = async () => {
         setLoading(true);
         try {
-            const [licensesData, totalsData] = await Promise.all([
-                getLicenses(currentUser),
+            const [summaryData, totalsData] = await Promise.all([
+                getLicenseSummary(),
                 getLicenseTotals()
             ]);
-            setLicenses(licensesData);
+            setInUseByProduct(summaryData);
             setTotalLicenses(totalsData || {});
 
             // Define product names strictly from the managed 'totalsData' to avoid pollution from legacy license names
             // If totalsData is empty, the list will be empty, forcing users to use the manager
             const managedNames = Object.keys(totalsData || {}).sort();
             setProductNames(managedNames);
+            setRefreshKey(key => key + 1);
 
         } catch (error) {
             console.error("Failed to load data", error);
@@ -343,11 +504,28 @@ const LicenseControl: React.FC<LicenseControlProps> = ({ currentUser }) => {
         loadLicensesAndProducts();
     }, [currentUser]);
 
+    useEffect(() => {
+        if (!debouncedSearch) {
+            setMatchesByProduct(inUseByProduct);
+            return;
+        }
+        let cancelled = false;
+        getLicenseSummary(debouncedSearch)
+            .then(data => { if (!cancelled) setMatchesByProduct(data); })
+            .catch(error => console.error("Failed to search licenses", error));
+        return () => { cancelled = true; };
+    }, [debouncedSearch, inUseByProduct]);
+
     const handleDelete = async (id: number) => {
-        if (currentUser.role !== UserRole.Admin) return;
-        if (window.confirm("Tem certeza que deseja excluir esta licença?")) {
+        const message = currentUser.role === UserRole.Admin
+            ? "Tem certeza que deseja excluir esta licença?"
+            : "Solicitar a exclusão desta licença? A exclusão só acontece após a aprovação de um administrador.";
+        if (window.confirm(message)) {
             try {
-                await deleteLicense(id, currentUser.username);
+                const result = await deleteLicense(id, currentUser.username);
+                if (isChangeRequestReceipt(result)) {
+                    alert("Solicitação de exclusão enviada para aprovação do administrador.");
+                }
                 loadLicensesAndProducts();
             } catch (error) {
                 console.error("Failed to delete license", error);
@@ -387,7 +565,7 @@ const LicenseControl: React.FC<LicenseControlProps> = ({ currentUser }) => {
     
             const errors: string[] = [];
             deletedProductNames.forEach(name => {
-                if (licenses.some(l => l.produto === name)) {
+                if (inUseByProduct[name] > 0) {
                     errors.push(`- "${name}" não pode ser removido pois ainda existem licenças associadas a ele.`);
                 }
             });
@@ -421,41 +599,21 @@ const LicenseControl: React.FC<LicenseControlProps> = ({ currentUser }) => {
         }
     };
 
-
-    const filteredLicenses = useMemo(() => {
-        const lowerSearch = searchTerm.toLowerCase();
-        return licenses.filter(item =>
-            item.produto.toLowerCase().includes(lowerSearch) ||
-            item.usuario.toLowerCase().includes(lowerSearch) ||
-            item.chaveSerial.toLowerCase().includes(lowerSearch)
-        );
-    }, [licenses, searchTerm]);
-    
-    // Group licenses by product
-    const groupedLicenses = useMemo(() => {
-        const groups: Record<string, License[]> = {};
-        productNames.forEach(name => groups[name] = []); // Initialize empty arrays for all managed products
-
-        filteredLicenses.forEach(l => {
-            // Ensure the product bucket exists even if product isn't in productNames (legacy support for display)
-            if (!groups[l.produto]) groups[l.produto] = [];
-            groups[l.produto].push(l);
-        });
-        return groups;
-    }, [filteredLicenses, productNames]);
-
-    // Get all unique product keys for rendering (Managed + Legacy present in filtered results)
+    // Produtos gerenciados + produtos legados que ainda têm licenças
     const displayProductKeys = useMemo(() => {
-        return Object.keys(groupedLicenses).sort();
-    }, [groupedLicenses]);
+        const keys = new Set([...productNames, ...Object.keys(inUseByProduct)]);
+        return [...keys].sort();
+    }, [productNames, inUseByProduct]);
 
+    const totalMatches = useMemo(() => Object.values(matchesByProduct).reduce((sum, count) => sum + count, 0), [matchesByProduct]);
 
-    const handleExportProductToExcel = async (productName: string, licensesToExport: License[]) => {
-        if (licensesToExport.length === 0) {
+    const handleExportProductToExcel = async (productName: string) => {
+        if (!matchesByProduct[productName]) {
             alert("Não há licenças para exportar neste produto.");
             return;
         }
 
+        setExportingProduct(productName);
         try {
             await import('xlsx');
             const XLSX = (window as any).XLSX;
@@ -465,6 +623,8 @@ const LicenseControl: React.FC<LicenseControlProps> = ({ currentUser }) => {
                 return;
             }
 
+            // Exporta todas as licenças do produto que atendem à busca, não só a página aberta
+            const licensesToExport = await fetchAllPages(getLicensesPage, { produto: productName, q: debouncedSearch });
             const dataToExport = licensesToExport.map(item => ({
                 'Produto': item.produto,
                 'Chave Serial': item.chaveSerial,
@@ -491,6 +651,8 @@ const LicenseControl: React.FC<LicenseControlProps> = ({ currentUser }) => {
         } catch (error) {
             console.error("Erro ao exportar:", error);
             alert("Erro ao gerar arquivo Excel.");
+        } finally {
+            setExportingProduct(null);
         }
     };
 
@@ -511,6 +673,10 @@ const LicenseControl: React.FC<LicenseControlProps> = ({ currentUser }) => {
                 </div>
             </div>
 
+            <LicenseCompliancePanel currentUser={currentUser} refreshKey={refreshKey} />
+
+            <LicenseReconciliationPanel currentUser={currentUser} refreshKey={refreshKey} productNames={productNames} onChanged={loadLicensesAndProducts} />
+
             <div className="mb-4">
                 <input
                     type="text"
@@ -521,19 +687,19 @@ const LicenseControl: React.FC<LicenseControlProps> = ({ currentUser }) => {
                 />
             </div>
 
-            {loading ? (
+            {loading && displayProductKeys.length === 0 ? (
                 <div className="flex justify-center items-center py-10">
                     <Icon name="LoaderCircle" className="animate-spin text-brand-primary" size={48} />
                 </div>
             ) : (
                 <div className="grid grid-cols-1 gap-4">
                     {displayProductKeys.map(productName => {
-                        const productLicenses = groupedLicenses[productName] || [];
+                        const matchCount = matchesByProduct[productName] || 0;
                         
                         // If filtering, hide empty products
-                        if (searchTerm && productLicenses.length === 0) return null;
+                        if (debouncedSearch && matchCount === 0) return null;
                         
-                        const inUseCount = productLicenses.length;
+                        const inUseCount = inUseByProduct[productName] || 0;
                         // Only managed products have totals
                         const isManaged = productNames.includes(productName);
                         const totalCount = totalLicenses[productName] || 0;
@@ -557,6 +723,9 @@ const LicenseControl: React.FC<LicenseControlProps> = ({ currentUser }) => {
                                         </div>
                                         <div className="mt-2 flex gap-4 text-sm">
                                             <span className="text-gray-600 dark:text-dark-text-secondary">Em uso: <strong className="text-gray-900 dark:text-white">{inUseCount}</strong></span>
+                                            {debouncedSearch && (
+                                                <span className="text-gray-600 dark:text-dark-text-secondary">Na busca: <strong className="text-gray-900 dark:text-white">{matchCount}</strong></span>
+                                            )}
                                             {isManaged && (
                                                 <>
                                                     <span className="text-gray-600 dark:text-dark-text-secondary">Total: <strong className="text-gray-900 dark:text-white">{totalCount}</strong></span>
@@ -575,11 +744,12 @@ const LicenseControl: React.FC<LicenseControlProps> = ({ currentUser }) => {
                                     
                                     <div className="flex items-center gap-3" onClick={(e) => e.stopPropagation()}>
                                         <button 
-                                            onClick={() => handleExportProductToExcel(productName, productLicenses)}
-                                            className="bg-green-600 text-white px-3 py-2 rounded hover:bg-green-700 flex items-center gap-2 text-sm transition-colors"
+                                            onClick={() => handleExportProductToExcel(productName)}
+                                            disabled={exportingProduct !== null}
+                                            className="bg-green-600 text-white px-3 py-2 rounded hover:bg-green-700 disabled:bg-gray-400 flex items-center gap-2 text-sm transition-colors"
                                             title={`Exportar licenças de ${productName}`}
                                         >
-                                            <Icon name="FileDown" size={16}/> Exportar Excel
+                                            {exportingProduct === productName ? <Icon name="LoaderCircle" className="animate-spin" size={16}/> : <Icon name="FileDown" size={16}/>} Exportar Excel
                                         </button>
                                     </div>
                                 </div>
@@ -587,67 +757,28 @@ const LicenseControl: React.FC<LicenseControlProps> = ({ currentUser }) => {
                                 {/* Accordion Body */}
                                 {isExpanded && (
                                     <div className="border-t dark:border-dark-border p-4 bg-gray-50 dark:bg-dark-bg/30">
-                                        {productLicenses.length > 0 ? (
-                                            <div className="overflow-x-auto">
-                                                <table className="w-full text-sm text-left text-gray-700 dark:text-dark-text-secondary">
-                                                    <thead className="text-xs text-gray-800 dark:text-dark-text-primary uppercase bg-gray-200 dark:bg-gray-800">
-                                                        <tr>
-                                                            <th className="px-4 py-3">Chave Serial</th>
-                                                            <th className="px-4 py-3">Usuário</th>
-                                                            <th className="px-4 py-3">Validade</th>
-                                                            <th className="px-4 py-3 text-right">Ações</th>
-                                                        </tr>
-                                                    </thead>
-                                                    <tbody>
-                                                        {productLicenses.map(item => {
-                                                            const isExpired = item.dataExpiracao && item.dataExpiracao !== 'N/A' && new Date(item.dataExpiracao) < new Date();
-                                                            return (
-                                                                <tr key={item.id} className="bg-white dark:bg-dark-card border-b dark:border-dark-border hover:bg-gray-100 dark:hover:bg-gray-700">
-                                                                    <td className="px-4 py-3 font-mono text-xs">{item.chaveSerial}</td>
-                                                                    <td className="px-4 py-3">{item.usuario}</td>
-                                                                    <td className="px-4 py-3">
-                                                                        {item.dataExpiracao ? (
-                                                                            <span className={`${isExpired ? 'text-red-500 font-bold' : ''}`}>
-                                                                                {new Date(item.dataExpiracao).toLocaleDateString('pt-BR')}
-                                                                                {isExpired && <span className="ml-1 text-xs bg-red-100 text-red-800 px-1 rounded">Exp</span>}
-                                                                            </span>
-                                                                        ) : 'N/A'}
-                                                                    </td>
-                                                                    <td className="px-4 py-3 text-right flex justify-end gap-2">
-                                                                        <button onClick={() => handleEdit(item)} className="text-blue-600 hover:text-blue-800 dark:text-blue-400 dark:hover:text-blue-300" title="Editar">
-                                                                            <Icon name="Pencil" size={16} />
-                                                                        </button>
-                                                                        {currentUser.role === UserRole.Admin && (
-                                                                            <button onClick={() => handleDelete(item.id)} className="text-red-600 hover:text-red-800 dark:text-red-400 dark:hover:text-red-300" title="Excluir">
-                                                                                <Icon name="Trash2" size={16} />
-                                                                            </button>
-                                                                        )}
-                                                                    </td>
-                                                                </tr>
-                                                            );
-                                                        })}
-                                                    </tbody>
-                                                </table>
-                                            </div>
-                                        ) : (
-                                            <div className="text-center py-4 text-gray-500 dark:text-dark-text-secondary">
-                                                Nenhuma licença cadastrada para este produto.
-                                            </div>
-                                        )}
+                                        <ProductLicenseTable
+                                            productName={productName}
+                                            searchTerm={debouncedSearch}
+                                            refreshKey={refreshKey}
+                                            currentUser={currentUser}
+                                            onEdit={handleEdit}
+                                            onDelete={handleDelete}
+                                        />
                                     </div>
                                 )}
                             </div>
                         );
                     })}
                     
-                    {displayProductKeys.length === 0 && !searchTerm && (
+                    {displayProductKeys.length === 0 && !debouncedSearch && (
                         <div className="text-center py-10 text-gray-500 dark:text-dark-text-secondary">
                             <Icon name="SearchX" size={48} className="mx-auto mb-2 opacity-50" />
                             Nenhum produto cadastrado. Adicione uma nova licença ou gerencie produtos.
                         </div>
                     )}
                     
-                    {filteredLicenses.length === 0 && searchTerm && (
+                    {totalMatches === 0 && debouncedSearch && (
                         <div className="text-center py-10 text-gray-500 dark:text-dark-text-secondary">
                              <Icon name="SearchX" size={48} className="mx-auto mb-2 opacity-50" />
                             Nenhum resultado encontrado para a busca.
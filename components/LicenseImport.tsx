@@ -1,7 +1,9 @@
 
-import React, { useState, useRef } from 'react';
-import { User, License } from '../types';
+import React, { useState } from 'react';
+import { User, UserRole, License } from '../types';
 import Icon from './common/Icon';
+import ImportMapper, { MappedImport } from './common/ImportMapper';
+import { LICENSE_FIELD_LABELS } from './common/licenseFields';
 import { importLicenses } from '../services/apiService';
 
 // Add new type for the import payload
@@ -18,72 +20,26 @@ interface LicenseImportProps {
 
 const LicenseImport: React.FC<LicenseImportProps> = ({ currentUser, productNames, onImportSuccess }) => {
     const [selectedProduct, setSelectedProduct] = useState<string>('');
-    const [csvFile, setCsvFile] = useState<File | null>(null);
+    const [mappedImport, setMappedImport] = useState<MappedImport | null>(null);
+    // Trocar a chave remonta o ImportMapper, limpando o arquivo depois de uma importação
+    const [mapperKey, setMapperKey] = useState(0);
     const [isSaving, setIsSaving] = useState(false);
     const [error, setError] = useState<string | null>(null);
-    const fileInputRef = useRef<HTMLInputElement>(null);
 
-    const handleFileChange = (event: React.ChangeEvent<HTMLInputElement>) => {
-        const file = event.target.files?.[0];
-        if (file) {
-            setCsvFile(file);
-            setError(null);
-        }
-    };
-
-    const parseCsv = (fileText: string): Omit<License, 'id' | 'produto' | 'approval_status' | 'rejection_reason'>[] => {
-        const lines = fileText.trim().split(/\r\n|\n/);
-        if (lines.length < 2) {
-            throw new Error("O arquivo CSV deve conter um cabeçalho e pelo menos uma linha de dados.");
-        }
-
-        const headerLine = lines[0].replace(/^\uFEFF/, ''); // Robust BOM removal
-        const header = headerLine.split(';').map(h => h.trim().toLowerCase());
-        const rows = lines.slice(1);
-
-        const expectedHeaders = ['produto', 'tipolicenca', 'chaveserial', 'dataexpiracao', 'usuario', 'cargo', 'setor', 'gestor', 'centrocusto', 'contarazao', 'nomecomputador', 'numerochamado'];
-        
-        if (!expectedHeaders.some(h => header.includes(h))) {
-            throw new Error(`Cabeçalho do CSV inválido. Certifique-se que o delimitador é ponto e vírgula (;) e que as colunas esperadas estão presentes.`);
-        }
-
-        return rows.map((row, rowIndex) => {
-            if (!row.trim()) return null;
-
-            const values = row.split(';');
-            const entry: any = {};
-            header.forEach((colName, index) => {
-                const keyMap: { [key: string]: keyof License } = {
-                    'produto': 'produto', 'tipolicenca': 'tipoLicenca', 'chaveserial': 'chaveSerial',
-                    'dataexpiracao': 'dataExpiracao', 'usuario': 'usuario', 'cargo': 'cargo',
-                    'setor': 'setor', 'gestor': 'gestor', 'centrocusto': 'centroCusto',
-                    'contarazao': 'contaRazao', 'nomecomputador': 'nomeComputador', 'numerochamado': 'numeroChamado'
-                };
-                const key = keyMap[colName.replace(/\s+/g, '')];
-                if (key && index < values.length) {
-                    entry[key] = values[index]?.trim() || '';
-                }
-            });
-            
-            if (typeof entry.produto === 'undefined') {
-                 throw new Error(`A coluna 'produto' é obrigatória no arquivo CSV, mas não foi encontrada ou mapeada corretamente. Verifique o cabeçalho do arquivo.`);
-            }
-
-            if (entry.produto.toLowerCase() !== selectedProduct.toLowerCase()) {
-                throw new Error(`Erro na linha ${rowIndex + 2}: o produto "${entry.produto}" no arquivo não corresponde ao produto selecionado "${selectedProduct}".`);
+    // As linhas já chegam validadas pelo ImportMapper; aqui só se confere que pertencem ao produto escolhido
+    const toProductLicenses = (result: MappedImport): Omit<License, 'id' | 'produto' | 'approval_status' | 'rejection_reason'>[] => {
+        return result.records.map((record, index) => {
+            const { produto = '', ...license } = record as Partial<License>;
+            if (produto.toLowerCase() !== selectedProduct.toLowerCase()) {
+                throw new Error(`Erro na linha ${result.lineNumbers[index]}: o produto "${produto}" no arquivo não corresponde ao produto selecionado "${selectedProduct}".`);
             }
-            if (!entry.chaveSerial || !entry.usuario) {
-                throw new Error(`Erro na linha ${rowIndex + 2}: 'chaveSerial' e 'usuario' são campos obrigatórios.`);
-            }
-
-            delete entry.produto;
-            return entry;
-        }).filter((item): item is Omit<License, 'id' | 'produto' | 'approval_status' | 'rejection_reason'> => item !== null);
+            return license as Omit<License, 'id' | 'produto' | 'approval_status' | 'rejection_reason'>;
+        });
     };
 
     const handleImport = async () => {
-        if (!selectedProduct || !csvFile) {
-            setError("Por favor, selecione um produto e um arquivo CSV.");
+        if (!selectedProduct || !mappedImport) {
+            setError("Por favor, selecione um produto e um arquivo validado.");
             return;
         }
         if (!window.confirm(`ATENÇÃO: Esta ação substituirá TODAS as licenças existentes para o produto "${selectedProduct}". Deseja continuar?`)) return;
@@ -92,8 +48,7 @@ const LicenseImport: React.FC<LicenseImportProps> = ({ currentUser, productNames
         setError(null);
 
         try {
-            const fileText = await csvFile.text();
-            const licenses = parseCsv(fileText);
+            const licenses = toProductLicenses(mappedImport);
 
             const importData: LicenseImportData = {
                 productName: selectedProduct,
@@ -106,8 +61,8 @@ const LicenseImport: React.FC<LicenseImportProps> = ({ currentUser, productNames
                 alert(result.message);
                 onImportSuccess();
                 setSelectedProduct('');
-                setCsvFile(null);
-                if (fileInputRef.current) fileInputRef.current.value = '';
+                setMappedImport(null);
+                setMapperKey(prev => prev + 1);
             } else {
                 setError(result.message);
             }
@@ -122,10 +77,10 @@ const LicenseImport: React.FC<LicenseImportProps> = ({ currentUser, productNames
         <div className="p-6 bg-gray-50 dark:bg-dark-bg rounded-lg border dark:border-dark-border mt-8">
             <h3 className="text-lg font-bold text-brand-secondary dark:text-dark-text-primary mb-2 flex items-center gap-2">
                 <Icon name="FileUp" size={20} />
-                Importar Licenças via CSV
+                Importar Licenças via CSV ou XLSX
             </h3>
             <p className="text-sm text-gray-600 dark:text-dark-text-secondary mb-4">
-                Esta ferramenta permite substituir todas as licenças de um produto específico com os dados de um arquivo CSV.
+                Esta ferramenta permite substituir todas as licenças de um produto específico com os dados de um arquivo CSV ou de uma planilha Excel.
             </p>
 
             {error && <div className="mb-4 bg-red-100 border-l-4 border-red-500 text-red-700 p-4" role="alert"><p>{error}</p></div>}
@@ -144,27 +99,26 @@ const LicenseImport: React.FC<LicenseImportProps> = ({ currentUser, productNames
                         {productNames.map(name => <option key={name} value={name}>{name}</option>)}
                     </select>
                 </div>
-                <div>
-                    <label className="block text-sm font-medium text-gray-700 dark:text-dark-text-secondary mb-1">Selecione o arquivo CSV</label>
-                     <div className="bg-white dark:bg-dark-card p-4 rounded-lg shadow-inner">
-                        <input
-                            type="file"
-                            ref={fileInputRef}
-                            onChange={handleFileChange}
-                            accept=".csv"
-                            disabled={isSaving || !selectedProduct}
-                            className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-gray-200 dark:file:bg-gray-700 file:text-gray-700 dark:file:text-gray-200 hover:file:bg-gray-300 dark:hover:file:bg-gray-600 cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
-                        />
-                    </div>
-                </div>
+                <ImportMapper
+                    key={mapperKey}
+                    title="Arquivo de licenças"
+                    icon="FileSpreadsheet"
+                    target="license"
+                    fieldLabels={LICENSE_FIELD_LABELS as Record<string, string>}
+                    requiredFields={['produto', 'chaveSerial', 'usuario']}
+                    defaultProfileName="Licenças (padrão)"
+                    canManageProfiles={currentUser.role === UserRole.Admin}
+                    disabled={isSaving || !selectedProduct}
+                    onMapped={setMappedImport}
+                />
                 <div className="pt-2">
                     <button
                         onClick={handleImport}
-                        disabled={isSaving || !selectedProduct || !csvFile}
+                        disabled={isSaving || !selectedProduct || !mappedImport}
                         className="w-full bg-brand-secondary hover:bg-brand-dark text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline transition-colors disabled:bg-gray-400 flex items-center justify-center gap-2"
                     >
                         {isSaving ? <Icon name="LoaderCircle" className="animate-spin" /> : <Icon name="CloudUpload" />}
-                        {isSaving ? 'Importando...' : 'Importar Licenças (CSV)'}
+                        {isSaving ? 'Importando...' : 'Importar Licenças'}
                     </button>
                     <p className="text-xs text-center mt-2 text-gray-500 dark:text-dark-text-secondary">Isto substituirá todas as licenças do produto selecionado.</p>
                 </div>
@@ -0,0 +1,513 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { User, UserRole, Equipment, LicenseReconciliationReport, ReconciliationFinding, ReconciliationFindingType, ReconciliationLicenseRef, ReconciliationDeviceRef, ReconciliationRule, ReconciliationRuleField, ReconciliationActionInput } from '../types';
+import { getLicenseReconciliation, saveReconciliationRules, applyReconciliationAction, restoreReconciliationFinding, getEquipmentPage, ApiError } from '../services/apiService';
+import Icon from './common/Icon';
+import FieldError from './common/FieldError';
+import useDebouncedValue from './common/useDebouncedValue';
+import { equipmentFieldLabel } from './common/equipmentFields';
+
+interface LicenseReconciliationPanelProps {
+    currentUser: User;
+    // Recarrega o relatório sempre que as licenças mudam (incrementado pela tela de licenças)
+    refreshKey: number;
+    productNames: string[];
+    // Chamado depois de uma correção, para a tela de licenças recarregar as contagens
+    onChanged: () => void;
+}
+
+type Tab = 'findings' | 'dismissed' | 'matches' | 'rules';
+
+const FINDING_LABELS: Record<ReconciliationFindingType, { text: string; icon: React.ComponentProps<typeof Icon>['name']; className: string }> = {
+    missing_device: { text: 'Computador não encontrado', icon: 'MonitorX', className: 'text-red-600 dark:text-red-400' },
+    retired_device: { text: 'Computador descartado', icon: 'Trash2', className: 'text-red-600 dark:text-red-400' },
+    holder_mismatch: { text: 'Usuário diferente do equipamento', icon: 'UserX', className: 'text-orange-600 dark:text-orange-400' },
+    unlicensed_device: { text: 'Equipamento sem licença', icon: 'ShieldOff', className: 'text-yellow-600 dark:text-yellow-400' }
+};
+
+const MATCH_STATUS_LABELS: Record<ReconciliationFindingType | 'ok', { text: string; className: string }> = {
+    ok: { text: 'Conferida', className: 'bg-green-100 text-green-800 dark:bg-green-900/50 dark:text-green-200' },
+    missing_device: { text: 'Computador não encontrado', className: 'bg-red-100 text-red-800 dark:bg-red-900/50 dark:text-red-200' },
+    retired_device: { text: 'Computador descartado', className: 'bg-red-100 text-red-800 dark:bg-red-900/50 dark:text-red-200' },
+    holder_mismatch: { text: 'Usuário diferente', className: 'bg-orange-100 text-orange-800 dark:bg-orange-900/50 dark:text-orange-200' },
+    unlicensed_device: { text: 'Sem licença', className: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/50 dark:text-yellow-200' }
+};
+
+const RULE_FIELDS: ReconciliationRuleField[] = ['nomeSO', 'equipamento', 'model', 'brand', 'tipo'];
+const COVERAGE_LABELS: Record<ReconciliationRule['coverage'], string> = {
+    device: 'no próprio equipamento',
+    user: 'com o usuário do equipamento'
+};
+const MATCHED_BY_LABELS: Record<NonNullable<ReconciliationDeviceRef['matchedBy']>, string> = {
+    equipamento: 'nome',
+    serial: 'serial',
+    patrimonio: 'patrimônio'
+};
+const MAX_MATCH_ROWS = 200;
+
+const inputClass = 'w-full p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary';
+const labelClass = 'block text-sm font-medium text-gray-700 dark:text-dark-text-secondary mb-1';
+
+const describeLicense = (license: ReconciliationLicenseRef) =>
+    `${license.produto} · ${license.chaveSerial} — ${license.usuario || 'sem usuário'}${license.collaborator && !license.collaborator.active ? ' (colaborador inativo)' : ''}`;
+
+const describeDevice = (device: ReconciliationDeviceRef) =>
+    [device.equipamento, device.patrimonio && `Patrimônio ${device.patrimonio}`, device.status].filter(Boolean).join(' · ');
+
+const describeRule = (rule: ReconciliationRule) =>
+    `${equipmentFieldLabel(rule.field)} contém "${rule.contains}": precisa de ${rule.produto} ${COVERAGE_LABELS[rule.coverage]}`;
+
+// Escolha do equipamento para onde a licença será movida
+const MoveLicenseModal: React.FC<{ finding: ReconciliationFinding; onClose: () => void; onConfirm: (equipmentId: number) => Promise<void> }> = ({ finding, onClose, onConfirm }) => {
+    const [search, setSearch] = useState('');
+    const [results, setResults] = useState<Equipment[]>([]);
+    const [selected, setSelected] = useState<Equipment | null>(null);
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState('');
+    const debouncedSearch = useDebouncedValue(search.trim());
+
+    useEffect(() => {
+        if (!debouncedSearch) {
+            setResults([]);
+            return;
+        }
+        let cancelled = false;
+        getEquipmentPage({ q: debouncedSearch, pageSize: 10 })
+            .then(result => { if (!cancelled) setResults(result.items); })
+            .catch(e => { if (!cancelled) setError(e.message); });
+        return () => { cancelled = true; };
+    }, [debouncedSearch]);
+
+    const handleConfirm = async () => {
+        if (!selected) return;
+        setIsSaving(true);
+        setError('');
+        try {
+            await onConfirm(selected.id);
+        } catch (e: any) {
+            setError(e.message);
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-[60] p-4">
+            <div className="bg-white dark:bg-dark-card rounded-lg shadow-xl w-full max-w-lg">
+                <div className="p-4 border-b dark:border-dark-border flex justify-between items-center">
+                    <h3 className="text-lg font-bold text-brand-dark dark:text-dark-text-primary flex items-center gap-2">
+                        <Icon name="ArrowRightLeft" size={20} />
+                        Mover Licença
+                    </h3>
+                    <button type="button" onClick={onClose} className="text-gray-500 hover:text-gray-800 dark:text-gray-400 dark:hover:text-white">
+                        <Icon name="X" size={24} />
+                    </button>
+                </div>
+                <div className="p-6 space-y-4">
+                    {finding.license && <p className="text-sm text-gray-600 dark:text-dark-text-secondary">{describeLicense(finding.license)}</p>}
+                    {error && <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded text-sm" role="alert">{error}</div>}
+                    <div>
+                        <label className={labelClass}>Equipamento de destino</label>
+                        <input type="text" value={search} onChange={(e) => setSearch(e.target.value)} placeholder="Buscar por nome, patrimônio, serial ou usuário..." className={inputClass} autoFocus />
+                    </div>
+                    <ul className="max-h-64 overflow-y-auto divide-y dark:divide-dark-border border dark:border-dark-border rounded-md">
+                        {results.map(item => (
+                            <li key={item.id}>
+                                <button
+                                    type="button"
+                                    onClick={() => setSelected(item)}
+                                    className={`w-full text-left px-3 py-2 text-sm hover:bg-gray-50 dark:hover:bg-gray-700/50 ${selected?.id === item.id ? 'bg-blue-50 dark:bg-blue-900/30' : ''}`}
+                                >
+                                    <span className="font-semibold text-gray-800 dark:text-dark-text-primary">{item.equipamento}</span>
+                                    <span className="block text-xs text-gray-500 dark:text-dark-text-secondary">
+                                        {[item.patrimonio && `Patrimônio ${item.patrimonio}`, item.usuarioAtual || 'Sem usuário', item.status].filter(Boolean).join(' · ')}
+                                    </span>
+                                </button>
+                            </li>
+                        ))}
+                        {debouncedSearch && results.length === 0 && <li className="px-3 py-2 text-sm text-gray-500 dark:text-dark-text-secondary">Nenhum equipamento encontrado.</li>}
+                    </ul>
+                    <p className="text-xs text-gray-500 dark:text-dark-text-secondary">
+                        A licença passa a indicar o nome do equipamento escolhido e, se ele estiver com alguém, o usuário atual dele.
+                    </p>
+                </div>
+                <div className="p-4 bg-gray-50 dark:bg-dark-card/50 border-t dark:border-dark-border flex justify-end gap-3">
+                    <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-300 dark:bg-gray-600 text-gray-800 dark:text-white rounded-md hover:bg-gray-400">Cancelar</button>
+                    <button type="button" onClick={handleConfirm} disabled={!selected || isSaving} className="px-4 py-2 bg-brand-primary text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400 flex items-center gap-2">
+                        {isSaving && <Icon name="LoaderCircle" className="animate-spin" size={16} />}
+                        Mover
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// Conciliação das licenças com os equipamentos do inventário e os usuários deles
+const LicenseReconciliationPanel: React.FC<LicenseReconciliationPanelProps> = ({ currentUser, refreshKey, productNames, onChanged }) => {
+    const isAdmin = currentUser.role === UserRole.Admin;
+    const [report, setReport] = useState<LicenseReconciliationReport | null>(null);
+    const [isOpen, setIsOpen] = useState(false);
+    const [tab, setTab] = useState<Tab>('findings');
+    const [busyKey, setBusyKey] = useState<string | null>(null);
+    const [error, setError] = useState<string | null>(null);
+    const [message, setMessage] = useState<string | null>(null);
+    const [moving, setMoving] = useState<ReconciliationFinding | null>(null);
+    // Licença escolhida para cada equipamento sem licença
+    const [seatChoice, setSeatChoice] = useState<Record<string, number>>({});
+    const [dismissReasons, setDismissReasons] = useState<Record<string, string>>({});
+    const [dismissing, setDismissing] = useState<string | null>(null);
+    const [matchSearch, setMatchSearch] = useState('');
+    const [rules, setRules] = useState<ReconciliationRule[]>([]);
+    const [ruleErrors, setRuleErrors] = useState<Record<string, string>>({});
+    const [isSavingRules, setIsSavingRules] = useState(false);
+
+    useEffect(() => {
+        getLicenseReconciliation()
+            .then(data => {
+                setReport(data);
+                setRules(data.rules);
+            })
+            .catch(e => setError(`Falha ao carregar a conciliação: ${e.message}`));
+    }, [refreshKey]);
+
+    const runAction = async (input: ReconciliationActionInput, successMessage: string) => {
+        setBusyKey(input.findingKey);
+        setError(null);
+        setMessage(null);
+        try {
+            setReport(await applyReconciliationAction(input));
+            setMessage(successMessage);
+            setDismissing(null);
+            onChanged();
+        } catch (e: any) {
+            setError(e instanceof ApiError && e.fieldErrors ? Object.values(e.fieldErrors).join(' ') : e.message);
+            throw e;
+        } finally {
+            setBusyKey(null);
+        }
+    };
+
+    const handleRelease = (finding: ReconciliationFinding) => {
+        if (!finding.license) return;
+        if (!window.confirm(`Liberar a vaga de ${finding.license.produto} (${finding.license.chaveSerial})? A atribuição a ${finding.license.usuario} é excluída.`)) return;
+        runAction({ findingKey: finding.key, action: 'release' }, 'Vaga liberada.').catch(() => undefined);
+    };
+
+    const handleReassign = (finding: ReconciliationFinding) => {
+        runAction({ findingKey: finding.key, action: 'reassign' }, `Licença passada para ${finding.device?.usuarioAtual}.`).catch(() => undefined);
+    };
+
+    const handleAssignSeat = (finding: ReconciliationFinding) => {
+        const licenseId = seatChoice[finding.key] ?? finding.candidates?.[0]?.id;
+        if (!licenseId) return;
+        runAction({ findingKey: finding.key, action: 'move', licenseId }, `Licença atribuída a ${finding.device?.equipamento}.`).catch(() => undefined);
+    };
+
+    const handleMove = (equipmentId: number) => moving
+        ? runAction({ findingKey: moving.key, action: 'move', equipmentId }, 'Licença movida.').then(() => setMoving(null))
+        : Promise.resolve();
+
+    const handleDismiss = (finding: ReconciliationFinding) => {
+        runAction({ findingKey: finding.key, action: 'dismiss', reason: dismissReasons[finding.key] || undefined }, 'Pendência ignorada.').catch(() => undefined);
+    };
+
+    const handleRestore = async (finding: ReconciliationFinding) => {
+        setBusyKey(finding.key);
+        setError(null);
+        setMessage(null);
+        try {
+            setReport(await restoreReconciliationFinding(finding.key));
+            setMessage('A pendência voltou para a lista.');
+        } catch (e: any) {
+            setError(e.message);
+        } finally {
+            setBusyKey(null);
+        }
+    };
+
+    const updateRule = (index: number, changes: Partial<ReconciliationRule>) => {
+        setRules(prev => prev.map((rule, i) => i === index ? { ...rule, ...changes } : rule));
+    };
+
+    const handleSaveRules = async () => {
+        setIsSavingRules(true);
+        setError(null);
+        setMessage(null);
+        setRuleErrors({});
+        try {
+            const saved = await saveReconciliationRules(rules);
+            setReport(saved);
+            setRules(saved.rules);
+            setMessage('Regras salvas.');
+        } catch (e: any) {
+            if (e instanceof ApiError && e.fieldErrors) setRuleErrors(e.fieldErrors);
+            setError(e.message);
+        } finally {
+            setIsSavingRules(false);
+        }
+    };
+
+    const filteredMatches = useMemo(() => {
+        const term = matchSearch.trim().toLowerCase();
+        const matches = report?.matches || [];
+        if (!term) return matches;
+        return matches.filter(({ license, device }) => [license.produto, license.chaveSerial, license.usuario, license.nomeComputador, device?.equipamento, device?.patrimonio, device?.usuarioAtual]
+            .some(value => value && value.toLowerCase().includes(term)));
+    }, [report, matchSearch]);
+
+    const summary = report?.summary;
+    const deviceIssues = summary ? summary.missingDevice + summary.retiredDevice : 0;
+    const tabs: { id: Tab; label: string }[] = [
+        { id: 'findings', label: `Pendências (${report?.findings.length || 0})` },
+        { id: 'dismissed', label: `Ignoradas (${summary?.dismissed || 0})` },
+        { id: 'matches', label: `Licenças por computador (${summary?.onDevice || 0})` },
+        ...(isAdmin ? [{ id: 'rules' as Tab, label: `Regras (${report?.rules.length || 0})` }] : [])
+    ];
+
+    const renderFinding = (finding: ReconciliationFinding, dismissed: boolean) => {
+        const label = FINDING_LABELS[finding.type];
+        const isBusy = busyKey === finding.key;
+        return (
+            <li key={finding.key} className="p-4 border dark:border-dark-border rounded-lg bg-white dark:bg-dark-card">
+                <p className={`font-semibold flex items-center gap-2 ${label.className}`}>
+                    <Icon name={label.icon} size={16} /> {label.text}
+                </p>
+                <div className="mt-1 text-sm text-gray-700 dark:text-dark-text-secondary space-y-0.5">
+                    {finding.license && <p>Licença: {describeLicense(finding.license)} · computador "{finding.license.nomeComputador}"</p>}
+                    {finding.device && (
+                        <p>
+                            Equipamento: {describeDevice(finding.device)}
+                            {' · '}{finding.device.usuarioAtual ? `usuário atual ${finding.device.usuarioAtual}` : 'sem usuário (em estoque)'}
+                            {finding.device.matchedBy && finding.device.matchedBy !== 'equipamento' && ` · encontrado pelo ${MATCHED_BY_LABELS[finding.device.matchedBy]}`}
+                        </p>
+                    )}
+                    {finding.rule && <p className="text-xs text-gray-500 dark:text-dark-text-secondary">Regra: {describeRule(finding.rule)}</p>}
+                    {dismissed && (
+                        <p className="text-xs text-gray-500 dark:text-dark-text-secondary">
+                            Ignorada por {finding.dismissedBy} em {finding.dismissedAt ? new Date(finding.dismissedAt).toLocaleString('pt-BR') : '-'}{finding.reason ? `: ${finding.reason}` : ''}
+                        </p>
+                    )}
+                </div>
+
+                {isAdmin && (
+                    <div className="mt-3 flex flex-wrap items-center gap-2 text-sm">
+                        {isBusy && <Icon name="LoaderCircle" className="animate-spin text-brand-primary" size={18} />}
+                        {dismissed ? (
+                            <button type="button" onClick={() => handleRestore(finding)} disabled={!!busyKey} className="px-3 py-1.5 bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-white rounded-md hover:bg-gray-300 disabled:opacity-50 flex items-center gap-1">
+                                <Icon name="Undo2" size={14} /> Voltar para as pendências
+                            </button>
+                        ) : (
+                            <>
+                                {finding.actions.includes('reassign') && finding.device?.usuarioAtual && (
+                                    <button type="button" onClick={() => handleReassign(finding)} disabled={!!busyKey} className="px-3 py-1.5 bg-brand-primary text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400 flex items-center gap-1">
+                                        <Icon name="UserCheck" size={14} /> Passar para {finding.device.usuarioAtual}
+                                    </button>
+                                )}
+                                {finding.actions.includes('move') && finding.type !== 'unlicensed_device' && (
+                                    <button type="button" onClick={() => setMoving(finding)} disabled={!!busyKey} className="px-3 py-1.5 bg-brand-primary text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400 flex items-center gap-1">
+                                        <Icon name="ArrowRightLeft" size={14} /> Mover para outro equipamento
+                                    </button>
+                                )}
+                                {finding.type === 'unlicensed_device' && (finding.candidates && finding.candidates.length > 0 ? (
+                                    <>
+                                        <select
+                                            value={seatChoice[finding.key] ?? finding.candidates[0].id}
+                                            onChange={(e) => setSeatChoice(prev => ({ ...prev, [finding.key]: Number(e.target.value) }))}
+                                            className="p-1.5 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 max-w-xs"
+                                        >
+                                            {finding.candidates.map(candidate => (
+                                                <option key={candidate.id} value={candidate.id}>
+                                                    {candidate.chaveSerial} — {candidate.usuario}{candidate.nomeComputador ? ` (${candidate.nomeComputador})` : ''}
+                                                </option>
+                                            ))}
+                                        </select>
+                                        <button type="button" onClick={() => handleAssignSeat(finding)} disabled={!!busyKey} className="px-3 py-1.5 bg-brand-primary text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400 flex items-center gap-1">
+                                            <Icon name="KeyRound" size={14} /> Atribuir a este equipamento
+                                        </button>
+                                    </>
+                                ) : (
+                                    <span className="text-xs text-gray-500 dark:text-dark-text-secondary">Nenhuma licença de {finding.rule?.produto} disponível para mover; cadastre uma nova.</span>
+                                ))}
+                                {finding.actions.includes('release') && (
+                                    <button type="button" onClick={() => handleRelease(finding)} disabled={!!busyKey} className="px-3 py-1.5 bg-red-600 text-white rounded-md hover:bg-red-700 disabled:bg-gray-400 flex items-center gap-1">
+                                        <Icon name="Unlink" size={14} /> Liberar vaga
+                                    </button>
+                                )}
+                                {dismissing === finding.key ? (
+                                    <span className="flex flex-wrap items-center gap-2">
+                                        <input
+                                            type="text"
+                                            value={dismissReasons[finding.key] || ''}
+                                            onChange={(e) => setDismissReasons(prev => ({ ...prev, [finding.key]: e.target.value }))}
+                                            placeholder="Motivo (opcional)"
+                                            maxLength={500}
+                                            className="p-1.5 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800"
+                                        />
+                                        <button type="button" onClick={() => handleDismiss(finding)} disabled={!!busyKey} className="px-3 py-1.5 bg-gray-600 text-white rounded-md hover:bg-gray-700 disabled:bg-gray-400">Confirmar</button>
+                                        <button type="button" onClick={() => setDismissing(null)} className="px-3 py-1.5 text-gray-600 dark:text-dark-text-secondary hover:underline">Cancelar</button>
+                                    </span>
+                                ) : (
+                                    <button type="button" onClick={() => setDismissing(finding.key)} disabled={!!busyKey} className="px-3 py-1.5 bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-white rounded-md hover:bg-gray-300 disabled:opacity-50 flex items-center gap-1">
+                                        <Icon name="EyeOff" size={14} /> Ignorar
+                                    </button>
+                                )}
+                            </>
+                        )}
+                    </div>
+                )}
+            </li>
+        );
+    };
+
+    return (
+        <div className="bg-white dark:bg-dark-card rounded-lg shadow-md border dark:border-dark-border">
+            <div
+                className="p-4 flex flex-col sm:flex-row justify-between sm:items-center gap-3 cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors"
+                onClick={() => setIsOpen(prev => !prev)}
+            >
+                <div className="flex items-center gap-2">
+                    <Icon name="MonitorCheck" size={20} className="text-brand-primary" />
+                    <h3 className="text-lg font-bold text-brand-secondary dark:text-dark-text-primary">Conciliação com Equipamentos</h3>
+                </div>
+                <div className="flex flex-wrap items-center gap-2 text-sm">
+                    <span className="px-2 py-1 rounded-full font-semibold bg-red-100 text-red-800 dark:bg-red-900/50 dark:text-red-300">{deviceIssues} em computador inexistente ou descartado</span>
+                    <span className="px-2 py-1 rounded-full font-semibold bg-orange-100 text-orange-800 dark:bg-orange-900/50 dark:text-orange-300">{summary?.holderMismatch || 0} com usuário diferente</span>
+                    <span className="px-2 py-1 rounded-full font-semibold bg-yellow-100 text-yellow-800 dark:bg-yellow-900/50 dark:text-yellow-300">{summary?.unlicensedDevices || 0} equipamento(s) sem licença</span>
+                    <Icon name={isOpen ? 'ChevronUp' : 'ChevronDown'} size={20} className="text-gray-500" />
+                </div>
+            </div>
+
+            {isOpen && (
+                <div className="p-4 border-t dark:border-dark-border space-y-4">
+                    {error && <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4" role="alert"><p>{error}</p></div>}
+                    {message && <div className="bg-green-100 border-l-4 border-green-500 text-green-700 p-4" role="status"><p>{message}</p></div>}
+
+                    {summary && (
+                        <p className="text-sm text-gray-600 dark:text-dark-text-secondary">
+                            {summary.licenses} licença(s): {summary.onDevice} indicam um computador ({summary.ok} conferida(s)) e {summary.withoutDevice} não indicam. O computador é procurado pelo nome do equipamento e, se não encontrado, pelo serial ou patrimônio; o usuário é comparado como no diretório de colaboradores.
+                        </p>
+                    )}
+
+                    <div className="border-b dark:border-dark-border flex flex-wrap gap-1">
+                        {tabs.map(item => (
+                            <button
+                                key={item.id}
+                                type="button"
+                                onClick={() => setTab(item.id)}
+                                className={`px-3 py-2 text-sm font-medium border-b-2 -mb-px ${tab === item.id ? 'border-brand-primary text-brand-primary' : 'border-transparent text-gray-500 dark:text-dark-text-secondary hover:text-gray-700 dark:hover:text-white'}`}
+                            >
+                                {item.label}
+                            </button>
+                        ))}
+                    </div>
+
+                    {report && tab === 'findings' && (
+                        report.findings.length > 0
+                            ? <ul className="space-y-3">{report.findings.map(finding => renderFinding(finding, false))}</ul>
+                            : <p className="text-sm text-gray-500 dark:text-dark-text-secondary">Nenhuma pendência: todas as licenças conferem com os equipamentos.</p>
+                    )}
+
+                    {report && tab === 'dismissed' && (
+                        report.dismissed.length > 0
+                            ? <ul className="space-y-3">{report.dismissed.map(finding => renderFinding(finding, true))}</ul>
+                            : <p className="text-sm text-gray-500 dark:text-dark-text-secondary">Nenhuma pendência ignorada. Uma pendência ignorada volta sozinha se a licença ou o equipamento mudar.</p>
+                    )}
+
+                    {report && tab === 'matches' && (
+                        <div className="space-y-3">
+                            <input type="text" value={matchSearch} onChange={(e) => setMatchSearch(e.target.value)} placeholder="Buscar por produto, chave, usuário ou computador..." className={inputClass} />
+                            <div className="overflow-x-auto max-h-96 border dark:border-dark-border rounded-lg">
+                                <table className="w-full text-sm text-left text-gray-700 dark:text-dark-text-secondary">
+                                    <thead className="text-xs text-gray-800 dark:text-dark-text-primary uppercase bg-gray-100 dark:bg-gray-900/50 sticky top-0">
+                                        <tr>
+                                            <th scope="col" className="px-4 py-2">Licença</th>
+                                            <th scope="col" className="px-4 py-2">Usuário</th>
+                                            <th scope="col" className="px-4 py-2">Computador</th>
+                                            <th scope="col" className="px-4 py-2">Equipamento</th>
+                                            <th scope="col" className="px-4 py-2">Usuário do Equipamento</th>
+                                            <th scope="col" className="px-4 py-2">Situação</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody className="bg-white dark:bg-dark-card">
+                                        {filteredMatches.slice(0, MAX_MATCH_ROWS).map(({ license, device, status }) => (
+                                            <tr key={license.id} className="border-b dark:border-dark-border last:border-0">
+                                                <td className="px-4 py-2 whitespace-nowrap">{license.produto} <span className="font-mono text-xs">{license.chaveSerial}</span></td>
+                                                <td className="px-4 py-2 whitespace-nowrap">{license.usuario}</td>
+                                                <td className="px-4 py-2 whitespace-nowrap">{license.nomeComputador}</td>
+                                                <td className="px-4 py-2 whitespace-nowrap">{device ? describeDevice(device) : '—'}</td>
+                                                <td className="px-4 py-2 whitespace-nowrap">{device ? device.usuarioAtual || 'Sem usuário' : '—'}</td>
+                                                <td className="px-4 py-2 whitespace-nowrap">
+                                                    <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${MATCH_STATUS_LABELS[status].className}`}>{MATCH_STATUS_LABELS[status].text}</span>
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                            {filteredMatches.length > MAX_MATCH_ROWS && (
+                                <p className="text-xs text-gray-500 dark:text-dark-text-secondary">Mostrando {MAX_MATCH_ROWS} de {filteredMatches.length}. Refine a busca para ver as demais.</p>
+                            )}
+                        </div>
+                    )}
+
+                    {report && tab === 'rules' && isAdmin && (
+                        <div className="p-4 bg-gray-50 dark:bg-dark-bg rounded-lg border dark:border-dark-border space-y-4">
+                            <p className="text-xs text-gray-500 dark:text-dark-text-secondary">
+                                Cada regra indica quais equipamentos precisam de uma licença (por exemplo, Sistema Operacional contém "Windows" precisa de "Microsoft 365"). A comparação ignora maiúsculas e acentos; equipamentos descartados não entram.
+                            </p>
+                            <datalist id="reconciliationProducts">
+                                {productNames.map(name => <option key={name} value={name} />)}
+                            </datalist>
+                            {rules.length === 0 && <p className="text-sm text-gray-500 dark:text-dark-text-secondary">Nenhuma regra cadastrada.</p>}
+                            {rules.map((rule, index) => (
+                                <div key={rule.id || `new-${index}`} className="grid grid-cols-1 md:grid-cols-[1fr_1fr_1fr_1fr_auto] gap-3 items-start">
+                                    <div>
+                                        <label className={labelClass}>Campo do equipamento</label>
+                                        <select value={rule.field} onChange={(e) => updateRule(index, { field: e.target.value as ReconciliationRuleField })} className={inputClass}>
+                                            {RULE_FIELDS.map(field => <option key={field} value={field}>{equipmentFieldLabel(field)}</option>)}
+                                        </select>
+                                        <FieldError errors={ruleErrors} name={`rules.${index}.field`} />
+                                    </div>
+                                    <div>
+                                        <label className={labelClass}>Contém</label>
+                                        <input type="text" value={rule.contains} onChange={(e) => updateRule(index, { contains: e.target.value })} placeholder="Windows" className={inputClass} />
+                                        <FieldError errors={ruleErrors} name={`rules.${index}.contains`} />
+                                    </div>
+                                    <div>
+                                        <label className={labelClass}>Precisa do produto</label>
+                                        <input type="text" list="reconciliationProducts" value={rule.produto} onChange={(e) => updateRule(index, { produto: e.target.value })} className={inputClass} />
+                                        <FieldError errors={ruleErrors} name={`rules.${index}.produto`} />
+                                    </div>
+                                    <div>
+                                        <label className={labelClass}>Licença</label>
+                                        <select value={rule.coverage} onChange={(e) => updateRule(index, { coverage: e.target.value as ReconciliationRule['coverage'] })} className={inputClass}>
+                                            <option value="device">Por equipamento</option>
+                                            <option value="user">Por usuário</option>
+                                        </select>
+                                        <FieldError errors={ruleErrors} name={`rules.${index}.coverage`} />
+                                    </div>
+                                    <button type="button" onClick={() => setRules(prev => prev.filter((_, i) => i !== index))} className="md:mt-7 p-2 text-red-600 hover:text-red-800" title="Remover regra">
+                                        <Icon name="Trash2" size={18} />
+                                    </button>
+                                </div>
+                            ))}
+                            <FieldError errors={ruleErrors} name="rules" />
+                            <div className="flex flex-wrap gap-2">
+                                <button type="button" onClick={() => setRules(prev => [...prev, { field: 'nomeSO', contains: '', produto: '', coverage: 'device' }])} className="px-4 py-2 bg-gray-300 dark:bg-gray-600 text-gray-800 dark:text-white rounded-lg hover:bg-gray-400 flex items-center gap-2">
+                                    <Icon name="Plus" size={18} /> Adicionar Regra
+                                </button>
+                                <button type="button" onClick={handleSaveRules} disabled={isSavingRules} className="bg-brand-primary text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:bg-gray-400 flex items-center gap-2">
+                                    {isSavingRules ? <Icon name="LoaderCircle" className="animate-spin" size={18} /> : <Icon name="Save" size={18} />}
+                                    Salvar Regras
+                                </button>
+                            </div>
+                        </div>
+                    )}
+                </div>
+            )}
+
+            {moving && <MoveLicenseModal finding={moving} onClose={() => setMoving(null)} onConfirm={handleMove} />}
+        </div>
+    );
+};
+
+export default LicenseReconciliationPanel;
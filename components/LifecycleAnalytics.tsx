@@ -0,0 +1,352 @@
+import React, { useState, useEffect } from 'react';
+import { BarChart, Bar, XAxis, YAxis, Tooltip, Legend, ResponsiveContainer, Cell, CartesianGrid } from 'recharts';
+import { AnalyticsSummary, AnalyticsQuery, AnalyticsFilters, AnalyticsWidget, AnalyticsTrendKind, AnalyticsDrilldown, AnalyticsSpendGroup } from '../types';
+import { getAnalytics, getAnalyticsDrilldown } from '../services/apiService';
+import Icon from './common/Icon';
+
+const MONTH_NAMES = ['jan', 'fev', 'mar', 'abr', 'mai', 'jun', 'jul', 'ago', 'set', 'out', 'nov', 'dez'];
+const TREND_LABELS: Record<AnalyticsTrendKind, string> = { added: 'Adicionados', retired: 'Descartados', reassigned: 'Reatribuídos' };
+const TREND_COLORS: Record<AnalyticsTrendKind, string> = { added: '#2ecc71', retired: '#e74c3c', reassigned: '#3498db' };
+const AGE_COLORS = ['#2ecc71', '#1abc9c', '#3498db', '#f1c40f', '#d35400', '#e74c3c'];
+const FILTER_LABELS: Record<keyof AnalyticsFilters, string> = { local: 'Local', setor: 'Setor', empresa: 'Empresa' };
+const SPEND_LABELS: Record<AnalyticsSpendGroup, string> = { setor: 'Setor', centroCusto: 'Centro de Custo' };
+
+// "2026-03" -> "mar/26"
+const formatMonth = (month: string) => {
+    const [year, monthNumber] = month.split('-');
+    return `${MONTH_NAMES[Number(monthNumber) - 1]}/${year.slice(2)}`;
+};
+const formatDate = (iso: string) => iso.split('-').reverse().join('/');
+const formatCurrency = (value: number) => value.toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+
+interface DrilldownTarget {
+    widget: AnalyticsWidget;
+    key: string;
+    kind?: AnalyticsTrendKind;
+    title: string;
+}
+
+const DrilldownModal: React.FC<{ query: AnalyticsQuery; target: DrilldownTarget; onClose: () => void }> = ({ query, target, onClose }) => {
+    const [data, setData] = useState<AnalyticsDrilldown | null>(null);
+    const [error, setError] = useState<string | null>(null);
+
+    useEffect(() => {
+        getAnalyticsDrilldown(query, target.widget, target.key, target.kind)
+            .then(setData)
+            .catch(e => setError(`Falha ao carregar a lista: ${e.message}`));
+    }, [query, target]);
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-50 p-4" onClick={onClose}>
+            <div className="bg-white dark:bg-dark-card rounded-lg shadow-xl w-full max-w-5xl max-h-[90vh] flex flex-col" onClick={e => e.stopPropagation()}>
+                <div className="flex justify-between items-center p-4 border-b dark:border-dark-border">
+                    <div>
+                        <h3 className="text-xl font-bold text-brand-dark dark:text-dark-text-primary">{target.title}</h3>
+                        {data && (
+                            <p className="text-sm text-gray-500 dark:text-dark-text-secondary">
+                                {data.items.length} {data.entity === 'licenses' ? 'licença(s)' : 'equipamento(s)'}
+                                {data.truncated && ' — lista limitada aos primeiros registros; refine os filtros para ver o restante'}
+                            </p>
+                        )}
+                    </div>
+                    <button onClick={onClose} className="text-gray-500 hover:text-gray-800 dark:text-dark-text-secondary dark:hover:text-white" aria-label="Fechar">
+                        <Icon name="X" size={24} />
+                    </button>
+                </div>
+                <div className="p-4 overflow-auto">
+                    {error && <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-3 text-sm" role="alert">{error}</div>}
+                    {!data && !error && (
+                        <div className="flex justify-center py-8">
+                            <Icon name="LoaderCircle" className="animate-spin text-brand-primary" size={32} />
+                        </div>
+                    )}
+                    {data && data.items.length === 0 && (
+                        <p className="text-center text-gray-500 dark:text-dark-text-secondary py-8">Nenhum registro encontrado.</p>
+                    )}
+                    {data && data.items.length > 0 && (
+                        <table className="w-full text-sm text-left text-gray-700 dark:text-dark-text-secondary">
+                            <thead className="text-xs text-gray-800 dark:text-dark-text-primary uppercase bg-gray-100 dark:bg-gray-900/50 sticky top-0">
+                                {data.entity === 'licenses' ? (
+                                    <tr>
+                                        <th scope="col" className="px-4 py-2">Produto</th>
+                                        <th scope="col" className="px-4 py-2">Usuário</th>
+                                        <th scope="col" className="px-4 py-2">Chave</th>
+                                        <th scope="col" className="px-4 py-2">Setor</th>
+                                        <th scope="col" className="px-4 py-2">Expiração</th>
+                                    </tr>
+                                ) : (
+                                    <tr>
+                                        <th scope="col" className="px-4 py-2">Equipamento</th>
+                                        <th scope="col" className="px-4 py-2">Patrimônio</th>
+                                        <th scope="col" className="px-4 py-2">Usuário</th>
+                                        <th scope="col" className="px-4 py-2">Local / Setor</th>
+                                        <th scope="col" className="px-4 py-2">Status</th>
+                                        <th scope="col" className="px-4 py-2">Fim da Garantia</th>
+                                        <th scope="col" className="px-4 py-2">Idade</th>
+                                        <th scope="col" className="px-4 py-2">Valor</th>
+                                    </tr>
+                                )}
+                            </thead>
+                            <tbody className="bg-white dark:bg-dark-card">
+                                {data.entity === 'licenses' ? data.items.map(item => (
+                                    <tr key={item.id} className="border-b dark:border-dark-border last:border-0">
+                                        <td className="px-4 py-2 whitespace-nowrap">{item.produto}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap">{item.usuario}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap font-mono text-xs">{item.chaveSerial}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap">{item.setor || 'N/A'}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap">{item.dataExpiracao || 'N/A'}</td>
+                                    </tr>
+                                )) : data.items.map(item => (
+                                    <tr key={item.id} className="border-b dark:border-dark-border last:border-0">
+                                        <td className="px-4 py-2">
+                                            <p className="text-gray-900 dark:text-dark-text-primary">{item.equipamento}</p>
+                                            <p className="text-xs">{[item.brand, item.model, item.serial].filter(Boolean).join(' · ')}</p>
+                                        </td>
+                                        <td className="px-4 py-2 whitespace-nowrap">{item.patrimonio || 'N/A'}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap">{item.usuarioAtual || '—'}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap">{[item.local, item.setor].filter(Boolean).join(' / ') || 'N/A'}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap">{item.status || 'N/A'}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap">{item.warrantyEnd ? formatDate(item.warrantyEnd) : (item.garantia || '—')}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap">{item.ageYears !== null ? `${item.ageYears.toLocaleString('pt-BR')} ano(s)` : '—'}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap">{item.valorCompra !== null && item.valorCompra !== undefined ? formatCurrency(Number(item.valorCompra)) : '—'}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const WidgetCard: React.FC<{ title: string; subtitle?: React.ReactNode; actions?: React.ReactNode; children: React.ReactNode }> = ({ title, subtitle, actions, children }) => (
+    <div className="bg-white dark:bg-dark-card p-6 rounded-lg shadow-md">
+        <div className="flex flex-wrap justify-between items-start gap-2 mb-4">
+            <div>
+                <h4 className="text-lg font-semibold text-brand-dark dark:text-dark-text-primary">{title}</h4>
+                {subtitle && <p className="text-xs text-gray-500 dark:text-dark-text-secondary">{subtitle}</p>}
+            </div>
+            {actions}
+        </div>
+        {children}
+    </div>
+);
+
+const selectClassName = 'p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-800 dark:text-dark-text-primary text-sm';
+
+// Garantia, idade, gastos, movimentações e uso de licenças, com os mesmos filtros para todos os gráficos.
+// Clicar em uma barra abre a lista de equipamentos (ou licenças) que ela representa.
+const LifecycleAnalytics: React.FC = () => {
+    const [query, setQuery] = useState<AnalyticsQuery>({ warrantyMonths: 6, refreshYears: 4, trendMonths: 12, spendBy: 'setor' });
+    const [summary, setSummary] = useState<AnalyticsSummary | null>(null);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState<string | null>(null);
+    const [drilldown, setDrilldown] = useState<DrilldownTarget | null>(null);
+
+    useEffect(() => {
+        setIsLoading(true);
+        setError(null);
+        getAnalytics(query)
+            .then(setSummary)
+            .catch(e => setError(`Falha ao carregar as análises: ${e.message}`))
+            .finally(() => setIsLoading(false));
+    }, [query]);
+
+    const updateQuery = (changes: Partial<AnalyticsQuery>) => setQuery(prev => ({ ...prev, ...changes }));
+
+    const isDarkMode = document.documentElement.classList.contains('dark');
+    const textColor = isDarkMode ? '#edf2f7' : '#333';
+    const gridColor = isDarkMode ? '#4a5568' : '#e0e0e0';
+    const tooltipStyle = { backgroundColor: isDarkMode ? '#2d3748' : '#ffffff', borderColor: isDarkMode ? '#4a5568' : '#cccccc' };
+    const cursor = { fill: 'rgba(128,128,128,0.1)' };
+
+    const filterDescription = (Object.keys(FILTER_LABELS) as (keyof AnalyticsFilters)[])
+        .filter(name => query[name])
+        .map(name => `${FILTER_LABELS[name]}: ${query[name]}`)
+        .join(' · ');
+    const withFilters = (title: string) => filterDescription ? `${title} (${filterDescription})` : title;
+
+    const warrantyData = summary ? [
+        { key: 'expired', label: 'Vencidas', count: summary.warranty.expired },
+        ...summary.warranty.months.map(item => ({ key: item.month, label: formatMonth(item.month), count: item.count }))
+    ] : [];
+    const spendData = summary ? summary.spend.groups.map(group => ({ ...group, label: group.key || 'Não informado' })) : [];
+    const trendData = summary ? summary.trends.map(item => ({ ...item, label: formatMonth(item.month) })) : [];
+
+    return (
+        <div className="space-y-4">
+            <div className="flex flex-wrap justify-between items-end gap-4">
+                <div>
+                    <h3 className="text-2xl font-bold text-brand-dark dark:text-dark-text-primary">Análises do Ciclo de Vida</h3>
+                    <p className="text-sm text-gray-500 dark:text-dark-text-secondary">
+                        {summary ? `${summary.equipmentCount} equipamento(s) no recorte. Clique em uma barra para ver os itens.` : 'Garantia, idade, gastos e movimentações do parque.'}
+                    </p>
+                </div>
+                <div className="flex flex-wrap items-center gap-2">
+                    {(Object.keys(FILTER_LABELS) as (keyof AnalyticsFilters)[]).map(name => (
+                        <select
+                            key={name}
+                            value={query[name] || ''}
+                            onChange={e => updateQuery({ [name]: e.target.value || undefined })}
+                            className={selectClassName}
+                            aria-label={FILTER_LABELS[name]}
+                        >
+                            <option value="">{`${FILTER_LABELS[name]}: todos`}</option>
+                            {(summary?.filterOptions[name] || []).map(option => <option key={option} value={option}>{option}</option>)}
+                        </select>
+                    ))}
+                    {isLoading && <Icon name="LoaderCircle" className="animate-spin text-brand-primary" size={20} />}
+                </div>
+            </div>
+
+            {error && <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-3 text-sm" role="alert">{error}</div>}
+
+            {summary && (
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                    <WidgetCard
+                        title="Garantias a Vencer"
+                        subtitle={`Equipamentos fora de descarte por mês de término da garantia. ${summary.warranty.unknown} sem garantia reconhecível (data ou "N anos" com data de compra).`}
+                        actions={
+                            <select value={query.warrantyMonths} onChange={e => updateQuery({ warrantyMonths: Number(e.target.value) })} className={selectClassName} aria-label="Período da garantia">
+                                {[3, 6, 12, 24].map(months => <option key={months} value={months}>Próximos {months} meses</option>)}
+                            </select>
+                        }
+                    >
+                        <ResponsiveContainer width="100%" height={260}>
+                            <BarChart data={warrantyData}>
+                                <CartesianGrid strokeDasharray="3 3" stroke={gridColor} />
+                                <XAxis dataKey="label" stroke={textColor} />
+                                <YAxis stroke={textColor} allowDecimals={false} />
+                                <Tooltip cursor={cursor} contentStyle={tooltipStyle} />
+                                <Bar dataKey="count" name="Equipamentos" className="cursor-pointer"
+                                    onClick={(entry: any) => setDrilldown({ widget: 'warranty', key: entry.key, title: withFilters(entry.key === 'expired' ? 'Garantias vencidas' : `Garantias que vencem em ${entry.label}`) })}>
+                                    {warrantyData.map(entry => <Cell key={entry.key} fill={entry.key === 'expired' ? '#e74c3c' : '#f1c40f'} />)}
+                                </Bar>
+                            </BarChart>
+                        </ResponsiveContainer>
+                    </WidgetCard>
+
+                    <WidgetCard
+                        title="Idade do Parque"
+                        subtitle={`Pela data de compra; ${summary.age.estimated} estimado(s) pela data de cadastro e ${summary.age.unknown} sem data.`}
+                        actions={
+                            <div className="flex items-center gap-2">
+                                <select value={query.refreshYears} onChange={e => updateQuery({ refreshYears: Number(e.target.value) })} className={selectClassName} aria-label="Idade para renovação">
+                                    {[3, 4, 5, 6].map(years => <option key={years} value={years}>Renovar com {years}+ anos</option>)}
+                                </select>
+                                <button
+                                    onClick={() => setDrilldown({ widget: 'refresh', key: '', title: withFilters(`Candidatos à renovação (${summary.age.refreshYears}+ anos)`) })}
+                                    className="px-3 py-2 rounded-md bg-orange-500 text-white text-sm font-semibold hover:bg-orange-600 flex items-center gap-1"
+                                >
+                                    <Icon name="RefreshCw" size={14} /> {summary.age.refreshCandidates} a renovar
+                                </button>
+                            </div>
+                        }
+                    >
+                        <ResponsiveContainer width="100%" height={260}>
+                            <BarChart data={summary.age.buckets}>
+                                <CartesianGrid strokeDasharray="3 3" stroke={gridColor} />
+                                <XAxis dataKey="label" stroke={textColor} tick={{ fontSize: 11, fill: textColor }} />
+                                <YAxis stroke={textColor} allowDecimals={false} />
+                                <Tooltip cursor={cursor} contentStyle={tooltipStyle} />
+                                <Bar dataKey="count" name="Equipamentos" className="cursor-pointer"
+                                    onClick={(entry: any) => setDrilldown({ widget: 'age', key: entry.key, title: withFilters(`Equipamentos com ${entry.label.toLowerCase()}`) })}>
+                                    {summary.age.buckets.map((entry, index) => <Cell key={entry.key} fill={AGE_COLORS[index % AGE_COLORS.length]} />)}
+                                </Bar>
+                            </BarChart>
+                        </ResponsiveContainer>
+                    </WidgetCard>
+
+                    <WidgetCard
+                        title={`Gastos por ${SPEND_LABELS[summary.spend.groupBy]}`}
+                        subtitle={`Total: ${formatCurrency(summary.spend.total)}. ${summary.spend.withoutValue} equipamento(s) sem valor de compra.`}
+                        actions={
+                            <select value={query.spendBy} onChange={e => updateQuery({ spendBy: e.target.value as AnalyticsSpendGroup })} className={selectClassName} aria-label="Agrupar gastos por">
+                                {(Object.keys(SPEND_LABELS) as AnalyticsSpendGroup[]).map(group => <option key={group} value={group}>Por {SPEND_LABELS[group].toLowerCase()}</option>)}
+                            </select>
+                        }
+                    >
+                        {spendData.length === 0 ? (
+                            <p className="text-center text-gray-500 dark:text-dark-text-secondary py-16">Nenhum equipamento com valor de compra no recorte.</p>
+                        ) : (
+                            <ResponsiveContainer width="100%" height={Math.max(260, spendData.length * 32)}>
+                                <BarChart layout="vertical" data={spendData} margin={{ top: 5, right: 20, left: 60, bottom: 5 }}>
+                                    <CartesianGrid strokeDasharray="3 3" stroke={gridColor} />
+                                    <XAxis type="number" stroke={textColor} tickFormatter={(value: number) => value.toLocaleString('pt-BR', { notation: 'compact' })} />
+                                    <YAxis type="category" dataKey="label" stroke={textColor} width={100} tick={{ fontSize: 12, fill: textColor }} />
+                                    <Tooltip cursor={cursor} contentStyle={tooltipStyle} formatter={value => formatCurrency(Number(value))} />
+                                    <Bar dataKey="total" name="Valor de compra" fill="#9b59b6" barSize={20} className="cursor-pointer"
+                                        onClick={(entry: any) => setDrilldown({ widget: 'spend', key: entry.key, title: withFilters(`Compras — ${SPEND_LABELS[summary.spend.groupBy]}: ${entry.label}`) })} />
+                                </BarChart>
+                            </ResponsiveContainer>
+                        )}
+                    </WidgetCard>
+
+                    <WidgetCard
+                        title="Movimentações por Mês"
+                        subtitle="Equipamentos cadastrados, descartados e entregues a outro usuário, segundo o histórico."
+                        actions={
+                            <select value={query.trendMonths} onChange={e => updateQuery({ trendMonths: Number(e.target.value) })} className={selectClassName} aria-label="Período das movimentações">
+                                {[6, 12, 24, 36].map(months => <option key={months} value={months}>Últimos {months} meses</option>)}
+                            </select>
+                        }
+                    >
+                        <ResponsiveContainer width="100%" height={260}>
+                            <BarChart data={trendData}>
+                                <CartesianGrid strokeDasharray="3 3" stroke={gridColor} />
+                                <XAxis dataKey="label" stroke={textColor} tick={{ fontSize: 11, fill: textColor }} />
+                                <YAxis stroke={textColor} allowDecimals={false} />
+                                <Tooltip cursor={cursor} contentStyle={tooltipStyle} />
+                                <Legend wrapperStyle={{ color: textColor }} />
+                                {(Object.keys(TREND_LABELS) as AnalyticsTrendKind[]).map(kind => (
+                                    <Bar key={kind} dataKey={kind} name={TREND_LABELS[kind]} fill={TREND_COLORS[kind]} className="cursor-pointer"
+                                        onClick={(entry: any) => setDrilldown({ widget: 'trend', key: entry.month, kind, title: withFilters(`${TREND_LABELS[kind]} em ${entry.label}`) })} />
+                                ))}
+                            </BarChart>
+                        </ResponsiveContainer>
+                    </WidgetCard>
+
+                    <div className="lg:col-span-2">
+                        <WidgetCard
+                            title="Utilização de Licenças"
+                            subtitle={`Licenças atribuídas x quantidade contratada.${query.local || query.empresa ? ' Os filtros de local e empresa não se aplicam às licenças.' : ''}`}
+                        >
+                            {summary.licenses.length === 0 ? (
+                                <p className="text-center text-gray-500 dark:text-dark-text-secondary py-8">Nenhuma licença no recorte.</p>
+                            ) : (
+                                <div className="grid grid-cols-1 md:grid-cols-2 gap-x-8 gap-y-3">
+                                    {summary.licenses.map(item => {
+                                        const percent = item.utilization ?? 0;
+                                        const barColor = percent > 100 ? 'bg-red-500' : percent >= 90 ? 'bg-orange-500' : 'bg-status-active';
+                                        return (
+                                            <button
+                                                key={item.produto}
+                                                onClick={() => setDrilldown({ widget: 'licenses', key: item.produto, title: withFilters(`Licenças de ${item.produto}`) })}
+                                                className="text-left p-2 rounded-md hover:bg-gray-50 dark:hover:bg-dark-bg"
+                                            >
+                                                <div className="flex justify-between text-sm text-gray-800 dark:text-dark-text-primary">
+                                                    <span className="font-medium truncate">{item.produto}</span>
+                                                    <span className="flex-shrink-0 ml-2">
+                                                        {item.total !== null ? `${item.used} / ${item.total} (${item.utilization?.toLocaleString('pt-BR')}%)` : `${item.used} em uso · sem total cadastrado`}
+                                                    </span>
+                                                </div>
+                                                <div className="w-full h-2 mt-1 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+                                                    <div className={`h-2 ${item.total !== null ? barColor : 'bg-gray-400'}`} style={{ width: `${item.total !== null ? Math.min(percent, 100) : 100}%` }} />
+                                                </div>
+                                            </button>
+                                        );
+                                    })}
+                                </div>
+                            )}
+                        </WidgetCard>
+                    </div>
+                </div>
+            )}
+
+            {drilldown && <DrilldownModal query={query} target={drilldown} onClose={() => setDrilldown(null)} />}
+        </div>
+    );
+};
+
+export default LifecycleAnalytics;
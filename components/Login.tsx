@@ -1,8 +1,9 @@
 
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { User, UserRole } from '../types';
-import { login } from '../services/apiService';
+import { login, loginWithSso, getSsoLoginUrl } from '../services/apiService';
 import Icon from './common/Icon';
+import PasswordRecovery from './PasswordRecovery';
 
 interface LoginProps {
   onLoginSuccess: (user: User) => void;
@@ -17,11 +18,45 @@ const Login: React.FC<LoginProps> = ({ onLoginSuccess, isSsoEnabled }) => {
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
   const [isLoading, setIsLoading] = useState(false);
+  const [info, setInfo] = useState('');
+  // null: formulário de login; { token: null }: pedido do link; { token }: link de redefinição recebido por e-mail
+  const [recovery, setRecovery] = useState<{ token: string | null } | null>(null);
+
+  // Link do e-mail de redefinição de senha: #/redefinir-senha/<token>
+  useEffect(() => {
+    const match = window.location.hash.match(/^#\/redefinir-senha\/([\w-]+)$/);
+    if (!match) return;
+    window.history.replaceState(null, '', window.location.pathname + window.location.search);
+    setRecovery({ token: match[1] });
+  }, []);
+
+  const handleRecoveryBack = (message?: string) => {
+    setRecovery(null);
+    setError('');
+    setInfo(message || '');
+  };
+
+  // Retorno do SSO: a API redireciona para #/sso/<código> ou, se o login falhou, para #/sso-erro/<mensagem>
+  useEffect(() => {
+    const match = window.location.hash.match(/^#\/(sso|sso-erro)\/(.+)$/);
+    if (!match) return;
+    window.history.replaceState(null, '', window.location.pathname + window.location.search);
+    if (match[1] === 'sso-erro') {
+      setError(decodeURIComponent(match[2]));
+      return;
+    }
+    setIsLoading(true);
+    loginWithSso(match[2])
+      .then(onLoginSuccess)
+      .catch((err: any) => setError(err.message || 'Falha no login via SSO.'))
+      .finally(() => setIsLoading(false));
+  }, [onLoginSuccess]);
 
   const handleLogin = async (e: React.FormEvent) => {
     e.preventDefault();
     setIsLoading(true);
     setError('');
+    setInfo('');
     try {
       const user = await login({ username, password });
       onLoginSuccess(user);
@@ -38,7 +73,7 @@ const Login: React.FC<LoginProps> = ({ onLoginSuccess, isSsoEnabled }) => {
   
   const handleSsoLogin = () => {
     // Redirect to the backend which will construct the SAML request and redirect to the IdP
-    window.location.href = `http://${window.location.hostname}:3001/api/sso/login`;
+    window.location.href = getSsoLoginUrl();
   };
 
   return (
@@ -50,7 +85,12 @@ const Login: React.FC<LoginProps> = ({ onLoginSuccess, isSsoEnabled }) => {
           <p className="text-gray-500 dark:text-dark-text-secondary mt-1">Faça login para continuar</p>
         </div>
         
+        {recovery ? (
+          <PasswordRecovery resetToken={recovery.token} onBack={handleRecoveryBack} />
+        ) : (
+        <>
         {error && <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-4" role="alert">{error}</div>}
+        {info && <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded relative mb-4" role="status">{info}</div>}
 
         <form onSubmit={handleLogin}>
           <div className="mb-4">
@@ -80,6 +120,9 @@ const Login: React.FC<LoginProps> = ({ onLoginSuccess, isSsoEnabled }) => {
               className="shadow appearance-none border dark:border-dark-border rounded w-full py-2 px-3 bg-white dark:bg-gray-800 text-gray-700 dark:text-dark-text-primary mb-3 leading-tight focus:outline-none focus:shadow-outline"
               placeholder="********"
             />
+            <button type="button" onClick={() => { setError(''); setRecovery({ token: null }); }} className="text-sm text-brand-primary hover:underline">
+              Esqueci minha senha
+            </button>
           </div>
           <div className="flex flex-col items-center justify-between gap-4">
             <button
@@ -111,6 +154,8 @@ const Login: React.FC<LoginProps> = ({ onLoginSuccess, isSsoEnabled }) => {
             )}
           </div>
         </form>
+        </>
+        )}
       </div>
       <div className="absolute bottom-4 left-0 right-0 flex items-center justify-center gap-3 text-xs">
         <div className="relative group">
@@ -0,0 +1,225 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Equipment, ChangeRequest, MaintenanceRecord, MaintenanceSummary, MaintenanceGroupBy } from '../types';
+import { getOpenMaintenance, getMaintenanceSummary, ApiError } from '../services/apiService';
+import Icon from './common/Icon';
+import FieldError from './common/FieldError';
+import MaintenanceRecordModal from './MaintenanceRecordModal';
+import { WARRANTY_LABELS, formatDate, formatCurrency, formatDays } from './common/maintenanceLabels';
+
+const inputClass = 'p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-800 dark:text-dark-text-primary';
+
+// Reparos abertos há mais tempo que isso aparecem em destaque
+const LONG_REPAIR_DAYS = 30;
+
+const GROUP_LABELS: Record<MaintenanceGroupBy, string> = { model: 'Modelo', brand: 'Marca' };
+
+const groupName = (item: { brand: string | null; model: string | null }, groupBy: MaintenanceGroupBy) => groupBy === 'brand'
+    ? item.brand || 'Sem marca'
+    : `${item.brand || 'Sem marca'} ${item.model || '(sem modelo)'}`;
+
+// Manutenção: reparos em andamento e quanto cada modelo (ou marca) custou em reparos no período
+const MaintenanceOverview: React.FC = () => {
+    const [openRecords, setOpenRecords] = useState<MaintenanceRecord[] | null>(null);
+    const [summary, setSummary] = useState<MaintenanceSummary | null>(null);
+    const [filters, setFilters] = useState<{ groupBy: MaintenanceGroupBy; from: string; to: string }>({ groupBy: 'model', from: '', to: '' });
+    const [filterErrors, setFilterErrors] = useState<Record<string, string>>({});
+    const [error, setError] = useState<string | null>(null);
+    const [closing, setClosing] = useState<MaintenanceRecord | null>(null);
+    const [notice, setNotice] = useState('');
+
+    const loadOpen = useCallback(async () => {
+        try {
+            setOpenRecords(await getOpenMaintenance());
+        } catch (e: any) {
+            setError(`Falha ao carregar os reparos em aberto: ${e.message}`);
+        }
+    }, []);
+
+    const loadSummary = useCallback(async () => {
+        setFilterErrors({});
+        try {
+            setSummary(await getMaintenanceSummary(filters));
+        } catch (e: any) {
+            if (e instanceof ApiError && e.fieldErrors) setFilterErrors(e.fieldErrors);
+            else setError(`Falha ao carregar o custo de reparos: ${e.message}`);
+        }
+    }, [filters]);
+
+    useEffect(() => {
+        loadOpen();
+    }, [loadOpen]);
+
+    useEffect(() => {
+        loadSummary();
+    }, [loadSummary]);
+
+    const handleClosed = (_record: MaintenanceRecord, _equipment?: Equipment, changeRequest?: ChangeRequest | null) => {
+        setClosing(null);
+        setNotice(changeRequest ? 'Manutenção encerrada. A volta do equipamento ao status anterior foi enviada para aprovação do administrador.' : '');
+        loadOpen();
+        loadSummary();
+    };
+
+    return (
+        <div className="bg-white dark:bg-dark-card p-4 sm:p-6 rounded-lg shadow-md space-y-6">
+            <div>
+                <h2 className="text-2xl font-bold text-brand-dark dark:text-dark-text-primary">Manutenção</h2>
+                <p className="text-sm text-gray-600 dark:text-dark-text-secondary mt-1">
+                    Os reparos são abertos na aba "Manutenção" dos detalhes de cada equipamento. Enquanto o reparo está aberto, o equipamento fica com o status "MANUTENÇÃO";
+                    ao encerrar, ele volta ao status anterior.
+                </p>
+            </div>
+
+            {error && <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4" role="alert"><p>{error}</p></div>}
+            {notice && <div className="bg-blue-100 border-l-4 border-blue-500 text-blue-800 p-3 rounded text-sm">{notice}</div>}
+
+            <div className="p-6 bg-gray-50 dark:bg-dark-bg rounded-lg border dark:border-dark-border">
+                <h3 className="text-lg font-bold text-brand-secondary dark:text-dark-text-primary flex items-center gap-2 mb-4">
+                    <Icon name="Wrench" size={20} />
+                    Reparos em Aberto{openRecords ? ` (${openRecords.length})` : ''}
+                </h3>
+                {!openRecords ? (
+                    <div className="flex justify-center py-6"><Icon name="LoaderCircle" className="animate-spin text-brand-primary" size={32} /></div>
+                ) : openRecords.length === 0 ? (
+                    <p className="text-sm text-gray-500 dark:text-dark-text-secondary">Nenhum equipamento em reparo.</p>
+                ) : (
+                    <div className="overflow-x-auto border dark:border-dark-border rounded-lg">
+                        <table className="w-full text-sm text-left text-gray-700 dark:text-dark-text-secondary">
+                            <thead className="text-xs text-gray-800 dark:text-dark-text-primary uppercase bg-gray-100 dark:bg-gray-900/50">
+                                <tr>
+                                    <th scope="col" className="px-4 py-2">Equipamento</th>
+                                    <th scope="col" className="px-4 py-2">Marca/Modelo</th>
+                                    <th scope="col" className="px-4 py-2">Fornecedor</th>
+                                    <th scope="col" className="px-4 py-2">Aberto em</th>
+                                    <th scope="col" className="px-4 py-2">Tempo em Reparo</th>
+                                    <th scope="col" className="px-4 py-2">Garantia</th>
+                                    <th scope="col" className="px-4 py-2">Custo</th>
+                                    <th scope="col" className="px-4 py-2 text-right">Ações</th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white dark:bg-dark-card">
+                                {openRecords.map(record => (
+                                    <tr key={record.id} className="border-b dark:border-dark-border last:border-0 align-top">
+                                        <td className="px-4 py-2">
+                                            <span className="font-medium text-gray-900 dark:text-white">{record.equipamento}</span>
+                                            <span className="block text-xs">Serial {record.serial}{record.patrimonio ? ` · Patrimônio ${record.patrimonio}` : ''}</span>
+                                            <span className="block text-xs text-gray-500 dark:text-dark-text-secondary" title={record.problem}>{record.problem.length > 80 ? `${record.problem.slice(0, 80)}…` : record.problem}</span>
+                                        </td>
+                                        <td className="px-4 py-2">{[record.brand, record.model].filter(Boolean).join(' ') || '-'}</td>
+                                        <td className="px-4 py-2">
+                                            {record.vendor || '-'}
+                                            {record.ticket_number && <span className="block text-xs">Chamado {record.ticket_number}</span>}
+                                        </td>
+                                        <td className="px-4 py-2 whitespace-nowrap">{formatDate(record.opened_at)}</td>
+                                        <td className={`px-4 py-2 whitespace-nowrap ${record.days_in_repair > LONG_REPAIR_DAYS ? 'font-semibold text-red-600 dark:text-red-400' : ''}`}>{formatDays(record.days_in_repair)}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap">
+                                            <span className={`text-xs px-2 py-0.5 rounded-full ${WARRANTY_LABELS[record.warranty_status].className}`}>{WARRANTY_LABELS[record.warranty_status].text}</span>
+                                        </td>
+                                        <td className="px-4 py-2 whitespace-nowrap">{formatCurrency(record.cost)}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap text-right">
+                                            <button type="button" onClick={() => setClosing(record)} className="text-green-600 dark:text-green-400 hover:underline inline-flex items-center gap-1">
+                                                <Icon name="BadgeCheck" size={16} /> Encerrar
+                                            </button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+
+            <div className="p-6 bg-gray-50 dark:bg-dark-bg rounded-lg border dark:border-dark-border">
+                <h3 className="text-lg font-bold text-brand-secondary dark:text-dark-text-primary flex items-center gap-2 mb-2">
+                    <Icon name="ChartColumn" size={20} />
+                    Custo de Reparos por {GROUP_LABELS[filters.groupBy]}
+                </h3>
+                <p className="mb-4 text-sm text-gray-600 dark:text-dark-text-secondary">
+                    Reparos abertos no período (últimos 12 meses se as datas ficarem vazias). A coluna "Unidades Reparadas" compara os equipamentos que foram para reparo com as unidades do modelo no inventário.
+                </p>
+                <div className="flex flex-wrap items-start gap-4 mb-4">
+                    <div>
+                        <select value={filters.groupBy} onChange={(e) => setFilters({ ...filters, groupBy: e.target.value as MaintenanceGroupBy })} className={inputClass}>
+                            <option value="model">Por modelo</option>
+                            <option value="brand">Por marca</option>
+                        </select>
+                    </div>
+                    <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-dark-text-secondary">
+                        De
+                        <input type="date" value={filters.from} max={filters.to || undefined} onChange={(e) => setFilters({ ...filters, from: e.target.value })} className={inputClass} />
+                    </label>
+                    <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-dark-text-secondary">
+                        Até
+                        <input type="date" value={filters.to} min={filters.from || undefined} onChange={(e) => setFilters({ ...filters, to: e.target.value })} className={inputClass} />
+                    </label>
+                    <FieldError errors={filterErrors} name="from" />
+                    <FieldError errors={filterErrors} name="to" />
+                </div>
+
+                {!summary ? (
+                    <div className="flex justify-center py-6"><Icon name="LoaderCircle" className="animate-spin text-brand-primary" size={32} /></div>
+                ) : summary.items.length === 0 ? (
+                    <p className="text-sm text-gray-500 dark:text-dark-text-secondary">Nenhum reparo aberto entre {formatDate(summary.from)} e {formatDate(summary.to)}.</p>
+                ) : (
+                    <div className="overflow-x-auto border dark:border-dark-border rounded-lg">
+                        <table className="w-full text-sm text-left text-gray-700 dark:text-dark-text-secondary">
+                            <thead className="text-xs text-gray-800 dark:text-dark-text-primary uppercase bg-gray-100 dark:bg-gray-900/50">
+                                <tr>
+                                    <th scope="col" className="px-4 py-2">{GROUP_LABELS[summary.groupBy]}</th>
+                                    <th scope="col" className="px-4 py-2">Reparos</th>
+                                    <th scope="col" className="px-4 py-2">Unidades Reparadas</th>
+                                    <th scope="col" className="px-4 py-2">Na Garantia</th>
+                                    <th scope="col" className="px-4 py-2">Média em Reparo</th>
+                                    <th scope="col" className="px-4 py-2">Custo Médio</th>
+                                    <th scope="col" className="px-4 py-2">Custo Total</th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white dark:bg-dark-card">
+                                {summary.items.map(item => (
+                                    <tr key={item.key} className="border-b dark:border-dark-border last:border-0">
+                                        <td className="px-4 py-2 font-medium text-gray-900 dark:text-white">{groupName(item, summary.groupBy)}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap">
+                                            {item.repairs}
+                                            {item.openRepairs > 0 && <span className="ml-1 text-xs text-amber-600 dark:text-amber-400">({item.openRepairs} em aberto)</span>}
+                                        </td>
+                                        <td className="px-4 py-2 whitespace-nowrap">
+                                            {item.assetsRepaired} de {item.units}
+                                            {item.repairRate !== null && <span className="ml-1 text-xs">({item.repairRate.toLocaleString('pt-BR')}%)</span>}
+                                        </td>
+                                        <td className="px-4 py-2 whitespace-nowrap">{item.warrantyRepairs}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap">{item.averageDays !== null ? `${item.averageDays.toLocaleString('pt-BR')} dias` : '-'}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap">{formatCurrency(item.averageCost)}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap font-semibold">{formatCurrency(item.totalCost)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                            <tfoot className="bg-gray-100 dark:bg-gray-900/50 font-semibold text-gray-800 dark:text-dark-text-primary">
+                                <tr>
+                                    <td className="px-4 py-2">Total</td>
+                                    <td className="px-4 py-2">{summary.totals.repairs}</td>
+                                    <td className="px-4 py-2" />
+                                    <td className="px-4 py-2">{summary.totals.warrantyRepairs}</td>
+                                    <td className="px-4 py-2" />
+                                    <td className="px-4 py-2" />
+                                    <td className="px-4 py-2">{formatCurrency(summary.totals.totalCost)}</td>
+                                </tr>
+                            </tfoot>
+                        </table>
+                    </div>
+                )}
+            </div>
+
+            {closing && (
+                <MaintenanceRecordModal
+                    equipment={{ id: closing.equipment_id, equipamento: closing.equipamento || '', serial: closing.serial || '', patrimonio: closing.patrimonio || undefined }}
+                    mode="close"
+                    record={closing}
+                    onClose={() => setClosing(null)}
+                    onDone={handleClosed}
+                />
+            )}
+        </div>
+    );
+};
+
+export default MaintenanceOverview;
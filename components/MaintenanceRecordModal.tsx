@@ -0,0 +1,205 @@
+import React, { useState } from 'react';
+import { Equipment, MaintenanceRecord, EquipmentMaintenance, ChangeRequest } from '../types';
+import { openMaintenance, closeMaintenance, updateMaintenance, ApiError } from '../services/apiService';
+import Icon from './common/Icon';
+import FieldError from './common/FieldError';
+import { WARRANTY_LABELS, RETURN_STATUS_OPTIONS, formatDate } from './common/maintenanceLabels';
+
+export type MaintenanceModalMode = 'open' | 'close' | 'edit';
+
+interface MaintenanceRecordModalProps {
+    // Equipamento do reparo; na tela de Manutenção vem dos dados do próprio registro
+    equipment: Pick<Equipment, 'id' | 'equipamento' | 'serial' | 'patrimonio'>;
+    mode: MaintenanceModalMode;
+    record?: MaintenanceRecord;
+    // Garantia de hoje, mostrada ao abrir um reparo
+    warranty?: EquipmentMaintenance['warranty'];
+    onClose: () => void;
+    onDone: (record: MaintenanceRecord, equipment?: Equipment, changeRequest?: ChangeRequest | null) => void;
+}
+
+const todayIso = () => new Date().toISOString().split('T')[0];
+const inputClass = 'w-full p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary';
+const labelClass = 'block text-sm font-medium text-gray-700 dark:text-dark-text-secondary mb-1';
+
+const TITLES: Record<MaintenanceModalMode, { text: string; icon: 'Wrench' | 'BadgeCheck' | 'Pencil'; submit: string }> = {
+    open: { text: 'Enviar para Manutenção', icon: 'Wrench', submit: 'Abrir Manutenção' },
+    close: { text: 'Encerrar Manutenção', icon: 'BadgeCheck', submit: 'Encerrar e Atualizar Status' },
+    edit: { text: 'Editar Manutenção', icon: 'Pencil', submit: 'Salvar' }
+};
+
+const initialForm = (mode: MaintenanceModalMode, record?: MaintenanceRecord): Record<string, string> => {
+    const details = {
+        vendor: record?.vendor || '',
+        ticket_number: record?.ticket_number || '',
+        cost: record?.cost !== null && record?.cost !== undefined ? record.cost.toFixed(2).replace('.', ',') : '',
+        parts: (record?.parts || []).join('\n')
+    };
+    if (mode === 'open') return { ...details, opened_at: todayIso(), problem: '' };
+    if (mode === 'close') return { ...details, closed_at: todayIso(), resolution: '', return_status: '' };
+    return {
+        ...details,
+        opened_at: record?.opened_at || '',
+        ...(record?.status === 'closed' ? { closed_at: record.closed_at || '' } : {}),
+        problem: record?.problem || '',
+        resolution: record?.resolution || ''
+    };
+};
+
+// Abertura, encerramento ou correção de um reparo. Abrir e encerrar também mudam o status do equipamento no servidor.
+const MaintenanceRecordModal: React.FC<MaintenanceRecordModalProps> = ({ equipment, mode, record, warranty, onClose, onDone }) => {
+    const [form, setForm] = useState<Record<string, string>>(() => initialForm(mode, record));
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState('');
+    const [fieldErrors, setFieldErrors] = useState<Record<string, string>>({});
+    const title = TITLES[mode];
+
+    const handleChange = (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement | HTMLTextAreaElement>) => {
+        const { name, value } = e.target;
+        setForm(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleSubmit = async (e: React.FormEvent) => {
+        e.preventDefault();
+        setIsSaving(true);
+        setError('');
+        setFieldErrors({});
+        // Uma peça por linha
+        const data = { ...form, parts: form.parts.split('\n').map(part => part.trim()).filter(Boolean) };
+        try {
+            if (mode === 'open') {
+                const result = await openMaintenance(equipment.id, data);
+                onDone(result.record, result.equipment, result.changeRequest);
+            } else if (mode === 'close' && record) {
+                const result = await closeMaintenance(record.id, data);
+                onDone(result.record, result.equipment, result.changeRequest);
+            } else if (record) {
+                onDone(await updateMaintenance(record.id, data));
+            }
+        } catch (err: any) {
+            setFieldErrors(err instanceof ApiError && err.fieldErrors ? err.fieldErrors : {});
+            setError(err.message || 'Falha ao salvar a manutenção.');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const previousStatus = record?.previous_status;
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-[60] p-4">
+            <form onSubmit={handleSubmit} className="bg-white dark:bg-dark-card rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] flex flex-col">
+                <div className="p-4 border-b dark:border-dark-border flex justify-between items-center">
+                    <h3 className="text-lg font-bold text-brand-dark dark:text-dark-text-primary flex items-center gap-2">
+                        <Icon name={title.icon} size={20} />
+                        {title.text}
+                    </h3>
+                    <button type="button" onClick={onClose} className="text-gray-500 hover:text-gray-800 dark:text-gray-400 dark:hover:text-white">
+                        <Icon name="X" size={24} />
+                    </button>
+                </div>
+
+                <div className="p-6 space-y-4 overflow-y-auto">
+                    <p className="text-sm text-gray-600 dark:text-dark-text-secondary">
+                        <strong>{equipment.equipamento}</strong> — Serial {equipment.serial}{equipment.patrimonio ? `, Patrimônio ${equipment.patrimonio}` : ''}
+                        {record && <><br />Aberta em {formatDate(record.opened_at)}: {record.problem}</>}
+                    </p>
+                    {mode === 'open' && warranty && (
+                        <p className="text-sm">
+                            <span className={`text-xs px-2 py-0.5 rounded-full ${WARRANTY_LABELS[warranty.status].className}`}>{WARRANTY_LABELS[warranty.status].text}</span>
+                            {warranty.end && <span className="ml-2 text-gray-600 dark:text-dark-text-secondary">até {formatDate(warranty.end)}</span>}
+                        </p>
+                    )}
+                    {error && <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded text-sm" role="alert">{error}</div>}
+
+                    <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                        {'opened_at' in form && (
+                            <div>
+                                <label className={labelClass}>Data de Abertura</label>
+                                <input type="date" name="opened_at" value={form.opened_at} max={todayIso()} onChange={handleChange} className={inputClass} />
+                                <FieldError errors={fieldErrors} name="opened_at" />
+                            </div>
+                        )}
+                        {'closed_at' in form && (
+                            <div>
+                                <label className={labelClass}>Data de Encerramento</label>
+                                <input type="date" name="closed_at" value={form.closed_at} min={record?.opened_at} max={todayIso()} onChange={handleChange} className={inputClass} />
+                                <FieldError errors={fieldErrors} name="closed_at" />
+                            </div>
+                        )}
+                        {mode === 'close' && (
+                            <div>
+                                <label className={labelClass}>Voltar com o Status</label>
+                                <select name="return_status" value={form.return_status} onChange={handleChange} className={inputClass}>
+                                    {RETURN_STATUS_OPTIONS.map(option => (
+                                        <option key={option.value} value={option.value}>
+                                            {option.value === '' && previousStatus ? `${option.label} (${previousStatus})` : option.label}
+                                        </option>
+                                    ))}
+                                </select>
+                                <FieldError errors={fieldErrors} name="return_status" />
+                            </div>
+                        )}
+                    </div>
+
+                    <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                        <div>
+                            <label className={labelClass}>Fornecedor / Assistência</label>
+                            <input type="text" name="vendor" value={form.vendor} onChange={handleChange} className={inputClass} />
+                            <FieldError errors={fieldErrors} name="vendor" />
+                        </div>
+                        <div>
+                            <label className={labelClass}>Nº do Chamado</label>
+                            <input type="text" name="ticket_number" value={form.ticket_number} onChange={handleChange} className={inputClass} />
+                            <FieldError errors={fieldErrors} name="ticket_number" />
+                        </div>
+                        <div>
+                            <label className={labelClass}>Custo (R$)</label>
+                            <input type="text" name="cost" value={form.cost} onChange={handleChange} placeholder="0,00" className={inputClass} />
+                            <FieldError errors={fieldErrors} name="cost" />
+                        </div>
+                    </div>
+
+                    {'problem' in form && (
+                        <div>
+                            <label className={labelClass}>Problema Relatado *</label>
+                            <textarea name="problem" value={form.problem} onChange={handleChange} rows={3} className={inputClass} required />
+                            <FieldError errors={fieldErrors} name="problem" />
+                        </div>
+                    )}
+                    {'resolution' in form && (
+                        <div>
+                            <label className={labelClass}>Serviço Realizado</label>
+                            <textarea name="resolution" value={form.resolution} onChange={handleChange} rows={3} className={inputClass} />
+                            <FieldError errors={fieldErrors} name="resolution" />
+                        </div>
+                    )}
+                    <div>
+                        <label className={labelClass}>Peças Substituídas (uma por linha)</label>
+                        <textarea name="parts" value={form.parts} onChange={handleChange} rows={3} className={inputClass} />
+                        <FieldError errors={fieldErrors} name="parts" />
+                    </div>
+
+                    {mode !== 'edit' && (
+                        <p className="text-xs text-gray-500 dark:text-dark-text-secondary">
+                            {mode === 'open'
+                                ? 'O equipamento passa para o status "MANUTENÇÃO" e a mudança fica registrada no histórico. A cobertura da garantia é calculada pelo campo Garantia na data de abertura.'
+                                : 'O equipamento sai do status "MANUTENÇÃO" e a mudança fica registrada no histórico.'}
+                            {' '}Para quem não é administrador, a mudança de status é enviada para aprovação; o reparo é registrado na hora.
+                        </p>
+                    )}
+                </div>
+
+                <div className="p-4 bg-gray-50 dark:bg-dark-card/50 border-t dark:border-dark-border flex justify-end gap-3">
+                    <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-300 dark:bg-gray-600 text-gray-800 dark:text-white rounded-md hover:bg-gray-400">Cancelar</button>
+                    <button type="submit" disabled={isSaving} className="px-4 py-2 bg-brand-primary text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400 flex items-center gap-2">
+                        {isSaving && <Icon name="LoaderCircle" className="animate-spin" size={16} />}
+                        {title.submit}
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+export default MaintenanceRecordModal;
@@ -0,0 +1,239 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Equipment, EquipmentHistory, User, PhysicalAuditScanResult } from '../types';
+import { getEquipmentById, getEquipmentHistory, updateEquipment, recordPhysicalAuditScan, isChangeRequestReceipt, ApiError } from '../services/apiService';
+import Icon from './common/Icon';
+import EquipmentCustodyModal from './EquipmentCustodyModal';
+import { equipmentFieldLabel } from './common/equipmentFields';
+import { getActivePhysicalAudit, clearActivePhysicalAudit } from './common/physicalAuditSession';
+
+interface MobileAssetPageProps {
+    equipmentId: number;
+    currentUser: User;
+    companyName: string;
+    // Sai da página do equipamento e volta para o sistema completo
+    onExit: () => void;
+}
+
+const RECENT_HISTORY_LIMIT = 5;
+
+const statusClass = (status?: string) => {
+    const s = (status || '').toUpperCase();
+    if (s === 'EM USO') return 'bg-green-100 text-green-800 dark:bg-green-900/50 dark:text-green-200';
+    if (s === 'ESTOQUE') return 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/50 dark:text-yellow-200';
+    if (s.includes('MANUT')) return 'bg-orange-100 text-orange-800 dark:bg-orange-900/50 dark:text-orange-200';
+    if (s.includes('DESCART')) return 'bg-red-100 text-red-800 dark:bg-red-900/50 dark:text-red-200';
+    return 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300';
+};
+
+// Página aberta ao ler a etiqueta de um equipamento no celular: situação atual, últimas alterações e ações rápidas
+const MobileAssetPage: React.FC<MobileAssetPageProps> = ({ equipmentId, currentUser, companyName, onExit }) => {
+    const [equipment, setEquipment] = useState<Equipment | null>(null);
+    const [history, setHistory] = useState<EquipmentHistory[]>([]);
+    const [error, setError] = useState('');
+    const [notice, setNotice] = useState('');
+    const [custodyMode, setCustodyMode] = useState<'checkout' | 'checkin' | null>(null);
+    const [isEditingLocal, setIsEditingLocal] = useState(false);
+    const [newLocal, setNewLocal] = useState('');
+    const [isSavingLocal, setIsSavingLocal] = useState(false);
+    const [scan, setScan] = useState<PhysicalAuditScanResult | null>(null);
+    const [scanError, setScanError] = useState('');
+    const [activeAudit, setActiveAudit] = useState(getActivePhysicalAudit);
+    // Evita registrar a mesma leitura duas vezes quando o efeito roda de novo (StrictMode)
+    const scannedIdRef = useRef<number | null>(null);
+
+    const loadAsset = useCallback(async () => {
+        try {
+            const [record, entries] = await Promise.all([getEquipmentById(equipmentId), getEquipmentHistory(equipmentId)]);
+            setEquipment(record);
+            setHistory(entries.slice(0, RECENT_HISTORY_LIMIT));
+            setError('');
+        } catch (e: any) {
+            setError(e.message || 'Falha ao carregar o equipamento.');
+        }
+    }, [equipmentId]);
+
+    useEffect(() => {
+        loadAsset();
+    }, [loadAsset]);
+
+    // Com uma auditoria física ativa, abrir a página é o mesmo que registrar o equipamento como encontrado
+    useEffect(() => {
+        const audit = getActivePhysicalAudit();
+        if (!audit || scannedIdRef.current === equipmentId) return;
+        scannedIdRef.current = equipmentId;
+        recordPhysicalAuditScan(audit.id, equipmentId)
+            .then(setScan)
+            .catch(e => {
+                if (e instanceof ApiError && [404, 409].includes(e.status)) {
+                    clearActivePhysicalAudit();
+                    setActiveAudit(null);
+                }
+                setScanError(e.message || 'Falha ao registrar a leitura.');
+            });
+    }, [equipmentId]);
+
+    const handleSaveLocal = async (e: React.FormEvent) => {
+        e.preventDefault();
+        if (!equipment) return;
+        setIsSavingLocal(true);
+        try {
+            const result = await updateEquipment({ id: equipment.id, local: newLocal.trim() } as Equipment, currentUser.username);
+            setNotice(isChangeRequestReceipt(result) ? 'Alteração de local enviada para aprovação do administrador.' : '');
+            setIsEditingLocal(false);
+            await loadAsset();
+        } catch (e: any) {
+            setError(e.fieldErrors?.local || e.message || 'Falha ao alterar o local.');
+        } finally {
+            setIsSavingLocal(false);
+        }
+    };
+
+    const handleLeaveAudit = () => {
+        clearActivePhysicalAudit();
+        setActiveAudit(null);
+        setScan(null);
+    };
+
+    const infoRow = (label: string, value?: string | null) => (
+        <div className="flex justify-between gap-4 py-2 border-b dark:border-dark-border last:border-0">
+            <span className="text-gray-500 dark:text-dark-text-secondary text-sm">{label}</span>
+            <span className="font-medium text-right break-words">{value || '-'}</span>
+        </div>
+    );
+
+    return (
+        <div className="min-h-screen bg-gray-100 dark:bg-dark-bg text-gray-800 dark:text-dark-text-primary">
+            <header className="bg-brand-primary text-white p-4 flex items-center justify-between">
+                <div>
+                    <p className="text-xs opacity-80">{companyName}</p>
+                    <h1 className="text-lg font-bold">Consulta de Equipamento</h1>
+                </div>
+                <button onClick={onExit} className="text-sm underline flex items-center gap-1">
+                    <Icon name="LayoutDashboard" size={16} /> Sistema
+                </button>
+            </header>
+
+            <main className="p-4 space-y-4 max-w-lg mx-auto">
+                {activeAudit && (
+                    <div className="bg-indigo-50 dark:bg-indigo-900/30 border-l-4 border-indigo-500 p-3 rounded text-sm">
+                        <div className="flex justify-between items-center gap-2">
+                            <span className="font-semibold flex items-center gap-1.5"><Icon name="ClipboardCheck" size={16} /> {activeAudit.name}</span>
+                            <button onClick={handleLeaveAudit} className="text-xs text-indigo-700 dark:text-indigo-300 underline">Sair da auditoria</button>
+                        </div>
+                        {scan && (
+                            <p className="mt-1">
+                                {scan.alreadyScanned ? 'Equipamento já registrado nesta auditoria.' : 'Equipamento registrado como encontrado.'}
+                                {!scan.inScope && ' Atenção: fora do escopo da auditoria.'}
+                                {' '}({scan.scannedCount} de {scan.expectedCount} esperados)
+                            </p>
+                        )}
+                        {scanError && <p className="mt-1 text-red-600 dark:text-red-400">{scanError}</p>}
+                    </div>
+                )}
+
+                {scanError && !activeAudit && <div className="bg-yellow-100 border-l-4 border-yellow-500 text-yellow-800 p-3 rounded text-sm">{scanError}</div>}
+                {notice && <div className="bg-blue-100 border-l-4 border-blue-500 text-blue-800 p-3 rounded text-sm">{notice}</div>}
+                {error && <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-3 rounded text-sm" role="alert">{error}</div>}
+
+                {!equipment ? (
+                    !error && (
+                        <div className="flex justify-center py-16">
+                            <Icon name="LoaderCircle" className="animate-spin text-brand-primary" size={40} />
+                        </div>
+                    )
+                ) : (
+                    <>
+                        <section className="bg-white dark:bg-dark-card rounded-lg shadow p-4">
+                            <div className="flex justify-between items-start gap-2 mb-2">
+                                <h2 className="text-xl font-bold">{equipment.equipamento}</h2>
+                                <span className={`px-2 py-1 rounded-full text-xs font-semibold whitespace-nowrap ${statusClass(equipment.status)}`}>
+                                    {equipment.status || 'Indefinido'}
+                                </span>
+                            </div>
+                            {infoRow('Patrimônio', equipment.patrimonio)}
+                            {infoRow('Serial', equipment.serial)}
+                            {infoRow('Usuário Atual', equipment.usuarioAtual)}
+                            {infoRow('Setor', equipment.setor)}
+                            {infoRow('Local', equipment.local)}
+                            {infoRow('Condição do Termo', equipment.condicaoTermo)}
+                        </section>
+
+                        <section className="bg-white dark:bg-dark-card rounded-lg shadow p-4 space-y-3">
+                            <h3 className="font-bold">Ações Rápidas</h3>
+                            <div className="grid grid-cols-2 gap-3">
+                                {equipment.usuarioAtual ? (
+                                    <button onClick={() => setCustodyMode('checkin')} className="bg-teal-600 text-white p-3 rounded-lg hover:bg-teal-700 flex flex-col items-center gap-1 text-sm">
+                                        <Icon name="PackageOpen" size={22} /> Receber (Check-in)
+                                    </button>
+                                ) : (
+                                    <button onClick={() => setCustodyMode('checkout')} className="bg-brand-primary text-white p-3 rounded-lg hover:bg-blue-700 flex flex-col items-center gap-1 text-sm">
+                                        <Icon name="PackageCheck" size={22} /> Entregar (Check-out)
+                                    </button>
+                                )}
+                                <button
+                                    onClick={() => { setNewLocal(equipment.local || ''); setIsEditingLocal(true); }}
+                                    className="bg-gray-600 text-white p-3 rounded-lg hover:bg-gray-700 flex flex-col items-center gap-1 text-sm"
+                                >
+                                    <Icon name="MapPin" size={22} /> Alterar Local
+                                </button>
+                            </div>
+                            {isEditingLocal && (
+                                <form onSubmit={handleSaveLocal} className="flex gap-2">
+                                    <input
+                                        type="text"
+                                        value={newLocal}
+                                        onChange={(e) => setNewLocal(e.target.value)}
+                                        placeholder="Novo local"
+                                        className="flex-1 p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800"
+                                        autoFocus
+                                    />
+                                    <button type="submit" disabled={isSavingLocal} className="bg-brand-primary text-white px-3 rounded-md disabled:bg-gray-400">
+                                        {isSavingLocal ? <Icon name="LoaderCircle" className="animate-spin" size={16} /> : 'Salvar'}
+                                    </button>
+                                    <button type="button" onClick={() => setIsEditingLocal(false)} className="px-3 rounded-md bg-gray-300 dark:bg-gray-600">
+                                        <Icon name="X" size={16} />
+                                    </button>
+                                </form>
+                            )}
+                        </section>
+
+                        <section className="bg-white dark:bg-dark-card rounded-lg shadow p-4">
+                            <h3 className="font-bold mb-2">Últimas Alterações</h3>
+                            {history.length === 0 ? (
+                                <p className="text-sm text-gray-500 dark:text-dark-text-secondary">Nenhuma alteração registrada.</p>
+                            ) : (
+                                <ul className="space-y-2 text-sm">
+                                    {history.map(entry => (
+                                        <li key={entry.id} className="border-b dark:border-dark-border last:border-0 pb-2">
+                                            <p>
+                                                <strong>{entry.field ? equipmentFieldLabel(entry.field) : entry.changeType}</strong>
+                                                {entry.field && <>: {entry.from_value || '(vazio)'} → {entry.to_value || '(vazio)'}</>}
+                                            </p>
+                                            <p className="text-xs text-gray-500 dark:text-dark-text-secondary">
+                                                {new Date(entry.timestamp).toLocaleString('pt-BR')} por {entry.changedBy}
+                                            </p>
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </section>
+                    </>
+                )}
+            </main>
+
+            {custodyMode && equipment && (
+                <EquipmentCustodyModal
+                    equipment={equipment}
+                    mode={custodyMode}
+                    onClose={() => setCustodyMode(null)}
+                    onDone={() => {
+                        setCustodyMode(null);
+                        loadAsset();
+                    }}
+                />
+            )}
+        </div>
+    );
+};
+
+export default MobileAssetPage;
@@ -0,0 +1,56 @@
+import React, { useState, useEffect } from 'react';
+import { getMyChangeRequests } from '../services/apiService';
+import { ChangeRequest } from '../types';
+import Icon from './common/Icon';
+
+const STATUS_BADGES: Record<ChangeRequest['status'], { label: string; className: string }> = {
+    pending: { label: 'Pendente', className: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/50 dark:text-yellow-200' },
+    approved: { label: 'Aprovada', className: 'bg-green-100 text-green-800 dark:bg-green-900/50 dark:text-green-200' },
+    rejected: { label: 'Rejeitada', className: 'bg-red-100 text-red-800 dark:bg-red-900/50 dark:text-red-200' },
+};
+
+// Edições e exclusões enviadas pelo usuário para aprovação, com o resultado e o motivo de cada rejeição
+const MyChangeRequests: React.FC = () => {
+    const [requests, setRequests] = useState<ChangeRequest[]>([]);
+
+    useEffect(() => {
+        getMyChangeRequests()
+            .then(setRequests)
+            .catch(error => console.error("Failed to fetch change requests", error));
+    }, []);
+
+    if (requests.length === 0) {
+        return null;
+    }
+
+    return (
+        <div className="bg-white dark:bg-dark-card p-6 rounded-lg shadow-md">
+            <h3 className="text-xl font-semibold mb-4 text-brand-dark dark:text-dark-text-primary flex items-center gap-2">
+                <Icon name="GitPullRequest" size={20} /> Minhas Solicitações
+            </h3>
+            <div className="space-y-2 max-h-64 overflow-y-auto pr-2">
+                {requests.map(request => (
+                    <div key={request.id} className="p-3 bg-gray-50 dark:bg-dark-bg rounded-md text-sm">
+                        <div className="flex items-center justify-between gap-2">
+                            <span className="text-gray-800 dark:text-dark-text-primary">
+                                {request.action === 'delete' ? 'Exclusão' : 'Edição'} de {request.item_type === 'equipment' ? 'equipamento' : 'licença'}: <strong>{request.item_name}</strong>
+                            </span>
+                            <span className={`px-2 py-1 rounded-full text-xs font-semibold whitespace-nowrap ${STATUS_BADGES[request.status].className}`}>
+                                {STATUS_BADGES[request.status].label}
+                            </span>
+                        </div>
+                        <p className="text-xs text-gray-500 dark:text-dark-text-secondary mt-1">
+                            Enviada em {new Date(request.requested_at).toLocaleString('pt-BR')}
+                            {request.reviewed_at && <> · revisada por {request.reviewed_by} em {new Date(request.reviewed_at).toLocaleString('pt-BR')}</>}
+                        </p>
+                        {request.status === 'rejected' && request.rejection_reason && (
+                            <p className="text-xs text-red-600 dark:text-red-400 mt-1">Motivo: {request.rejection_reason}</p>
+                        )}
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default MyChangeRequests;
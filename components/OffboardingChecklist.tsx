@@ -0,0 +1,264 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { OffboardingDetail, OffboardingItem, OffboardingItemResolution } from '../types';
+import { getOffboarding, resolveOffboardingItem, cancelOffboarding, ApiError } from '../services/apiService';
+import Icon from './common/Icon';
+import FieldError from './common/FieldError';
+import { ITEM_TYPE_LABELS, OFFBOARDING_STATUS_LABELS, OFFBOARDING_ITEM_STATUS_LABELS } from './common/collaboratorLabels';
+
+interface OffboardingChecklistProps {
+    offboardingId: number;
+    isAdmin: boolean;
+    onClose: () => void;
+    onChanged?: (detail: OffboardingDetail) => void;
+}
+
+const todayIso = () => new Date().toISOString().split('T')[0];
+const inputClass = 'w-full p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-dark-text-primary';
+const labelClass = 'block text-sm font-medium text-gray-700 dark:text-dark-text-secondary mb-1';
+
+const itemDetail = (item: OffboardingItem) => {
+    const details = item.item_details;
+    return item.item_type === 'equipment'
+        ? [details.patrimonio && `Patrimônio ${details.patrimonio}`, details.serial && `Serial ${details.serial}`].filter(Boolean).join(' · ')
+        : [details.chaveSerial, details.nomeComputador].filter(Boolean).join(' · ');
+};
+
+// Devolução (com check-in do equipamento ou liberação da licença) ou dispensa de um item do checklist
+const ResolveItemModal: React.FC<{ offboardingId: number; item: OffboardingItem; resolution: OffboardingItemResolution['resolution']; onClose: () => void; onDone: (detail: OffboardingDetail) => void; }> = ({ offboardingId, item, resolution, onClose, onDone }) => {
+    const isReturn = resolution === 'returned';
+    const withCheckIn = isReturn && item.item_type === 'equipment';
+    const [checkIn, setCheckIn] = useState({ dataDevolucao: todayIso(), status: 'ESTOQUE', local: item.item_details.local || '' });
+    const [notes, setNotes] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState('');
+    const [fieldErrors, setFieldErrors] = useState<Record<string, string>>({});
+
+    const handleSubmit = async (e: React.FormEvent) => {
+        e.preventDefault();
+        setIsSaving(true);
+        setError('');
+        setFieldErrors({});
+        try {
+            onDone(await resolveOffboardingItem(offboardingId, item.id, { resolution, notes, ...(withCheckIn ? { checkIn } : {}) }));
+        } catch (err: any) {
+            setFieldErrors(err instanceof ApiError && err.fieldErrors ? err.fieldErrors : {});
+            setError(err.message || 'Falha ao registrar o item.');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-[60] p-4">
+            <form onSubmit={handleSubmit} className="bg-white dark:bg-dark-card rounded-lg shadow-xl w-full max-w-lg">
+                <div className="p-4 border-b dark:border-dark-border flex justify-between items-center">
+                    <h3 className="text-lg font-bold text-brand-dark dark:text-dark-text-primary flex items-center gap-2">
+                        <Icon name={isReturn ? 'PackageOpen' : 'CircleSlash'} size={20} />
+                        {isReturn ? 'Registrar Devolução' : 'Dispensar Devolução'}
+                    </h3>
+                    <button type="button" onClick={onClose} className="text-gray-500 hover:text-gray-800 dark:text-gray-400 dark:hover:text-white">
+                        <Icon name="X" size={24} />
+                    </button>
+                </div>
+
+                <div className="p-6 space-y-4">
+                    <p className="text-sm text-gray-600 dark:text-dark-text-secondary">
+                        {ITEM_TYPE_LABELS[item.item_type]}: <strong>{item.item_name}</strong>
+                        {itemDetail(item) && <span className="block text-xs">{itemDetail(item)}</span>}
+                    </p>
+                    {error && <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded text-sm" role="alert">{error}</div>}
+
+                    {withCheckIn && (
+                        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                            <div>
+                                <label className={labelClass}>Data de Devolução</label>
+                                <input type="date" value={checkIn.dataDevolucao} onChange={(e) => setCheckIn(prev => ({ ...prev, dataDevolucao: e.target.value }))} className={inputClass} />
+                                <FieldError errors={fieldErrors} name="dataDevolucao" />
+                            </div>
+                            <div>
+                                <label className={labelClass}>Novo Status</label>
+                                <select value={checkIn.status} onChange={(e) => setCheckIn(prev => ({ ...prev, status: e.target.value }))} className={inputClass}>
+                                    <option value="ESTOQUE">Estoque</option>
+                                    <option value="MANUTENÇÃO">Manutenção</option>
+                                    <option value="DESCARTE">Descarte</option>
+                                </select>
+                                <FieldError errors={fieldErrors} name="status" />
+                            </div>
+                            <div>
+                                <label className={labelClass}>Local</label>
+                                <input type="text" value={checkIn.local} onChange={(e) => setCheckIn(prev => ({ ...prev, local: e.target.value }))} className={inputClass} />
+                                <FieldError errors={fieldErrors} name="local" />
+                            </div>
+                        </div>
+                    )}
+
+                    <div>
+                        <label className={labelClass}>Observações</label>
+                        <textarea
+                            value={notes}
+                            onChange={(e) => setNotes(e.target.value)}
+                            rows={3}
+                            className={inputClass}
+                            placeholder={isReturn ? 'Ex.: recebido com carregador, sem avarias' : 'Ex.: celular adquirido pelo colaborador'}
+                        />
+                        <FieldError errors={fieldErrors} name="notes" />
+                    </div>
+
+                    <p className="text-xs text-gray-500 dark:text-dark-text-secondary">
+                        {!isReturn && 'O item continua com o colaborador e deixa de bloquear a conclusão do desligamento.'}
+                        {withCheckIn && 'O check-in é registrado no equipamento e o termo de devolução é gerado, como na devolução feita pelo inventário.'}
+                        {isReturn && item.item_type === 'license' && 'A atribuição da licença é excluída, liberando a vaga para outro colaborador. Os dados ficam registrados neste desligamento.'}
+                    </p>
+                </div>
+
+                <div className="p-4 bg-gray-50 dark:bg-dark-card/50 border-t dark:border-dark-border flex justify-end gap-3">
+                    <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-300 dark:bg-gray-600 text-gray-800 dark:text-white rounded-md hover:bg-gray-400">Cancelar</button>
+                    <button type="submit" disabled={isSaving} className="px-4 py-2 bg-brand-primary text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400 flex items-center gap-2">
+                        {isSaving && <Icon name="LoaderCircle" className="animate-spin" size={16} />}
+                        Confirmar
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+// Checklist de desligamento: tudo o que o colaborador tinha ao início, até cada item ser devolvido ou dispensado
+const OffboardingChecklist: React.FC<OffboardingChecklistProps> = ({ offboardingId, isAdmin, onClose, onChanged }) => {
+    const [detail, setDetail] = useState<OffboardingDetail | null>(null);
+    const [error, setError] = useState('');
+    const [resolving, setResolving] = useState<{ item: OffboardingItem; resolution: OffboardingItemResolution['resolution'] } | null>(null);
+
+    const load = useCallback(() => {
+        getOffboarding(offboardingId)
+            .then(setDetail)
+            .catch(e => setError(`Falha ao carregar o desligamento: ${e.message}`));
+    }, [offboardingId]);
+
+    useEffect(() => {
+        load();
+    }, [load]);
+
+    const applyDetail = (updated: OffboardingDetail) => {
+        setDetail(updated);
+        setResolving(null);
+        onChanged?.(updated);
+    };
+
+    const handleCancel = async () => {
+        if (!detail || !window.confirm(`Cancelar o desligamento de ${detail.offboarding.collaborator_name}? Os itens já devolvidos continuam registrados.`)) return;
+        try {
+            applyDetail(await cancelOffboarding(offboardingId));
+        } catch (e: any) {
+            setError(e.message);
+        }
+    };
+
+    if (!detail) {
+        return (
+            <div className="border dark:border-dark-border rounded-lg p-4">
+                {error ? <p className="text-sm text-red-600">{error}</p> : <Icon name="LoaderCircle" className="animate-spin text-brand-primary" size={24} />}
+            </div>
+        );
+    }
+
+    const { offboarding, items } = detail;
+    const isOpen = offboarding.status === 'open';
+    const done = offboarding.item_count - offboarding.pending_count;
+    const status = OFFBOARDING_STATUS_LABELS[offboarding.status];
+
+    return (
+        <div className="border dark:border-dark-border rounded-lg p-4 space-y-4">
+            <div className="flex justify-between items-start gap-2">
+                <div>
+                    <h3 className="text-lg font-bold text-brand-secondary dark:text-dark-text-primary flex items-center gap-2">
+                        <Icon name="UserMinus" size={20} /> Desligamento de {offboarding.collaborator_name}
+                        <span className={`px-2 py-1 rounded-full text-xs font-semibold ${status.className}`}>{status.text}</span>
+                    </h3>
+                    <p className="text-xs text-gray-500 dark:text-dark-text-secondary">
+                        Iniciado em {new Date(offboarding.started_at).toLocaleString('pt-BR')} por {offboarding.started_by}
+                        {offboarding.closed_at && ` · Encerrado em ${new Date(offboarding.closed_at).toLocaleString('pt-BR')} por ${offboarding.closed_by}`}
+                    </p>
+                    {offboarding.notes && <p className="text-sm text-gray-600 dark:text-dark-text-secondary mt-1">{offboarding.notes}</p>}
+                </div>
+                <button onClick={onClose} className="text-gray-500 hover:text-gray-800 dark:hover:text-white"><Icon name="X" size={20} /></button>
+            </div>
+
+            {error && <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-3 text-sm" role="alert">{error}</div>}
+
+            <div>
+                <div className="flex justify-between text-sm text-gray-600 dark:text-dark-text-secondary mb-1">
+                    <span>{done} de {offboarding.item_count} itens resolvidos</span>
+                    {offboarding.pending_count > 0 && <span>{offboarding.pending_count} pendente(s)</span>}
+                </div>
+                <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-1.5">
+                    <div className="h-1.5 rounded-full bg-green-500" style={{ width: `${offboarding.item_count ? (done / offboarding.item_count) * 100 : 100}%` }}></div>
+                </div>
+            </div>
+
+            <div className="overflow-x-auto border dark:border-dark-border rounded-lg">
+                <table className="w-full text-sm text-left text-gray-700 dark:text-dark-text-secondary">
+                    <thead className="text-xs text-gray-800 dark:text-dark-text-primary uppercase bg-gray-100 dark:bg-gray-900/50">
+                        <tr>
+                            <th className="px-4 py-2">Item</th>
+                            <th className="px-4 py-2">Tipo</th>
+                            <th className="px-4 py-2">Situação</th>
+                            <th className="px-4 py-2">Observações</th>
+                            {isAdmin && isOpen && <th className="px-4 py-2 text-right">Ações</th>}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {items.map(item => {
+                            const itemStatus = OFFBOARDING_ITEM_STATUS_LABELS[item.status];
+                            return (
+                                <tr key={item.id} className="border-b dark:border-dark-border last:border-0">
+                                    <td className="px-4 py-2">
+                                        <span className="font-medium text-gray-900 dark:text-dark-text-primary">{item.item_name}</span>
+                                        {itemDetail(item) && <span className="block text-xs text-gray-500">{itemDetail(item)}</span>}
+                                    </td>
+                                    <td className="px-4 py-2">{ITEM_TYPE_LABELS[item.item_type]}</td>
+                                    <td className="px-4 py-2 whitespace-nowrap">
+                                        <span className={`px-2 py-1 rounded-full text-xs font-semibold ${itemStatus.className}`}>{itemStatus.text}</span>
+                                        {item.resolved_at && <span className="block text-xs text-gray-500 mt-1">{new Date(item.resolved_at).toLocaleString('pt-BR')} por {item.resolved_by}</span>}
+                                    </td>
+                                    <td className="px-4 py-2 text-xs">{item.notes || '—'}</td>
+                                    {isAdmin && isOpen && (
+                                        <td className="px-4 py-2">
+                                            {item.status === 'pending' && (
+                                                <div className="flex justify-end gap-3 text-xs">
+                                                    <button onClick={() => setResolving({ item, resolution: 'returned' })} className="text-green-600 hover:underline flex items-center gap-1"><Icon name="PackageOpen" size={14} /> Devolvido</button>
+                                                    <button onClick={() => setResolving({ item, resolution: 'waived' })} className="text-gray-600 dark:text-gray-300 hover:underline flex items-center gap-1"><Icon name="CircleSlash" size={14} /> Dispensar</button>
+                                                </div>
+                                            )}
+                                        </td>
+                                    )}
+                                </tr>
+                            );
+                        })}
+                        {items.length === 0 && (
+                            <tr><td colSpan={5} className="px-4 py-6 text-center text-gray-500">O colaborador não tinha equipamentos nem licenças a devolver.</td></tr>
+                        )}
+                    </tbody>
+                </table>
+            </div>
+
+            {isAdmin && isOpen && (
+                <div className="flex justify-end">
+                    <button onClick={handleCancel} className="text-sm text-red-600 hover:underline flex items-center gap-1"><Icon name="Ban" size={14} /> Cancelar desligamento</button>
+                </div>
+            )}
+
+            {resolving && (
+                <ResolveItemModal
+                    offboardingId={offboardingId}
+                    item={resolving.item}
+                    resolution={resolving.resolution}
+                    onClose={() => setResolving(null)}
+                    onDone={applyDetail}
+                />
+            )}
+        </div>
+    );
+};
+
+export default OffboardingChecklist;
@@ -0,0 +1,110 @@
+import React, { useState, useEffect } from 'react';
+import { PasswordPolicy } from '../types';
+import { getPasswordPolicy, savePasswordPolicy, ApiError } from '../services/apiService';
+import Icon from './common/Icon';
+import FieldError from './common/FieldError';
+import { setCachedPasswordPolicy } from './common/passwordPolicy';
+
+const COMPLEXITY_OPTIONS: { key: 'requireUppercase' | 'requireLowercase' | 'requireNumber' | 'requireSymbol'; label: string }[] = [
+    { key: 'requireUppercase', label: 'Exigir letra maiúscula' },
+    { key: 'requireLowercase', label: 'Exigir letra minúscula' },
+    { key: 'requireNumber', label: 'Exigir número' },
+    { key: 'requireSymbol', label: 'Exigir símbolo' },
+];
+
+// Política de senhas (aba Segurança): vale para novas senhas, trocas, redefinições e senhas definidas por administradores
+const PasswordPolicySettings: React.FC = () => {
+    const [policy, setPolicy] = useState<PasswordPolicy | null>(null);
+    const [errors, setErrors] = useState<Record<string, string>>({});
+    const [message, setMessage] = useState('');
+    const [error, setError] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+
+    useEffect(() => {
+        getPasswordPolicy()
+            .then(setPolicy)
+            .catch(e => setError(`Falha ao carregar a política de senhas: ${e.message}`));
+    }, []);
+
+    const handleSave = async () => {
+        if (!policy) return;
+        setErrors({});
+        setMessage('');
+        setError('');
+        setIsSaving(true);
+        try {
+            const saved = await savePasswordPolicy(policy);
+            setPolicy(saved);
+            setCachedPasswordPolicy(saved);
+            setMessage('Política de senhas salva.');
+        } catch (e: any) {
+            if (e instanceof ApiError && e.fieldErrors) setErrors(e.fieldErrors);
+            setError(e.message || 'Falha ao salvar a política de senhas.');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const numberInputClass = (field: string) => `p-2 w-full border rounded-md bg-white dark:bg-gray-800 ${errors[field] ? 'border-red-500' : 'dark:border-dark-border'}`;
+
+    return (
+        <div className="p-6 bg-gray-50 dark:bg-dark-bg rounded-lg border dark:border-dark-border">
+            <h3 className="text-lg font-bold text-brand-secondary dark:text-dark-text-primary mb-4 flex items-center gap-2">
+                <Icon name="KeyRound" size={20} />
+                Política de Senhas
+            </h3>
+            <div className="p-4 bg-blue-50 dark:bg-blue-900/20 border-l-4 border-blue-400 text-blue-800 dark:text-blue-200 text-sm mb-4">
+                As regras valem para as próximas senhas definidas. Senhas criadas por um administrador são temporárias: o usuário precisa trocá-las no primeiro login. Contas do SSO não são afetadas.
+            </div>
+            {error && <p className="text-sm text-red-600 dark:text-red-400 mb-3">{error}</p>}
+            {message && <p className="text-sm text-green-600 dark:text-green-400 mb-3">{message}</p>}
+            {policy && (
+                <>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4 max-w-2xl">
+                        <div>
+                            <label htmlFor="policyMinLength" className="block text-sm font-medium text-gray-700 dark:text-dark-text-secondary mb-1">Tamanho mínimo</label>
+                            <input id="policyMinLength" type="number" min={6} value={policy.minLength} onChange={(e) => setPolicy({ ...policy, minLength: Number(e.target.value) })} className={numberInputClass('minLength')} />
+                            <FieldError errors={errors} name="minLength" />
+                        </div>
+                        <div>
+                            <label htmlFor="policyExpiry" className="block text-sm font-medium text-gray-700 dark:text-dark-text-secondary mb-1">Expira em (dias)</label>
+                            <input id="policyExpiry" type="number" min={0} value={policy.expiryDays} onChange={(e) => setPolicy({ ...policy, expiryDays: Number(e.target.value) })} className={numberInputClass('expiryDays')} />
+                            <FieldError errors={errors} name="expiryDays" />
+                            <p className="text-xs text-gray-500 dark:text-dark-text-secondary mt-1">0 = a senha não expira.</p>
+                        </div>
+                        <div>
+                            <label htmlFor="policyHistory" className="block text-sm font-medium text-gray-700 dark:text-dark-text-secondary mb-1">Senhas anteriores bloqueadas</label>
+                            <input id="policyHistory" type="number" min={0} value={policy.historySize} onChange={(e) => setPolicy({ ...policy, historySize: Number(e.target.value) })} className={numberInputClass('historySize')} />
+                            <FieldError errors={errors} name="historySize" />
+                            <p className="text-xs text-gray-500 dark:text-dark-text-secondary mt-1">A senha atual nunca pode ser repetida.</p>
+                        </div>
+                    </div>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-2 mt-4 max-w-2xl">
+                        {COMPLEXITY_OPTIONS.map(option => (
+                            <label key={option.key} className="flex items-center gap-2 text-sm text-gray-700 dark:text-dark-text-secondary">
+                                <input
+                                    type="checkbox"
+                                    checked={policy[option.key]}
+                                    onChange={(e) => setPolicy({ ...policy, [option.key]: e.target.checked })}
+                                    className="h-4 w-4 rounded text-brand-primary focus:ring-brand-primary"
+                                />
+                                {option.label}
+                            </label>
+                        ))}
+                    </div>
+                    <button
+                        type="button"
+                        onClick={handleSave}
+                        disabled={isSaving}
+                        className="mt-4 bg-brand-primary text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:bg-gray-400 flex items-center gap-2 text-sm"
+                    >
+                        {isSaving ? <Icon name="LoaderCircle" className="animate-spin" size={16} /> : <Icon name="Save" size={16} />}
+                        Salvar Política
+                    </button>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default PasswordPolicySettings;
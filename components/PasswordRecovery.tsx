@@ -0,0 +1,144 @@
+import React, { useState, useEffect } from 'react';
+import Icon from './common/Icon';
+import FieldError from './common/FieldError';
+import PasswordRequirements from './PasswordRequirements';
+import { requestPasswordReset, verifyPasswordResetToken, resetPassword, ApiError } from '../services/apiService';
+
+interface PasswordRecoveryProps {
+  // Token do link recebido por e-mail (#/redefinir-senha/<token>); sem ele, a tela pede o usuário ou e-mail
+  resetToken: string | null;
+  onBack: (message?: string) => void;
+}
+
+const inputClass = "shadow appearance-none border dark:border-dark-border rounded w-full py-2 px-3 bg-white dark:bg-gray-800 text-gray-700 dark:text-dark-text-primary leading-tight focus:outline-none focus:shadow-outline";
+const labelClass = "block text-gray-700 dark:text-dark-text-secondary text-sm font-bold mb-2";
+const primaryButtonClass = "bg-brand-primary hover:bg-blue-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline w-full transition-colors disabled:bg-gray-400";
+
+// "Esqueci minha senha" dentro do cartão de login: pedido do link por e-mail e definição da nova senha
+const PasswordRecovery: React.FC<PasswordRecoveryProps> = ({ resetToken, onBack }) => {
+  const [identifier, setIdentifier] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [resetUsername, setResetUsername] = useState<string | null>(null);
+  const [sentMessage, setSentMessage] = useState('');
+  const [errors, setErrors] = useState<Record<string, string>>({});
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  // Confere o link antes de pedir a nova senha, para não deixar o usuário digitar à toa num link vencido
+  useEffect(() => {
+    if (!resetToken) return;
+    setIsLoading(true);
+    verifyPasswordResetToken(resetToken)
+      .then(result => setResetUsername(result.username))
+      .catch((err: any) => setError(err.message || 'Link de redefinição inválido.'))
+      .finally(() => setIsLoading(false));
+  }, [resetToken]);
+
+  const handleFailure = (err: any) => {
+    setErrors(err instanceof ApiError && err.fieldErrors ? err.fieldErrors : {});
+    if (err instanceof TypeError && err.message === 'Failed to fetch') {
+      setError('Não foi possível conectar ao servidor. Verifique se a API está em execução.');
+    } else {
+      setError(err.message || 'Não foi possível concluir a solicitação.');
+    }
+  };
+
+  const handleRequest = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsLoading(true);
+    setErrors({});
+    setError('');
+    try {
+      const result = await requestPasswordReset(identifier);
+      setSentMessage(result.message);
+    } catch (err: any) {
+      handleFailure(err);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleReset = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setErrors({});
+    setError('');
+    if (newPassword !== confirmPassword) {
+      setErrors({ confirmPassword: 'As senhas não conferem.' });
+      return;
+    }
+    setIsLoading(true);
+    try {
+      const result = await resetPassword(resetToken as string, newPassword);
+      onBack(result.message);
+    } catch (err: any) {
+      handleFailure(err);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const backLink = (
+    <button type="button" onClick={() => onBack()} className="text-sm text-gray-600 dark:text-dark-text-secondary hover:underline flex items-center gap-1 mx-auto">
+      <Icon name="ArrowLeft" size={14} /> Voltar para o login
+    </button>
+  );
+
+  return (
+    <div>
+      <h2 className="text-lg font-semibold text-brand-dark dark:text-dark-text-primary mb-4 text-center">
+        {resetToken ? 'Redefinir senha' : 'Esqueci minha senha'}
+      </h2>
+
+      {error && <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-4" role="alert">{error}</div>}
+
+      {!resetToken && (sentMessage ? (
+        <div className="space-y-4">
+          <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded" role="status">{sentMessage}</div>
+          {backLink}
+        </div>
+      ) : (
+        <form onSubmit={handleRequest} className="space-y-4">
+          <p className="text-sm text-gray-500 dark:text-dark-text-secondary">Informe seu usuário ou e-mail. Enviaremos um link, válido por 30 minutos, para você escolher uma nova senha.</p>
+          <div>
+            <label className={labelClass} htmlFor="identifier">Usuário ou e-mail</label>
+            <input id="identifier" type="text" value={identifier} onChange={(e) => setIdentifier(e.target.value)} className={inputClass} autoFocus />
+            <FieldError errors={errors} name="identifier" />
+          </div>
+          <button type="submit" disabled={isLoading} className={primaryButtonClass}>
+            {isLoading ? 'Enviando...' : 'Enviar link'}
+          </button>
+          {backLink}
+        </form>
+      ))}
+
+      {resetToken && (resetUsername ? (
+        <form onSubmit={handleReset} className="space-y-4">
+          <p className="text-sm text-gray-500 dark:text-dark-text-secondary">Escolha a nova senha do usuário <strong>{resetUsername}</strong>.</p>
+          <div>
+            <label className={labelClass} htmlFor="newPassword">Nova senha</label>
+            <input id="newPassword" type="password" value={newPassword} onChange={(e) => setNewPassword(e.target.value)} className={inputClass} autoFocus />
+            <FieldError errors={errors} name="newPassword" />
+          </div>
+          <div>
+            <label className={labelClass} htmlFor="confirmPassword">Confirme a nova senha</label>
+            <input id="confirmPassword" type="password" value={confirmPassword} onChange={(e) => setConfirmPassword(e.target.value)} className={inputClass} />
+            <FieldError errors={errors} name="confirmPassword" />
+          </div>
+          <PasswordRequirements password={newPassword} />
+          <button type="submit" disabled={isLoading} className={primaryButtonClass}>
+            {isLoading ? 'Salvando...' : 'Redefinir senha'}
+          </button>
+          {backLink}
+        </form>
+      ) : (
+        <div className="space-y-4 text-center">
+          {isLoading && <Icon name="LoaderCircle" className="animate-spin text-brand-primary mx-auto" size={24} />}
+          {backLink}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default PasswordRecovery;
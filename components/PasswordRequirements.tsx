@@ -0,0 +1,39 @@
+import React, { useState, useEffect } from 'react';
+import { PasswordPolicy } from '../types';
+import Icon from './common/Icon';
+import { loadPasswordPolicy, passwordRules } from './common/passwordPolicy';
+
+interface PasswordRequirementsProps {
+    password: string;
+}
+
+// Lista das exigências da política de senhas, marcando as que a senha digitada já cumpre
+const PasswordRequirements: React.FC<PasswordRequirementsProps> = ({ password }) => {
+    const [policy, setPolicy] = useState<PasswordPolicy | null>(null);
+
+    useEffect(() => {
+        loadPasswordPolicy().then(setPolicy).catch(error => console.error('Failed to load password policy:', error));
+    }, []);
+
+    if (!policy) return null;
+
+    return (
+        <ul className="text-xs space-y-1 text-left">
+            {passwordRules(policy).map(rule => {
+                const isMet = rule.test(password);
+                return (
+                    <li key={rule.label} className={`flex items-center gap-1.5 ${isMet ? 'text-green-600 dark:text-green-400' : 'text-gray-500 dark:text-dark-text-secondary'}`}>
+                        <Icon name={isMet ? 'CircleCheck' : 'Circle'} size={14} /> {rule.label}
+                    </li>
+                );
+            })}
+            {policy.historySize > 0 && (
+                <li className="flex items-center gap-1.5 text-gray-500 dark:text-dark-text-secondary">
+                    <Icon name="History" size={14} /> Diferente das {policy.historySize} últimas senhas
+                </li>
+            )}
+        </ul>
+    );
+};
+
+export default PasswordRequirements;
@@ -0,0 +1,179 @@
+import React, { useState, useEffect } from 'react';
+import { Equipment, PendingTermo, User } from '../types';
+import { getPendingTermos, sendTermosBatch } from '../services/apiService';
+import Icon from './common/Icon';
+import TermoResponsabilidade from './TermoResponsabilidade';
+import { TERMO_TYPE_LABELS } from './EquipmentTermoArchive';
+
+interface PendingTermosPanelProps {
+    currentUser: User;
+    companyName: string;
+    // Recarrega a lista sempre que o inventário muda (incrementado pela lista de equipamentos)
+    refreshKey: number;
+    onChanged: () => void;
+}
+
+const daysSince = (iso: string) => Math.floor((Date.now() - new Date(iso).getTime()) / 86400000);
+
+// Equipamentos com termo de entrega ou devolução ainda não assinado
+const PendingTermosPanel: React.FC<PendingTermosPanelProps> = ({ currentUser, companyName, refreshKey, onChanged }) => {
+    const [pending, setPending] = useState<PendingTermo[]>([]);
+    const [isOpen, setIsOpen] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+    const [openTermo, setOpenTermo] = useState<PendingTermo | null>(null);
+    const [selectedIds, setSelectedIds] = useState<Set<number>>(new Set());
+    const [isSending, setIsSending] = useState(false);
+    const [sendSummary, setSendSummary] = useState<string | null>(null);
+
+    useEffect(() => {
+        getPendingTermos()
+            .then(data => {
+                setPending(data);
+                setSelectedIds(new Set());
+                setError(null);
+            })
+            .catch(e => setError(`Falha ao carregar os termos pendentes: ${e.message}`));
+    }, [refreshKey]);
+
+    const handleSigned = () => {
+        if (!openTermo) return;
+        setPending(prev => prev.filter(item => item.id !== openTermo.id));
+        onChanged();
+    };
+
+    const sendable = pending.filter(item => item.termo);
+
+    const toggleSelected = (id: number) => {
+        setSelectedIds(prev => {
+            const next = new Set(prev);
+            next.has(id) ? next.delete(id) : next.add(id);
+            return next;
+        });
+    };
+
+    const toggleAll = () => {
+        setSelectedIds(prev => prev.size === sendable.length ? new Set() : new Set(sendable.map(item => item.id)));
+    };
+
+    // Envia o último termo de cada equipamento selecionado como PDF para o e-mail do colaborador
+    const handleSendSelected = async () => {
+        setIsSending(true);
+        setSendSummary(null);
+        try {
+            const result = await sendTermosBatch([...selectedIds]);
+            const failures = result.failed.map(failure => {
+                const item = pending.find(p => p.id === failure.equipmentId);
+                return `${item?.equipamento || `#${failure.equipmentId}`}: ${failure.message}`;
+            });
+            setSendSummary([`${result.sent.length} termo(s) enviado(s) por e-mail.`, ...failures].join('\n'));
+            const sentAt = new Date().toISOString();
+            setPending(prev => prev.map(item => {
+                const sent = result.sent.find(entry => entry.equipmentId === item.id);
+                return sent && item.termo ? { ...item, termo: { ...item.termo, sent_at: sentAt, sent_to: sent.to } } : item;
+            }));
+            // Ficam selecionados só os que falharam, para reenviar depois de corrigir o e-mail
+            setSelectedIds(new Set(result.failed.map(failure => failure.equipmentId)));
+        } catch (e: any) {
+            setSendSummary(`Falha ao enviar os termos: ${e.message}`);
+        } finally {
+            setIsSending(false);
+        }
+    };
+
+    return (
+        <div className="mb-4 border dark:border-dark-border rounded-lg">
+            <div
+                className="p-3 flex flex-col sm:flex-row justify-between sm:items-center gap-2 cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors"
+                onClick={() => setIsOpen(prev => !prev)}
+            >
+                <div className="flex items-center gap-2">
+                    <Icon name="FileClock" size={20} className="text-brand-primary" />
+                    <h3 className="font-bold text-brand-secondary dark:text-dark-text-primary">Termos Pendentes de Assinatura</h3>
+                </div>
+                <div className="flex items-center gap-2 text-sm">
+                    <span className={`px-2 py-1 rounded-full font-semibold ${pending.length > 0 ? 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/50 dark:text-yellow-300' : 'bg-green-100 text-green-800 dark:bg-green-900/50 dark:text-green-300'}`}>
+                        {pending.length} pendente(s)
+                    </span>
+                    <Icon name={isOpen ? 'ChevronUp' : 'ChevronDown'} size={20} className="text-gray-500" />
+                </div>
+            </div>
+
+            {isOpen && (
+                <div className="p-3 border-t dark:border-dark-border">
+                    {error && <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 mb-3" role="alert"><p>{error}</p></div>}
+                    {sendSummary && <div className="bg-blue-50 dark:bg-blue-900/20 border-l-4 border-blue-400 text-blue-800 dark:text-blue-200 p-3 mb-3 text-sm whitespace-pre-line">{sendSummary}</div>}
+                    {sendable.length > 0 && (
+                        <div className="flex justify-end mb-2">
+                            <button
+                                onClick={handleSendSelected}
+                                disabled={selectedIds.size === 0 || isSending}
+                                className="bg-teal-600 text-white px-3 py-1.5 rounded-lg hover:bg-teal-700 disabled:bg-gray-400 flex items-center gap-2 text-sm"
+                            >
+                                {isSending ? <Icon name="LoaderCircle" className="animate-spin" size={16} /> : <Icon name="Send" size={16} />}
+                                Enviar selecionados por e-mail ({selectedIds.size})
+                            </button>
+                        </div>
+                    )}
+                    {pending.length === 0 ? (
+                        <p className="text-sm text-gray-500 dark:text-dark-text-secondary">Todos os termos gerados foram assinados.</p>
+                    ) : (
+                        <div className="overflow-x-auto max-h-72">
+                            <table className="w-full text-sm text-left text-gray-700 dark:text-dark-text-secondary">
+                                <thead className="text-xs text-gray-800 dark:text-dark-text-primary uppercase bg-gray-100 dark:bg-gray-900/50 sticky top-0">
+                                    <tr>
+                                        <th scope="col" className="px-4 py-2">
+                                            <input type="checkbox" checked={sendable.length > 0 && selectedIds.size === sendable.length} onChange={toggleAll} disabled={sendable.length === 0} title="Selecionar todos" />
+                                        </th>
+                                        <th scope="col" className="px-4 py-2">Equipamento</th>
+                                        <th scope="col" className="px-4 py-2">Patrimônio</th>
+                                        <th scope="col" className="px-4 py-2">Colaborador</th>
+                                        <th scope="col" className="px-4 py-2">Termo</th>
+                                        <th scope="col" className="px-4 py-2">Pendente há</th>
+                                        <th scope="col" className="px-4 py-2">Último envio</th>
+                                        <th scope="col" className="px-4 py-2 text-right">Ações</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {pending.map(item => (
+                                        <tr key={item.id} className="border-b dark:border-dark-border last:border-0">
+                                            <td className="px-4 py-2">
+                                                <input type="checkbox" checked={selectedIds.has(item.id)} onChange={() => toggleSelected(item.id)} disabled={!item.termo} />
+                                            </td>
+                                            <td className="px-4 py-2">{item.equipamento}</td>
+                                            <td className="px-4 py-2">{item.patrimonio || '-'}</td>
+                                            <td className="px-4 py-2">{item.termo?.collaborator || item.usuarioAtual || '-'}</td>
+                                            <td className="px-4 py-2">{item.termo ? TERMO_TYPE_LABELS[item.termo.termo_type] : 'Sem termo arquivado'}</td>
+                                            <td className="px-4 py-2 whitespace-nowrap">{item.termo ? `${daysSince(item.termo.created_at)} dia(s)` : '-'}</td>
+                                            <td className="px-4 py-2 whitespace-nowrap">{item.termo?.sent_at ? new Date(item.termo.sent_at).toLocaleDateString('pt-BR') : '-'}</td>
+                                            <td className="px-4 py-2 text-right">
+                                                {item.termo && (
+                                                    <button onClick={() => setOpenTermo(item)} className="text-brand-primary hover:underline text-xs flex items-center gap-1 ml-auto">
+                                                        <Icon name="FileText" size={14} /> Abrir
+                                                    </button>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </div>
+            )}
+
+            {openTermo?.termo && (
+                <TermoResponsabilidade
+                    equipment={openTermo as unknown as Equipment}
+                    user={currentUser}
+                    onClose={() => setOpenTermo(null)}
+                    companyName={companyName}
+                    termoType={openTermo.termo.termo_type}
+                    archivedTermoId={openTermo.termo.id}
+                    onSigned={handleSigned}
+                />
+            )}
+        </div>
+    );
+};
+
+export default PendingTermosPanel;
@@ -1,8 +1,10 @@
 
-import React, { useState, useRef, useMemo } from 'react';
-import { User, Equipment } from '../types';
+import React, { useState, useMemo, useEffect, useCallback } from 'react';
+import { User, UserRole, Equipment, PeriodicUpdatePreview, ImportRun } from '../types';
 import Icon from './common/Icon';
-import { periodicUpdateEquipment } from '../services/apiService';
+import ImportMapper, { MappedImport } from './common/ImportMapper';
+import { EQUIPMENT_FIELD_LABELS, IMPORTABLE_EQUIPMENT_FIELD_LABELS, equipmentFieldLabel } from './common/equipmentFields';
+import { previewPeriodicUpdate, commitPeriodicUpdate, getPeriodicUpdateRuns, getPeriodicUpdateProtectedFields, savePeriodicUpdateProtectedFields } from '../services/apiService';
 
 type PartialEquipment = Partial<Equipment>;
 
@@ -12,125 +14,70 @@ interface PeriodicUpdateProps {
 }
 
 const PeriodicUpdate: React.FC<PeriodicUpdateProps> = ({ currentUser, onUpdateSuccess }) => {
-    const [csvFile, setCsvFile] = useState<File | null>(null);
+    const [mappedImport, setMappedImport] = useState<MappedImport | null>(null);
+    // Trocar a chave remonta o ImportMapper, limpando o arquivo depois de uma atualização aplicada
+    const [mapperKey, setMapperKey] = useState(0);
     const [parsedData, setParsedData] = useState<PartialEquipment[]>([]);
+    const [preview, setPreview] = useState<PeriodicUpdatePreview | null>(null);
+    // Seleção da revisão: seriais novos a criar e, por serial, campos aceitos
+    const [selectedNew, setSelectedNew] = useState<Set<string>>(new Set());
+    const [selectedFields, setSelectedFields] = useState<Record<string, Set<keyof Equipment>>>({});
     const [isLoading, setIsLoading] = useState(false);
     const [isSaving, setIsSaving] = useState(false);
     const [error, setError] = useState<string | null>(null);
     const [searchTerm, setSearchTerm] = useState('');
-    const fileInputRef = useRef<HTMLInputElement>(null);
-
-    const splitCsvLine = (line: string, separator: string): string[] => {
-        const result: string[] = [];
-        let current = '';
-        let inQuote = false;
-        for (let i = 0; i < line.length; i++) {
-            const char = line[i];
-            if (char === '"') {
-                inQuote = !inQuote;
-            } else if (char === separator && !inQuote) {
-                result.push(current.trim().replace(/^"|"$/g, ''));
-                current = '';
-            } else {
-                current += char;
-            }
+    const [runs, setRuns] = useState<ImportRun[]>([]);
+    const [protectedFields, setProtectedFields] = useState<(keyof Equipment)[]>([]);
+    const [isEditingProtected, setIsEditingProtected] = useState(false);
+
+    const loadRunsAndRules = useCallback(async () => {
+        try {
+            const [runsData, rules] = await Promise.all([getPeriodicUpdateRuns(), getPeriodicUpdateProtectedFields()]);
+            setRuns(runsData);
+            setProtectedFields(rules.fields);
+        } catch (e) {
+            console.error("Failed to load periodic update runs", e);
         }
-        result.push(current.trim().replace(/^"|"$/g, ''));
-        return result;
-    };
+    }, []);
 
-    const normalizeHeader = (header: string): string => {
-        // Remove accents, spaces, and special chars to make mapping robust
-        return header
-            .toUpperCase()
-            .normalize("NFD").replace(/[\u0300-\u036f]/g, "") // Remove accents
-            .replace(/[^A-Z0-9]/g, ""); // Remove spaces and symbols
-    };
+    useEffect(() => {
+        loadRunsAndRules();
+    }, [loadRunsAndRules]);
 
-    const parseCsv = (fileText: string): PartialEquipment[] => {
-        const cleanText = fileText.replace(/^\uFEFF/, ''); // Remove BOM
-        const lines = cleanText.trim().split(/\r\n|\n/);
-        if (lines.length < 2) throw new Error("O arquivo CSV deve conter um cabeçalho e dados.");
+    const resetReview = () => {
+        setPreview(null);
+        setSelectedNew(new Set());
+        setSelectedFields({});
+    };
 
-        const headerLine = lines[0];
-        // Detect separator
-        const separator = (headerLine.match(/;/g) || []).length > (headerLine.match(/,/g) || []).length ? ';' : ',';
-        
-        const rawHeaders = splitCsvLine(headerLine, separator);
-        const header = rawHeaders.map(h => normalizeHeader(h));
-
-        // Mapping based on normalized headers (e.g., "Número de série" becomes "NUMERODESERIE")
-        const mappings: { [key: string]: keyof Equipment } = {
-            'NOMEDODISPOSITIVO': 'equipamento',
-            'DISPOSITIVO': 'equipamento',
-            'EQUIPAMENTO': 'equipamento',
-            
-            'NUMERODESERIE': 'serial',
-            'SERIAL': 'serial',
-            
-            'NOMEDOUSUARIOATUAL': 'usuarioAtual',
-            'USUARIOATUAL': 'usuarioAtual',
-            'USUARIO': 'usuarioAtual',
-            
-            'MARCA': 'brand',
-            'MODELO': 'model',
-            
-            'EMAILDOCOLABORADOR': 'emailColaborador',
-            'EMAIL': 'emailColaborador',
-            
-            'IDENTIFICADOR': 'identificador',
-            'NOMEDOSO': 'nomeSO',
-            'SO': 'nomeSO',
-            
-            'MEMORIAFISICATOTAL': 'memoriaFisicaTotal',
-            'MEMORIA': 'memoriaFisicaTotal',
-            
-            'GRUPODEPOLITICAS': 'grupoPoliticas',
-            'POLITICAS': 'grupoPoliticas',
-            
-            'PAIS': 'pais',
-            'CIDADE': 'cidade',
-            'ESTADOPROVINCIA': 'estadoProvincia',
-            'ESTADO': 'estadoProvincia',
-            
-            'LOCAL': 'local',
-            'SETOR': 'setor'
-        };
-
-        return lines.slice(1).map(row => {
-            if (!row.trim()) return null;
-            const values = splitCsvLine(row, separator);
-            const entry: PartialEquipment = {};
-            
-            header.forEach((colName, index) => {
-                const mappedKey = mappings[colName];
-                if (mappedKey && index < values.length) {
-                    const value = values[index]?.trim();
-                    if (value) {
-                         (entry as any)[mappedKey] = value;
-                    }
-                }
-            });
-
-            // Basic validation: Serial is required
-            if (!entry.serial || entry.serial.trim() === '') return null;
-            
-            return entry;
-        }).filter((item): item is PartialEquipment => item !== null);
+    const handleMapped = (result: MappedImport | null) => {
+        setMappedImport(result);
+        setParsedData([]);
+        resetReview();
     };
 
     const handleParse = async () => {
-        if (!csvFile) return;
+        if (!mappedImport) return;
         setIsLoading(true);
         setError(null);
         setParsedData([]);
+        resetReview();
         try {
-            const text = await csvFile.text();
-            const data = parseCsv(text);
+            const data = mappedImport.records as PartialEquipment[];
             setParsedData(data);
             if (data.length === 0) {
                 setError("Nenhum dado válido encontrado. Verifique se as colunas obrigatórias (ex: Número de série) existem.");
+                return;
             }
+            // Simulação: o servidor compara com o inventário sem gravar nada
+            const result = await previewPeriodicUpdate(data);
+            setPreview(result);
+            // Por padrão tudo que não é protegido vem marcado; o revisor desmarca o que não quer aplicar
+            setSelectedNew(new Set(result.newAssets.map(asset => asset.serial)));
+            setSelectedFields(Object.fromEntries(result.changed.map(item => [
+                item.serial,
+                new Set(item.fields.filter(change => !change.protected).map(change => change.field))
+            ])));
         } catch (e: any) {
             setError(`Falha ao processar arquivo: ${e.message}`);
         } finally {
@@ -138,23 +85,50 @@ const PeriodicUpdate: React.FC<PeriodicUpdateProps> = ({ currentUser, onUpdateSu
         }
     };
 
+    const toggleNew = (serial: string) => {
+        setSelectedNew(prev => {
+            const next = new Set(prev);
+            if (next.has(serial)) next.delete(serial); else next.add(serial);
+            return next;
+        });
+    };
+
+    const toggleField = (serial: string, field: keyof Equipment) => {
+        setSelectedFields(prev => {
+            const next = new Set(prev[serial] || []);
+            if (next.has(field)) next.delete(field); else next.add(field);
+            return { ...prev, [serial]: next };
+        });
+    };
+
+    const toggleRow = (serial: string, fields: (keyof Equipment)[]) => {
+        setSelectedFields(prev => {
+            const allSelected = fields.every(field => prev[serial]?.has(field));
+            return { ...prev, [serial]: new Set(allSelected ? [] : fields) };
+        });
+    };
+
+    const selectedUpdateCount = useMemo(() => Object.values(selectedFields).filter(fields => fields.size > 0).length, [selectedFields]);
+
     const handleSaveToSystem = async () => {
-        if (parsedData.length === 0) return;
-        if (!window.confirm(`Esta ação irá atualizar ${parsedData.length} registros no inventário (adicionando novos e atualizando existentes baseados no Serial). Deseja continuar?`)) return;
+        if (!preview) return;
+        if (!window.confirm(`Esta ação irá adicionar ${selectedNew.size} e atualizar ${selectedUpdateCount} equipamento(s) com as alterações selecionadas. Deseja continuar?`)) return;
         
         setIsSaving(true);
         setError(null);
         try {
-            const result = await periodicUpdateEquipment(parsedData, currentUser.username);
-            if (result.success) {
-                alert(result.message);
-                onUpdateSuccess();
-                setParsedData([]);
-                setCsvFile(null);
-                if (fileInputRef.current) fileInputRef.current.value = '';
-            } else {
-                setError(`Falha ao salvar no sistema: ${result.message}`);
-            }
+            const selection = {
+                create: Array.from(selectedNew),
+                update: Object.fromEntries(Object.entries(selectedFields).map(([serial, fields]) => [serial, Array.from(fields)]))
+            };
+            const result = await commitPeriodicUpdate(parsedData, selection, mappedImport?.fileName);
+            alert(result.message);
+            onUpdateSuccess();
+            setParsedData([]);
+            resetReview();
+            setMappedImport(null);
+            setMapperKey(prev => prev + 1);
+            loadRunsAndRules();
         } catch (e: any) {
             let message = e.message || "Erro desconhecido";
             if (message.includes('Failed to fetch')) {
@@ -166,77 +140,235 @@ const PeriodicUpdate: React.FC<PeriodicUpdateProps> = ({ currentUser, onUpdateSu
         }
     };
 
-    const filteredData = useMemo(() => {
-        if (!searchTerm) return parsedData;
+    const toggleProtectedField = async (field: keyof Equipment) => {
+        const next = protectedFields.includes(field) ? protectedFields.filter(f => f !== field) : [...protectedFields, field];
+        try {
+            const result = await savePeriodicUpdateProtectedFields(next);
+            setProtectedFields(result.fields);
+            resetReview();
+        } catch (e: any) {
+            setError(`Falha ao salvar os campos protegidos: ${e.message}`);
+        }
+    };
+
+    const filteredChanged = useMemo(() => {
+        if (!preview) return [];
+        if (!searchTerm) return preview.changed;
+        const lowercasedFilter = searchTerm.toLowerCase();
+        return preview.changed.filter(item =>
+            [item.serial, item.equipamento, ...item.fields.map(change => change.to)].some(value => String(value).toLowerCase().includes(lowercasedFilter))
+        );
+    }, [searchTerm, preview]);
+
+    const filteredNew = useMemo(() => {
+        if (!preview) return [];
+        if (!searchTerm) return preview.newAssets;
         const lowercasedFilter = searchTerm.toLowerCase();
-        return parsedData.filter(item => Object.values(item).some(value =>
+        return preview.newAssets.filter(asset => Object.values(asset.record).some(value =>
             String(value).toLowerCase().includes(lowercasedFilter)
         ));
-    }, [searchTerm, parsedData]);
+    }, [searchTerm, preview]);
 
-    const tableHeaders: (keyof Equipment)[] = ['equipamento', 'serial', 'usuarioAtual', 'brand', 'model', 'grupoPoliticas'];
+    const newAssetHeaders: (keyof Equipment)[] = ['equipamento', 'serial', 'usuarioAtual', 'brand', 'model', 'grupoPoliticas'];
+    const selectableFields = Object.keys(EQUIPMENT_FIELD_LABELS).filter(field => field !== 'serial') as (keyof Equipment)[];
 
     return (
         <div className="bg-white dark:bg-dark-card p-6 rounded-lg shadow-md">
             <h3 className="text-xl font-bold text-brand-secondary dark:text-dark-text-primary mb-2 border-b dark:border-dark-border pb-2">Atualização Periódica de Inventário</h3>
             <p className="text-sm text-gray-500 dark:text-dark-text-secondary mb-4">
-                Faça o upload do "Relatório Absolute" para mesclar e atualizar os dados do inventário. Itens existentes serão atualizados e novos serão adicionados.
+                Faça o upload do "Relatório Absolute" para comparar com o inventário. Nada é gravado até você revisar e confirmar as alterações.
             </p>
 
-            <div className="bg-white dark:bg-dark-card p-6 rounded-lg shadow-md border-l-4 border-brand-primary">
-                <div className="flex items-center mb-3">
-                    <Icon name="FileText" size={24} className="text-brand-primary mr-3" />
-                    <h3 className="text-xl font-bold text-brand-secondary dark:text-dark-text-primary">Relatório Absolute</h3>
+            <ImportMapper
+                key={mapperKey}
+                title="Relatório Absolute"
+                icon="FileText"
+                target="equipment"
+                fieldLabels={IMPORTABLE_EQUIPMENT_FIELD_LABELS as Record<string, string>}
+                requiredFields={['serial']}
+                defaultProfileName="Absolute"
+                canManageProfiles={currentUser.role === UserRole.Admin}
+                disabled={isLoading || isSaving}
+                onMapped={handleMapped}
+            />
+
+            <div className="mt-4 p-4 bg-gray-50 dark:bg-gray-800/50 rounded-lg border dark:border-dark-border">
+                <div className="flex justify-between items-center">
+                    <p className="text-sm text-gray-700 dark:text-dark-text-secondary">
+                        <Icon name="Lock" size={14} className="inline mr-1" />
+                        <strong>Campos protegidos:</strong> {protectedFields.length > 0 ? protectedFields.map(equipmentFieldLabel).join(', ') : 'nenhum'}
+                        <span className="block text-xs text-gray-500">O relatório só preenche estes campos quando estão vazios no inventário.</span>
+                    </p>
+                    <button onClick={() => setIsEditingProtected(prev => !prev)} className="text-sm text-brand-primary hover:underline">
+                        {isEditingProtected ? 'Fechar' : 'Editar'}
+                    </button>
                 </div>
-                <input type="file" ref={fileInputRef} onChange={(e) => setCsvFile(e.target.files ? e.target.files[0] : null)} accept=".csv" className="hidden" disabled={isLoading || isSaving} />
-                <button onClick={() => fileInputRef.current?.click()} disabled={isLoading || isSaving} className="w-full bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-dark-text-secondary px-4 py-3 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-600 flex items-center justify-center gap-2 transition-colors disabled:opacity-50">
-                    <Icon name="Upload" size={18} />
-                    <span>{csvFile ? 'Trocar Arquivo' : 'Selecionar Arquivo CSV'}</span>
-                </button>
-                {csvFile && <p className="mt-3 text-sm text-gray-600 dark:text-dark-text-secondary"><strong>Arquivo:</strong> {csvFile.name}</p>}
+                {isEditingProtected && (
+                    <div className="mt-3 grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-2">
+                        {selectableFields.map(field => (
+                            <label key={field} className="flex items-center gap-2 text-sm text-gray-700 dark:text-dark-text-secondary">
+                                <input type="checkbox" checked={protectedFields.includes(field)} onChange={() => toggleProtectedField(field)} />
+                                {equipmentFieldLabel(field)}
+                            </label>
+                        ))}
+                    </div>
+                )}
             </div>
 
             <div className="mt-6 flex justify-center">
-                <button onClick={handleParse} disabled={!csvFile || isLoading || isSaving} className="bg-brand-primary text-white px-8 py-3 rounded-lg hover:bg-blue-700 disabled:bg-gray-400 flex items-center justify-center gap-2 text-lg font-semibold">
+                <button onClick={handleParse} disabled={!mappedImport || isLoading || isSaving} className="bg-brand-primary text-white px-8 py-3 rounded-lg hover:bg-blue-700 disabled:bg-gray-400 flex items-center justify-center gap-2 text-lg font-semibold">
                     {isLoading ? <Icon name="LoaderCircle" className="animate-spin" /> : <Icon name="Search" />}
-                    {isLoading ? 'Analisando...' : '1. Analisar Dados'}
+                    {isLoading ? 'Analisando...' : '1. Analisar Dados (Simulação)'}
                 </button>
             </div>
 
             {error && <div className="mt-4 bg-red-100 border-l-4 border-red-500 text-red-700 p-4" role="alert"><p>{error}</p></div>}
 
-            {parsedData.length > 0 && !isLoading && (
-                 <div className="mt-6 animate-fade-in">
-                    <h3 className="text-xl font-bold text-brand-dark dark:text-dark-text-primary mb-4">Pré-visualização da Atualização ({filteredData.length} de {parsedData.length} itens)</h3>
-                    <input type="text" placeholder="Buscar nos resultados..." value={searchTerm} onChange={(e) => setSearchTerm(e.target.value)} className="w-full p-2 mb-4 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800" />
-                    <div className="overflow-x-auto max-h-96 border dark:border-dark-border rounded-lg">
-                        <table className="w-full text-sm text-left text-gray-700 dark:text-dark-text-secondary">
-                             <thead className="text-xs text-gray-800 dark:text-dark-text-primary uppercase bg-gray-100 dark:bg-gray-900/50 sticky top-0">
-                                <tr>{tableHeaders.map(header => <th key={header} scope="col" className="px-6 py-3 capitalize">{String(header).replace(/([A-Z])/g, ' $1')}</th>)}</tr>
-                            </thead>
-                            <tbody className="bg-white dark:bg-dark-card">
-                                {filteredData.map((item, index) => (
-                                    <tr key={item.serial || index} className="border-b dark:border-dark-border last:border-0 hover:bg-gray-50 dark:hover:bg-gray-700">
-                                        {tableHeaders.map(header => <td key={header} className="px-6 py-4 whitespace-nowrap">{item[header] || 'N/A'}</td>)}
-                                    </tr>
-                                ))}
-                            </tbody>
-                        </table>
+            {preview && !isLoading && (
+                 <div className="mt-6 animate-fade-in space-y-6">
+                    <div className="grid grid-cols-2 sm:grid-cols-4 gap-4 text-center">
+                        <div className="p-3 rounded-lg bg-green-50 dark:bg-green-900/20"><span className="block text-2xl font-bold text-green-700 dark:text-green-400">{preview.newAssets.length}</span><span className="text-xs text-gray-600 dark:text-dark-text-secondary">Novos</span></div>
+                        <div className="p-3 rounded-lg bg-blue-50 dark:bg-blue-900/20"><span className="block text-2xl font-bold text-blue-700 dark:text-blue-400">{preview.changed.length}</span><span className="text-xs text-gray-600 dark:text-dark-text-secondary">Com alterações</span></div>
+                        <div className="p-3 rounded-lg bg-gray-50 dark:bg-gray-800"><span className="block text-2xl font-bold text-gray-700 dark:text-gray-300">{preview.unchanged}</span><span className="text-xs text-gray-600 dark:text-dark-text-secondary">Sem alterações</span></div>
+                        <div className="p-3 rounded-lg bg-yellow-50 dark:bg-yellow-900/20"><span className="block text-2xl font-bold text-yellow-700 dark:text-yellow-400">{preview.missing.length}</span><span className="text-xs text-gray-600 dark:text-dark-text-secondary">Ausentes no relatório</span></div>
                     </div>
-                    <div className="mt-6 flex justify-end">
+
+                    <input type="text" placeholder="Buscar nos resultados..." value={searchTerm} onChange={(e) => setSearchTerm(e.target.value)} className="w-full p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800" />
+
+                    {preview.changed.length > 0 && (
+                        <div>
+                            <h4 className="text-lg font-bold text-brand-dark dark:text-dark-text-primary mb-2">Alterações em equipamentos existentes ({filteredChanged.length})</h4>
+                            <div className="overflow-x-auto max-h-96 border dark:border-dark-border rounded-lg divide-y dark:divide-dark-border">
+                                {filteredChanged.map(item => {
+                                    const selectable = item.fields.filter(change => !change.protected).map(change => change.field);
+                                    const rowSelected = selectedFields[item.serial] || new Set();
+                                    return (
+                                        <div key={item.serial} className="p-3">
+                                            <label className="flex items-center gap-2 font-medium text-gray-900 dark:text-white text-sm">
+                                                <input type="checkbox" disabled={selectable.length === 0} checked={selectable.length > 0 && selectable.every(field => rowSelected.has(field))} onChange={() => toggleRow(item.serial, selectable)} />
+                                                {item.equipamento} <span className="font-mono text-xs text-gray-500">({item.serial})</span>
+                                            </label>
+                                            <table className="mt-2 ml-6 text-xs">
+                                                <tbody>
+                                                    {item.fields.map(change => (
+                                                        <tr key={change.field} className={change.protected ? 'opacity-60' : ''}>
+                                                            <td className="pr-2 py-1">
+                                                                {change.protected
+                                                                    ? <span title="Campo protegido"><Icon name="Lock" size={12} /></span>
+                                                                    : <input type="checkbox" checked={rowSelected.has(change.field)} onChange={() => toggleField(item.serial, change.field)} />}
+                                                            </td>
+                                                            <td className="pr-4 py-1 font-medium text-gray-700 dark:text-gray-300">{equipmentFieldLabel(change.field)}</td>
+                                                            <td className="pr-2 py-1 text-red-600 line-through break-all">{change.from ?? '(vazio)'}</td>
+                                                            <td className="pr-2 py-1 text-gray-400"><Icon name="ArrowRight" size={12} /></td>
+                                                            <td className="py-1 text-green-600 break-all">{change.to}</td>
+                                                        </tr>
+                                                    ))}
+                                                </tbody>
+                                            </table>
+                                        </div>
+                                    );
+                                })}
+                            </div>
+                        </div>
+                    )}
+
+                    {preview.newAssets.length > 0 && (
+                        <div>
+                            <h4 className="text-lg font-bold text-brand-dark dark:text-dark-text-primary mb-2">Novos equipamentos ({selectedNew.size} de {preview.newAssets.length} selecionados)</h4>
+                            <div className="overflow-x-auto max-h-96 border dark:border-dark-border rounded-lg">
+                                <table className="w-full text-sm text-left text-gray-700 dark:text-dark-text-secondary">
+                                     <thead className="text-xs text-gray-800 dark:text-dark-text-primary uppercase bg-gray-100 dark:bg-gray-900/50 sticky top-0">
+                                        <tr>
+                                            <th scope="col" className="px-4 py-3">
+                                                <input type="checkbox" checked={selectedNew.size === preview.newAssets.length} onChange={() => setSelectedNew(selectedNew.size === preview.newAssets.length ? new Set() : new Set(preview.newAssets.map(asset => asset.serial)))} />
+                                            </th>
+                                            {newAssetHeaders.map(header => <th key={header} scope="col" className="px-6 py-3">{equipmentFieldLabel(header)}</th>)}
+                                        </tr>
+                                    </thead>
+                                    <tbody className="bg-white dark:bg-dark-card">
+                                        {filteredNew.map(asset => (
+                                            <tr key={asset.serial} className="border-b dark:border-dark-border last:border-0 hover:bg-gray-50 dark:hover:bg-gray-700">
+                                                <td className="px-4 py-4"><input type="checkbox" checked={selectedNew.has(asset.serial)} onChange={() => toggleNew(asset.serial)} /></td>
+                                                {newAssetHeaders.map(header => <td key={header} className="px-6 py-4 whitespace-nowrap">{asset.record[header] || 'N/A'}</td>)}
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </div>
+                    )}
+
+                    {preview.missing.length > 0 && (
+                        <div>
+                            <h4 className="text-lg font-bold text-brand-dark dark:text-dark-text-primary mb-1">Equipamentos do inventário ausentes no relatório ({preview.missing.length})</h4>
+                            <p className="text-xs text-gray-500 dark:text-dark-text-secondary mb-2">Apenas informativo: nenhuma alteração é feita nestes equipamentos.</p>
+                            <div className="overflow-x-auto max-h-64 border dark:border-dark-border rounded-lg">
+                                <table className="w-full text-sm text-left text-gray-700 dark:text-dark-text-secondary">
+                                    <tbody className="bg-white dark:bg-dark-card">
+                                        {preview.missing.map(item => (
+                                            <tr key={item.id} className="border-b dark:border-dark-border last:border-0">
+                                                <td className="px-6 py-2">{item.equipamento}</td>
+                                                <td className="px-6 py-2 font-mono text-xs">{item.serial}</td>
+                                                <td className="px-6 py-2">{item.usuarioAtual || '-'}</td>
+                                                <td className="px-6 py-2">{item.status || '-'}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </div>
+                    )}
+
+                    <div className="flex justify-end">
                         <button
                             onClick={handleSaveToSystem}
-                            disabled={isSaving}
+                            disabled={isSaving || (selectedNew.size === 0 && selectedUpdateCount === 0)}
                             className="bg-green-600 text-white px-8 py-3 rounded-lg hover:bg-green-700 disabled:bg-gray-400 flex items-center justify-center gap-2 text-lg font-semibold"
                         >
                             {isSaving ? <Icon name="LoaderCircle" className="animate-spin" /> : <Icon name="Save" />}
-                            {isSaving ? 'Salvando...' : '2. Salvar e Atualizar Inventário'}
+                            {isSaving ? 'Salvando...' : '2. Aplicar Alterações Selecionadas'}
                         </button>
                     </div>
                  </div>
             )}
+
+            {runs.length > 0 && (
+                <div className="mt-8">
+                    <h4 className="text-lg font-bold text-brand-dark dark:text-dark-text-primary mb-2">Execuções anteriores</h4>
+                    <div className="overflow-x-auto border dark:border-dark-border rounded-lg">
+                        <table className="w-full text-xs text-left text-gray-700 dark:text-dark-text-secondary">
+                            <thead className="uppercase bg-gray-100 dark:bg-gray-900/50">
+                                <tr>
+                                    <th className="px-4 py-2">Data</th>
+                                    <th className="px-4 py-2">Usuário</th>
+                                    <th className="px-4 py-2">Arquivo</th>
+                                    <th className="px-4 py-2">Novos</th>
+                                    <th className="px-4 py-2">Atualizados</th>
+                                    <th className="px-4 py-2">Rejeitados</th>
+                                    <th className="px-4 py-2">Protegidos</th>
+                                    <th className="px-4 py-2">Ausentes</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {runs.map(run => (
+                                    <tr key={run.id} className="border-b dark:border-dark-border last:border-0">
+                                        <td className="px-4 py-2 whitespace-nowrap">{new Date(run.run_at).toLocaleString('pt-BR')}</td>
+                                        <td className="px-4 py-2">{run.username}</td>
+                                        <td className="px-4 py-2">{run.file_name || '-'}</td>
+                                        <td className="px-4 py-2">{run.summary.created}</td>
+                                        <td className="px-4 py-2">{run.summary.updated} ({run.summary.fieldsUpdated} campos)</td>
+                                        <td className="px-4 py-2">{run.summary.newRejected + run.summary.rejectedFields}</td>
+                                        <td className="px-4 py-2">{run.summary.protectedSkipped}</td>
+                                        <td className="px-4 py-2">{run.summary.missing}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
         </div>
     );
 };
 
-export default PeriodicUpdate;
\ No newline at end of file
+export default PeriodicUpdate;
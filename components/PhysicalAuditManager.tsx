@@ -0,0 +1,248 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { PhysicalAudit, PhysicalAuditReport } from '../types';
+import { getPhysicalAudits, startPhysicalAudit, getPhysicalAuditReport, finishPhysicalAudit, getEquipmentFilterOptions, ApiError } from '../services/apiService';
+import Icon from './common/Icon';
+import FieldError from './common/FieldError';
+import { getActivePhysicalAudit, setActivePhysicalAudit, clearActivePhysicalAudit } from './common/physicalAuditSession';
+
+const inputClass = 'p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-800 dark:text-dark-text-primary';
+
+// Auditoria física: sessões de inventário presencial, em que cada etiqueta lida no celular marca o equipamento como encontrado
+const PhysicalAuditManager: React.FC = () => {
+    const [audits, setAudits] = useState<PhysicalAudit[]>([]);
+    const [locals, setLocals] = useState<string[]>([]);
+    const [form, setForm] = useState({ name: '', local: '' });
+    const [fieldErrors, setFieldErrors] = useState<Record<string, string>>({});
+    const [error, setError] = useState('');
+    const [isStarting, setIsStarting] = useState(false);
+    const [report, setReport] = useState<PhysicalAuditReport | null>(null);
+    const [reportTab, setReportTab] = useState<'missing' | 'scanned'>('missing');
+    const [activeAudit, setActiveAudit] = useState(getActivePhysicalAudit);
+
+    const loadAudits = useCallback(() => {
+        getPhysicalAudits()
+            .then(setAudits)
+            .catch(e => setError(`Falha ao carregar as auditorias: ${e.message}`));
+    }, []);
+
+    useEffect(() => {
+        loadAudits();
+        getEquipmentFilterOptions()
+            .then(options => setLocals(options.local || []))
+            .catch(e => console.error("Failed to load locals", e));
+    }, [loadAudits]);
+
+    const openReport = async (auditId: number) => {
+        try {
+            setReport(await getPhysicalAuditReport(auditId));
+            setReportTab('missing');
+        } catch (e: any) {
+            setError(e.message);
+        }
+    };
+
+    const handleStart = async (e: React.FormEvent) => {
+        e.preventDefault();
+        setIsStarting(true);
+        setFieldErrors({});
+        setError('');
+        try {
+            const audit = await startPhysicalAudit({ name: form.name, local: form.local || undefined });
+            setActivePhysicalAudit(audit);
+            setActiveAudit(getActivePhysicalAudit());
+            setForm({ name: '', local: '' });
+            loadAudits();
+            openReport(audit.id);
+        } catch (e: any) {
+            setFieldErrors(e instanceof ApiError && e.fieldErrors ? e.fieldErrors : {});
+            setError(e.message);
+        } finally {
+            setIsStarting(false);
+        }
+    };
+
+    const handleFinish = async (audit: PhysicalAudit) => {
+        if (!window.confirm(`Encerrar a auditoria "${audit.name}"? Não será mais possível registrar leituras.`)) return;
+        try {
+            setReport(await finishPhysicalAudit(audit.id));
+            if (activeAudit?.id === audit.id) {
+                clearActivePhysicalAudit();
+                setActiveAudit(null);
+            }
+            loadAudits();
+        } catch (e: any) {
+            setError(e.message);
+        }
+    };
+
+    const handleUseOnDevice = (audit: PhysicalAudit) => {
+        setActivePhysicalAudit(audit);
+        setActiveAudit(getActivePhysicalAudit());
+    };
+
+    const handleLeaveOnDevice = () => {
+        clearActivePhysicalAudit();
+        setActiveAudit(null);
+    };
+
+    const outOfScope = report ? report.scanned.filter(item => !item.inScope) : [];
+
+    return (
+        <div className="bg-white dark:bg-dark-card p-4 sm:p-6 rounded-lg shadow-md space-y-6">
+            <div>
+                <h2 className="text-2xl font-bold text-brand-dark dark:text-dark-text-primary">Auditoria Física</h2>
+                <p className="text-sm text-gray-600 dark:text-dark-text-secondary mt-1">
+                    Inicie uma auditoria e leia as etiquetas com a câmera do celular: cada equipamento lido é registrado como encontrado.
+                    Ao final, o relatório lista os equipamentos esperados que não foram localizados.
+                </p>
+            </div>
+
+            {activeAudit && (
+                <div className="bg-indigo-50 dark:bg-indigo-900/30 border-l-4 border-indigo-500 p-3 rounded text-sm flex flex-wrap justify-between items-center gap-2">
+                    <span className="flex items-center gap-2"><Icon name="ClipboardCheck" size={18} /> Auditoria ativa neste dispositivo: <strong>{activeAudit.name}</strong></span>
+                    <button onClick={handleLeaveOnDevice} className="text-indigo-700 dark:text-indigo-300 underline text-xs">Desativar neste dispositivo</button>
+                </div>
+            )}
+
+            {error && <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-3 text-sm" role="alert">{error}</div>}
+
+            <form onSubmit={handleStart} className="p-4 bg-gray-50 dark:bg-dark-bg rounded-lg border dark:border-dark-border grid grid-cols-1 md:grid-cols-3 gap-3 items-start">
+                <div>
+                    <input
+                        type="text"
+                        placeholder="Nome da auditoria (ex.: Inventário 2º semestre - Matriz)"
+                        value={form.name}
+                        onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                        className={`${inputClass} w-full`}
+                        required
+                    />
+                    <FieldError errors={fieldErrors} name="name" />
+                </div>
+                <div>
+                    <select value={form.local} onChange={(e) => setForm(prev => ({ ...prev, local: e.target.value }))} className={`${inputClass} w-full`}>
+                        <option value="">Todos os locais</option>
+                        {locals.map(local => <option key={local} value={local}>{local}</option>)}
+                    </select>
+                    <FieldError errors={fieldErrors} name="local" />
+                </div>
+                <button type="submit" disabled={isStarting} className="bg-brand-primary text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:bg-gray-400 flex items-center justify-center gap-2">
+                    {isStarting ? <Icon name="LoaderCircle" className="animate-spin" size={18} /> : <Icon name="Play" size={18} />} Iniciar Auditoria
+                </button>
+            </form>
+
+            <div className="overflow-x-auto border dark:border-dark-border rounded-lg">
+                <table className="w-full text-sm text-left text-gray-700 dark:text-dark-text-secondary">
+                    <thead className="text-xs text-gray-800 dark:text-dark-text-primary uppercase bg-gray-100 dark:bg-gray-900/50">
+                        <tr>
+                            <th className="px-4 py-2">Auditoria</th>
+                            <th className="px-4 py-2">Local</th>
+                            <th className="px-4 py-2">Início</th>
+                            <th className="px-4 py-2">Encontrados</th>
+                            <th className="px-4 py-2">Situação</th>
+                            <th className="px-4 py-2 text-right">Ações</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {audits.map(audit => (
+                            <tr key={audit.id} className="border-b dark:border-dark-border last:border-0">
+                                <td className="px-4 py-2 font-medium text-gray-900 dark:text-dark-text-primary">{audit.name}</td>
+                                <td className="px-4 py-2">{audit.local || 'Todos'}</td>
+                                <td className="px-4 py-2 whitespace-nowrap">
+                                    {new Date(audit.started_at).toLocaleString('pt-BR')}
+                                    <span className="block text-xs text-gray-500">por {audit.started_by}</span>
+                                </td>
+                                <td className="px-4 py-2">{audit.scannedCount ?? 0}</td>
+                                <td className="px-4 py-2">
+                                    {audit.finished_at ? (
+                                        <span className="px-2 py-1 rounded-full text-xs font-semibold bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300">Encerrada</span>
+                                    ) : (
+                                        <span className="px-2 py-1 rounded-full text-xs font-semibold bg-green-100 text-green-800 dark:bg-green-900/50 dark:text-green-200">Em andamento</span>
+                                    )}
+                                </td>
+                                <td className="px-4 py-2">
+                                    <div className="flex justify-end gap-3 text-xs">
+                                        <button onClick={() => openReport(audit.id)} className="text-brand-primary hover:underline flex items-center gap-1"><Icon name="FileBarChart" size={14} /> Relatório</button>
+                                        {!audit.finished_at && activeAudit?.id !== audit.id && (
+                                            <button onClick={() => handleUseOnDevice(audit)} className="text-indigo-600 dark:text-indigo-300 hover:underline flex items-center gap-1"><Icon name="Smartphone" size={14} /> Usar neste dispositivo</button>
+                                        )}
+                                        {!audit.finished_at && (
+                                            <button onClick={() => handleFinish(audit)} className="text-red-600 hover:underline flex items-center gap-1"><Icon name="Square" size={14} /> Encerrar</button>
+                                        )}
+                                    </div>
+                                </td>
+                            </tr>
+                        ))}
+                        {audits.length === 0 && (
+                            <tr><td colSpan={6} className="px-4 py-6 text-center text-gray-500">Nenhuma auditoria física registrada.</td></tr>
+                        )}
+                    </tbody>
+                </table>
+            </div>
+
+            {report && (
+                <div className="border dark:border-dark-border rounded-lg p-4 space-y-4">
+                    <div className="flex justify-between items-start gap-2">
+                        <h3 className="text-lg font-bold text-brand-secondary dark:text-dark-text-primary">Relatório: {report.audit.name}</h3>
+                        <button onClick={() => setReport(null)} className="text-gray-500 hover:text-gray-800 dark:hover:text-white"><Icon name="X" size={20} /></button>
+                    </div>
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-center">
+                        <div className="p-3 rounded bg-gray-50 dark:bg-dark-bg"><p className="text-2xl font-bold">{report.expectedCount}</p><p className="text-xs text-gray-500">Esperados</p></div>
+                        <div className="p-3 rounded bg-green-50 dark:bg-green-900/20"><p className="text-2xl font-bold text-green-700 dark:text-green-300">{report.scanned.length - outOfScope.length}</p><p className="text-xs text-gray-500">Encontrados</p></div>
+                        <div className="p-3 rounded bg-red-50 dark:bg-red-900/20"><p className="text-2xl font-bold text-red-700 dark:text-red-300">{report.missing.length}</p><p className="text-xs text-gray-500">Não encontrados</p></div>
+                        <div className="p-3 rounded bg-yellow-50 dark:bg-yellow-900/20"><p className="text-2xl font-bold text-yellow-700 dark:text-yellow-300">{outOfScope.length}</p><p className="text-xs text-gray-500">Fora do escopo</p></div>
+                    </div>
+
+                    <div className="flex border-b dark:border-dark-border">
+                        {(['missing', 'scanned'] as const).map(tab => (
+                            <button
+                                key={tab}
+                                onClick={() => setReportTab(tab)}
+                                className={`px-4 py-2 text-sm font-medium ${reportTab === tab ? 'border-b-2 border-brand-primary text-brand-primary' : 'text-gray-500 hover:text-gray-700 dark:text-gray-400'}`}
+                            >
+                                {tab === 'missing' ? `Não encontrados (${report.missing.length})` : `Lidos (${report.scanned.length})`}
+                            </button>
+                        ))}
+                    </div>
+
+                    <div className="overflow-x-auto max-h-96">
+                        <table className="w-full text-sm text-left text-gray-700 dark:text-dark-text-secondary">
+                            <thead className="text-xs text-gray-800 dark:text-dark-text-primary uppercase bg-gray-100 dark:bg-gray-900/50 sticky top-0">
+                                <tr>
+                                    <th className="px-4 py-2">Equipamento</th>
+                                    <th className="px-4 py-2">Patrimônio</th>
+                                    <th className="px-4 py-2">Serial</th>
+                                    <th className="px-4 py-2">Local</th>
+                                    <th className="px-4 py-2">{reportTab === 'missing' ? 'Usuário Atual' : 'Lido em'}</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {reportTab === 'missing' ? report.missing.map(item => (
+                                    <tr key={item.id} className="border-b dark:border-dark-border last:border-0">
+                                        <td className="px-4 py-2">{item.equipamento}</td>
+                                        <td className="px-4 py-2">{item.patrimonio || '-'}</td>
+                                        <td className="px-4 py-2 font-mono text-xs">{item.serial}</td>
+                                        <td className="px-4 py-2">{item.local || '-'}</td>
+                                        <td className="px-4 py-2">{item.usuarioAtual || '-'}</td>
+                                    </tr>
+                                )) : report.scanned.map(item => (
+                                    <tr key={item.equipment_id} className="border-b dark:border-dark-border last:border-0">
+                                        <td className="px-4 py-2">
+                                            {item.equipamento}
+                                            {!item.inScope && <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-yellow-100 text-yellow-800 dark:bg-yellow-900/50 dark:text-yellow-200">fora do escopo</span>}
+                                        </td>
+                                        <td className="px-4 py-2">{item.patrimonio || '-'}</td>
+                                        <td className="px-4 py-2 font-mono text-xs">{item.serial}</td>
+                                        <td className="px-4 py-2">{item.local || '-'}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap">{new Date(item.scanned_at).toLocaleString('pt-BR')} por {item.scanned_by}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default PhysicalAuditManager;
@@ -4,7 +4,9 @@ import React, { useState, useRef, useEffect } from 'react';
 import { QRCodeCanvas as QRCode } from 'qrcode.react';
 import { User } from '../types';
 import Icon from './common/Icon';
-import { generate2FASecret, enable2FA, disable2FA, updateUserProfile } from '../services/apiService';
+import { generate2FASecret, enable2FA, disable2FA, updateUserProfile, changePassword, ApiError } from '../services/apiService';
+import FieldError from './common/FieldError';
+import PasswordRequirements from './PasswordRequirements';
 
 interface ProfileModalProps {
     user: User;
@@ -27,6 +29,15 @@ const ProfileModal: React.FC<ProfileModalProps> = ({ user, onClose, onSave }) =>
     const [error2FA, setError2FA] = useState('');
     const [loading2FA, setLoading2FA] = useState(false);
 
+    // Troca de senha
+    const [isChangingPassword, setIsChangingPassword] = useState(false);
+    const [currentPassword, setCurrentPassword] = useState('');
+    const [newPassword, setNewPassword] = useState('');
+    const [confirmPassword, setConfirmPassword] = useState('');
+    const [passwordErrors, setPasswordErrors] = useState<Record<string, string>>({});
+    const [passwordMessage, setPasswordMessage] = useState('');
+    const [savingPassword, setSavingPassword] = useState(false);
+
     useEffect(() => {
         // Atualiza o estado interno se o usuário mudar (após salvar, por exemplo)
         setIs2FAEnabled(user.is2FAEnabled);
@@ -116,6 +127,33 @@ const ProfileModal: React.FC<ProfileModalProps> = ({ user, onClose, onSave }) =>
         }
     };
 
+    const resetPasswordForm = () => {
+        setIsChangingPassword(false);
+        setCurrentPassword('');
+        setNewPassword('');
+        setConfirmPassword('');
+        setPasswordErrors({});
+    };
+
+    const handleChangePassword = async () => {
+        setPasswordErrors({});
+        setPasswordMessage('');
+        if (newPassword !== confirmPassword) {
+            setPasswordErrors({ confirmPassword: 'As senhas não conferem.' });
+            return;
+        }
+        setSavingPassword(true);
+        try {
+            await changePassword(currentPassword, newPassword);
+            resetPasswordForm();
+            setPasswordMessage('Senha alterada com sucesso.');
+        } catch (err: any) {
+            setPasswordErrors(err instanceof ApiError && err.fieldErrors ? err.fieldErrors : { newPassword: err.message || 'Falha ao alterar a senha.' });
+        } finally {
+            setSavingPassword(false);
+        }
+    };
+
     return (
         <div role="dialog" aria-modal="true" className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-50 p-4">
             <div className="bg-white dark:bg-dark-card rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] flex flex-col">
@@ -223,6 +261,40 @@ const ProfileModal: React.FC<ProfileModalProps> = ({ user, onClose, onSave }) =>
                                         {loading2FA ? 'Gerando...' : 'Habilitar 2FA'}
                                     </button>
                                 )}
+
+                                <div className="mt-6 pt-4 border-t dark:border-dark-border">
+                                    {passwordMessage && <p className="text-green-600 dark:text-green-400 text-sm mb-3">{passwordMessage}</p>}
+                                    {isChangingPassword ? (
+                                        <div className="space-y-3 max-w-sm">
+                                            <div>
+                                                <label className="block text-sm font-medium text-gray-700 dark:text-dark-text-secondary">Senha atual</label>
+                                                <input type="password" value={currentPassword} onChange={(e) => setCurrentPassword(e.target.value)} className="mt-1 block w-full p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800" />
+                                                <FieldError errors={passwordErrors} name="currentPassword" />
+                                            </div>
+                                            <div>
+                                                <label className="block text-sm font-medium text-gray-700 dark:text-dark-text-secondary">Nova senha</label>
+                                                <input type="password" value={newPassword} onChange={(e) => setNewPassword(e.target.value)} className="mt-1 block w-full p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800" />
+                                                <FieldError errors={passwordErrors} name="newPassword" />
+                                            </div>
+                                            <div>
+                                                <label className="block text-sm font-medium text-gray-700 dark:text-dark-text-secondary">Confirme a nova senha</label>
+                                                <input type="password" value={confirmPassword} onChange={(e) => setConfirmPassword(e.target.value)} className="mt-1 block w-full p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800" />
+                                                <FieldError errors={passwordErrors} name="confirmPassword" />
+                                            </div>
+                                            <PasswordRequirements password={newPassword} />
+                                            <div className="flex gap-2">
+                                                <button onClick={handleChangePassword} disabled={savingPassword} className="bg-brand-primary text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:bg-gray-400">
+                                                    {savingPassword ? 'Salvando...' : 'Salvar nova senha'}
+                                                </button>
+                                                <button onClick={resetPasswordForm} className="bg-gray-300 dark:bg-gray-600 text-gray-800 dark:text-white px-4 py-2 rounded-lg">Cancelar</button>
+                                            </div>
+                                        </div>
+                                    ) : (
+                                        <button onClick={() => { setPasswordMessage(''); setIsChangingPassword(true); }} className="flex items-center gap-2 text-brand-primary hover:underline">
+                                            <Icon name="KeyRound" size={16} /> Alterar senha
+                                        </button>
+                                    )}
+                                </div>
                             </>
                         )}
                     </div>
@@ -1,11 +1,19 @@
 
 import React, { useState, useEffect, useCallback } from 'react';
-import { User, UserRole, AppSettings, License } from '../types';
+import { User, UserRole, AppSettings, License, SsoServiceProvider } from '../types';
 import Icon from './common/Icon';
-import { getSettings, saveSettings, checkApiStatus, checkDatabaseBackupStatus, backupDatabase, restoreDatabase, clearDatabase, getLicenseTotals, getLicenses } from '../services/apiService';
+import { getSettings, saveSettings, checkApiStatus, getLicenseTotals, getLicenses, getSsoServiceProvider, ApiError } from '../services/apiService';
 import DataConsolidation from './DataConsolidation';
 import LicenseImport from './LicenseImport'; // Novo import
 import PeriodicUpdate from './PeriodicUpdate';
+import BackupManager from './BackupManager';
+import PasswordPolicySettings from './PasswordPolicySettings';
+import ApiKeyManager from './ApiKeyManager';
+import WebhookManager from './WebhookManager';
+import { TERMO_COMPUTED_PLACEHOLDERS, TERMO_FIELD_PLACEHOLDERS, validateTermoTemplate } from './common/termoPlaceholders';
+
+// Mesmo limite do servidor (validateTermoSettings em inventario-api/termos.js)
+const MAX_LOGO_BYTES = 500 * 1024;
 
 interface SettingsProps {
     currentUser: User;
@@ -119,10 +127,9 @@ const Settings: React.FC<SettingsProps> = ({ currentUser }) => {
     const [isLoading, setIsLoading] = useState(true);
     const [isSaving, setIsSaving] = useState(false);
     const [isCheckingGeminiKey, setIsCheckingGeminiKey] = useState(false);
-    const [backupStatus, setBackupStatus] = useState<{ hasBackup: boolean; backupTimestamp?: string } | null>(null);
-    const [isDatabaseActionLoading, setIsDatabaseActionLoading] = useState(false);
-    const [activeSettingsTab, setActiveSettingsTab] = useState<'general' | 'security' | 'database' | 'integration' | 'import' | 'termo'>('general');
+    const [activeSettingsTab, setActiveSettingsTab] = useState<'general' | 'security' | 'database' | 'integration' | 'import' | 'termo' | 'api'>('general');
     const [productNames, setProductNames] = useState<string[]>([]);
+    const [serviceProvider, setServiceProvider] = useState<SsoServiceProvider | null>(null);
 
 
     const checkGeminiApiKeyStatus = async () => {
@@ -155,7 +162,7 @@ const Settings: React.FC<SettingsProps> = ({ currentUser }) => {
                 const [data, totals, licenses] = await Promise.all([
                     getSettings(),
                     getLicenseTotals(),
-                    getLicenses(currentUser)
+                    getLicenses()
                 ]);
 
                 setSettings({
@@ -173,18 +180,12 @@ const Settings: React.FC<SettingsProps> = ({ currentUser }) => {
                 const allProductNames = [...new Set([...productNamesFromTotals, ...productNamesFromLicenses])].sort();
                 setProductNames(allProductNames);
 
-                // Fetch backup status separately to avoid blocking the UI if it fails
-                try {
-                    const dbBackupStatus = await checkDatabaseBackupStatus(currentUser.username);
-                    setBackupStatus(dbBackupStatus);
-                } catch (backupError) {
-                    console.warn("Failed to check backup status:", backupError);
-                    setBackupStatus({ hasBackup: false });
-                }
-
             } catch (error) {
                 console.error("Failed to load settings data:", error);
             }
+            getSsoServiceProvider()
+                .then(setServiceProvider)
+                .catch(error => console.error("Failed to load SSO service provider data:", error));
         }
 
         await checkGeminiApiKeyStatus();
@@ -209,8 +210,33 @@ const Settings: React.FC<SettingsProps> = ({ currentUser }) => {
         setSettings(prev => ({ ...prev, [name]: value }));
     };
     
+    const entregaTemplateError = validateTermoTemplate(termoEntregaTemplate);
+    const devolucaoTemplateError = validateTermoTemplate(termoDevolucaoTemplate);
+
+    const handleLogoUpload = (event: React.ChangeEvent<HTMLInputElement>) => {
+        const file = event.target.files?.[0];
+        event.target.value = '';
+        if (!file) return;
+        if (!['image/png', 'image/jpeg'].includes(file.type)) {
+            alert('O logotipo deve ser uma imagem PNG ou JPEG.');
+            return;
+        }
+        if (file.size > MAX_LOGO_BYTES) {
+            alert('O logotipo deve ter no máximo 500 KB.');
+            return;
+        }
+        const reader = new FileReader();
+        reader.onload = (e) => setSettings(prev => ({ ...prev, companyLogo: e.target?.result as string }));
+        reader.readAsDataURL(file);
+    };
+
     const handleSaveSettings = async (e: React.FormEvent) => {
         e.preventDefault();
+        if (entregaTemplateError || devolucaoTemplateError) {
+            setActiveSettingsTab('termo');
+            alert('Corrija os placeholders dos modelos de termo antes de salvar.');
+            return;
+        }
         setIsSaving(true);
         try {
             const finalSettings = {
@@ -221,7 +247,8 @@ const Settings: React.FC<SettingsProps> = ({ currentUser }) => {
             await saveSettings(finalSettings as AppSettings, currentUser.username);
             alert("Configurações salvas com sucesso!");
         } catch (error: any) {
-            alert(`Falha ao salvar configurações: ${error.message}`);
+            const details = error instanceof ApiError && error.fieldErrors ? `\n${Object.values(error.fieldErrors).join('\n')}` : '';
+            alert(`Falha ao salvar configurações: ${error.message}${details}`);
         } finally {
             setIsSaving(false);
         }
@@ -241,65 +268,6 @@ const Settings: React.FC<SettingsProps> = ({ currentUser }) => {
         }
     };
 
-    const handleBackupDatabase = async () => {
-        if (!window.confirm("Confirmar a criação de um backup do banco de dados?")) return;
-        setIsDatabaseActionLoading(true);
-        try {
-            const result = await backupDatabase(currentUser.username);
-            if (result.success) {
-                alert(result.message);
-                await fetchAllData(); // Refresh status
-            } else {
-                alert(`Falha ao fazer backup: ${result.message}`);
-            }
-        } catch (error: any) {
-            alert(`Erro ao fazer backup: ${error.message}`);
-        } finally {
-            setIsDatabaseActionLoading(false);
-        }
-    };
-
-    const handleRestoreDatabase = async () => {
-        if (!window.confirm("ATENÇÃO: Restaurar o banco de dados substituirá TODOS os dados atuais com o backup mais recente. Esta ação é irreversível. Deseja continuar?")) return;
-        setIsDatabaseActionLoading(true);
-        try {
-            const result = await restoreDatabase(currentUser.username);
-            if (result.success) {
-                alert(result.message + " A aplicação será recarregada para refletir as mudanças.");
-                window.location.reload();
-            } else {
-                alert(`Falha ao restaurar: ${result.message}`);
-            }
-        } catch (error: any) {
-            alert(`Erro ao restaurar: ${error.message}`);
-        } finally {
-            setIsDatabaseActionLoading(false);
-        }
-    };
-
-    const handleClearDatabase = async () => {
-        if (!backupStatus?.hasBackup) {
-            alert("Não é possível zerar o banco de dados sem um backup prévio. Por favor, faça um backup primeiro.");
-            return;
-        }
-        if (!window.confirm("AVISO CRÍTICO: Zerar o banco de dados APAGARÁ TODOS os dados e configurações (exceto o usuário admin padrão) e reinstalará o sistema. Esta ação é IRREVERSÍVEL e SÓ DEVE SER FEITA após confirmar que um backup válido foi realizado e está disponível. Deseja realmente continuar?")) return;
-        
-        setIsDatabaseActionLoading(true);
-        try {
-            const result = await clearDatabase(currentUser.username);
-            if (result.success) {
-                alert(result.message + " A aplicação será recarregada.");
-                window.location.reload();
-            } else {
-                alert(`Falha ao zerar o banco: ${result.message}`);
-            }
-        } catch (error: any) {
-            alert(`Erro ao zerar o banco: ${error.message}`);
-        } finally {
-            setIsDatabaseActionLoading(false);
-        }
-    };
-
     const handleMetadataUpload = (event: React.ChangeEvent<HTMLInputElement>) => {
         const file = event.target.files?.[0];
         if (!file) return;
@@ -344,8 +312,9 @@ const Settings: React.FC<SettingsProps> = ({ currentUser }) => {
         }
     };
 
-    const acsUrl = `http://${window.location.hostname}:3001/api/sso/callback`;
-    const entityId = window.location.origin;
+    // Calculados pela API: são os valores que ela confere nas respostas do provedor de identidade
+    const acsUrl = serviceProvider?.acsUrl || '';
+    const entityId = serviceProvider?.entityId || '';
 
     const settingsTabs = [
         { id: 'general', label: 'Geral', icon: 'Settings' },
@@ -354,6 +323,7 @@ const Settings: React.FC<SettingsProps> = ({ currentUser }) => {
         { id: 'integration', label: 'Integração Gemini', icon: 'Bot' },
         { id: 'database', label: 'Banco de Dados', icon: 'HardDrive', adminOnly: true },
         { id: 'import', label: 'Importações', icon: 'CloudUpload', adminOnly: true },
+        { id: 'api', label: 'API e Webhooks', icon: 'Webhook', adminOnly: true },
     ];
 
     if (isLoading) {
@@ -395,6 +365,60 @@ const Settings: React.FC<SettingsProps> = ({ currentUser }) => {
     
                     {activeSettingsTab === 'general' && (
                         <div className="space-y-8">
+                            <div className="p-6 bg-gray-50 dark:bg-dark-bg rounded-lg border dark:border-dark-border">
+                                <h3 className="text-lg font-bold text-brand-secondary dark:text-dark-text-primary mb-4 flex items-center gap-2">
+                                    <Icon name="Building2" size={20} />
+                                    Identidade da Empresa
+                                </h3>
+                                <p className="text-sm text-gray-600 dark:text-dark-text-secondary mb-4">
+                                    O nome e o logotipo aparecem no cabeçalho dos termos de responsabilidade em PDF.
+                                </p>
+                                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                                    <div>
+                                        <label htmlFor="companyName" className="block text-sm font-medium text-gray-700 dark:text-dark-text-secondary mb-1">Nome da Empresa</label>
+                                        <input
+                                            type="text"
+                                            id="companyName"
+                                            name="companyName"
+                                            value={settings.companyName || ''}
+                                            onChange={handleInputChange}
+                                            className="p-2 w-full border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-800 dark:text-dark-text-primary"
+                                        />
+                                    </div>
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 dark:text-dark-text-secondary mb-1">Logotipo (PNG ou JPEG, até 500 KB)</label>
+                                        <div className="flex items-center gap-4">
+                                            {settings.companyLogo ? (
+                                                <img src={settings.companyLogo} alt="Logotipo da empresa" className="h-12 max-w-[120px] object-contain bg-white rounded border dark:border-dark-border p-1" />
+                                            ) : (
+                                                <span className="text-sm text-gray-500 dark:text-dark-text-secondary">Nenhum logotipo</span>
+                                            )}
+                                            <label className="cursor-pointer text-sm text-brand-primary hover:underline flex items-center gap-1">
+                                                <Icon name="Upload" size={16} /> Enviar
+                                                <input type="file" accept="image/png,image/jpeg" onChange={handleLogoUpload} className="hidden" />
+                                            </label>
+                                            {settings.companyLogo && (
+                                                <button type="button" onClick={() => setSettings(prev => ({ ...prev, companyLogo: '' }))} className="text-sm text-red-600 hover:underline">Remover</button>
+                                            )}
+                                        </div>
+                                    </div>
+                                    <div className="md:col-span-2">
+                                        <label htmlFor="assetBaseUrl" className="block text-sm font-medium text-gray-700 dark:text-dark-text-secondary mb-1">Endereço do Sistema (QR codes e links de recuperação de senha)</label>
+                                        <input
+                                            type="url"
+                                            id="assetBaseUrl"
+                                            name="assetBaseUrl"
+                                            value={settings.assetBaseUrl || ''}
+                                            onChange={handleInputChange}
+                                            placeholder="https://inventario.suaempresa.com.br"
+                                            className="p-2 w-full border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-800 dark:text-dark-text-primary"
+                                        />
+                                        <p className="text-xs text-gray-500 dark:text-dark-text-secondary mt-1">
+                                            Endereço acessível pelos celulares, gravado nos QR codes e usado nos links de recuperação de senha. Se vazio, vale a variável APP_BASE_URL da API; sem nenhum dos dois, os QR codes e a recuperação de senha ficam indisponíveis.
+                                        </p>
+                                    </div>
+                                </div>
+                            </div>
                             <div className="p-6 bg-gray-50 dark:bg-dark-bg rounded-lg border dark:border-dark-border">
                                 <h3 className="text-lg font-bold text-brand-secondary dark:text-dark-text-primary mb-4 flex items-center gap-2">
                                     <Icon name="KeyRound" size={20} />
@@ -444,6 +468,12 @@ const Settings: React.FC<SettingsProps> = ({ currentUser }) => {
                                                         </button>
                                                     </div>
                                                 </div>
+                                                {serviceProvider && (
+                                                    <p className="text-sm">
+                                                        Se o provedor aceitar metadados, use o endereço{' '}
+                                                        <a href={serviceProvider.metadataUrl} target="_blank" rel="noopener noreferrer" className="font-mono text-xs underline break-all">{serviceProvider.metadataUrl}</a>.
+                                                    </p>
+                                                )}
                                             </div>
                                         </div>
     
@@ -494,6 +524,32 @@ const Settings: React.FC<SettingsProps> = ({ currentUser }) => {
                                                 </div>
                                             </div>
                                         </div>
+
+                                        <div>
+                                            <h4 className="font-semibold text-gray-800 dark:text-dark-text-primary">Papéis dos Usuários</h4>
+                                            <p className="text-sm text-gray-500 dark:text-dark-text-secondary mt-1 mb-3">
+                                                Usuários que entram pela primeira vez via SSO são criados automaticamente. O papel vem do atributo abaixo e é atualizado a cada login dos usuários criados pelo SSO.
+                                            </p>
+                                            <div className="space-y-4">
+                                                <div>
+                                                    <label className="block text-sm font-medium text-gray-700 dark:text-dark-text-secondary mb-1">Atributo do papel</label>
+                                                    <input type="text" name="ssoRoleAttribute" value={settings.ssoRoleAttribute || ''} onChange={handleInputChange} className="p-2 w-full border dark:border-dark-border rounded-md bg-white dark:bg-gray-800" placeholder="groups" />
+                                                </div>
+                                                <div>
+                                                    <label className="block text-sm font-medium text-gray-700 dark:text-dark-text-secondary mb-1">Mapeamento de valores</label>
+                                                    <textarea name="ssoRoleMapping" rows={4} value={settings.ssoRoleMapping || ''} onChange={handleInputChange} className="p-2 w-full border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 font-mono text-xs" placeholder={'TI-Administradores = Admin\nTI-Gestores = User Manager'} />
+                                                    <p className="text-xs text-gray-500 dark:text-dark-text-secondary mt-1">
+                                                        Um mapeamento "valor = papel" por linha. Valores iguais ao nome de um papel (Admin, User Manager, User) também são aceitos; se houver mais de um, vale o de maior permissão.
+                                                    </p>
+                                                </div>
+                                                <div>
+                                                    <label className="block text-sm font-medium text-gray-700 dark:text-dark-text-secondary mb-1">Papel padrão de novos usuários</label>
+                                                    <select name="ssoDefaultRole" value={settings.ssoDefaultRole || UserRole.User} onChange={(e) => setSettings(prev => ({ ...prev, ssoDefaultRole: e.target.value as UserRole }))} className="p-2 w-full border dark:border-dark-border rounded-md bg-white dark:bg-gray-800">
+                                                        {Object.values(UserRole).map(role => <option key={role} value={role}>{role}</option>)}
+                                                    </select>
+                                                </div>
+                                            </div>
+                                        </div>
                                     </div>
                                 )}
                             </div>
@@ -528,6 +584,7 @@ const Settings: React.FC<SettingsProps> = ({ currentUser }) => {
                                     />
                                 </div>
                             </div>
+                            {currentUser.role === UserRole.Admin && <PasswordPolicySettings />}
                         </div>
                     )}
 
@@ -544,8 +601,15 @@ const Settings: React.FC<SettingsProps> = ({ currentUser }) => {
                                 <div className="p-3 bg-blue-50 dark:bg-blue-900/20 border-l-4 border-blue-400 text-blue-800 dark:text-blue-200 text-sm mb-6">
                                     <p className="font-semibold">Placeholders disponíveis:</p>
                                     <div className="flex flex-wrap gap-x-4 gap-y-1 mt-2">
-                                        <code>{`{{USUARIO}}`}</code><code>{`{{EQUIPAMENTO}}`}</code><code>{`{{SERIAL}}`}</code><code>{`{{PATRIMONIO}}`}</code>
-                                        <code>{`{{EMPRESA}}`}</code><code>{`{{DATA}}`}</code><code>{`{{DATA_ENTREGA}}`}</code><code>{`{{DATA_DEVOLUCAO}}`}</code>
+                                        {Object.entries(TERMO_COMPUTED_PLACEHOLDERS).map(([key, label]) => (
+                                            <code key={key} title={label}>{`{{${key}}}`}</code>
+                                        ))}
+                                    </div>
+                                    <p className="font-semibold mt-3">Campos do equipamento:</p>
+                                    <div className="flex flex-wrap gap-x-4 gap-y-1 mt-2">
+                                        {Object.entries(TERMO_FIELD_PLACEHOLDERS).map(([field, label]) => (
+                                            <code key={field} title={label}>{`{{${field}}}`}</code>
+                                        ))}
                                     </div>
                                 </div>
                     
@@ -556,9 +620,10 @@ const Settings: React.FC<SettingsProps> = ({ currentUser }) => {
                                         value={termoEntregaTemplate}
                                         onChange={(e) => setTermoEntregaTemplate(e.target.value)}
                                         rows={15}
-                                        className="w-full p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 font-mono text-xs"
+                                        className={`w-full p-2 border rounded-md bg-white dark:bg-gray-800 font-mono text-xs ${entregaTemplateError ? 'border-red-500' : 'dark:border-dark-border'}`}
                                         placeholder="Insira o texto do termo de entrega aqui..."
                                     />
+                                    {entregaTemplateError && <p className="text-xs text-red-500 mt-1">{entregaTemplateError}</p>}
                                     <button type="button" onClick={() => setTermoEntregaTemplate(DEFAULT_ENTREGA_TEMPLATE)} className="text-xs text-blue-600 hover:underline mt-2">Restaurar Padrão</button>
                                 </div>
                     
@@ -569,9 +634,10 @@ const Settings: React.FC<SettingsProps> = ({ currentUser }) => {
                                         value={termoDevolucaoTemplate}
                                         onChange={(e) => setTermoDevolucaoTemplate(e.target.value)}
                                         rows={15}
-                                        className="w-full p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 font-mono text-xs"
+                                        className={`w-full p-2 border rounded-md bg-white dark:bg-gray-800 font-mono text-xs ${devolucaoTemplateError ? 'border-red-500' : 'dark:border-dark-border'}`}
                                         placeholder="Insira o texto do termo de devolução aqui..."
                                     />
+                                    {devolucaoTemplateError && <p className="text-xs text-red-500 mt-1">{devolucaoTemplateError}</p>}
                                     <button type="button" onClick={() => setTermoDevolucaoTemplate(DEFAULT_DEVOLUCAO_TEMPLATE)} className="text-xs text-blue-600 hover:underline mt-2">Restaurar Padrão</button>
                                 </div>
                             </div>
@@ -579,6 +645,41 @@ const Settings: React.FC<SettingsProps> = ({ currentUser }) => {
                     )}
     
                     {activeSettingsTab === 'integration' && (
+                        <div className="space-y-8">
+                        <div className="p-6 bg-gray-50 dark:bg-dark-bg rounded-lg border dark:border-dark-border">
+                            <h3 className="text-lg font-bold text-brand-secondary dark:text-dark-text-primary mb-4 flex items-center gap-2">
+                                <Icon name="Mail" size={20} />
+                                Servidor de E-mail (SMTP)
+                            </h3>
+                            <p className="text-gray-600 dark:text-dark-text-secondary mb-4 text-sm">
+                                Usado para enviar os alertas de licenças. Para testes, um servidor local como o MailHog funciona apenas com host <code>localhost</code> e porta <code>1025</code>, sem usuário e sem SSL/TLS.
+                            </p>
+                            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 dark:text-dark-text-secondary mb-1">Host SMTP</label>
+                                    <input type="text" name="smtpHost" value={settings.smtpHost || ''} onChange={handleInputChange} className="p-2 w-full border dark:border-dark-border rounded-md bg-white dark:bg-gray-800" placeholder="smtp.empresa.com" />
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 dark:text-dark-text-secondary mb-1">Porta</label>
+                                    <input type="number" name="smtpPort" value={settings.smtpPort || ''} onChange={handleInputChange} className="p-2 w-full border dark:border-dark-border rounded-md bg-white dark:bg-gray-800" placeholder="587" />
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 dark:text-dark-text-secondary mb-1">Usuário</label>
+                                    <input type="text" name="smtpUser" value={settings.smtpUser || ''} onChange={handleInputChange} className="p-2 w-full border dark:border-dark-border rounded-md bg-white dark:bg-gray-800" autoComplete="off" />
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 dark:text-dark-text-secondary mb-1">Senha</label>
+                                    <input type="password" name="smtpPass" value={settings.smtpPass || ''} onChange={handleInputChange} className="p-2 w-full border dark:border-dark-border rounded-md bg-white dark:bg-gray-800" autoComplete="new-password" />
+                                </div>
+                            </div>
+                            <SettingsToggle
+                                label="Usar SSL/TLS"
+                                description="Ative para conexões SMTPS (normalmente porta 465). Na porta 587 o STARTTLS é negociado automaticamente."
+                                name="smtpSecure"
+                                checked={settings.smtpSecure || false}
+                                onChange={handleSettingsChange}
+                            />
+                        </div>
                         <div className="p-6 bg-gray-50 dark:bg-dark-bg rounded-lg border dark:border-dark-border">
                             <h3 className="text-lg font-bold text-brand-secondary dark:text-dark-text-primary mb-4 flex items-center gap-2">
                                 <Icon name="Bot" size={20} />
@@ -630,59 +731,11 @@ const Settings: React.FC<SettingsProps> = ({ currentUser }) => {
                                 Informações sobre faturamento: <a href="ai.google.dev/gemini-api/docs/billing" target="_blank" rel="noopener noreferrer" className="text-brand-primary hover:underline">ai.google.dev/gemini-api/docs/billing</a>
                             </p>
                         </div>
+                        </div>
                     )}
     
                     {activeSettingsTab === 'database' && currentUser.role === UserRole.Admin && (
-                        <div className="p-6 bg-gray-50 dark:bg-dark-bg rounded-lg border dark:border-dark-border">
-                            <h3 className="text-lg font-bold text-brand-secondary dark:text-dark-text-primary mb-4 flex items-center gap-2">
-                                <Icon name="HardDrive" size={20} />
-                                Gerenciamento de Banco de Dados
-                            </h3>
-                            <div className="mb-4 text-sm text-gray-600 dark:text-dark-text-secondary">
-                                <p className="mb-2">Gerencie o banco de dados da aplicação. Recomenda-se fazer backup regularmente.</p>
-                                {backupStatus?.hasBackup ? (
-                                    <p className="flex items-center gap-2 text-green-700 dark:text-green-300 font-medium">
-                                        <Icon name="CircleCheck" size={16} /> Último backup: {new Date(backupStatus.backupTimestamp!).toLocaleString()}
-                                    </p>
-                                ) : (
-                                    <p className="flex items-center gap-2 text-red-700 dark:text-red-300 font-medium">
-                                        <Icon name="TriangleAlert" size={16} /> Nenhum backup encontrado.
-                                    </p>
-                                )}
-                            </div>
-                            <div className="flex flex-wrap gap-3">
-                                <button
-                                    type="button"
-                                    onClick={handleBackupDatabase}
-                                    disabled={isDatabaseActionLoading}
-                                    className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:bg-gray-400 flex items-center gap-2 text-sm"
-                                    aria-label="Fazer Backup do Banco de Dados"
-                                >
-                                    {isDatabaseActionLoading ? <Icon name="LoaderCircle" className="animate-spin" size={16} /> : <Icon name="SaveAll" size={16} />}
-                                    Fazer Backup
-                                </button>
-                                <button
-                                    type="button"
-                                    onClick={handleRestoreDatabase}
-                                    disabled={isDatabaseActionLoading || !backupStatus?.hasBackup}
-                                    className="bg-orange-500 text-white px-4 py-2 rounded-lg hover:bg-orange-600 disabled:bg-gray-400 flex items-center gap-2 text-sm"
-                                    aria-label="Restaurar Banco de Dados"
-                                >
-                                    {isDatabaseActionLoading ? <Icon name="LoaderCircle" className="animate-spin" size={16} /> : <Icon name="RotateCw" size={16} />}
-                                    Restaurar Banco
-                                </button>
-                                <button
-                                    type="button"
-                                    onClick={handleClearDatabase}
-                                    disabled={isDatabaseActionLoading || !backupStatus?.hasBackup}
-                                    className="bg-red-600 text-white px-4 py-2 rounded-lg hover:bg-red-700 disabled:bg-gray-400 flex items-center gap-2 text-sm"
-                                    aria-label="Zerar Banco de Dados"
-                                >
-                                    {isDatabaseActionLoading ? <Icon name="LoaderCircle" className="animate-spin" size={16} /> : <Icon name="Eraser" size={16} />}
-                                    Zerar Banco
-                                </button>
-                            </div>
-                        </div>
+                        <BackupManager currentUser={currentUser} />
                     )}
                     
                     {activeSettingsTab === 'import' && currentUser.role === UserRole.Admin && (
@@ -700,7 +753,7 @@ const Settings: React.FC<SettingsProps> = ({ currentUser }) => {
                         </div>
                     )}
 
-                    {['general', 'security', 'termo'].includes(activeSettingsTab) && currentUser.role === UserRole.Admin && (
+                    {['general', 'security', 'integration', 'termo'].includes(activeSettingsTab) && currentUser.role === UserRole.Admin && (
                         <div className="flex justify-end pt-4 border-t dark:border-dark-border">
                             <button type="submit" disabled={isSaving} className="bg-brand-primary text-white px-6 py-2 rounded-lg hover:bg-blue-700 disabled:bg-gray-400 flex items-center gap-2">
                                 <Icon name="Save" size={18} />
@@ -710,6 +763,14 @@ const Settings: React.FC<SettingsProps> = ({ currentUser }) => {
                     )}
                 </div>
             </form>
+
+            {/* Fora do formulário de configurações: as telas têm formulários próprios */}
+            {activeSettingsTab === 'api' && currentUser.role === UserRole.Admin && (
+                <div className="space-y-8">
+                    <ApiKeyManager />
+                    <WebhookManager />
+                </div>
+            )}
         </div>
     );
 };
@@ -15,7 +15,10 @@ interface SidebarProps {
 const pageIcons: { [key in Page]: keyof typeof icons } = {
     'Dashboard': 'LayoutDashboard',
     'Inventário de Equipamentos': 'Computer',
+    'Auditoria Física': 'ClipboardCheck',
+    'Manutenção': 'Wrench',
     'Controle de Licenças': 'ScrollText',
+    'Colaboradores': 'Contact',
     'Usuários e Permissões': 'Users',
     'Configurações': 'Settings',
     'Auditoria': 'History',
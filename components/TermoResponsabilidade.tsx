@@ -1,21 +1,43 @@
 import React, { useState, useEffect, useMemo } from 'react';
-import { Equipment, User } from '../types';
+import { Equipment, User, TermoType, EquipmentTermo } from '../types';
 import Icon from './common/Icon';
-import { getTermoTemplates } from '../services/apiService';
+import { getTermoTemplates, getTermo, signTermo, downloadTermoPdf, sendTermo } from '../services/apiService';
+import { TERMO_FIELD_PLACEHOLDERS, TERMO_PLACEHOLDER_REGEX } from './common/termoPlaceholders';
+import { downloadBlob } from './common/downloadBlob';
 
 interface TermoProps {
     equipment: Equipment;
     user: User;
     onClose: () => void;
     companyName: string;
-    termoType: 'entrega' | 'devolucao';
+    termoType: TermoType;
+    // Termo arquivado num check-out/check-in: exibe o documento gravado em vez de montar a partir do modelo atual
+    archivedTermoId?: number;
+    onSigned?: (termo: EquipmentTermo) => void;
 }
 
-const TermoResponsabilidade: React.FC<TermoProps> = ({ equipment, user, onClose, companyName, termoType }) => {
+const TermoResponsabilidade: React.FC<TermoProps> = ({ equipment, user, onClose, companyName, termoType, archivedTermoId, onSigned }) => {
     const [template, setTemplate] = useState<string | null>(null);
+    const [archivedTermo, setArchivedTermo] = useState<EquipmentTermo | null>(null);
     const [isLoading, setIsLoading] = useState(true);
+    const [isSigning, setIsSigning] = useState(false);
+    const [signError, setSignError] = useState('');
+    const [isSending, setIsSending] = useState(false);
+    const [isDownloading, setIsDownloading] = useState(false);
+    const [sendMessage, setSendMessage] = useState('');
 
     useEffect(() => {
+        if (archivedTermoId) {
+            setIsLoading(true);
+            getTermo(archivedTermoId)
+                .then(setArchivedTermo)
+                .catch(error => {
+                    console.error("Failed to fetch termo", error);
+                    setTemplate("Erro ao carregar o termo arquivado.");
+                })
+                .finally(() => setIsLoading(false));
+            return;
+        }
         const fetchTemplates = async () => {
             setIsLoading(true);
             try {
@@ -33,26 +55,34 @@ const TermoResponsabilidade: React.FC<TermoProps> = ({ equipment, user, onClose,
             }
         };
         fetchTemplates();
-    }, [termoType]);
+    }, [termoType, archivedTermoId]);
 
     const collaboratorName = useMemo(() => {
         return termoType === 'devolucao' ? (equipment.usuarioAnterior || 'Usuário não especificado') : (equipment.usuarioAtual || user.realName);
     }, [termoType, equipment, user]);
 
     const renderedContent = useMemo(() => {
+        if (archivedTermo?.content) return archivedTermo.content;
         if (!template) return '';
         const today = new Date().toLocaleDateString('pt-BR', { day: '2-digit', month: 'long', year: 'numeric' });
-        
-        return template
-            .replace(/{{USUARIO}}/g, collaboratorName)
-            .replace(/{{EQUIPAMENTO}}/g, equipment.equipamento || 'N/A')
-            .replace(/{{SERIAL}}/g, equipment.serial || 'N/A')
-            .replace(/{{PATRIMONIO}}/g, equipment.patrimonio || 'N/A')
-            .replace(/{{EMPRESA}}/g, companyName)
-            .replace(/{{DATA}}/g, today)
-            .replace(/{{DATA_ENTREGA}}/g, equipment.dataEntregaUsuario ? new Date(equipment.dataEntregaUsuario).toLocaleDateString('pt-BR') : 'N/A')
-            .replace(/{{DATA_DEVOLUCAO}}/g, equipment.dataDevolucao ? new Date(equipment.dataDevolucao).toLocaleDateString('pt-BR') : 'N/A');
-    }, [template, equipment, collaboratorName, companyName]);
+        const formatDate = (value?: string | null) => value ? new Date(value).toLocaleDateString('pt-BR') : 'N/A';
+        const values: Record<string, string> = {
+            USUARIO: collaboratorName,
+            EQUIPAMENTO: equipment.equipamento || 'N/A',
+            SERIAL: equipment.serial || 'N/A',
+            PATRIMONIO: equipment.patrimonio || 'N/A',
+            EMPRESA: companyName,
+            DATA: today,
+            DATA_ENTREGA: formatDate(equipment.dataEntregaUsuario),
+            DATA_DEVOLUCAO: formatDate(equipment.dataDevolucao),
+        };
+        Object.keys(TERMO_FIELD_PLACEHOLDERS).forEach(field => {
+            const value = (equipment as any)[field];
+            values[field] = field.startsWith('data') ? formatDate(value) : (value === null || value === undefined || value === '' ? 'N/A' : String(value));
+        });
+
+        return template.replace(TERMO_PLACEHOLDER_REGEX, (placeholder, key) => key in values ? values[key] : placeholder);
+    }, [template, archivedTermo, equipment, collaboratorName, companyName]);
 
     const title = termoType === 'devolucao' ? "Termo de Devolução de Equipamento" : "Termo de Responsabilidade";
 
@@ -63,7 +93,57 @@ const TermoResponsabilidade: React.FC<TermoProps> = ({ equipment, user, onClose,
         bodyElement.innerHTML = renderedContent.replace(/<br\s*\/?>/gi, '\n');
         const textContent = bodyElement.textContent || '';
         
-        window.location.href = `mailto:${equipment.emailColaborador || ''}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(textContent.trim())}`;
+        window.location.href = `mailto:${archivedTermo?.email || equipment.emailColaborador || ''}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(textContent.trim())}`;
+    };
+
+    const handleSign = async () => {
+        if (!archivedTermo) return;
+        setIsSigning(true);
+        setSignError('');
+        try {
+            const signed = await signTermo(archivedTermo.id);
+            setArchivedTermo(signed);
+            onSigned?.(signed);
+        } catch (error: any) {
+            setSignError(error.message || 'Falha ao registrar a assinatura.');
+        } finally {
+            setIsSigning(false);
+        }
+    };
+
+    const handleDownloadPdf = async () => {
+        if (!archivedTermo) return;
+        setIsDownloading(true);
+        setSendMessage('');
+        try {
+            downloadBlob(await downloadTermoPdf(archivedTermo.id), `termo-${archivedTermo.termo_type}-${archivedTermo.id}.pdf`);
+        } catch (error: any) {
+            setSendMessage(`Falha ao gerar o PDF: ${error.message}`);
+        } finally {
+            setIsDownloading(false);
+        }
+    };
+
+    // Envia o PDF pelo SMTP configurado; sem e-mail arquivado, pede o destinatário
+    const handleSendPdf = async () => {
+        if (!archivedTermo) return;
+        let to: string | undefined;
+        if (!archivedTermo.email && !equipment.emailColaborador) {
+            const typed = window.prompt('Nenhum e-mail cadastrado para o colaborador. Informe o destinatário:');
+            if (!typed) return;
+            to = typed.trim();
+        }
+        setIsSending(true);
+        setSendMessage('');
+        try {
+            const updated = await sendTermo(archivedTermo.id, to);
+            setArchivedTermo(prev => prev ? { ...prev, sent_at: updated.sent_at, sent_to: updated.sent_to } : updated);
+            setSendMessage(`PDF enviado para ${updated.sent_to}.`);
+        } catch (error: any) {
+            setSendMessage(error.fieldErrors?.to || error.message || 'Falha ao enviar o termo.');
+        } finally {
+            setIsSending(false);
+        }
     };
 
     return (
@@ -84,10 +164,45 @@ const TermoResponsabilidade: React.FC<TermoProps> = ({ equipment, user, onClose,
                          <div dangerouslySetInnerHTML={{ __html: renderedContent.replace(/\n/g, '<br />') }} />
                     )}
                 </div>
+                {archivedTermo && (
+                    <div className="px-4 py-2 border-t dark:border-dark-border text-sm flex flex-wrap items-center justify-between gap-2 print:hidden">
+                        {archivedTermo.signed_at ? (
+                            <span className="text-green-600 dark:text-green-400 flex items-center gap-1.5">
+                                <Icon name="BadgeCheck" size={16} /> Assinado em {new Date(archivedTermo.signed_at).toLocaleString('pt-BR')} (registrado por {archivedTermo.signed_by})
+                            </span>
+                        ) : (
+                            <span className="text-orange-600 dark:text-orange-400 flex items-center gap-1.5">
+                                <Icon name="Clock" size={16} /> Aguardando assinatura desde {new Date(archivedTermo.created_at).toLocaleString('pt-BR')}
+                            </span>
+                        )}
+                        {archivedTermo.sent_at && (
+                            <span className="text-gray-500 dark:text-dark-text-secondary flex items-center gap-1.5">
+                                <Icon name="Send" size={16} /> PDF enviado para {archivedTermo.sent_to} em {new Date(archivedTermo.sent_at).toLocaleString('pt-BR')}
+                            </span>
+                        )}
+                        {signError && <span className="text-red-500">{signError}</span>}
+                        {sendMessage && <span className="text-gray-700 dark:text-dark-text-primary">{sendMessage}</span>}
+                    </div>
+                )}
                 <div className="p-4 bg-gray-50 dark:bg-dark-card/50 border-t dark:border-dark-border flex justify-end gap-3 print:hidden">
-                    <button onClick={handleEmail} className="bg-teal-600 text-white px-4 py-2 rounded-lg hover:bg-teal-700 flex items-center gap-2">
+                    {archivedTermo && !archivedTermo.signed_at && (
+                        <button onClick={handleSign} disabled={isSigning} className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 disabled:bg-gray-400 flex items-center gap-2">
+                            {isSigning ? <Icon name="LoaderCircle" className="animate-spin" size={16}/> : <Icon name="FileCheck" size={16}/>} Marcar como Assinado
+                        </button>
+                    )}
+                    {archivedTermo && (
+                        <>
+                            <button onClick={handleDownloadPdf} disabled={isDownloading} className="bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 disabled:bg-gray-400 flex items-center gap-2">
+                                {isDownloading ? <Icon name="LoaderCircle" className="animate-spin" size={16}/> : <Icon name="FileDown" size={16}/>} Baixar PDF
+                            </button>
+                            <button onClick={handleSendPdf} disabled={isSending} className="bg-teal-600 text-white px-4 py-2 rounded-lg hover:bg-teal-700 disabled:bg-gray-400 flex items-center gap-2">
+                                {isSending ? <Icon name="LoaderCircle" className="animate-spin" size={16}/> : <Icon name="Send" size={16}/>} Enviar PDF por E-mail
+                            </button>
+                        </>
+                    )}
+                    {!archivedTermo && <button onClick={handleEmail} className="bg-teal-600 text-white px-4 py-2 rounded-lg hover:bg-teal-700 flex items-center gap-2">
                         <Icon name="Mail" size={16}/> Enviar por E-mail
-                    </button>
+                    </button>}
                     <button onClick={() => window.print()} className="bg-sky-600 text-white px-4 py-2 rounded-lg hover:bg-sky-700 flex items-center gap-2">
                         <Icon name="Printer" size={16}/> Imprimir
                     </button>
@@ -2,7 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { QRCodeCanvas as QRCode } from 'qrcode.react';
 import { User } from '../types';
 import Icon from './common/Icon';
-import { generate2FASecret, enable2FA } from '../services/apiService';
+import { generate2FASecret, enable2FA, verify2FA } from '../services/apiService';
 
 interface TwoFactorSetupProps {
   user: User;
@@ -44,7 +44,9 @@ const TwoFactorSetup: React.FC<TwoFactorSetupProps> = ({ user, onSetupSuccess, o
     setError('');
     try {
       await enable2FA(user.id, token);
-      onSetupSuccess(user);
+      // Troca o token provisório do login por uma sessão completa
+      const verifiedUser = await verify2FA(user.id, token);
+      onSetupSuccess(verifiedUser);
     } catch (err: any) {
       setError(err.message || 'Código de verificação inválido. Tente novamente.');
     } finally {
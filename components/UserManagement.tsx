@@ -1,7 +1,9 @@
 import React, { useState, useEffect } from 'react';
 import { User, UserRole } from '../types';
 import Icon from './common/Icon';
-import { getUsers, addUser, updateUser, deleteUser, disableUser2FA } from '../services/apiService';
+import { getUsers, addUser, updateUser, deleteUser, disableUser2FA, ApiError } from '../services/apiService';
+import FieldError from './common/FieldError';
+import PasswordRequirements from './PasswordRequirements';
 import Admin2FASetupModal from './Admin2FASetupModal'; // Novo import
 
 const UserFormModal: React.FC<{
@@ -21,6 +23,8 @@ const UserFormModal: React.FC<{
         is2FAEnabled: false, // Default to false for new users
     });
     const [isSaving, setIsSaving] = useState(false);
+    const [errors, setErrors] = useState<Record<string, string>>({});
+    const [error, setError] = useState('');
 
     useEffect(() => {
         if (user) {
@@ -43,6 +47,8 @@ const UserFormModal: React.FC<{
     const handleSubmit = async (e: React.FormEvent) => {
         e.preventDefault();
         setIsSaving(true);
+        setErrors({});
+        setError('');
         try {
             if (user) {
                 // Update user
@@ -57,8 +63,10 @@ const UserFormModal: React.FC<{
             }
             onSave();
             onClose();
-        } catch (error) {
-            console.error("Failed to save user", error);
+        } catch (err: any) {
+            console.error("Failed to save user", err);
+            setErrors(err instanceof ApiError && err.fieldErrors ? err.fieldErrors : {});
+            setError(err.message || 'Falha ao salvar o usuário.');
         } finally {
             setIsSaving(false);
         }
@@ -85,7 +93,19 @@ const UserFormModal: React.FC<{
                                 ))}
                             </select>
                         </div>
-                        <input type="password" name="password" placeholder={user ? 'Deixe em branco para não alterar' : 'Senha'} value={formData.password} onChange={handleChange} className="sm:col-span-2 p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800" />
+                        <div className="sm:col-span-2">
+                            <input type="password" name="password" placeholder={user ? 'Deixe em branco para não alterar' : 'Senha'} value={formData.password} onChange={handleChange} className="w-full p-2 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800" />
+                            <FieldError errors={errors} name="password" />
+                            {formData.password && (
+                                <div className="mt-2 space-y-2">
+                                    <PasswordRequirements password={formData.password} />
+                                    {user?.id !== currentUser.id && (
+                                        <p className="text-xs text-gray-500 dark:text-dark-text-secondary">Senha temporária: o usuário deverá trocá-la no próximo login.</p>
+                                    )}
+                                </div>
+                            )}
+                        </div>
+                        {error && <p className="sm:col-span-2 text-sm text-red-600 dark:text-red-400">{error}</p>}
                     </div>
                     <div className="p-4 bg-gray-50 dark:bg-dark-card/50 border-t dark:border-dark-border flex justify-end gap-3">
                         <button type="button" onClick={onClose} className="bg-gray-500 text-white px-4 py-2 rounded hover:bg-gray-600">Cancelar</button>
@@ -0,0 +1,369 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Webhook, WebhookInput, WebhookEvent, WebhookDelivery, WebhookDeliveryStatus } from '../types';
+import { getWebhooks, createWebhook, updateWebhook, deleteWebhook, rotateWebhookSecret, testWebhook, getWebhookDeliveries, redeliverWebhookDelivery, ApiError } from '../services/apiService';
+import Icon from './common/Icon';
+import FieldError from './common/FieldError';
+import SecretReveal from './common/SecretReveal';
+import { WEBHOOK_EVENT_LABELS, DELIVERY_STATUS_LABELS } from './common/integrationLabels';
+
+const EVENTS: WebhookEvent[] = ['equipment.created', 'equipment.updated', 'equipment.deleted', 'license.expiring', 'approval.decided'];
+
+const formatDateTime = (value: string | null | undefined) => value ? new Date(value).toLocaleString('pt-BR') : '-';
+
+const prettyJson = (value: string | null) => {
+    if (!value) return '';
+    try {
+        return JSON.stringify(JSON.parse(value), null, 2);
+    } catch (e) {
+        return value;
+    }
+};
+
+const inputClass = 'p-2 w-full border dark:border-dark-border rounded-md bg-white dark:bg-gray-800';
+
+interface WebhookFormModalProps {
+    webhook: Webhook | null;
+    onClose: () => void;
+    onSaved: (webhook: Webhook) => void;
+}
+
+const WebhookFormModal: React.FC<WebhookFormModalProps> = ({ webhook, onClose, onSaved }) => {
+    const [form, setForm] = useState<WebhookInput>({
+        name: webhook?.name || '',
+        url: webhook?.url || '',
+        events: webhook?.events || ['equipment.created', 'equipment.updated', 'equipment.deleted']
+    });
+    const [fieldErrors, setFieldErrors] = useState<Record<string, string>>({});
+    const [error, setError] = useState<string | null>(null);
+    const [isSaving, setIsSaving] = useState(false);
+
+    const toggleEvent = (event: WebhookEvent) => {
+        setForm(prev => ({ ...prev, events: prev.events.includes(event) ? prev.events.filter(item => item !== event) : [...prev.events, event] }));
+    };
+
+    const handleSubmit = async (e: React.FormEvent) => {
+        e.preventDefault();
+        setIsSaving(true);
+        setError(null);
+        setFieldErrors({});
+        try {
+            onSaved(webhook ? await updateWebhook(webhook.id, form) : await createWebhook(form));
+        } catch (err: any) {
+            setFieldErrors(err instanceof ApiError && err.fieldErrors ? err.fieldErrors : {});
+            setError(err.message);
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-50 p-4">
+            <form onSubmit={handleSubmit} className="bg-white dark:bg-dark-card rounded-lg shadow-xl w-full max-w-lg">
+                <div className="p-4 border-b dark:border-dark-border flex justify-between items-center">
+                    <h3 className="text-lg font-bold text-brand-dark dark:text-dark-text-primary flex items-center gap-2">
+                        <Icon name="Webhook" size={20} />
+                        {webhook ? 'Editar Webhook' : 'Novo Webhook'}
+                    </h3>
+                    <button type="button" onClick={onClose} className="text-gray-500 hover:text-gray-800 dark:text-gray-400 dark:hover:text-white">
+                        <Icon name="X" size={24} />
+                    </button>
+                </div>
+
+                <div className="p-6 space-y-4">
+                    {error && <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-3 text-sm" role="alert"><p>{error}</p></div>}
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 dark:text-dark-text-secondary mb-1">Nome</label>
+                        <input type="text" value={form.name} onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))} placeholder="Ex.: Chamados do Helpdesk" className={inputClass} required />
+                        <FieldError errors={fieldErrors} name="name" />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 dark:text-dark-text-secondary mb-1">URL de destino</label>
+                        <input type="url" value={form.url} onChange={(e) => setForm(prev => ({ ...prev, url: e.target.value }))} placeholder="https://helpdesk.empresa.local/webhooks/inventario" className={inputClass} required />
+                        <FieldError errors={fieldErrors} name="url" />
+                    </div>
+                    <fieldset>
+                        <legend className="block text-sm font-medium text-gray-700 dark:text-dark-text-secondary mb-1">Eventos</legend>
+                        <div className="space-y-1">
+                            {EVENTS.map(event => (
+                                <label key={event} className="flex items-center gap-2 text-sm text-gray-700 dark:text-dark-text-secondary">
+                                    <input type="checkbox" checked={form.events.includes(event)} onChange={() => toggleEvent(event)} className="h-4 w-4 rounded text-brand-primary focus:ring-brand-primary" />
+                                    {WEBHOOK_EVENT_LABELS[event]} <code className="text-xs text-gray-500">{event}</code>
+                                </label>
+                            ))}
+                        </div>
+                        <FieldError errors={fieldErrors} name="events" />
+                    </fieldset>
+                </div>
+
+                <div className="p-4 bg-gray-50 dark:bg-dark-card/50 border-t dark:border-dark-border flex justify-end gap-3">
+                    <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-300 dark:bg-gray-600 text-gray-800 dark:text-white rounded-md hover:bg-gray-400">Cancelar</button>
+                    <button type="submit" disabled={isSaving || form.events.length === 0} className="px-4 py-2 bg-brand-primary text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400 flex items-center gap-2">
+                        {isSaving && <Icon name="LoaderCircle" className="animate-spin" size={16} />}
+                        Salvar
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+// Webhooks que avisam outros sistemas sobre mudanças no inventário, com o registro das entregas
+const WebhookManager: React.FC = () => {
+    const [webhooks, setWebhooks] = useState<Webhook[]>([]);
+    const [deliveries, setDeliveries] = useState<WebhookDelivery[]>([]);
+    const [filterWebhookId, setFilterWebhookId] = useState<number | ''>('');
+    const [filterStatus, setFilterStatus] = useState<WebhookDeliveryStatus | ''>('');
+    const [expandedDeliveryId, setExpandedDeliveryId] = useState<number | null>(null);
+    const [editing, setEditing] = useState<Webhook | 'new' | null>(null);
+    const [revealedSecret, setRevealedSecret] = useState<{ name: string; secret: string } | null>(null);
+    // Ação em andamento, no formato "<ação>-<id>"
+    const [busyAction, setBusyAction] = useState<string | null>(null);
+    const [error, setError] = useState<string | null>(null);
+    const [message, setMessage] = useState<string | null>(null);
+
+    const loadWebhooks = useCallback(async () => {
+        try {
+            setWebhooks(await getWebhooks());
+        } catch (e: any) {
+            setError(`Falha ao carregar os webhooks: ${e.message}`);
+        }
+    }, []);
+
+    const loadDeliveries = useCallback(async () => {
+        try {
+            setDeliveries(await getWebhookDeliveries({
+                webhookId: filterWebhookId === '' ? undefined : filterWebhookId,
+                status: filterStatus === '' ? undefined : filterStatus
+            }));
+        } catch (e: any) {
+            setError(`Falha ao carregar as entregas: ${e.message}`);
+        }
+    }, [filterWebhookId, filterStatus]);
+
+    useEffect(() => {
+        loadWebhooks();
+    }, [loadWebhooks]);
+
+    useEffect(() => {
+        loadDeliveries();
+    }, [loadDeliveries]);
+
+    const runAction = async (key: string, action: () => Promise<void>) => {
+        setBusyAction(key);
+        setError(null);
+        setMessage(null);
+        try {
+            await action();
+            await Promise.all([loadWebhooks(), loadDeliveries()]);
+        } catch (e: any) {
+            setError(e.message);
+        } finally {
+            setBusyAction(null);
+        }
+    };
+
+    const handleSaved = async (webhook: Webhook) => {
+        setEditing(null);
+        if (webhook.secret) {
+            setRevealedSecret({ name: webhook.name, secret: webhook.secret });
+        }
+        await loadWebhooks();
+    };
+
+    const handleToggleActive = (webhook: Webhook) => runAction(`toggle-${webhook.id}`, async () => {
+        await updateWebhook(webhook.id, { active: !webhook.active });
+    });
+
+    const handleTest = (webhook: Webhook) => runAction(`test-${webhook.id}`, async () => {
+        const delivery = await testWebhook(webhook.id);
+        setMessage(delivery.status === 'delivered'
+            ? `Teste entregue a "${webhook.name}" (HTTP ${delivery.response_status}).`
+            : `O teste para "${webhook.name}" não foi entregue: ${delivery.error || `HTTP ${delivery.response_status}`}. Veja o registro de entregas abaixo.`);
+    });
+
+    const handleRotateSecret = (webhook: Webhook) => {
+        if (!window.confirm(`Gerar um novo segredo para "${webhook.name}"? O sistema de destino precisará ser atualizado para validar as próximas assinaturas.`)) return;
+        runAction(`rotate-${webhook.id}`, async () => {
+            const updated = await rotateWebhookSecret(webhook.id);
+            setRevealedSecret({ name: updated.name, secret: updated.secret || '' });
+        });
+    };
+
+    const handleDelete = (webhook: Webhook) => {
+        if (!window.confirm(`Excluir o webhook "${webhook.name}"? O registro de entregas dele também será apagado.`)) return;
+        runAction(`delete-${webhook.id}`, async () => {
+            await deleteWebhook(webhook.id);
+            if (filterWebhookId === webhook.id) setFilterWebhookId('');
+        });
+    };
+
+    const handleRedeliver = (delivery: WebhookDelivery) => runAction(`redeliver-${delivery.id}`, async () => {
+        await redeliverWebhookDelivery(delivery.id);
+        setMessage(`Entrega #${delivery.id} colocada de volta na fila.`);
+    });
+
+    const actionIcon = (key: string, icon: React.ComponentProps<typeof Icon>['name']) => busyAction === key
+        ? <Icon name="LoaderCircle" className="animate-spin" size={16} />
+        : <Icon name={icon} size={16} />;
+
+    return (
+        <div className="p-6 bg-gray-50 dark:bg-dark-bg rounded-lg border dark:border-dark-border">
+            <div className="flex flex-col sm:flex-row justify-between sm:items-center gap-3 mb-4">
+                <h3 className="text-lg font-bold text-brand-secondary dark:text-dark-text-primary flex items-center gap-2">
+                    <Icon name="Webhook" size={20} />
+                    Webhooks
+                </h3>
+                <button type="button" onClick={() => setEditing('new')} className="bg-brand-primary text-white px-4 py-2 rounded-lg hover:bg-blue-700 flex items-center gap-2 text-sm">
+                    <Icon name="Plus" size={16} /> Novo Webhook
+                </button>
+            </div>
+            <p className="mb-4 text-sm text-gray-600 dark:text-dark-text-secondary">
+                Cada evento é enviado por POST em JSON, assinado com HMAC-SHA256 no cabeçalho <code>X-Inventario-Signature</code>. Entregas que falham são repetidas após 1, 5, 30, 120 e 720 minutos.
+            </p>
+
+            {error && <div className="mb-4 bg-red-100 border-l-4 border-red-500 text-red-700 p-4" role="alert"><p>{error}</p></div>}
+            {message && <div className="mb-4 bg-green-100 border-l-4 border-green-500 text-green-700 p-4" role="status"><p>{message}</p></div>}
+            {revealedSecret && <SecretReveal title={`Segredo de assinatura de "${revealedSecret.name}"`} value={revealedSecret.secret} onDismiss={() => setRevealedSecret(null)} />}
+
+            {webhooks.length === 0 ? (
+                <p className="mb-6 text-sm text-gray-500 dark:text-dark-text-secondary">Nenhum webhook cadastrado.</p>
+            ) : (
+                <div className="mb-6 space-y-3">
+                    {webhooks.map(webhook => (
+                        <div key={webhook.id} className={`p-4 bg-white dark:bg-dark-card rounded-lg border dark:border-dark-border ${webhook.active ? '' : 'opacity-70'}`}>
+                            <div className="flex flex-col md:flex-row md:justify-between md:items-start gap-3">
+                                <div className="min-w-0">
+                                    <p className="font-semibold text-gray-900 dark:text-dark-text-primary flex items-center gap-2">
+                                        {webhook.name}
+                                        {!webhook.active && <span className="px-2 py-0.5 rounded-full text-xs bg-gray-200 text-gray-700 dark:bg-gray-700 dark:text-gray-300">Pausado</span>}
+                                    </p>
+                                    <p className="text-xs text-gray-500 dark:text-dark-text-secondary break-all">{webhook.url}</p>
+                                    <div className="mt-2 flex flex-wrap gap-1">
+                                        {webhook.events.map(event => (
+                                            <span key={event} title={event} className="px-2 py-0.5 rounded-full text-xs bg-blue-100 text-blue-800 dark:bg-blue-900/40 dark:text-blue-300">{WEBHOOK_EVENT_LABELS[event]}</span>
+                                        ))}
+                                    </div>
+                                    <p className="mt-2 text-xs text-gray-500 dark:text-dark-text-secondary">
+                                        Segredo <code>{webhook.secret_hint}</code> · Última entrega: {formatDateTime(webhook.last_delivered_at)}
+                                        {(webhook.pending_deliveries || 0) > 0 && <> · {webhook.pending_deliveries} na fila</>}
+                                        {(webhook.failed_deliveries || 0) > 0 && <span className="text-red-600 dark:text-red-400"> · {webhook.failed_deliveries} com falha</span>}
+                                    </p>
+                                </div>
+                                <div className="flex flex-wrap gap-3 text-sm shrink-0">
+                                    <button type="button" onClick={() => handleToggleActive(webhook)} disabled={busyAction !== null} className="text-gray-600 dark:text-dark-text-secondary hover:text-brand-primary disabled:opacity-50 flex items-center gap-1">
+                                        {actionIcon(`toggle-${webhook.id}`, webhook.active ? 'Pause' : 'Play')} {webhook.active ? 'Pausar' : 'Ativar'}
+                                    </button>
+                                    <button type="button" onClick={() => handleTest(webhook)} disabled={busyAction !== null} className="text-gray-600 dark:text-dark-text-secondary hover:text-brand-primary disabled:opacity-50 flex items-center gap-1">
+                                        {actionIcon(`test-${webhook.id}`, 'Send')} Testar
+                                    </button>
+                                    <button type="button" onClick={() => handleRotateSecret(webhook)} disabled={busyAction !== null} className="text-gray-600 dark:text-dark-text-secondary hover:text-brand-primary disabled:opacity-50 flex items-center gap-1">
+                                        {actionIcon(`rotate-${webhook.id}`, 'RefreshCw')} Novo segredo
+                                    </button>
+                                    <button type="button" onClick={() => setEditing(webhook)} disabled={busyAction !== null} className="text-blue-600 hover:text-blue-700 disabled:opacity-50 flex items-center gap-1">
+                                        <Icon name="Pencil" size={16} /> Editar
+                                    </button>
+                                    <button type="button" onClick={() => handleDelete(webhook)} disabled={busyAction !== null} className="text-red-500 hover:text-red-600 disabled:opacity-50 flex items-center gap-1">
+                                        {actionIcon(`delete-${webhook.id}`, 'Trash2')} Excluir
+                                    </button>
+                                </div>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            <div className="flex flex-col md:flex-row justify-between md:items-center gap-3 mb-3">
+                <h4 className="font-semibold text-gray-800 dark:text-dark-text-primary">Registro de entregas</h4>
+                <div className="flex flex-wrap gap-2">
+                    <select value={filterWebhookId} onChange={(e) => setFilterWebhookId(e.target.value ? Number(e.target.value) : '')} className="p-2 text-sm border dark:border-dark-border rounded-md bg-white dark:bg-gray-800">
+                        <option value="">Todos os webhooks</option>
+                        {webhooks.map(webhook => <option key={webhook.id} value={webhook.id}>{webhook.name}</option>)}
+                    </select>
+                    <select value={filterStatus} onChange={(e) => setFilterStatus(e.target.value as WebhookDeliveryStatus | '')} className="p-2 text-sm border dark:border-dark-border rounded-md bg-white dark:bg-gray-800">
+                        <option value="">Todas as situações</option>
+                        {(Object.keys(DELIVERY_STATUS_LABELS) as WebhookDeliveryStatus[]).map(status => (
+                            <option key={status} value={status}>{DELIVERY_STATUS_LABELS[status].text}</option>
+                        ))}
+                    </select>
+                    <button type="button" onClick={loadDeliveries} className="p-2 text-gray-600 dark:text-dark-text-secondary hover:text-brand-primary" title="Atualizar">
+                        <Icon name="RefreshCw" size={16} />
+                    </button>
+                </div>
+            </div>
+
+            {deliveries.length === 0 ? (
+                <p className="text-sm text-gray-500 dark:text-dark-text-secondary">Nenhuma entrega registrada.</p>
+            ) : (
+                <div className="overflow-x-auto border dark:border-dark-border rounded-lg">
+                    <table className="w-full text-sm text-left text-gray-700 dark:text-dark-text-secondary">
+                        <thead className="text-xs text-gray-800 dark:text-dark-text-primary uppercase bg-gray-100 dark:bg-gray-900/50">
+                            <tr>
+                                <th scope="col" className="px-4 py-2">Criada em</th>
+                                <th scope="col" className="px-4 py-2">Webhook</th>
+                                <th scope="col" className="px-4 py-2">Evento</th>
+                                <th scope="col" className="px-4 py-2">Situação</th>
+                                <th scope="col" className="px-4 py-2">Tentativas</th>
+                                <th scope="col" className="px-4 py-2 text-right">Ações</th>
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white dark:bg-dark-card">
+                            {deliveries.map(delivery => {
+                                const isExpanded = expandedDeliveryId === delivery.id;
+                                return (
+                                    <React.Fragment key={delivery.id}>
+                                        <tr className="border-b dark:border-dark-border last:border-0">
+                                            <td className="px-4 py-2 whitespace-nowrap">{formatDateTime(delivery.created_at)}</td>
+                                            <td className="px-4 py-2">{delivery.webhook_name}</td>
+                                            <td className="px-4 py-2" title={delivery.event}>{WEBHOOK_EVENT_LABELS[delivery.event]}</td>
+                                            <td className="px-4 py-2">
+                                                <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${DELIVERY_STATUS_LABELS[delivery.status].className}`}>{DELIVERY_STATUS_LABELS[delivery.status].text}</span>
+                                                {delivery.response_status !== null && <span className="ml-2 text-xs text-gray-500">HTTP {delivery.response_status}</span>}
+                                                {delivery.status === 'pending' && delivery.attempts > 0 && (
+                                                    <p className="text-xs text-gray-500">Nova tentativa em {formatDateTime(delivery.next_attempt_at)}</p>
+                                                )}
+                                            </td>
+                                            <td className="px-4 py-2 whitespace-nowrap">{delivery.attempts}{delivery.last_attempt_at ? ` (última ${formatDateTime(delivery.last_attempt_at)})` : ''}</td>
+                                            <td className="px-4 py-2 whitespace-nowrap text-right">
+                                                <div className="inline-flex gap-3">
+                                                    <button type="button" onClick={() => setExpandedDeliveryId(isExpanded ? null : delivery.id)} className="text-gray-600 dark:text-dark-text-secondary hover:text-brand-primary flex items-center gap-1">
+                                                        <Icon name={isExpanded ? 'ChevronUp' : 'ChevronDown'} size={16} /> Detalhes
+                                                    </button>
+                                                    {delivery.status !== 'pending' && (
+                                                        <button type="button" onClick={() => handleRedeliver(delivery)} disabled={busyAction !== null} className="text-brand-primary hover:underline disabled:opacity-50 flex items-center gap-1">
+                                                            {actionIcon(`redeliver-${delivery.id}`, 'RotateCcw')} Reenviar
+                                                        </button>
+                                                    )}
+                                                </div>
+                                            </td>
+                                        </tr>
+                                        {isExpanded && (
+                                            <tr className="border-b dark:border-dark-border bg-gray-50 dark:bg-gray-900/30">
+                                                <td colSpan={6} className="px-4 py-3">
+                                                    {delivery.error && <p className="mb-2 text-xs text-red-600 dark:text-red-400">Erro: {delivery.error}</p>}
+                                                    <div className="grid grid-cols-1 lg:grid-cols-2 gap-3">
+                                                        <div>
+                                                            <p className="text-xs font-semibold mb-1">Corpo enviado</p>
+                                                            <pre className="p-2 max-h-64 overflow-auto bg-white dark:bg-gray-800 border dark:border-dark-border rounded text-xs whitespace-pre-wrap break-all">{prettyJson(delivery.payload)}</pre>
+                                                        </div>
+                                                        <div>
+                                                            <p className="text-xs font-semibold mb-1">Resposta recebida</p>
+                                                            <pre className="p-2 max-h-64 overflow-auto bg-white dark:bg-gray-800 border dark:border-dark-border rounded text-xs whitespace-pre-wrap break-all">{prettyJson(delivery.response_body) || '-'}</pre>
+                                                        </div>
+                                                    </div>
+                                                </td>
+                                            </tr>
+                                        )}
+                                    </React.Fragment>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {editing && <WebhookFormModal webhook={editing === 'new' ? null : editing} onClose={() => setEditing(null)} onSaved={handleSaved} />}
+        </div>
+    );
+};
+
+export default WebhookManager;
@@ -0,0 +1,15 @@
+
+import React from 'react';
+
+interface FieldErrorProps {
+  errors: Record<string, string>;
+  name: string;
+}
+
+// Mensagem de validação do servidor exibida logo abaixo do campo do formulário
+const FieldError: React.FC<FieldErrorProps> = ({ errors, name }) => {
+  if (!errors[name]) return null;
+  return <p className="text-xs text-red-600 dark:text-red-400 mt-1">{errors[name]}</p>;
+};
+
+export default FieldError;
@@ -0,0 +1,327 @@
+
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { ImportProfile, ImportRowError, ImportTarget } from '../../types';
+import Icon from './Icon';
+import { getImportProfiles, saveImportProfile, deleteImportProfile, validateImportRows } from '../../services/apiService';
+import { ImportSheet, readImportFile, columnsFromProfile, profileFromColumns, profileMatchCount, applyColumnMapping } from '../../services/importEngine';
+
+// Resultado entregue à tela de importação: só linhas já validadas pelo servidor
+export interface MappedImport {
+    fileName: string;
+    records: Record<string, string>[];
+    lineNumbers: number[];
+    skipped: number;
+}
+
+interface ImportMapperProps {
+    title: string;
+    icon: React.ComponentProps<typeof Icon>['name'];
+    target: ImportTarget;
+    fieldLabels: Record<string, string>;
+    requiredFields: string[];
+    defaultProfileName?: string;
+    canManageProfiles: boolean;
+    disabled?: boolean;
+    onMapped: (result: MappedImport | null) => void;
+}
+
+const MAX_ERRORS_SHOWN = 50;
+
+const SEPARATOR_LABELS: Record<string, string> = { ';': 'ponto e vírgula', ',': 'vírgula', '\t': 'tabulação', '|': 'barra vertical' };
+
+const ImportMapper: React.FC<ImportMapperProps> = ({ title, icon, target, fieldLabels, requiredFields, defaultProfileName, canManageProfiles, disabled, onMapped }) => {
+    const [profiles, setProfiles] = useState<ImportProfile[]>([]);
+    const [selectedProfileId, setSelectedProfileId] = useState<number | null>(null);
+    const [sheet, setSheet] = useState<ImportSheet | null>(null);
+    // Campo de destino de cada coluna do arquivo ('' = ignorar)
+    const [columns, setColumns] = useState<string[]>([]);
+    const [showMapping, setShowMapping] = useState(false);
+    const [newProfileName, setNewProfileName] = useState('');
+    const [rowErrors, setRowErrors] = useState<ImportRowError[] | null>(null);
+    const [validated, setValidated] = useState<{ total: number; valid: number } | null>(null);
+    const [isBusy, setIsBusy] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+    const inputRef = useRef<HTMLInputElement>(null);
+
+    useEffect(() => {
+        getImportProfiles(target)
+            .then(setProfiles)
+            .catch(err => console.error("Failed to load import profiles", err));
+    }, [target]);
+
+    const resetValidation = () => {
+        setRowErrors(null);
+        setValidated(null);
+        onMapped(null);
+    };
+
+    const applyProfile = (profile: ImportProfile | undefined, headers: string[]) => {
+        setSelectedProfileId(profile ? profile.id : null);
+        setColumns(profile ? columnsFromProfile(headers, profile.mapping) : headers.map(() => ''));
+        resetValidation();
+    };
+
+    const handleFileChange = async (event: React.ChangeEvent<HTMLInputElement>) => {
+        const file = event.target.files?.[0];
+        if (!file) return;
+        setIsBusy(true);
+        setError(null);
+        setSheet(null);
+        resetValidation();
+        try {
+            const parsed = await readImportFile(file);
+            setSheet(parsed);
+            // Sugere o perfil padrão da tela se ele reconhecer o arquivo; senão, o que reconhece mais colunas
+            const ranked = profiles
+                .map(profile => ({ profile, matches: profileMatchCount(parsed.headers, profile.mapping) }))
+                .filter(item => item.matches > 0)
+                .sort((a, b) => b.matches - a.matches);
+            const suggested = ranked.find(item => item.profile.name === defaultProfileName) || ranked[0];
+            applyProfile(suggested?.profile, parsed.headers);
+            setShowMapping(!suggested);
+        } catch (e: any) {
+            setError(`Falha ao ler o arquivo: ${e.message}`);
+        } finally {
+            setIsBusy(false);
+        }
+    };
+
+    const handleColumnChange = (index: number, field: string) => {
+        setColumns(prev => prev.map((current, i) => i === index ? field : current));
+        resetValidation();
+    };
+
+    const missingRequired = useMemo(() => requiredFields.filter(field => !columns.includes(field)), [requiredFields, columns]);
+
+    const selectedProfile = profiles.find(profile => profile.id === selectedProfileId);
+
+    const handleSaveProfile = async (asNew: boolean) => {
+        if (!sheet) return;
+        const name = asNew ? newProfileName.trim() : selectedProfile?.name;
+        if (!name) return;
+        setError(null);
+        try {
+            const saved = await saveImportProfile({
+                id: asNew ? undefined : selectedProfile?.id,
+                name,
+                target,
+                mapping: asNew || !selectedProfile
+                    ? profileFromColumns(sheet.headers, columns)
+                    // Mantém as colunas que o perfil conhece e que não aparecem neste arquivo
+                    : { ...selectedProfile.mapping, ...profileFromColumns(sheet.headers, columns) },
+            });
+            setProfiles(prev => [...prev.filter(profile => profile.id !== saved.id), saved].sort((a, b) => a.name.localeCompare(b.name)));
+            setSelectedProfileId(saved.id);
+            setNewProfileName('');
+        } catch (e: any) {
+            setError(`Falha ao salvar o perfil: ${e.message}`);
+        }
+    };
+
+    const handleDeleteProfile = async () => {
+        if (!selectedProfile || !window.confirm(`Excluir o perfil de importação "${selectedProfile.name}"?`)) return;
+        setError(null);
+        try {
+            await deleteImportProfile(selectedProfile.id);
+            setProfiles(prev => prev.filter(profile => profile.id !== selectedProfile.id));
+            setSelectedProfileId(null);
+        } catch (e: any) {
+            setError(`Falha ao excluir o perfil: ${e.message}`);
+        }
+    };
+
+    const handleValidate = async () => {
+        if (!sheet) return;
+        setIsBusy(true);
+        setError(null);
+        try {
+            const mapped = applyColumnMapping(sheet, columns);
+            const result = await validateImportRows(target, mapped.records, requiredFields);
+            // O servidor numera as linhas da lista enviada; aqui voltam para a linha do arquivo
+            const errors = result.rowErrors.map(rowError => ({ ...rowError, row: mapped.lineNumbers[rowError.row - 1] }));
+            setRowErrors(errors);
+            setValidated({ total: result.total, valid: result.valid });
+            if (errors.length === 0) {
+                onMapped({ fileName: sheet.fileName, ...mapped, skipped: 0 });
+            }
+        } catch (e: any) {
+            setError(`Falha ao validar as linhas: ${e.message}`);
+        } finally {
+            setIsBusy(false);
+        }
+    };
+
+    const handleSkipInvalid = () => {
+        if (!sheet || !rowErrors) return;
+        const invalidLines = new Set(rowErrors.map(rowError => rowError.row));
+        const mapped = applyColumnMapping(sheet, columns);
+        const keep = mapped.lineNumbers.map(line => !invalidLines.has(line));
+        onMapped({
+            fileName: sheet.fileName,
+            records: mapped.records.filter((_, index) => keep[index]),
+            lineNumbers: mapped.lineNumbers.filter((_, index) => keep[index]),
+            skipped: invalidLines.size,
+        });
+        setRowErrors([]);
+    };
+
+    return (
+        <div className="bg-white dark:bg-dark-card p-6 rounded-lg shadow-md border-l-4 border-brand-primary">
+            <div className="flex items-center mb-3">
+                <Icon name={icon} size={24} className="text-brand-primary mr-3" />
+                <h3 className="text-xl font-bold text-brand-secondary dark:text-dark-text-primary">{title}</h3>
+            </div>
+            <input type="file" ref={inputRef} onChange={handleFileChange} accept=".csv,.txt,.xlsx,.xls" className="hidden" disabled={disabled || isBusy} />
+            <button
+                onClick={() => inputRef.current?.click()}
+                disabled={disabled || isBusy}
+                className="w-full bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-dark-text-secondary px-4 py-3 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-600 flex items-center justify-center gap-2 transition-colors disabled:opacity-50"
+            >
+                {isBusy ? <Icon name="LoaderCircle" size={18} className="animate-spin" /> : <Icon name="Upload" size={18} />}
+                <span>{sheet ? 'Trocar Arquivo' : 'Selecionar Arquivo (CSV ou XLSX)'}</span>
+            </button>
+
+            {error && <div className="mt-3 bg-red-100 border-l-4 border-red-500 text-red-700 p-3 text-sm" role="alert"><p>{error}</p></div>}
+
+            {sheet && (
+                <div className="mt-3 space-y-3 text-sm text-gray-600 dark:text-dark-text-secondary">
+                    <p>
+                        <strong>Arquivo:</strong> {sheet.fileName} · {sheet.rows.length} linha(s)
+                        {sheet.format === 'csv'
+                            ? ` · CSV ${sheet.encoding?.toUpperCase()}, separador ${SEPARATOR_LABELS[sheet.separator || ','] || sheet.separator}`
+                            : ' · planilha Excel (primeira aba)'}
+                    </p>
+
+                    <div className="flex flex-wrap items-center gap-2">
+                        <label htmlFor={`profile-${target}-${title}`} className="font-medium">Perfil de mapeamento:</label>
+                        <select
+                            id={`profile-${target}-${title}`}
+                            value={selectedProfileId ?? ''}
+                            onChange={(e) => applyProfile(profiles.find(profile => profile.id === Number(e.target.value)), sheet.headers)}
+                            disabled={disabled}
+                            className="p-1 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800 text-gray-800 dark:text-dark-text-primary"
+                        >
+                            <option value="">(sem perfil)</option>
+                            {profiles.map(profile => (
+                                <option key={profile.id} value={profile.id}>{profile.name} ({profileMatchCount(sheet.headers, profile.mapping)} colunas)</option>
+                            ))}
+                        </select>
+                        <button onClick={() => setShowMapping(prev => !prev)} className="text-brand-primary hover:underline">
+                            {showMapping ? 'Ocultar mapeamento' : `Ver mapeamento (${columns.filter(Boolean).length} de ${sheet.headers.length} colunas)`}
+                        </button>
+                    </div>
+
+                    {missingRequired.length > 0 && (
+                        <p className="text-yellow-700 dark:text-yellow-400">
+                            <Icon name="TriangleAlert" size={14} className="inline mr-1" />
+                            Campos obrigatórios sem coluna: {missingRequired.map(field => fieldLabels[field] || field).join(', ')}.
+                        </p>
+                    )}
+
+                    {showMapping && (
+                        <div className="border dark:border-dark-border rounded-lg">
+                            <div className="max-h-72 overflow-y-auto">
+                                <table className="w-full text-xs text-left">
+                                    <thead className="uppercase bg-gray-100 dark:bg-gray-900/50 sticky top-0">
+                                        <tr>
+                                            <th className="px-3 py-2">Coluna do arquivo</th>
+                                            <th className="px-3 py-2">Exemplo</th>
+                                            <th className="px-3 py-2">Campo no sistema</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {sheet.headers.map((header, index) => (
+                                            <tr key={`${header}-${index}`} className="border-b dark:border-dark-border last:border-0">
+                                                <td className="px-3 py-1 font-medium text-gray-800 dark:text-dark-text-primary">{header || `(coluna ${index + 1})`}</td>
+                                                <td className="px-3 py-1 truncate max-w-[12rem]" title={sheet.rows[0]?.[index]}>{sheet.rows[0]?.[index] || '-'}</td>
+                                                <td className="px-3 py-1">
+                                                    <select
+                                                        value={columns[index] || ''}
+                                                        onChange={(e) => handleColumnChange(index, e.target.value)}
+                                                        disabled={disabled}
+                                                        className="w-full p-1 border dark:border-dark-border rounded bg-white dark:bg-gray-800 text-gray-800 dark:text-dark-text-primary"
+                                                    >
+                                                        <option value="">— Ignorar —</option>
+                                                        {Object.entries(fieldLabels).map(([field, label]) => (
+                                                            <option key={field} value={field}>{label}{requiredFields.includes(field) ? ' *' : ''}</option>
+                                                        ))}
+                                                    </select>
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                            {canManageProfiles && (
+                                <div className="p-3 border-t dark:border-dark-border bg-gray-50 dark:bg-gray-800/50 flex flex-wrap items-center gap-2">
+                                    {selectedProfile && (
+                                        <>
+                                            <button onClick={() => handleSaveProfile(false)} className="px-3 py-1 bg-brand-primary text-white rounded hover:bg-blue-700">Salvar "{selectedProfile.name}"</button>
+                                            <button onClick={handleDeleteProfile} className="px-3 py-1 bg-red-600 text-white rounded hover:bg-red-700">Excluir perfil</button>
+                                        </>
+                                    )}
+                                    <input
+                                        type="text"
+                                        value={newProfileName}
+                                        onChange={(e) => setNewProfileName(e.target.value)}
+                                        placeholder="Nome do novo perfil"
+                                        className="p-1 border dark:border-dark-border rounded bg-white dark:bg-gray-800 text-gray-800 dark:text-dark-text-primary"
+                                    />
+                                    <button onClick={() => handleSaveProfile(true)} disabled={!newProfileName.trim()} className="px-3 py-1 bg-gray-600 text-white rounded hover:bg-gray-700 disabled:bg-gray-400">Salvar como novo perfil</button>
+                                </div>
+                            )}
+                        </div>
+                    )}
+
+                    <button
+                        onClick={handleValidate}
+                        disabled={disabled || isBusy || columns.every(field => !field)}
+                        className="w-full bg-brand-secondary text-white px-4 py-2 rounded-lg hover:bg-brand-dark disabled:bg-gray-400 flex items-center justify-center gap-2"
+                    >
+                        <Icon name="ListChecks" size={18} /> Validar Linhas
+                    </button>
+
+                    {validated && rowErrors && rowErrors.length === 0 && (
+                        <p className="text-green-700 dark:text-green-400">
+                            <Icon name="CircleCheck" size={14} className="inline mr-1" />
+                            {validated.valid === validated.total
+                                ? `${validated.total} linha(s) válida(s).`
+                                : `${validated.valid} linha(s) válida(s); ${validated.total - validated.valid} linha(s) inválida(s) serão ignoradas.`}
+                        </p>
+                    )}
+
+                    {rowErrors && rowErrors.length > 0 && (
+                        <div className="border border-red-300 dark:border-red-800 rounded-lg">
+                            <p className="p-2 bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-400 font-medium">
+                                {rowErrors.length} linha(s) com erros. Corrija o arquivo ou o mapeamento, ou continue sem elas.
+                            </p>
+                            <div className="max-h-48 overflow-y-auto">
+                                <table className="w-full text-xs text-left">
+                                    <tbody>
+                                        {rowErrors.slice(0, MAX_ERRORS_SHOWN).flatMap(rowError => Object.entries(rowError.errors).map(([field, message]) => (
+                                            <tr key={`${rowError.row}-${field}`} className="border-b dark:border-dark-border last:border-0">
+                                                <td className="px-3 py-1 whitespace-nowrap">Linha {rowError.row}</td>
+                                                <td className="px-3 py-1 font-medium">{fieldLabels[field] || field}</td>
+                                                <td className="px-3 py-1">{message}</td>
+                                            </tr>
+                                        )))}
+                                    </tbody>
+                                </table>
+                                {rowErrors.length > MAX_ERRORS_SHOWN && <p className="p-2 text-gray-500">... e mais {rowErrors.length - MAX_ERRORS_SHOWN} linha(s).</p>}
+                            </div>
+                            {validated && validated.valid > 0 && (
+                                <div className="p-2 border-t border-red-300 dark:border-red-800 flex justify-end">
+                                    <button onClick={handleSkipInvalid} className="px-3 py-1 bg-yellow-500 text-white rounded hover:bg-yellow-600">
+                                        Continuar sem as {rowErrors.length} linha(s) inválida(s)
+                                    </button>
+                                </div>
+                            )}
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ImportMapper;
@@ -0,0 +1,57 @@
+import React from 'react';
+import Icon from './Icon';
+
+interface PaginationProps {
+    page: number;
+    pageSize: number;
+    total: number;
+    onPageChange: (page: number) => void;
+    onPageSizeChange?: (pageSize: number) => void;
+    disabled?: boolean;
+}
+
+const PAGE_SIZES = [25, 50, 100];
+
+// Navegação das listagens paginadas no servidor
+const Pagination: React.FC<PaginationProps> = ({ page, pageSize, total, onPageChange, onPageSizeChange, disabled = false }) => {
+    const pageCount = Math.max(1, Math.ceil(total / pageSize));
+    const first = total === 0 ? 0 : (page - 1) * pageSize + 1;
+    const last = Math.min(page * pageSize, total);
+    const buttonClass = 'p-1.5 rounded-md border dark:border-dark-border text-gray-600 dark:text-dark-text-secondary hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-40 disabled:cursor-not-allowed';
+
+    return (
+        <div className="flex flex-col sm:flex-row justify-between items-center gap-3 mt-4 text-sm text-gray-600 dark:text-dark-text-secondary">
+            <div className="flex items-center gap-3">
+                <span>{first}–{last} de {total}</span>
+                {onPageSizeChange && (
+                    <select
+                        value={pageSize}
+                        onChange={(e) => onPageSizeChange(Number(e.target.value))}
+                        disabled={disabled}
+                        className="p-1 border dark:border-dark-border rounded-md bg-white dark:bg-gray-800"
+                        aria-label="Itens por página"
+                    >
+                        {PAGE_SIZES.map(size => <option key={size} value={size}>{size} por página</option>)}
+                    </select>
+                )}
+            </div>
+            <div className="flex items-center gap-1">
+                <button type="button" onClick={() => onPageChange(1)} disabled={disabled || page <= 1} className={buttonClass} aria-label="Primeira página">
+                    <Icon name="ChevronsLeft" size={16} />
+                </button>
+                <button type="button" onClick={() => onPageChange(page - 1)} disabled={disabled || page <= 1} className={buttonClass} aria-label="Página anterior">
+                    <Icon name="ChevronLeft" size={16} />
+                </button>
+                <span className="px-2">Página {page} de {pageCount}</span>
+                <button type="button" onClick={() => onPageChange(page + 1)} disabled={disabled || page >= pageCount} className={buttonClass} aria-label="Próxima página">
+                    <Icon name="ChevronRight" size={16} />
+                </button>
+                <button type="button" onClick={() => onPageChange(pageCount)} disabled={disabled || page >= pageCount} className={buttonClass} aria-label="Última página">
+                    <Icon name="ChevronsRight" size={16} />
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default Pagination;
@@ -0,0 +1,42 @@
+import React, { useState } from 'react';
+import Icon from './Icon';
+
+interface SecretRevealProps {
+    title: string;
+    value: string;
+    onDismiss: () => void;
+}
+
+// Mostra uma única vez uma chave ou segredo que o servidor não devolve de novo
+const SecretReveal: React.FC<SecretRevealProps> = ({ title, value, onDismiss }) => {
+    const [copied, setCopied] = useState(false);
+
+    const handleCopy = async () => {
+        try {
+            await navigator.clipboard.writeText(value);
+            setCopied(true);
+        } catch (e) {
+            setCopied(false);
+        }
+    };
+
+    return (
+        <div className="mb-4 p-4 bg-amber-50 dark:bg-amber-900/20 border-l-4 border-amber-400 text-amber-900 dark:text-amber-200 text-sm" role="status">
+            <p className="font-semibold flex items-center gap-2"><Icon name="KeyRound" size={16} /> {title}</p>
+            <p className="mt-1">Copie agora e guarde em local seguro: este valor não será exibido novamente.</p>
+            <div className="mt-2 flex flex-col sm:flex-row gap-2">
+                <code className="flex-1 p-2 bg-white dark:bg-gray-800 border dark:border-dark-border rounded font-mono text-xs break-all">{value}</code>
+                <div className="flex gap-2">
+                    <button type="button" onClick={handleCopy} className="px-3 py-2 bg-brand-primary text-white rounded-md hover:bg-blue-700 flex items-center gap-1">
+                        <Icon name={copied ? 'Check' : 'Copy'} size={14} /> {copied ? 'Copiado' : 'Copiar'}
+                    </button>
+                    <button type="button" onClick={onDismiss} className="px-3 py-2 bg-gray-300 dark:bg-gray-600 text-gray-800 dark:text-white rounded-md hover:bg-gray-400">
+                        Ocultar
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default SecretReveal;
@@ -0,0 +1,31 @@
+import React from 'react';
+import { SortOrder } from '../../types';
+import Icon from './Icon';
+
+interface SortableHeaderProps {
+    label: string;
+    column: string;
+    sort?: string;
+    order?: SortOrder;
+    onSort: (column: string, order: SortOrder) => void;
+    className?: string;
+}
+
+// Cabeçalho de coluna que alterna a ordenação feita no servidor: crescente no primeiro clique, depois inverte
+const SortableHeader: React.FC<SortableHeaderProps> = ({ label, column, sort, order, onSort, className = 'px-6 py-3' }) => {
+    const isActive = sort === column;
+    return (
+        <th scope="col" className={className} aria-sort={isActive ? (order === 'asc' ? 'ascending' : 'descending') : 'none'}>
+            <button
+                type="button"
+                onClick={() => onSort(column, isActive && order === 'asc' ? 'desc' : 'asc')}
+                className="flex items-center gap-1 uppercase hover:text-brand-primary"
+            >
+                {label}
+                <Icon name={isActive ? (order === 'asc' ? 'ArrowUp' : 'ArrowDown') : 'ArrowUpDown'} size={12} className={isActive ? '' : 'opacity-40'} />
+            </button>
+        </th>
+    );
+};
+
+export default SortableHeader;
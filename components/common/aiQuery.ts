@@ -0,0 +1,56 @@
+import { AiQueryEntity, AiQueryFilter, AiQueryOperator, AiQuerySpec } from '../../types';
+import { equipmentFieldLabel } from './equipmentFields';
+import { LICENSE_FIELD_LABELS } from './licenseFields';
+
+export const ENTITY_LABELS: Record<AiQueryEntity, string> = {
+    equipment: 'Equipamentos',
+    licenses: 'Licenças',
+};
+
+export const RESULT_LABELS: Record<AiQuerySpec['result'], string> = {
+    rows: 'Lista',
+    count: 'Contagem',
+    group: 'Agrupamento',
+};
+
+export const OPERATOR_LABELS: Record<AiQueryOperator, string> = {
+    eq: 'igual a',
+    neq: 'diferente de',
+    contains: 'contém',
+    starts_with: 'começa com',
+    in: 'é um de',
+    gt: 'maior que',
+    gte: 'a partir de',
+    lt: 'menor que',
+    lte: 'até',
+    between: 'entre',
+    is_empty: 'está vazio',
+    not_empty: 'está preenchido',
+};
+
+export const NO_VALUE_OPERATORS: AiQueryOperator[] = ['is_empty', 'not_empty'];
+
+export const aiFieldLabel = (entity: AiQueryEntity, field: string) => entity === 'equipment'
+    ? equipmentFieldLabel(field)
+    : (LICENSE_FIELD_LABELS as Record<string, string>)[field] || field;
+
+const describeFilter = (entity: AiQueryEntity, filter: AiQueryFilter) => {
+    const label = `${aiFieldLabel(entity, filter.field)} ${OPERATOR_LABELS[filter.op]}`;
+    if (NO_VALUE_OPERATORS.includes(filter.op)) return label;
+    if (Array.isArray(filter.value)) {
+        return `${label} ${filter.value.map(value => `"${value}"`).join(filter.op === 'between' ? ' e ' : ', ')}`;
+    }
+    return `${label} "${filter.value}"`;
+};
+
+// Resumo em português da consulta interpretada, para o usuário conferir o que o assistente entendeu
+export const describeAiQuery = (spec: AiQuerySpec) => {
+    const entity = ENTITY_LABELS[spec.entity].toLowerCase();
+    const subject = spec.result === 'count'
+        ? `Quantidade de ${entity}`
+        : spec.result === 'group'
+            ? `${ENTITY_LABELS[spec.entity]} por ${aiFieldLabel(spec.entity, spec.groupBy || '').toLowerCase()}`
+            : `${ENTITY_LABELS[spec.entity]}`;
+    const filters = spec.filters.map(filter => describeFilter(spec.entity, filter));
+    return filters.length > 0 ? `${subject} onde ${filters.join(' e ')}` : `${subject} (sem filtros)`;
+};
@@ -0,0 +1,36 @@
+import { CollaboratorMatchReason, CollaboratorCandidateReason, CollaboratorItemType, OffboardingStatus, OffboardingItemStatus } from '../../types';
+
+// Textos do diretório de colaboradores compartilhados entre perfil, revisão de vínculos e desligamentos
+
+export const MATCH_REASON_LABELS: Record<CollaboratorMatchReason, string> = {
+    record: 'Vinculado manualmente neste item',
+    alias: 'Grafia vinculada na revisão',
+    email: 'Mesmo e-mail',
+    name: 'Mesmo nome',
+    department: 'Mesmo nome e setor'
+};
+
+export const CANDIDATE_REASON_LABELS: Record<CollaboratorCandidateReason, string> = {
+    homonym: 'Mesmo nome (homônimo)',
+    reordered: 'Nomes em outra ordem',
+    partial: 'Nome incompleto',
+    initials: 'Nome abreviado',
+    email_name: 'Nome igual ao do e-mail'
+};
+
+export const ITEM_TYPE_LABELS: Record<CollaboratorItemType, string> = {
+    equipment: 'Equipamento',
+    license: 'Licença'
+};
+
+export const OFFBOARDING_STATUS_LABELS: Record<OffboardingStatus, { text: string; className: string }> = {
+    open: { text: 'Em andamento', className: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/50 dark:text-yellow-200' },
+    completed: { text: 'Concluído', className: 'bg-green-100 text-green-800 dark:bg-green-900/50 dark:text-green-200' },
+    cancelled: { text: 'Cancelado', className: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300' }
+};
+
+export const OFFBOARDING_ITEM_STATUS_LABELS: Record<OffboardingItemStatus, { text: string; className: string }> = {
+    pending: { text: 'Pendente', className: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/50 dark:text-yellow-200' },
+    returned: { text: 'Devolvido', className: 'bg-green-100 text-green-800 dark:bg-green-900/50 dark:text-green-200' },
+    waived: { text: 'Dispensado', className: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300' }
+};
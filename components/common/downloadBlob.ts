@@ -0,0 +1,9 @@
+// Salva um arquivo recebido da API (PDF de termos, etiquetas) com o nome indicado
+export const downloadBlob = (blob: Blob, filename: string) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+};
@@ -0,0 +1,48 @@
+import { Equipment } from '../../types';
+
+// Rótulos em português dos campos de Equipment, usados no histórico e nas telas de importação
+export const EQUIPMENT_FIELD_LABELS: Partial<Record<keyof Equipment, string>> = {
+    equipamento: 'Equipamento',
+    garantia: 'Garantia',
+    patrimonio: 'Patrimônio',
+    serial: 'Serial',
+    usuarioAtual: 'Usuário Atual',
+    usuarioAnterior: 'Usuário Anterior',
+    local: 'Local',
+    setor: 'Setor',
+    dataEntregaUsuario: 'Data Entrega',
+    status: 'Status',
+    dataDevolucao: 'Data Devolução',
+    tipo: 'Tipo',
+    notaCompra: 'Nota Fiscal Compra',
+    notaPlKm: 'Nota PL/KM',
+    termoResponsabilidade: 'Termo de Responsabilidade',
+    brand: 'Marca',
+    model: 'Modelo',
+    observacoes: 'Observações',
+    emailColaborador: 'Email do Colaborador',
+    approval_status: 'Status de Aprovação',
+    rejection_reason: 'Motivo da Rejeição',
+    created_by_id: 'Criado por (ID)',
+    identificador: 'Processador/Specs',
+    nomeSO: 'Sistema Operacional',
+    memoriaFisicaTotal: 'Memória',
+    grupoPoliticas: 'Grupo de Políticas',
+    pais: 'País',
+    cidade: 'Cidade',
+    estadoProvincia: 'Estado/Província',
+    condicaoTermo: 'Condição do Termo',
+    dataCompra: 'Data de Compra',
+    valorCompra: 'Valor de Compra',
+    centroCusto: 'Centro de Custo',
+    empresa: 'Empresa',
+};
+
+export const equipmentFieldLabel = (field: string) => EQUIPMENT_FIELD_LABELS[field as keyof Equipment] || field;
+
+// Campos que uma importação pode preencher: os de aprovação e autoria são sempre definidos pelo servidor
+const SERVER_MANAGED_FIELDS: (keyof Equipment)[] = ['approval_status', 'rejection_reason', 'created_by_id'];
+
+export const IMPORTABLE_EQUIPMENT_FIELD_LABELS: Partial<Record<keyof Equipment, string>> = Object.fromEntries(
+    Object.entries(EQUIPMENT_FIELD_LABELS).filter(([field]) => !SERVER_MANAGED_FIELDS.includes(field as keyof Equipment))
+);
@@ -0,0 +1,26 @@
+import { ApiKeyScope, WebhookEvent, WebhookDeliveryStatus } from '../../types';
+
+// Textos da API pública e dos webhooks compartilhados entre as telas de chaves, webhooks e entregas
+
+export const API_KEY_SCOPE_LABELS: Record<ApiKeyScope, string> = {
+    'equipment:read': 'Consultar equipamentos',
+    'equipment:write': 'Cadastrar, alterar e excluir equipamentos',
+    'licenses:read': 'Consultar licenças',
+    'licenses:write': 'Cadastrar, alterar e excluir licenças',
+    'history:read': 'Consultar o histórico dos equipamentos'
+};
+
+export const WEBHOOK_EVENT_LABELS: Record<WebhookEvent | 'ping', string> = {
+    'equipment.created': 'Equipamento cadastrado',
+    'equipment.updated': 'Equipamento alterado',
+    'equipment.deleted': 'Equipamento excluído',
+    'license.expiring': 'Licença a vencer ou vencida',
+    'approval.decided': 'Aprovação decidida',
+    ping: 'Teste'
+};
+
+export const DELIVERY_STATUS_LABELS: Record<WebhookDeliveryStatus, { text: string; className: string }> = {
+    pending: { text: 'Na fila', className: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/50 dark:text-yellow-200' },
+    delivered: { text: 'Entregue', className: 'bg-green-100 text-green-800 dark:bg-green-900/50 dark:text-green-200' },
+    failed: { text: 'Falhou', className: 'bg-red-100 text-red-800 dark:bg-red-900/50 dark:text-red-200' }
+};
@@ -0,0 +1,19 @@
+import { License } from '../../types';
+
+// Rótulos em português dos campos de License, usados nas telas de importação
+export const LICENSE_FIELD_LABELS: Partial<Record<keyof License, string>> = {
+    produto: 'Produto',
+    tipoLicenca: 'Tipo de Licença',
+    chaveSerial: 'Chave Serial',
+    dataExpiracao: 'Data de Expiração',
+    usuario: 'Usuário',
+    cargo: 'Cargo',
+    empresa: 'Empresa',
+    setor: 'Setor',
+    gestor: 'Gestor',
+    centroCusto: 'Centro de Custo',
+    contaRazao: 'Conta Razão',
+    nomeComputador: 'Nome do Computador',
+    numeroChamado: 'Número do Chamado',
+    observacoes: 'Observações',
+};
@@ -0,0 +1,23 @@
+import { MaintenanceWarrantyStatus } from '../../types';
+
+// Textos e formatos compartilhados entre a aba de manutenção do equipamento e a tela de Manutenção
+
+export const WARRANTY_LABELS: Record<MaintenanceWarrantyStatus, { text: string; className: string }> = {
+    covered: { text: 'Na garantia', className: 'bg-green-100 text-green-800 dark:bg-green-900/50 dark:text-green-200' },
+    expired: { text: 'Fora da garantia', className: 'bg-red-100 text-red-800 dark:bg-red-900/50 dark:text-red-200' },
+    unknown: { text: 'Garantia não informada', className: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300' }
+};
+
+// Status em que o equipamento pode voltar do reparo; vazio mantém o status anterior
+export const RETURN_STATUS_OPTIONS = [
+    { value: '', label: 'Status anterior ao reparo' },
+    { value: 'ESTOQUE', label: 'Estoque' },
+    { value: 'EM USO', label: 'Em Uso' },
+    { value: 'Descartado', label: 'Descartado (sem conserto)' }
+];
+
+export const formatDate = (iso: string | null) => iso ? iso.split('-').reverse().join('/') : '-';
+
+export const formatCurrency = (value: number | null) => value === null ? '-' : value.toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+
+export const formatDays = (days: number) => days === 1 ? '1 dia' : `${days} dias`;
@@ -0,0 +1,33 @@
+import { PasswordPolicy } from '../../types';
+import { getPublicSettings } from '../../services/apiService';
+
+// A política vem da configuração pública (disponível antes do login); uma requisição atende todos os formulários
+let policyRequest: Promise<PasswordPolicy> | null = null;
+export const loadPasswordPolicy = () => {
+    if (!policyRequest) {
+        policyRequest = getPublicSettings().then(settings => settings.passwordPolicy).catch(error => {
+            policyRequest = null;
+            throw error;
+        });
+    }
+    return policyRequest;
+};
+
+// Depois que um administrador altera a política, os formulários passam a usar a nova versão
+export const setCachedPasswordPolicy = (policy: PasswordPolicy) => {
+    policyRequest = Promise.resolve(policy);
+};
+
+export interface PasswordRule {
+    label: string;
+    test: (password: string) => boolean;
+}
+
+// Mesmas regras que o servidor aplica (accountSecurity.js), para mostrar o que falta enquanto o usuário digita
+export const passwordRules = (policy: PasswordPolicy): PasswordRule[] => [
+    { label: `Pelo menos ${policy.minLength} caracteres`, test: password => password.length >= policy.minLength },
+    ...(policy.requireUppercase ? [{ label: 'Uma letra maiúscula', test: (password: string) => /[A-Z]/.test(password) }] : []),
+    ...(policy.requireLowercase ? [{ label: 'Uma letra minúscula', test: (password: string) => /[a-z]/.test(password) }] : []),
+    ...(policy.requireNumber ? [{ label: 'Um número', test: (password: string) => /[0-9]/.test(password) }] : []),
+    ...(policy.requireSymbol ? [{ label: 'Um símbolo (ex.: ! @ # $)', test: (password: string) => /[^A-Za-z0-9]/.test(password) }] : []),
+];
@@ -0,0 +1,27 @@
+// Auditoria física ativa neste dispositivo: enquanto houver uma, cada etiqueta lida registra o equipamento como encontrado
+const STORAGE_KEY = 'activePhysicalAudit';
+
+export interface ActivePhysicalAudit {
+    id: number;
+    name: string;
+}
+
+export const getActivePhysicalAudit = (): ActivePhysicalAudit | null => {
+    try {
+        const saved = localStorage.getItem(STORAGE_KEY);
+        return saved ? JSON.parse(saved) : null;
+    } catch {
+        return null;
+    }
+};
+
+export const setActivePhysicalAudit = (audit: ActivePhysicalAudit) => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ id: audit.id, name: audit.name }));
+};
+
+export const clearActivePhysicalAudit = () => {
+    localStorage.removeItem(STORAGE_KEY);
+};
+
+// Endereço da página de um equipamento, o mesmo gravado nos QR codes das etiquetas
+export const ASSET_HASH_PATTERN = /^#\/ativo\/(\d+)\/?$/;
@@ -0,0 +1,35 @@
+import { IMPORTABLE_EQUIPMENT_FIELD_LABELS } from './equipmentFields';
+
+// Placeholders calculados dos termos; qualquer campo do equipamento também pode ser usado como {{campo}}.
+// Mantido em sincronia com COMPUTED_PLACEHOLDERS em inventario-api/termos.js.
+export const TERMO_COMPUTED_PLACEHOLDERS: Record<string, string> = {
+    USUARIO: 'Colaborador do termo',
+    EQUIPAMENTO: 'Nome do equipamento',
+    SERIAL: 'Serial',
+    PATRIMONIO: 'Patrimônio',
+    EMPRESA: 'Nome da empresa',
+    DATA: 'Data de geração por extenso',
+    DATA_ENTREGA: 'Data de entrega',
+    DATA_DEVOLUCAO: 'Data de devolução',
+};
+
+export const TERMO_FIELD_PLACEHOLDERS: Record<string, string> = IMPORTABLE_EQUIPMENT_FIELD_LABELS as Record<string, string>;
+
+export const TERMO_PLACEHOLDER_REGEX = /{{\s*([^{}]*?)\s*}}/g;
+
+// Mesmas regras e mensagens do servidor: placeholders desconhecidos ou chaves sem par
+export const validateTermoTemplate = (template: string): string | null => {
+    if (!template) return null;
+    const unknown = new Set<string>();
+    for (const [, key] of template.matchAll(TERMO_PLACEHOLDER_REGEX)) {
+        if (!(key in TERMO_COMPUTED_PLACEHOLDERS) && !(key in TERMO_FIELD_PLACEHOLDERS)) unknown.add(`{{${key}}}`);
+    }
+    if (unknown.size > 0) {
+        return `Placeholder(s) desconhecido(s): ${[...unknown].join(', ')}.`;
+    }
+    const leftover = template.replace(TERMO_PLACEHOLDER_REGEX, '');
+    if (leftover.includes('{{') || leftover.includes('}}')) {
+        return 'Há chaves "{{" ou "}}" sem par no modelo.';
+    }
+    return null;
+};
@@ -0,0 +1,53 @@
+import { useState, useCallback } from 'react';
+import { AiQueryResult, AiQuerySpec } from '../../types';
+import { askAiQuery, runAiQuerySpec } from '../../services/apiService';
+
+export interface AiTurn {
+    question: string;
+    result?: AiQueryResult;
+    error?: string;
+}
+
+// O servidor só considera as últimas perguntas; mandar mais que isso não muda a resposta
+const HISTORY_TURNS = 5;
+
+/**
+ * Conversa com o assistente: cada pergunta vai com as consultas anteriores, para que perguntas de
+ * continuação ("e desses, quais são Dell?") partam do que já foi filtrado. Uma consulta editada
+ * à mão substitui a interpretada e passa a ser o contexto das próximas perguntas.
+ */
+const useAiConversation = () => {
+    const [turns, setTurns] = useState<AiTurn[]>([]);
+    const [isAsking, setIsAsking] = useState(false);
+
+    const ask = useCallback(async (question: string) => {
+        const text = question.trim();
+        if (!text) return;
+        const history = turns
+            .filter(turn => turn.result)
+            .slice(-HISTORY_TURNS)
+            .map(turn => ({ question: turn.question, spec: turn.result!.spec }));
+
+        setIsAsking(true);
+        try {
+            const result = await askAiQuery(text, history);
+            setTurns(prev => [...prev, { question: text, result }]);
+        } catch (e: any) {
+            setTurns(prev => [...prev, { question: text, error: e.message || 'Falha na comunicação com o serviço de IA.' }]);
+        } finally {
+            setIsAsking(false);
+        }
+    }, [turns]);
+
+    // Executa a consulta editada no lugar da resposta da pergunta `index`. Erros de validação sobem para o editor.
+    const rerun = useCallback(async (index: number, spec: AiQuerySpec) => {
+        const result = await runAiQuerySpec(spec);
+        setTurns(prev => prev.map((turn, i) => i === index ? { question: turn.question, result } : turn));
+    }, []);
+
+    const reset = useCallback(() => setTurns([]), []);
+
+    return { turns, isAsking, ask, rerun, reset };
+};
+
+export default useAiConversation;
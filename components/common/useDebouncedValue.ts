@@ -0,0 +1,15 @@
+import { useState, useEffect } from 'react';
+
+// Valor que só acompanha `value` depois de `delay` ms sem mudanças: evita uma consulta ao servidor a cada tecla digitada
+const useDebouncedValue = <T>(value: T, delay = 300): T => {
+    const [debounced, setDebounced] = useState(value);
+
+    useEffect(() => {
+        const timer = setTimeout(() => setDebounced(value), delay);
+        return () => clearTimeout(timer);
+    }, [value, delay]);
+
+    return debounced;
+};
+
+export default useDebouncedValue;
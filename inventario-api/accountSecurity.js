@@ -0,0 +1,436 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const db = require('./db');
+const { logAudit } = require('./audit');
+const { getSmtpConfig, sendMail } = require('./mailer');
+const { getAssetBaseUrl } = require('./assetLabels');
+
+const SALT_ROUNDS = parseInt(process.env.BCRYPT_SALT_ROUNDS || '10');
+
+// Credentials the seed migration gives the first Admin; logging in with them forces a password change
+const DEFAULT_ADMIN_USERNAME = 'admin';
+const DEFAULT_ADMIN_PASSWORD = 'marceloadmin';
+
+const POLICY_KEY = 'passwordPolicy';
+// expiryDays 0 = passwords never expire; historySize 0 = only the current password cannot be reused
+const DEFAULT_POLICY = {
+    minLength: 8,
+    requireUppercase: true,
+    requireLowercase: true,
+    requireNumber: true,
+    requireSymbol: false,
+    expiryDays: 0,
+    historySize: 3
+};
+
+const positiveIntFromEnv = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isInteger(value) && value > 0 ? value : fallback;
+};
+
+// Throttling: consecutive failures lock the account; failures from one IP (any username) block that IP for a while
+const MAX_FAILURES_PER_USER = positiveIntFromEnv('LOGIN_MAX_FAILURES', 5);
+const LOCK_MINUTES = positiveIntFromEnv('LOGIN_LOCK_MINUTES', 15);
+const MAX_FAILURES_PER_IP = positiveIntFromEnv('LOGIN_MAX_FAILURES_PER_IP', 20);
+const IP_WINDOW_MINUTES = positiveIntFromEnv('LOGIN_IP_WINDOW_MINUTES', 15);
+
+const RESET_TOKEN_TTL_MINUTES = 30;
+const MAX_RESET_REQUESTS_PER_HOUR = 3;
+
+// Same message for an unknown username and a wrong password, so the login form cannot be used to find accounts
+const INVALID_CREDENTIALS = 'Usuário ou senha inválidos.';
+
+// Reasons a login ends on the password change screen instead of a session
+const CHANGE_REASONS = {
+    DEFAULT: 'default',
+    REQUIRED: 'required',
+    EXPIRED: 'expired'
+};
+
+// Errors carry the HTTP status the route should answer with
+const securityError = (status, message, errors) => Object.assign(new Error(message), { status }, errors ? { errors } : {});
+
+const minutesLabel = (seconds) => {
+    const minutes = Math.max(1, Math.ceil(seconds / 60));
+    return `${minutes} minuto${minutes === 1 ? '' : 's'}`;
+};
+
+// ---------------------------------------------------------------
+// Password policy
+// ---------------------------------------------------------------
+
+const getPasswordPolicy = async (executor = db.promise()) => {
+    const [rows] = await executor.query('SELECT config_value FROM app_config WHERE config_key = ?', [POLICY_KEY]);
+    let saved = {};
+    try {
+        saved = rows.length > 0 && rows[0].config_value ? JSON.parse(rows[0].config_value) : {};
+    } catch (e) {
+        saved = {};
+    }
+    return { ...DEFAULT_POLICY, ...saved };
+};
+
+// Returns { value } or { errors } in the shape validation.js uses for 400 responses
+const validatePasswordPolicy = (input) => {
+    const errors = {};
+    const body = input && typeof input === 'object' ? input : {};
+    const integerField = (field, min, max) => {
+        const value = Number(body[field]);
+        if (!Number.isInteger(value) || value < min || value > max) {
+            errors[field] = `Informe um número inteiro entre ${min} e ${max}.`;
+        }
+        return value;
+    };
+    const minLength = integerField('minLength', 6, 128);
+    const expiryDays = integerField('expiryDays', 0, 3650);
+    const historySize = integerField('historySize', 0, 24);
+    ['requireUppercase', 'requireLowercase', 'requireNumber', 'requireSymbol'].forEach(field => {
+        if (typeof body[field] !== 'boolean') {
+            errors[field] = 'Deve ser verdadeiro ou falso.';
+        }
+    });
+    if (Object.keys(errors).length > 0) return { errors };
+    return {
+        value: {
+            minLength,
+            requireUppercase: body.requireUppercase,
+            requireLowercase: body.requireLowercase,
+            requireNumber: body.requireNumber,
+            requireSymbol: body.requireSymbol,
+            expiryDays,
+            historySize
+        }
+    };
+};
+
+const savePasswordPolicy = (policy) => db.promise().query(
+    'INSERT INTO app_config (config_key, config_value) VALUES (?, ?) ON DUPLICATE KEY UPDATE config_value = VALUES(config_value)',
+    [POLICY_KEY, JSON.stringify(policy)]
+);
+
+// Returns the rules the password breaks, as messages for the user (empty when it complies)
+const checkPasswordStrength = (password, policy) => {
+    const problems = [];
+    if (password.length < policy.minLength) problems.push(`ter pelo menos ${policy.minLength} caracteres`);
+    if (policy.requireUppercase && !/[A-Z]/.test(password)) problems.push('conter uma letra maiúscula');
+    if (policy.requireLowercase && !/[a-z]/.test(password)) problems.push('conter uma letra minúscula');
+    if (policy.requireNumber && !/[0-9]/.test(password)) problems.push('conter um número');
+    if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) problems.push('conter um símbolo');
+    return problems;
+};
+
+const describeProblems = (problems) => `A senha deve ${problems.join(', ')}.`;
+
+// Throws a 400 with { errors: { [field]: message } } when the new password breaks the policy or repeats a recent one
+const assertNewPasswordAllowed = async (user, password, field = 'newPassword') => {
+    if (typeof password !== 'string' || password.length === 0) {
+        throw securityError(400, 'Existem campos inválidos. Corrija-os e tente novamente.', { [field]: 'Informe a nova senha.' });
+    }
+    if (password.length > 256) {
+        throw securityError(400, 'Existem campos inválidos. Corrija-os e tente novamente.', { [field]: 'A senha deve ter no máximo 256 caracteres.' });
+    }
+    const policy = await getPasswordPolicy();
+    const problems = checkPasswordStrength(password, policy);
+    if (problems.length > 0) {
+        throw securityError(400, 'Existem campos inválidos. Corrija-os e tente novamente.', { [field]: describeProblems(problems) });
+    }
+    if (user.username === DEFAULT_ADMIN_USERNAME && password === DEFAULT_ADMIN_PASSWORD) {
+        throw securityError(400, 'Existem campos inválidos. Corrija-os e tente novamente.', { [field]: 'Escolha uma senha diferente da senha padrão de instalação.' });
+    }
+
+    const [history] = policy.historySize > 0
+        ? await db.promise().query('SELECT password_hash FROM password_history WHERE user_id = ? ORDER BY id DESC LIMIT ?', [user.id, policy.historySize])
+        : [[]];
+    const previousHashes = [user.password, ...history.map(row => row.password_hash)].filter(Boolean);
+    if (previousHashes.some(hash => bcrypt.compareSync(password, hash))) {
+        const message = policy.historySize > 0
+            ? `A nova senha não pode repetir a senha atual nem as ${policy.historySize} últimas.`
+            : 'A nova senha deve ser diferente da atual.';
+        throw securityError(400, 'Existem campos inválidos. Corrija-os e tente novamente.', { [field]: message });
+    }
+};
+
+// Bookkeeping shared by every way a password changes: timestamp, forced-change flag, lock and reuse history
+const recordPasswordChange = async (userId, passwordHash, { mustChange = false } = {}) => {
+    await db.promise().query(
+        'UPDATE users SET passwordChangedAt = NOW(), mustChangePassword = ?, failedLoginAttempts = 0, lockedUntil = NULL WHERE id = ?',
+        [mustChange, userId]
+    );
+    await db.promise().query('INSERT INTO password_history (user_id, password_hash) VALUES (?, ?)', [userId, passwordHash]);
+    // Keeps only what the largest allowed policy could ask for
+    await db.promise().query(
+        `DELETE FROM password_history WHERE user_id = ? AND id NOT IN (
+            SELECT id FROM (SELECT id FROM password_history WHERE user_id = ? ORDER BY id DESC LIMIT 24) AS recent
+        )`,
+        [userId, userId]
+    );
+};
+
+const setPassword = async (user, password, options) => {
+    const hash = bcrypt.hashSync(password, SALT_ROUNDS);
+    await db.promise().query('UPDATE users SET password = ? WHERE id = ?', [hash, user.id]);
+    await recordPasswordChange(user.id, hash, options);
+};
+
+// Why this successful login must change its password first, or null. SSO accounts have no local password to change.
+const getPasswordChangeReason = async (user, submittedPassword) => {
+    if (user.ssoProvider) return null;
+    if (user.username === DEFAULT_ADMIN_USERNAME && submittedPassword === DEFAULT_ADMIN_PASSWORD) return CHANGE_REASONS.DEFAULT;
+    if (user.mustChangePassword) return CHANGE_REASONS.REQUIRED;
+    const policy = await getPasswordPolicy();
+    if (policy.expiryDays > 0) {
+        const [rows] = await db.promise().query(
+            'SELECT passwordChangedAt IS NULL OR passwordChangedAt < DATE_SUB(NOW(), INTERVAL ? DAY) AS isExpired FROM users WHERE id = ?',
+            [policy.expiryDays, user.id]
+        );
+        if (rows.length > 0 && Number(rows[0].isExpired) === 1) return CHANGE_REASONS.EXPIRED;
+    }
+    return null;
+};
+
+// Self-service change (also the forced change right after login): the current password is always required
+const changePassword = async (userId, currentPassword, newPassword) => {
+    const [users] = await db.promise().query('SELECT * FROM users WHERE id = ?', [userId]);
+    const user = users[0];
+    if (!user) {
+        throw securityError(404, 'Usuário não encontrado.');
+    }
+    if (user.ssoProvider) {
+        throw securityError(400, 'A senha desta conta é gerenciada pelo provedor de SSO.');
+    }
+    if (!bcrypt.compareSync(String(currentPassword || ''), user.password)) {
+        throw securityError(400, 'Existem campos inválidos. Corrija-os e tente novamente.', { currentPassword: 'Senha atual incorreta.' });
+    }
+    await assertNewPasswordAllowed(user, newPassword);
+    await setPassword(user, newPassword);
+    await logAudit(user.username, 'PASSWORD_CHANGE', 'USER', user.id, 'Password changed by the user');
+    const [updated] = await db.promise().query('SELECT * FROM users WHERE id = ?', [userId]);
+    return updated[0];
+};
+
+// Password set by an Admin/User Manager in user management (validated before the handler, recorded after it):
+// it is a temporary password, so the user must replace it on the next login unless they edited their own account.
+const validateAdministrativePassword = async (req, res, next) => {
+    const password = req.body && req.body.user ? req.body.user.password : undefined;
+    if (password === undefined || password === null || password === '') {
+        return next();
+    }
+    const problems = typeof password === 'string' ? checkPasswordStrength(password, await getPasswordPolicy().catch(() => DEFAULT_POLICY)) : ['ser um texto'];
+    if (problems.length > 0) {
+        return res.status(400).json({ message: 'Existem campos inválidos. Corrija-os e tente novamente.', errors: { password: describeProblems(problems) } });
+    }
+
+    res.on('finish', async () => {
+        if (res.statusCode >= 300) return;
+        try {
+            const [users] = req.params.id
+                ? await db.promise().query('SELECT id, username, password FROM users WHERE id = ?', [req.params.id])
+                : await db.promise().query('SELECT id, username, password FROM users WHERE username = ?', [req.body.user.username]);
+            if (users.length === 0) return;
+            const target = users[0];
+            const mustChange = target.id !== req.user.id;
+            await recordPasswordChange(target.id, target.password, { mustChange });
+            await logAudit(req.user.username, 'PASSWORD_CHANGE', 'USER', target.id,
+                `Password of ${target.username} set by ${req.user.username}${mustChange ? '; change required on next login' : ''}`);
+        } catch (error) {
+            console.error('Failed to record administrative password change:', error.message);
+        }
+    });
+    next();
+};
+
+// ---------------------------------------------------------------
+// Login throttling (password and 2FA code)
+// ---------------------------------------------------------------
+
+// Runs before the password is checked: a blocked IP or a locked account gets a 429 whatever the password is
+const assertLoginAllowed = async (username, ip) => {
+    const [ipRows] = await db.promise().query(
+        `SELECT COUNT(*) AS failures, TIMESTAMPDIFF(SECOND, NOW(), DATE_ADD(MIN(attempted_at), INTERVAL ? MINUTE)) AS retryAfter
+         FROM login_attempts WHERE ip_address = ? AND attempted_at > DATE_SUB(NOW(), INTERVAL ? MINUTE)`,
+        [IP_WINDOW_MINUTES, ip, IP_WINDOW_MINUTES]
+    );
+    if (ipRows[0].failures >= MAX_FAILURES_PER_IP) {
+        await logAudit(username || null, 'LOGIN_THROTTLED', 'USER', null, `Login blocked for IP ${ip} after ${ipRows[0].failures} failed attempts`);
+        throw securityError(429, `Muitas tentativas de login a partir deste endereço. Tente novamente em ${minutesLabel(ipRows[0].retryAfter)}.`);
+    }
+
+    const [userRows] = await db.promise().query(
+        'SELECT id, TIMESTAMPDIFF(SECOND, NOW(), lockedUntil) AS lockedFor FROM users WHERE username = ? AND lockedUntil > NOW()',
+        [username]
+    );
+    if (userRows.length > 0) {
+        await logAudit(username, 'LOGIN_THROTTLED', 'USER', userRows[0].id, `Login attempt from ${ip} while the account is locked`);
+        throw securityError(429, `Conta bloqueada temporariamente após várias tentativas inválidas. Tente novamente em ${minutesLabel(userRows[0].lockedFor)} ou redefina sua senha.`);
+    }
+};
+
+// Records a failed attempt (user may be null for an unknown username); returns the 401/429 error to answer with
+const recordLoginFailure = async (user, username, ip) => {
+    await db.promise().query('INSERT INTO login_attempts (username, ip_address) VALUES (?, ?)', [String(username || '').slice(0, 255), ip]);
+    await db.promise().query('DELETE FROM login_attempts WHERE attempted_at < DATE_SUB(NOW(), INTERVAL 1 DAY)');
+
+    if (!user) {
+        await logAudit(username || null, 'LOGIN_FAILED', 'USER', null, `Failed login for unknown username from ${ip}`);
+        return securityError(401, INVALID_CREDENTIALS);
+    }
+
+    const failures = (user.failedLoginAttempts || 0) + 1;
+    await logAudit(user.username, 'LOGIN_FAILED', 'USER', user.id, `Wrong password from ${ip} (${failures}/${MAX_FAILURES_PER_USER})`);
+    if (failures < MAX_FAILURES_PER_USER) {
+        await db.promise().query('UPDATE users SET failedLoginAttempts = ? WHERE id = ?', [failures, user.id]);
+        return securityError(401, INVALID_CREDENTIALS);
+    }
+
+    await db.promise().query('UPDATE users SET failedLoginAttempts = 0, lockedUntil = DATE_ADD(NOW(), INTERVAL ? MINUTE) WHERE id = ?', [LOCK_MINUTES, user.id]);
+    await logAudit(user.username, 'ACCOUNT_LOCKED', 'USER', user.id, `Account locked for ${LOCK_MINUTES} minutes after ${failures} failed logins`);
+    return securityError(429, `Conta bloqueada temporariamente após várias tentativas inválidas. Tente novamente em ${minutesLabel(LOCK_MINUTES * 60)} ou redefina sua senha.`);
+};
+
+const recordLoginSuccess = (user) => db.promise().query('UPDATE users SET failedLoginAttempts = 0, lockedUntil = NULL WHERE id = ?', [user.id]);
+
+// Wrong 2FA codes have their own counter, which a correct password does not reset: otherwise anyone who knows
+// the password could keep guessing codes by logging in again before each lock. Reaching the limit locks the
+// account like wrong passwords do. Returns the 400/429 error to answer with.
+const recordSecondFactorFailure = async (user, ip) => {
+    await db.promise().query('INSERT INTO login_attempts (username, ip_address) VALUES (?, ?)', [user.username, ip]);
+
+    const failures = (user.failed2FAAttempts || 0) + 1;
+    await logAudit(user.username, '2FA_FAILED', 'USER', user.id, `Wrong verification code from ${ip} (${failures}/${MAX_FAILURES_PER_USER})`);
+    if (failures < MAX_FAILURES_PER_USER) {
+        await db.promise().query('UPDATE users SET failed2FAAttempts = ? WHERE id = ?', [failures, user.id]);
+        return securityError(400, 'Código de verificação inválido.');
+    }
+
+    await db.promise().query('UPDATE users SET failed2FAAttempts = 0, lockedUntil = DATE_ADD(NOW(), INTERVAL ? MINUTE) WHERE id = ?', [LOCK_MINUTES, user.id]);
+    await logAudit(user.username, 'ACCOUNT_LOCKED', 'USER', user.id, `Account locked for ${LOCK_MINUTES} minutes after ${failures} wrong verification codes`);
+    return securityError(429, `Conta bloqueada temporariamente após vários códigos de verificação inválidos. Tente novamente em ${minutesLabel(LOCK_MINUTES * 60)}.`);
+};
+
+const recordSecondFactorSuccess = (user) => db.promise().query('UPDATE users SET failed2FAAttempts = 0 WHERE id = ?', [user.id]);
+
+// ---------------------------------------------------------------
+// Password reset by e-mail
+// ---------------------------------------------------------------
+// Only a SHA-256 of the token is stored; the token itself exists only in the e-mailed link.
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const RESET_REQUEST_MESSAGE = 'Se existir uma conta com esses dados, enviaremos um e-mail com as instruções para redefinir a senha.';
+
+/**
+ * E-mails a single-use reset link. The link is built only from the configured system address
+ * (Settings, then APP_BASE_URL), never from the request: this route is public, and a forged Host
+ * header or return address would send the token to someone else's site. Known and unknown accounts
+ * get the same answer, even when the e-mail fails, so the route cannot be used to find accounts.
+ */
+const requestPasswordReset = async (identifier, ip) => {
+    const value = String(identifier || '').trim();
+    if (!value) {
+        throw securityError(400, 'Existem campos inválidos. Corrija-os e tente novamente.', { identifier: 'Informe o usuário ou o e-mail.' });
+    }
+    const smtp = await getSmtpConfig();
+    if (!smtp.host) {
+        throw securityError(503, 'A recuperação de senha não está disponível: o servidor de e-mail (SMTP) não foi configurado. Procure um administrador.');
+    }
+    const appUrl = await getAssetBaseUrl();
+    if (!appUrl) {
+        throw securityError(503, 'A recuperação de senha não está disponível: o endereço do sistema não foi configurado. Procure um administrador.');
+    }
+
+    const [users] = await db.promise().query('SELECT * FROM users WHERE username = ? OR email = ? LIMIT 1', [value, value]);
+    const user = users[0];
+    if (!user || user.ssoProvider) {
+        return RESET_REQUEST_MESSAGE;
+    }
+
+    const [recent] = await db.promise().query(
+        'SELECT COUNT(*) AS total FROM password_reset_tokens WHERE user_id = ? AND created_at > DATE_SUB(NOW(), INTERVAL 1 HOUR)',
+        [user.id]
+    );
+    if (recent[0].total >= MAX_RESET_REQUESTS_PER_HOUR) {
+        await logAudit(user.username, 'PASSWORD_RESET_REQUEST', 'USER', user.id, `Reset request from ${ip} ignored: hourly limit reached`);
+        return RESET_REQUEST_MESSAGE;
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    await db.promise().query(
+        'INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, requested_ip) VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE), ?)',
+        [user.id, hashToken(token), RESET_TOKEN_TTL_MINUTES, ip]
+    );
+
+    const link = `${appUrl}/#/redefinir-senha/${token}`;
+    const escape = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    try {
+        await sendMail({
+            to: user.email,
+            subject: `${smtp.companyName} - Redefinição de senha`,
+            text: `Olá, ${user.realName}.\n\nRecebemos um pedido para redefinir a senha do usuário ${user.username}. Para escolher uma nova senha, acesse o link abaixo em até ${RESET_TOKEN_TTL_MINUTES} minutos:\n\n${link}\n\nO link só pode ser usado uma vez. Se você não fez este pedido, ignore este e-mail: sua senha atual continua valendo.`,
+            html: `<p>Olá, ${escape(user.realName)}.</p><p>Recebemos um pedido para redefinir a senha do usuário <strong>${escape(user.username)}</strong>. Para escolher uma nova senha, acesse o link abaixo em até ${RESET_TOKEN_TTL_MINUTES} minutos:</p><p><a href="${link}">Redefinir minha senha</a></p><p>O link só pode ser usado uma vez. Se você não fez este pedido, ignore este e-mail: sua senha atual continua valendo.</p>`
+        });
+    } catch (error) {
+        console.error('Failed to send password reset e-mail:', error.message);
+        await logAudit(user.username, 'PASSWORD_RESET_REQUEST', 'USER', user.id, `Password reset link could not be sent to ${user.email} (requested from ${ip}): ${error.message}`);
+        return RESET_REQUEST_MESSAGE;
+    }
+    await logAudit(user.username, 'PASSWORD_RESET_REQUEST', 'USER', user.id, `Password reset link sent to ${user.email} (requested from ${ip})`);
+    return RESET_REQUEST_MESSAGE;
+};
+
+const INVALID_TOKEN_MESSAGE = 'Link de redefinição inválido, expirado ou já utilizado. Solicite um novo.';
+
+const findResetToken = async (token) => {
+    const [rows] = await db.promise().query(
+        `SELECT t.id AS tokenId, u.* FROM password_reset_tokens t JOIN users u ON u.id = t.user_id
+         WHERE t.token_hash = ? AND t.used_at IS NULL AND t.expires_at > NOW()`,
+        [hashToken(token)]
+    );
+    return rows[0] || null;
+};
+
+// Lets the reset screen tell an expired link apart before the user types a new password
+const checkResetToken = async (token) => {
+    const row = await findResetToken(token);
+    if (!row || row.ssoProvider) {
+        throw securityError(400, INVALID_TOKEN_MESSAGE);
+    }
+    return { username: row.username };
+};
+
+// Single use: marks the token used, invalidates the user's other pending tokens and unlocks the account
+const resetPassword = async (token, newPassword, ip) => {
+    const row = await findResetToken(token);
+    if (!row || row.ssoProvider) {
+        throw securityError(400, INVALID_TOKEN_MESSAGE);
+    }
+    const { tokenId, ...user } = row;
+    await assertNewPasswordAllowed(user, newPassword);
+
+    const [claimed] = await db.promise().query('UPDATE password_reset_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL', [tokenId]);
+    if (claimed.affectedRows === 0) {
+        throw securityError(400, INVALID_TOKEN_MESSAGE);
+    }
+    await db.promise().query('UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL', [user.id]);
+    await setPassword(user, newPassword);
+    await logAudit(user.username, 'PASSWORD_RESET', 'USER', user.id, `Password reset through the e-mailed link from ${ip}`);
+};
+
+module.exports = {
+    DEFAULT_ADMIN_USERNAME,
+    DEFAULT_ADMIN_PASSWORD,
+    CHANGE_REASONS,
+    getPasswordPolicy,
+    validatePasswordPolicy,
+    savePasswordPolicy,
+    getPasswordChangeReason,
+    changePassword,
+    validateAdministrativePassword,
+    assertLoginAllowed,
+    recordLoginFailure,
+    recordLoginSuccess,
+    recordSecondFactorFailure,
+    recordSecondFactorSuccess,
+    requestPasswordReset,
+    checkResetToken,
+    resetPassword
+};
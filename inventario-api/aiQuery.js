@@ -0,0 +1,309 @@
+const fetch = require('node-fetch');
+const db = require('./db');
+const { EQUIPMENT_SCHEMA, LICENSE_SCHEMA, normalizeDate } = require('./validation');
+const { LIST_SPECS, getFilterOptions } = require('./listQuery');
+
+// OLLAMA CONFIGURATION. OLLAMA_URL can point at ollamaStub.js to run without a model.
+const OLLAMA_URL = process.env.OLLAMA_URL || 'http://127.0.0.1:11434';
+const LOCAL_MODEL = process.env.LOCAL_MODEL || 'llama3.2'; // Modelo Llama 3.2 (3B) - Mais inteligente e robusto
+const OLLAMA_TIMEOUT_MS = parseInt(process.env.OLLAMA_TIMEOUT_MS || '60000', 10);
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+// Follow-up questions only see the last few turns; small local models lose track with more
+const MAX_HISTORY_TURNS = 5;
+const MAX_QUESTION_LENGTH = 500;
+const MAX_SAMPLE_VALUES = 30;
+
+/*
+ * A query spec is the only thing the model produces. It is validated against these whitelists
+ * before any SQL is built, and the same spec is returned to the client so the user can check
+ * and edit what was understood:
+ *   { entity, filters: [{ field, op, value }], result: 'rows' | 'count' | 'group', groupBy, sort: { field, order }, limit }
+ */
+const UNQUERYABLE_FIELDS = ['foto', 'qrCode', 'approval_status', 'rejection_reason', 'created_by_id'];
+
+const fieldsOf = (schema) => Object.entries(schema)
+    .filter(([name]) => !UNQUERYABLE_FIELDS.includes(name))
+    .map(([name, rule]) => ({ name, type: ['date', 'integer'].includes(rule.type) ? rule.type : 'text' }));
+
+const ENTITIES = {
+    equipment: { listSpec: LIST_SPECS.equipment, fields: fieldsOf(EQUIPMENT_SCHEMA), description: 'equipamentos do inventário' },
+    licenses: { listSpec: LIST_SPECS.licenses, fields: fieldsOf(LICENSE_SCHEMA), description: 'licenças de software' }
+};
+
+const OPERATORS_BY_TYPE = {
+    text: ['eq', 'neq', 'contains', 'starts_with', 'in', 'is_empty', 'not_empty'],
+    date: ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'between', 'is_empty', 'not_empty'],
+    integer: ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'between', 'is_empty', 'not_empty']
+};
+const RESULT_TYPES = ['rows', 'count', 'group'];
+const NO_VALUE_OPERATORS = ['is_empty', 'not_empty'];
+
+const queryError = (status, message) => Object.assign(new Error(message), { status });
+
+const escapeLike = (value) => value.replace(/[\\%_]/g, match => `\\${match}`);
+
+// Field catalogue for the spec editor and for the prompt
+const getQuerySchema = () => ({
+    entities: Object.fromEntries(Object.entries(ENTITIES).map(([name, entity]) => [name, { fields: entity.fields }])),
+    operators: OPERATORS_BY_TYPE,
+    resultTypes: RESULT_TYPES,
+    maxLimit: MAX_LIMIT
+});
+
+const normalizeValue = (type, value) => {
+    if (type === 'date') return normalizeDate(value);
+    if (type === 'integer') {
+        const number = Number(value);
+        return Number.isInteger(number) ? number : null;
+    }
+    if (typeof value === 'number') return String(value);
+    return typeof value === 'string' && value.trim() !== '' ? value.trim() : null;
+};
+
+const validateFilter = (entity, filter, index, errors) => {
+    const key = `filters[${index}]`;
+    const field = entity.fields.find(candidate => candidate.name === (filter && filter.field));
+    if (!field) {
+        errors[`${key}.field`] = `Campo desconhecido: "${filter && filter.field}".`;
+        return null;
+    }
+    const op = filter.op || 'eq';
+    if (!OPERATORS_BY_TYPE[field.type].includes(op)) {
+        errors[`${key}.op`] = `Operador "${op}" não se aplica ao campo ${field.name}.`;
+        return null;
+    }
+    if (NO_VALUE_OPERATORS.includes(op)) {
+        return { field: field.name, op };
+    }
+    if (op === 'in' || op === 'between') {
+        const values = Array.isArray(filter.value) ? filter.value.map(value => normalizeValue(field.type, value)) : [];
+        const expected = op === 'between' ? values.length === 2 : values.length > 0;
+        if (!expected || values.some(value => value === null)) {
+            errors[`${key}.value`] = op === 'between'
+                ? 'Informe dois valores válidos (início e fim).'
+                : 'Informe uma lista de valores.';
+            return null;
+        }
+        return { field: field.name, op, value: values };
+    }
+    const value = normalizeValue(field.type, filter.value);
+    if (value === null) {
+        errors[`${key}.value`] = field.type === 'date' ? 'Data inválida. Use o formato AAAA-MM-DD.' : 'Informe um valor.';
+        return null;
+    }
+    return { field: field.name, op, value };
+};
+
+/**
+ * Checks a spec from the model or from the editor. Returns { value } with defaults filled in,
+ * or { errors } keyed by path (filters[0].field, groupBy...) like the other 400 responses.
+ */
+const validateQuerySpec = (input) => {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { errors: { spec: 'Consulta inválida.' } };
+    }
+    const errors = {};
+    const entityName = input.entity || 'equipment';
+    const entity = ENTITIES[entityName];
+    if (!entity) {
+        return { errors: { entity: `Use ${Object.keys(ENTITIES).join(' ou ')}.` } };
+    }
+    const hasField = (name) => entity.fields.some(field => field.name === name);
+
+    const rawFilters = input.filters === undefined ? [] : input.filters;
+    if (!Array.isArray(rawFilters)) {
+        errors.filters = 'Deve ser uma lista de filtros.';
+    }
+    const filters = (Array.isArray(rawFilters) ? rawFilters : [])
+        .map((filter, index) => validateFilter(entity, filter, index, errors))
+        .filter(Boolean);
+
+    const result = input.result || 'rows';
+    if (!RESULT_TYPES.includes(result)) {
+        errors.result = `Use ${RESULT_TYPES.join(', ')}.`;
+    }
+    const groupBy = result === 'group' ? input.groupBy : undefined;
+    if (result === 'group' && !hasField(groupBy)) {
+        errors.groupBy = `Campo de agrupamento inválido: "${groupBy}".`;
+    }
+
+    let sort;
+    if (input.sort && input.sort.field) {
+        const order = String(input.sort.order || 'asc').toLowerCase();
+        if (!hasField(input.sort.field)) errors['sort.field'] = `Não é possível ordenar por "${input.sort.field}".`;
+        if (!['asc', 'desc'].includes(order)) errors['sort.order'] = 'Use "asc" ou "desc".';
+        sort = { field: input.sort.field, order };
+    }
+
+    const limit = input.limit === undefined ? DEFAULT_LIMIT : Number(input.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        errors.limit = `Use um número entre 1 e ${MAX_LIMIT}.`;
+    }
+
+    if (Object.keys(errors).length > 0) return { errors };
+    return { value: { entity: entityName, filters, result, ...(groupBy ? { groupBy } : {}), ...(sort ? { sort } : {}), limit } };
+};
+
+const filterClause = ({ field, op, value }) => {
+    switch (op) {
+        case 'eq': return { sql: '?? = ?', params: [field, value] };
+        case 'neq': return { sql: '(?? <> ? OR ?? IS NULL)', params: [field, value, field] };
+        case 'contains': return { sql: '?? LIKE ?', params: [field, `%${escapeLike(value)}%`] };
+        case 'starts_with': return { sql: '?? LIKE ?', params: [field, `${escapeLike(value)}%`] };
+        case 'in': return { sql: '?? IN (?)', params: [field, value] };
+        case 'gt': return { sql: '?? > ?', params: [field, value] };
+        case 'gte': return { sql: '?? >= ?', params: [field, value] };
+        case 'lt': return { sql: '?? < ?', params: [field, value] };
+        case 'lte': return { sql: '?? <= ?', params: [field, value] };
+        case 'between': return { sql: '?? BETWEEN ? AND ?', params: [field, value[0], value[1]] };
+        case 'is_empty': return { sql: "(?? IS NULL OR ?? = '')", params: [field, field] };
+        case 'not_empty': return { sql: "(?? IS NOT NULL AND ?? <> '')", params: [field, field] };
+        default: throw queryError(400, `Operador desconhecido: ${op}`);
+    }
+};
+
+/**
+ * Runs a validated spec. Only approved records are queried, as in the lists.
+ *  - rows: { rows, total } (total counts every match, rows is capped by limit)
+ *  - count: { total }
+ *  - group: { groups: [{ key, count }], total }
+ */
+const runQuerySpec = async (spec) => {
+    const { listSpec } = ENTITIES[spec.entity];
+    const clauses = spec.filters.map(filterClause);
+    const where = [listSpec.baseWhere, ...clauses.map(clause => clause.sql)].join(' AND ');
+    const params = clauses.flatMap(clause => clause.params);
+
+    const [[{ total }]] = await db.promise().query(`SELECT COUNT(*) AS total FROM ?? WHERE ${where}`, [listSpec.table, ...params]);
+    if (spec.result === 'count') {
+        return { total };
+    }
+    if (spec.result === 'group') {
+        const [groups] = await db.promise().query(
+            `SELECT ?? AS \`key\`, COUNT(*) AS count FROM ?? WHERE ${where} GROUP BY ?? ORDER BY count DESC LIMIT ?`,
+            [spec.groupBy, listSpec.table, ...params, spec.groupBy, spec.limit]
+        );
+        return { groups, total };
+    }
+    const sort = spec.sort || { field: listSpec.defaultSort.column, order: listSpec.defaultSort.order };
+    const columns = ['id', ...ENTITIES[spec.entity].fields.map(field => field.name)];
+    const [rows] = await db.promise().query(
+        `SELECT ?? FROM ?? WHERE ${where} ORDER BY ${db.escapeId(sort.field)} ${sort.order.toUpperCase()} LIMIT ?`,
+        [columns, listSpec.table, ...params, spec.limit]
+    );
+    return { rows, total };
+};
+
+// Known values of the categorical columns, so the model filters with values that exist
+const getSampleValues = async () => {
+    const samples = {};
+    for (const [name, entity] of Object.entries(ENTITIES)) {
+        const options = await getFilterOptions(entity.listSpec);
+        samples[name] = Object.fromEntries(Object.entries(options).map(([field, values]) => [field, values.slice(0, MAX_SAMPLE_VALUES)]));
+    }
+    return samples;
+};
+
+const buildSystemPrompt = (samples, today) => [
+    'Você converte perguntas sobre um inventário de TI em uma consulta JSON. Responda SOMENTE com um objeto JSON, sem texto fora dele.',
+    'Formato: {"entity": "equipment" | "licenses", "filters": [{"field": string, "op": string, "value": any}], "result": "rows" | "count" | "group", "groupBy": string, "sort": {"field": string, "order": "asc" | "desc"}, "limit": number, "explanation": string}',
+    `Operadores para texto: ${OPERATORS_BY_TYPE.text.join(', ')}. Para datas (AAAA-MM-DD) e números: ${OPERATORS_BY_TYPE.date.join(', ')}. "in" e "between" recebem uma lista em "value"; is_empty e not_empty não têm value.`,
+    'Use "count" para perguntas de quantidade ("quantos"), "group" com groupBy para distribuições ("por setor", "por marca") e "rows" para listagens.',
+    'Prefira "contains" para nomes de pessoas, modelos e textos livres; use "eq" só com os valores conhecidos listados abaixo.',
+    'Em perguntas de continuação ("e desses...", "agora só os da Dell"), parta da consulta anterior e ajuste os filtros.',
+    '"explanation" descreve em português, em uma frase, o que a consulta faz.',
+    `Data de hoje: ${today}.`,
+    ...Object.entries(ENTITIES).map(([name, entity]) =>
+        `Campos de "${name}" (${entity.description}): ${entity.fields.map(field => `${field.name} (${field.type})`).join(', ')}.`),
+    `Valores conhecidos: ${JSON.stringify(samples)}`
+].join('\n');
+
+const ollamaChat = async (messages) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), OLLAMA_TIMEOUT_MS);
+    try {
+        const response = await fetch(`${OLLAMA_URL}/api/chat`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ model: LOCAL_MODEL, messages, stream: false, format: 'json', options: { temperature: 0 } }),
+            signal: controller.signal
+        });
+        if (!response.ok) {
+            throw new Error(`Ollama respondeu ${response.status}: ${await response.text()}`);
+        }
+        const data = await response.json();
+        return data.message && data.message.content ? data.message.content : '';
+    } catch (error) {
+        const reason = error.name === 'AbortError' ? 'tempo esgotado' : error.message;
+        throw queryError(502, `Falha ao consultar o modelo local (${LOCAL_MODEL} em ${OLLAMA_URL}): ${reason}`);
+    } finally {
+        clearTimeout(timer);
+    }
+};
+
+const parseModelJson = (content) => {
+    try {
+        return JSON.parse(content);
+    } catch (e) {
+        // Some models wrap the object in prose or code fences despite format: 'json'
+        const match = String(content).match(/\{[\s\S]*\}/);
+        if (!match) return null;
+        try {
+            return JSON.parse(match[0]);
+        } catch (err) {
+            return null;
+        }
+    }
+};
+
+const validateQuestion = (question) => {
+    const value = typeof question === 'string' ? question.trim() : '';
+    if (!value) return { errors: { question: 'Digite uma pergunta.' } };
+    if (value.length > MAX_QUESTION_LENGTH) return { errors: { question: `Máximo de ${MAX_QUESTION_LENGTH} caracteres.` } };
+    return { value };
+};
+
+// Previous turns as sent by the client: [{ question, spec }]. Only well-formed turns are kept.
+const normalizeHistory = (history) => (Array.isArray(history) ? history : [])
+    .filter(turn => turn && typeof turn.question === 'string' && turn.spec && typeof turn.spec === 'object')
+    .slice(-MAX_HISTORY_TURNS);
+
+/**
+ * Turns a question into a validated spec. If the first answer does not validate, the errors are
+ * sent back to the model once so it can correct itself. `chat` defaults to the Ollama API and can
+ * be swapped for a stub (see ollamaStub.js for one that runs as a fake Ollama server).
+ */
+const interpretQuestion = async (question, history = [], { chat = ollamaChat, today = new Date().toISOString().split('T')[0] } = {}) => {
+    const messages = [{ role: 'system', content: buildSystemPrompt(await getSampleValues(), today) }];
+    for (const turn of normalizeHistory(history)) {
+        messages.push({ role: 'user', content: turn.question });
+        messages.push({ role: 'assistant', content: JSON.stringify(turn.spec) });
+    }
+    messages.push({ role: 'user', content: question });
+
+    let lastErrors = null;
+    for (let attempt = 0; attempt < 2; attempt++) {
+        const content = await chat(messages);
+        const parsed = parseModelJson(content);
+        const { value, errors } = parsed ? validateQuerySpec(parsed) : { errors: { spec: 'A resposta do modelo não é um JSON válido.' } };
+        if (value) {
+            return { spec: value, explanation: typeof parsed.explanation === 'string' ? parsed.explanation : '' };
+        }
+        lastErrors = errors;
+        messages.push({ role: 'assistant', content: String(content) });
+        messages.push({ role: 'user', content: `A consulta tem erros: ${JSON.stringify(errors)}. Corrija e responda só com o JSON.` });
+    }
+    throw Object.assign(queryError(422, 'Não foi possível interpretar a pergunta. Tente reformulá-la ou edite a consulta manualmente.'), { errors: lastErrors });
+};
+
+module.exports = {
+    OLLAMA_URL,
+    LOCAL_MODEL,
+    getQuerySchema,
+    validateQuerySpec,
+    validateQuestion,
+    runQuerySpec,
+    interpretQuestion
+};
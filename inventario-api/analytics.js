@@ -0,0 +1,387 @@
+const db = require('./db');
+const { normalizeDate } = require('./validation');
+
+// Same app_config key the /api/licenses/totals handler reads and writes ({ produto: total })
+const TOTALS_KEY = 'licenseTotals';
+// Equipment with these statuses left the park: no warranty or refresh alerts, counted as retired in trends
+const RETIRED_STATUSES = ['Descartado'];
+const APPROVED_EQUIPMENT = "approval_status = 'approved'";
+const APPROVED_LICENSES = "(approval_status = 'approved' OR approval_status IS NULL)";
+
+// Query params shared by every widget; licenses have no location or company, so only the sector narrows them
+const FILTER_COLUMNS = {
+    equipment: ['local', 'setor', 'empresa'],
+    licenses: ['setor']
+};
+const SPEND_GROUPS = ['setor', 'centroCusto'];
+const AGE_BUCKETS = [
+    { key: '0-1', label: 'Menos de 1 ano', maxYears: 1 },
+    { key: '1-2', label: '1 a 2 anos', maxYears: 2 },
+    { key: '2-3', label: '2 a 3 anos', maxYears: 3 },
+    { key: '3-4', label: '3 a 4 anos', maxYears: 4 },
+    { key: '4-5', label: '4 a 5 anos', maxYears: 5 },
+    { key: '5+', label: '5 anos ou mais', maxYears: Infinity }
+];
+const TREND_KINDS = ['added', 'retired', 'reassigned'];
+const MAX_DRILLDOWN_ROWS = 500;
+// Rows without a value are grouped (and drilled into) under this key
+const EMPTY_KEY = '';
+
+// Errors carry the HTTP status the route should answer with
+const analyticsError = (status, message, errors) => Object.assign(new Error(message), { status }, errors ? { errors } : {});
+
+const intParam = (query, name, fallback, min, max, errors) => {
+    if (query[name] === undefined || query[name] === '') return fallback;
+    const value = Number(query[name]);
+    if (!Number.isInteger(value) || value < min || value > max) {
+        errors[name] = `Informe um número inteiro entre ${min} e ${max}.`;
+        return fallback;
+    }
+    return value;
+};
+
+/**
+ * Reads the query string shared by the summary and the drill-down.
+ * Returns { value } or { errors } in the shape validation.js uses for 400 responses.
+ */
+const parseAnalyticsQuery = (query) => {
+    const errors = {};
+    const filters = {};
+    ['local', 'setor', 'empresa'].forEach(name => {
+        if (typeof query[name] === 'string' && query[name] !== '') filters[name] = query[name];
+    });
+    const spendBy = query.spendBy || 'setor';
+    if (!SPEND_GROUPS.includes(spendBy)) {
+        errors.spendBy = `Use ${SPEND_GROUPS.join(' ou ')}.`;
+    }
+    const value = {
+        filters,
+        warrantyMonths: intParam(query, 'warrantyMonths', 6, 1, 24, errors),
+        refreshYears: intParam(query, 'refreshYears', 4, 1, 15, errors),
+        trendMonths: intParam(query, 'trendMonths', 12, 1, 36, errors),
+        spendBy
+    };
+    return Object.keys(errors).length > 0 ? { errors } : { value };
+};
+
+const whereFor = (entity, filters, baseWhere, alias = '') => {
+    const clauses = [baseWhere];
+    const params = [];
+    FILTER_COLUMNS[entity].forEach(column => {
+        if (filters[column] !== undefined) {
+            clauses.push(`${alias}${db.escapeId(column)} = ?`);
+            params.push(filters[column]);
+        }
+    });
+    return { where: clauses.join(' AND '), params };
+};
+
+// ---------------------------------------------------------------
+// Dates
+// ---------------------------------------------------------------
+
+const pad = (n) => String(n).padStart(2, '0');
+const monthKey = (date) => `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}`;
+const toUtcDate = (iso) => new Date(`${iso}T00:00:00Z`);
+const startOfToday = (today) => new Date(Date.UTC(today.getFullYear(), today.getMonth(), today.getDate()));
+
+const addMonths = (date, months) => {
+    const result = new Date(date.getTime());
+    result.setUTCMonth(result.getUTCMonth() + months);
+    return result;
+};
+
+// Consecutive month keys ending (or starting) at the month of `from`
+const monthRange = (from, count, direction) => Array.from({ length: count }, (_, index) =>
+    monthKey(addMonths(new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), 1)), direction * index)));
+
+const WARRANTY_DURATION = /^(\d{1,3})\s*(ano|anos|mes|meses|mês|m)\b/i;
+
+/**
+ * `garantia` is free text: a date ("2026-03-31", "31/03/2026") is the end of the warranty, and a
+ * duration ("3 anos", "36 meses") counts from the purchase date. Anything else is unknown (null).
+ */
+const warrantyEnd = (equipment) => {
+    const text = String(equipment.garantia || '').trim();
+    if (!text) return null;
+    const date = normalizeDate(text);
+    if (date) return toUtcDate(date);
+    const duration = text.match(WARRANTY_DURATION);
+    const purchased = equipment.dataCompra ? normalizeDate(equipment.dataCompra) : null;
+    if (!duration || !purchased) return null;
+    const months = Number(duration[1]) * (/^ano/i.test(duration[2]) ? 12 : 1);
+    return addMonths(toUtcDate(purchased), months);
+};
+
+// Age counts from the purchase date or, when it was never filled, from the day the asset was registered
+const ageStart = (equipment) => {
+    if (equipment.dataCompra) {
+        const purchased = normalizeDate(equipment.dataCompra);
+        if (purchased) return { date: toUtcDate(purchased), estimated: false };
+    }
+    if (equipment.registeredAt) return { date: new Date(equipment.registeredAt), estimated: true };
+    return null;
+};
+
+const ageInYears = (start, today) => (today.getTime() - start.getTime()) / (365.25 * 86400000);
+
+// ---------------------------------------------------------------
+// Classification (shared by the widgets and their drill-down)
+// ---------------------------------------------------------------
+
+const isRetired = (equipment) => RETIRED_STATUSES.includes(equipment.status);
+
+// Warranty widget key: 'expired', a 'YYYY-MM' within the window, or null (unknown, later or retired)
+const warrantyKey = (equipment, options, today) => {
+    if (isRetired(equipment)) return null;
+    const end = warrantyEnd(equipment);
+    if (!end) return null;
+    if (end < today) return 'expired';
+    const key = monthKey(end);
+    return monthRange(today, options.warrantyMonths, 1).includes(key) ? key : null;
+};
+
+const ageBucket = (equipment, today) => {
+    const start = ageStart(equipment);
+    if (!start) return null;
+    const years = ageInYears(start.date, today);
+    return AGE_BUCKETS.find(bucket => years < bucket.maxYears).key;
+};
+
+const isRefreshCandidate = (equipment, options, today) => {
+    if (isRetired(equipment)) return false;
+    const start = ageStart(equipment);
+    return !!start && ageInYears(start.date, today) >= options.refreshYears;
+};
+
+const spendKey = (equipment, options) => equipment[options.spendBy] || EMPTY_KEY;
+
+// ---------------------------------------------------------------
+// Data
+// ---------------------------------------------------------------
+
+const EQUIPMENT_COLUMNS = ['id', 'equipamento', 'patrimonio', 'serial', 'usuarioAtual', 'local', 'setor', 'empresa', 'centroCusto', 'status', 'tipo', 'brand', 'model', 'garantia', 'dataCompra', 'valorCompra'];
+
+// Approved equipment matching the filters, with the date it was first registered (for the age fallback)
+const loadEquipment = async (filters) => {
+    const { where, params } = whereFor('equipment', filters, `e.${APPROVED_EQUIPMENT}`, 'e.');
+    const [rows] = await db.promise().query(
+        `SELECT ${EQUIPMENT_COLUMNS.map(column => `e.${db.escapeId(column)}`).join(', ')},
+                (SELECT MIN(h.timestamp) FROM equipment_history h WHERE h.equipment_id = e.id) AS registeredAt
+         FROM equipment e WHERE ${where}`,
+        params
+    );
+    return rows;
+};
+
+/**
+ * Lifecycle events per equipment and month, reconstructed from equipment_history:
+ *  - added: the creation rows (manual, CSV import or periodic update)
+ *  - retired: status changed to a retired status
+ *  - reassigned: usuarioAtual changed to a new person after creation (check-out, edits, imports)
+ * Only equipment still in `ids` (the filtered park) is considered, and each kind counts once per equipment and month.
+ */
+const loadTrendEvents = async (ids, months) => {
+    if (ids.length === 0) return [];
+    const [rows] = await db.promise().query(
+        `SELECT DISTINCT equipment_id AS equipmentId, DATE_FORMAT(timestamp, '%Y-%m') AS month,
+                CASE
+                    WHEN changeType LIKE 'CREATE%' THEN 'added'
+                    WHEN field_name = 'status' THEN 'retired'
+                    ELSE 'reassigned'
+                END AS kind
+         FROM equipment_history
+         WHERE equipment_id IN (?) AND timestamp >= DATE_SUB(DATE_FORMAT(CURDATE(), '%Y-%m-01'), INTERVAL ? MONTH)
+           AND (changeType LIKE 'CREATE%'
+                OR (field_name = 'status' AND to_value IN (?))
+                OR (field_name = 'usuarioAtual' AND to_value IS NOT NULL AND to_value <> ''))`,
+        [ids, months - 1, RETIRED_STATUSES]
+    );
+    return rows;
+};
+
+const readLicenseTotals = async () => {
+    const [rows] = await db.promise().query('SELECT config_value FROM app_config WHERE config_key = ?', [TOTALS_KEY]);
+    try {
+        return rows.length > 0 && rows[0].config_value ? JSON.parse(rows[0].config_value) : {};
+    } catch (e) {
+        return {};
+    }
+};
+
+const loadLicenseUsage = async (filters) => {
+    const { where, params } = whereFor('licenses', filters, APPROVED_LICENSES);
+    const [rows] = await db.promise().query(`SELECT produto, COUNT(*) AS used FROM licenses WHERE ${where} GROUP BY produto`, params);
+    return rows;
+};
+
+// Values offered by the filter selects (from the whole park, not the filtered one)
+const loadFilterOptions = async () => {
+    const options = {};
+    for (const column of ['local', 'setor', 'empresa']) {
+        const [rows] = await db.promise().query(
+            `SELECT DISTINCT value FROM (
+                SELECT ?? AS value FROM equipment WHERE ${APPROVED_EQUIPMENT}
+                ${column === 'local' ? '' : `UNION SELECT ?? AS value FROM licenses WHERE ${APPROVED_LICENSES}`}
+             ) AS t WHERE value IS NOT NULL AND value <> '' ORDER BY value`,
+            column === 'local' ? [column] : [column, column]
+        );
+        options[column] = rows.map(row => row.value);
+    }
+    return options;
+};
+
+// ---------------------------------------------------------------
+// Summary and drill-down
+// ---------------------------------------------------------------
+
+const buildAnalytics = async (options, now = new Date()) => {
+    const today = startOfToday(now);
+    const equipment = await loadEquipment(options.filters);
+
+    const warrantyMonths = monthRange(today, options.warrantyMonths, 1);
+    const warrantyCounts = Object.fromEntries(warrantyMonths.map(month => [month, 0]));
+    let warrantyExpired = 0;
+    let warrantyUnknown = 0;
+
+    const ageCounts = Object.fromEntries(AGE_BUCKETS.map(bucket => [bucket.key, 0]));
+    let ageUnknown = 0;
+    let ageEstimated = 0;
+    let refreshCandidates = 0;
+
+    const spendGroups = {};
+    let spendTotal = 0;
+    let withoutValue = 0;
+
+    for (const item of equipment) {
+        const wKey = warrantyKey(item, options, today);
+        if (wKey === 'expired') warrantyExpired += 1;
+        else if (wKey) warrantyCounts[wKey] += 1;
+        else if (!isRetired(item) && !warrantyEnd(item)) warrantyUnknown += 1;
+
+        const bucket = ageBucket(item, today);
+        if (bucket) {
+            ageCounts[bucket] += 1;
+            if (ageStart(item).estimated) ageEstimated += 1;
+        } else {
+            ageUnknown += 1;
+        }
+        if (isRefreshCandidate(item, options, today)) refreshCandidates += 1;
+
+        if (item.valorCompra === null || item.valorCompra === undefined) {
+            withoutValue += 1;
+        } else {
+            const key = spendKey(item, options);
+            const value = Number(item.valorCompra);
+            spendGroups[key] = spendGroups[key] || { key, total: 0, count: 0 };
+            spendGroups[key].total += value;
+            spendGroups[key].count += 1;
+            spendTotal += value;
+        }
+    }
+
+    const trendMonths = monthRange(today, options.trendMonths, -1).reverse();
+    const trends = Object.fromEntries(trendMonths.map(month => [month, { month, added: 0, retired: 0, reassigned: 0 }]));
+    for (const event of await loadTrendEvents(equipment.map(item => item.id), options.trendMonths)) {
+        if (trends[event.month]) trends[event.month][event.kind] += 1;
+    }
+
+    const totals = await readLicenseTotals();
+    const usage = await loadLicenseUsage(options.filters);
+    const products = new Set([...Object.keys(totals), ...usage.map(row => row.produto)]);
+    const licenses = [...products].map(produto => {
+        const used = (usage.find(row => row.produto === produto) || { used: 0 }).used;
+        const total = totals[produto] !== undefined ? Number(totals[produto]) || 0 : null;
+        return { produto, used, total, utilization: total ? Math.round((used / total) * 1000) / 10 : null };
+    }).filter(item => item.used > 0 || !options.filters.setor)
+        .sort((a, b) => (b.utilization ?? -1) - (a.utilization ?? -1) || b.used - a.used);
+
+    return {
+        generatedAt: now.toISOString(),
+        options,
+        filterOptions: await loadFilterOptions(),
+        equipmentCount: equipment.length,
+        warranty: {
+            months: warrantyMonths.map(month => ({ month, count: warrantyCounts[month] })),
+            expired: warrantyExpired,
+            unknown: warrantyUnknown
+        },
+        age: {
+            buckets: AGE_BUCKETS.map(bucket => ({ key: bucket.key, label: bucket.label, count: ageCounts[bucket.key] })),
+            unknown: ageUnknown,
+            estimated: ageEstimated,
+            refreshYears: options.refreshYears,
+            refreshCandidates
+        },
+        spend: {
+            groupBy: options.spendBy,
+            groups: Object.values(spendGroups).map(group => ({ ...group, total: Math.round(group.total * 100) / 100 })).sort((a, b) => b.total - a.total),
+            total: Math.round(spendTotal * 100) / 100,
+            withoutValue
+        },
+        trends: trendMonths.map(month => trends[month]),
+        licenses
+    };
+};
+
+const DRILLDOWN_WIDGETS = ['warranty', 'age', 'refresh', 'spend', 'trend', 'licenses'];
+
+/**
+ * The equipment (or licenses) behind one bar/cell of a widget, with the same classification as the summary.
+ * `key` is the month, bucket, group or product clicked; trend drill-downs also take `kind`.
+ */
+const buildDrilldown = async (options, widget, key, kind, now = new Date()) => {
+    if (!DRILLDOWN_WIDGETS.includes(widget)) {
+        throw analyticsError(400, 'Existem campos inválidos. Corrija-os e tente novamente.', { widget: `Use um destes: ${DRILLDOWN_WIDGETS.join(', ')}.` });
+    }
+    if (widget === 'trend' && !TREND_KINDS.includes(kind)) {
+        throw analyticsError(400, 'Existem campos inválidos. Corrija-os e tente novamente.', { kind: `Use um destes: ${TREND_KINDS.join(', ')}.` });
+    }
+    const groupKey = key === undefined || key === null ? EMPTY_KEY : String(key);
+
+    if (widget === 'licenses') {
+        const { where, params } = whereFor('licenses', options.filters, APPROVED_LICENSES);
+        const [rows] = await db.promise().query(
+            `SELECT id, produto, usuario, chaveSerial, dataExpiracao, setor, centroCusto FROM licenses WHERE ${where} AND produto = ? ORDER BY usuario LIMIT ?`,
+            [...params, groupKey, MAX_DRILLDOWN_ROWS + 1]
+        );
+        return { entity: 'licenses', items: rows.slice(0, MAX_DRILLDOWN_ROWS), truncated: rows.length > MAX_DRILLDOWN_ROWS };
+    }
+
+    const today = startOfToday(now);
+    const equipment = await loadEquipment(options.filters);
+    let matches;
+    if (widget === 'warranty') {
+        matches = equipment.filter(item => warrantyKey(item, options, today) === groupKey);
+    } else if (widget === 'age') {
+        matches = equipment.filter(item => ageBucket(item, today) === groupKey);
+    } else if (widget === 'refresh') {
+        matches = equipment.filter(item => isRefreshCandidate(item, options, today));
+    } else if (widget === 'spend') {
+        matches = equipment.filter(item => item.valorCompra !== null && item.valorCompra !== undefined && spendKey(item, options) === groupKey);
+    } else {
+        const events = await loadTrendEvents(equipment.map(item => item.id), options.trendMonths);
+        const ids = new Set(events.filter(event => event.month === groupKey && event.kind === kind).map(event => event.equipmentId));
+        matches = equipment.filter(item => ids.has(item.id));
+    }
+
+    const items = matches.slice(0, MAX_DRILLDOWN_ROWS).map(({ registeredAt, ...item }) => {
+        const end = warrantyEnd(item);
+        const start = ageStart({ ...item, registeredAt });
+        return {
+            ...item,
+            warrantyEnd: end ? end.toISOString().split('T')[0] : null,
+            ageYears: start ? Math.floor(ageInYears(start.date, today) * 10) / 10 : null
+        };
+    });
+    return { entity: 'equipment', items, truncated: matches.length > MAX_DRILLDOWN_ROWS };
+};
+
+module.exports = {
+    RETIRED_STATUSES,
+    SPEND_GROUPS,
+    warrantyEnd,
+    parseAnalyticsQuery,
+    buildAnalytics,
+    buildDrilldown
+};
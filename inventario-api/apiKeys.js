@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const db = require('./db');
+const { logAudit } = require('./audit');
+
+/*
+ * Keys for the public /api/v1 surface (publicApi.js). Only the SHA-256 of a key is stored: the key
+ * itself is shown once, when it is created. Each key carries the scopes it may use, and every call
+ * made with it is written to audit_log under the key's name ("api:<name>").
+ */
+
+const SCOPES = ['equipment:read', 'equipment:write', 'licenses:read', 'licenses:write', 'history:read'];
+const KEY_PREFIX = 'inv_';
+// Enough of the key to tell keys apart in the list without making it usable
+const DISPLAY_PREFIX_LENGTH = 12;
+const NAME_MAX_LENGTH = 100;
+const NAME_REGEX = /^[\p{L}\p{N} ._-]+$/u;
+
+const apiKeyError = (status, message) => Object.assign(new Error(message), { status });
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Name written in audit_log and in the equipment history for changes made with the key
+const apiKeyActor = (apiKey) => `api:${apiKey.name}`;
+
+const parseRow = (row) => ({
+    id: row.id,
+    name: row.name,
+    key_prefix: row.key_prefix,
+    scopes: row.scopes.split(',').filter(Boolean),
+    created_by: row.created_by,
+    created_at: row.created_at,
+    last_used_at: row.last_used_at,
+    revoked_by: row.revoked_by,
+    revoked_at: row.revoked_at
+});
+
+// { name, scopes: [...] }
+const validateApiKeyInput = (input) => {
+    const errors = {};
+    const name = input && typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name) {
+        errors.name = 'Informe um nome para identificar a integração.';
+    } else if (name.length > NAME_MAX_LENGTH) {
+        errors.name = `Máximo de ${NAME_MAX_LENGTH} caracteres.`;
+    } else if (!NAME_REGEX.test(name)) {
+        errors.name = 'Use apenas letras, números, espaços, ponto, hífen e sublinhado.';
+    }
+    const scopes = input && Array.isArray(input.scopes) ? [...new Set(input.scopes)] : [];
+    if (scopes.length === 0) {
+        errors.scopes = 'Selecione ao menos uma permissão.';
+    } else if (scopes.some(scope => !SCOPES.includes(scope))) {
+        errors.scopes = `Permissões aceitas: ${SCOPES.join(', ')}.`;
+    }
+    if (Object.keys(errors).length > 0) return { errors };
+    return { value: { name, scopes: SCOPES.filter(scope => scopes.includes(scope)) } };
+};
+
+// Active keys first, then the revoked ones, newest first
+const listApiKeys = async () => {
+    const [rows] = await db.promise().query('SELECT * FROM api_keys ORDER BY revoked_at IS NOT NULL, created_at DESC, id DESC');
+    return rows.map(parseRow);
+};
+
+const getApiKey = async (id) => {
+    const [rows] = await db.promise().query('SELECT * FROM api_keys WHERE id = ?', [id]);
+    if (rows.length === 0) {
+        throw apiKeyError(404, 'Chave de API não encontrada.');
+    }
+    return parseRow(rows[0]);
+};
+
+// Returns { apiKey, key }: `key` is the only time the secret leaves the server
+const createApiKey = async ({ name, scopes }, username) => {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    let result;
+    try {
+        [result] = await db.promise().query(
+            'INSERT INTO api_keys (name, key_prefix, key_hash, scopes, created_by, created_at) VALUES (?, ?, ?, ?, ?, NOW())',
+            [name, key.slice(0, DISPLAY_PREFIX_LENGTH), hashKey(key), scopes.join(','), username]
+        );
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            throw apiKeyError(409, `Já existe uma chave de API chamada "${name}".`);
+        }
+        throw error;
+    }
+    await logAudit(username, 'CREATE', 'API_KEY', result.insertId, `Created API key "${name}" with scopes ${scopes.join(', ')}`);
+    return { apiKey: await getApiKey(result.insertId), key };
+};
+
+// Revoked keys stay listed, so the audit entries made with them can still be traced to a key
+const revokeApiKey = async (id, username) => {
+    const apiKey = await getApiKey(id);
+    if (apiKey.revoked_at) {
+        throw apiKeyError(409, 'Esta chave já foi revogada.');
+    }
+    await db.promise().query('UPDATE api_keys SET revoked_by = ?, revoked_at = NOW() WHERE id = ?', [username, id]);
+    await logAudit(username, 'DELETE', 'API_KEY', id, `Revoked API key "${apiKey.name}"`);
+    return getApiKey(id);
+};
+
+// The key comes as "Authorization: Bearer <key>" or "X-API-Key: <key>"
+const readApiKey = (req) => {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) return header.slice(7).trim();
+    return typeof req.headers['x-api-key'] === 'string' ? req.headers['x-api-key'].trim() : '';
+};
+
+/**
+ * Resolves the API key into req.apiKey. Once the response is sent, the call is written to audit_log
+ * under the key's name with its outcome, so rejected calls (403, 400) are traced too.
+ */
+const authenticateApiKey = async (req, res, next) => {
+    const key = readApiKey(req);
+    if (!key.startsWith(KEY_PREFIX)) {
+        return res.status(401).json({ message: 'Chave de API ausente ou inválida.' });
+    }
+    try {
+        const [rows] = await db.promise().query('SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL', [hashKey(key)]);
+        if (rows.length === 0) {
+            return res.status(401).json({ message: 'Chave de API ausente ou inválida.' });
+        }
+        req.apiKey = parseRow(rows[0]);
+        await db.promise().query('UPDATE api_keys SET last_used_at = NOW() WHERE id = ?', [req.apiKey.id]);
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+
+    res.on('finish', () => {
+        logAudit(apiKeyActor(req.apiKey), 'API_CALL', 'API_KEY', req.apiKey.id, `${req.method} ${req.originalUrl} -> ${res.statusCode}`)
+            .catch(error => console.error('Failed to record API call in the audit log:', error.message));
+    });
+    next();
+};
+
+const requireScope = (scope) => (req, res, next) => {
+    if (!req.apiKey || !req.apiKey.scopes.includes(scope)) {
+        return res.status(403).json({ message: `Esta chave de API não tem a permissão "${scope}".` });
+    }
+    next();
+};
+
+module.exports = {
+    SCOPES,
+    apiKeyActor,
+    validateApiKeyInput,
+    listApiKeys,
+    createApiKey,
+    revokeApiKey,
+    authenticateApiKey,
+    requireScope
+};
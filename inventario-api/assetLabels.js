@@ -0,0 +1,113 @@
+const QRCode = require('qrcode');
+const PDFDocument = require('pdfkit');
+const db = require('./db');
+
+const BASE_URL_KEY = 'assetBaseUrl';
+const MAX_LABELS = 500;
+
+// Label grid for A4 sheets of 3 x 8 labels (70 x 37 mm)
+const MM = 72 / 25.4;
+const LABEL = { columns: 3, rows: 8, width: 70 * MM, height: 37 * MM, marginTop: 0.5 * MM };
+const QR_SIZE = 31 * MM;
+
+const labelError = (status, message) => Object.assign(new Error(message), { status });
+
+/**
+ * Base URL of the web app encoded in the labels: the one saved in Settings, then APP_BASE_URL. Never
+ * the Origin of the request, which any client can set; an empty string means it is not configured.
+ */
+const getAssetBaseUrl = async () => {
+    const [rows] = await db.promise().query('SELECT config_value FROM app_config WHERE config_key = ?', [BASE_URL_KEY]);
+    const base = (rows[0] && rows[0].config_value) || process.env.APP_BASE_URL || '';
+    return base.replace(/\/+$/, '');
+};
+
+// Stable address of an asset: only the id is encoded, so edits to the record never invalidate a label
+const assetUrl = (baseUrl, equipmentId) => `${baseUrl}/#/ativo/${equipmentId}`;
+
+/**
+ * Generates the QR code of each equipment and keeps equipment.qrCode (a PNG data URL) in sync with it.
+ * Resolves with [{ equipment, url, qrCode }] in the order of `equipmentIds`.
+ */
+const ensureQrCodes = async (equipmentIds) => {
+    if (equipmentIds.length > MAX_LABELS) {
+        throw labelError(400, `Selecione no máximo ${MAX_LABELS} equipamentos por vez.`);
+    }
+    const baseUrl = await getAssetBaseUrl();
+    if (!baseUrl) {
+        throw labelError(503, 'Os QR codes não estão disponíveis: configure o endereço do sistema em Configurações > Geral.');
+    }
+    const [rows] = await db.promise().query(
+        'SELECT id, equipamento, patrimonio, serial, qrCode FROM equipment WHERE id IN (?)',
+        [equipmentIds]
+    );
+    const byId = new Map(rows.map(row => [row.id, row]));
+    const missing = equipmentIds.filter(id => !byId.has(id));
+    if (missing.length > 0) {
+        throw labelError(404, `Equipamento(s) não encontrado(s): ${missing.join(', ')}.`);
+    }
+
+    const results = [];
+    for (const id of equipmentIds) {
+        const { qrCode: stored, ...equipment } = byId.get(id);
+        const url = assetUrl(baseUrl, id);
+        const qrCode = await QRCode.toDataURL(url, { errorCorrectionLevel: 'M', margin: 1, width: 256 });
+        if (stored !== qrCode) {
+            await db.promise().query('UPDATE equipment SET qrCode = ? WHERE id = ?', [qrCode, id]);
+        }
+        results.push({ equipment, url, qrCode });
+    }
+    return results;
+};
+
+const drawLabel = (doc, x, y, { equipment, qrCode }, companyName) => {
+    const padding = 3 * MM;
+    doc.image(Buffer.from(qrCode.split(',')[1], 'base64'), x + padding, y + (LABEL.height - QR_SIZE) / 2, { width: QR_SIZE });
+    const textX = x + QR_SIZE + 2 * padding;
+    const textWidth = LABEL.width - QR_SIZE - 3 * padding;
+    doc.fillColor('#000000').font('Helvetica-Bold').fontSize(7)
+        .text(companyName, textX, y + padding + 2, { width: textWidth, height: 9, ellipsis: true, lineBreak: false });
+    doc.font('Helvetica').fontSize(7)
+        .text(equipment.equipamento || '', textX, y + padding + 13, { width: textWidth, height: 18, ellipsis: true });
+    doc.font('Helvetica-Bold').fontSize(9)
+        .text(`Pat.: ${equipment.patrimonio || '-'}`, textX, y + padding + 35, { width: textWidth, lineBreak: false, ellipsis: true });
+    doc.font('Helvetica').fontSize(7)
+        .text(`S/N: ${equipment.serial || '-'}`, textX, y + padding + 49, { width: textWidth, lineBreak: false, ellipsis: true });
+};
+
+/**
+ * Printable A4 sheet(s) of labels with QR code, patrimônio, serial and company name, in the order of
+ * `equipmentIds`. Resolves with the PDF as a Buffer.
+ */
+const renderLabelSheet = async (equipmentIds) => {
+    const labels = await ensureQrCodes(equipmentIds);
+    const [rows] = await db.promise().query('SELECT config_value FROM app_config WHERE config_key = "companyName"');
+    const companyName = (rows[0] && rows[0].config_value) || 'MRR INFORMATICA';
+
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: 0, info: { Title: 'Etiquetas de patrimônio', Author: companyName } });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const marginLeft = (doc.page.width - LABEL.columns * LABEL.width) / 2;
+        const perPage = LABEL.columns * LABEL.rows;
+        labels.forEach((label, index) => {
+            const position = index % perPage;
+            if (index > 0 && position === 0) doc.addPage();
+            const x = marginLeft + (position % LABEL.columns) * LABEL.width;
+            const y = LABEL.marginTop + Math.floor(position / LABEL.columns) * LABEL.height;
+            drawLabel(doc, x, y, label, companyName);
+        });
+        doc.end();
+    });
+};
+
+module.exports = {
+    BASE_URL_KEY,
+    getAssetBaseUrl,
+    assetUrl,
+    ensureQrCodes,
+    renderLabelSheet
+};
@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const db = require('./db');
+
+/*
+ * audit_log is a hash chain: once written, each entry gets the next sequence number (chain_seq), the
+ * hash of the entry before it (prev_hash) and its own hash (entry_hash), computed over its content and
+ * prev_hash. Editing, deleting or inserting an entry by hand breaks the chain from that point on, which
+ * verifyAuditChain (auditTrail.js) reports.
+ *
+ * The hashes are HMAC-SHA256 keyed by AUDIT_CHAIN_KEY (SESSION_SECRET when it is not set), which lives
+ * in the API's .env and never in the database: someone who can write to the database cannot recompute
+ * the chain after editing it.
+ *
+ * Entries are sealed right after they are written rather than inside the INSERT: logAudit often runs
+ * inside a caller's transaction, and sealing there would hold the chain lock until that transaction
+ * ends. The head of the chain is kept in app_config, so removing the latest entries is detected too.
+ */
+
+// A key made up at startup would make every entry written before a restart fail verification, which
+// reads as tampering, so the API does not start without one
+const CHAIN_KEY = process.env.AUDIT_CHAIN_KEY || process.env.SESSION_SECRET;
+if (!CHAIN_KEY) {
+    throw new Error('AUDIT_CHAIN_KEY (ou SESSION_SECRET) não definido no .env. A API não inicia sem a chave da cadeia da auditoria.');
+}
+if (!process.env.AUDIT_CHAIN_KEY) {
+    console.warn('AUDIT_CHAIN_KEY não definido no .env. A cadeia da auditoria usa o SESSION_SECRET: se ele mudar, os registros já gravados deixam de conferir.');
+}
+
+const GENESIS_HASH = '0'.repeat(64);
+const CHAIN_HEAD_KEY = 'auditChainHead';
+const SEAL_BATCH_SIZE = 500;
+
+// Columns covered by the hash. The timestamp is formatted in SQL so the hash does not depend on the
+// time zone of the Node process.
+const CHAIN_COLUMNS = "id, DATE_FORMAT(timestamp, '%Y-%m-%d %H:%i:%s') AS ts, username, action_type, target_type, target_id, details";
+
+const hashEntry = (entry, seq, prevHash) => crypto.createHmac('sha256', CHAIN_KEY)
+    .update(JSON.stringify([seq, entry.id, entry.ts, entry.username, entry.action_type, entry.target_type, entry.target_id, entry.details, prevHash]))
+    .digest('hex');
+
+const parseHead = (value) => {
+    try {
+        const head = JSON.parse(value);
+        if (Number.isInteger(head.seq) && typeof head.hash === 'string') return head;
+    } catch (e) {
+        // Falls through to the genesis head
+    }
+    return { seq: 0, hash: GENESIS_HASH };
+};
+
+// Creates the head on first use, from the newest sealed entry or archive when there are any
+const ensureHead = async (connection) => {
+    const [existing] = await connection.query('SELECT 1 FROM app_config WHERE config_key = ?', [CHAIN_HEAD_KEY]);
+    if (existing.length > 0) return;
+    const [[latest]] = await connection.query(`
+        SELECT seq, hash FROM (
+            SELECT chain_seq AS seq, entry_hash AS hash FROM audit_log WHERE chain_seq IS NOT NULL
+            UNION ALL
+            SELECT last_seq AS seq, last_hash AS hash FROM audit_log_archives
+        ) AS sealed ORDER BY seq DESC LIMIT 1`);
+    const head = latest ? { seq: Number(latest.seq), hash: latest.hash } : { seq: 0, hash: GENESIS_HASH };
+    await connection.query('INSERT IGNORE INTO app_config (config_key, config_value) VALUES (?, ?)', [CHAIN_HEAD_KEY, JSON.stringify(head)]);
+};
+
+// Seals up to SEAL_BATCH_SIZE committed entries, in id order. Returns how many were sealed.
+const sealBatch = async () => {
+    const connection = await db.promise().getConnection();
+    try {
+        await ensureHead(connection);
+        await connection.beginTransaction();
+        // The head row is the chain lock: concurrent sealers (or API processes) queue here
+        const [[headRow]] = await connection.query('SELECT config_value FROM app_config WHERE config_key = ? FOR UPDATE', [CHAIN_HEAD_KEY]);
+        let head = parseHead(headRow && headRow.config_value);
+        const [entries] = await connection.query(`SELECT ${CHAIN_COLUMNS} FROM audit_log WHERE chain_seq IS NULL ORDER BY id LIMIT ?`, [SEAL_BATCH_SIZE]);
+        for (const entry of entries) {
+            const seq = head.seq + 1;
+            const hash = hashEntry(entry, seq, head.hash);
+            await connection.query('UPDATE audit_log SET chain_seq = ?, prev_hash = ?, entry_hash = ? WHERE id = ? AND chain_seq IS NULL', [seq, head.hash, hash, entry.id]);
+            head = { seq, hash };
+        }
+        if (entries.length > 0) {
+            await connection.query('UPDATE app_config SET config_value = ? WHERE config_key = ?', [JSON.stringify(head), CHAIN_HEAD_KEY]);
+        }
+        await connection.commit();
+        return entries.length;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+};
+
+let sealing = null;
+let sealAgain = false;
+
+/**
+ * Seals every committed entry that is not in the chain yet and resolves with how many were sealed.
+ * Calls made while a run is in progress share it, and it goes around once more to pick up their entries.
+ */
+const sealPendingEntries = () => {
+    if (sealing) {
+        sealAgain = true;
+        return sealing;
+    }
+    sealing = (async () => {
+        let total = 0;
+        do {
+            sealAgain = false;
+            let sealed;
+            do {
+                sealed = await sealBatch();
+                total += sealed;
+            } while (sealed === SEAL_BATCH_SIZE);
+        } while (sealAgain);
+        return total;
+    })().finally(() => {
+        sealing = null;
+    });
+    return sealing;
+};
+
+const sealInBackground = () => {
+    sealPendingEntries().catch(error => console.error('Audit chain sealing error:', error.message));
+};
+
+/**
+ * Writes an entry to audit_log. `executor` can be a transaction connection so the
+ * entry is committed (or rolled back) together with the change it describes.
+ */
+const logAudit = (username, actionType, targetType, targetId, details, executor = db.promise()) => {
+    // Explicit timestamp NOW() to avoid "default value" errors on legacy schemas
+    return executor.query(
+        'INSERT INTO audit_log (username, action_type, target_type, target_id, details, timestamp) VALUES (?, ?, ?, ?, ?, NOW())',
+        [username, actionType, targetType, targetId, details]
+    ).then(result => {
+        // Inside a transaction the entry is not visible yet; the periodic seal picks it up after the commit
+        setImmediate(sealInBackground);
+        return result;
+    });
+};
+
+// Entries committed after the immediate seal (transactions, direct INSERTs) are sealed on this timer
+const startAuditSealer = () => {
+    setTimeout(sealInBackground, 60 * 1000).unref();
+    setInterval(sealInBackground, 60 * 1000).unref();
+};
+
+module.exports = {
+    GENESIS_HASH,
+    CHAIN_HEAD_KEY,
+    CHAIN_COLUMNS,
+    hashEntry,
+    parseHead,
+    logAudit,
+    sealPendingEntries,
+    startAuditSealer
+};
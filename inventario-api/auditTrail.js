@@ -0,0 +1,440 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { Readable } = require('stream');
+const db = require('./db');
+const { GENESIS_HASH, CHAIN_HEAD_KEY, CHAIN_COLUMNS, hashEntry, parseHead, logAudit, sealPendingEntries } = require('./audit');
+const { LIST_SPECS, parseListQuery } = require('./listQuery');
+
+/*
+ * Everything around the audit_log hash chain (audit.js): verification, retention (old entries are
+ * moved to gzipped archive files, whose last hash anchors the entries that stay), CSV/JSON exports
+ * and the errors the web app reports from the browser.
+ */
+
+const ARCHIVE_DIR = process.env.AUDIT_ARCHIVE_DIR || path.join(__dirname, 'audit-archives');
+if (!fs.existsSync(ARCHIVE_DIR)) {
+    fs.mkdirSync(ARCHIVE_DIR, { recursive: true });
+}
+
+const ARCHIVE_FORMAT = 'inventario-pro-audit-archive';
+const RETENTION_KEY = 'auditRetention';
+const DEFAULT_RETENTION = { archiveEnabled: false, retentionDays: 365, clientErrorRetentionDays: 90 };
+const RETENTION_CHECK_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const BATCH_SIZE = 1000;
+// The report lists the first breaks; the count covers all of them
+const MAX_REPORTED_BREAKS = 100;
+const EXPORT_FORMATS = ['csv', 'json'];
+const EXPORT_COLUMNS = ['id', 'chain_seq', 'timestamp', 'username', 'action_type', 'target_type', 'target_id', 'details', 'prev_hash', 'entry_hash'];
+const CLIENT_ERROR_TYPES = ['APP_ERROR', 'API_ERROR'];
+const MAX_CLIENT_ERRORS_PER_REPORT = 20;
+// Per user and hour: a render loop that throws on every frame should not fill the table
+const MAX_CLIENT_ERRORS_PER_HOUR = 200;
+
+const auditTrailError = (status, message) => Object.assign(new Error(message), { status });
+
+const readConfig = async (key) => {
+    const [rows] = await db.promise().query('SELECT config_value FROM app_config WHERE config_key = ?', [key]);
+    return rows.length > 0 ? rows[0].config_value : null;
+};
+
+// ---------------------------------------------------------------
+// Chain verification
+// ---------------------------------------------------------------
+
+// Where the entries still in audit_log start: right after the newest archive, or at the genesis
+const getChainAnchor = async () => {
+    const [[archive]] = await db.promise().query('SELECT id, file_name, last_seq, last_hash FROM audit_log_archives ORDER BY last_seq DESC LIMIT 1');
+    return archive
+        ? { seq: Number(archive.last_seq), hash: archive.last_hash, archiveId: archive.id, archiveFile: archive.file_name }
+        : { seq: 0, hash: GENESIS_HASH, archiveId: null, archiveFile: null };
+};
+
+const describeRange = (fromSeq, toSeq) => fromSeq === toSeq ? `O registro ${fromSeq} da sequência foi removido` : `Os registros ${fromSeq} a ${toSeq} da sequência foram removidos`;
+
+/**
+ * Walks the chain in sequence order and recomputes every hash. Breaks are reported as:
+ *  - missing: sequence numbers absent between two entries (deleted entries)
+ *  - link: prev_hash is not the hash of the entry before (an entry before it was replaced)
+ *  - hash: the content no longer matches entry_hash (the entry was edited)
+ *  - head: the newest entries were removed, or the head of the chain was tampered with
+ */
+const checkChain = async () => {
+    await sealPendingEntries();
+    const anchor = await getChainAnchor();
+    const breaks = [];
+    let breakCount = 0;
+    const report = (entry) => {
+        breakCount += 1;
+        if (breaks.length < MAX_REPORTED_BREAKS) breaks.push(entry);
+    };
+
+    let expectedSeq = anchor.seq + 1;
+    let expectedPrev = anchor.hash;
+    let checked = 0;
+    let afterSeq = 0;
+    for (;;) {
+        const [entries] = await db.promise().query(
+            `SELECT ${CHAIN_COLUMNS}, chain_seq, prev_hash, entry_hash FROM audit_log WHERE chain_seq > ? ORDER BY chain_seq LIMIT ?`,
+            [afterSeq, BATCH_SIZE]
+        );
+        for (const entry of entries) {
+            const seq = Number(entry.chain_seq);
+            if (seq > expectedSeq) {
+                report({ type: 'missing', fromSeq: expectedSeq, toSeq: seq - 1, message: `${describeRange(expectedSeq, seq - 1)}.` });
+            } else if (seq < expectedSeq) {
+                report({ type: 'missing', seq, id: entry.id, message: `O registro ${seq} deveria ter sido arquivado em ${anchor.archiveFile}.` });
+            } else if (entry.prev_hash !== expectedPrev) {
+                report({ type: 'link', seq, id: entry.id, message: `O registro ${seq} não aponta para o registro anterior: o anterior foi substituído ou alterado.` });
+            }
+            if (hashEntry(entry, seq, entry.prev_hash) !== entry.entry_hash) {
+                report({ type: 'hash', seq, id: entry.id, message: `O conteúdo do registro ${seq} (id ${entry.id}) foi alterado depois de gravado.` });
+            }
+            expectedSeq = Math.max(expectedSeq, seq + 1);
+            expectedPrev = entry.entry_hash;
+            checked += 1;
+        }
+        if (entries.length < BATCH_SIZE) break;
+        afterSeq = Number(entries[entries.length - 1].chain_seq);
+    }
+
+    const lastSeq = expectedSeq - 1;
+    const head = parseHead(await readConfig(CHAIN_HEAD_KEY));
+    if (head.seq > lastSeq) {
+        report({ type: 'head', fromSeq: lastSeq + 1, toSeq: head.seq, message: `${describeRange(lastSeq + 1, head.seq)} (fim da cadeia).` });
+    } else if (head.seq !== lastSeq || head.hash !== expectedPrev) {
+        report({ type: 'head', seq: lastSeq, message: 'A referência do último registro da cadeia não confere com os registros gravados.' });
+    }
+
+    const [[{ unsealed }]] = await db.promise().query('SELECT COUNT(*) AS unsealed FROM audit_log WHERE chain_seq IS NULL');
+    return {
+        valid: breakCount === 0,
+        checked,
+        firstSeq: checked > 0 ? anchor.seq + 1 : null,
+        lastSeq: lastSeq > anchor.seq ? lastSeq : null,
+        anchor,
+        breakCount,
+        breaks,
+        unsealed: Number(unsealed),
+        verifiedAt: new Date().toISOString()
+    };
+};
+
+const verifyAuditChain = async (username) => {
+    const result = await checkChain();
+    await logAudit(username, 'VERIFY', 'AUDIT_LOG', null,
+        `Verified ${result.checked} audit entries: ${result.valid ? 'chain intact' : `${result.breakCount} break(s) found`}`);
+    return result;
+};
+
+// ---------------------------------------------------------------
+// Retention and archives
+// ---------------------------------------------------------------
+
+const getRetentionSettings = async () => {
+    try {
+        return { ...DEFAULT_RETENTION, ...JSON.parse(await readConfig(RETENTION_KEY) || '{}') };
+    } catch (e) {
+        return { ...DEFAULT_RETENTION };
+    }
+};
+
+// Returns { value } or { errors } in the shape validation.js uses for 400 responses
+const validateRetentionSettings = (input) => {
+    const source = input || {};
+    const errors = {};
+    const retentionDays = Number(source.retentionDays);
+    const clientErrorRetentionDays = Number(source.clientErrorRetentionDays);
+    if (typeof source.archiveEnabled !== 'boolean') errors.archiveEnabled = 'Deve ser verdadeiro ou falso.';
+    if (!Number.isInteger(retentionDays) || retentionDays < 30 || retentionDays > 3650) errors.retentionDays = 'Informe entre 30 e 3650 dias.';
+    if (!Number.isInteger(clientErrorRetentionDays) || clientErrorRetentionDays < 1 || clientErrorRetentionDays > 365) errors.clientErrorRetentionDays = 'Informe entre 1 e 365 dias.';
+    if (Object.keys(errors).length > 0) return { errors };
+    return { value: { archiveEnabled: source.archiveEnabled, retentionDays, clientErrorRetentionDays } };
+};
+
+const saveRetentionSettings = (settings) => db.promise().query(
+    'INSERT INTO app_config (config_key, config_value) VALUES (?, ?) ON DUPLICATE KEY UPDATE config_value = VALUES(config_value)',
+    [RETENTION_KEY, JSON.stringify(settings)]
+);
+
+const archivePath = (fileName) => path.join(ARCHIVE_DIR, path.basename(fileName));
+
+const hashFile = async (filePath) => {
+    const hash = crypto.createHash('sha256');
+    await pipeline(fs.createReadStream(filePath), hash);
+    return hash.digest('hex');
+};
+
+const fileTimestamp = (date = new Date()) => {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+};
+
+// Entries firstSeq..lastSeq in chain order, one JSON object per line after a header line
+async function* archiveLines(header, firstSeq, lastSeq) {
+    yield `${JSON.stringify(header)}\n`;
+    let afterSeq = firstSeq - 1;
+    while (afterSeq < lastSeq) {
+        const [entries] = await db.promise().query(
+            `SELECT ${CHAIN_COLUMNS}, chain_seq, prev_hash, entry_hash FROM audit_log WHERE chain_seq > ? AND chain_seq <= ? ORDER BY chain_seq LIMIT ?`,
+            [afterSeq, lastSeq, BATCH_SIZE]
+        );
+        if (entries.length === 0) break;
+        yield entries.map(({ ts, ...entry }) => JSON.stringify({ ...entry, timestamp: ts })).join('\n') + '\n';
+        afterSeq = Number(entries[entries.length - 1].chain_seq);
+    }
+}
+
+let archiving = false;
+
+/**
+ * Moves the entries older than `retentionDays` to a gzipped JSON Lines file in ARCHIVE_DIR and deletes
+ * them from audit_log. Only a prefix of the chain is archived (everything before the oldest entry that
+ * is still within retention), and only when the chain verifies, so an archive never hides a break.
+ * Returns the archive, or null when nothing is old enough.
+ */
+const archiveOldEntries = async ({ retentionDays, username = 'system' }) => {
+    if (archiving) throw auditTrailError(409, 'Já existe um arquivamento em andamento.');
+    archiving = true;
+    let filePath = null;
+    try {
+        const verification = await checkChain();
+        if (!verification.valid) {
+            throw auditTrailError(409, 'A cadeia de auditoria tem quebras. Verifique a integridade antes de arquivar.');
+        }
+        const [[{ boundary }]] = await db.promise().query(
+            'SELECT MIN(chain_seq) AS boundary FROM audit_log WHERE chain_seq IS NOT NULL AND timestamp >= DATE_SUB(NOW(), INTERVAL ? DAY)',
+            [retentionDays]
+        );
+        const [[range]] = await db.promise().query(
+            `SELECT MIN(chain_seq) AS firstSeq, MAX(chain_seq) AS lastSeq, MIN(timestamp) AS fromTimestamp, MAX(timestamp) AS toTimestamp
+             FROM audit_log WHERE chain_seq IS NOT NULL${boundary === null ? '' : ' AND chain_seq < ?'}`,
+            boundary === null ? [] : [boundary]
+        );
+        if (range.firstSeq === null) return null;
+        const firstSeq = Number(range.firstSeq);
+        const lastSeq = Number(range.lastSeq);
+
+        const fileName = `audit-${fileTimestamp()}-${firstSeq}-${lastSeq}.jsonl.gz`;
+        filePath = archivePath(fileName);
+        const header = {
+            format: ARCHIVE_FORMAT,
+            version: 1,
+            firstSeq,
+            lastSeq,
+            // Hash the first archived entry points to: the last entry of the previous archive
+            prevHash: verification.anchor.hash,
+            createdAt: new Date().toISOString(),
+            createdBy: username
+        };
+        await pipeline(Readable.from(archiveLines(header, firstSeq, lastSeq)), zlib.createGzip(), fs.createWriteStream(filePath));
+        const [[last]] = await db.promise().query('SELECT entry_hash FROM audit_log WHERE chain_seq = ?', [lastSeq]);
+        const { size } = await fs.promises.stat(filePath);
+        const sha256 = await hashFile(filePath);
+
+        const connection = await db.promise().getConnection();
+        let archiveId;
+        try {
+            await connection.beginTransaction();
+            const [result] = await connection.query('INSERT INTO audit_log_archives SET ?', [{
+                file_name: fileName,
+                first_seq: firstSeq,
+                last_seq: lastSeq,
+                last_hash: last.entry_hash,
+                entry_count: lastSeq - firstSeq + 1,
+                from_timestamp: range.fromTimestamp,
+                to_timestamp: range.toTimestamp,
+                sha256,
+                size,
+                created_by: username
+            }]);
+            archiveId = result.insertId;
+            await connection.query('DELETE FROM audit_log WHERE chain_seq BETWEEN ? AND ?', [firstSeq, lastSeq]);
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+        filePath = null;
+
+        await logAudit(username, 'ARCHIVE', 'AUDIT_LOG', archiveId,
+            `Archived ${lastSeq - firstSeq + 1} audit entries (#${firstSeq}-#${lastSeq}) older than ${retentionDays} days to ${fileName}`);
+        return getArchive(archiveId);
+    } finally {
+        archiving = false;
+        // The file of an archive that was not recorded would only be confusing
+        if (filePath) {
+            await fs.promises.unlink(filePath).catch(() => {});
+        }
+    }
+};
+
+const parseArchive = (row) => ({
+    ...row,
+    first_seq: Number(row.first_seq),
+    last_seq: Number(row.last_seq),
+    file_exists: fs.existsSync(archivePath(row.file_name))
+});
+
+const listArchives = async () => {
+    const [rows] = await db.promise().query('SELECT * FROM audit_log_archives ORDER BY last_seq DESC');
+    return rows.map(parseArchive);
+};
+
+const getArchive = async (id) => {
+    const [rows] = await db.promise().query('SELECT * FROM audit_log_archives WHERE id = ?', [id]);
+    if (rows.length === 0) throw auditTrailError(404, 'Arquivo de auditoria não encontrado.');
+    return parseArchive(rows[0]);
+};
+
+// Path of the archive file, for the download route
+const getArchiveFile = async (id) => {
+    const archive = await getArchive(id);
+    if (!archive.file_exists) {
+        throw auditTrailError(404, `O arquivo ${archive.file_name} não está mais em ${ARCHIVE_DIR}.`);
+    }
+    return { archive, filePath: archivePath(archive.file_name) };
+};
+
+const pruneClientErrors = async (days) => {
+    const [result] = await db.promise().query('DELETE FROM client_errors WHERE created_at < DATE_SUB(NOW(), INTERVAL ? DAY)', [days]);
+    return result.affectedRows;
+};
+
+const runRetention = async () => {
+    const settings = await getRetentionSettings();
+    await pruneClientErrors(settings.clientErrorRetentionDays);
+    if (settings.archiveEnabled) {
+        await archiveOldEntries({ retentionDays: settings.retentionDays });
+    }
+};
+
+const startAuditRetentionScheduler = () => {
+    const tick = () => runRetention().catch(error => console.error('Audit retention error:', error.message));
+    // First run a minute after startup, once migrations have had time to run
+    setTimeout(tick, 60 * 1000).unref();
+    setInterval(tick, RETENTION_CHECK_INTERVAL_MS).unref();
+};
+
+// ---------------------------------------------------------------
+// Export
+// ---------------------------------------------------------------
+
+// ?format=csv|json plus the filters of the paged list (q, username, action_type, target_type, from, to)
+const parseExportQuery = (query) => {
+    const format = String(query.format || 'csv').toLowerCase();
+    const parsed = parseListQuery({ ...query, sort: 'timestamp', order: 'asc' }, LIST_SPECS.auditLog);
+    const errors = { ...(parsed.errors || {}) };
+    if (!EXPORT_FORMATS.includes(format)) errors.format = `Formatos aceitos: ${EXPORT_FORMATS.join(', ')}.`;
+    if (Object.keys(errors).length > 0) return { errors };
+    return { value: { format, parsed } };
+};
+
+// Quotes every cell; a leading = + - @ would make spreadsheets run the text as a formula
+const csvCell = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return `"${(/^[=+\-@]/.test(text) ? `'${text}` : text).replace(/"/g, '""')}"`;
+};
+
+/**
+ * Writes the filtered entries, oldest first, through `write` in batches. CSV uses ";" and a BOM so
+ * Excel in Portuguese opens it directly. The chain columns go along so a copy can be checked later.
+ */
+const writeAuditExport = async ({ format, parsed }, filterDescription, username, write) => {
+    let count = 0;
+    if (format === 'csv') {
+        write(`\uFEFF${EXPORT_COLUMNS.join(';')}\r\n`);
+    } else {
+        write(`{"exported_at":${JSON.stringify(new Date().toISOString())},"exported_by":${JSON.stringify(username)},"filters":${JSON.stringify(filterDescription)},"entries":[`);
+    }
+    for (;;) {
+        const [entries] = await db.promise().query(
+            `SELECT ${CHAIN_COLUMNS}, chain_seq, prev_hash, entry_hash FROM audit_log WHERE ${parsed.where} ORDER BY ${parsed.orderBy} LIMIT ? OFFSET ?`,
+            [...parsed.params, BATCH_SIZE, count]
+        );
+        const rows = entries.map(({ ts, ...entry }) => ({ ...entry, timestamp: ts }));
+        if (format === 'csv') {
+            write(rows.map(row => EXPORT_COLUMNS.map(column => csvCell(row[column])).join(';')).join('\r\n') + (rows.length > 0 ? '\r\n' : ''));
+        } else {
+            write(rows.map((row, index) => `${count + index > 0 ? ',' : ''}${JSON.stringify(Object.fromEntries(EXPORT_COLUMNS.map(column => [column, row[column]])))}`).join(''));
+        }
+        count += rows.length;
+        if (rows.length < BATCH_SIZE) break;
+    }
+    if (format === 'json') write(']}');
+
+    const filters = Object.entries(filterDescription).map(([key, value]) => `${key}=${value}`).join(', ') || 'none';
+    await logAudit(username, 'EXPORT', 'AUDIT_LOG', null, `Exported ${count} audit entries as ${format.toUpperCase()} (filters: ${filters})`);
+    return count;
+};
+
+// ---------------------------------------------------------------
+// Client errors
+// ---------------------------------------------------------------
+
+const clip = (value, max) => typeof value === 'string' && value.trim() ? value.slice(0, max) : null;
+
+// { entries: [{ type, message, stack, url, timestamp }] }; over-long texts are cut, not rejected
+const validateClientErrors = (input) => {
+    const entries = input && Array.isArray(input.entries) ? input.entries : null;
+    if (!entries || entries.length === 0) {
+        return { errors: { entries: 'Envie ao menos um erro.' } };
+    }
+    if (entries.length > MAX_CLIENT_ERRORS_PER_REPORT) {
+        return { errors: { entries: `Envie no máximo ${MAX_CLIENT_ERRORS_PER_REPORT} erros por vez.` } };
+    }
+    const value = [];
+    for (const entry of entries) {
+        const message = clip(entry && entry.message, 2000);
+        if (!message || !CLIENT_ERROR_TYPES.includes(entry.type)) {
+            return { errors: { entries: `Cada erro precisa de "message" e de "type" (${CLIENT_ERROR_TYPES.join(', ')}).` } };
+        }
+        const occurredAt = entry.timestamp ? new Date(entry.timestamp) : null;
+        value.push({
+            type: entry.type,
+            message,
+            stack: clip(entry.stack, 8000),
+            url: clip(entry.url, 2048),
+            occurred_at: occurredAt && !Number.isNaN(occurredAt.getTime()) ? occurredAt : null
+        });
+    }
+    return { value };
+};
+
+const clientErrorBudget = new Map();
+
+// Returns how many entries were stored; the rest of the hourly budget is dropped silently
+const recordClientErrors = async (entries, username, userAgent) => {
+    const now = Date.now();
+    const budget = clientErrorBudget.get(username);
+    const current = budget && now - budget.since < 60 * 60 * 1000 ? budget : { since: now, count: 0 };
+    const accepted = entries.slice(0, Math.max(0, MAX_CLIENT_ERRORS_PER_HOUR - current.count));
+    clientErrorBudget.set(username, { since: current.since, count: current.count + accepted.length });
+    if (accepted.length === 0) return 0;
+
+    await db.promise().query(
+        'INSERT INTO client_errors (username, type, message, stack, url, user_agent, occurred_at) VALUES ?',
+        [accepted.map(entry => [username, entry.type, entry.message, entry.stack, entry.url, clip(userAgent, 512), entry.occurred_at])]
+    );
+    return accepted.length;
+};
+
+module.exports = {
+    ARCHIVE_DIR,
+    verifyAuditChain,
+    getRetentionSettings,
+    validateRetentionSettings,
+    saveRetentionSettings,
+    archiveOldEntries,
+    listArchives,
+    getArchiveFile,
+    startAuditRetentionScheduler,
+    parseExportQuery,
+    writeAuditExport,
+    validateClientErrors,
+    recordClientErrors
+};
@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('./db');
+
+const ROLES = {
+    ADMIN: 'Admin',
+    USER_MANAGER: 'User Manager',
+    USER: 'User'
+};
+
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.SESSION_SECRET) {
+    console.warn("SESSION_SECRET não definido no .env. Usando uma chave temporária: todas as sessões serão invalidadas ao reiniciar a API.");
+}
+const SESSION_TTL = process.env.SESSION_TTL || '12h';
+const TWO_FACTOR_TTL = '10m';
+const PASSWORD_CHANGE_TTL = '10m';
+
+// Paths (relative to /api) that can be called without a session. /v1/ is authenticated with API keys instead (apiKeys.js).
+const PUBLIC_PATHS = ['/', '/login', '/config/public'];
+const PUBLIC_PREFIXES = ['/sso/', '/password-reset/', '/v1/'];
+// Paths a user who passed the password step but not the 2FA step may call
+const TWO_FACTOR_PATHS = ['/verify-2fa', '/generate-2fa', '/enable-2fa'];
+// Paths a user whose password is temporary, expired or the installation default may call
+const PASSWORD_CHANGE_PATHS = ['/password/change'];
+const LIMITED_SCOPES = { '2fa': TWO_FACTOR_PATHS, password: PASSWORD_CHANGE_PATHS };
+
+// A 'session' token grants full access; a '2fa' token only lets the user finish the second factor,
+// and a 'password' token only lets them replace their password before going on with the login.
+const issueSessionToken = (user) => jwt.sign({ sub: user.id, scope: 'session' }, SESSION_SECRET, { expiresIn: SESSION_TTL });
+const issueTwoFactorToken = (user) => jwt.sign({ sub: user.id, scope: '2fa' }, SESSION_SECRET, { expiresIn: TWO_FACTOR_TTL });
+const issuePasswordChangeToken = (user) => jwt.sign({ sub: user.id, scope: 'password' }, SESSION_SECRET, { expiresIn: PASSWORD_CHANGE_TTL });
+
+const readBearerToken = (req) => {
+    const header = req.headers.authorization || '';
+    return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+};
+
+const isPublicPath = (path) => PUBLIC_PATHS.includes(path) || PUBLIC_PREFIXES.some(prefix => path.startsWith(prefix));
+
+// Mounted on /api: resolves the session token into req.user (id, username, realName, email, role).
+// The role always comes from the database, so role changes and deleted users take effect immediately.
+const authenticate = async (req, res, next) => {
+    if (req.method === 'OPTIONS' || isPublicPath(req.path)) {
+        return next();
+    }
+
+    const token = readBearerToken(req);
+    if (!token) {
+        return res.status(401).json({ message: 'Sessão não encontrada. Faça login novamente.' });
+    }
+
+    let payload;
+    try {
+        payload = jwt.verify(token, SESSION_SECRET);
+    } catch (err) {
+        return res.status(401).json({ message: 'Sessão expirada ou inválida. Faça login novamente.' });
+    }
+
+    if (payload.scope !== 'session' && !(LIMITED_SCOPES[payload.scope] || []).includes(req.path)) {
+        return res.status(401).json({ message: payload.scope === 'password' ? 'Troca de senha pendente.' : 'Verificação de dois fatores pendente.' });
+    }
+
+    try {
+        const [users] = await db.promise().query('SELECT id, username, realName, email, role FROM users WHERE id = ?', [payload.sub]);
+        if (users.length === 0) {
+            return res.status(401).json({ message: 'Usuário da sessão não existe mais.' });
+        }
+        req.user = users[0];
+        req.authScope = payload.scope;
+
+        // Handlers take the acting user from req.user only. The body and the query are left as the
+        // client sent them: validators reject keys they do not know, and ?username= filters lists by user.
+        next();
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+const forbidden = (res) => res.status(403).json({ message: 'Você não tem permissão para executar esta ação.' });
+
+const requireRole = (...roles) => (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+        return forbidden(res);
+    }
+    next();
+};
+
+// Allows the request when it targets the session user itself (e.g. body.userId), or when the
+// session user has one of the given roles.
+const requireSelfOrRole = (getTargetUserId, ...roles) => (req, res, next) => {
+    if (!req.user) {
+        return forbidden(res);
+    }
+    if (Number(getTargetUserId(req)) === req.user.id || roles.includes(req.user.role)) {
+        return next();
+    }
+    forbidden(res);
+};
+
+// Guard for /api/users. Everybody may edit their own profile; listing and managing users is
+// reserved to Admins and User Managers, and User Managers cannot create or modify Admins.
+const guardUserAdministration = async (req, res, next) => {
+    const profileMatch = req.path.match(/^\/(\d+)\/profile$/);
+    if (profileMatch) {
+        return Number(profileMatch[1]) === req.user.id ? next() : forbidden(res);
+    }
+
+    if (![ROLES.ADMIN, ROLES.USER_MANAGER].includes(req.user.role)) {
+        return forbidden(res);
+    }
+    if (req.user.role === ROLES.ADMIN || req.method === 'GET') {
+        return next();
+    }
+
+    if (req.body && req.body.user && req.body.user.role === ROLES.ADMIN) {
+        return forbidden(res);
+    }
+    const idMatch = req.path.match(/^\/(\d+)$/);
+    if (idMatch) {
+        try {
+            const [rows] = await db.promise().query('SELECT role FROM users WHERE id = ?', [idMatch[1]]);
+            if (rows.length > 0 && rows[0].role === ROLES.ADMIN) {
+                return forbidden(res);
+            }
+        } catch (error) {
+            return res.status(500).json({ message: error.message });
+        }
+    }
+    next();
+};
+
+module.exports = {
+    ROLES,
+    issueSessionToken,
+    issueTwoFactorToken,
+    issuePasswordChangeToken,
+    authenticate,
+    requireRole,
+    requireSelfOrRole,
+    guardUserAdministration
+};
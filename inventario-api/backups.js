@@ -0,0 +1,323 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const db = require('./db');
+const { logAudit } = require('./audit');
+
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(__dirname, 'backups');
+if (!fs.existsSync(BACKUP_DIR)) {
+    fs.mkdirSync(BACKUP_DIR, { recursive: true });
+}
+
+const BACKUP_FORMAT = 'inventario-pro-backup';
+const BACKUP_VERSION = 1;
+const BACKUP_ID_REGEX = /^backup-\d{8}-\d{6}-\d{3}$/;
+// Schema bookkeeping, not data: restoring an old list of executed migrations would re-run newer ones
+const EXCLUDED_TABLES = ['migrations'];
+const INSERT_CHUNK_SIZE = 500;
+const SCHEDULE_KEY = 'backupSchedule';
+const DEFAULT_SCHEDULE = { enabled: false, intervalHours: 24, keep: 7 };
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+// Errors carry the HTTP status the route should answer with
+const backupError = (status, message) => Object.assign(new Error(message), { status });
+
+// Backup, restore and clear rewrite whole tables, so only one of them runs at a time
+let busy = false;
+const withLock = async (fn) => {
+    if (busy) throw backupError(409, 'Já existe um backup, restauração ou limpeza em andamento. Aguarde e tente novamente.');
+    busy = true;
+    try {
+        return await fn();
+    } finally {
+        busy = false;
+    }
+};
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const dumpPath = (id) => path.join(BACKUP_DIR, `${id}.json.gz`);
+const metaPath = (id) => path.join(BACKUP_DIR, `${id}.meta.json`);
+
+const newBackupId = (date = new Date()) => {
+    const pad = (value, size = 2) => String(value).padStart(size, '0');
+    return `backup-${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-`
+        + `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}-${pad(date.getMilliseconds(), 3)}`;
+};
+
+const assertBackupId = (id) => {
+    if (!BACKUP_ID_REGEX.test(String(id))) throw backupError(400, 'Identificador de backup inválido.');
+};
+
+// Binary columns survive the JSON round trip as base64
+const encodeValue = (value) => Buffer.isBuffer(value) ? { $base64: value.toString('base64') } : value;
+const decodeValue = (value) => value && typeof value === 'object' && typeof value.$base64 === 'string' ? Buffer.from(value.$base64, 'base64') : value;
+
+const listDataTables = async (connection) => {
+    const [rows] = await connection.query("SHOW FULL TABLES WHERE Table_type = 'BASE TABLE'");
+    return rows.map(row => Object.values(row)[0]).filter(name => !EXCLUDED_TABLES.includes(name)).sort();
+};
+
+const writeMeta = (meta) => fs.promises.writeFile(metaPath(meta.id), JSON.stringify(meta, null, 2));
+
+// Dumps every data table from one consistent snapshot. Callers hold the lock.
+const writeBackup = async ({ username, reason }) => {
+    const connection = await db.promise().getConnection();
+    const tables = {};
+    try {
+        await connection.query('SET TRANSACTION ISOLATION LEVEL REPEATABLE READ');
+        await connection.query('START TRANSACTION WITH CONSISTENT SNAPSHOT');
+        for (const name of await listDataTables(connection)) {
+            // dateStrings keeps DATETIME values exactly as stored, ready to be inserted back
+            const [rows, fields] = await connection.query({ sql: 'SELECT * FROM ??', values: [name], dateStrings: true, rowsAsArray: true });
+            tables[name] = { columns: fields.map(field => field.name), rows: rows.map(row => row.map(encodeValue)) };
+        }
+        await connection.query('COMMIT');
+    } finally {
+        connection.release();
+    }
+
+    const id = newBackupId();
+    const rowCounts = Object.fromEntries(Object.entries(tables).map(([name, table]) => [name, table.rows.length]));
+    const header = { format: BACKUP_FORMAT, version: BACKUP_VERSION, id, createdAt: new Date().toISOString(), createdBy: username, reason, rowCounts };
+    const data = zlib.gzipSync(JSON.stringify({ ...header, checksum: sha256(JSON.stringify(tables)), tables }));
+
+    // Write under a temporary name first so a crash never leaves a truncated dump with a valid name
+    const tmpPath = `${dumpPath(id)}.tmp`;
+    await fs.promises.writeFile(tmpPath, data);
+    await fs.promises.rename(tmpPath, dumpPath(id));
+    const meta = { ...header, size: data.length, sha256: sha256(data) };
+    await writeMeta(meta);
+
+    const totalRows = Object.values(rowCounts).reduce((sum, count) => sum + count, 0);
+    await logAudit(username, 'BACKUP', 'DATABASE', id, `Backup ${id} (${reason}): ${totalRows} row(s) in ${Object.keys(rowCounts).length} table(s), sha256 ${meta.sha256}`);
+    return meta;
+};
+
+const createBackup = ({ username = 'system', reason = 'manual' } = {}) => withLock(() => writeBackup({ username, reason }));
+
+// Rebuilds a lost .meta.json from the dump itself
+const readMetaFromDump = async (id) => {
+    const data = await fs.promises.readFile(dumpPath(id));
+    const { tables, checksum, ...header } = JSON.parse(zlib.gunzipSync(data).toString('utf8'));
+    const meta = { ...header, id, size: data.length, sha256: sha256(data) };
+    await writeMeta(meta);
+    return meta;
+};
+
+/**
+ * Backups on disk, newest first: { id, createdAt, createdBy, reason, size, sha256, rowCounts }.
+ * Unreadable files are listed with `error` so they can be inspected or deleted.
+ */
+const listBackups = async () => {
+    const files = await fs.promises.readdir(BACKUP_DIR);
+    const ids = files.filter(file => file.endsWith('.json.gz')).map(file => file.slice(0, -'.json.gz'.length)).filter(id => BACKUP_ID_REGEX.test(id));
+    const backups = [];
+    for (const id of ids) {
+        try {
+            backups.push(fs.existsSync(metaPath(id)) ? JSON.parse(await fs.promises.readFile(metaPath(id), 'utf8')) : await readMetaFromDump(id));
+        } catch (error) {
+            const stats = await fs.promises.stat(dumpPath(id));
+            backups.push({ id, createdAt: stats.mtime.toISOString(), size: stats.size, error: error.message });
+        }
+    }
+    return backups.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+};
+
+const getLatestBackup = async () => (await listBackups()).find(backup => !backup.error) || null;
+
+/**
+ * Reads a dump and checks it end to end: file checksum against its metadata, format and version,
+ * checksum of the table data and the row count of every table. Returns { valid, errors, dump }.
+ */
+const readBackup = async (id) => {
+    assertBackupId(id);
+    if (!fs.existsSync(dumpPath(id))) throw backupError(404, 'Backup não encontrado.');
+    const errors = [];
+    const data = await fs.promises.readFile(dumpPath(id));
+    if (fs.existsSync(metaPath(id))) {
+        const meta = JSON.parse(await fs.promises.readFile(metaPath(id), 'utf8'));
+        if (meta.sha256 !== sha256(data)) errors.push('O checksum do arquivo não confere com o registrado na criação do backup.');
+    }
+    let dump;
+    try {
+        dump = JSON.parse(zlib.gunzipSync(data).toString('utf8'));
+    } catch (error) {
+        return { valid: false, errors: [...errors, `Arquivo corrompido: ${error.message}`], dump: null };
+    }
+    if (dump.format !== BACKUP_FORMAT || dump.version !== BACKUP_VERSION) {
+        errors.push(`Formato de backup não suportado (${dump.format || 'desconhecido'} v${dump.version || '?'}).`);
+    } else {
+        if (dump.checksum !== sha256(JSON.stringify(dump.tables))) errors.push('O checksum dos dados não confere: o conteúdo foi alterado.');
+        for (const [name, table] of Object.entries(dump.tables || {})) {
+            if (!Array.isArray(table.rows) || table.rows.length !== (dump.rowCounts || {})[name]) {
+                errors.push(`A tabela ${name} não tem o número de registros esperado.`);
+            }
+        }
+    }
+    return { valid: errors.length === 0, errors, dump };
+};
+
+const verifyBackup = async (id) => {
+    const { valid, errors, dump } = await readBackup(id);
+    return { id, valid, errors, rowCounts: dump ? dump.rowCounts : null };
+};
+
+/**
+ * Replaces the data of every table in the backup, in one transaction, after checking its integrity
+ * and taking a "pre-restore" backup of the current data. Only columns that still exist are restored;
+ * tables the backup does not know about are left untouched and reported.
+ */
+const restoreBackup = (id, { username = 'system' } = {}) => withLock(async () => {
+    const { valid, errors, dump } = await readBackup(id);
+    if (!valid) throw backupError(422, `Backup inválido, restauração cancelada: ${errors.join(' ')}`);
+
+    const safetyBackup = await writeBackup({ username, reason: 'pre-restore' });
+    const connection = await db.promise().getConnection();
+    const restored = {};
+    try {
+        const currentTables = await listDataTables(connection);
+        await connection.query('SET FOREIGN_KEY_CHECKS = 0');
+        await connection.beginTransaction();
+        const skippedTables = Object.keys(dump.tables).filter(name => !currentTables.includes(name));
+        for (const [name, table] of Object.entries(dump.tables)) {
+            if (!currentTables.includes(name)) continue;
+            const [columns] = await connection.query('SHOW COLUMNS FROM ??', [name]);
+            const existing = new Set(columns.map(column => column.Field));
+            const indexes = table.columns.map((column, index) => existing.has(column) ? index : -1).filter(index => index >= 0);
+            if (indexes.length === 0) {
+                skippedTables.push(name);
+                continue;
+            }
+            await connection.query('DELETE FROM ??', [name]);
+            for (let start = 0; start < table.rows.length; start += INSERT_CHUNK_SIZE) {
+                const values = table.rows.slice(start, start + INSERT_CHUNK_SIZE).map(row => indexes.map(index => decodeValue(row[index])));
+                await connection.query('INSERT INTO ?? (??) VALUES ?', [name, indexes.map(index => table.columns[index]), values]);
+            }
+            restored[name] = table.rows.length;
+        }
+        const result = {
+            id,
+            safetyBackupId: safetyBackup.id,
+            restored,
+            skippedTables,
+            untouchedTables: currentTables.filter(name => !dump.tables[name])
+        };
+        // Logged inside the transaction, after audit_log itself was restored, so the entry is kept
+        await logAudit(username, 'RESTORE', 'DATABASE', id,
+            `Restored backup ${id} (created ${dump.createdAt}): ${Object.keys(restored).length} table(s); safety backup ${safetyBackup.id}`
+            + (result.skippedTables.length > 0 ? `; skipped: ${result.skippedTables.join(', ')}` : ''), connection);
+        await connection.commit();
+        return result;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        await connection.query('SET FOREIGN_KEY_CHECKS = 1').catch(() => {});
+        connection.release();
+    }
+});
+
+const deleteBackup = async (id, { username = 'system' } = {}) => {
+    assertBackupId(id);
+    if (!fs.existsSync(dumpPath(id))) throw backupError(404, 'Backup não encontrado.');
+    await fs.promises.unlink(dumpPath(id));
+    await fs.promises.rm(metaPath(id), { force: true });
+    await logAudit(username, 'DELETE', 'DATABASE', id, `Deleted backup ${id}`);
+};
+
+/**
+ * Empties every data table after a "pre-clear" backup. `reseedMigrationIds` are removed from the
+ * migrations table so the next runMigrations() recreates the default admin and settings.
+ */
+const clearDatabase = ({ username = 'system', reseedMigrationIds = [] } = {}) => withLock(async () => {
+    const safetyBackup = await writeBackup({ username, reason: 'pre-clear' });
+    const connection = await db.promise().getConnection();
+    try {
+        const tables = await listDataTables(connection);
+        await connection.query('SET FOREIGN_KEY_CHECKS = 0');
+        await connection.beginTransaction();
+        for (const name of tables) {
+            await connection.query('DELETE FROM ??', [name]);
+        }
+        if (reseedMigrationIds.length > 0) {
+            await connection.query('DELETE FROM migrations WHERE id IN (?)', [reseedMigrationIds]);
+        }
+        await logAudit(username, 'DELETE', 'DATABASE', null, `Cleared ${tables.length} table(s); safety backup ${safetyBackup.id}`, connection);
+        await connection.commit();
+        return { safetyBackupId: safetyBackup.id, clearedTables: tables };
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        await connection.query('SET FOREIGN_KEY_CHECKS = 1').catch(() => {});
+        connection.release();
+    }
+});
+
+const getBackupSchedule = async () => {
+    const [rows] = await db.promise().query('SELECT config_value FROM app_config WHERE config_key = ?', [SCHEDULE_KEY]);
+    try {
+        return { ...DEFAULT_SCHEDULE, ...(rows.length > 0 && rows[0].config_value ? JSON.parse(rows[0].config_value) : {}) };
+    } catch (e) {
+        return { ...DEFAULT_SCHEDULE };
+    }
+};
+
+// Returns { value } or { errors } in the shape validation.js uses for 400 responses
+const validateBackupSchedule = (input) => {
+    const errors = {};
+    const intervalHours = Number(input.intervalHours);
+    const keep = Number(input.keep);
+    if (typeof input.enabled !== 'boolean') errors.enabled = 'Deve ser verdadeiro ou falso.';
+    if (!Number.isInteger(intervalHours) || intervalHours < 1 || intervalHours > 720) errors.intervalHours = 'Informe um intervalo entre 1 e 720 horas.';
+    if (!Number.isInteger(keep) || keep < 1 || keep > 365) errors.keep = 'Informe entre 1 e 365 backups.';
+    if (Object.keys(errors).length > 0) return { errors };
+    return { value: { enabled: input.enabled, intervalHours, keep } };
+};
+
+const saveBackupSchedule = (schedule) => db.promise().query(
+    'INSERT INTO app_config (config_key, config_value) VALUES (?, ?) ON DUPLICATE KEY UPDATE config_value = VALUES(config_value)',
+    [SCHEDULE_KEY, JSON.stringify(schedule)]
+);
+
+// Retention only applies to scheduled backups; manual and safety backups are removed by hand
+const pruneScheduledBackups = async (keep) => {
+    const scheduled = (await listBackups()).filter(backup => backup.reason === 'scheduled');
+    for (const backup of scheduled.slice(keep)) {
+        await deleteBackup(backup.id);
+    }
+};
+
+const runIfDue = async () => {
+    const schedule = await getBackupSchedule();
+    if (!schedule.enabled) return;
+    const lastScheduled = (await listBackups()).find(backup => backup.reason === 'scheduled');
+    // The check runs hourly, so allow a few minutes of drift instead of skipping a whole hour
+    const dueAt = lastScheduled ? new Date(lastScheduled.createdAt).getTime() + schedule.intervalHours * CHECK_INTERVAL_MS - 5 * 60 * 1000 : 0;
+    if (Date.now() < dueAt) return;
+    await createBackup({ reason: 'scheduled' });
+    await pruneScheduledBackups(schedule.keep);
+};
+
+const startBackupScheduler = () => {
+    const tick = () => runIfDue().catch(error => console.error('Backup scheduler error:', error.message));
+    // First check a minute after startup, once migrations have had time to run
+    setTimeout(tick, 60 * 1000).unref();
+    setInterval(tick, CHECK_INTERVAL_MS).unref();
+};
+
+module.exports = {
+    BACKUP_DIR,
+    createBackup,
+    listBackups,
+    getLatestBackup,
+    verifyBackup,
+    restoreBackup,
+    deleteBackup,
+    clearDatabase,
+    getBackupSchedule,
+    validateBackupSchedule,
+    saveBackupSchedule,
+    startBackupScheduler
+};
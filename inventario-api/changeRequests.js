@@ -0,0 +1,341 @@
+const db = require('./db');
+const { logAudit } = require('./audit');
+const { EQUIPMENT_SCHEMA, LICENSE_SCHEMA } = require('./validation');
+const { SOURCES, diffRecords, recordChanges } = require('./history');
+const { sendMail } = require('./mailer');
+const { ROLES } = require('./auth');
+const { emitEvent, emitEquipmentEvent, emitNewRecordDecision } = require('./webhooks');
+
+const STATUSES = { PENDING: 'pending', APPROVED: 'approved', REJECTED: 'rejected' };
+const ACTIONS = { UPDATE: 'update', DELETE: 'delete' };
+const REASON_MAX_LENGTH = 1000;
+const MY_REQUESTS_LIMIT = 50;
+
+// What a change request can target. `label` names the item in the queue, audit log and e-mails.
+const TARGETS = {
+    equipment: {
+        table: 'equipment',
+        targetType: 'EQUIPMENT',
+        schema: EQUIPMENT_SCHEMA,
+        noun: 'equipamento',
+        notFound: 'Equipamento não encontrado.',
+        label: (record) => [record.equipamento, record.serial].filter(Boolean).join(' - ')
+    },
+    license: {
+        table: 'licenses',
+        targetType: 'LICENSE',
+        schema: LICENSE_SCHEMA,
+        noun: 'licença',
+        notFound: 'Licença não encontrada.',
+        label: (record) => [record.produto, record.usuario].filter(Boolean).join(' - ')
+    }
+};
+
+const changeRequestError = (status, message) => Object.assign(new Error(message), { status });
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Values as the forms send them: DATE columns come back from mysql2 as local-midnight Dates
+const toComparable = (schema, field, value) => {
+    if (value === undefined || value === null || value === '') return null;
+    if (value instanceof Date) {
+        return schema[field] && schema[field].type === 'date'
+            ? `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`
+            : value.toISOString();
+    }
+    return String(value);
+};
+
+/**
+ * Fields of a (validated, partial) payload that differ from the stored record, as
+ * [{ field, from, to }]. Unlike history.diffRecords this keeps photos and QR codes,
+ * since the request has to carry everything the edit would have written.
+ */
+const diffPayload = (schema, record, payload) => Object.keys(payload)
+    .filter(field => field in schema && toComparable(schema, field, record[field]) !== toComparable(schema, field, payload[field]))
+    .map(field => ({ field, from: toComparable(schema, field, record[field]), to: payload[field] === '' ? null : payload[field] }));
+
+const getItem = async (itemType, itemId, executor = db.promise()) => {
+    const [rows] = await executor.query(`SELECT * FROM ${TARGETS[itemType].table} WHERE id = ?`, [itemId]);
+    return rows[0] || null;
+};
+
+/**
+ * Admins write directly. Other roles go through a change request, except on records they
+ * created themselves that are still waiting for approval: those are reviewed as a whole anyway.
+ * Besides the equipment/license edits and deletions, the status changes of a repair
+ * (maintenance.js) go through here too. Check-out, check-in and termo signing (termos.js) are
+ * exempt: they only touch the custody fields, are audited and archive a termo of the handover,
+ * which has to describe what actually happened rather than a change still waiting for review.
+ */
+const needsChangeRequest = async (user, itemType, itemId, executor = db.promise()) => {
+    if (user.role === ROLES.ADMIN) return false;
+    const record = await getItem(itemType, itemId, executor);
+    // A missing item is left to the route handler, which answers 404 as before
+    return !!record && !(record.approval_status === 'pending_approval' && record.created_by_id === user.id);
+};
+
+const parseRow = (row) => ({ ...row, changes: row.changes ? JSON.parse(row.changes) : [] });
+
+// `executor` lets a caller submit the request inside its own transaction
+const submitChangeRequest = async ({ itemType, itemId, action, payload = {} }, user, executor = db.promise()) => {
+    const target = TARGETS[itemType];
+    const record = await getItem(itemType, itemId, executor);
+    if (!record) {
+        throw changeRequestError(404, target.notFound);
+    }
+    const changes = action === ACTIONS.UPDATE ? diffPayload(target.schema, record, payload) : [];
+    if (action === ACTIONS.UPDATE && changes.length === 0) {
+        return null;
+    }
+    const [result] = await executor.query(
+        `INSERT INTO change_requests (item_type, item_id, item_name, action, changes, status, requested_by_id, requested_by, requested_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+        [itemType, itemId, target.label(record), action, JSON.stringify(changes), STATUSES.PENDING, user.id, user.username]
+    );
+    await logAudit(user.username, action === ACTIONS.DELETE ? 'DELETE' : 'UPDATE', target.targetType, itemId,
+        `Requested ${action === ACTIONS.DELETE ? 'deletion' : `changes to ${changes.map(change => change.field).join(', ')}`} (change request #${result.insertId}), pending approval`, executor);
+    return getChangeRequest(result.insertId, executor);
+};
+
+const getChangeRequest = async (id, executor = db.promise()) => {
+    const [rows] = await executor.query('SELECT * FROM change_requests WHERE id = ?', [id]);
+    if (rows.length === 0) {
+        throw changeRequestError(404, 'Solicitação de alteração não encontrada.');
+    }
+    return parseRow(rows[0]);
+};
+
+/**
+ * Pending requests, oldest first, each with the item's current values so the reviewer sees
+ * fields that changed since the request (`changes[].current`, `changes[].conflict`).
+ * `itemMissing` flags requests whose item was deleted in the meantime.
+ */
+const listPendingChangeRequests = async () => {
+    const [rows] = await db.promise().query('SELECT * FROM change_requests WHERE status = ? ORDER BY requested_at, id', [STATUSES.PENDING]);
+    const requests = [];
+    for (const request of rows.map(parseRow)) {
+        const { schema } = TARGETS[request.item_type];
+        const record = await getItem(request.item_type, request.item_id);
+        requests.push({
+            ...request,
+            itemMissing: !record,
+            changes: request.changes.map(change => {
+                const current = record ? toComparable(schema, change.field, record[change.field]) : null;
+                return { ...change, current, conflict: !!record && current !== change.from };
+            })
+        });
+    }
+    return requests;
+};
+
+// The requester's latest requests, so the outcome and the rejection reason stay visible to them
+const listMyChangeRequests = async (userId) => {
+    const [rows] = await db.promise().query(
+        'SELECT * FROM change_requests WHERE requested_by_id = ? ORDER BY requested_at DESC, id DESC LIMIT ?',
+        [userId, MY_REQUESTS_LIMIT]
+    );
+    return rows.map(parseRow);
+};
+
+// Best effort: the outcome is also listed in the requester's "Minhas Solicitações" panel
+const notifyRequester = async (request) => {
+    try {
+        const [users] = await db.promise().query('SELECT email FROM users WHERE id = ?', [request.requested_by_id]);
+        if (users.length === 0 || !users[0].email) return;
+        const what = request.action === ACTIONS.DELETE ? 'exclusão' : 'alteração';
+        const approved = request.status === STATUSES.APPROVED;
+        const lines = [
+            `Sua solicitação de ${what} de ${TARGETS[request.item_type].noun} "${request.item_name}" foi ${approved ? 'aprovada' : 'rejeitada'} por ${request.reviewed_by}.`,
+            ...(approved ? [] : [`Motivo: ${request.rejection_reason}`])
+        ];
+        await sendMail({
+            to: users[0].email,
+            subject: `Solicitação de ${what} ${approved ? 'aprovada' : 'rejeitada'}: ${request.item_name}`,
+            text: lines.join('\n\n')
+        });
+    } catch (error) {
+        console.error(`Failed to notify the requester of change request #${request.id}:`, error.message);
+    }
+};
+
+// approval.decided webhook event (see publicApi.js for its documented shape)
+const announceDecision = (request) => emitEvent('approval.decided', {
+    kind: 'change_request',
+    item_type: request.item_type,
+    item_id: request.item_id,
+    item_name: request.item_name,
+    action: request.action,
+    decision: request.status,
+    reason: request.rejection_reason || null,
+    requested_by: request.requested_by,
+    decided_by: request.reviewed_by,
+    change_request_id: request.id
+});
+
+const alreadyReviewed = () => changeRequestError(409, 'Esta solicitação já foi revisada.');
+
+// Locks the request until the transaction ends, so two reviewers cannot both decide it
+const getPendingRequest = async (id, connection) => {
+    const [rows] = await connection.query('SELECT * FROM change_requests WHERE id = ? FOR UPDATE', [id]);
+    if (rows.length === 0) {
+        throw changeRequestError(404, 'Solicitação de alteração não encontrada.');
+    }
+    if (rows[0].status !== STATUSES.PENDING) {
+        throw alreadyReviewed();
+    }
+    return parseRow(rows[0]);
+};
+
+// Records the decision; the status guard keeps it from overwriting one made in the meantime
+const recordDecision = async (connection, id, fields) => {
+    const [result] = await connection.query(
+        'UPDATE change_requests SET ?, reviewed_at = NOW() WHERE id = ? AND status = ?',
+        [fields, id, STATUSES.PENDING]
+    );
+    if (result.affectedRows === 0) {
+        throw alreadyReviewed();
+    }
+};
+
+/**
+ * Applies the request as it was submitted. Equipment changes are recorded in the history under
+ * the requester, with the approver in approved_by.
+ */
+const approveChangeRequest = async (id, approver) => {
+    const connection = await db.promise().getConnection();
+    let request;
+    let record;
+    try {
+        await connection.beginTransaction();
+        request = await getPendingRequest(id, connection);
+        const target = TARGETS[request.item_type];
+        record = await getItem(request.item_type, request.item_id, connection);
+        if (!record) {
+            throw changeRequestError(409, `${target.notFound} Rejeite a solicitação.`);
+        }
+
+        if (request.action === ACTIONS.DELETE) {
+            await connection.query(`DELETE FROM ${target.table} WHERE id = ?`, [request.item_id]);
+        } else {
+            const updates = request.changes.reduce((acc, change) => ({ ...acc, [change.field]: change.to }), {});
+            const assignments = Object.keys(updates).map(key => `${key} = ?`).join(', ');
+            await connection.query(`UPDATE ${target.table} SET ${assignments} WHERE id = ?`, [...Object.values(updates), request.item_id]);
+            if (request.item_type === 'equipment') {
+                await recordChanges(request.item_id, request.requested_by, 'UPDATE', SOURCES.APPROVAL, diffRecords(record, updates), connection, { approvedBy: approver });
+            }
+        }
+        await recordDecision(connection, id, { status: STATUSES.APPROVED, reviewed_by: approver });
+        await logAudit(approver, request.action === ACTIONS.DELETE ? 'DELETE' : 'UPDATE', target.targetType, request.item_id,
+            `Approved change request #${id} by ${request.requested_by}: ${request.action === ACTIONS.DELETE ? 'deleted' : `updated ${request.changes.map(change => change.field).join(', ')}`}`,
+            connection);
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+    const approved = await getChangeRequest(id);
+    await notifyRequester(approved);
+    announceDecision(approved);
+    if (request.item_type === 'equipment') {
+        // The change is announced under the requester, as in the equipment history
+        if (request.action === ACTIONS.DELETE) {
+            emitEquipmentEvent('equipment.deleted', record, request.requested_by);
+        } else {
+            emitEquipmentEvent('equipment.updated', request.item_id, request.requested_by, { changed_fields: request.changes.map(change => change.field) });
+        }
+    }
+    return approved;
+};
+
+const validateRejection = (reason) => {
+    const value = typeof reason === 'string' ? reason.trim() : '';
+    if (!value) return { errors: { reason: 'Informe o motivo da rejeição.' } };
+    if (value.length > REASON_MAX_LENGTH) return { errors: { reason: `Máximo de ${REASON_MAX_LENGTH} caracteres.` } };
+    return { value };
+};
+
+const rejectChangeRequest = async (id, reviewer, reason) => {
+    const connection = await db.promise().getConnection();
+    try {
+        await connection.beginTransaction();
+        const request = await getPendingRequest(id, connection);
+        await recordDecision(connection, id, { status: STATUSES.REJECTED, reviewed_by: reviewer, rejection_reason: reason });
+        await logAudit(reviewer, 'UPDATE', TARGETS[request.item_type].targetType, request.item_id,
+            `Rejected change request #${id} by ${request.requested_by}: ${reason}`, connection);
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+    const rejected = await getChangeRequest(id);
+    await notifyRequester(rejected);
+    announceDecision(rejected);
+    return rejected;
+};
+
+// ---------------------------------------------------------------
+// New records
+// ---------------------------------------------------------------
+// Equipment and licenses created by non-admins wait with approval_status 'pending_approval'
+// until an Admin approves or rejects the whole record.
+
+const RECORD_DECISIONS = { approve: 'approved', reject: 'rejected' };
+
+// Oldest first within each type, as { id, name, itemType } for the approval queue
+const listPendingRecords = async () => {
+    const pending = [];
+    for (const [itemType, target] of Object.entries(TARGETS)) {
+        const [rows] = await db.promise().query(`SELECT * FROM ${target.table} WHERE approval_status = 'pending_approval' ORDER BY id`);
+        pending.push(...rows.map(record => ({ id: record.id, name: target.label(record), itemType })));
+    }
+    return pending;
+};
+
+// Body of the approve/reject routes: { type, id, reason? }; the reason is only required to reject
+const validateRecordDecision = (input, decision) => {
+    const body = input && typeof input === 'object' ? input : {};
+    const errors = {};
+    if (!TARGETS[body.type]) errors.type = 'Tipo de registro inválido.';
+    if (!Number.isInteger(body.id) || body.id <= 0) errors.id = 'Informe o registro.';
+    const rejection = decision === RECORD_DECISIONS.reject ? validateRejection(body.reason) : { value: null };
+    if (rejection.errors) Object.assign(errors, rejection.errors);
+    if (Object.keys(errors).length > 0) return { errors };
+    return { value: { itemType: body.type, itemId: body.id, reason: rejection.value } };
+};
+
+// The status guard keeps a second reviewer from deciding a record again
+const decideRecord = async ({ itemType, itemId, reason }, decision, reviewer) => {
+    const target = TARGETS[itemType];
+    const [result] = await db.promise().query(
+        `UPDATE ${target.table} SET approval_status = ?, rejection_reason = ? WHERE id = ? AND approval_status = 'pending_approval'`,
+        [decision, reason, itemId]
+    );
+    if (result.affectedRows === 0) {
+        throw (await getItem(itemType, itemId)) ? changeRequestError(409, 'Este registro já foi revisado.') : changeRequestError(404, target.notFound);
+    }
+    const record = await getItem(itemType, itemId);
+    await logAudit(reviewer, 'UPDATE', target.targetType, itemId,
+        `${decision === RECORD_DECISIONS.approve ? 'Approved' : `Rejected (${reason})`} new ${itemType}: ${target.label(record)}`);
+    emitNewRecordDecision({ itemType, itemId, decision, reason }, reviewer);
+    return { id: itemId, itemType, approval_status: decision };
+};
+
+module.exports = {
+    ACTIONS,
+    needsChangeRequest,
+    submitChangeRequest,
+    listPendingChangeRequests,
+    listMyChangeRequests,
+    validateRejection,
+    approveChangeRequest,
+    rejectChangeRequest,
+    RECORD_DECISIONS,
+    listPendingRecords,
+    validateRecordDecision,
+    decideRecord
+};
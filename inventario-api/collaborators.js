@@ -0,0 +1,700 @@
+const db = require('./db');
+const { logAudit } = require('./audit');
+const { validateRecord } = require('./validation');
+const { validateCheckIn, checkIn } = require('./termos');
+
+/*
+ * Collaborator directory. Equipment and licenses keep their holder as free text (usuarioAtual /
+ * emailColaborador, usuario), written by forms, imports and the periodic update alike, so links are
+ * resolved when they are read instead of being stored on the records:
+ *  1. a decision taken for that record while it still has the same holder (collaborator_record_links);
+ *  2. an alias: a spelling linked to a collaborator, or marked as "not a collaborator" (collaborator_aliases);
+ *  3. the collaborator's e-mail, then the collaborator's name compared without accents, case or connectives;
+ *  4. otherwise similar names become candidates and the record waits for review.
+ * Same-name collaborators are told apart by the record's setor/centroCusto, or go to review as well.
+ */
+
+const COLLABORATOR_SCHEMA = {
+    name: { type: 'string', required: true, maxLength: 255 },
+    email: { type: 'email', maxLength: 255 },
+    department: { type: 'string', maxLength: 255 },
+    manager: { type: 'string', maxLength: 255 },
+    cost_center: { type: 'string', maxLength: 255 }
+};
+
+const ITEM_TYPES = ['equipment', 'license'];
+const RESOLUTIONS = ['returned', 'waived'];
+const OFFBOARDING_STATUSES = ['open', 'completed', 'cancelled'];
+const NOTES_MAX_LENGTH = 2000;
+const MAX_CANDIDATES = 10;
+
+// Same scope as the lists and the analytics: records still awaiting approval or rejected are not held by anyone
+const EQUIPMENT_IN_SCOPE = "approval_status = 'approved'";
+const LICENSES_IN_SCOPE = "(approval_status = 'approved' OR approval_status IS NULL)";
+
+// Words left out when comparing names ("Maria da Silva" = "Maria Silva")
+const NAME_CONNECTIVES = new Set(['da', 'das', 'de', 'do', 'dos', 'e']);
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const collaboratorError = (status, message) => Object.assign(new Error(message), { status });
+
+const nameTokens = (value) => String(value || '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(token => token && !NAME_CONNECTIVES.has(token));
+
+/**
+ * Comparable form of a holder as typed in the inventory: e-mails lowercased, names without accents,
+ * case, punctuation and connectives ("JOÃO  da Silva" -> "joao silva"). Empty when there is nothing to match.
+ */
+const holderKey = (value) => {
+    const text = String(value || '').trim();
+    return EMAIL_REGEX.test(text) ? text.toLowerCase() : nameTokens(text).join(' ');
+};
+
+const isEmailKey = (key) => key.includes('@');
+
+// Why a differently written name may be the same person, or null
+const similarity = (tokens, candidate) => {
+    if (tokens.length < 2 || candidate.length < 2) return null;
+    const sorted = (list) => [...list].sort().join(' ');
+    if (sorted(tokens) === sorted(candidate)) return 'reordered';
+    if (tokens.every(token => candidate.includes(token)) || candidate.every(token => tokens.includes(token))) return 'partial';
+    if (tokens[tokens.length - 1] !== candidate[candidate.length - 1]) return null;
+    if (tokens[0] === candidate[0]) return 'partial';
+    const [shorter, longer] = tokens[0].length <= candidate[0].length ? [tokens[0], candidate[0]] : [candidate[0], tokens[0]];
+    return shorter.length === 1 && longer.startsWith(shorter) ? 'initials' : null;
+};
+
+const validateCollaborator = (input, { partial = false } = {}) => {
+    const { active, ...fields } = input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+    const { value, errors } = validateRecord(COLLABORATOR_SCHEMA, fields, { partial });
+    const allErrors = { ...(errors || {}) };
+    if (active !== undefined && typeof active !== 'boolean') {
+        allErrors.active = 'Deve ser verdadeiro ou falso.';
+    }
+    if (Object.keys(allErrors).length > 0) return { errors: allErrors };
+    if (value.email) value.email = value.email.toLowerCase();
+    return { value: active === undefined ? value : { ...value, active } };
+};
+
+// ---------------------------------------------------------------
+// Matching
+// ---------------------------------------------------------------
+
+const addToDirectory = (directory, row) => {
+    const collaborator = { ...row, active: !!row.active };
+    const tokens = nameTokens(collaborator.name);
+    const key = tokens.join(' ');
+    directory.byId.set(collaborator.id, collaborator);
+    directory.tokens.set(collaborator.id, tokens);
+    directory.byName.set(key, [...(directory.byName.get(key) || []), collaborator]);
+    if (collaborator.email) directory.byEmail.set(collaborator.email.toLowerCase(), collaborator);
+    return collaborator;
+};
+
+const loadDirectory = async () => {
+    const [collaborators] = await db.promise().query('SELECT * FROM collaborators ORDER BY name, id');
+    const [aliases] = await db.promise().query('SELECT alias_key, collaborator_id FROM collaborator_aliases');
+    const [links] = await db.promise().query('SELECT item_type, item_id, holder_key, collaborator_id FROM collaborator_record_links');
+    const directory = { byId: new Map(), tokens: new Map(), byName: new Map(), byEmail: new Map(), aliases: new Map(), links: new Map() };
+    collaborators.forEach(row => addToDirectory(directory, row));
+    aliases.forEach(alias => directory.aliases.set(alias.alias_key, alias.collaborator_id));
+    links.forEach(link => directory.links.set(`${link.item_type}:${link.item_id}`, link));
+    return directory;
+};
+
+const linked = (key, collaboratorId, reason) => ({ key, status: 'linked', collaboratorId, reason });
+
+// Resolves one holder text (name or e-mail) against the directory; null when the text is empty
+const resolveHolder = (directory, value) => {
+    const key = holderKey(value);
+    if (!key) return null;
+    if (directory.aliases.has(key)) {
+        const collaboratorId = directory.aliases.get(key);
+        return collaboratorId === null ? { key, status: 'ignored' } : linked(key, collaboratorId, 'alias');
+    }
+    let tokens = key.split(' ');
+    if (isEmailKey(key)) {
+        const collaborator = directory.byEmail.get(key);
+        if (collaborator) return linked(key, collaborator.id, 'email');
+        tokens = nameTokens(key.split('@')[0]);
+    } else {
+        const sameName = directory.byName.get(key) || [];
+        if (sameName.length === 1) return linked(key, sameName[0].id, 'name');
+        if (sameName.length > 1) {
+            return { key, status: 'ambiguous', candidates: sameName.map(collaborator => ({ id: collaborator.id, reason: 'homonym' })) };
+        }
+    }
+    const candidates = [];
+    directory.tokens.forEach((candidateTokens, id) => {
+        const reason = isEmailKey(key) && tokens.length > 0 && tokens.join(' ') === candidateTokens.join(' ') ? 'email_name' : similarity(tokens, candidateTokens);
+        if (reason && candidates.length < MAX_CANDIDATES) candidates.push({ id, reason });
+    });
+    return candidates.length > 0 ? { key, status: 'ambiguous', candidates } : { key, status: 'unmatched' };
+};
+
+// Equipment in stock keeps the last e-mail, so only usuarioAtual says whether it is held
+const holderOf = (itemType, record) => itemType === 'equipment'
+    ? { holder: record.usuarioAtual, email: record.emailColaborador }
+    : { holder: record.usuario, email: null };
+
+// Same-name collaborators: the one whose department or cost center matches the record, if only one does
+const breakTie = (directory, match, record) => {
+    if (!match.candidates.every(candidate => candidate.reason === 'homonym')) return match;
+    const setor = holderKey(record.setor);
+    const centroCusto = holderKey(record.centroCusto);
+    const fitting = match.candidates.filter(({ id }) => {
+        const collaborator = directory.byId.get(id);
+        return (setor && holderKey(collaborator.department) === setor) || (centroCusto && holderKey(collaborator.cost_center) === centroCusto);
+    });
+    return fitting.length === 1 ? linked(match.key, fitting[0].id, 'department') : match;
+};
+
+const resolveRecord = (directory, itemType, record) => {
+    const { holder, email } = holderOf(itemType, record);
+    const key = holderKey(holder);
+    if (!key) return null;
+    const link = directory.links.get(`${itemType}:${record.id}`);
+    if (link && link.holder_key === key) {
+        return link.collaborator_id === null ? { key, status: 'ignored' } : linked(key, link.collaborator_id, 'record');
+    }
+    const byEmail = email ? resolveHolder(directory, email) : null;
+    if (byEmail && byEmail.status === 'linked') return { ...byEmail, key };
+    const byName = resolveHolder(directory, holder);
+    if (byName.status === 'ambiguous') return breakTie(directory, byName, record);
+    if (byName.status === 'unmatched' && byEmail && byEmail.status === 'ambiguous') return { ...byEmail, key };
+    return byName;
+};
+
+const loadHeldRecords = async () => {
+    const [equipment] = await db.promise().query(`
+        SELECT id, equipamento, patrimonio, serial, brand, model, tipo, usuarioAtual, emailColaborador, setor, local, status,
+               dataEntregaUsuario, condicaoTermo
+        FROM equipment
+        WHERE ${EQUIPMENT_IN_SCOPE} AND usuarioAtual IS NOT NULL AND TRIM(usuarioAtual) <> ''
+        ORDER BY equipamento, id
+    `);
+    const [licenses] = await db.promise().query(`
+        SELECT id, produto, tipoLicenca, chaveSerial, dataExpiracao, usuario, cargo, setor, gestor, centroCusto, nomeComputador
+        FROM licenses
+        WHERE ${LICENSES_IN_SCOPE} AND TRIM(usuario) <> ''
+        ORDER BY produto, id
+    `);
+    return [
+        ...equipment.map(record => ({ itemType: 'equipment', record })),
+        ...licenses.map(record => ({ itemType: 'license', record }))
+    ];
+};
+
+// Every held record with its match; records whose holder is empty are left out
+const resolveInventory = async () => {
+    const directory = await loadDirectory();
+    const records = (await loadHeldRecords())
+        .map(entry => ({ ...entry, match: resolveRecord(directory, entry.itemType, entry.record) }))
+        .filter(entry => entry.match);
+    return { directory, records };
+};
+
+// One line describing a record in review queues and offboarding checklists
+const describeItem = (itemType, record) => itemType === 'equipment'
+    ? { itemType, itemId: record.id, name: record.equipamento, detail: [record.patrimonio, record.serial].filter(Boolean).join(' · '), holder: record.usuarioAtual, setor: record.setor }
+    : { itemType, itemId: record.id, name: record.produto, detail: record.chaveSerial, holder: record.usuario, setor: record.setor };
+
+// Most frequent non-empty value (ties: the longest, which usually carries the accents)
+const mostCommon = (values) => {
+    const counts = new Map();
+    values.filter(Boolean).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    const [best] = [...counts.entries()].sort((a, b) => b[1] - a[1] || b[0].length - a[0].length);
+    return best ? best[0] : null;
+};
+
+// Directory fields an unmatched holder would get, taken from the records that name them
+const suggestCollaborator = (entries) => {
+    const equipment = entries.filter(entry => entry.itemType === 'equipment').map(entry => entry.record);
+    const licenses = entries.filter(entry => entry.itemType === 'license').map(entry => entry.record);
+    const names = entries.map(entry => holderOf(entry.itemType, entry.record).holder).filter(holder => !EMAIL_REGEX.test(String(holder).trim()));
+    const emails = [...equipment.map(record => record.emailColaborador), ...entries.map(entry => holderOf(entry.itemType, entry.record).holder)]
+        .map(value => String(value || '').trim().toLowerCase())
+        .filter(value => EMAIL_REGEX.test(value));
+    return {
+        name: mostCommon(names.map(name => String(name).trim())) || mostCommon(emails),
+        email: mostCommon(emails),
+        department: mostCommon(entries.map(entry => entry.record.setor)),
+        manager: mostCommon(licenses.map(record => record.gestor)),
+        cost_center: mostCommon(licenses.map(record => record.centroCusto))
+    };
+};
+
+// Unmatched and ambiguous records grouped by holder, as the review queue shows them
+const groupPending = (records, status) => {
+    const groups = new Map();
+    records.filter(entry => entry.match.status === status).forEach(entry => {
+        const group = groups.get(entry.match.key) || { holderKey: entry.match.key, entries: [], candidates: new Map() };
+        group.entries.push(entry);
+        (entry.match.candidates || []).forEach(candidate => group.candidates.set(candidate.id, candidate.reason));
+        groups.set(entry.match.key, group);
+    });
+    return [...groups.values()].sort((a, b) => b.entries.length - a.entries.length || a.holderKey.localeCompare(b.holderKey));
+};
+
+const spellingsOf = (entries) => [...new Set(entries.map(entry => String(holderOf(entry.itemType, entry.record).holder).trim()))];
+
+const getMatchingReport = async () => {
+    const { directory, records } = await resolveInventory();
+    const [ignored] = await db.promise().query(
+        'SELECT alias_key, alias, created_by, created_at FROM collaborator_aliases WHERE collaborator_id IS NULL ORDER BY alias'
+    );
+    const count = (status) => records.filter(entry => entry.match.status === status).length;
+    return {
+        counts: { linked: count('linked'), ignored: count('ignored'), ambiguous: count('ambiguous'), unmatched: count('unmatched') },
+        ambiguous: groupPending(records, 'ambiguous').map(group => ({
+            holderKey: group.holderKey,
+            spellings: spellingsOf(group.entries),
+            items: group.entries.map(entry => describeItem(entry.itemType, entry.record)),
+            candidates: [...group.candidates.entries()].map(([id, reason]) => ({ ...directory.byId.get(id), reason }))
+        })),
+        unmatched: groupPending(records, 'unmatched').map(group => ({
+            holderKey: group.holderKey,
+            spellings: spellingsOf(group.entries),
+            itemCount: group.entries.length,
+            suggestion: suggestCollaborator(group.entries)
+        })),
+        ignored
+    };
+};
+
+const validateMatchDecision = (input) => {
+    const body = input && typeof input === 'object' ? input : {};
+    const errors = {};
+    const holder = typeof body.holder === 'string' ? body.holder.trim() : '';
+    if (!holderKey(holder)) errors.holder = 'Informe o nome ou e-mail como aparece no inventário.';
+    else if (holder.length > 255) errors.holder = 'Deve ter no máximo 255 caracteres.';
+    const { collaboratorId } = body;
+    if (collaboratorId === undefined) errors.collaboratorId = 'Escolha o colaborador ou indique que não é um colaborador.';
+    else if (collaboratorId !== null && (!Number.isInteger(collaboratorId) || collaboratorId <= 0)) errors.collaboratorId = 'Colaborador inválido.';
+    const forItem = body.itemType !== undefined || body.itemId !== undefined;
+    if (forItem && (!ITEM_TYPES.includes(body.itemType) || !Number.isInteger(body.itemId) || body.itemId <= 0)) {
+        errors.itemId = 'Item inválido.';
+    }
+    if (Object.keys(errors).length > 0) return { errors };
+    return { value: { holder, collaboratorId, item: forItem ? { type: body.itemType, id: body.itemId } : null } };
+};
+
+/**
+ * Links a holder spelling to a collaborator (or marks it as "not a collaborator" with collaboratorId null).
+ * With an item the decision only applies to that record, while it keeps this holder: the way to split homonyms.
+ */
+const decideMatch = async ({ holder, collaboratorId, item }, username) => {
+    const collaborator = collaboratorId === null ? null : await getCollaborator(collaboratorId);
+    const key = holderKey(holder);
+    if (item) {
+        const [rows] = await db.promise().query(
+            item.type === 'equipment' ? 'SELECT id, usuarioAtual FROM equipment WHERE id = ?' : 'SELECT id, usuario FROM licenses WHERE id = ?',
+            [item.id]
+        );
+        if (rows.length === 0) {
+            throw collaboratorError(404, 'Item não encontrado.');
+        }
+        if (holderKey(holderOf(item.type, rows[0]).holder) !== key) {
+            throw collaboratorError(409, 'O responsável por este item mudou. Atualize a lista e tente novamente.');
+        }
+        await db.promise().query(
+            `INSERT INTO collaborator_record_links (item_type, item_id, holder_key, collaborator_id, decided_by, decided_at) VALUES (?, ?, ?, ?, ?, NOW())
+             ON DUPLICATE KEY UPDATE holder_key = VALUES(holder_key), collaborator_id = VALUES(collaborator_id), decided_by = VALUES(decided_by), decided_at = NOW()`,
+            [item.type, item.id, key, collaboratorId, username]
+        );
+    } else {
+        await db.promise().query(
+            `INSERT INTO collaborator_aliases (alias_key, alias, collaborator_id, created_by, created_at) VALUES (?, ?, ?, ?, NOW())
+             ON DUPLICATE KEY UPDATE alias = VALUES(alias), collaborator_id = VALUES(collaborator_id), created_by = VALUES(created_by), created_at = NOW()`,
+            [key, holder, collaboratorId, username]
+        );
+    }
+    const scope = item ? ` on ${item.type} ${item.id}` : '';
+    await logAudit(username, 'UPDATE', 'COLLABORATOR', collaboratorId,
+        collaborator ? `Linked holder "${holder}"${scope} to collaborator ${collaborator.name}` : `Marked holder "${holder}"${scope} as not a collaborator`);
+};
+
+const removeAlias = async (aliasKey, username) => {
+    const [rows] = await db.promise().query('SELECT * FROM collaborator_aliases WHERE alias_key = ?', [aliasKey]);
+    if (rows.length === 0) {
+        throw collaboratorError(404, 'Vínculo não encontrado.');
+    }
+    await db.promise().query('DELETE FROM collaborator_aliases WHERE alias_key = ?', [aliasKey]);
+    await logAudit(username, 'UPDATE', 'COLLABORATOR', rows[0].collaborator_id, `Removed holder link "${rows[0].alias}"`);
+};
+
+// ---------------------------------------------------------------
+// Directory
+// ---------------------------------------------------------------
+
+const getCollaborator = async (collaboratorId) => {
+    const [rows] = await db.promise().query('SELECT * FROM collaborators WHERE id = ?', [collaboratorId]);
+    if (rows.length === 0) {
+        throw collaboratorError(404, 'Colaborador não encontrado.');
+    }
+    return { ...rows[0], active: !!rows[0].active };
+};
+
+const duplicateEmail = (error) => error.code === 'ER_DUP_ENTRY'
+    ? collaboratorError(409, 'Já existe um colaborador com este e-mail.')
+    : error;
+
+// Collaborators with how many items each one holds and the offboarding in progress, if any
+const listCollaborators = async () => {
+    const { directory, records } = await resolveInventory();
+    const holdings = new Map();
+    records.filter(entry => entry.match.status === 'linked').forEach(({ itemType, match }) => {
+        const counts = holdings.get(match.collaboratorId) || { equipment: 0, license: 0 };
+        counts[itemType] += 1;
+        holdings.set(match.collaboratorId, counts);
+    });
+    const [open] = await db.promise().query("SELECT id, collaborator_id FROM offboardings WHERE status = 'open'");
+    const openByCollaborator = new Map(open.map(row => [row.collaborator_id, row.id]));
+    return [...directory.byId.values()].map(collaborator => {
+        const counts = holdings.get(collaborator.id) || { equipment: 0, license: 0 };
+        return {
+            ...collaborator,
+            equipmentCount: counts.equipment,
+            licenseCount: counts.license,
+            openOffboardingId: openByCollaborator.get(collaborator.id) || null
+        };
+    });
+};
+
+const createCollaborator = async (value, username) => {
+    try {
+        const [result] = await db.promise().query('INSERT INTO collaborators SET ?', [value]);
+        await logAudit(username, 'CREATE', 'COLLABORATOR', result.insertId, `Created collaborator ${value.name}`);
+        return getCollaborator(result.insertId);
+    } catch (error) {
+        throw duplicateEmail(error);
+    }
+};
+
+const updateCollaborator = async (collaboratorId, value, username) => {
+    const current = await getCollaborator(collaboratorId);
+    const changed = Object.keys(value).filter(field => value[field] !== current[field]);
+    if (changed.length === 0) return current;
+    try {
+        await db.promise().query('UPDATE collaborators SET ? WHERE id = ?', [value, collaboratorId]);
+    } catch (error) {
+        throw duplicateEmail(error);
+    }
+    await logAudit(username, 'UPDATE', 'COLLABORATOR', collaboratorId, `Updated collaborator ${value.name || current.name}: ${changed.join(', ')}`);
+    return getCollaborator(collaboratorId);
+};
+
+const validateImportSelection = (input) => {
+    const holderKeys = input && input.holderKeys;
+    if (holderKeys === undefined) return { value: null };
+    if (!Array.isArray(holderKeys) || holderKeys.length === 0 || !holderKeys.every(key => typeof key === 'string')) {
+        return { errors: { holderKeys: 'Selecione ao menos um nome da lista.' } };
+    }
+    return { value: holderKeys };
+};
+
+/**
+ * Creates collaborators for holders that match nobody (all of them, or the holderKeys chosen in the
+ * review queue), with the name, e-mail, setor, gestor and centro de custo their records use most.
+ * Each new collaborator joins the directory before the next holder is checked, so two spellings of
+ * the same person create one collaborator and leave the other spelling for review.
+ */
+const importFromInventory = async (holderKeys, username) => {
+    const { directory, records } = await resolveInventory();
+    const groups = groupPending(records, 'unmatched').filter(group => !holderKeys || holderKeys.includes(group.holderKey));
+    const created = [];
+    const skipped = [];
+    for (const group of groups) {
+        const suggestion = suggestCollaborator(group.entries);
+        const recheck = group.entries.map(entry => resolveRecord(directory, entry.itemType, entry.record));
+        if (!suggestion.name || recheck.some(match => match.status !== 'unmatched')) {
+            skipped.push(spellingsOf(group.entries)[0]);
+            continue;
+        }
+        const email = suggestion.email && !directory.byEmail.has(suggestion.email) ? suggestion.email : null;
+        const value = { ...suggestion, name: suggestion.name.slice(0, 255), email };
+        const [result] = await db.promise().query('INSERT INTO collaborators SET ?', [value]);
+        created.push(addToDirectory(directory, { id: result.insertId, ...value, active: true }));
+    }
+    if (created.length > 0) {
+        await logAudit(username, 'CREATE', 'COLLABORATOR', null, `Created ${created.length} collaborator(s) from inventory holders`);
+    }
+    return { created, skipped };
+};
+
+/**
+ * Everything the collaborator holds, the records where they are one of the candidates still under
+ * review, the spellings linked to them and their offboardings.
+ */
+const getCollaboratorProfile = async (collaboratorId) => {
+    const { directory, records } = await resolveInventory();
+    const collaborator = directory.byId.get(Number(collaboratorId));
+    if (!collaborator) {
+        throw collaboratorError(404, 'Colaborador não encontrado.');
+    }
+    const held = records.filter(entry => entry.match.status === 'linked' && entry.match.collaboratorId === collaborator.id);
+    const heldOf = (itemType) => held.filter(entry => entry.itemType === itemType).map(entry => ({ ...entry.record, matchReason: entry.match.reason }));
+    const possible = records.filter(entry => entry.match.status === 'ambiguous' && entry.match.candidates.some(candidate => candidate.id === collaborator.id));
+    const [aliases] = await db.promise().query(
+        'SELECT alias_key, alias, created_by, created_at FROM collaborator_aliases WHERE collaborator_id = ? ORDER BY alias',
+        [collaborator.id]
+    );
+    return {
+        collaborator,
+        equipment: heldOf('equipment'),
+        licenses: heldOf('license'),
+        possibleMatches: possible.map(entry => ({
+            ...describeItem(entry.itemType, entry.record),
+            reason: entry.match.candidates.find(candidate => candidate.id === collaborator.id).reason
+        })),
+        aliases,
+        offboardings: await listOffboardings({ collaboratorId: collaborator.id })
+    };
+};
+
+// ---------------------------------------------------------------
+// Offboarding
+// ---------------------------------------------------------------
+
+const OFFBOARDING_SUMMARY = `
+    SELECT o.*, c.name AS collaborator_name, c.email AS collaborator_email,
+           COUNT(i.id) AS item_count, COALESCE(SUM(i.status = 'pending'), 0) AS pending_count
+    FROM offboardings o
+    JOIN collaborators c ON c.id = o.collaborator_id
+    LEFT JOIN offboarding_items i ON i.offboarding_id = o.id`;
+
+const toOffboarding = (row) => ({ ...row, item_count: Number(row.item_count), pending_count: Number(row.pending_count) });
+
+const parseDetails = (text) => {
+    try {
+        return JSON.parse(text) || {};
+    } catch (error) {
+        return {};
+    }
+};
+
+const listOffboardings = async ({ status, collaboratorId } = {}) => {
+    const conditions = [];
+    const params = [];
+    if (status) {
+        conditions.push('o.status = ?');
+        params.push(status);
+    }
+    if (collaboratorId) {
+        conditions.push('o.collaborator_id = ?');
+        params.push(collaboratorId);
+    }
+    const [rows] = await db.promise().query(
+        `${OFFBOARDING_SUMMARY} ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''} GROUP BY o.id ORDER BY o.started_at DESC, o.id DESC`,
+        params
+    );
+    return rows.map(toOffboarding);
+};
+
+const validateOffboardingFilter = (query = {}) => {
+    if (query.status === undefined || query.status === '') return { value: {} };
+    if (!OFFBOARDING_STATUSES.includes(query.status)) {
+        return { errors: { status: `Valor inválido. Valores aceitos: ${OFFBOARDING_STATUSES.join(', ')}.` } };
+    }
+    return { value: { status: query.status } };
+};
+
+const validateNotes = (notes, errors) => {
+    if (notes === undefined || notes === null || notes === '') return null;
+    if (typeof notes !== 'string') {
+        errors.notes = 'Deve ser um texto.';
+    } else if (notes.trim().length > NOTES_MAX_LENGTH) {
+        errors.notes = `Deve ter no máximo ${NOTES_MAX_LENGTH} caracteres.`;
+    }
+    return typeof notes === 'string' ? notes.trim() || null : null;
+};
+
+const validateOffboardingStart = (input) => {
+    const errors = {};
+    const notes = validateNotes(input && input.notes, errors);
+    return Object.keys(errors).length > 0 ? { errors } : { value: { notes } };
+};
+
+const getOffboarding = async (offboardingId) => {
+    const [rows] = await db.promise().query(`${OFFBOARDING_SUMMARY} WHERE o.id = ? GROUP BY o.id`, [offboardingId]);
+    if (rows.length === 0) {
+        throw collaboratorError(404, 'Desligamento não encontrado.');
+    }
+    const [items] = await db.promise().query(
+        "SELECT * FROM offboarding_items WHERE offboarding_id = ? ORDER BY status = 'pending' DESC, item_type, item_name, id",
+        [offboardingId]
+    );
+    return {
+        offboarding: toOffboarding(rows[0]),
+        items: items.map(item => ({ ...item, item_details: parseDetails(item.item_details) }))
+    };
+};
+
+const closeOffboarding = async (offboarding, status, username, executor = db.promise()) => {
+    await executor.query('UPDATE offboardings SET status = ?, closed_by = ?, closed_at = NOW() WHERE id = ?', [status, username, offboarding.id]);
+    if (status === 'completed') {
+        await executor.query('UPDATE collaborators SET active = FALSE WHERE id = ?', [offboarding.collaborator_id]);
+    }
+};
+
+/**
+ * Opens the offboarding checklist with everything the collaborator holds right now. Each item keeps a
+ * copy of the record, so the checklist still reads the same after the record changes or is removed.
+ * With nothing to recover the offboarding is completed at once.
+ */
+const startOffboarding = async (collaboratorId, { notes }, username) => {
+    const { directory, records } = await resolveInventory();
+    const collaborator = directory.byId.get(Number(collaboratorId));
+    if (!collaborator) {
+        throw collaboratorError(404, 'Colaborador não encontrado.');
+    }
+    const held = records.filter(entry => entry.match.status === 'linked' && entry.match.collaboratorId === collaborator.id);
+
+    const connection = await db.promise().getConnection();
+    let offboardingId;
+    try {
+        await connection.beginTransaction();
+        await connection.query('SELECT id FROM collaborators WHERE id = ? FOR UPDATE', [collaborator.id]);
+        const [open] = await connection.query("SELECT id FROM offboardings WHERE collaborator_id = ? AND status = 'open'", [collaborator.id]);
+        if (open.length > 0) {
+            throw collaboratorError(409, 'Já existe um desligamento em andamento para este colaborador.');
+        }
+        const [result] = await connection.query(
+            "INSERT INTO offboardings (collaborator_id, status, notes, started_by, started_at) VALUES (?, 'open', ?, ?, NOW())",
+            [collaborator.id, notes, username]
+        );
+        offboardingId = result.insertId;
+        if (held.length > 0) {
+            await connection.query(
+                'INSERT INTO offboarding_items (offboarding_id, item_type, item_id, item_name, item_details) VALUES ?',
+                [held.map(({ itemType, record }) => {
+                    const { id, ...details } = record;
+                    return [offboardingId, itemType, id, String(describeItem(itemType, record).name).slice(0, 255), JSON.stringify(details)];
+                })]
+            );
+        } else {
+            await closeOffboarding({ id: offboardingId, collaborator_id: collaborator.id }, 'completed', username, connection);
+        }
+        await logAudit(username, 'CREATE', 'COLLABORATOR', collaborator.id,
+            `Started offboarding #${offboardingId} of ${collaborator.name} with ${held.length} item(s) to recover`, connection);
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+    return getOffboarding(offboardingId);
+};
+
+const validateItemResolution = (input) => {
+    const body = input && typeof input === 'object' ? input : {};
+    const errors = {};
+    if (!RESOLUTIONS.includes(body.resolution)) {
+        errors.resolution = 'Informe se o item foi devolvido ou dispensado.';
+    }
+    const notes = validateNotes(body.notes, errors);
+    const { value: checkInValue, errors: checkInErrors } = validateCheckIn(body.checkIn);
+    Object.assign(errors, checkInErrors || {});
+    return Object.keys(errors).length > 0 ? { errors } : { value: { resolution: body.resolution, notes, checkIn: checkInValue } };
+};
+
+/**
+ * Returning an item undoes its assignment: the equipment is checked in (archiving the termo de devolução)
+ * and the license row, which is the seat itself, is deleted so the seat counts as available again.
+ * When the record already changed hands outside the offboarding there is nothing left to undo.
+ */
+const recoverItem = async (item, checkInInput, username) => {
+    const details = parseDetails(item.item_details);
+    if (item.item_type === 'equipment') {
+        const [rows] = await db.promise().query('SELECT usuarioAtual FROM equipment WHERE id = ?', [item.item_id]);
+        if (rows.length === 0 || holderKey(rows[0].usuarioAtual) !== holderKey(details.usuarioAtual)) return;
+        await checkIn(item.item_id, checkInInput, username);
+        return;
+    }
+    const [rows] = await db.promise().query('SELECT usuario FROM licenses WHERE id = ?', [item.item_id]);
+    if (rows.length === 0 || holderKey(rows[0].usuario) !== holderKey(details.usuario)) return;
+    await db.promise().query('DELETE FROM licenses WHERE id = ?', [item.item_id]);
+    await logAudit(username, 'DELETE', 'LICENSE', item.item_id,
+        `Released license ${item.item_name} (${details.chaveSerial}) from ${details.usuario} during offboarding #${item.offboarding_id}`);
+};
+
+/**
+ * Marks one checklist item as returned (recovering it, see recoverItem) or waived (it stays with the
+ * person, e.g. a phone they bought). The last resolved item completes the offboarding and deactivates
+ * the collaborator.
+ */
+const resolveOffboardingItem = async (offboardingId, itemId, { resolution, notes, checkIn: checkInInput }, username) => {
+    const { offboarding } = await getOffboarding(offboardingId);
+    if (offboarding.status !== 'open') {
+        throw collaboratorError(409, 'Este desligamento já foi encerrado.');
+    }
+    const [items] = await db.promise().query('SELECT * FROM offboarding_items WHERE id = ? AND offboarding_id = ?', [itemId, offboardingId]);
+    if (items.length === 0) {
+        throw collaboratorError(404, 'Item não encontrado neste desligamento.');
+    }
+    const item = items[0];
+    if (item.status !== 'pending') {
+        throw collaboratorError(409, 'Este item já foi resolvido.');
+    }
+    if (resolution === 'returned') {
+        await recoverItem(item, checkInInput, username);
+    }
+    await db.promise().query(
+        "UPDATE offboarding_items SET status = ?, notes = ?, resolved_by = ?, resolved_at = NOW() WHERE id = ? AND status = 'pending'",
+        [resolution, notes, username, itemId]
+    );
+    await logAudit(username, 'UPDATE', 'COLLABORATOR', offboarding.collaborator_id,
+        `Offboarding #${offboardingId}: ${item.item_type} ${item.item_name} ${resolution}`);
+
+    const [[{ pending }]] = await db.promise().query(
+        "SELECT COUNT(*) AS pending FROM offboarding_items WHERE offboarding_id = ? AND status = 'pending'",
+        [offboardingId]
+    );
+    if (pending === 0) {
+        await closeOffboarding(offboarding, 'completed', username);
+        await logAudit(username, 'UPDATE', 'COLLABORATOR', offboarding.collaborator_id,
+            `Completed offboarding #${offboardingId} of ${offboarding.collaborator_name}; collaborator deactivated`);
+    }
+    return getOffboarding(offboardingId);
+};
+
+// Items already returned stay returned; the collaborator keeps their active flag
+const cancelOffboarding = async (offboardingId, username) => {
+    const { offboarding } = await getOffboarding(offboardingId);
+    if (offboarding.status !== 'open') {
+        throw collaboratorError(409, 'Este desligamento já foi encerrado.');
+    }
+    await closeOffboarding(offboarding, 'cancelled', username);
+    await logAudit(username, 'UPDATE', 'COLLABORATOR', offboarding.collaborator_id,
+        `Cancelled offboarding #${offboardingId} of ${offboarding.collaborator_name}`);
+    return getOffboarding(offboardingId);
+};
+
+module.exports = {
+    holderKey,
+    loadDirectory,
+    resolveRecord,
+    validateCollaborator,
+    listCollaborators,
+    createCollaborator,
+    updateCollaborator,
+    getCollaboratorProfile,
+    getMatchingReport,
+    validateMatchDecision,
+    decideMatch,
+    removeAlias,
+    validateImportSelection,
+    importFromInventory,
+    listOffboardings,
+    validateOffboardingFilter,
+    validateOffboardingStart,
+    startOffboarding,
+    getOffboarding,
+    validateItemResolution,
+    resolveOffboardingItem,
+    cancelOffboarding
+};
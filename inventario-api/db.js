@@ -0,0 +1,17 @@
+require('dotenv').config();
+const mysql = require('mysql2');
+
+// Shared connection pool. Every module that needs the database requires this file
+// instead of opening its own pool.
+const db = mysql.createPool({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_DATABASE,
+    waitForConnections: true,
+    connectionLimit: 10,
+    queueLimit: 0,
+    multipleStatements: true
+});
+
+module.exports = db;
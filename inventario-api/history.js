@@ -0,0 +1,162 @@
+const db = require('./db');
+const { EQUIPMENT_SCHEMA } = require('./validation');
+
+// Where a change came from. Stored in equipment_history.source.
+const SOURCES = {
+    MANUAL: 'manual',
+    CSV_IMPORT: 'csv_import',
+    PERIODIC_UPDATE: 'periodic_update',
+    APPROVAL: 'approval',
+    RESTORE: 'restore',
+    // Check-out, check-in and termo signatures (termos.js)
+    CUSTODY: 'custody',
+    // Opening and closing a repair (maintenance.js)
+    MAINTENANCE: 'maintenance',
+    // Calls to /api/v1 made with an API key (publicApi.js)
+    API: 'api'
+};
+
+// Photos and QR codes are base64 blobs: they are not diffed, stored in history or restored.
+const UNTRACKED_FIELDS = ['foto', 'qrCode'];
+const TRACKED_FIELDS = Object.keys(EQUIPMENT_SCHEMA).filter(field => !UNTRACKED_FIELDS.includes(field));
+
+const toHistoryValue = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    if (value instanceof Date) return value.toISOString();
+    return String(value);
+};
+
+/**
+ * Field-by-field differences between two equipment records. Only fields present in `after`
+ * are compared, so a partial update only reports what it actually touched.
+ * Returns [{ field, from, to }] with values as strings (or null).
+ */
+const diffRecords = (before, after) => {
+    const changes = [];
+    for (const field of TRACKED_FIELDS) {
+        if (!(field in after)) continue;
+        const from = toHistoryValue(before ? before[field] : null);
+        const to = toHistoryValue(after[field]);
+        if (from !== to) {
+            changes.push({ field, from, to });
+        }
+    }
+    return changes;
+};
+
+/**
+ * Stores one equipment_history row per changed field. `executor` can be a transaction connection.
+ * `approvedBy` is set when the change was requested by `changedBy` and applied by an admin.
+ */
+const recordChanges = async (equipmentId, changedBy, changeType, source, changes, executor = db.promise(), { approvedBy = null } = {}) => {
+    for (const change of changes) {
+        // Explicit timestamp NOW() to avoid "default value" errors on legacy schemas
+        await executor.query(
+            'INSERT INTO equipment_history (equipment_id, timestamp, changedBy, approved_by, changeType, source, field_name, from_value, to_value) VALUES (?, NOW(), ?, ?, ?, ?, ?, ?, ?)',
+            [equipmentId, changedBy, approvedBy, changeType, source, change.field, change.from, change.to]
+        );
+    }
+};
+
+// Creation is recorded as every filled field going from empty to its initial value
+const recordCreation = (equipmentId, changedBy, source, record, executor = db.promise()) =>
+    recordChanges(equipmentId, changedBy, 'CREATE', source, diffRecords(null, record), executor);
+
+const inferSource = (changeType = '') => {
+    const type = changeType.toUpperCase();
+    if (type.includes('AUTO') || type.includes('PERIÓDICA')) return SOURCES.PERIODIC_UPDATE;
+    if (type.includes('IMPORT')) return SOURCES.CSV_IMPORT;
+    if (type.includes('APPROV')) return SOURCES.APPROVAL;
+    if (type.includes('RESTORE')) return SOURCES.RESTORE;
+    return SOURCES.MANUAL;
+};
+
+const parseJsonObject = (value) => {
+    if (!value || value[0] !== '{') return null;
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return null;
+    }
+};
+
+/**
+ * Converts a raw equipment_history row into field-level entries.
+ * Rows written before the field-level model stored whole records as JSON (manual create/update)
+ * or plain values without the field name (periodic update); those are expanded where possible
+ * and otherwise returned with `field: null`.
+ */
+const normalizeHistoryRow = (row) => {
+    const base = {
+        id: row.id,
+        timestamp: row.timestamp,
+        changedBy: row.changedBy,
+        approvedBy: row.approved_by || null,
+        changeType: row.changeType,
+        source: row.source || inferSource(row.changeType)
+    };
+
+    if (row.field_name) {
+        return [{ ...base, field: row.field_name, from_value: row.from_value, to_value: row.to_value }];
+    }
+
+    const fromRecord = parseJsonObject(row.from_value);
+    const toRecord = parseJsonObject(row.to_value);
+    if (toRecord) {
+        return diffRecords(fromRecord, toRecord).map(change => ({ ...base, field: change.field, from_value: change.from, to_value: change.to }));
+    }
+    return [{ ...base, field: null, from_value: row.from_value, to_value: row.to_value }];
+};
+
+// Field-level history of an equipment, newest first
+const getFieldHistory = async (equipmentId, executor = db.promise()) => {
+    const [rows] = await executor.query('SELECT * FROM equipment_history WHERE equipment_id = ? ORDER BY timestamp DESC, id DESC', [equipmentId]);
+    return rows.flatMap(normalizeHistoryRow);
+};
+
+/**
+ * Rebuilds the state of an equipment at `at` by undoing, newest first, every field change
+ * recorded after that moment. Returns null if the equipment does not exist.
+ *  - state: the record as it was at `at` (tracked fields only)
+ *  - changes: [{ field, from, to }] needed to go from the current record to `state`
+ *  - unresolved: legacy history entries after `at` that do not say which field they changed
+ *  - existed: false when the equipment was created after `at`
+ */
+const getStateAt = async (equipmentId, at, executor = db.promise()) => {
+    const [rows] = await executor.query('SELECT * FROM equipment WHERE id = ?', [equipmentId]);
+    if (rows.length === 0) return null;
+    const current = rows[0];
+
+    const [laterRows] = await executor.query(
+        'SELECT * FROM equipment_history WHERE equipment_id = ? AND timestamp > ? ORDER BY timestamp DESC, id DESC',
+        [equipmentId, at]
+    );
+
+    const state = {};
+    TRACKED_FIELDS.forEach(field => { state[field] = toHistoryValue(current[field]); });
+
+    let unresolved = 0;
+    let existed = true;
+    for (const entry of laterRows.flatMap(normalizeHistoryRow)) {
+        if (entry.changeType === 'CREATE' || entry.changeType.startsWith('CREATE ')) {
+            existed = false;
+        }
+        if (!entry.field || !TRACKED_FIELDS.includes(entry.field)) {
+            unresolved++;
+            continue;
+        }
+        state[entry.field] = entry.from_value;
+    }
+
+    return { state, changes: diffRecords(current, state), unresolved, existed };
+};
+
+module.exports = {
+    SOURCES,
+    TRACKED_FIELDS,
+    diffRecords,
+    recordChanges,
+    recordCreation,
+    getFieldHistory,
+    getStateAt
+};
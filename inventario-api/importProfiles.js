@@ -0,0 +1,178 @@
+const mysql = require('mysql2');
+const db = require('./db');
+const { EQUIPMENT_SCHEMA, LICENSE_SCHEMA, validateRecord } = require('./validation');
+
+// What an import can write to, and the schema its rows are validated against
+const IMPORT_TARGETS = {
+    equipment: EQUIPMENT_SCHEMA,
+    license: LICENSE_SCHEMA
+};
+
+/**
+ * Source column names are matched after normalization, so "Número de série", "NUMERO DE SERIE"
+ * and "numero_de_serie" all hit the same mapping entry. Must match normalizeHeader in services/importEngine.ts.
+ */
+const normalizeHeader = (header) => String(header)
+    .toUpperCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Z0-9]/g, '');
+
+// Profiles created by migration so existing imports keep working without setup.
+// Keys are normalized source headers, values are target fields.
+const DEFAULT_PROFILES = [
+    {
+        name: 'Absolute',
+        target: 'equipment',
+        mapping: {
+            NOMEDODISPOSITIVO: 'equipamento', DISPOSITIVO: 'equipamento', EQUIPAMENTO: 'equipamento',
+            NUMERODESERIE: 'serial', SERIAL: 'serial',
+            NOMEDOUSUARIOATUAL: 'usuarioAtual', USUARIOATUAL: 'usuarioAtual', USUARIO: 'usuarioAtual',
+            MARCA: 'brand', MODELO: 'model',
+            EMAILDOCOLABORADOR: 'emailColaborador', EMAIL: 'emailColaborador',
+            IDENTIFICADOR: 'identificador', NOMEDOSO: 'nomeSO', SO: 'nomeSO',
+            MEMORIAFISICATOTAL: 'memoriaFisicaTotal', MEMORIA: 'memoriaFisicaTotal',
+            GRUPODEPOLITICAS: 'grupoPoliticas', POLITICAS: 'grupoPoliticas',
+            PAIS: 'pais', CIDADE: 'cidade', ESTADOPROVINCIA: 'estadoProvincia', ESTADO: 'estadoProvincia',
+            LOCAL: 'local', SETOR: 'setor'
+        }
+    },
+    {
+        name: 'Planilha Base',
+        target: 'equipment',
+        mapping: {
+            EQUIPAMENTO: 'equipamento', GARANTIA: 'garantia', PATRIMONIO: 'patrimonio', SERIAL: 'serial',
+            USUARIOATUAL: 'usuarioAtual', USUARIOANTERIOR: 'usuarioAnterior', LOCAL: 'local', SETOR: 'setor',
+            DATAENTREGAOUSUARIO: 'dataEntregaUsuario', STATUS: 'status', DATADEDEVOLUCAO: 'dataDevolucao',
+            TIPO: 'tipo', NOTADECOMPRA: 'notaCompra', NOTAPLKM: 'notaPlKm',
+            TERMODERESPONSABILIDADE: 'termoResponsabilidade', FOTO: 'foto', QRCODE: 'qrCode',
+            MARCA: 'brand', MODELO: 'model', EMAILCOLABORADOR: 'emailColaborador',
+            IDENTIFICADOR: 'identificador', NOMESO: 'nomeSO', MEMORIAFISICATOTAL: 'memoriaFisicaTotal',
+            GRUPODEPOLITICAS: 'grupoPoliticas', PAIS: 'pais', CIDADE: 'cidade', ESTADOPROVINCIA: 'estadoProvincia',
+            OBSERVACOES: 'observacoes'
+        }
+    },
+    {
+        name: 'Licenças (padrão)',
+        target: 'license',
+        mapping: {
+            PRODUTO: 'produto', TIPOLICENCA: 'tipoLicenca', CHAVESERIAL: 'chaveSerial',
+            DATAEXPIRACAO: 'dataExpiracao', USUARIO: 'usuario', CARGO: 'cargo', EMPRESA: 'empresa',
+            SETOR: 'setor', GESTOR: 'gestor', CENTROCUSTO: 'centroCusto', CONTARAZAO: 'contaRazao',
+            NOMECOMPUTADOR: 'nomeComputador', NUMEROCHAMADO: 'numeroChamado', OBSERVACOES: 'observacoes'
+        }
+    }
+];
+
+const defaultProfilesSql = () => mysql.format(
+    `INSERT IGNORE INTO import_profiles (name, target, mapping, updated_by) VALUES ${DEFAULT_PROFILES.map(() => '(?, ?, ?, ?)').join(', ')}`,
+    DEFAULT_PROFILES.flatMap(profile => [profile.name, profile.target, JSON.stringify(profile.mapping), 'system'])
+);
+
+// Returns { value, errors } like validateRecord; mapping values must be writable fields of the target
+const validateProfile = (input) => {
+    const errors = {};
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name) {
+        errors.name = 'Campo obrigatório.';
+    } else if (name.length > 100) {
+        errors.name = 'Deve ter no máximo 100 caracteres.';
+    }
+
+    const schema = IMPORT_TARGETS[input.target];
+    if (!schema) {
+        errors.target = `Valor inválido. Valores aceitos: ${Object.keys(IMPORT_TARGETS).join(', ')}.`;
+    }
+
+    const mapping = {};
+    if (!input.mapping || typeof input.mapping !== 'object' || Array.isArray(input.mapping)) {
+        errors.mapping = 'Mapeamento inválido.';
+    } else if (schema) {
+        for (const [header, field] of Object.entries(input.mapping)) {
+            const key = normalizeHeader(header);
+            if (!key || !field) continue;
+            if (!schema[field] || schema[field].serverManaged) {
+                errors.mapping = `Campo de destino inválido: ${field}.`;
+                break;
+            }
+            mapping[key] = field;
+        }
+        if (!errors.mapping && Object.keys(mapping).length === 0) {
+            errors.mapping = 'Mapeie pelo menos uma coluna.';
+        }
+    }
+
+    const value = { name, target: input.target, mapping };
+    return { value, errors: Object.keys(errors).length > 0 ? errors : null };
+};
+
+const toProfile = (row) => ({
+    ...row,
+    mapping: typeof row.mapping === 'string' ? JSON.parse(row.mapping) : row.mapping
+});
+
+const listProfiles = async (target) => {
+    const [rows] = target
+        ? await db.promise().query('SELECT * FROM import_profiles WHERE target = ? ORDER BY name', [target])
+        : await db.promise().query('SELECT * FROM import_profiles ORDER BY target, name');
+    return rows.map(toProfile);
+};
+
+const getProfile = async (id) => {
+    const [rows] = await db.promise().query('SELECT * FROM import_profiles WHERE id = ?', [id]);
+    return rows.length > 0 ? toProfile(rows[0]) : null;
+};
+
+const createProfile = async (profile, username) => {
+    const [result] = await db.promise().query(
+        'INSERT INTO import_profiles (name, target, mapping, updated_by) VALUES (?, ?, ?, ?)',
+        [profile.name, profile.target, JSON.stringify(profile.mapping), username]
+    );
+    return getProfile(result.insertId);
+};
+
+const updateProfile = async (id, profile, username) => {
+    await db.promise().query(
+        'UPDATE import_profiles SET name = ?, target = ?, mapping = ?, updated_by = ? WHERE id = ?',
+        [profile.name, profile.target, JSON.stringify(profile.mapping), username, id]
+    );
+    return getProfile(id);
+};
+
+const deleteProfile = (id) => db.promise().query('DELETE FROM import_profiles WHERE id = ?', [id]);
+
+/**
+ * Dry validation of mapped rows before an import screen sends them anywhere.
+ * Rows are partial records; `requiredFields` lists what this particular import needs on every row
+ * (e.g. the serial for the Absolute report). Returns [{ row, errors }] with 1-based row numbers.
+ */
+const validateImportRows = (target, rows, requiredFields = []) => {
+    const schema = IMPORT_TARGETS[target];
+    const rowErrors = [];
+    rows.forEach((row, index) => {
+        const { errors } = validateRecord(schema, row, { partial: true });
+        const allErrors = { ...(errors || {}) };
+        for (const field of requiredFields) {
+            const value = row ? row[field] : undefined;
+            if (!allErrors[field] && (value === undefined || value === null || String(value).trim() === '')) {
+                allErrors[field] = 'Campo obrigatório.';
+            }
+        }
+        if (Object.keys(allErrors).length > 0) {
+            rowErrors.push({ row: index + 1, errors: allErrors });
+        }
+    });
+    return rowErrors;
+};
+
+module.exports = {
+    IMPORT_TARGETS,
+    normalizeHeader,
+    defaultProfilesSql,
+    validateProfile,
+    listProfiles,
+    getProfile,
+    createProfile,
+    updateProfile,
+    deleteProfile,
+    validateImportRows
+};
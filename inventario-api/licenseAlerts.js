@@ -0,0 +1,283 @@
+const db = require('./db');
+const { logAudit } = require('./audit');
+const { normalizeDate } = require('./validation');
+const { sendMail } = require('./mailer');
+const { emitEvent } = require('./webhooks');
+
+const DEFAULT_SETTINGS = { enabled: false, windows: [90, 30, 7] };
+const SETTINGS_KEY = 'licenseAlertSettings';
+const LAST_RUN_KEY = 'licenseAlertLastRun';
+const OVER_ALLOCATION_KEY = 'licenseAlertOverAllocation';
+// Same app_config key the /api/licenses/totals handler reads and writes ({ produto: total })
+const TOTALS_KEY = 'licenseTotals';
+// Expired licenses are logged as window 0 so they are notified once, like any other window
+const EXPIRED_WINDOW = 0;
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const readConfig = async (key, executor = db.promise()) => {
+    const [rows] = await executor.query('SELECT config_value FROM app_config WHERE config_key = ?', [key]);
+    return rows.length > 0 ? rows[0].config_value : null;
+};
+
+const writeConfig = (key, value, executor = db.promise()) => executor.query(
+    'INSERT INTO app_config (config_key, config_value) VALUES (?, ?) ON DUPLICATE KEY UPDATE config_value = VALUES(config_value)',
+    [key, value]
+);
+
+const parseJson = (value, fallback) => {
+    try {
+        return value ? JSON.parse(value) : fallback;
+    } catch (e) {
+        return fallback;
+    }
+};
+
+const getAlertSettings = async () => ({ ...DEFAULT_SETTINGS, ...parseJson(await readConfig(SETTINGS_KEY), {}) });
+
+// Returns { value } or { errors } in the shape validation.js uses for 400 responses
+const validateAlertSettings = (input) => {
+    const errors = {};
+    const windows = Array.isArray(input.windows) ? input.windows.map(Number) : null;
+    if (!windows || windows.length === 0 || windows.length > 10 || windows.some(days => !Number.isInteger(days) || days < 1 || days > 3650)) {
+        errors.windows = 'Informe de 1 a 10 prazos, em dias, entre 1 e 3650.';
+    }
+    if (typeof input.enabled !== 'boolean') {
+        errors.enabled = 'Deve ser verdadeiro ou falso.';
+    }
+    if (Object.keys(errors).length > 0) return { errors };
+    return { value: { enabled: input.enabled, windows: [...new Set(windows)].sort((a, b) => b - a) } };
+};
+
+const saveAlertSettings = (settings) => writeConfig(SETTINGS_KEY, JSON.stringify(settings));
+
+const startOfDay = (date) => new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+
+const toLicenseAlert = (license, expiresOn, daysLeft, window) => ({
+    id: license.id,
+    produto: license.produto,
+    chaveSerial: license.chaveSerial,
+    usuario: license.usuario,
+    gestor: license.gestor,
+    dataExpiracao: expiresOn,
+    daysLeft,
+    window
+});
+
+/**
+ * Current compliance picture for the approved licenses:
+ *  - expiring: expiration within the largest window; `window` is the smallest window that contains it
+ *  - expired: expiration date already passed
+ *  - overAllocated: products with more assigned licenses than the purchased total
+ */
+const buildComplianceReport = async (windows, today = new Date()) => {
+    const [licenses] = await db.promise().query(
+        "SELECT id, produto, chaveSerial, usuario, gestor, dataExpiracao FROM licenses WHERE approval_status = 'approved' OR approval_status IS NULL"
+    );
+    const totals = parseJson(await readConfig(TOTALS_KEY), {});
+    const sortedWindows = [...windows].sort((a, b) => a - b);
+    const maxWindow = sortedWindows[sortedWindows.length - 1] || 0;
+    const todayUtc = startOfDay(today).getTime();
+
+    const expiring = [];
+    const expired = [];
+    const assigned = {};
+    for (const license of licenses) {
+        assigned[license.produto] = (assigned[license.produto] || 0) + 1;
+        const expiresOn = license.dataExpiracao ? normalizeDate(license.dataExpiracao) : null;
+        if (!expiresOn) continue;
+        const daysLeft = Math.round((new Date(`${expiresOn}T00:00:00Z`).getTime() - todayUtc) / 86400000);
+        if (daysLeft < 0) {
+            expired.push(toLicenseAlert(license, expiresOn, daysLeft, EXPIRED_WINDOW));
+        } else if (daysLeft <= maxWindow) {
+            expiring.push(toLicenseAlert(license, expiresOn, daysLeft, sortedWindows.find(days => daysLeft <= days)));
+        }
+    }
+
+    const overAllocated = Object.entries(totals)
+        .map(([produto, total]) => ({ produto, total: Number(total) || 0, assigned: assigned[produto] || 0 }))
+        .filter(item => item.assigned > item.total)
+        .map(item => ({ ...item, excess: item.assigned - item.total }))
+        .sort((a, b) => b.excess - a.excess);
+
+    return {
+        generatedAt: new Date().toISOString(),
+        windows: sortedWindows,
+        expiring: expiring.sort((a, b) => a.daysLeft - b.daysLeft),
+        expired: expired.sort((a, b) => b.daysLeft - a.daysLeft),
+        overAllocated
+    };
+};
+
+const formatDate = (iso) => iso.split('-').reverse().join('/');
+
+const describeLicense = (item) => item.daysLeft < 0
+    ? `${item.produto} - ${item.usuario} (${item.chaveSerial}): vencida em ${formatDate(item.dataExpiracao)}`
+    : `${item.produto} - ${item.usuario} (${item.chaveSerial}): vence em ${formatDate(item.dataExpiracao)} (${item.daysLeft} dia(s))`;
+
+const buildDigest = ({ expiring, expired, overAllocated }) => {
+    const sections = [];
+    if (expired.length > 0) {
+        sections.push({ title: 'Licenças vencidas', lines: expired.map(describeLicense) });
+    }
+    if (expiring.length > 0) {
+        sections.push({ title: 'Licenças a vencer', lines: expiring.map(describeLicense) });
+    }
+    if (overAllocated.length > 0) {
+        sections.push({
+            title: 'Produtos com mais licenças atribuídas que o total adquirido',
+            lines: overAllocated.map(item => `${item.produto}: ${item.assigned} atribuídas de ${item.total} adquiridas (${item.excess} a mais)`)
+        });
+    }
+    const escape = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    return {
+        text: sections.map(section => `${section.title}:\n${section.lines.map(line => `- ${line}`).join('\n')}`).join('\n\n'),
+        html: sections.map(section => `<h3>${escape(section.title)}</h3><ul>${section.lines.map(line => `<li>${escape(line)}</li>`).join('')}</ul>`).join('')
+    };
+};
+
+const alertKey = (item) => `${item.id}|${item.window}|${item.dataExpiracao}`;
+
+// Recipients license_alerts_sent remembers besides the gestor addresses; '' marks rows recorded before
+// alerts were tracked per recipient, which count as notified to everyone
+const ADMINS_RECIPIENT = 'admins';
+const WEBHOOKS_RECIPIENT = 'webhooks';
+const LEGACY_RECIPIENT = '';
+
+const DIGEST_SUBJECT = 'Inventário Pro: licenças a vencer e excesso de alocação';
+
+// The e-mail of a license's gestor: the field itself when it is an address, otherwise the user whose
+// username or name it holds. Null when there is none, in which case only the admins are told.
+const resolveGestorEmail = (gestor, users) => {
+    const value = String(gestor || '').trim().toLowerCase();
+    if (!value) return null;
+    if (EMAIL_REGEX.test(value)) return value;
+    const user = users.find(candidate => [candidate.username, candidate.realName].some(name => String(name || '').trim().toLowerCase() === value));
+    return user ? user.email.toLowerCase() : null;
+};
+
+const splitByStatus = (items) => ({ expiring: items.filter(item => item.daysLeft >= 0), expired: items.filter(item => item.daysLeft < 0) });
+
+const markNotified = async (items, recipient) => {
+    for (const item of items) {
+        await db.promise().query(
+            'INSERT IGNORE INTO license_alerts_sent (license_id, window_days, expiration_date, recipient) VALUES (?, ?, ?, ?)',
+            [item.id, item.window, item.dataExpiracao, recipient]
+        );
+    }
+};
+
+/**
+ * Emails the license digest. Each license is notified once per window it enters (and once when it
+ * expires); changing its expiration date re-arms the alerts. Over-allocation is included whenever it
+ * changed since the last digest. Admins get everything; the gestor of a license (an e-mail address, or
+ * a user's username or name) gets the digest of their own licenses.
+ * Alerts are recorded per recipient once their e-mail is accepted, and the day is only marked as done
+ * when every e-mail went out, so a failed recipient is retried on the next hourly check without the
+ * others getting the same digest again.
+ * `force` sends the full current report regardless of what was already notified (manual "send now").
+ */
+const runLicenseAlerts = async ({ force = false, username = 'system' } = {}) => {
+    const settings = await getAlertSettings();
+    const report = await buildComplianceReport(settings.windows);
+
+    const [sentRows] = await db.promise().query('SELECT license_id, window_days, expiration_date, recipient FROM license_alerts_sent');
+    const notified = new Map();
+    for (const row of sentRows) {
+        const key = `${row.license_id}|${row.window_days}|${row.expiration_date}`;
+        notified.set(key, [...(notified.get(key) || []), row.recipient]);
+    }
+    const alerts = [...report.expired, ...report.expiring];
+    const pendingFor = (recipient, items = alerts) => items.filter(item => {
+        const recipients = notified.get(alertKey(item)) || [];
+        return force || !(recipients.includes(recipient) || recipients.includes(LEGACY_RECIPIENT));
+    });
+
+    const overAllocationState = JSON.stringify(report.overAllocated.map(item => [item.produto, item.assigned, item.total]));
+    const overAllocationChanged = overAllocationState !== ((await readConfig(OVER_ALLOCATION_KEY)) || '[]');
+    const overAllocated = force || overAllocationChanged ? report.overAllocated : [];
+
+    const [users] = await db.promise().query("SELECT username, realName, email, role FROM users WHERE email IS NOT NULL AND email <> ''");
+    const adminEmails = users.filter(user => user.role === 'Admin').map(user => user.email);
+
+    // { recipient, to, items, overAllocated }: one digest for all the admins, one per gestor
+    const digests = [];
+    const adminItems = pendingFor(ADMINS_RECIPIENT);
+    if (adminEmails.length > 0 && (adminItems.length > 0 || overAllocated.length > 0)) {
+        digests.push({ recipient: ADMINS_RECIPIENT, to: adminEmails.join(', '), items: adminItems, overAllocated });
+    }
+    const byGestor = new Map();
+    for (const item of alerts) {
+        const email = resolveGestorEmail(item.gestor, users);
+        if (!email || adminEmails.some(admin => admin.toLowerCase() === email)) continue;
+        byGestor.set(email, [...(byGestor.get(email) || []), item]);
+    }
+    for (const [email, items] of byGestor) {
+        const pending = pendingFor(email, items);
+        if (pending.length > 0) digests.push({ recipient: email, to: email, items: pending, overAllocated: [] });
+    }
+    const webhookItems = pendingFor(WEBHOOKS_RECIPIENT);
+
+    const licenses = new Set([...digests.flatMap(digest => digest.items), ...webhookItems].map(alertKey));
+    const result = { sentTo: [], failed: [], licenses: licenses.size, overAllocated: overAllocated.length, webhookDeliveries: 0 };
+
+    for (const digest of digests) {
+        try {
+            await sendMail({ to: digest.to, subject: DIGEST_SUBJECT, ...buildDigest({ ...splitByStatus(digest.items), overAllocated: digest.overAllocated }) });
+        } catch (error) {
+            result.failed.push({ to: digest.to, error: error.message });
+            continue;
+        }
+        result.sentTo.push(digest.to);
+        await markNotified(digest.items, digest.recipient);
+    }
+    // Over-allocation only goes in the admins' digest
+    const adminDigest = digests.find(digest => digest.recipient === ADMINS_RECIPIENT);
+    if (!adminDigest || result.sentTo.includes(adminDigest.to)) {
+        await writeConfig(OVER_ALLOCATION_KEY, overAllocationState);
+    }
+
+    // Integrations get one license.expiring event per license and window reached; the outbox retries
+    // the deliveries itself, so they count as notified once queued
+    for (const item of webhookItems) {
+        result.webhookDeliveries += await emitEvent('license.expiring', { license: item });
+    }
+    await markNotified(webhookItems, WEBHOOKS_RECIPIENT);
+
+    if (result.failed.length === 0) {
+        await writeConfig(LAST_RUN_KEY, new Date().toISOString());
+    }
+    if (result.sentTo.length > 0 || result.webhookDeliveries > 0) {
+        await logAudit(username, 'NOTIFY', 'LICENSE', null,
+            `License digest sent to ${result.sentTo.join('; ') || 'no one'} and ${result.webhookDeliveries} webhook delivery(ies) queued: ${result.licenses} license(s), ${overAllocated.length} over-allocated product(s)`);
+    }
+    return result;
+};
+
+// Runs at most once per calendar day, checked every hour
+const runIfDue = async () => {
+    const settings = await getAlertSettings();
+    if (!settings.enabled) return;
+    const lastRun = await readConfig(LAST_RUN_KEY);
+    if (lastRun && new Date(lastRun).toDateString() === new Date().toDateString()) return;
+    const result = await runLicenseAlerts();
+    if (result.failed.length > 0) {
+        console.error('License alert digest failed for:', result.failed);
+    }
+};
+
+const startLicenseAlertScheduler = () => {
+    const tick = () => runIfDue().catch(error => console.error('License alert scheduler error:', error.message));
+    // First check a minute after startup, once migrations have had time to run
+    setTimeout(tick, 60 * 1000).unref();
+    setInterval(tick, CHECK_INTERVAL_MS).unref();
+};
+
+module.exports = {
+    getAlertSettings,
+    validateAlertSettings,
+    saveAlertSettings,
+    buildComplianceReport,
+    runLicenseAlerts,
+    startLicenseAlertScheduler
+};
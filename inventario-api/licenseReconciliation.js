@@ -0,0 +1,437 @@
+const crypto = require('crypto');
+const db = require('./db');
+const { logAudit } = require('./audit');
+const { RETIRED_STATUSES } = require('./analytics');
+const { holderKey, loadDirectory, resolveRecord } = require('./collaborators');
+
+/*
+ * License-to-device reconciliation. A license names its machine in nomeComputador and its holder in
+ * usuario; both are free text, so they are matched against the equipment inventory when the report is
+ * built:
+ *  - the machine by device name (equipamento, the Absolute "Nome do dispositivo"), then by serial or patrimônio;
+ *  - the holder by the same rules as the collaborator directory (collaborators.js), so "JOAO DA SILVA"
+ *    and "João Silva" or two spellings linked to the same collaborator count as the same person.
+ * Rules kept in app_config say which devices need a license of a given product (e.g. every device whose
+ * nomeSO contains "Windows" needs "Microsoft 365"). Findings can be fixed from the report (free the
+ * seat, give it to the device's user, move it to another device) or dismissed while they stay the same.
+ */
+
+const RULES_KEY = 'licenseReconciliationRules';
+const RULE_FIELDS = ['nomeSO', 'equipamento', 'model', 'brand', 'tipo'];
+const RULE_COVERAGES = ['device', 'user'];
+const MAX_RULES = 50;
+const MAX_CANDIDATES = 20;
+const REASON_MAX_LENGTH = 500;
+
+const FINDING_TYPES = ['missing_device', 'retired_device', 'holder_mismatch', 'unlicensed_device'];
+// Which one-click actions each finding offers
+const FINDING_ACTIONS = {
+    missing_device: ['release', 'move', 'dismiss'],
+    retired_device: ['release', 'move', 'dismiss'],
+    holder_mismatch: ['reassign', 'release', 'dismiss'],
+    unlicensed_device: ['move', 'dismiss']
+};
+const ACTIONS = ['release', 'reassign', 'move', 'dismiss'];
+
+// Same scope as the lists and the analytics: records awaiting approval or rejected are left out
+const EQUIPMENT_IN_SCOPE = "approval_status = 'approved'";
+const LICENSES_IN_SCOPE = "(approval_status = 'approved' OR approval_status IS NULL)";
+
+const reconciliationError = (status, message) => Object.assign(new Error(message), { status });
+
+// "\\NB-0123.corp.local" -> "NB-0123": host names are compared without domain, case or leading backslashes
+const hostKey = (value) => String(value || '').trim().replace(/^\\+/, '').split('.')[0].trim().toUpperCase();
+
+const assetKey = (value) => String(value || '').trim().toUpperCase();
+
+const textKey = (value) => String(value || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+
+const isRetired = (device) => RETIRED_STATUSES.includes(device.status);
+
+const signatureOf = (parts) => crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+
+// ---------------------------------------------------------------
+// Rules
+// ---------------------------------------------------------------
+
+const getRules = async () => {
+    const [rows] = await db.promise().query('SELECT config_value FROM app_config WHERE config_key = ?', [RULES_KEY]);
+    try {
+        const rules = rows.length > 0 ? JSON.parse(rows[0].config_value) : [];
+        return Array.isArray(rules) ? rules : [];
+    } catch (e) {
+        return [];
+    }
+};
+
+// { rules: [{ id?, field, contains, produto, coverage }] }; rules without an id get a new one
+const validateRules = (input) => {
+    const list = input && Array.isArray(input.rules) ? input.rules : null;
+    if (!list) return { errors: { rules: 'Envie a lista de regras.' } };
+    if (list.length > MAX_RULES) return { errors: { rules: `Cadastre no máximo ${MAX_RULES} regras.` } };
+    const errors = {};
+    const rules = list.map((rule, index) => {
+        const item = rule && typeof rule === 'object' ? rule : {};
+        const contains = typeof item.contains === 'string' ? item.contains.trim() : '';
+        const produto = typeof item.produto === 'string' ? item.produto.trim() : '';
+        if (!RULE_FIELDS.includes(item.field)) errors[`rules.${index}.field`] = 'Campo inválido.';
+        if (!contains) errors[`rules.${index}.contains`] = 'Campo obrigatório.';
+        else if (contains.length > 100) errors[`rules.${index}.contains`] = 'Deve ter no máximo 100 caracteres.';
+        if (!produto) errors[`rules.${index}.produto`] = 'Campo obrigatório.';
+        else if (produto.length > 255) errors[`rules.${index}.produto`] = 'Deve ter no máximo 255 caracteres.';
+        if (!RULE_COVERAGES.includes(item.coverage)) errors[`rules.${index}.coverage`] = 'Escolha se a licença é por equipamento ou por usuário.';
+        const id = typeof item.id === 'string' && /^[a-f0-9]{8}$/.test(item.id) ? item.id : crypto.randomBytes(4).toString('hex');
+        return { id, field: item.field, contains, produto, coverage: item.coverage };
+    });
+    if (Object.keys(errors).length > 0) return { errors };
+    return { value: { rules } };
+};
+
+const saveRules = (rules) => db.promise().query(
+    'INSERT INTO app_config (config_key, config_value) VALUES (?, ?) ON DUPLICATE KEY UPDATE config_value = VALUES(config_value)',
+    [RULES_KEY, JSON.stringify(rules)]
+);
+
+const appliesTo = (rule, device) => textKey(device[rule.field]).includes(textKey(rule.contains));
+
+// ---------------------------------------------------------------
+// Matching
+// ---------------------------------------------------------------
+
+// Devices by name, serial and patrimônio. With duplicates, the one still in use and then the newest wins.
+const indexDevices = (devices) => {
+    const index = { equipamento: new Map(), serial: new Map(), patrimonio: new Map() };
+    const better = (current, device) => !current || (isRetired(current) && !isRetired(device)) || (isRetired(current) === isRetired(device) && device.id > current.id);
+    for (const device of devices) {
+        const keys = { equipamento: hostKey(device.equipamento), serial: assetKey(device.serial), patrimonio: assetKey(device.patrimonio) };
+        Object.entries(keys).forEach(([field, key]) => {
+            if (key && better(index[field].get(key), device)) index[field].set(key, device);
+        });
+    }
+    return index;
+};
+
+const findDevice = (index, nomeComputador) => {
+    const byName = index.equipamento.get(hostKey(nomeComputador));
+    if (byName) return { device: byName, matchedBy: 'equipamento' };
+    const key = assetKey(nomeComputador);
+    for (const field of ['serial', 'patrimonio']) {
+        const device = index[field].get(key);
+        if (device) return { device, matchedBy: field };
+    }
+    return null;
+};
+
+// The ways a record names its holder: the comparable texts and the collaborator they resolve to
+const holderIdentity = (directory, itemType, record) => {
+    const texts = itemType === 'equipment' ? [record.usuarioAtual, record.emailColaborador] : [record.usuario];
+    const keys = texts.map(holderKey).filter(Boolean);
+    // Equipment in stock keeps the last e-mail, so only usuarioAtual says whether it is held
+    if (itemType === 'equipment' && !holderKey(record.usuarioAtual)) return { keys: [], collaboratorId: null };
+    const match = keys.length > 0 ? resolveRecord(directory, itemType, record) : null;
+    return { keys, collaboratorId: match && match.status === 'linked' ? match.collaboratorId : null };
+};
+
+const sameHolder = (a, b) => {
+    if (a.keys.length === 0 || b.keys.length === 0) return a.keys.length === b.keys.length;
+    if (a.keys.some(key => b.keys.includes(key))) return true;
+    return a.collaboratorId !== null && a.collaboratorId === b.collaboratorId;
+};
+
+const collaboratorRef = (directory, identity) => {
+    const collaborator = identity.collaboratorId !== null ? directory.byId.get(identity.collaboratorId) : null;
+    return collaborator ? { id: collaborator.id, name: collaborator.name, active: collaborator.active } : null;
+};
+
+const licenseRef = (entry) => ({
+    id: entry.record.id,
+    produto: entry.record.produto,
+    chaveSerial: entry.record.chaveSerial,
+    usuario: entry.record.usuario,
+    setor: entry.record.setor,
+    nomeComputador: entry.record.nomeComputador,
+    collaborator: entry.collaborator
+});
+
+const deviceRef = (entry, matchedBy) => ({
+    id: entry.record.id,
+    equipamento: entry.record.equipamento,
+    patrimonio: entry.record.patrimonio,
+    serial: entry.record.serial,
+    usuarioAtual: entry.record.usuarioAtual,
+    status: entry.record.status,
+    nomeSO: entry.record.nomeSO,
+    collaborator: entry.collaborator,
+    ...(matchedBy ? { matchedBy } : {})
+});
+
+const loadRecords = async () => {
+    const [licenses] = await db.promise().query(`
+        SELECT id, produto, chaveSerial, usuario, setor, centroCusto, nomeComputador
+        FROM licenses
+        WHERE ${LICENSES_IN_SCOPE}
+        ORDER BY produto, id
+    `);
+    const [devices] = await db.promise().query(`
+        SELECT id, equipamento, patrimonio, serial, brand, model, tipo, nomeSO, usuarioAtual, emailColaborador, setor, status
+        FROM equipment
+        WHERE ${EQUIPMENT_IN_SCOPE}
+        ORDER BY equipamento, id
+    `);
+    return { licenses, devices };
+};
+
+/**
+ * Matches every license to a device and holder and lists what does not add up:
+ *  - missing_device: the license names a machine that is not in the inventory;
+ *  - retired_device: the machine was retired (status Descartado);
+ *  - holder_mismatch: the license holder is not the device's current user (or the device is in stock);
+ *  - unlicensed_device: a rule says the device needs the product and no license covers it.
+ * Findings dismissed while in the same state are listed apart. Also returns the signature of each
+ * finding (the state a dismissal is tied to), which stays on the server.
+ */
+const reconcile = async () => {
+    const [rules, { licenses, devices }, directory, [dismissalRows]] = await Promise.all([
+        getRules(),
+        loadRecords(),
+        loadDirectory(),
+        db.promise().query('SELECT * FROM license_reconciliation_dismissals')
+    ]);
+    const dismissals = new Map(dismissalRows.map(row => [row.finding_key, row]));
+    const deviceIndex = indexDevices(devices);
+
+    const deviceEntries = new Map(devices.map(record => {
+        const identity = holderIdentity(directory, 'equipment', record);
+        return [record.id, { record, identity, collaborator: collaboratorRef(directory, identity) }];
+    }));
+    const licenseEntries = licenses.map(record => {
+        const identity = holderIdentity(directory, 'license', record);
+        return { record, identity, collaborator: collaboratorRef(directory, identity) };
+    });
+
+    const findings = [];
+    const matches = [];
+    // Licenses bound to each device, and the products each holder (text or collaborator) has, for the rules
+    const productsByDevice = new Map();
+    const productsByHolder = new Map();
+    const orphaned = [];
+    const unbound = [];
+    const addProduct = (map, key, produto) => map.set(key, new Set([...(map.get(key) || []), textKey(produto)]));
+
+    for (const entry of licenseEntries) {
+        entry.identity.keys.forEach(key => addProduct(productsByHolder, key, entry.record.produto));
+        if (entry.identity.collaboratorId !== null) addProduct(productsByHolder, `#${entry.identity.collaboratorId}`, entry.record.produto);
+        if (!hostKey(entry.record.nomeComputador)) {
+            unbound.push(entry);
+            continue;
+        }
+        const found = findDevice(deviceIndex, entry.record.nomeComputador);
+        const device = found ? deviceEntries.get(found.device.id) : null;
+        let type = null;
+        if (!device) type = 'missing_device';
+        else if (isRetired(device.record)) type = 'retired_device';
+        else if (!sameHolder(entry.identity, device.identity)) type = 'holder_mismatch';
+        if (device && !isRetired(device.record)) addProduct(productsByDevice, device.record.id, entry.record.produto);
+        if (type === 'missing_device' || type === 'retired_device') orphaned.push(entry);
+
+        matches.push({ license: licenseRef(entry), device: device ? deviceRef(device, found.matchedBy) : null, status: type || 'ok' });
+        if (type) {
+            findings.push({
+                key: `${type}:license:${entry.record.id}`,
+                type,
+                signature: signatureOf([hostKey(entry.record.nomeComputador), entry.identity.keys, device ? device.record.id : null, device ? device.identity.keys : null, device ? device.record.status : null]),
+                license: licenseRef(entry),
+                device: device ? deviceRef(device, found.matchedBy) : null
+            });
+        }
+    }
+
+    for (const device of deviceEntries.values()) {
+        if (isRetired(device.record)) continue;
+        for (const rule of rules) {
+            if (!appliesTo(rule, device.record)) continue;
+            const produto = textKey(rule.produto);
+            const onDevice = (productsByDevice.get(device.record.id) || new Set()).has(produto);
+            const holderKeys = [...device.identity.keys, ...(device.identity.collaboratorId !== null ? [`#${device.identity.collaboratorId}`] : [])];
+            const withUser = rule.coverage === 'user' && holderKeys.some(key => (productsByHolder.get(key) || new Set()).has(produto));
+            if (onDevice || withUser) continue;
+            // Seats that could be moved here: the product's licenses on missing or retired machines,
+            // and the ones the device's user holds without naming a machine
+            const candidates = [
+                ...orphaned,
+                ...unbound.filter(entry => device.identity.keys.length > 0 && sameHolder(entry.identity, device.identity))
+            ].filter(entry => textKey(entry.record.produto) === produto).slice(0, MAX_CANDIDATES);
+            findings.push({
+                key: `unlicensed_device:equipment:${device.record.id}:rule:${rule.id}`,
+                type: 'unlicensed_device',
+                signature: signatureOf([device.identity.keys, rule.field, textKey(rule.contains), produto, rule.coverage]),
+                device: deviceRef(device),
+                rule,
+                candidates: candidates.map(licenseRef)
+            });
+        }
+    }
+
+    const open = [];
+    const dismissed = [];
+    const signatures = new Map();
+    for (const finding of findings) {
+        const dismissal = dismissals.get(finding.key);
+        const { signature, ...visible } = finding;
+        signatures.set(finding.key, signature);
+        const withActions = { ...visible, actions: FINDING_ACTIONS[finding.type] };
+        if (dismissal && dismissal.signature === signature) {
+            dismissed.push({ ...withActions, dismissedBy: dismissal.dismissed_by, dismissedAt: dismissal.dismissed_at, reason: dismissal.reason });
+        } else {
+            open.push(withActions);
+        }
+    }
+
+    const count = (type) => open.filter(finding => finding.type === type).length;
+    const report = {
+        generatedAt: new Date().toISOString(),
+        rules,
+        summary: {
+            licenses: licenses.length,
+            onDevice: matches.length,
+            withoutDevice: unbound.length,
+            ok: matches.filter(match => match.status === 'ok').length,
+            missingDevice: count('missing_device'),
+            retiredDevice: count('retired_device'),
+            holderMismatch: count('holder_mismatch'),
+            unlicensedDevices: count('unlicensed_device'),
+            dismissed: dismissed.length
+        },
+        findings: open,
+        dismissed,
+        matches
+    };
+    return { report, signatures };
+};
+
+const buildReconciliation = async () => (await reconcile()).report;
+
+// ---------------------------------------------------------------
+// Actions
+// ---------------------------------------------------------------
+
+const positiveInt = (value) => Number.isInteger(value) && value > 0;
+
+// { findingKey, action, equipmentId? (move a license), licenseId? (license to move to an unlicensed device), reason? }
+const validateReconciliationAction = (input) => {
+    const body = input && typeof input === 'object' ? input : {};
+    const errors = {};
+    const findingKey = typeof body.findingKey === 'string' ? body.findingKey.trim() : '';
+    if (!findingKey || findingKey.length > 255 || !FINDING_TYPES.includes(findingKey.split(':')[0])) errors.findingKey = 'Pendência inválida.';
+    if (!ACTIONS.includes(body.action)) errors.action = 'Ação inválida.';
+    if (body.action === 'move') {
+        const forDevice = findingKey.startsWith('unlicensed_device:');
+        if (forDevice && !positiveInt(body.licenseId)) errors.licenseId = 'Escolha a licença que será movida para este equipamento.';
+        if (!forDevice && !positiveInt(body.equipmentId)) errors.equipmentId = 'Escolha o equipamento de destino.';
+    }
+    const reason = typeof body.reason === 'string' ? body.reason.trim() : '';
+    if (reason.length > REASON_MAX_LENGTH) errors.reason = `Deve ter no máximo ${REASON_MAX_LENGTH} caracteres.`;
+    if (Object.keys(errors).length > 0) return { errors };
+    return {
+        value: {
+            findingKey,
+            action: body.action,
+            equipmentId: positiveInt(body.equipmentId) ? body.equipmentId : null,
+            licenseId: positiveInt(body.licenseId) ? body.licenseId : null,
+            reason: reason || null
+        }
+    };
+};
+
+const describeLicense = (license) => `${license.produto} (${license.chaveSerial})`;
+
+const loadTargetDevice = async (equipmentId) => {
+    const [rows] = await db.promise().query(`SELECT id, equipamento, usuarioAtual, status FROM equipment WHERE id = ? AND ${EQUIPMENT_IN_SCOPE}`, [equipmentId]);
+    if (rows.length === 0) {
+        throw reconciliationError(404, 'Equipamento não encontrado.');
+    }
+    if (isRetired(rows[0])) {
+        throw reconciliationError(409, 'O equipamento de destino foi descartado. Escolha outro.');
+    }
+    return rows[0];
+};
+
+// The license takes the device's name and, when the device is in use, its user
+const moveLicense = async (license, device, username) => {
+    const usuario = String(device.usuarioAtual || '').trim() || license.usuario;
+    await db.promise().query('UPDATE licenses SET nomeComputador = ?, usuario = ? WHERE id = ?', [device.equipamento, usuario, license.id]);
+    await logAudit(username, 'UPDATE', 'LICENSE', license.id,
+        `Moved license ${describeLicense(license)} from "${license.nomeComputador || 'no device'}" (${license.usuario}) to device ${device.equipamento} (${usuario}) during license reconciliation`);
+};
+
+/**
+ * Applies a one-click fix to a finding of the current report and returns the report again. The finding
+ * is looked up afresh, so acting on a report that is out of date answers 409 instead of changing a
+ * license that has moved on. Freeing a seat deletes the license row, as the offboarding does.
+ */
+const applyReconciliationAction = async ({ findingKey, action, equipmentId, licenseId, reason }, username) => {
+    const { report, signatures } = await reconcile();
+    const finding = report.findings.find(item => item.key === findingKey)
+        || (action !== 'dismiss' ? report.dismissed.find(item => item.key === findingKey) : null);
+    if (!finding) {
+        throw reconciliationError(409, 'Esta pendência não existe mais. Atualize o relatório.');
+    }
+    if (!finding.actions.includes(action)) {
+        throw reconciliationError(400, 'Esta ação não se aplica a esta pendência.');
+    }
+    const { license, device } = finding;
+
+    if (action === 'release') {
+        await db.promise().query('DELETE FROM licenses WHERE id = ?', [license.id]);
+        await logAudit(username, 'DELETE', 'LICENSE', license.id,
+            `Released license ${describeLicense(license)} from ${license.usuario} on "${license.nomeComputador}" during license reconciliation`);
+    } else if (action === 'reassign') {
+        const usuario = String(device.usuarioAtual || '').trim();
+        if (!usuario) {
+            throw reconciliationError(409, 'O equipamento está sem usuário. Libere a licença ou mova-a para outro equipamento.');
+        }
+        await db.promise().query('UPDATE licenses SET usuario = ? WHERE id = ?', [usuario, license.id]);
+        await logAudit(username, 'UPDATE', 'LICENSE', license.id,
+            `Reassigned license ${describeLicense(license)} on ${device.equipamento} from ${license.usuario} to ${usuario} during license reconciliation`);
+    } else if (action === 'move' && finding.type === 'unlicensed_device') {
+        const seat = finding.candidates.find(candidate => candidate.id === licenseId);
+        if (!seat) {
+            throw reconciliationError(409, 'Esta licença não está mais disponível para este equipamento. Atualize o relatório.');
+        }
+        await moveLicense(seat, await loadTargetDevice(device.id), username);
+    } else if (action === 'move') {
+        await moveLicense(license, await loadTargetDevice(equipmentId), username);
+    } else {
+        await db.promise().query(
+            `INSERT INTO license_reconciliation_dismissals (finding_key, finding_type, signature, reason, dismissed_by, dismissed_at) VALUES (?, ?, ?, ?, ?, NOW())
+             ON DUPLICATE KEY UPDATE signature = VALUES(signature), reason = VALUES(reason), dismissed_by = VALUES(dismissed_by), dismissed_at = NOW()`,
+            [findingKey, finding.type, signatures.get(findingKey), reason, username]
+        );
+        const target = license ? `license ${describeLicense(license)}` : `device ${device.equipamento} (rule: ${finding.rule.field} contains "${finding.rule.contains}" needs ${finding.rule.produto})`;
+        await logAudit(username, 'UPDATE', license ? 'LICENSE' : 'EQUIPMENT', license ? license.id : device.id,
+            `Dismissed license reconciliation finding ${finding.type} for ${target}${reason ? `: ${reason}` : ''}`);
+    }
+    return buildReconciliation();
+};
+
+const restoreDismissal = async (findingKey, username) => {
+    const [rows] = await db.promise().query('SELECT * FROM license_reconciliation_dismissals WHERE finding_key = ?', [findingKey]);
+    if (rows.length === 0) {
+        throw reconciliationError(404, 'Pendência ignorada não encontrada.');
+    }
+    await db.promise().query('DELETE FROM license_reconciliation_dismissals WHERE finding_key = ?', [findingKey]);
+    const [type, itemType, itemId] = findingKey.split(':');
+    await logAudit(username, 'UPDATE', itemType === 'license' ? 'LICENSE' : 'EQUIPMENT', itemId,
+        `Restored dismissed license reconciliation finding ${type}`);
+};
+
+module.exports = {
+    RULE_FIELDS,
+    getRules,
+    validateRules,
+    saveRules,
+    buildReconciliation,
+    validateReconciliationAction,
+    applyReconciliationAction,
+    restoreDismissal
+};
@@ -0,0 +1,181 @@
+const db = require('./db');
+const { normalizeDate } = require('./validation');
+
+const DEFAULT_PAGE_SIZE = 25;
+// Large enough for the export to walk the full filtered set in a few requests
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * List specs describe what a paged endpoint may filter and sort on. Nothing from the query string
+ * reaches the SQL except through these whitelists and placeholders.
+ *  - table, baseWhere: the rows the list is made of
+ *  - excludeColumns: heavy columns left out of list rows (returned by the detail endpoint)
+ *  - searchColumns: matched with LIKE by `q`
+ *  - filters: query param -> column, exact match
+ *  - dateRange: { column, from, to } query params, inclusive calendar days
+ *  - sortable, defaultSort: { column, order }
+ */
+const LIST_SPECS = {
+    equipment: {
+        table: 'equipment',
+        baseWhere: "approval_status = 'approved'",
+        excludeColumns: ['foto', 'qrCode'],
+        searchColumns: ['equipamento', 'patrimonio', 'serial', 'usuarioAtual', 'brand', 'model'],
+        filters: { status: 'status', setor: 'setor', local: 'local', tipo: 'tipo', brand: 'brand' },
+        sortable: ['id', 'equipamento', 'patrimonio', 'serial', 'usuarioAtual', 'setor', 'local', 'status', 'tipo', 'brand'],
+        defaultSort: { column: 'id', order: 'desc' }
+    },
+    licenses: {
+        table: 'licenses',
+        baseWhere: "(approval_status = 'approved' OR approval_status IS NULL)",
+        excludeColumns: [],
+        searchColumns: ['produto', 'usuario', 'chaveSerial'],
+        filters: { produto: 'produto', setor: 'setor', tipoLicenca: 'tipoLicenca' },
+        sortable: ['id', 'produto', 'usuario', 'chaveSerial', 'dataExpiracao', 'setor'],
+        defaultSort: { column: 'usuario', order: 'asc' }
+    },
+    auditLog: {
+        table: 'audit_log',
+        baseWhere: '1 = 1',
+        // Chain hashes are only needed by verification and exports
+        excludeColumns: ['prev_hash', 'entry_hash'],
+        searchColumns: ['details', 'target_id'],
+        filters: { username: 'username', action_type: 'action_type', target_type: 'target_type' },
+        dateRange: { column: 'timestamp', from: 'from', to: 'to' },
+        sortable: ['id', 'timestamp', 'username', 'action_type', 'target_type'],
+        defaultSort: { column: 'timestamp', order: 'desc' }
+    },
+    clientErrors: {
+        table: 'client_errors',
+        baseWhere: '1 = 1',
+        excludeColumns: [],
+        searchColumns: ['message', 'url'],
+        filters: { username: 'username', type: 'type' },
+        dateRange: { column: 'created_at', from: 'from', to: 'to' },
+        sortable: ['id', 'created_at', 'username', 'type'],
+        defaultSort: { column: 'created_at', order: 'desc' }
+    }
+};
+
+// Paged responses are opt-in, so existing callers that expect the whole array keep working
+const isPagedRequest = (query) => query.page !== undefined;
+
+const columnCache = {};
+const getListColumns = async (spec) => {
+    if (!columnCache[spec.table]) {
+        const [columns] = await db.promise().query('SHOW COLUMNS FROM ??', [spec.table]);
+        columnCache[spec.table] = columns.map(column => column.Field).filter(name => !spec.excludeColumns.includes(name));
+    }
+    return columnCache[spec.table];
+};
+
+const toPositiveInt = (value, fallback) => {
+    const number = parseInt(value, 10);
+    return Number.isInteger(number) && number > 0 ? number : fallback;
+};
+
+/**
+ * Turns the query string into WHERE/ORDER BY/LIMIT parts. Returns { errors } in the shape
+ * validation.js uses for 400 responses when a sort column or date is not accepted.
+ */
+const parseListQuery = (query, spec) => {
+    const errors = {};
+    const where = [spec.baseWhere];
+    const params = [];
+
+    const search = typeof query.q === 'string' ? query.q.trim() : '';
+    if (search) {
+        where.push(`(${spec.searchColumns.map(() => '?? LIKE ?').join(' OR ')})`);
+        spec.searchColumns.forEach(column => params.push(column, `%${search}%`));
+    }
+    for (const [param, column] of Object.entries(spec.filters)) {
+        if (typeof query[param] === 'string' && query[param] !== '') {
+            where.push('?? = ?');
+            params.push(column, query[param]);
+        }
+    }
+    if (spec.dateRange) {
+        const { column, from, to } = spec.dateRange;
+        for (const [param, clause] of [[from, '?? >= ?'], [to, '?? < DATE_ADD(?, INTERVAL 1 DAY)']]) {
+            if (!query[param]) continue;
+            const date = normalizeDate(String(query[param]));
+            if (!date) {
+                errors[param] = 'Data inválida. Use o formato AAAA-MM-DD.';
+                continue;
+            }
+            where.push(clause);
+            params.push(column, date);
+        }
+    }
+
+    const sort = query.sort || spec.defaultSort.column;
+    if (!spec.sortable.includes(sort)) {
+        errors.sort = `Não é possível ordenar por "${sort}".`;
+    }
+    const order = String(query.order || (query.sort ? 'asc' : spec.defaultSort.order)).toLowerCase();
+    if (!['asc', 'desc'].includes(order)) {
+        errors.order = 'Use "asc" ou "desc".';
+    }
+    if (Object.keys(errors).length > 0) return { errors };
+
+    const page = toPositiveInt(query.page, 1);
+    const pageSize = Math.min(toPositiveInt(query.pageSize, DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+    return {
+        where: where.join(' AND '),
+        params,
+        // id as tie-breaker keeps pages stable when the sort column has repeated values
+        orderBy: `${db.escapeId(sort)} ${order.toUpperCase()}${sort === 'id' ? '' : `, id ${order.toUpperCase()}`}`,
+        page,
+        pageSize
+    };
+};
+
+// { items, total, page, pageSize } for one page of the list
+const runListQuery = async (spec, parsed) => {
+    const columns = await getListColumns(spec);
+    const [[{ total }]] = await db.promise().query(`SELECT COUNT(*) AS total FROM ?? WHERE ${parsed.where}`, [spec.table, ...parsed.params]);
+    const [items] = await db.promise().query(
+        `SELECT ?? FROM ?? WHERE ${parsed.where} ORDER BY ${parsed.orderBy} LIMIT ? OFFSET ?`,
+        [columns, spec.table, ...parsed.params, parsed.pageSize, (parsed.page - 1) * parsed.pageSize]
+    );
+    return { items, total, page: parsed.page, pageSize: parsed.pageSize };
+};
+
+// Matching rows per value of `column` ({ value: count }), e.g. licenses per product for the current search
+const countByColumn = async (spec, parsed, column) => {
+    const [rows] = await db.promise().query(
+        `SELECT ?? AS value, COUNT(*) AS count FROM ?? WHERE ${parsed.where} GROUP BY ??`,
+        [column, spec.table, ...parsed.params, column]
+    );
+    return Object.fromEntries(rows.map(row => [row.value, row.count]));
+};
+
+// Whole list without the heavy columns, for the callers that still load everything at once
+const listAll = async (spec) => {
+    const columns = await getListColumns(spec);
+    const [rows] = await db.promise().query(`SELECT ?? FROM ?? WHERE ${spec.baseWhere} ORDER BY ${db.escapeId(spec.defaultSort.column)} ${spec.defaultSort.order.toUpperCase()}`, [columns, spec.table]);
+    return rows;
+};
+
+// Distinct non-empty values of each filter column, for the filter dropdowns
+const getFilterOptions = async (spec) => {
+    const options = {};
+    for (const [param, column] of Object.entries(spec.filters)) {
+        const [rows] = await db.promise().query(
+            `SELECT DISTINCT ?? AS value FROM ?? WHERE ${spec.baseWhere} AND ?? IS NOT NULL AND ?? <> '' ORDER BY value`,
+            [column, spec.table, column, column]
+        );
+        options[param] = rows.map(row => row.value);
+    }
+    return options;
+};
+
+module.exports = {
+    LIST_SPECS,
+    isPagedRequest,
+    parseListQuery,
+    runListQuery,
+    countByColumn,
+    listAll,
+    getFilterOptions
+};
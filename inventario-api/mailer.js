@@ -0,0 +1,66 @@
+const nodemailer = require('nodemailer');
+const db = require('./db');
+
+const SMTP_KEYS = ['smtpHost', 'smtpPort', 'smtpUser', 'smtpPass', 'smtpSecure', 'companyName'];
+
+// SMTP settings saved in Settings (app_config). A local stand-in such as MailHog on localhost:1025
+// works with just a host and port: no user, no TLS.
+const getSmtpConfig = async (executor = db.promise()) => {
+    const [rows] = await executor.query('SELECT config_key, config_value FROM app_config WHERE config_key IN (?)', [SMTP_KEYS]);
+    const config = rows.reduce((acc, row) => ({ ...acc, [row.config_key]: row.config_value }), {});
+    return {
+        host: config.smtpHost || '',
+        port: parseInt(config.smtpPort, 10) || 587,
+        user: config.smtpUser || '',
+        pass: config.smtpPass || '',
+        secure: config.smtpSecure === 'true',
+        from: process.env.SMTP_FROM || config.smtpUser || 'inventario@localhost',
+        companyName: config.companyName || 'Inventário Pro'
+    };
+};
+
+const createTransport = (config) => nodemailer.createTransport({
+    host: config.host,
+    port: config.port,
+    secure: config.secure,
+    auth: config.user ? { user: config.user, pass: config.pass } : undefined
+});
+
+/**
+ * Sends one message with the SMTP settings from app_config.
+ * Throws if SMTP is not configured, so callers can report it instead of silently dropping mail.
+ * `attachments` uses the nodemailer format: [{ filename, content, contentType }].
+ */
+const sendMail = async ({ to, subject, text, html, attachments }) => {
+    const config = await getSmtpConfig();
+    if (!config.host) {
+        throw new Error('SMTP server is not configured.');
+    }
+    return createTransport(config).sendMail({
+        from: `"${config.companyName}" <${config.from}>`,
+        to,
+        subject,
+        text,
+        html,
+        attachments
+    });
+};
+
+/**
+ * Connects and authenticates without sending anything, with `overrides` ({ host, port, user, pass,
+ * secure }) applied over the saved settings, so values can be checked before they are saved.
+ * Throws with the server's answer when the connection or the login fails.
+ */
+const verifySmtp = async (overrides = {}) => {
+    const config = { ...(await getSmtpConfig()), ...overrides };
+    if (!config.host) {
+        throw new Error('SMTP server is not configured.');
+    }
+    await createTransport(config).verify();
+};
+
+module.exports = {
+    getSmtpConfig,
+    sendMail,
+    verifySmtp
+};
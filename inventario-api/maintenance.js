@@ -0,0 +1,450 @@
+const db = require('./db');
+const { logAudit } = require('./audit');
+const { validateRecord, formatDateFields, normalizeDate } = require('./validation');
+const { SOURCES, diffRecords, recordChanges } = require('./history');
+const { RETIRED_STATUSES, warrantyEnd } = require('./analytics');
+const { emitEquipmentEvent } = require('./webhooks');
+const { ACTIONS, needsChangeRequest, submitChangeRequest } = require('./changeRequests');
+
+/*
+ * Repairs of an asset. Opening a record moves the equipment to "MANUTENÇÃO" and remembers the status
+ * it had; closing it puts that status back (or the one chosen on closing, e.g. "Descartado" when the
+ * asset could not be fixed). Both status changes go to equipment_history with the "maintenance" source.
+ * Like any other edit of the equipment, the status change of a non-admin waits for approval as a change
+ * request (changeRequests.js); the repair record itself is kept either way.
+ * The warranty coverage is worked out from `garantia` on the day the repair was opened.
+ */
+
+const STATUS_IN_MAINTENANCE = 'MANUTENÇÃO';
+const STATUS_IN_USE = 'EM USO';
+const STATUS_IN_STOCK = 'ESTOQUE';
+const GROUP_BY = ['model', 'brand'];
+const MAX_PARTS = 50;
+const DEFAULT_SUMMARY_MONTHS = 12;
+
+const DETAIL_SCHEMA = {
+    vendor: { type: 'string', maxLength: 255 },
+    ticket_number: { type: 'string', maxLength: 100 },
+    cost: { type: 'decimal', min: 0, max: 9999999999.99 }
+};
+
+const OPEN_SCHEMA = {
+    ...DETAIL_SCHEMA,
+    opened_at: { type: 'date' },
+    problem: { type: 'text', required: true, maxLength: 2000 }
+};
+
+const CLOSE_SCHEMA = {
+    ...DETAIL_SCHEMA,
+    closed_at: { type: 'date' },
+    resolution: { type: 'text', maxLength: 2000 },
+    return_status: { type: 'string', maxLength: 255 }
+};
+
+const UPDATE_SCHEMA = {
+    ...DETAIL_SCHEMA,
+    opened_at: { type: 'date' },
+    closed_at: { type: 'date' },
+    problem: { type: 'text', maxLength: 2000 },
+    resolution: { type: 'text', maxLength: 2000 }
+};
+
+// DATE columns of maintenance_records, returned as YYYY-MM-DD
+const DATE_FIELDS = { opened_at: { type: 'date' }, closed_at: { type: 'date' }, warranty_end: { type: 'date' } };
+
+const maintenanceError = (status, message) => Object.assign(new Error(message), { status });
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const formatDate = (value) => value.split('-').reverse().join('/');
+
+// Statuses are free text ("Manutenção", "MANUTENÇÃO"): compared without accents or case
+const statusKey = (status) => String(status || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+const isMaintenanceStatus = (status) => statusKey(status) === statusKey(STATUS_IN_MAINTENANCE);
+const isRetiredStatus = (status) => RETIRED_STATUSES.some(retired => statusKey(retired) === statusKey(status));
+
+// Parts replaced: a list of short descriptions ("Bateria", "Tela 14\"")
+const validateParts = (parts) => {
+    if (parts === undefined) return {};
+    if (parts === null || parts === '') return { value: [] };
+    if (!Array.isArray(parts)) return { error: 'Deve ser uma lista de peças.' };
+    if (parts.some(part => typeof part !== 'string')) return { error: 'Cada peça deve ser um texto.' };
+    const value = parts.map(part => part.trim()).filter(Boolean);
+    if (value.length > MAX_PARTS) return { error: `Informe no máximo ${MAX_PARTS} peças.` };
+    if (value.some(part => part.length > 255)) return { error: 'Cada peça deve ter no máximo 255 caracteres.' };
+    return { value };
+};
+
+// validateRecord plus the parts list and the dates that cannot be in the future
+const validateMaintenanceInput = (schema, input, options) => {
+    const { parts, ...fields } = input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+    const { value, errors: fieldErrors } = validateRecord(schema, fields, options);
+    const errors = { ...fieldErrors };
+    const partsResult = validateParts(parts);
+    if (partsResult.error) errors.parts = partsResult.error;
+    ['opened_at', 'closed_at'].forEach(field => {
+        if (value && value[field] && value[field] > today() && !errors[field]) errors[field] = 'A data não pode estar no futuro.';
+    });
+    if (value && value.opened_at && value.closed_at && value.closed_at < value.opened_at && !errors.closed_at) {
+        errors.closed_at = 'O encerramento não pode ser anterior à abertura.';
+    }
+    if (Object.keys(errors).length > 0) return { errors };
+    if (partsResult.value) value.parts = partsResult.value;
+    return { value };
+};
+
+const validateOpenMaintenance = (input) => validateMaintenanceInput(OPEN_SCHEMA, input);
+const validateCloseMaintenance = (input) => validateMaintenanceInput(CLOSE_SCHEMA, input, { partial: true });
+const validateMaintenanceUpdate = (input) => validateMaintenanceInput(UPDATE_SCHEMA, input, { partial: true });
+
+/**
+ * Warranty coverage of the equipment on `date` (YYYY-MM-DD): "covered" up to the end worked out
+ * from `garantia`, "expired" after it, "unknown" when `garantia` is empty or not understood.
+ */
+const warrantyOn = (equipment, date) => {
+    const end = warrantyEnd(equipment);
+    if (!end) return { warranty_status: 'unknown', warranty_end: null };
+    const endDate = end.toISOString().split('T')[0];
+    return { warranty_status: endDate >= date ? 'covered' : 'expired', warranty_end: endDate };
+};
+
+const parseParts = (text) => {
+    if (!text) return [];
+    try {
+        const parts = JSON.parse(text);
+        return Array.isArray(parts) ? parts : [];
+    } catch {
+        return [];
+    }
+};
+
+const toRecordRow = (value) => value.parts === undefined ? value : { ...value, parts: value.parts.length > 0 ? JSON.stringify(value.parts) : null };
+
+const formatRecord = (row) => ({
+    ...formatDateFields(DATE_FIELDS, row),
+    parts: parseParts(row.parts),
+    cost: row.cost === null || row.cost === undefined ? null : Number(row.cost),
+    days_in_repair: Number(row.days_in_repair)
+});
+
+// Days are counted up to today while the repair is open
+const RECORD_COLUMNS = 'm.*, DATEDIFF(COALESCE(m.closed_at, CURDATE()), m.opened_at) AS days_in_repair';
+const EQUIPMENT_COLUMNS = 'e.equipamento, e.serial, e.patrimonio, e.brand, e.model, e.tipo, e.usuarioAtual, e.local, e.status AS equipment_status';
+
+const getRecord = async (recordId, executor = db.promise()) => {
+    const [rows] = await executor.query(
+        `SELECT ${RECORD_COLUMNS}, ${EQUIPMENT_COLUMNS} FROM maintenance_records m JOIN equipment e ON e.id = m.equipment_id WHERE m.id = ?`,
+        [recordId]
+    );
+    return rows.length > 0 ? formatRecord(rows[0]) : null;
+};
+
+const lockEquipment = async (connection, equipmentId) => {
+    const [rows] = await connection.query('SELECT * FROM equipment WHERE id = ? FOR UPDATE', [equipmentId]);
+    if (rows.length === 0) {
+        throw maintenanceError(404, 'Equipamento não encontrado.');
+    }
+    if (rows[0].approval_status && rows[0].approval_status !== 'approved') {
+        throw maintenanceError(409, 'O equipamento ainda não foi aprovado.');
+    }
+    return rows[0];
+};
+
+// Locks the equipment before the record, in the same order as openMaintenance, so the two never deadlock
+const lockRecord = async (connection, recordId) => {
+    const [found] = await connection.query('SELECT equipment_id FROM maintenance_records WHERE id = ?', [recordId]);
+    if (found.length === 0) {
+        throw maintenanceError(404, 'Registro de manutenção não encontrado.');
+    }
+    const equipment = await lockEquipment(connection, found[0].equipment_id);
+    const [rows] = await connection.query('SELECT * FROM maintenance_records WHERE id = ? FOR UPDATE', [recordId]);
+    return { equipment, record: formatDateFields(DATE_FIELDS, rows[0]) };
+};
+
+const setEquipmentStatus = async (connection, equipment, status, username, changeType) => {
+    const changes = { status };
+    const fieldChanges = diffRecords(equipment, changes);
+    if (fieldChanges.length > 0) {
+        await connection.query('UPDATE equipment SET ? WHERE id = ?', [changes, equipment.id]);
+        await recordChanges(equipment.id, username, changeType, SOURCES.MAINTENANCE, fieldChanges, connection);
+    }
+    return fieldChanges;
+};
+
+/**
+ * Moves the equipment to `status`, or submits the change for approval when the user needs one.
+ * `changeRequest` is the pending request, or null when the status was written (or did not change).
+ */
+const changeEquipmentStatus = async (connection, equipment, status, user, changeType) => {
+    if (await needsChangeRequest(user, 'equipment', equipment.id, connection)) {
+        const changeRequest = await submitChangeRequest({ itemType: 'equipment', itemId: equipment.id, action: ACTIONS.UPDATE, payload: { status } }, user, connection);
+        return { equipment, fieldChanges: [], changeRequest };
+    }
+    const fieldChanges = await setEquipmentStatus(connection, equipment, status, user.username, changeType);
+    return { equipment: { ...equipment, status }, fieldChanges, changeRequest: null };
+};
+
+const pendingNote = (changeRequest) => changeRequest ? ` (status change pending approval, change request #${changeRequest.id})` : '';
+
+const runInTransaction = async (fn) => {
+    const connection = await db.promise().getConnection();
+    try {
+        await connection.beginTransaction();
+        const result = await fn(connection);
+        await connection.commit();
+        return result;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+};
+
+const withoutBlobs = ({ foto: _, qrCode: __, ...equipment }) => equipment;
+
+const notifyStatusChange = (equipment, username, fieldChanges) => {
+    if (fieldChanges.length > 0) {
+        emitEquipmentEvent('equipment.updated', equipment, username, { changed_fields: fieldChanges.map(change => change.field) });
+    }
+};
+
+// The status the asset had before the repair; when it had already been marked as under maintenance by hand, it depends on whether someone holds it
+const statusAfterRepair = (record, equipment) => {
+    if (record.previous_status && !isMaintenanceStatus(record.previous_status)) return record.previous_status;
+    return equipment.usuarioAtual ? STATUS_IN_USE : STATUS_IN_STOCK;
+};
+
+// Opens a repair for the equipment and moves it to "MANUTENÇÃO" (or asks for it, see changeEquipmentStatus)
+const openMaintenance = async (equipmentId, input, user) => {
+    const { username } = user;
+    const { equipment, recordId, fieldChanges, changeRequest } = await runInTransaction(async (connection) => {
+        const current = await lockEquipment(connection, equipmentId);
+        if (isRetiredStatus(current.status)) {
+            throw maintenanceError(409, 'Equipamentos descartados não podem ser enviados para manutenção.');
+        }
+        const [open] = await connection.query("SELECT id FROM maintenance_records WHERE equipment_id = ? AND status = 'open' LIMIT 1", [current.id]);
+        if (open.length > 0) {
+            throw maintenanceError(409, 'O equipamento já tem uma manutenção em aberto. Encerre-a antes de abrir outra.');
+        }
+
+        const openedAt = input.opened_at || today();
+        const [result] = await connection.query('INSERT INTO maintenance_records SET ?', [toRecordRow({
+            ...input,
+            equipment_id: current.id,
+            status: 'open',
+            opened_at: openedAt,
+            ...warrantyOn(current, openedAt),
+            previous_status: current.status || null,
+            opened_by: username
+        })]);
+        const statusChange = await changeEquipmentStatus(connection, current, STATUS_IN_MAINTENANCE, user, 'MAINTENANCE-OPEN');
+        await logAudit(username, 'MAINTENANCE_OPEN', 'EQUIPMENT', current.id,
+            `Opened maintenance #${result.insertId} for equipment ${current.equipamento}${input.vendor ? ` with ${input.vendor}` : ''}${pendingNote(statusChange.changeRequest)}`, connection);
+        return { ...statusChange, recordId: result.insertId };
+    });
+    notifyStatusChange(equipment, username, fieldChanges);
+    return { equipment: withoutBlobs(equipment), record: await getRecord(recordId), changeRequest };
+};
+
+// Closes an open repair and puts the equipment back in the status it had (or `return_status`)
+const closeMaintenance = async (recordId, input, user) => {
+    const { username } = user;
+    const { equipment, fieldChanges, changeRequest } = await runInTransaction(async (connection) => {
+        const { equipment: current, record } = await lockRecord(connection, recordId);
+        if (record.status !== 'open') {
+            throw maintenanceError(409, 'Esta manutenção já foi encerrada.');
+        }
+        const { return_status: returnStatus, ...details } = input;
+        const closedAt = details.closed_at || today();
+        if (closedAt < record.opened_at) {
+            throw maintenanceError(400, `O encerramento não pode ser anterior à abertura (${formatDate(record.opened_at)}).`);
+        }
+
+        const status = returnStatus || statusAfterRepair(record, current);
+        await connection.query('UPDATE maintenance_records SET ? WHERE id = ?', [toRecordRow({
+            ...details,
+            status: 'closed',
+            closed_at: closedAt,
+            return_status: status,
+            closed_by: username
+        }), record.id]);
+        const statusChange = await changeEquipmentStatus(connection, current, status, user, 'MAINTENANCE-CLOSE');
+        const cost = details.cost !== undefined ? details.cost : record.cost;
+        await logAudit(username, 'MAINTENANCE_CLOSE', 'EQUIPMENT', current.id,
+            `Closed maintenance #${record.id} for equipment ${current.equipamento}, back to ${status}${cost !== null ? `, cost ${Number(cost).toFixed(2)}` : ''}${pendingNote(statusChange.changeRequest)}`, connection);
+        return statusChange;
+    });
+    notifyStatusChange(equipment, username, fieldChanges);
+    return { equipment: withoutBlobs(equipment), record: await getRecord(recordId), changeRequest };
+};
+
+// Corrects the details of a repair, open or closed; the equipment status is not touched
+const updateMaintenance = async (recordId, input, username) => {
+    await runInTransaction(async (connection) => {
+        const { equipment, record } = await lockRecord(connection, recordId);
+        if (input.problem === null) {
+            throw maintenanceError(400, 'Descreva o problema do equipamento.');
+        }
+        if (input.closed_at !== undefined && record.status !== 'closed') {
+            throw maintenanceError(400, 'A data de encerramento só pode ser informada ao encerrar a manutenção.');
+        }
+        if (record.status === 'closed' && input.closed_at === null) {
+            throw maintenanceError(400, 'Uma manutenção encerrada precisa da data de encerramento.');
+        }
+        const openedAt = input.opened_at || record.opened_at;
+        const closedAt = input.closed_at || record.closed_at;
+        if (closedAt && closedAt < openedAt) {
+            throw maintenanceError(400, 'O encerramento não pode ser anterior à abertura.');
+        }
+
+        const changes = { ...input, opened_at: openedAt };
+        if (openedAt !== record.opened_at) Object.assign(changes, warrantyOn(equipment, openedAt));
+        await connection.query('UPDATE maintenance_records SET ? WHERE id = ?', [toRecordRow(changes), record.id]);
+        await logAudit(username, 'UPDATE', 'EQUIPMENT', equipment.id,
+            `Updated maintenance #${record.id} of equipment ${equipment.equipamento}: ${Object.keys(input).join(', ')}`, connection);
+    });
+    return getRecord(recordId);
+};
+
+// Repairs of one equipment, newest first, with its warranty coverage today
+const listEquipmentMaintenance = async (equipmentId) => {
+    const [equipment] = await db.promise().query('SELECT id, garantia, dataCompra FROM equipment WHERE id = ?', [equipmentId]);
+    if (equipment.length === 0) {
+        throw maintenanceError(404, 'Equipamento não encontrado.');
+    }
+    const [rows] = await db.promise().query(
+        `SELECT ${RECORD_COLUMNS} FROM maintenance_records m WHERE m.equipment_id = ? ORDER BY m.opened_at DESC, m.id DESC`,
+        [equipmentId]
+    );
+    const { warranty_status: status, warranty_end: end } = warrantyOn(equipment[0], today());
+    return { warranty: { status, end }, records: rows.map(formatRecord) };
+};
+
+// Repairs still open, longest in repair first
+const listOpenMaintenance = async () => {
+    const [rows] = await db.promise().query(
+        `SELECT ${RECORD_COLUMNS}, ${EQUIPMENT_COLUMNS} FROM maintenance_records m JOIN equipment e ON e.id = m.equipment_id
+         WHERE m.status = 'open' ORDER BY m.opened_at ASC, m.id ASC`
+    );
+    return rows.map(formatRecord);
+};
+
+// groupBy (model | brand) and the period of the summary: opening dates from/to, the last 12 months by default
+const parseMaintenanceSummaryQuery = (query = {}) => {
+    const errors = {};
+    const groupBy = query.groupBy || 'model';
+    if (!GROUP_BY.includes(groupBy)) errors.groupBy = `Valor inválido. Valores aceitos: ${GROUP_BY.join(', ')}.`;
+    const to = query.to ? normalizeDate(query.to) : today();
+    if (!to) errors.to = 'Data inválida. Use o formato AAAA-MM-DD ou DD/MM/AAAA.';
+    let from = query.from ? normalizeDate(query.from) : null;
+    if (query.from && !from) errors.from = 'Data inválida. Use o formato AAAA-MM-DD ou DD/MM/AAAA.';
+    if (!query.from && to) {
+        const start = new Date(`${to}T00:00:00Z`);
+        start.setUTCMonth(start.getUTCMonth() - DEFAULT_SUMMARY_MONTHS);
+        from = start.toISOString().split('T')[0];
+    }
+    if (from && to && from > to) errors.from = 'A data inicial deve ser anterior à final.';
+    return Object.keys(errors).length > 0 ? { errors } : { value: { groupBy, from, to } };
+};
+
+const groupKey = (groupBy, brand, model) => {
+    const normalize = (text) => String(text || '').trim().toUpperCase();
+    return groupBy === 'brand' ? normalize(brand) : `${normalize(brand)}|${normalize(model)}`;
+};
+
+/**
+ * Repairs opened in the period per model (or brand): how many, how many assets they hit, the total
+ * cost and the average days in repair, next to how many units of it are in the inventory, so models
+ * that break more than the rest stand out before they are bought again.
+ */
+const buildMaintenanceSummary = async ({ groupBy, from, to }) => {
+    const [repairs] = await db.promise().query(
+        `SELECT m.equipment_id, m.status, m.cost, m.warranty_status, DATEDIFF(COALESCE(m.closed_at, CURDATE()), m.opened_at) AS days_in_repair,
+                e.brand, e.model
+         FROM maintenance_records m JOIN equipment e ON e.id = m.equipment_id
+         WHERE m.opened_at BETWEEN ? AND ?`,
+        [from, to]
+    );
+    const [fleet] = await db.promise().query(
+        `SELECT brand, model, COUNT(*) AS units FROM equipment
+         WHERE approval_status = 'approved' AND (status IS NULL OR status NOT IN (?))
+         GROUP BY brand, model`,
+        [RETIRED_STATUSES]
+    );
+
+    const groups = new Map();
+    const groupFor = (brand, model) => {
+        const key = groupKey(groupBy, brand, model);
+        if (!groups.has(key)) {
+            groups.set(key, {
+                key,
+                brand: String(brand || '').trim() || null,
+                model: groupBy === 'model' ? String(model || '').trim() || null : null,
+                repairs: 0,
+                openRepairs: 0,
+                warrantyRepairs: 0,
+                totalCost: 0,
+                closedDays: 0,
+                closedRepairs: 0,
+                assets: new Set(),
+                units: 0
+            });
+        }
+        return groups.get(key);
+    };
+
+    for (const repair of repairs) {
+        const group = groupFor(repair.brand, repair.model);
+        group.repairs += 1;
+        group.assets.add(repair.equipment_id);
+        if (repair.status === 'open') group.openRepairs += 1;
+        else {
+            group.closedRepairs += 1;
+            group.closedDays += Number(repair.days_in_repair);
+        }
+        if (repair.warranty_status === 'covered') group.warrantyRepairs += 1;
+        group.totalCost += Number(repair.cost || 0);
+    }
+    for (const row of fleet) {
+        const key = groupKey(groupBy, row.brand, row.model);
+        // Only models that had repairs are listed
+        if (groups.has(key)) groups.get(key).units += Number(row.units);
+    }
+
+    const items = [...groups.values()].map(({ closedDays, closedRepairs, assets, ...group }) => ({
+        ...group,
+        totalCost: Math.round(group.totalCost * 100) / 100,
+        assetsRepaired: assets.size,
+        averageCost: Math.round((group.totalCost / group.repairs) * 100) / 100,
+        averageDays: closedRepairs > 0 ? Math.round((closedDays / closedRepairs) * 10) / 10 : null,
+        // Share of the units of this model in the inventory that went to repair in the period
+        repairRate: group.units > 0 ? Math.round((assets.size / group.units) * 1000) / 10 : null
+    })).sort((a, b) => b.totalCost - a.totalCost || b.repairs - a.repairs);
+
+    return {
+        groupBy,
+        from,
+        to,
+        totals: {
+            repairs: repairs.length,
+            openRepairs: items.reduce((sum, item) => sum + item.openRepairs, 0),
+            warrantyRepairs: items.reduce((sum, item) => sum + item.warrantyRepairs, 0),
+            totalCost: Math.round(items.reduce((sum, item) => sum + item.totalCost, 0) * 100) / 100
+        },
+        items
+    };
+};
+
+module.exports = {
+    validateOpenMaintenance,
+    validateCloseMaintenance,
+    validateMaintenanceUpdate,
+    parseMaintenanceSummaryQuery,
+    openMaintenance,
+    closeMaintenance,
+    updateMaintenance,
+    listEquipmentMaintenance,
+    listOpenMaintenance,
+    buildMaintenanceSummary
+};
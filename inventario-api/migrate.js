@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+// Command line for the migrations in migrations/ (see migrator.js). Run from inventario-api/:
+//   npm run migrate -- status | up | down [steps] | verify
+const db = require('./db');
+const { getStatus, migrateUp, migrateDown, verify } = require('./migrator');
+
+const USAGE = 'Usage: npm run migrate -- status | up | down [steps] | verify';
+
+const formatDate = (value) => value ? new Date(value).toISOString().replace('T', ' ').slice(0, 19) : '-';
+
+const commands = {
+    status: async () => {
+        const status = await getStatus();
+        console.log('Version  State     Applied at           Name');
+        status.forEach(item => {
+            const flags = item.reversible ? '' : ' (irreversible)';
+            console.log(`${String(item.id).padStart(4, '0')}     ${item.state.padEnd(9)} ${formatDate(item.appliedAt).padEnd(20)} ${item.name || ''}${flags}`);
+        });
+        const pending = status.filter(item => item.state === 'pending').length;
+        console.log(`\n${pending} pending migration(s).`);
+        return status.every(item => item.state === 'applied' || item.state === 'pending');
+    },
+    up: async () => {
+        const applied = await migrateUp();
+        console.log(applied.length > 0 ? `Applied ${applied.length} migration(s).` : 'Database is up to date.');
+        return true;
+    },
+    down: async (steps = '1') => {
+        const count = Number(steps);
+        if (!Number.isInteger(count) || count < 1) {
+            console.error('The number of steps must be a positive integer.');
+            return false;
+        }
+        const reverted = await migrateDown({ steps: count });
+        console.log(reverted.length > 0 ? `Reverted ${reverted.length} migration(s).` : 'No applied migrations to revert.');
+        return true;
+    },
+    verify: async () => {
+        const result = await verify();
+        result.errors.forEach(message => console.log(`ERROR    ${message}`));
+        result.warnings.forEach(message => console.log(`WARNING  ${message}`));
+        console.log(result.ok ? '\nSchema matches the migrations.' : `\n${result.errors.length} problem(s) found.`);
+        return result.ok;
+    }
+};
+
+const main = async () => {
+    const [command, ...args] = process.argv.slice(2);
+    if (!commands[command]) {
+        console.error(USAGE);
+        return false;
+    }
+    return commands[command](...args);
+};
+
+main()
+    .then(ok => { process.exitCode = ok ? 0 : 1; })
+    .catch(error => {
+        console.error(error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => db.end());
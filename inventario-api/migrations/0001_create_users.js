@@ -0,0 +1,18 @@
+// Application users (account security columns are added by 0025)
+module.exports = {
+    up: `
+        CREATE TABLE IF NOT EXISTS users (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            username VARCHAR(255) NOT NULL UNIQUE,
+            realName VARCHAR(255) NOT NULL,
+            email VARCHAR(255) NOT NULL UNIQUE,
+            password VARCHAR(255) NOT NULL,
+            role ENUM('Admin', 'User Manager', 'User') NOT NULL,
+            lastLogin DATETIME,
+            is2FAEnabled BOOLEAN DEFAULT FALSE,
+            twoFASecret VARCHAR(255),
+            ssoProvider VARCHAR(50) NULL,
+            avatarUrl MEDIUMTEXT
+        );`,
+    down: 'DROP TABLE IF EXISTS users;'
+};
@@ -0,0 +1,28 @@
+// Equipment inventory
+module.exports = {
+    up: `
+        CREATE TABLE IF NOT EXISTS equipment (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            equipamento VARCHAR(255) NOT NULL,
+            garantia VARCHAR(255),
+            patrimonio VARCHAR(255) UNIQUE,
+            serial VARCHAR(255) UNIQUE,
+            usuarioAtual VARCHAR(255),
+            usuarioAnterior VARCHAR(255),
+            local VARCHAR(255),
+            setor VARCHAR(255),
+            dataEntregaUsuario VARCHAR(255),
+            status VARCHAR(255),
+            dataDevolucao VARCHAR(255),
+            tipo VARCHAR(255),
+            notaCompra VARCHAR(255),
+            notaPlKm VARCHAR(255),
+            termoResponsabilidade VARCHAR(255),
+            foto TEXT,
+            qrCode TEXT,
+            observacoes TEXT,
+            approval_status VARCHAR(50) DEFAULT 'approved',
+            rejection_reason TEXT
+        );`,
+    down: 'DROP TABLE IF EXISTS equipment;'
+};
@@ -0,0 +1,23 @@
+// Software licenses
+module.exports = {
+    up: `
+        CREATE TABLE IF NOT EXISTS licenses (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            produto VARCHAR(255) NOT NULL,
+            tipoLicenca VARCHAR(255),
+            chaveSerial VARCHAR(255) NOT NULL,
+            dataExpiracao VARCHAR(255),
+            usuario VARCHAR(255) NOT NULL,
+            cargo VARCHAR(255),
+            setor VARCHAR(255),
+            gestor VARCHAR(255),
+            centroCusto VARCHAR(255),
+            contaRazao VARCHAR(255),
+            nomeComputador VARCHAR(255),
+            numeroChamado VARCHAR(255),
+            observacoes TEXT,
+            approval_status VARCHAR(50) DEFAULT 'approved',
+            rejection_reason TEXT
+        );`,
+    down: 'DROP TABLE IF EXISTS licenses;'
+};
@@ -0,0 +1,15 @@
+// Equipment change history (one row per changed field since history.js)
+module.exports = {
+    up: `
+        CREATE TABLE IF NOT EXISTS equipment_history (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            equipment_id INT,
+            timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+            changedBy VARCHAR(255),
+            changeType VARCHAR(255),
+            from_value TEXT,
+            to_value TEXT,
+            FOREIGN KEY (equipment_id) REFERENCES equipment(id) ON DELETE CASCADE
+        );`,
+    down: 'DROP TABLE IF EXISTS equipment_history;'
+};
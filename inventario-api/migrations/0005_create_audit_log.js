@@ -0,0 +1,13 @@
+module.exports = {
+    up: `
+        CREATE TABLE IF NOT EXISTS audit_log (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+            username VARCHAR(255),
+            action_type VARCHAR(255),
+            target_type VARCHAR(255),
+            target_id VARCHAR(255),
+            details TEXT
+        );`,
+    down: 'DROP TABLE IF EXISTS audit_log;'
+};
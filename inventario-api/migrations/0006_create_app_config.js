@@ -0,0 +1,10 @@
+// Key/value application settings
+module.exports = {
+    up: `
+        CREATE TABLE IF NOT EXISTS app_config (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            config_key VARCHAR(255) NOT NULL UNIQUE,
+            config_value TEXT
+        );`,
+    down: 'DROP TABLE IF EXISTS app_config;'
+};
@@ -0,0 +1,15 @@
+const bcrypt = require('bcryptjs');
+const { DEFAULT_ADMIN_USERNAME, DEFAULT_ADMIN_PASSWORD } = require('../accountSecurity');
+
+const SALT_ROUNDS = parseInt(process.env.BCRYPT_SALT_ROUNDS || '10');
+
+// Default administrator. Logging in with the default password forces a change (accountSecurity.js).
+module.exports = {
+    seed: true,
+    up: (connection) => connection.query(
+        'INSERT IGNORE INTO users (username, realName, email, password, role) VALUES (?, ?, ?, ?, ?)',
+        [DEFAULT_ADMIN_USERNAME, 'Admin', 'admin@example.com', bcrypt.hashSync(DEFAULT_ADMIN_PASSWORD, SALT_ROUNDS), 'Admin']
+    ),
+    // The administrator may be the only account left: never removed by a rollback
+    down: null
+};
@@ -0,0 +1,8 @@
+module.exports = {
+    seed: true,
+    up: `
+        INSERT IGNORE INTO app_config (config_key, config_value) VALUES ('companyName', 'MRR INFORMATICA');
+        INSERT IGNORE INTO app_config (config_key, config_value) VALUES ('isSsoEnabled', 'false');`,
+    // Settings may have been edited since; a rollback keeps them
+    down: null
+};
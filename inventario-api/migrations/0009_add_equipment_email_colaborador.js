@@ -0,0 +1,6 @@
+const { addColumnIfMissing, dropColumnIfExists } = require('./helpers');
+
+module.exports = {
+    up: (connection) => addColumnIfMissing(connection, 'equipment', 'emailColaborador', 'VARCHAR(255)'),
+    down: (connection) => dropColumnIfExists(connection, 'equipment', 'emailColaborador')
+};
@@ -0,0 +1,8 @@
+// Empty termo templates: termos.js falls back to its built-in text until an admin saves one
+module.exports = {
+    seed: true,
+    up: `
+        INSERT IGNORE INTO app_config (config_key, config_value) VALUES ('termo_entrega_template', NULL);
+        INSERT IGNORE INTO app_config (config_key, config_value) VALUES ('termo_devolucao_template', NULL);`,
+    down: null
+};
@@ -0,0 +1,7 @@
+const { addColumnIfMissing, dropColumnIfExists } = require('./helpers');
+
+// Databases created after 0001 gained avatarUrl already have it
+module.exports = {
+    up: (connection) => addColumnIfMissing(connection, 'users', 'avatarUrl', 'MEDIUMTEXT'),
+    down: (connection) => dropColumnIfExists(connection, 'users', 'avatarUrl')
+};
@@ -0,0 +1,6 @@
+// Avatars are stored as data URLs, which do not fit in TEXT
+module.exports = {
+    up: 'ALTER TABLE users MODIFY COLUMN avatarUrl MEDIUMTEXT;',
+    // Narrowing back to TEXT would truncate existing avatars
+    down: null
+};
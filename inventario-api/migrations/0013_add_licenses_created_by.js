@@ -0,0 +1,6 @@
+const { addColumnIfMissing, dropColumnIfExists } = require('./helpers');
+
+module.exports = {
+    up: (connection) => addColumnIfMissing(connection, 'licenses', 'created_by_id', 'INT NULL'),
+    down: (connection) => dropColumnIfExists(connection, 'licenses', 'created_by_id')
+};
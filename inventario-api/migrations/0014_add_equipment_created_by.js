@@ -0,0 +1,6 @@
+const { addColumnIfMissing, dropColumnIfExists } = require('./helpers');
+
+module.exports = {
+    up: (connection) => addColumnIfMissing(connection, 'equipment', 'created_by_id', 'INT NULL'),
+    down: (connection) => dropColumnIfExists(connection, 'equipment', 'created_by_id')
+};
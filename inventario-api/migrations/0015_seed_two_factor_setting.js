@@ -0,0 +1,5 @@
+module.exports = {
+    seed: true,
+    up: "INSERT IGNORE INTO app_config (config_key, config_value) VALUES ('is2faEnabled', 'false');",
+    down: null
+};
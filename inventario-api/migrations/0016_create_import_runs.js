@@ -0,0 +1,14 @@
+// CSV import and periodic update runs
+module.exports = {
+    up: `
+        CREATE TABLE IF NOT EXISTS import_runs (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            run_type VARCHAR(50) NOT NULL,
+            run_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            username VARCHAR(255),
+            file_name VARCHAR(255),
+            summary MEDIUMTEXT,
+            INDEX idx_import_runs_type (run_type, run_at)
+        );`,
+    down: 'DROP TABLE IF EXISTS import_runs;'
+};
@@ -0,0 +1,14 @@
+// Saved column mappings for imports (importProfiles.js)
+module.exports = {
+    up: `
+        CREATE TABLE IF NOT EXISTS import_profiles (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            name VARCHAR(100) NOT NULL,
+            target VARCHAR(20) NOT NULL,
+            mapping TEXT NOT NULL,
+            updated_by VARCHAR(255),
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            UNIQUE KEY uq_import_profiles_target_name (target, name)
+        );`,
+    down: 'DROP TABLE IF EXISTS import_profiles;'
+};
@@ -0,0 +1,8 @@
+const { defaultProfilesSql } = require('../importProfiles');
+
+// Built-in column mappings offered by the import screens
+module.exports = {
+    seed: true,
+    up: (connection) => connection.query(defaultProfilesSql()),
+    down: null
+};
@@ -0,0 +1,13 @@
+// License expiration e-mails already sent, one per license and warning window (licenseAlerts.js)
+module.exports = {
+    up: `
+        CREATE TABLE IF NOT EXISTS license_alerts_sent (
+            license_id INT NOT NULL,
+            window_days INT NOT NULL,
+            expiration_date VARCHAR(10) NOT NULL,
+            sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (license_id, window_days, expiration_date),
+            FOREIGN KEY (license_id) REFERENCES licenses(id) ON DELETE CASCADE
+        );`,
+    down: 'DROP TABLE IF EXISTS license_alerts_sent;'
+};
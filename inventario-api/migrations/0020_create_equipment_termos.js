@@ -0,0 +1,19 @@
+// Archived delivery/return termos (termos.js)
+module.exports = {
+    up: `
+        CREATE TABLE IF NOT EXISTS equipment_termos (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            equipment_id INT NOT NULL,
+            termo_type ENUM('entrega', 'devolucao') NOT NULL,
+            collaborator VARCHAR(255),
+            email VARCHAR(255),
+            content MEDIUMTEXT NOT NULL,
+            created_by VARCHAR(255),
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            signed_at DATETIME NULL,
+            signed_by VARCHAR(255) NULL,
+            INDEX idx_equipment_termos_equipment (equipment_id, created_at),
+            FOREIGN KEY (equipment_id) REFERENCES equipment(id) ON DELETE CASCADE
+        );`,
+    down: 'DROP TABLE IF EXISTS equipment_termos;'
+};
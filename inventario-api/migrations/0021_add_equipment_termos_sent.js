@@ -0,0 +1,13 @@
+const { addColumnIfMissing, dropColumnIfExists } = require('./helpers');
+
+// Last e-mail delivery of the termo PDF
+module.exports = {
+    up: async (connection) => {
+        await addColumnIfMissing(connection, 'equipment_termos', 'sent_at', 'DATETIME NULL');
+        await addColumnIfMissing(connection, 'equipment_termos', 'sent_to', 'VARCHAR(255) NULL');
+    },
+    down: async (connection) => {
+        await dropColumnIfExists(connection, 'equipment_termos', 'sent_to');
+        await dropColumnIfExists(connection, 'equipment_termos', 'sent_at');
+    }
+};
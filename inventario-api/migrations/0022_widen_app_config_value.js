@@ -0,0 +1,6 @@
+// The company logo is stored as a data URL, which does not fit in TEXT
+module.exports = {
+    up: 'ALTER TABLE app_config MODIFY config_value MEDIUMTEXT;',
+    // Narrowing back to TEXT would truncate the logo
+    down: null
+};
@@ -0,0 +1,24 @@
+// Physical audit sessions and the labels scanned in each (physicalAudits.js)
+module.exports = {
+    up: `
+        CREATE TABLE IF NOT EXISTS physical_audits (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            local VARCHAR(255) NULL,
+            started_by VARCHAR(255),
+            started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            finished_at DATETIME NULL,
+            finished_by VARCHAR(255) NULL
+        );
+        CREATE TABLE IF NOT EXISTS physical_audit_scans (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            audit_id INT NOT NULL,
+            equipment_id INT NOT NULL,
+            scanned_by VARCHAR(255),
+            scanned_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY uq_physical_audit_scan (audit_id, equipment_id),
+            FOREIGN KEY (audit_id) REFERENCES physical_audits(id) ON DELETE CASCADE,
+            FOREIGN KEY (equipment_id) REFERENCES equipment(id) ON DELETE CASCADE
+        );`,
+    down: 'DROP TABLE IF EXISTS physical_audit_scans; DROP TABLE IF EXISTS physical_audits;'
+};
@@ -0,0 +1,22 @@
+// Edits and deletions by non-admins awaiting review (changeRequests.js)
+module.exports = {
+    up: `
+        CREATE TABLE IF NOT EXISTS change_requests (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            item_type ENUM('equipment', 'license') NOT NULL,
+            item_id INT NOT NULL,
+            item_name VARCHAR(255),
+            action ENUM('update', 'delete') NOT NULL,
+            changes MEDIUMTEXT,
+            status ENUM('pending', 'approved', 'rejected') NOT NULL DEFAULT 'pending',
+            requested_by_id INT NULL,
+            requested_by VARCHAR(255),
+            requested_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            reviewed_by VARCHAR(255) NULL,
+            reviewed_at DATETIME NULL,
+            rejection_reason TEXT NULL,
+            INDEX idx_change_requests_status (status, requested_at),
+            INDEX idx_change_requests_requester (requested_by_id, requested_at)
+        );`,
+    down: 'DROP TABLE IF EXISTS change_requests;'
+};
@@ -0,0 +1,45 @@
+const { addColumnIfMissing, dropColumnIfExists } = require('./helpers');
+
+// Password history, login throttling and password reset (accountSecurity.js)
+module.exports = {
+    up: async (connection) => {
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS password_history (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                user_id INT NOT NULL,
+                password_hash VARCHAR(255) NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_password_history_user (user_id, id),
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            );
+            CREATE TABLE IF NOT EXISTS login_attempts (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                username VARCHAR(255),
+                ip_address VARCHAR(64) NOT NULL,
+                attempted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_login_attempts_ip (ip_address, attempted_at)
+            );
+            CREATE TABLE IF NOT EXISTS password_reset_tokens (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                user_id INT NOT NULL,
+                token_hash CHAR(64) NOT NULL UNIQUE,
+                expires_at DATETIME NOT NULL,
+                used_at DATETIME NULL,
+                requested_ip VARCHAR(64),
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_password_reset_user (user_id, created_at),
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            );`);
+        await addColumnIfMissing(connection, 'users', 'mustChangePassword', 'BOOLEAN NOT NULL DEFAULT FALSE');
+        await addColumnIfMissing(connection, 'users', 'passwordChangedAt', 'DATETIME NULL');
+        await addColumnIfMissing(connection, 'users', 'failedLoginAttempts', 'INT NOT NULL DEFAULT 0');
+        await addColumnIfMissing(connection, 'users', 'lockedUntil', 'DATETIME NULL');
+        await connection.query('UPDATE users SET passwordChangedAt = NOW() WHERE passwordChangedAt IS NULL');
+    },
+    down: async (connection) => {
+        for (const column of ['lockedUntil', 'failedLoginAttempts', 'passwordChangedAt', 'mustChangePassword']) {
+            await dropColumnIfExists(connection, 'users', column);
+        }
+        await connection.query('DROP TABLE IF EXISTS password_reset_tokens; DROP TABLE IF EXISTS login_attempts; DROP TABLE IF EXISTS password_history;');
+    }
+};
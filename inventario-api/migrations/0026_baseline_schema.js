@@ -0,0 +1,85 @@
+const { columnExists, addColumnIfMissing } = require('./helpers');
+
+/**
+ * Baseline: brings databases that drifted under the old boot-time auto-repair to the canonical
+ * schema (see canonicalSchema.js). Until this point columns were added on every start with
+ * SHOW COLUMNS/ALTER TABLE, so older instances miss some of them, still have the legacy
+ * camelCase equipmentId history column or timestamps without a default.
+ * On a fresh database it only adds the columns the CREATE TABLE migrations never had.
+ */
+const COLUMNS = {
+    licenses: [
+        ['empresa', 'VARCHAR(255) NULL'],
+        ['observacoes', 'TEXT'],
+        ['approval_status', "VARCHAR(50) DEFAULT 'approved'"],
+        ['rejection_reason', 'TEXT'],
+        ['created_by_id', 'INT NULL']
+    ],
+    equipment: [
+        ['observacoes', 'TEXT'],
+        ['approval_status', "VARCHAR(50) DEFAULT 'approved'"],
+        ['rejection_reason', 'TEXT'],
+        ['created_by_id', 'INT NULL'],
+        ['emailColaborador', 'VARCHAR(255)'],
+        // Absolute report fields
+        ['brand', 'VARCHAR(100)'],
+        ['model', 'VARCHAR(100)'],
+        ['identificador', 'VARCHAR(255)'],
+        ['nomeSO', 'VARCHAR(255)'],
+        ['memoriaFisicaTotal', 'VARCHAR(100)'],
+        ['grupoPoliticas', 'VARCHAR(100)'],
+        ['pais', 'VARCHAR(100)'],
+        ['cidade', 'VARCHAR(100)'],
+        ['estadoProvincia', 'VARCHAR(100)'],
+        ['condicaoTermo', "ENUM('Assinado - Entrega', 'Assinado - Devolução', 'Pendente', 'N/A') DEFAULT 'N/A'"],
+        // Purchase data for the analytics dashboard (analytics.js)
+        ['dataCompra', 'VARCHAR(255) NULL'],
+        ['valorCompra', 'DECIMAL(12,2) NULL'],
+        ['centroCusto', 'VARCHAR(255) NULL'],
+        ['empresa', 'VARCHAR(255) NULL']
+    ],
+    users: [
+        ['twoFASecret', 'VARCHAR(255) NULL'],
+        ['is2FAEnabled', 'BOOLEAN DEFAULT FALSE'],
+        ['ssoProvider', 'VARCHAR(50) NULL'],
+        ['avatarUrl', 'MEDIUMTEXT']
+    ],
+    equipment_history: [
+        ['equipment_id', 'INT'],
+        // Field-level history model (see history.js)
+        ['field_name', 'VARCHAR(100) NULL'],
+        ['source', 'VARCHAR(50) NULL'],
+        // Admin who approved a change requested by another user (changeRequests.js)
+        ['approved_by', 'VARCHAR(255) NULL']
+    ]
+};
+
+module.exports = {
+    up: async (connection) => {
+        for (const [table, columns] of Object.entries(COLUMNS)) {
+            for (const [column, definition] of columns) {
+                await addColumnIfMissing(connection, table, column, definition);
+            }
+        }
+
+        // Very old installs stored the equipment in a camelCase equipmentId column without a default,
+        // which breaks every insert. Keep its links in equipment_id and drop it.
+        if (await columnExists(connection, 'equipment_history', 'equipmentId')) {
+            await connection.query('UPDATE equipment_history SET equipment_id = equipmentId WHERE equipment_id IS NULL');
+            const [foreignKeys] = await connection.query(
+                `SELECT CONSTRAINT_NAME AS name FROM information_schema.KEY_COLUMN_USAGE
+                 WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'equipment_history' AND COLUMN_NAME = 'equipmentId' AND REFERENCED_TABLE_NAME IS NOT NULL`
+            );
+            for (const foreignKey of foreignKeys) {
+                await connection.query('ALTER TABLE equipment_history DROP FOREIGN KEY ??', [foreignKey.name]);
+            }
+            await connection.query('ALTER TABLE equipment_history DROP COLUMN equipmentId');
+        }
+
+        // Inserts rely on the database filling in the time
+        await connection.query('ALTER TABLE equipment_history MODIFY COLUMN timestamp DATETIME DEFAULT CURRENT_TIMESTAMP');
+        await connection.query('ALTER TABLE audit_log MODIFY COLUMN timestamp DATETIME DEFAULT CURRENT_TIMESTAMP');
+    },
+    // Repairs to drifted databases cannot be told apart from the original schema
+    down: null
+};
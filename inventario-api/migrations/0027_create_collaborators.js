@@ -0,0 +1,62 @@
+// Collaborator directory, the spellings and per-record decisions that link the free-text holders of
+// equipment and licenses to it, and the offboarding checklists (collaborators.js)
+module.exports = {
+    up: `
+        CREATE TABLE IF NOT EXISTS collaborators (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            email VARCHAR(255) NULL UNIQUE,
+            department VARCHAR(255) NULL,
+            manager VARCHAR(255) NULL,
+            cost_center VARCHAR(255) NULL,
+            active BOOLEAN NOT NULL DEFAULT TRUE,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            INDEX idx_collaborators_name (name)
+        );
+        CREATE TABLE IF NOT EXISTS collaborator_aliases (
+            alias_key VARCHAR(255) NOT NULL PRIMARY KEY,
+            alias VARCHAR(255) NOT NULL,
+            collaborator_id INT NULL,
+            created_by VARCHAR(255),
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (collaborator_id) REFERENCES collaborators(id) ON DELETE CASCADE
+        );
+        CREATE TABLE IF NOT EXISTS collaborator_record_links (
+            item_type ENUM('equipment', 'license') NOT NULL,
+            item_id INT NOT NULL,
+            holder_key VARCHAR(255) NOT NULL,
+            collaborator_id INT NULL,
+            decided_by VARCHAR(255),
+            decided_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (item_type, item_id),
+            FOREIGN KEY (collaborator_id) REFERENCES collaborators(id) ON DELETE CASCADE
+        );
+        CREATE TABLE IF NOT EXISTS offboardings (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            collaborator_id INT NOT NULL,
+            status ENUM('open', 'completed', 'cancelled') NOT NULL DEFAULT 'open',
+            notes TEXT NULL,
+            started_by VARCHAR(255),
+            started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            closed_by VARCHAR(255) NULL,
+            closed_at DATETIME NULL,
+            INDEX idx_offboardings_status (status, started_at),
+            FOREIGN KEY (collaborator_id) REFERENCES collaborators(id) ON DELETE CASCADE
+        );
+        CREATE TABLE IF NOT EXISTS offboarding_items (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            offboarding_id INT NOT NULL,
+            item_type ENUM('equipment', 'license') NOT NULL,
+            item_id INT NOT NULL,
+            item_name VARCHAR(255),
+            item_details MEDIUMTEXT,
+            status ENUM('pending', 'returned', 'waived') NOT NULL DEFAULT 'pending',
+            resolved_by VARCHAR(255) NULL,
+            resolved_at DATETIME NULL,
+            notes TEXT NULL,
+            UNIQUE KEY uq_offboarding_item (offboarding_id, item_type, item_id),
+            FOREIGN KEY (offboarding_id) REFERENCES offboardings(id) ON DELETE CASCADE
+        );`,
+    down: 'DROP TABLE IF EXISTS offboarding_items; DROP TABLE IF EXISTS offboardings; DROP TABLE IF EXISTS collaborator_record_links; DROP TABLE IF EXISTS collaborator_aliases; DROP TABLE IF EXISTS collaborators;'
+};
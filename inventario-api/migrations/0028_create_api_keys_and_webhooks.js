@@ -0,0 +1,45 @@
+// Keys for the public /api/v1 surface, outbound webhooks and their delivery log (apiKeys.js, webhooks.js)
+module.exports = {
+    up: `
+        CREATE TABLE IF NOT EXISTS api_keys (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            name VARCHAR(100) NOT NULL UNIQUE,
+            key_prefix VARCHAR(16) NOT NULL,
+            key_hash CHAR(64) NOT NULL UNIQUE,
+            scopes VARCHAR(255) NOT NULL,
+            created_by VARCHAR(255),
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            last_used_at DATETIME NULL,
+            revoked_by VARCHAR(255) NULL,
+            revoked_at DATETIME NULL
+        );
+        CREATE TABLE IF NOT EXISTS webhooks (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            name VARCHAR(100) NOT NULL,
+            url VARCHAR(2048) NOT NULL,
+            secret VARCHAR(100) NOT NULL,
+            events VARCHAR(512) NOT NULL,
+            active BOOLEAN NOT NULL DEFAULT TRUE,
+            created_by VARCHAR(255),
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+        );
+        CREATE TABLE IF NOT EXISTS webhook_deliveries (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            webhook_id INT NOT NULL,
+            event VARCHAR(100) NOT NULL,
+            payload MEDIUMTEXT NOT NULL,
+            status ENUM('pending', 'delivered', 'failed') NOT NULL DEFAULT 'pending',
+            attempts INT NOT NULL DEFAULT 0,
+            next_attempt_at DATETIME NULL,
+            last_attempt_at DATETIME NULL,
+            response_status INT NULL,
+            response_body TEXT NULL,
+            error TEXT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_webhook_deliveries_due (status, next_attempt_at),
+            INDEX idx_webhook_deliveries_webhook (webhook_id, created_at),
+            FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE
+        );`,
+    down: 'DROP TABLE IF EXISTS webhook_deliveries; DROP TABLE IF EXISTS webhooks; DROP TABLE IF EXISTS api_keys;'
+};
@@ -0,0 +1,44 @@
+const { addColumnIfMissing, dropColumnIfExists } = require('./helpers');
+
+// Hash chain over audit_log, the archives written by audit retention and the errors reported by the
+// web app (auditTrail.js)
+module.exports = {
+    up: async (connection) => {
+        await addColumnIfMissing(connection, 'audit_log', 'chain_seq', 'BIGINT NULL UNIQUE');
+        await addColumnIfMissing(connection, 'audit_log', 'prev_hash', 'CHAR(64) NULL');
+        await addColumnIfMissing(connection, 'audit_log', 'entry_hash', 'CHAR(64) NULL');
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS audit_log_archives (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                file_name VARCHAR(255) NOT NULL,
+                first_seq BIGINT NOT NULL,
+                last_seq BIGINT NOT NULL,
+                last_hash CHAR(64) NOT NULL,
+                entry_count INT NOT NULL,
+                from_timestamp DATETIME NULL,
+                to_timestamp DATETIME NULL,
+                sha256 CHAR(64) NOT NULL,
+                size INT NOT NULL,
+                created_by VARCHAR(255),
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE TABLE IF NOT EXISTS client_errors (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                username VARCHAR(255),
+                type VARCHAR(20) NOT NULL,
+                message TEXT NOT NULL,
+                stack TEXT NULL,
+                url VARCHAR(2048) NULL,
+                user_agent VARCHAR(512) NULL,
+                occurred_at DATETIME NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_client_errors_created (created_at)
+            );`);
+    },
+    down: async (connection) => {
+        await connection.query('DROP TABLE IF EXISTS client_errors; DROP TABLE IF EXISTS audit_log_archives;');
+        for (const column of ['entry_hash', 'prev_hash', 'chain_seq']) {
+            await dropColumnIfExists(connection, 'audit_log', column);
+        }
+    }
+};
@@ -0,0 +1,13 @@
+// Reconciliation findings an admin chose to ignore, while the situation they describe stays the same (licenseReconciliation.js)
+module.exports = {
+    up: `
+        CREATE TABLE IF NOT EXISTS license_reconciliation_dismissals (
+            finding_key VARCHAR(255) NOT NULL PRIMARY KEY,
+            finding_type VARCHAR(30) NOT NULL,
+            signature CHAR(64) NOT NULL,
+            reason TEXT NULL,
+            dismissed_by VARCHAR(255),
+            dismissed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );`,
+    down: 'DROP TABLE IF EXISTS license_reconciliation_dismissals;'
+};
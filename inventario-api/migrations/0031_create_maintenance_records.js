@@ -0,0 +1,30 @@
+// Repairs of an asset: while a record is open the equipment is "MANUTENÇÃO", and closing it puts
+// back the status it had before (maintenance.js)
+module.exports = {
+    up: `
+        CREATE TABLE IF NOT EXISTS maintenance_records (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            equipment_id INT NOT NULL,
+            status ENUM('open', 'closed') NOT NULL DEFAULT 'open',
+            opened_at DATE NOT NULL,
+            closed_at DATE NULL,
+            vendor VARCHAR(255) NULL,
+            ticket_number VARCHAR(100) NULL,
+            problem TEXT NOT NULL,
+            resolution TEXT NULL,
+            parts TEXT NULL,
+            cost DECIMAL(12,2) NULL,
+            warranty_status ENUM('covered', 'expired', 'unknown') NOT NULL DEFAULT 'unknown',
+            warranty_end DATE NULL,
+            previous_status VARCHAR(255) NULL,
+            return_status VARCHAR(255) NULL,
+            opened_by VARCHAR(255),
+            closed_by VARCHAR(255) NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            INDEX idx_maintenance_equipment (equipment_id, opened_at),
+            INDEX idx_maintenance_status (status, opened_at),
+            FOREIGN KEY (equipment_id) REFERENCES equipment(id) ON DELETE CASCADE
+        );`,
+    down: 'DROP TABLE IF EXISTS maintenance_records;'
+};
@@ -0,0 +1,7 @@
+const { addColumnIfMissing, dropColumnIfExists } = require('./helpers');
+
+// Consecutive wrong 2FA codes (accountSecurity.js), counted apart from wrong passwords
+module.exports = {
+    up: (connection) => addColumnIfMissing(connection, 'users', 'failed2FAAttempts', 'INT NOT NULL DEFAULT 0'),
+    down: (connection) => dropColumnIfExists(connection, 'users', 'failed2FAAttempts')
+};
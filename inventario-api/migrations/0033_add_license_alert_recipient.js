@@ -0,0 +1,29 @@
+const { columnExists } = require('./helpers');
+
+// License alerts are remembered per recipient (licenseAlerts.js), so a digest that failed for one
+// recipient is retried without repeating it to the others. Rows from before this migration have an
+// empty recipient and count as notified to everyone.
+module.exports = {
+    up: async (connection) => {
+        if (!(await columnExists(connection, 'license_alerts_sent', 'recipient'))) {
+            await connection.query(`
+                ALTER TABLE license_alerts_sent
+                    ADD COLUMN recipient VARCHAR(255) NOT NULL DEFAULT '',
+                    DROP PRIMARY KEY,
+                    ADD PRIMARY KEY (license_id, window_days, expiration_date, recipient)`);
+        }
+    },
+    down: async (connection) => {
+        if (await columnExists(connection, 'license_alerts_sent', 'recipient')) {
+            await connection.query(`
+                DELETE newer FROM license_alerts_sent newer
+                JOIN license_alerts_sent older ON older.license_id = newer.license_id AND older.window_days = newer.window_days
+                    AND older.expiration_date = newer.expiration_date AND older.recipient < newer.recipient`);
+            await connection.query(`
+                ALTER TABLE license_alerts_sent
+                    DROP PRIMARY KEY,
+                    DROP COLUMN recipient,
+                    ADD PRIMARY KEY (license_id, window_days, expiration_date)`);
+        }
+    }
+};
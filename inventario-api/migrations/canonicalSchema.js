@@ -0,0 +1,344 @@
+/**
+ * The schema the code expects after every migration has run: table -> column -> definition, in the
+ * same SQL the migrations use. `npm run migrate -- verify` compares the live database with it
+ * (type, NULL/NOT NULL and default). A migration that adds or changes a column must update this file.
+ * Indexes and foreign keys are left to the migrations themselves.
+ */
+const CANONICAL_SCHEMA = {
+    users: {
+        id: 'INT AUTO_INCREMENT PRIMARY KEY',
+        username: 'VARCHAR(255) NOT NULL UNIQUE',
+        realName: 'VARCHAR(255) NOT NULL',
+        email: 'VARCHAR(255) NOT NULL UNIQUE',
+        password: 'VARCHAR(255) NOT NULL',
+        role: "ENUM('Admin', 'User Manager', 'User') NOT NULL",
+        lastLogin: 'DATETIME',
+        is2FAEnabled: 'BOOLEAN DEFAULT FALSE',
+        twoFASecret: 'VARCHAR(255)',
+        ssoProvider: 'VARCHAR(50) NULL',
+        avatarUrl: 'MEDIUMTEXT',
+        mustChangePassword: 'BOOLEAN NOT NULL DEFAULT FALSE',
+        passwordChangedAt: 'DATETIME NULL',
+        failedLoginAttempts: 'INT NOT NULL DEFAULT 0',
+        lockedUntil: 'DATETIME NULL',
+        failed2FAAttempts: 'INT NOT NULL DEFAULT 0'
+    },
+    equipment: {
+        id: 'INT AUTO_INCREMENT PRIMARY KEY',
+        equipamento: 'VARCHAR(255) NOT NULL',
+        garantia: 'VARCHAR(255)',
+        patrimonio: 'VARCHAR(255) UNIQUE',
+        serial: 'VARCHAR(255) UNIQUE',
+        usuarioAtual: 'VARCHAR(255)',
+        usuarioAnterior: 'VARCHAR(255)',
+        local: 'VARCHAR(255)',
+        setor: 'VARCHAR(255)',
+        dataEntregaUsuario: 'VARCHAR(255)',
+        status: 'VARCHAR(255)',
+        dataDevolucao: 'VARCHAR(255)',
+        tipo: 'VARCHAR(255)',
+        notaCompra: 'VARCHAR(255)',
+        notaPlKm: 'VARCHAR(255)',
+        termoResponsabilidade: 'VARCHAR(255)',
+        foto: 'TEXT',
+        qrCode: 'TEXT',
+        observacoes: 'TEXT',
+        approval_status: "VARCHAR(50) DEFAULT 'approved'",
+        rejection_reason: 'TEXT',
+        emailColaborador: 'VARCHAR(255)',
+        created_by_id: 'INT NULL',
+        brand: 'VARCHAR(100)',
+        model: 'VARCHAR(100)',
+        identificador: 'VARCHAR(255)',
+        nomeSO: 'VARCHAR(255)',
+        memoriaFisicaTotal: 'VARCHAR(100)',
+        grupoPoliticas: 'VARCHAR(100)',
+        pais: 'VARCHAR(100)',
+        cidade: 'VARCHAR(100)',
+        estadoProvincia: 'VARCHAR(100)',
+        condicaoTermo: "ENUM('Assinado - Entrega', 'Assinado - Devolução', 'Pendente', 'N/A') DEFAULT 'N/A'",
+        dataCompra: 'VARCHAR(255) NULL',
+        valorCompra: 'DECIMAL(12,2) NULL',
+        centroCusto: 'VARCHAR(255) NULL',
+        empresa: 'VARCHAR(255) NULL'
+    },
+    licenses: {
+        id: 'INT AUTO_INCREMENT PRIMARY KEY',
+        produto: 'VARCHAR(255) NOT NULL',
+        tipoLicenca: 'VARCHAR(255)',
+        chaveSerial: 'VARCHAR(255) NOT NULL',
+        dataExpiracao: 'VARCHAR(255)',
+        usuario: 'VARCHAR(255) NOT NULL',
+        cargo: 'VARCHAR(255)',
+        setor: 'VARCHAR(255)',
+        gestor: 'VARCHAR(255)',
+        centroCusto: 'VARCHAR(255)',
+        contaRazao: 'VARCHAR(255)',
+        nomeComputador: 'VARCHAR(255)',
+        numeroChamado: 'VARCHAR(255)',
+        observacoes: 'TEXT',
+        approval_status: "VARCHAR(50) DEFAULT 'approved'",
+        rejection_reason: 'TEXT',
+        empresa: 'VARCHAR(255) NULL',
+        created_by_id: 'INT NULL'
+    },
+    equipment_history: {
+        id: 'INT AUTO_INCREMENT PRIMARY KEY',
+        equipment_id: 'INT',
+        timestamp: 'DATETIME DEFAULT CURRENT_TIMESTAMP',
+        changedBy: 'VARCHAR(255)',
+        changeType: 'VARCHAR(255)',
+        from_value: 'TEXT',
+        to_value: 'TEXT',
+        field_name: 'VARCHAR(100) NULL',
+        source: 'VARCHAR(50) NULL',
+        approved_by: 'VARCHAR(255) NULL'
+    },
+    audit_log: {
+        id: 'INT AUTO_INCREMENT PRIMARY KEY',
+        timestamp: 'DATETIME DEFAULT CURRENT_TIMESTAMP',
+        username: 'VARCHAR(255)',
+        action_type: 'VARCHAR(255)',
+        target_type: 'VARCHAR(255)',
+        target_id: 'VARCHAR(255)',
+        details: 'TEXT',
+        chain_seq: 'BIGINT NULL UNIQUE',
+        prev_hash: 'CHAR(64) NULL',
+        entry_hash: 'CHAR(64) NULL'
+    },
+    app_config: {
+        id: 'INT AUTO_INCREMENT PRIMARY KEY',
+        config_key: 'VARCHAR(255) NOT NULL UNIQUE',
+        config_value: 'MEDIUMTEXT'
+    },
+    import_runs: {
+        id: 'INT AUTO_INCREMENT PRIMARY KEY',
+        run_type: 'VARCHAR(50) NOT NULL',
+        run_at: 'DATETIME DEFAULT CURRENT_TIMESTAMP',
+        username: 'VARCHAR(255)',
+        file_name: 'VARCHAR(255)',
+        summary: 'MEDIUMTEXT'
+    },
+    import_profiles: {
+        id: 'INT AUTO_INCREMENT PRIMARY KEY',
+        name: 'VARCHAR(100) NOT NULL',
+        target: 'VARCHAR(20) NOT NULL',
+        mapping: 'TEXT NOT NULL',
+        updated_by: 'VARCHAR(255)',
+        updated_at: 'DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP'
+    },
+    license_alerts_sent: {
+        license_id: 'INT NOT NULL',
+        window_days: 'INT NOT NULL',
+        expiration_date: 'VARCHAR(10) NOT NULL',
+        sent_at: 'DATETIME DEFAULT CURRENT_TIMESTAMP',
+        recipient: "VARCHAR(255) NOT NULL DEFAULT ''"
+    },
+    equipment_termos: {
+        id: 'INT AUTO_INCREMENT PRIMARY KEY',
+        equipment_id: 'INT NOT NULL',
+        termo_type: "ENUM('entrega', 'devolucao') NOT NULL",
+        collaborator: 'VARCHAR(255)',
+        email: 'VARCHAR(255)',
+        content: 'MEDIUMTEXT NOT NULL',
+        created_by: 'VARCHAR(255)',
+        created_at: 'DATETIME DEFAULT CURRENT_TIMESTAMP',
+        signed_at: 'DATETIME NULL',
+        signed_by: 'VARCHAR(255) NULL',
+        sent_at: 'DATETIME NULL',
+        sent_to: 'VARCHAR(255) NULL'
+    },
+    physical_audits: {
+        id: 'INT AUTO_INCREMENT PRIMARY KEY',
+        name: 'VARCHAR(255) NOT NULL',
+        local: 'VARCHAR(255) NULL',
+        started_by: 'VARCHAR(255)',
+        started_at: 'DATETIME DEFAULT CURRENT_TIMESTAMP',
+        finished_at: 'DATETIME NULL',
+        finished_by: 'VARCHAR(255) NULL'
+    },
+    physical_audit_scans: {
+        id: 'INT AUTO_INCREMENT PRIMARY KEY',
+        audit_id: 'INT NOT NULL',
+        equipment_id: 'INT NOT NULL',
+        scanned_by: 'VARCHAR(255)',
+        scanned_at: 'DATETIME DEFAULT CURRENT_TIMESTAMP'
+    },
+    change_requests: {
+        id: 'INT AUTO_INCREMENT PRIMARY KEY',
+        item_type: "ENUM('equipment', 'license') NOT NULL",
+        item_id: 'INT NOT NULL',
+        item_name: 'VARCHAR(255)',
+        action: "ENUM('update', 'delete') NOT NULL",
+        changes: 'MEDIUMTEXT',
+        status: "ENUM('pending', 'approved', 'rejected') NOT NULL DEFAULT 'pending'",
+        requested_by_id: 'INT NULL',
+        requested_by: 'VARCHAR(255)',
+        requested_at: 'DATETIME DEFAULT CURRENT_TIMESTAMP',
+        reviewed_by: 'VARCHAR(255) NULL',
+        reviewed_at: 'DATETIME NULL',
+        rejection_reason: 'TEXT NULL'
+    },
+    password_history: {
+        id: 'INT AUTO_INCREMENT PRIMARY KEY',
+        user_id: 'INT NOT NULL',
+        password_hash: 'VARCHAR(255) NOT NULL',
+        created_at: 'DATETIME DEFAULT CURRENT_TIMESTAMP'
+    },
+    login_attempts: {
+        id: 'INT AUTO_INCREMENT PRIMARY KEY',
+        username: 'VARCHAR(255)',
+        ip_address: 'VARCHAR(64) NOT NULL',
+        attempted_at: 'DATETIME DEFAULT CURRENT_TIMESTAMP'
+    },
+    password_reset_tokens: {
+        id: 'INT AUTO_INCREMENT PRIMARY KEY',
+        user_id: 'INT NOT NULL',
+        token_hash: 'CHAR(64) NOT NULL UNIQUE',
+        expires_at: 'DATETIME NOT NULL',
+        used_at: 'DATETIME NULL',
+        requested_ip: 'VARCHAR(64)',
+        created_at: 'DATETIME DEFAULT CURRENT_TIMESTAMP'
+    },
+    collaborators: {
+        id: 'INT AUTO_INCREMENT PRIMARY KEY',
+        name: 'VARCHAR(255) NOT NULL',
+        email: 'VARCHAR(255) NULL UNIQUE',
+        department: 'VARCHAR(255) NULL',
+        manager: 'VARCHAR(255) NULL',
+        cost_center: 'VARCHAR(255) NULL',
+        active: 'BOOLEAN NOT NULL DEFAULT TRUE',
+        created_at: 'DATETIME DEFAULT CURRENT_TIMESTAMP',
+        updated_at: 'DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP'
+    },
+    collaborator_aliases: {
+        alias_key: 'VARCHAR(255) NOT NULL PRIMARY KEY',
+        alias: 'VARCHAR(255) NOT NULL',
+        collaborator_id: 'INT NULL',
+        created_by: 'VARCHAR(255)',
+        created_at: 'DATETIME DEFAULT CURRENT_TIMESTAMP'
+    },
+    collaborator_record_links: {
+        item_type: "ENUM('equipment', 'license') NOT NULL",
+        item_id: 'INT NOT NULL',
+        holder_key: 'VARCHAR(255) NOT NULL',
+        collaborator_id: 'INT NULL',
+        decided_by: 'VARCHAR(255)',
+        decided_at: 'DATETIME DEFAULT CURRENT_TIMESTAMP'
+    },
+    offboardings: {
+        id: 'INT AUTO_INCREMENT PRIMARY KEY',
+        collaborator_id: 'INT NOT NULL',
+        status: "ENUM('open', 'completed', 'cancelled') NOT NULL DEFAULT 'open'",
+        notes: 'TEXT NULL',
+        started_by: 'VARCHAR(255)',
+        started_at: 'DATETIME DEFAULT CURRENT_TIMESTAMP',
+        closed_by: 'VARCHAR(255) NULL',
+        closed_at: 'DATETIME NULL'
+    },
+    offboarding_items: {
+        id: 'INT AUTO_INCREMENT PRIMARY KEY',
+        offboarding_id: 'INT NOT NULL',
+        item_type: "ENUM('equipment', 'license') NOT NULL",
+        item_id: 'INT NOT NULL',
+        item_name: 'VARCHAR(255)',
+        item_details: 'MEDIUMTEXT',
+        status: "ENUM('pending', 'returned', 'waived') NOT NULL DEFAULT 'pending'",
+        resolved_by: 'VARCHAR(255) NULL',
+        resolved_at: 'DATETIME NULL',
+        notes: 'TEXT NULL'
+    },
+    api_keys: {
+        id: 'INT AUTO_INCREMENT PRIMARY KEY',
+        name: 'VARCHAR(100) NOT NULL UNIQUE',
+        key_prefix: 'VARCHAR(16) NOT NULL',
+        key_hash: 'CHAR(64) NOT NULL UNIQUE',
+        scopes: 'VARCHAR(255) NOT NULL',
+        created_by: 'VARCHAR(255)',
+        created_at: 'DATETIME DEFAULT CURRENT_TIMESTAMP',
+        last_used_at: 'DATETIME NULL',
+        revoked_by: 'VARCHAR(255) NULL',
+        revoked_at: 'DATETIME NULL'
+    },
+    webhooks: {
+        id: 'INT AUTO_INCREMENT PRIMARY KEY',
+        name: 'VARCHAR(100) NOT NULL',
+        url: 'VARCHAR(2048) NOT NULL',
+        secret: 'VARCHAR(100) NOT NULL',
+        events: 'VARCHAR(512) NOT NULL',
+        active: 'BOOLEAN NOT NULL DEFAULT TRUE',
+        created_by: 'VARCHAR(255)',
+        created_at: 'DATETIME DEFAULT CURRENT_TIMESTAMP',
+        updated_at: 'DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP'
+    },
+    webhook_deliveries: {
+        id: 'INT AUTO_INCREMENT PRIMARY KEY',
+        webhook_id: 'INT NOT NULL',
+        event: 'VARCHAR(100) NOT NULL',
+        payload: 'MEDIUMTEXT NOT NULL',
+        status: "ENUM('pending', 'delivered', 'failed') NOT NULL DEFAULT 'pending'",
+        attempts: 'INT NOT NULL DEFAULT 0',
+        next_attempt_at: 'DATETIME NULL',
+        last_attempt_at: 'DATETIME NULL',
+        response_status: 'INT NULL',
+        response_body: 'TEXT NULL',
+        error: 'TEXT NULL',
+        created_at: 'DATETIME DEFAULT CURRENT_TIMESTAMP'
+    },
+    audit_log_archives: {
+        id: 'INT AUTO_INCREMENT PRIMARY KEY',
+        file_name: 'VARCHAR(255) NOT NULL',
+        first_seq: 'BIGINT NOT NULL',
+        last_seq: 'BIGINT NOT NULL',
+        last_hash: 'CHAR(64) NOT NULL',
+        entry_count: 'INT NOT NULL',
+        from_timestamp: 'DATETIME NULL',
+        to_timestamp: 'DATETIME NULL',
+        sha256: 'CHAR(64) NOT NULL',
+        size: 'INT NOT NULL',
+        created_by: 'VARCHAR(255)',
+        created_at: 'DATETIME DEFAULT CURRENT_TIMESTAMP'
+    },
+    client_errors: {
+        id: 'INT AUTO_INCREMENT PRIMARY KEY',
+        username: 'VARCHAR(255)',
+        type: 'VARCHAR(20) NOT NULL',
+        message: 'TEXT NOT NULL',
+        stack: 'TEXT NULL',
+        url: 'VARCHAR(2048) NULL',
+        user_agent: 'VARCHAR(512) NULL',
+        occurred_at: 'DATETIME NULL',
+        created_at: 'DATETIME DEFAULT CURRENT_TIMESTAMP'
+    },
+    license_reconciliation_dismissals: {
+        finding_key: 'VARCHAR(255) NOT NULL PRIMARY KEY',
+        finding_type: 'VARCHAR(30) NOT NULL',
+        signature: 'CHAR(64) NOT NULL',
+        reason: 'TEXT NULL',
+        dismissed_by: 'VARCHAR(255)',
+        dismissed_at: 'DATETIME DEFAULT CURRENT_TIMESTAMP'
+    },
+    maintenance_records: {
+        id: 'INT AUTO_INCREMENT PRIMARY KEY',
+        equipment_id: 'INT NOT NULL',
+        status: "ENUM('open', 'closed') NOT NULL DEFAULT 'open'",
+        opened_at: 'DATE NOT NULL',
+        closed_at: 'DATE NULL',
+        vendor: 'VARCHAR(255) NULL',
+        ticket_number: 'VARCHAR(100) NULL',
+        problem: 'TEXT NOT NULL',
+        resolution: 'TEXT NULL',
+        parts: 'TEXT NULL',
+        cost: 'DECIMAL(12,2) NULL',
+        warranty_status: "ENUM('covered', 'expired', 'unknown') NOT NULL DEFAULT 'unknown'",
+        warranty_end: 'DATE NULL',
+        previous_status: 'VARCHAR(255) NULL',
+        return_status: 'VARCHAR(255) NULL',
+        opened_by: 'VARCHAR(255)',
+        closed_by: 'VARCHAR(255) NULL',
+        created_at: 'DATETIME DEFAULT CURRENT_TIMESTAMP',
+        updated_at: 'DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP'
+    }
+};
+
+module.exports = { CANONICAL_SCHEMA };
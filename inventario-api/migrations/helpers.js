@@ -0,0 +1,37 @@
+// Idempotent building blocks for migration files. MySQL commits DDL immediately, so a migration
+// that fails halfway is re-run from the start: every step has to tolerate having already happened.
+
+const columnExists = async (connection, table, column) => {
+    const [rows] = await connection.query(
+        'SELECT 1 FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?',
+        [table, column]
+    );
+    return rows.length > 0;
+};
+
+const tableExists = async (connection, table) => {
+    const [rows] = await connection.query(
+        'SELECT 1 FROM information_schema.TABLES WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?',
+        [table]
+    );
+    return rows.length > 0;
+};
+
+const addColumnIfMissing = async (connection, table, column, definition) => {
+    if (!(await columnExists(connection, table, column))) {
+        await connection.query(`ALTER TABLE ?? ADD COLUMN ?? ${definition}`, [table, column]);
+    }
+};
+
+const dropColumnIfExists = async (connection, table, column) => {
+    if (await columnExists(connection, table, column)) {
+        await connection.query('ALTER TABLE ?? DROP COLUMN ??', [table, column]);
+    }
+};
+
+module.exports = {
+    columnExists,
+    tableExists,
+    addColumnIfMissing,
+    dropColumnIfExists
+};
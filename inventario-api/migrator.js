@@ -0,0 +1,322 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const db = require('./db');
+const { addColumnIfMissing } = require('./migrations/helpers');
+const { CANONICAL_SCHEMA } = require('./migrations/canonicalSchema');
+
+/**
+ * Versioned migrations: one file per version in migrations/, named NNNN_description.js and exporting
+ *   { up, down, seed? }
+ * where `up`/`down` are SQL (multiple statements allowed) or async (connection) => {}. `down: null`
+ * marks a migration that cannot be rolled back. `seed: true` marks migrations that only insert
+ * default data; clearing the database forgets them so they run again.
+ *
+ * Applied versions are recorded in the `migrations` table with the checksum of their file. Editing
+ * an applied file, or a database that has versions this code does not know, stops the run.
+ */
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d{4})_([a-z0-9_]+)\.js$/;
+const LOCK_TIMEOUT_SECONDS = parseInt(process.env.MIGRATION_LOCK_TIMEOUT_SECONDS || '60');
+
+const checksumOf = (source) => crypto.createHash('sha256').update(source.replace(/\r\n/g, '\n')).digest('hex');
+
+const loadMigrations = () => {
+    const migrations = fs.readdirSync(MIGRATIONS_DIR)
+        .map(file => ({ file, match: file.match(MIGRATION_FILE) }))
+        .filter(({ match }) => match)
+        .map(({ file, match }) => {
+            const fullPath = path.join(MIGRATIONS_DIR, file);
+            const definition = require(fullPath);
+            if (!definition.up || definition.down === undefined) {
+                throw new Error(`Migration ${file} must export "up" and "down" (null when it cannot be rolled back).`);
+            }
+            return {
+                id: Number(match[1]),
+                name: match[2],
+                file,
+                checksum: checksumOf(fs.readFileSync(fullPath, 'utf8')),
+                up: definition.up,
+                down: definition.down,
+                seed: definition.seed === true
+            };
+        })
+        .sort((a, b) => a.id - b.id);
+    migrations.forEach((migration, index) => {
+        if (index > 0 && migrations[index - 1].id === migration.id) {
+            throw new Error(`Two migration files share version ${migration.id}: ${migrations[index - 1].file} and ${migration.file}.`);
+        }
+    });
+    return migrations;
+};
+
+const MIGRATIONS = loadMigrations();
+
+// Migrations that only seed data (default admin, default settings, import profiles)
+const SEED_MIGRATION_IDS = MIGRATIONS.filter(migration => migration.seed).map(migration => migration.id);
+
+const runStep = async (connection, step) => {
+    if (typeof step === 'function') {
+        await step(connection);
+    } else {
+        await connection.query(step);
+    }
+};
+
+// Older installs have a migrations table with only the id column
+const ensureMigrationsTable = async (connection) => {
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS migrations (
+            id INT PRIMARY KEY,
+            name VARCHAR(255) NULL,
+            checksum CHAR(64) NULL,
+            applied_at DATETIME NULL,
+            execution_ms INT NULL
+        );`);
+    await addColumnIfMissing(connection, 'migrations', 'name', 'VARCHAR(255) NULL');
+    await addColumnIfMissing(connection, 'migrations', 'checksum', 'CHAR(64) NULL');
+    await addColumnIfMissing(connection, 'migrations', 'applied_at', 'DATETIME NULL');
+    await addColumnIfMissing(connection, 'migrations', 'execution_ms', 'INT NULL');
+};
+
+/**
+ * Runs `fn` on a dedicated connection holding a named database lock, so two API instances (or the
+ * API and the CLI) never migrate the same database at the same time.
+ */
+const withMigrationLock = async (fn) => {
+    const connection = await db.promise().getConnection();
+    try {
+        const [[{ database }]] = await connection.query('SELECT DATABASE() AS `database`');
+        const lockName = `${database}.migrations`;
+        const [[{ acquired }]] = await connection.query('SELECT GET_LOCK(?, ?) AS acquired', [lockName, LOCK_TIMEOUT_SECONDS]);
+        if (acquired !== 1) {
+            throw new Error(`Another process is running migrations on "${database}" (waited ${LOCK_TIMEOUT_SECONDS}s for the lock).`);
+        }
+        try {
+            await ensureMigrationsTable(connection);
+            return await fn(connection);
+        } finally {
+            await connection.query('SELECT RELEASE_LOCK(?)', [lockName]);
+        }
+    } finally {
+        connection.release();
+    }
+};
+
+/**
+ * Every known and applied version with its state:
+ *  - applied: recorded and the file is unchanged
+ *  - pending: not recorded yet
+ *  - changed: the file was edited after it was applied
+ *  - missing: recorded in the database but there is no file for it (database newer than the code)
+ * Versions applied before checksums were recorded are adopted with the current file's checksum.
+ */
+const readStatus = async (connection) => {
+    const [rows] = await connection.query('SELECT id, name, checksum, applied_at AS appliedAt, execution_ms AS executionMs FROM migrations ORDER BY id');
+    const applied = new Map(rows.map(row => [row.id, row]));
+
+    for (const migration of MIGRATIONS) {
+        const row = applied.get(migration.id);
+        if (row && row.checksum === null) {
+            await connection.query('UPDATE migrations SET name = ?, checksum = ? WHERE id = ? AND checksum IS NULL', [migration.name, migration.checksum, migration.id]);
+            row.name = migration.name;
+            row.checksum = migration.checksum;
+        }
+    }
+
+    const known = MIGRATIONS.map(migration => {
+        const row = applied.get(migration.id);
+        return {
+            id: migration.id,
+            name: migration.name,
+            state: !row ? 'pending' : row.checksum === migration.checksum ? 'applied' : 'changed',
+            appliedAt: row ? row.appliedAt : null,
+            executionMs: row ? row.executionMs : null,
+            reversible: migration.down !== null
+        };
+    });
+    const missing = rows
+        .filter(row => !MIGRATIONS.some(migration => migration.id === row.id))
+        .map(row => ({ id: row.id, name: row.name, state: 'missing', appliedAt: row.appliedAt, executionMs: row.executionMs, reversible: false }));
+    return [...known, ...missing].sort((a, b) => a.id - b.id);
+};
+
+const assertConsistent = (status) => {
+    const problems = status.filter(item => item.state === 'changed' || item.state === 'missing');
+    if (problems.length > 0) {
+        throw new Error(`Migration history does not match migrations/: ${problems.map(item => item.state === 'changed'
+            ? `${item.id} (${item.name}) was edited after being applied`
+            : `${item.id} was applied but has no file`).join('; ')}. Restore the original files or deploy the matching version.`);
+    }
+};
+
+const getStatus = () => withMigrationLock(readStatus);
+
+/**
+ * Applies every pending migration in version order and returns the ones applied. Stops at the first
+ * failure (the failed version stays pending) and throws.
+ */
+const migrateUp = ({ log = console.log } = {}) => withMigrationLock(async (connection) => {
+    const status = await readStatus(connection);
+    assertConsistent(status);
+    const pending = MIGRATIONS.filter(migration => status.some(item => item.id === migration.id && item.state === 'pending'));
+    const applied = [];
+    for (const migration of pending) {
+        log(`Applying migration ${migration.file}...`);
+        const startedAt = Date.now();
+        try {
+            await runStep(connection, migration.up);
+        } catch (error) {
+            throw new Error(`Migration ${migration.file} failed: ${error.message}`);
+        }
+        await connection.query(
+            'INSERT INTO migrations (id, name, checksum, applied_at, execution_ms) VALUES (?, ?, ?, NOW(), ?)',
+            [migration.id, migration.name, migration.checksum, Date.now() - startedAt]
+        );
+        applied.push({ id: migration.id, name: migration.name });
+    }
+    return applied;
+});
+
+// Rolls back the last `steps` applied migrations, newest first
+const migrateDown = ({ steps = 1, log = console.log } = {}) => withMigrationLock(async (connection) => {
+    const status = await readStatus(connection);
+    assertConsistent(status);
+    const targets = status.filter(item => item.state === 'applied').reverse().slice(0, steps);
+    const irreversible = targets.find(item => !item.reversible);
+    if (irreversible) {
+        throw new Error(`Migration ${irreversible.id} (${irreversible.name}) cannot be rolled back; nothing was changed.`);
+    }
+    const reverted = [];
+    for (const target of targets) {
+        const migration = MIGRATIONS.find(item => item.id === target.id);
+        log(`Reverting migration ${migration.file}...`);
+        try {
+            await runStep(connection, migration.down);
+        } catch (error) {
+            throw new Error(`Rollback of ${migration.file} failed: ${error.message}`);
+        }
+        await connection.query('DELETE FROM migrations WHERE id = ?', [migration.id]);
+        reverted.push({ id: migration.id, name: migration.name });
+    }
+    return reverted;
+});
+
+// ---------------------------------------------------------------
+// Schema verification
+// ---------------------------------------------------------------
+
+const INT_WIDTH = /^(tinyint|smallint|mediumint|int|bigint)\(\d+\)/;
+const TEXT_SIZES = ['tinytext', 'text', 'mediumtext', 'longtext'];
+
+// "VARCHAR(50) NOT NULL DEFAULT 'x'" -> { type: "varchar(50)", nullable: false, default: "x" }
+const parseDefinition = (definition) => {
+    const typeMatch = definition.match(/^(\w+(?:\([^)]*\))?)/);
+    let type = typeMatch[1].replace(/^\w+/, keyword => keyword.toLowerCase()).replace(/',\s+'/g, "','");
+    if (type === 'boolean') type = 'tinyint(1)';
+    const defaultMatch = definition.match(/\bDEFAULT\s+('(?:[^']|'')*'|\S+)/i);
+    let defaultValue = defaultMatch ? defaultMatch[1] : null;
+    if (defaultValue !== null) {
+        if (/^'.*'$/.test(defaultValue)) defaultValue = defaultValue.slice(1, -1).replace(/''/g, "'");
+        else if (/^false$/i.test(defaultValue)) defaultValue = '0';
+        else if (/^true$/i.test(defaultValue)) defaultValue = '1';
+        else if (/^null$/i.test(defaultValue)) defaultValue = null;
+    }
+    return {
+        type,
+        nullable: !/\bNOT NULL\b|\bPRIMARY KEY\b/i.test(definition),
+        default: normalizeDefault(defaultValue)
+    };
+};
+
+// MariaDB reports int(11) and quoted defaults ('x', current_timestamp()); MySQL 8 reports int and x, CURRENT_TIMESTAMP
+const normalizeType = (type) => {
+    const lower = type.replace(/^\w+/, keyword => keyword.toLowerCase());
+    return lower === 'tinyint(1)' ? lower : lower.replace(INT_WIDTH, '$1');
+};
+
+const normalizeDefault = (value) => {
+    if (value === null || value === undefined || value === 'NULL') return null;
+    const text = String(value);
+    if (/^current_timestamp(\(\))?$/i.test(text)) return 'CURRENT_TIMESTAMP';
+    return /^'.*'$/.test(text) ? text.slice(1, -1).replace(/''/g, "'") : text;
+};
+
+/**
+ * Compares the live database with migrations/canonicalSchema.js.
+ * `errors`: missing tables/columns and columns whose type, nullability or default differ.
+ * `warnings`: tables and columns the code does not know, and text columns wider than expected.
+ */
+const compareSchema = async (connection) => {
+    const [columns] = await connection.query(
+        `SELECT TABLE_NAME AS tableName, COLUMN_NAME AS columnName, COLUMN_TYPE AS columnType, IS_NULLABLE AS isNullable, COLUMN_DEFAULT AS columnDefault
+         FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() ORDER BY TABLE_NAME, ORDINAL_POSITION`
+    );
+    const live = new Map();
+    columns.forEach(column => {
+        if (!live.has(column.tableName)) live.set(column.tableName, new Map());
+        live.get(column.tableName).set(column.columnName, column);
+    });
+
+    const errors = [];
+    const warnings = [];
+    for (const [table, expectedColumns] of Object.entries(CANONICAL_SCHEMA)) {
+        const liveColumns = live.get(table);
+        if (!liveColumns) {
+            errors.push(`Table ${table} is missing.`);
+            continue;
+        }
+        for (const [column, definition] of Object.entries(expectedColumns)) {
+            const actual = liveColumns.get(column);
+            if (!actual) {
+                errors.push(`Column ${table}.${column} is missing (expected ${definition}).`);
+                continue;
+            }
+            const expected = parseDefinition(definition);
+            const actualType = normalizeType(actual.columnType);
+            if (actualType !== expected.type) {
+                const wider = TEXT_SIZES.includes(expected.type) && TEXT_SIZES.indexOf(actualType) > TEXT_SIZES.indexOf(expected.type);
+                (wider ? warnings : errors).push(`Column ${table}.${column} is ${actualType}, expected ${expected.type}.`);
+            }
+            const actualNullable = actual.isNullable === 'YES';
+            if (actualNullable !== expected.nullable) {
+                errors.push(`Column ${table}.${column} is ${actualNullable ? 'NULL' : 'NOT NULL'}, expected ${expected.nullable ? 'NULL' : 'NOT NULL'}.`);
+            }
+            const actualDefault = normalizeDefault(actual.columnDefault);
+            if (actualDefault !== expected.default) {
+                errors.push(`Column ${table}.${column} defaults to ${actualDefault === null ? 'nothing' : actualDefault}, expected ${expected.default === null ? 'no default' : expected.default}.`);
+            }
+        }
+        for (const column of liveColumns.keys()) {
+            if (!expectedColumns[column]) warnings.push(`Column ${table}.${column} is not part of the canonical schema.`);
+        }
+    }
+    for (const table of live.keys()) {
+        if (table !== 'migrations' && !CANONICAL_SCHEMA[table]) warnings.push(`Table ${table} is not part of the canonical schema.`);
+    }
+    return { errors, warnings };
+};
+
+// Migration history plus the live schema compared with the canonical one
+const verify = () => withMigrationLock(async (connection) => {
+    const status = await readStatus(connection);
+    const schema = await compareSchema(connection);
+    const history = status.filter(item => item.state !== 'applied').map(item => {
+        if (item.state === 'pending') return `Migration ${item.id} (${item.name}) has not been applied.`;
+        if (item.state === 'changed') return `Migration ${item.id} (${item.name}) was edited after being applied.`;
+        return `Migration ${item.id} was applied but has no file.`;
+    });
+    return {
+        ok: history.length === 0 && schema.errors.length === 0,
+        errors: [...history, ...schema.errors],
+        warnings: schema.warnings
+    };
+});
+
+module.exports = {
+    SEED_MIGRATION_IDS,
+    getStatus,
+    migrateUp,
+    migrateDown,
+    verify
+};
@@ -0,0 +1,98 @@
+/*
+ * Stand-in for the Ollama chat API, for development and testing without a model.
+ *
+ *   node ollamaStub.js            (listens on OLLAMA_STUB_PORT, default 11435)
+ *   OLLAMA_URL=http://127.0.0.1:11435 npm start
+ *
+ * It answers /api/chat with a query spec built from simple keyword rules: known values listed in
+ * the system prompt become filters, "quantos" asks for a count, "por <campo>" groups, and
+ * questions starting with "e"/"agora"/"desses" refine the previous spec.
+ */
+const http = require('http');
+
+const PORT = process.env.OLLAMA_STUB_PORT || 11435;
+
+const GROUP_WORDS = {
+    setor: 'setor', local: 'local', marca: 'brand', status: 'status', tipo: 'tipo',
+    produto: 'produto', modelo: 'model', usuario: 'usuarioAtual', usuário: 'usuarioAtual'
+};
+const FOLLOW_UP = /^(e |agora|desses|dessas|destes|destas|só |somente )/i;
+
+const normalize = (text) => String(text).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+const knownValuesFrom = (systemPrompt) => {
+    const line = systemPrompt.split('\n').find(text => text.startsWith('Valores conhecidos: '));
+    try {
+        return line ? JSON.parse(line.slice('Valores conhecidos: '.length)) : {};
+    } catch (e) {
+        return {};
+    }
+};
+
+const buildSpec = (question, samples, previous) => {
+    const text = normalize(question);
+    const followUp = previous && FOLLOW_UP.test(question.trim());
+    const entity = /licen/.test(text) ? 'licenses' : (followUp ? previous.entity : 'equipment');
+
+    const filters = followUp && previous.entity === entity ? [...(previous.filters || [])] : [];
+    for (const [field, values] of Object.entries(samples[entity] || {})) {
+        const match = values.find(value => String(value).length > 1
+            && new RegExp(`(^|\\W)${normalize(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}($|\\W)`).test(text));
+        if (!match) continue;
+        const existing = filters.findIndex(filter => filter.field === field);
+        if (existing >= 0) filters.splice(existing, 1);
+        filters.push({ field, op: 'eq', value: match });
+    }
+
+    const groupWord = (text.match(/\bpor (\w+)/) || [])[1];
+    const groupBy = groupWord && GROUP_WORDS[groupWord];
+    const spec = { entity, filters };
+    if (groupBy && !(entity === 'licenses' && groupBy === 'usuarioAtual')) {
+        Object.assign(spec, { result: 'group', groupBy });
+    } else if (/quant|total|numero de/.test(text)) {
+        spec.result = 'count';
+    } else {
+        spec.result = followUp && previous.result !== 'group' ? previous.result : 'rows';
+    }
+    spec.explanation = `Stub: ${spec.result} de ${entity} com ${filters.length} filtro(s).`;
+    return spec;
+};
+
+const server = http.createServer((req, res) => {
+    if (req.method !== 'POST' || req.url !== '/api/chat') {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ error: 'not found' }));
+    }
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        try {
+            const { model, messages = [] } = JSON.parse(body || '{}');
+            const system = messages.find(message => message.role === 'system');
+            const users = messages.filter(message => message.role === 'user');
+            const lastAssistant = [...messages].reverse().find(message => message.role === 'assistant');
+            let previous = null;
+            try {
+                previous = lastAssistant ? JSON.parse(lastAssistant.content) : null;
+            } catch (e) {
+                previous = null;
+            }
+            const question = users.length > 0 ? users[users.length - 1].content : '';
+            const spec = buildSpec(question, knownValuesFrom(system ? system.content : ''), previous);
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+                model: model || 'stub',
+                created_at: new Date().toISOString(),
+                message: { role: 'assistant', content: JSON.stringify(spec) },
+                done: true
+            }));
+        } catch (error) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: error.message }));
+        }
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`Ollama stub listening on http://127.0.0.1:${PORT}`);
+});
@@ -0,0 +1,199 @@
+const db = require('./db');
+const { logAudit } = require('./audit');
+const { SOURCES, TRACKED_FIELDS, recordChanges, recordCreation } = require('./history');
+
+// Fields maintained by hand in the inventory. The Absolute report only fills them when they are empty.
+const DEFAULT_PROTECTED_FIELDS = ['usuarioAtual', 'observacoes'];
+const PROTECTED_FIELDS_KEY = 'periodicUpdateProtectedFields';
+
+const toComparable = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+const getProtectedFields = async (executor = db.promise()) => {
+    const [rows] = await executor.query('SELECT config_value FROM app_config WHERE config_key = ?', [PROTECTED_FIELDS_KEY]);
+    if (rows.length === 0 || !rows[0].config_value) return DEFAULT_PROTECTED_FIELDS;
+    try {
+        const fields = JSON.parse(rows[0].config_value);
+        return Array.isArray(fields) ? fields.filter(field => TRACKED_FIELDS.includes(field)) : DEFAULT_PROTECTED_FIELDS;
+    } catch (e) {
+        return DEFAULT_PROTECTED_FIELDS;
+    }
+};
+
+const saveProtectedFields = async (fields, executor = db.promise()) => {
+    const valid = fields.filter(field => TRACKED_FIELDS.includes(field));
+    await executor.query(
+        'INSERT INTO app_config (config_key, config_value) VALUES (?, ?) ON DUPLICATE KEY UPDATE config_value = VALUES(config_value)',
+        [PROTECTED_FIELDS_KEY, JSON.stringify(valid)]
+    );
+    return valid;
+};
+
+/**
+ * Compares the report rows (already validated, keyed by serial) with the inventory.
+ * Returns:
+ *  - newAssets: [{ serial, record }] serials that are not in the inventory
+ *  - changed: [{ serial, equipmentId, equipamento, fields: [{ field, from, to, protected }] }]
+ *    `protected` fields are reported but never applied
+ *  - missing: approved assets in the inventory whose serial is not in the report
+ *  - unchanged: number of report rows that match the inventory
+ */
+const buildPreview = async (rows, executor = db.promise()) => {
+    const protectedFields = await getProtectedFields(executor);
+    // Photos are not part of the report: leave the blobs out of the comparison query
+    const [inventory] = await executor.query(`SELECT id, ${TRACKED_FIELDS.join(', ')} FROM equipment`);
+    const bySerial = new Map(inventory.filter(item => item.serial).map(item => [String(item.serial).trim(), item]));
+
+    const newAssets = [];
+    const changed = [];
+    const reportSerials = new Set();
+    let unchanged = 0;
+
+    for (const row of rows) {
+        if (!row.serial) continue;
+        const serial = String(row.serial).trim();
+        if (reportSerials.has(serial)) continue; // the first occurrence of a serial wins
+        reportSerials.add(serial);
+
+        const current = bySerial.get(serial);
+        if (!current) {
+            newAssets.push({ serial, record: row });
+            continue;
+        }
+
+        const fields = [];
+        for (const field of Object.keys(row)) {
+            if (field === 'serial' || !TRACKED_FIELDS.includes(field)) continue;
+            const to = toComparable(row[field]);
+            const from = toComparable(current[field]);
+            // Empty report cells never clear inventory data
+            if (to === '' || to === from) continue;
+            fields.push({
+                field,
+                from: from === '' ? null : from,
+                to,
+                protected: protectedFields.includes(field) && from !== ''
+            });
+        }
+
+        if (fields.length > 0) {
+            changed.push({ serial, equipmentId: current.id, equipamento: current.equipamento, fields });
+        } else {
+            unchanged++;
+        }
+    }
+
+    const missing = inventory
+        .filter(item => item.serial && item.approval_status === 'approved' && !reportSerials.has(String(item.serial).trim()))
+        .map(item => ({ id: item.id, serial: item.serial, equipamento: item.equipamento, usuarioAtual: item.usuarioAtual, status: item.status }));
+
+    return { protectedFields, newAssets, changed, missing, unchanged, totalRows: rows.length };
+};
+
+/**
+ * Applies the reviewed part of a preview inside one transaction and stores the run summary.
+ * `selection.create` lists the serials of new assets to insert and `selection.update` maps a serial
+ * to the fields to update. The preview is recomputed here, so anything that changed in the inventory
+ * since the reviewer looked at it is compared against the current data, and protected fields are
+ * skipped regardless of the selection.
+ */
+const commitPeriodicUpdate = async (rows, selection, { username, fileName }) => {
+    const connection = await db.promise().getConnection();
+    try {
+        await connection.beginTransaction();
+        const preview = await buildPreview(rows, connection);
+        const createSerials = new Set((selection.create || []).map(String));
+        const updateSelection = selection.update || {};
+
+        let created = 0;
+        let updated = 0;
+        let fieldsUpdated = 0;
+        let rejectedFields = 0;
+        let protectedSkipped = 0;
+
+        for (const asset of preview.newAssets) {
+            if (!createSerials.has(asset.serial)) continue;
+            const record = { ...asset.record, approval_status: 'approved' };
+            if (!record.equipamento) record.equipamento = asset.serial;
+            const columns = Object.keys(record);
+            const [result] = await connection.query(
+                `INSERT INTO equipment (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+                Object.values(record)
+            );
+            await recordCreation(result.insertId, username, SOURCES.PERIODIC_UPDATE, record, connection);
+            created++;
+        }
+
+        for (const item of preview.changed) {
+            const acceptedFields = new Set(updateSelection[item.serial] || []);
+            const changes = [];
+            for (const change of item.fields) {
+                if (change.protected) {
+                    protectedSkipped++;
+                } else if (acceptedFields.has(change.field)) {
+                    changes.push(change);
+                } else {
+                    rejectedFields++;
+                }
+            }
+            if (changes.length === 0) continue;
+
+            await connection.query(
+                `UPDATE equipment SET ${changes.map(change => `${change.field} = ?`).join(', ')} WHERE id = ?`,
+                [...changes.map(change => change.to), item.equipmentId]
+            );
+            await recordChanges(item.equipmentId, username, 'UPDATE (AUTO)', SOURCES.PERIODIC_UPDATE, changes, connection);
+            updated++;
+            fieldsUpdated += changes.length;
+        }
+
+        const summary = {
+            totalRows: preview.totalRows,
+            created,
+            newRejected: preview.newAssets.length - created,
+            updated,
+            fieldsUpdated,
+            rejectedFields,
+            protectedSkipped,
+            unchanged: preview.unchanged,
+            missing: preview.missing.length,
+            missingSerials: preview.missing.map(item => item.serial)
+        };
+
+        const [runResult] = await connection.query(
+            'INSERT INTO import_runs (run_type, run_at, username, file_name, summary) VALUES (?, NOW(), ?, ?, ?)',
+            ['periodic_update', username, fileName || null, JSON.stringify(summary)]
+        );
+        const [[{ runAt }]] = await connection.query('SELECT run_at AS runAt FROM import_runs WHERE id = ?', [runResult.insertId]);
+        await connection.query(
+            'INSERT INTO app_config (config_key, config_value) VALUES (?, ?) ON DUPLICATE KEY UPDATE config_value = VALUES(config_value)',
+            ['lastAbsoluteUpdateTimestamp', new Date(runAt).toISOString()]
+        );
+        await logAudit(username, 'UPDATE', 'EQUIPMENT', runResult.insertId,
+            `Periodic update run #${runResult.insertId}: ${created} created, ${updated} updated (${fieldsUpdated} fields), ${rejectedFields} fields rejected, ${protectedSkipped} protected`, connection);
+
+        await connection.commit();
+        return { id: runResult.insertId, runAt, ...summary };
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+};
+
+const getRuns = async (runType, limit = 50) => {
+    const [rows] = await db.promise().query(
+        'SELECT id, run_type, run_at, username, file_name, summary FROM import_runs WHERE run_type = ? ORDER BY run_at DESC, id DESC LIMIT ?',
+        [runType, limit]
+    );
+    return rows.map(row => ({ ...row, summary: typeof row.summary === 'string' ? JSON.parse(row.summary) : row.summary }));
+};
+
+module.exports = {
+    DEFAULT_PROTECTED_FIELDS,
+    getProtectedFields,
+    saveProtectedFields,
+    buildPreview,
+    commitPeriodicUpdate,
+    getRuns
+};
@@ -0,0 +1,145 @@
+const db = require('./db');
+const { logAudit } = require('./audit');
+
+const NAME_MAX_LENGTH = 255;
+
+const auditError = (status, message) => Object.assign(new Error(message), { status });
+
+/*
+ * Physical audit sessions: assets are "scanned" (their label opened on a phone) during an
+ * inventory round, and the report compares the scans with the assets expected in scope.
+ * The scope is every approved asset that is not discarded, optionally limited to one local.
+ */
+const SCOPE_CONDITION = `e.approval_status = 'approved' AND (e.status IS NULL OR e.status NOT LIKE 'DESCART%')`;
+
+const scopeFor = (audit) => audit.local
+    ? { sql: `${SCOPE_CONDITION} AND e.local = ?`, params: [audit.local] }
+    : { sql: SCOPE_CONDITION, params: [] };
+
+const validateAuditInput = (input = {}) => {
+    const errors = {};
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    const local = typeof input.local === 'string' && input.local.trim() ? input.local.trim() : null;
+    if (!name) errors.name = 'Informe um nome para a auditoria.';
+    else if (name.length > NAME_MAX_LENGTH) errors.name = `Máximo de ${NAME_MAX_LENGTH} caracteres.`;
+    if (local && local.length > NAME_MAX_LENGTH) errors.local = `Máximo de ${NAME_MAX_LENGTH} caracteres.`;
+    return Object.keys(errors).length > 0 ? { errors } : { value: { name, local } };
+};
+
+const getAudit = async (auditId) => {
+    const [rows] = await db.promise().query('SELECT * FROM physical_audits WHERE id = ?', [auditId]);
+    if (rows.length === 0) {
+        throw auditError(404, 'Auditoria física não encontrada.');
+    }
+    return rows[0];
+};
+
+const countExpected = async (audit) => {
+    const scope = scopeFor(audit);
+    const [[{ total }]] = await db.promise().query(`SELECT COUNT(*) AS total FROM equipment e WHERE ${scope.sql}`, scope.params);
+    return total;
+};
+
+// Sessions newest first, with how many assets were scanned in each
+const listAudits = async () => {
+    const [rows] = await db.promise().query(`
+        SELECT a.*, COUNT(s.id) AS scannedCount
+        FROM physical_audits a
+        LEFT JOIN physical_audit_scans s ON s.audit_id = a.id
+        GROUP BY a.id
+        ORDER BY a.started_at DESC, a.id DESC
+    `);
+    return rows;
+};
+
+const startAudit = async ({ name, local }, username) => {
+    const [result] = await db.promise().query(
+        'INSERT INTO physical_audits (name, local, started_by, started_at) VALUES (?, ?, ?, NOW())',
+        [name, local, username]
+    );
+    await logAudit(username, 'CREATE', 'PHYSICAL_AUDIT', result.insertId, `Started physical audit "${name}"${local ? ` at ${local}` : ''}`);
+    return getAudit(result.insertId);
+};
+
+/**
+ * Records that an asset was found. Scanning the same asset twice keeps the first scan.
+ * Assets outside the scope are still recorded and reported as unexpected.
+ */
+const recordScan = async (auditId, equipmentId, username) => {
+    const audit = await getAudit(auditId);
+    if (audit.finished_at) {
+        throw auditError(409, 'Esta auditoria física já foi encerrada.');
+    }
+    const scope = scopeFor(audit);
+    const [rows] = await db.promise().query(
+        `SELECT e.id, e.equipamento, e.patrimonio, e.serial, e.local, (${scope.sql}) AS inScope FROM equipment e WHERE e.id = ?`,
+        [...scope.params, equipmentId]
+    );
+    if (rows.length === 0) {
+        throw auditError(404, 'Equipamento não encontrado.');
+    }
+    const [result] = await db.promise().query(
+        'INSERT IGNORE INTO physical_audit_scans (audit_id, equipment_id, scanned_by, scanned_at) VALUES (?, ?, ?, NOW())',
+        [auditId, equipmentId, username]
+    );
+    const [[{ scannedCount }]] = await db.promise().query('SELECT COUNT(*) AS scannedCount FROM physical_audit_scans WHERE audit_id = ?', [auditId]);
+    const { inScope, ...equipment } = rows[0];
+    return {
+        audit,
+        equipment,
+        inScope: !!inScope,
+        alreadyScanned: result.affectedRows === 0,
+        scannedCount,
+        expectedCount: await countExpected(audit)
+    };
+};
+
+/**
+ * Scanned assets (flagging the ones outside the scope) and the in-scope assets nobody scanned.
+ */
+const getAuditReport = async (auditId) => {
+    const audit = await getAudit(auditId);
+    const scope = scopeFor(audit);
+    const [scanned] = await db.promise().query(`
+        SELECT s.equipment_id, s.scanned_by, s.scanned_at, e.equipamento, e.patrimonio, e.serial, e.local, e.usuarioAtual, e.status,
+               (${scope.sql}) AS inScope
+        FROM physical_audit_scans s
+        JOIN equipment e ON e.id = s.equipment_id
+        WHERE s.audit_id = ?
+        ORDER BY s.scanned_at DESC
+    `, [...scope.params, auditId]);
+    const [missing] = await db.promise().query(`
+        SELECT e.id, e.equipamento, e.patrimonio, e.serial, e.local, e.setor, e.usuarioAtual, e.status
+        FROM equipment e
+        WHERE ${scope.sql}
+          AND NOT EXISTS (SELECT 1 FROM physical_audit_scans s WHERE s.audit_id = ? AND s.equipment_id = e.id)
+        ORDER BY e.local, e.equipamento
+    `, [...scope.params, auditId]);
+    return {
+        audit,
+        expectedCount: await countExpected(audit),
+        scanned: scanned.map(row => ({ ...row, inScope: !!row.inScope })),
+        missing
+    };
+};
+
+const finishAudit = async (auditId, username) => {
+    const audit = await getAudit(auditId);
+    if (audit.finished_at) {
+        throw auditError(409, 'Esta auditoria física já foi encerrada.');
+    }
+    await db.promise().query('UPDATE physical_audits SET finished_at = NOW(), finished_by = ? WHERE id = ?', [username, auditId]);
+    const report = await getAuditReport(auditId);
+    await logAudit(username, 'UPDATE', 'PHYSICAL_AUDIT', auditId,
+        `Finished physical audit "${audit.name}": ${report.scanned.length} scanned, ${report.missing.length} not found`);
+    return report;
+};
+
+module.exports = {
+    validateAuditInput,
+    listAudits,
+    startAudit,
+    recordScan,
+    getAuditReport,
+    finishAudit
+};
@@ -0,0 +1,480 @@
+const express = require('express');
+const db = require('./db');
+const { logAudit } = require('./audit');
+const { EQUIPMENT_SCHEMA, LICENSE_SCHEMA, validateRecord, formatDateFields } = require('./validation');
+const { SOURCES, diffRecords, recordChanges, recordCreation, getFieldHistory } = require('./history');
+const { LIST_SPECS, parseListQuery, runListQuery } = require('./listQuery');
+const { SCOPES, apiKeyActor, authenticateApiKey, requireScope } = require('./apiKeys');
+const { WEBHOOK_EVENTS, emitEquipmentEvent } = require('./webhooks');
+
+/*
+ * Versioned REST API for other tools (helpdesk, HR system), mounted on /api/v1 and authenticated
+ * with API keys (apiKeys.js) instead of sessions. OPERATIONS is the single description of the
+ * surface: the router is built from it and so is the OpenAPI document served at /api/v1/openapi.json.
+ * Keys are issued by Admins, so records written here are published without going through approval,
+ * and they are recorded in the history and the audit log under the key's name.
+ */
+
+const API_VERSION = '1.0.0';
+const INVALID_FIELDS = 'Existem campos inválidos. Corrija-os e tente novamente.';
+
+// Records outside the list's baseWhere (awaiting approval, rejected) do not exist for the API
+const RESOURCES = {
+    equipment: {
+        table: 'equipment',
+        schema: EQUIPMENT_SCHEMA,
+        listSpec: LIST_SPECS.equipment,
+        schemaName: 'Equipment',
+        targetType: 'EQUIPMENT',
+        noun: 'equipment',
+        notFound: 'Equipamento não encontrado.',
+        label: (record) => record.equipamento,
+        history: true,
+        emit: (action, record, actor, extra) => emitEquipmentEvent(`equipment.${action}`, record, actor, extra)
+    },
+    licenses: {
+        table: 'licenses',
+        schema: LICENSE_SCHEMA,
+        listSpec: LIST_SPECS.licenses,
+        schemaName: 'License',
+        targetType: 'LICENSE',
+        noun: 'license',
+        notFound: 'Licença não encontrada.',
+        label: (record) => [record.produto, record.usuario].filter(Boolean).join(' - '),
+        history: false,
+        emit: null
+    }
+};
+
+const sendError = (res, error) => res.status(error.status || 500).json({ message: error.message });
+
+const toApiRecord = (resource, row) => formatDateFields(resource.schema, row);
+
+const findRecord = async (resource, id) => {
+    const [rows] = await db.promise().query(`SELECT * FROM ?? WHERE id = ? AND ${resource.listSpec.baseWhere}`, [resource.table, id]);
+    return rows[0] || null;
+};
+
+// ---------------------------------------------------------------
+// Handlers
+// ---------------------------------------------------------------
+
+// Always paged: `page` defaults to 1
+const listRecords = (resource) => async (req, res) => {
+    const parsed = parseListQuery({ ...req.query, page: req.query.page || '1' }, resource.listSpec);
+    if (parsed.errors) {
+        return res.status(400).json({ message: 'Parâmetros de consulta inválidos.', errors: parsed.errors });
+    }
+    try {
+        const page = await runListQuery(resource.listSpec, parsed);
+        res.json({ ...page, items: page.items.map(row => toApiRecord(resource, row)) });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+const getRecord = (resource) => async (req, res) => {
+    try {
+        const record = await findRecord(resource, req.params.id);
+        if (!record) {
+            return res.status(404).json({ message: resource.notFound });
+        }
+        res.json(toApiRecord(resource, record));
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+const createRecord = (resource) => async (req, res) => {
+    const { value, errors } = validateRecord(resource.schema, req.body);
+    if (errors) {
+        return res.status(400).json({ message: INVALID_FIELDS, errors });
+    }
+    const actor = apiKeyActor(req.apiKey);
+    try {
+        const [result] = await db.promise().query('INSERT INTO ?? SET ?', [resource.table, { ...value, approval_status: 'approved' }]);
+        const id = result.insertId;
+        if (resource.history) {
+            await recordCreation(id, actor, SOURCES.API, value);
+        }
+        await logAudit(actor, 'CREATE', resource.targetType, id, `Created ${resource.noun} via API: ${resource.label(value)}`);
+        const record = await findRecord(resource, id);
+        if (resource.emit) resource.emit('created', record, actor);
+        res.status(201).json(toApiRecord(resource, record));
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+// Partial update: only the fields sent are written
+const updateRecord = (resource) => async (req, res) => {
+    const { value, errors } = validateRecord(resource.schema, req.body, { partial: true });
+    if (errors) {
+        return res.status(400).json({ message: INVALID_FIELDS, errors });
+    }
+    if (Object.keys(value).length === 0) {
+        return res.status(400).json({ message: 'Nenhum campo para atualizar.' });
+    }
+    const actor = apiKeyActor(req.apiKey);
+    try {
+        const current = await findRecord(resource, req.params.id);
+        if (!current) {
+            return res.status(404).json({ message: resource.notFound });
+        }
+        await db.promise().query('UPDATE ?? SET ? WHERE id = ?', [resource.table, value, current.id]);
+        const changes = diffRecords(current, value);
+        if (resource.history) {
+            await recordChanges(current.id, actor, 'UPDATE', SOURCES.API, changes);
+        }
+        await logAudit(actor, 'UPDATE', resource.targetType, current.id,
+            `Updated ${resource.noun} via API: ${resource.label({ ...current, ...value })} (${Object.keys(value).join(', ')})`);
+        const record = await findRecord(resource, current.id);
+        if (resource.emit) resource.emit('updated', record, actor, { changed_fields: changes.map(change => change.field) });
+        res.json(toApiRecord(resource, record));
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+const deleteRecord = (resource) => async (req, res) => {
+    const actor = apiKeyActor(req.apiKey);
+    try {
+        const current = await findRecord(resource, req.params.id);
+        if (!current) {
+            return res.status(404).json({ message: resource.notFound });
+        }
+        await db.promise().query('DELETE FROM ?? WHERE id = ?', [resource.table, current.id]);
+        await logAudit(actor, 'DELETE', resource.targetType, current.id, `Deleted ${resource.noun} via API: ${resource.label(current)}`);
+        if (resource.emit) resource.emit('deleted', current, actor);
+        res.status(204).send();
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+const getEquipmentHistory = async (req, res) => {
+    try {
+        if (!await findRecord(RESOURCES.equipment, req.params.id)) {
+            return res.status(404).json({ message: RESOURCES.equipment.notFound });
+        }
+        res.json(await getFieldHistory(req.params.id));
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+// ---------------------------------------------------------------
+// Operations
+// ---------------------------------------------------------------
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const listParameters = (spec) => [
+    { name: 'page', in: 'query', schema: { type: 'integer', minimum: 1, default: 1 } },
+    { name: 'pageSize', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 500, default: 25 } },
+    { name: 'q', in: 'query', description: `Busca em ${spec.searchColumns.join(', ')}`, schema: { type: 'string' } },
+    ...Object.keys(spec.filters).map(name => ({ name, in: 'query', description: 'Valor exato', schema: { type: 'string' } })),
+    { name: 'sort', in: 'query', schema: { type: 'string', enum: spec.sortable, default: spec.defaultSort.column } },
+    { name: 'order', in: 'query', schema: { type: 'string', enum: ['asc', 'desc'] } }
+];
+
+// The CRUD operations of one resource, under /<key>
+const resourceOperations = (key, resource, { singular, plural }) => [
+    {
+        method: 'get', path: `/${key}`, scope: `${key}:read`, tag: plural,
+        summary: `Lista ${plural.toLowerCase()}`,
+        description: resource.listSpec.excludeColumns.length > 0 ? `Os itens da lista não trazem ${resource.listSpec.excludeColumns.join(' e ')}: use a consulta por id.` : undefined,
+        parameters: listParameters(resource.listSpec),
+        responses: { 200: ref(`${resource.schemaName}Page`) },
+        handler: listRecords(resource)
+    },
+    {
+        method: 'post', path: `/${key}`, scope: `${key}:write`, tag: plural,
+        summary: `Cadastra ${singular}`,
+        requestBody: ref(`${resource.schemaName}Input`),
+        responses: { 201: ref(resource.schemaName) },
+        handler: createRecord(resource)
+    },
+    {
+        method: 'get', path: `/${key}/{id}`, scope: `${key}:read`, tag: plural,
+        summary: `Consulta ${singular}`,
+        responses: { 200: ref(resource.schemaName) },
+        handler: getRecord(resource)
+    },
+    {
+        method: 'patch', path: `/${key}/{id}`, scope: `${key}:write`, tag: plural,
+        summary: `Altera ${singular} (somente os campos enviados)`,
+        requestBody: ref(`${resource.schemaName}Patch`),
+        responses: { 200: ref(resource.schemaName) },
+        handler: updateRecord(resource)
+    },
+    {
+        method: 'delete', path: `/${key}/{id}`, scope: `${key}:write`, tag: plural,
+        summary: `Exclui ${singular}`,
+        responses: { 204: null },
+        handler: deleteRecord(resource)
+    }
+];
+
+const OPERATIONS = [
+    ...resourceOperations('equipment', RESOURCES.equipment, { singular: 'um equipamento', plural: 'Equipamentos' }),
+    {
+        method: 'get', path: '/equipment/{id}/history', scope: 'history:read', tag: 'Equipamentos',
+        summary: 'Histórico de alterações do equipamento, campo a campo, do mais recente ao mais antigo',
+        responses: { 200: { type: 'array', items: ref('HistoryEntry') } },
+        handler: getEquipmentHistory
+    },
+    ...resourceOperations('licenses', RESOURCES.licenses, { singular: 'uma licença', plural: 'Licenças' })
+];
+
+// ---------------------------------------------------------------
+// OpenAPI document
+// ---------------------------------------------------------------
+
+const FIELD_TYPES = {
+    string: (rule) => ({ type: 'string', maxLength: rule.maxLength }),
+    text: () => ({ type: 'string' }),
+    email: (rule) => ({ type: 'string', format: 'email', maxLength: rule.maxLength }),
+    date: () => ({ type: 'string', format: 'date' }),
+    integer: () => ({ type: 'integer' }),
+    // Stored as DECIMAL(…,2) and returned as text; input also accepts numbers and "4.599,90"
+    decimal: (rule, input) => (input
+        ? { type: ['number', 'string'], minimum: rule.min, maximum: rule.max, examples: ['4599.90'] }
+        : { type: 'string', pattern: '^-?\\d+\\.\\d{2}$' }),
+    enum: (rule) => ({ type: 'string', enum: rule.values })
+};
+
+const withNull = (schema) => ({ ...schema, type: [...[].concat(schema.type), 'null'], ...(schema.enum ? { enum: [...schema.enum, null] } : {}) });
+
+// Record as returned by the API: every column may be null except the required ones
+const recordSchema = (schema) => ({
+    type: 'object',
+    properties: {
+        id: { type: 'integer', readOnly: true },
+        ...Object.fromEntries(Object.entries(schema).map(([field, rule]) => {
+            const fieldSchema = FIELD_TYPES[rule.type](rule, false);
+            return [field, rule.serverManaged ? { ...withNull(fieldSchema), readOnly: true } : (rule.required ? fieldSchema : withNull(fieldSchema))];
+        }))
+    },
+    required: ['id', ...Object.keys(schema).filter(field => schema[field].required)]
+});
+
+// Body of POST (partial = false) and PATCH: server-managed fields are ignored, unknown fields refused
+const inputSchema = (schema, { partial }) => ({
+    type: 'object',
+    additionalProperties: false,
+    properties: Object.fromEntries(Object.entries(schema)
+        .filter(([, rule]) => !rule.serverManaged)
+        .map(([field, rule]) => [field, rule.required ? FIELD_TYPES[rule.type](rule, true) : withNull(FIELD_TYPES[rule.type](rule, true))])),
+    ...(partial ? { minProperties: 1 } : { required: Object.keys(schema).filter(field => schema[field].required) })
+});
+
+const pageSchema = (name) => ({
+    type: 'object',
+    properties: {
+        items: { type: 'array', items: ref(name) },
+        total: { type: 'integer' },
+        page: { type: 'integer' },
+        pageSize: { type: 'integer' }
+    },
+    required: ['items', 'total', 'page', 'pageSize']
+});
+
+const COMMON_SCHEMAS = {
+    Error: {
+        type: 'object',
+        properties: {
+            message: { type: 'string' },
+            errors: { type: 'object', description: 'Campo -> mensagem, nas respostas 400 de validação', additionalProperties: { type: 'string' } }
+        },
+        required: ['message']
+    },
+    HistoryEntry: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            timestamp: { type: 'string', format: 'date-time' },
+            changedBy: { type: 'string', description: 'Usuário, ou "api:<nome da chave>" para alterações feitas pela API' },
+            approvedBy: { type: ['string', 'null'] },
+            changeType: { type: 'string' },
+            source: { type: 'string', enum: Object.values(SOURCES) },
+            field: { type: ['string', 'null'] },
+            from_value: { type: ['string', 'null'] },
+            to_value: { type: ['string', 'null'] }
+        }
+    },
+    WebhookEquipmentData: {
+        type: 'object',
+        properties: {
+            equipment: { ...ref('Equipment'), description: 'Sem foto e qrCode. Em equipment.deleted, o registro como estava antes da exclusão.' },
+            actor: { type: 'string', description: 'Usuário ou "api:<nome da chave>" que fez a alteração' },
+            changed_fields: { type: 'array', items: { type: 'string' }, description: 'Somente em equipment.updated, quando disponível' }
+        },
+        required: ['equipment', 'actor']
+    },
+    WebhookLicenseExpiringData: {
+        type: 'object',
+        properties: {
+            license: {
+                type: 'object',
+                properties: {
+                    id: { type: 'integer' },
+                    produto: { type: 'string' },
+                    chaveSerial: { type: 'string' },
+                    usuario: { type: 'string' },
+                    gestor: { type: ['string', 'null'] },
+                    dataExpiracao: { type: 'string', format: 'date' },
+                    daysLeft: { type: 'integer', description: 'Negativo quando a licença já venceu' },
+                    window: { type: 'integer', description: 'Janela de alerta (dias) configurada que a licença atingiu; 0 para vencidas' }
+                }
+            }
+        },
+        required: ['license']
+    },
+    WebhookApprovalData: {
+        type: 'object',
+        properties: {
+            kind: { type: 'string', enum: ['new_record', 'change_request'], description: 'Aprovação de um cadastro novo ou de uma solicitação de alteração/exclusão' },
+            item_type: { type: 'string', enum: ['equipment', 'license'] },
+            item_id: { type: 'integer' },
+            item_name: { type: ['string', 'null'] },
+            action: { type: 'string', enum: ['create', 'update', 'delete'] },
+            decision: { type: 'string', enum: ['approved', 'rejected'] },
+            reason: { type: ['string', 'null'], description: 'Motivo da rejeição' },
+            requested_by: { type: ['string', 'null'] },
+            decided_by: { type: 'string' },
+            change_request_id: { type: ['integer', 'null'] }
+        },
+        required: ['kind', 'item_type', 'item_id', 'decision', 'decided_by']
+    }
+};
+
+const WEBHOOK_DOCS = {
+    'equipment.created': { summary: 'Equipamento cadastrado (ou cadastro aprovado)', data: 'WebhookEquipmentData' },
+    'equipment.updated': { summary: 'Equipamento alterado, inclusive por entrega/devolução, restauração ou aprovação', data: 'WebhookEquipmentData' },
+    'equipment.deleted': { summary: 'Equipamento excluído', data: 'WebhookEquipmentData' },
+    'license.expiring': { summary: 'Licença atingiu uma janela de alerta de vencimento (ou venceu)', data: 'WebhookLicenseExpiringData' },
+    'approval.decided': { summary: 'Cadastro ou solicitação de alteração aprovado ou rejeitado', data: 'WebhookApprovalData' }
+};
+
+const WEBHOOK_DESCRIPTION = [
+    'Cada entrega é um POST JSON com os cabeçalhos X-Inventario-Event, X-Inventario-Delivery (id da entrega),',
+    'X-Inventario-Timestamp (segundos Unix) e X-Inventario-Signature: "sha256=" seguido do HMAC-SHA256 em hexadecimal',
+    'de "<timestamp>.<corpo>" com o segredo do webhook. Respostas fora de 2xx (ou sem resposta em 10 s) são',
+    'reenviadas após 1 min, 5 min, 30 min, 2 h e 12 h. O mesmo evento pode chegar mais de uma vez: use o "id" do corpo.'
+].join(' ');
+
+const buildWebhookDocs = () => Object.fromEntries(WEBHOOK_EVENTS.map(event => [event, {
+    post: {
+        summary: WEBHOOK_DOCS[event].summary,
+        description: WEBHOOK_DESCRIPTION,
+        requestBody: {
+            required: true,
+            content: {
+                'application/json': {
+                    schema: {
+                        type: 'object',
+                        properties: {
+                            id: { type: 'string', format: 'uuid', description: 'Identificador do evento, igual em todas as tentativas' },
+                            event: { type: 'string', const: event },
+                            created_at: { type: 'string', format: 'date-time' },
+                            data: ref(WEBHOOK_DOCS[event].data)
+                        },
+                        required: ['id', 'event', 'created_at', 'data']
+                    }
+                }
+            }
+        },
+        responses: { '2XX': { description: 'Evento recebido' } }
+    }
+}]));
+
+const ERROR_RESPONSES = {
+    BadRequest: 'Parâmetros ou campos inválidos',
+    Unauthorized: 'Chave de API ausente, inválida ou revogada',
+    Forbidden: 'A chave não tem a permissão exigida',
+    NotFound: 'Registro não encontrado'
+};
+
+const errorResponse = (name) => ({ $ref: `#/components/responses/${name}` });
+
+const toOpenApiOperation = (operation) => {
+    const pathParameters = [...operation.path.matchAll(/\{(\w+)\}/g)]
+        .map(([, name]) => ({ name, in: 'path', required: true, schema: { type: 'integer' } }));
+    const [status, schema] = Object.entries(operation.responses)[0];
+    return {
+        tags: [operation.tag],
+        summary: operation.summary,
+        ...(operation.description ? { description: operation.description } : {}),
+        security: [{ bearerAuth: [operation.scope] }, { apiKeyHeader: [operation.scope] }],
+        'x-required-scope': operation.scope,
+        parameters: [...pathParameters, ...(operation.parameters || [])],
+        ...(operation.requestBody ? { requestBody: { required: true, content: { 'application/json': { schema: operation.requestBody } } } } : {}),
+        responses: {
+            [status]: schema ? { description: 'Sucesso', content: { 'application/json': { schema } } } : { description: 'Sucesso, sem conteúdo' },
+            ...(operation.requestBody || operation.parameters ? { 400: errorResponse('BadRequest') } : {}),
+            401: errorResponse('Unauthorized'),
+            403: errorResponse('Forbidden'),
+            ...(pathParameters.length > 0 ? { 404: errorResponse('NotFound') } : {})
+        }
+    };
+};
+
+// The OpenAPI 3.1 document of /api/v1, derived from OPERATIONS, the validation schemas and WEBHOOK_EVENTS
+const buildOpenApiDocument = () => {
+    const paths = {};
+    for (const operation of OPERATIONS) {
+        paths[operation.path] = { ...paths[operation.path], [operation.method]: toOpenApiOperation(operation) };
+    }
+    const resourceSchemas = Object.fromEntries(Object.values(RESOURCES).flatMap(resource => [
+        [resource.schemaName, recordSchema(resource.schema)],
+        [`${resource.schemaName}Input`, inputSchema(resource.schema, { partial: false })],
+        [`${resource.schemaName}Patch`, inputSchema(resource.schema, { partial: true })],
+        [`${resource.schemaName}Page`, pageSchema(resource.schemaName)]
+    ]));
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'Inventário Pro API',
+            version: API_VERSION,
+            description: [
+                'API para integração de outros sistemas com o inventário.',
+                'Autentique com uma chave criada por um administrador em Configurações > API e Webhooks,',
+                'enviada como "Authorization: Bearer <chave>" ou "X-API-Key: <chave>".',
+                `Cada chave tem permissões (${SCOPES.join(', ')}) e cada chamada fica registrada na auditoria em nome da chave.`
+            ].join(' ')
+        },
+        servers: [{ url: '/api/v1' }],
+        tags: [{ name: 'Equipamentos' }, { name: 'Licenças' }],
+        paths,
+        webhooks: buildWebhookDocs(),
+        components: {
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer', description: 'Chave de API (inv_…)' },
+                apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+            },
+            schemas: { ...resourceSchemas, ...COMMON_SCHEMAS },
+            responses: Object.fromEntries(Object.entries(ERROR_RESPONSES).map(([name, description]) => [
+                name, { description, content: { 'application/json': { schema: ref('Error') } } }
+            ]))
+        }
+    };
+};
+
+// ---------------------------------------------------------------
+// Router
+// ---------------------------------------------------------------
+
+const router = express.Router();
+
+// The document itself is public: it describes the surface, not the data
+router.get('/openapi.json', (req, res) => res.json(buildOpenApiDocument()));
+
+router.use(authenticateApiKey);
+for (const operation of OPERATIONS) {
+    const expressPath = operation.path.replace(/\{(\w+)\}/g, ':$1(\\d+)');
+    router[operation.method](expressPath, requireScope(operation.scope), operation.handler);
+}
+router.use((req, res) => res.status(404).json({ message: 'Rota não encontrada na API v1.' }));
+
+module.exports = { router, buildOpenApiDocument };
@@ -1,11 +1,38 @@
 require('dotenv').config();
 const express = require('express');
-const mysql = require('mysql2');
 const cors = require('cors');
 const bcrypt = require('bcryptjs');
 const { authenticator } = require('otplib');
+const QRCode = require('qrcode');
 const fs = require('fs');
 const path = require('path');
+const db = require('./db');
+const { logAudit, startAuditSealer } = require('./audit');
+const { verifyAuditChain, getRetentionSettings, validateRetentionSettings, saveRetentionSettings, archiveOldEntries, listArchives, getArchiveFile, startAuditRetentionScheduler, parseExportQuery, writeAuditExport, validateClientErrors, recordClientErrors } = require('./auditTrail');
+const { ROLES, issueSessionToken, issueTwoFactorToken, issuePasswordChangeToken, authenticate, requireRole, requireSelfOrRole, guardUserAdministration } = require('./auth');
+const { EQUIPMENT_SCHEMA, LICENSE_SCHEMA, validateBody, validateRows } = require('./validation');
+const { SOURCES, diffRecords, recordChanges, recordCreation, getFieldHistory, getStateAt } = require('./history');
+const { getProtectedFields, saveProtectedFields, buildPreview, commitPeriodicUpdate, getRuns } = require('./periodicUpdate');
+const { getAlertSettings, validateAlertSettings, saveAlertSettings, buildComplianceReport, runLicenseAlerts, startLicenseAlertScheduler } = require('./licenseAlerts');
+const { BACKUP_DIR, createBackup, listBackups, getLatestBackup, verifyBackup, restoreBackup, deleteBackup, clearDatabase, getBackupSchedule, validateBackupSchedule, saveBackupSchedule, startBackupScheduler } = require('./backups');
+const { TEMPLATE_KEYS, getTemplate, validateTermoSettings, validateCheckOut, validateCheckIn, validateSend, checkOut, checkIn, listTermos, getTermo, signTermo, listPendingTermos, buildTermoPdf, sendTermo, sendLatestTermos } = require('./termos');
+const { BASE_URL_KEY, ensureQrCodes, renderLabelSheet } = require('./assetLabels');
+const { validateAuditInput, listAudits, startAudit, recordScan, getAuditReport, finishAudit } = require('./physicalAudits');
+const { OLLAMA_URL, LOCAL_MODEL, getQuerySchema, validateQuerySpec, validateQuestion, runQuerySpec, interpretQuestion } = require('./aiQuery');
+const { validateSsoSettings, getServiceProvider, getServiceProviderMetadata, resolveReturnTo, buildLoginRedirect, handleCallback, consumeLoginCode } = require('./sso');
+const { getPasswordPolicy, validatePasswordPolicy, savePasswordPolicy, getPasswordChangeReason, changePassword, validateAdministrativePassword, assertLoginAllowed, recordLoginFailure, recordLoginSuccess, recordSecondFactorFailure, recordSecondFactorSuccess, requestPasswordReset, checkResetToken, resetPassword } = require('./accountSecurity');
+const { ACTIONS, needsChangeRequest, submitChangeRequest, listPendingChangeRequests, listMyChangeRequests, validateRejection, approveChangeRequest, rejectChangeRequest, RECORD_DECISIONS, listPendingRecords, validateRecordDecision, decideRecord } = require('./changeRequests');
+const { parseAnalyticsQuery, buildAnalytics, buildDrilldown } = require('./analytics');
+const { validateOpenMaintenance, validateCloseMaintenance, validateMaintenanceUpdate, parseMaintenanceSummaryQuery, openMaintenance, closeMaintenance, updateMaintenance, listEquipmentMaintenance, listOpenMaintenance, buildMaintenanceSummary } = require('./maintenance');
+const { validateRules: validateReconciliationRules, saveRules: saveReconciliationRules, buildReconciliation, validateReconciliationAction, applyReconciliationAction, restoreDismissal } = require('./licenseReconciliation');
+const { validateCollaborator, listCollaborators, createCollaborator, updateCollaborator, getCollaboratorProfile, getMatchingReport, validateMatchDecision, decideMatch, removeAlias, validateImportSelection, importFromInventory, listOffboardings, validateOffboardingFilter, validateOffboardingStart, startOffboarding, getOffboarding, validateItemResolution, resolveOffboardingItem, cancelOffboarding } = require('./collaborators');
+const { SEED_MIGRATION_IDS, migrateUp } = require('./migrator');
+const { validateApiKeyInput, listApiKeys, createApiKey, revokeApiKey } = require('./apiKeys');
+const { validateWebhook, listWebhooks, createWebhook, updateWebhook, rotateWebhookSecret, deleteWebhook, emitEquipmentEvent, validateDeliveryFilter, listDeliveries, redeliver, sendTestEvent, startWebhookDispatcher } = require('./webhooks');
+const { verifySmtp } = require('./mailer');
+const { router: publicApiRouter } = require('./publicApi');
+const { LIST_SPECS, isPagedRequest, parseListQuery, runListQuery, countByColumn, listAll, getFilterOptions } = require('./listQuery');
+const { IMPORT_TARGETS, validateProfile, listProfiles, getProfile, createProfile, updateProfile, deleteProfile, validateImportRows } = require('./importProfiles');
 // Removemos node-fetch nativo pois versões recentes do Node já possuem fetch, 
 // mas garantimos compatibilidade se necessário.
 const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
@@ -18,323 +45,623 @@ app.use(cors());
 app.use(express.json({ limit: '50mb' })); // Increased limit for large CSVs and photos
 app.use(express.urlencoded({ extended: true }));
 
+// Every /api route below requires a valid session token (see auth.js for the public exceptions)
+app.use('/api', authenticate);
+
+// Versioned API for other tools, authenticated with API keys instead of sessions (see publicApi.js)
+app.use('/api/v1', publicApiRouter);
+
 const PORT = process.env.API_PORT || 3001;
 const SALT_ROUNDS = parseInt(process.env.BCRYPT_SALT_ROUNDS || '10');
 
-// Database credentials
-const DB_HOST = process.env.DB_HOST;
-const DB_USER = process.env.DB_USER;
-const DB_PASSWORD = process.env.DB_PASSWORD;
-const DB_DATABASE = process.env.DB_DATABASE;
+// --- MIGRATIONS ---
+// Versioned migrations live in migrations/ (see migrator.js; `npm run migrate` for the CLI).
+// At startup a failed or edited migration stops the API instead of serving a half-migrated schema.
+const runMigrations = async ({ exitOnFailure = true } = {}) => {
+    console.log("Checking database migrations...");
+    try {
+        const applied = await migrateUp();
+        console.log(applied.length > 0 ? `${applied.length} migration(s) applied.` : "Database schema is up to date.");
+    } catch (error) {
+        console.error("Migration failed:", error.message);
+        if (exitOnFailure) process.exit(1);
+        throw error;
+    }
+};
 
-// OLLAMA CONFIGURATION
-const OLLAMA_URL = process.env.OLLAMA_URL || 'http://127.0.0.1:11434';
-const LOCAL_MODEL = process.env.LOCAL_MODEL || 'llama3.2'; // Modelo Llama 3.2 (3B) - Mais inteligente e robusto
+// --- ROUTES ---
 
-// Backup directory
-const BACKUP_DIR = './backups';
-if (!fs.existsSync(BACKUP_DIR)) {
-    fs.mkdirSync(BACKUP_DIR);
-}
+// Health check for the "API status" in Settings (public, see auth.js)
+app.get('/api', (req, res) => {
+    res.json({ status: 'ok' });
+});
 
-const db = mysql.createPool({
-    host: DB_HOST,
-    user: DB_USER,
-    password: DB_PASSWORD,
-    database: DB_DATABASE,
-    waitForConnections: true,
-    connectionLimit: 10,
-    queueLimit: 0,
-    multipleStatements: true
+// Settings needed by the login screen, before there is a session
+app.get('/api/config/public', async (req, res) => {
+    try {
+        const [rows] = await db.promise().query('SELECT config_key, config_value FROM app_config WHERE config_key IN ("companyName", "isSsoEnabled", "is2faEnabled", "require2fa")');
+        const config = rows.reduce((acc, row) => ({ ...acc, [row.config_key]: row.config_value }), {});
+        res.json({
+            companyName: config.companyName || 'MRR INFORMATICA',
+            isSsoEnabled: config.isSsoEnabled === 'true',
+            is2faEnabled: config.is2faEnabled === 'true',
+            require2fa: config.require2fa === 'true',
+            passwordPolicy: await getPasswordPolicy()
+        });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
 });
 
-// --- AUTO-REPAIR SCHEMA FUNCTION ---
-const ensureCriticalSchema = async (connection) => {
-    console.log("Running critical schema check...");
-    
-    const checkAndAddColumn = async (tableName, columnName, columnDef) => {
-        try {
-            const [tableExists] = await connection.query(`SHOW TABLES LIKE '${tableName}'`);
-            if (tableExists.length === 0) return;
+// --- PERMISSIONS ---
+// Routes are registered in order, so these guards run before the handlers they protect.
+app.use(['/api/settings', '/api/database', '/api/approvals', '/api/audit-log'], requireRole(ROLES.ADMIN));
+app.post('/api/equipment/:id/restore', requireRole(ROLES.ADMIN));
+app.use('/api/equipment/periodic-update', requireRole(ROLES.ADMIN));
+app.post('/api/import-profiles', requireRole(ROLES.ADMIN));
+app.use('/api/licenses/alerts', requireRole(ROLES.ADMIN));
+app.put('/api/import-profiles/:id', requireRole(ROLES.ADMIN));
+app.delete('/api/import-profiles/:id', requireRole(ROLES.ADMIN));
+app.post([
+    '/api/equipment/import',
+    '/api/licenses/import',
+    '/api/licenses/totals',
+    '/api/licenses/rename-product'
+], requireRole(ROLES.ADMIN));
+app.post('/api/licenses/reconciliation/*', requireRole(ROLES.ADMIN));
+app.put('/api/licenses/reconciliation/*', requireRole(ROLES.ADMIN));
+app.delete('/api/licenses/reconciliation/*', requireRole(ROLES.ADMIN));
+app.post(['/api/collaborators', '/api/collaborators/*', '/api/offboardings/*'], requireRole(ROLES.ADMIN));
+app.put('/api/collaborators/:id', requireRole(ROLES.ADMIN));
+app.delete('/api/collaborators/*', requireRole(ROLES.ADMIN));
+app.use('/api/users', guardUserAdministration);
+app.post(['/api/generate-2fa', '/api/enable-2fa', '/api/disable-2fa'], requireSelfOrRole(req => req.body.userId, ROLES.ADMIN));
+app.post('/api/disable-user-2fa', requireRole(ROLES.ADMIN, ROLES.USER_MANAGER));
+
+// --- VALIDATION ---
+// Only whitelisted, normalized columns reach the license and import handlers (see validation.js).
+const isAdmin = (req) => req.user.role === ROLES.ADMIN;
+app.post('/api/licenses', validateBody('license', LICENSE_SCHEMA, { allowServerManaged: isAdmin }));
+app.put('/api/licenses/:id', validateBody('license', LICENSE_SCHEMA, { partial: true, allowServerManaged: isAdmin }));
+app.post('/api/equipment/import', validateRows('equipmentList', EQUIPMENT_SCHEMA));
+app.post('/api/licenses/import', validateRows('licenses', LICENSE_SCHEMA));
+// Passwords typed in user management follow the password policy too
+app.post('/api/users', validateAdministrativePassword);
+app.put('/api/users/:id', validateAdministrativePassword);
 
-            const [columns] = await connection.query(`SHOW COLUMNS FROM ${tableName}`);
-            const columnNames = columns.map(c => c.Field);
+const sanitizeUser = (user) => {
+    const { password: _, twoFASecret: __, failedLoginAttempts: ___, lockedUntil: ____, failed2FAAttempts: _____, ...userWithoutSensitiveData } = user;
+    return userWithoutSensitiveData;
+};
+
+const sendAccountSecurityError = (res, error) => res.status(error.status || 500).json({ message: error.message, ...(error.errors ? { errors: error.errors } : {}) });
+
+// Last part of every successful login (password, SSO or the forced password change that may follow it)
+const completeLogin = async (user) => {
+    // Check global settings to see if 2FA setup is required (SSO accounts leave the second factor to the IdP)
+    const [settingsRows] = await db.promise().query('SELECT config_value FROM app_config WHERE config_key = "require2fa"');
+    const require2FA = settingsRows.length > 0 && settingsRows[0].config_value === 'true' && !user.ssoProvider;
+
+    const userWithoutSensitiveData = sanitizeUser(user);
+
+    // Inform frontend if 2FA setup is required
+    if (require2FA && !user.is2FAEnabled) {
+        userWithoutSensitiveData.requires2FASetup = true;
+    }
+
+    // Until the second factor is verified (or set up) the token only unlocks the 2FA routes
+    const needsSecondFactor = user.is2FAEnabled || userWithoutSensitiveData.requires2FASetup;
+    const token = needsSecondFactor ? issueTwoFactorToken(user) : issueSessionToken(user);
+
+    return { ...userWithoutSensitiveData, token };
+};
+
+// Login
+app.post('/api/login', async (req, res) => {
+    const { username, password, ssoToken } = req.body;
+    try {
+        let user;
+        let passwordChangeReason = null;
+        if (ssoToken !== undefined) {
+            // Last step of the SSO login: the one-time code issued by /api/sso/callback
+            const [ssoUsers] = await db.promise().query('SELECT * FROM users WHERE id = ?', [consumeLoginCode(ssoToken)]);
+            if (ssoUsers.length === 0) {
+                return res.status(401).json({ message: 'Usuário não encontrado' });
+            }
+            user = ssoUsers[0];
+        } else {
+            // Per-IP and per-account throttling (accountSecurity.js) runs before the password is even compared
+            await assertLoginAllowed(username, req.ip);
+
+            const [users] = await db.promise().query('SELECT * FROM users WHERE username = ?', [username]);
+            user = users[0];
+            if (!user || !bcrypt.compareSync(password || '', user.password)) {
+                throw await recordLoginFailure(user, username, req.ip);
+            }
 
-            if (!columnNames.includes(columnName)) {
-                console.log(`Auto-repair: Adding '${columnName}' to ${tableName}`);
-                await connection.query(`ALTER TABLE ${tableName} ADD COLUMN ${columnName} ${columnDef}`);
+            if (user.ssoProvider) {
+                 return res.status(401).json({ message: 'Por favor, use o login via SSO.' });
             }
-        } catch (err) {
-            console.error(`Error checking column ${columnName} in ${tableName}:`, err.message);
+
+            await recordLoginSuccess(user);
+            passwordChangeReason = await getPasswordChangeReason(user, password);
         }
-    };
 
-    // 1. Add missing columns to tables
-    await checkAndAddColumn('licenses', 'empresa', 'VARCHAR(255) NULL');
-    await checkAndAddColumn('licenses', 'observacoes', 'TEXT');
-    await checkAndAddColumn('licenses', 'approval_status', "VARCHAR(50) DEFAULT 'approved'");
-    await checkAndAddColumn('licenses', 'rejection_reason', 'TEXT');
-    await checkAndAddColumn('licenses', 'created_by_id', 'INT NULL');
-    
-    await checkAndAddColumn('equipment', 'observacoes', 'TEXT');
-    await checkAndAddColumn('equipment', 'approval_status', "VARCHAR(50) DEFAULT 'approved'");
-    await checkAndAddColumn('equipment', 'rejection_reason', 'TEXT');
-    await checkAndAddColumn('equipment', 'created_by_id', 'INT NULL');
-    await checkAndAddColumn('equipment', 'emailColaborador', 'VARCHAR(255)');
-    
-    // Absolute Report Fields
-    await checkAndAddColumn('equipment', 'brand', 'VARCHAR(100)');
-    await checkAndAddColumn('equipment', 'model', 'VARCHAR(100)');
-    await checkAndAddColumn('equipment', 'identificador', 'VARCHAR(255)');
-    await checkAndAddColumn('equipment', 'nomeSO', 'VARCHAR(255)');
-    await checkAndAddColumn('equipment', 'memoriaFisicaTotal', 'VARCHAR(100)');
-    await checkAndAddColumn('equipment', 'grupoPoliticas', 'VARCHAR(100)');
-    await checkAndAddColumn('equipment', 'pais', 'VARCHAR(100)');
-    await checkAndAddColumn('equipment', 'cidade', 'VARCHAR(100)');
-    await checkAndAddColumn('equipment', 'estadoProvincia', 'VARCHAR(100)');
-    await checkAndAddColumn('equipment', 'condicaoTermo', "ENUM('Assinado - Entrega', 'Assinado - Devolução', 'Pendente', 'N/A') DEFAULT 'N/A'");
-
-    await checkAndAddColumn('users', 'twoFASecret', 'VARCHAR(255) NULL');
-    await checkAndAddColumn('users', 'is2FAEnabled', 'BOOLEAN DEFAULT FALSE');
-    await checkAndAddColumn('users', 'avatarUrl', 'MEDIUMTEXT');
-    
-    // 2. CRITICAL FIX FOR EQUIPMENT HISTORY
-    // Ensure the correct snake_case column exists
-    await checkAndAddColumn('equipment_history', 'equipment_id', 'INT');
+        await db.promise().query('UPDATE users SET lastLogin = NOW() WHERE id = ?', [user.id]);
+        await logAudit(user.username, 'LOGIN', 'USER', user.id, ssoToken !== undefined ? 'User logged in via SAML SSO' : 'User logged in');
 
-    // Fix 1: Make legacy 'equipmentId' (camelCase) nullable if it exists to prevent "doesn't have a default value" error
-    try {
-        const [camelCols] = await connection.query("SHOW COLUMNS FROM equipment_history LIKE 'equipmentId'");
-        if (camelCols.length > 0) {
-            console.log("Auto-repair: Making legacy column 'equipmentId' NULLABLE to fix Insert error.");
-            await connection.query("ALTER TABLE equipment_history MODIFY COLUMN equipmentId INT NULL");
+        // A temporary, expired or default password must be replaced before anything else (POST /api/password/change)
+        if (passwordChangeReason) {
+            await logAudit(user.username, 'PASSWORD_CHANGE_REQUIRED', 'USER', user.id, `Password change required before continuing (${passwordChangeReason})`);
+            return res.json({ ...sanitizeUser(user), requiresPasswordChange: passwordChangeReason, token: issuePasswordChangeToken(user) });
         }
-    } catch (err) {
-        console.error("Auto-repair warning for equipmentId:", err.message);
+
+        res.json(await completeLogin(user));
+    } catch (error) {
+        res.status(error.status || 500).json({ message: error.message });
     }
+});
 
-    // Fix 2: Ensure 'timestamp' has a default value of CURRENT_TIMESTAMP to prevent "doesn't have a default value" error
+// Second login step: exchanges the 2FA token for a full session
+app.post('/api/verify-2fa', async (req, res) => {
+    const { token } = req.body;
     try {
-        const [tsCols] = await connection.query("SHOW COLUMNS FROM equipment_history LIKE 'timestamp'");
-        if (tsCols.length > 0) {
-             console.log("Auto-repair: Ensuring 'timestamp' has DEFAULT CURRENT_TIMESTAMP.");
-             await connection.query("ALTER TABLE equipment_history MODIFY COLUMN timestamp DATETIME DEFAULT CURRENT_TIMESTAMP");
+        const [users] = await db.promise().query('SELECT * FROM users WHERE id = ?', [req.user.id]);
+        const user = users[0];
+        // Same IP and account throttling as the password step; wrong codes count towards the account lock
+        await assertLoginAllowed(user.username, req.ip);
+        if (!user.twoFASecret || !authenticator.check(String(token || ''), user.twoFASecret)) {
+            throw await recordSecondFactorFailure(user, req.ip);
         }
-    } catch (err) {
-        console.error("Auto-repair warning for timestamp:", err.message);
+        await recordSecondFactorSuccess(user);
+        await logAudit(user.username, '2FA_VERIFY', 'USER', user.id, 'Two-factor verification succeeded');
+        res.json({ ...sanitizeUser(user), token: issueSessionToken(user) });
+    } catch (error) {
+        res.status(error.status || 500).json({ message: error.message });
     }
+});
 
-    // Fix 3: Ensure 'audit_log' timestamp also has default value
+// Body: { currentPassword, newPassword }. Called from the profile, or with the limited token of a login
+// that requires a password change, in which case the login goes on from here (2FA or a full session).
+app.post('/api/password/change', async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
     try {
-        const [tsColsAudit] = await connection.query("SHOW COLUMNS FROM audit_log LIKE 'timestamp'");
-        if (tsColsAudit.length > 0) {
-             console.log("Auto-repair: Ensuring audit_log 'timestamp' has DEFAULT CURRENT_TIMESTAMP.");
-             await connection.query("ALTER TABLE audit_log MODIFY COLUMN timestamp DATETIME DEFAULT CURRENT_TIMESTAMP");
+        const user = await changePassword(req.user.id, currentPassword, newPassword);
+        if (req.authScope === 'password') {
+            return res.json(await completeLogin(user));
         }
-    } catch (err) {
-        console.error("Auto-repair warning for audit_log timestamp:", err.message);
+        res.json(sanitizeUser(user));
+    } catch (error) {
+        sendAccountSecurityError(res, error);
+    }
+});
+
+app.post('/api/logout', async (req, res) => {
+    try {
+        await logAudit(req.user.username, 'LOGOUT', 'USER', req.user.id, 'User logged out');
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// ------------------------------------------------------------------
+// TWO-FACTOR SETUP
+// ------------------------------------------------------------------
+// The secret is generated first and only counts once a code made from it is confirmed (enable-2fa).
+// Body: { userId }, the session user itself or, for Admins, anyone (see the guards above).
+
+const sendUserError = (res, error) => res.status(error.status || 500).json({ message: error.message });
+const userError = (status, message) => Object.assign(new Error(message), { status });
+
+const getTargetUser = async (userId) => {
+    const [users] = await db.promise().query('SELECT * FROM users WHERE id = ?', [userId]);
+    if (users.length === 0) {
+        throw userError(404, 'Usuário não encontrado.');
     }
+    return users[0];
+};
 
-    console.log("Critical schema check complete.");
+// A login that only passed the password step may set up its own missing second factor, nothing else
+const assertTwoFactorSetupAllowed = (req, user) => {
+    if (req.authScope === '2fa' && (user.id !== req.user.id || user.is2FAEnabled)) {
+        throw userError(401, 'Verificação de dois fatores pendente.');
+    }
 };
 
-const runMigrations = async () => {
-    console.log("Checking database migrations...");
-    let connection;
+app.post('/api/generate-2fa', async (req, res) => {
     try {
-        connection = await db.promise().getConnection();
-        
-        await connection.query(`
-            CREATE TABLE IF NOT EXISTS migrations (
-                id INT PRIMARY KEY
-            );
-        `);
-
-        const [executedRows] = await connection.query('SELECT id FROM migrations');
-        const executedMigrationIds = new Set(executedRows.map((r) => r.id));
-
-        const migrations = [
-            {
-                id: 1, sql: `
-                CREATE TABLE IF NOT EXISTS users (
-                    id INT AUTO_INCREMENT PRIMARY KEY,
-                    username VARCHAR(255) NOT NULL UNIQUE,
-                    realName VARCHAR(255) NOT NULL,
-                    email VARCHAR(255) NOT NULL UNIQUE,
-                    password VARCHAR(255) NOT NULL,
-                    role ENUM('Admin', 'User Manager', 'User') NOT NULL,
-                    lastLogin DATETIME,
-                    is2FAEnabled BOOLEAN DEFAULT FALSE,
-                    twoFASecret VARCHAR(255),
-                    ssoProvider VARCHAR(50) NULL,
-                    avatarUrl MEDIUMTEXT
-                );`
-            },
-            {
-                id: 2, sql: `
-                CREATE TABLE IF NOT EXISTS equipment (
-                    id INT AUTO_INCREMENT PRIMARY KEY,
-                    equipamento VARCHAR(255) NOT NULL,
-                    garantia VARCHAR(255),
-                    patrimonio VARCHAR(255) UNIQUE,
-                    serial VARCHAR(255) UNIQUE,
-                    usuarioAtual VARCHAR(255),
-                    usuarioAnterior VARCHAR(255),
-                    local VARCHAR(255),
-                    setor VARCHAR(255),
-                    dataEntregaUsuario VARCHAR(255),
-                    status VARCHAR(255),
-                    dataDevolucao VARCHAR(255),
-                    tipo VARCHAR(255),
-                    notaCompra VARCHAR(255),
-                    notaPlKm VARCHAR(255),
-                    termoResponsabilidade VARCHAR(255),
-                    foto TEXT,
-                    qrCode TEXT,
-                    observacoes TEXT,
-                    approval_status VARCHAR(50) DEFAULT 'approved',
-                    rejection_reason TEXT
-                );`
-            },
-            {
-                id: 3, sql: `
-                CREATE TABLE IF NOT EXISTS licenses (
-                    id INT AUTO_INCREMENT PRIMARY KEY,
-                    produto VARCHAR(255) NOT NULL,
-                    tipoLicenca VARCHAR(255),
-                    chaveSerial VARCHAR(255) NOT NULL,
-                    dataExpiracao VARCHAR(255),
-                    usuario VARCHAR(255) NOT NULL,
-                    cargo VARCHAR(255),
-                    setor VARCHAR(255),
-                    gestor VARCHAR(255),
-                    centroCusto VARCHAR(255),
-                    contaRazao VARCHAR(255),
-                    nomeComputador VARCHAR(255),
-                    numeroChamado VARCHAR(255),
-                    observacoes TEXT,
-                    approval_status VARCHAR(50) DEFAULT 'approved',
-                    rejection_reason TEXT
-                );`
-            },
-            {
-                id: 4, sql: `
-                CREATE TABLE IF NOT EXISTS equipment_history (
-                    id INT AUTO_INCREMENT PRIMARY KEY,
-                    equipment_id INT,
-                    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    changedBy VARCHAR(255),
-                    changeType VARCHAR(255),
-                    from_value TEXT,
-                    to_value TEXT,
-                    FOREIGN KEY (equipment_id) REFERENCES equipment(id) ON DELETE CASCADE
-                );`
-            },
-            {
-                id: 5, sql: `
-                CREATE TABLE IF NOT EXISTS audit_log (
-                    id INT AUTO_INCREMENT PRIMARY KEY,
-                    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    username VARCHAR(255),
-                    action_type VARCHAR(255),
-                    target_type VARCHAR(255),
-                    target_id VARCHAR(255),
-                    details TEXT
-                );`
-            },
-            {
-                id: 6, sql: `
-                CREATE TABLE IF NOT EXISTS app_config (
-                    id INT AUTO_INCREMENT PRIMARY KEY,
-                    config_key VARCHAR(255) NOT NULL UNIQUE,
-                    config_value TEXT
-                );`
-            },
-            {
-                id: 7, sql: `INSERT IGNORE INTO users (username, realName, email, password, role) VALUES ('admin', 'Admin', 'admin@example.com', '${bcrypt.hashSync("marceloadmin", SALT_ROUNDS)}', 'Admin');`
-            },
-            {
-                id: 8, sql: `
-                INSERT IGNORE INTO app_config (config_key, config_value) VALUES ('companyName', 'MRR INFORMATICA');
-                INSERT IGNORE INTO app_config (config_key, config_value) VALUES ('isSsoEnabled', 'false');
-                `
-            },
-            { id: 9, sql: "ALTER TABLE equipment ADD COLUMN emailColaborador VARCHAR(255);" },
-            {
-                id: 10, sql: `
-                INSERT IGNORE INTO app_config (config_key, config_value) VALUES ('termo_entrega_template', NULL);
-                INSERT IGNORE INTO app_config (config_key, config_value) VALUES ('termo_devolucao_template', NULL);
-            `},
-            { id: 11, sql: "ALTER TABLE users ADD COLUMN avatarUrl MEDIUMTEXT;" },
-            { id: 12, sql: "ALTER TABLE users MODIFY COLUMN avatarUrl MEDIUMTEXT;" },
-            { id: 13, sql: "ALTER TABLE licenses ADD COLUMN created_by_id INT NULL;"}, 
-            { id: 14, sql: "ALTER TABLE equipment ADD COLUMN created_by_id INT NULL;"}, 
-            {
-                id: 15, sql: `INSERT IGNORE INTO app_config (config_key, config_value) VALUES ('is2faEnabled', 'false');`
-            }
-        ];
-
-        await ensureCriticalSchema(connection);
-
-        for (const migration of migrations) {
-            if (!executedMigrationIds.has(migration.id)) {
-                console.log(`Running migration ${migration.id}...`);
-                try {
-                    await connection.query(migration.sql);
-                    await connection.query('INSERT INTO migrations (id) VALUES (?)', [migration.id]);
-                    console.log(`Migration ${migration.id} completed.`);
-                } catch (err) {
-                    console.error(`Migration ${migration.id} failed:`, err.message);
-                }
-            }
+        const user = await getTargetUser(req.body.userId);
+        assertTwoFactorSetupAllowed(req, user);
+        const [config] = await db.promise().query('SELECT config_value FROM app_config WHERE config_key = "companyName"');
+        const secret = authenticator.generateSecret();
+        await db.promise().query('UPDATE users SET twoFASecret = ?, is2FAEnabled = FALSE WHERE id = ?', [secret, user.id]);
+        const issuer = config.length > 0 && config[0].config_value ? config[0].config_value : 'Inventário Pro';
+        res.json({ secret, qrCodeUrl: await QRCode.toDataURL(authenticator.keyuri(user.username, issuer, secret)) });
+    } catch (error) {
+        sendUserError(res, error);
+    }
+});
+
+// { userId, token }: the first code from the authenticator app
+app.post('/api/enable-2fa', async (req, res) => {
+    try {
+        const user = await getTargetUser(req.body.userId);
+        assertTwoFactorSetupAllowed(req, user);
+        if (!user.twoFASecret || !authenticator.check(String(req.body.token || ''), user.twoFASecret)) {
+            return res.status(400).json({ message: 'Código de verificação inválido.' });
         }
-        console.log("Migrations check complete.");
+        await db.promise().query('UPDATE users SET is2FAEnabled = TRUE WHERE id = ?', [user.id]);
+        await logAudit(req.user.username, '2FA_ENABLE', 'USER', user.id, `Two-factor authentication enabled for ${user.username}`);
+        res.json({ success: true });
     } catch (error) {
-        console.error("Migration failed:", error);
-    } finally {
-        if (connection) connection.release();
+        sendUserError(res, error);
+    }
+});
+
+const disableSecondFactor = async (req, res) => {
+    try {
+        const user = await getTargetUser(req.body.userId);
+        // Same rule as guardUserAdministration: User Managers do not manage Admins
+        if (req.user.role === ROLES.USER_MANAGER && user.role === ROLES.ADMIN && user.id !== req.user.id) {
+            return res.status(403).json({ message: 'Você não tem permissão para executar esta ação.' });
+        }
+        await db.promise().query('UPDATE users SET is2FAEnabled = FALSE, twoFASecret = NULL WHERE id = ?', [user.id]);
+        await logAudit(req.user.username, '2FA_DISABLE', 'USER', user.id, `Two-factor authentication disabled for ${user.username}`);
+        res.json({ success: true });
+    } catch (error) {
+        sendUserError(res, error);
     }
 };
 
-// --- ROUTES ---
+// By the user, from the profile
+app.post('/api/disable-2fa', disableSecondFactor);
 
-// Login
-app.post('/api/login', async (req, res) => {
-    const { username, password } = req.body;
+// By an Admin or User Manager, for a user who lost the authenticator
+app.post('/api/disable-user-2fa', disableSecondFactor);
+
+// ------------------------------------------------------------------
+// USERS
+// ------------------------------------------------------------------
+// Listing and managing users is for Admins and User Managers (guardUserAdministration); passwords
+// typed here are checked against the policy before the handlers run (validateAdministrativePassword).
+
+const USER_EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// The form sends the whole user back; only these fields are taken from it. `password` stays out when empty.
+const validateUserInput = (input, { partial = false } = {}) => {
+    const body = input && typeof input === 'object' ? input : {};
+    const value = {};
+    const errors = {};
+    const text = (field, label) => {
+        if (body[field] === undefined && partial) return;
+        const current = typeof body[field] === 'string' ? body[field].trim() : '';
+        if (!current) {
+            errors[field] = `Informe ${label}.`;
+        } else if (current.length > 255) {
+            errors[field] = 'Máximo de 255 caracteres.';
+        } else {
+            value[field] = current;
+        }
+    };
+    text('username', 'o nome de usuário');
+    text('realName', 'o nome');
+    text('email', 'o e-mail');
+    if (value.email && !USER_EMAIL_REGEX.test(value.email)) {
+        errors.email = 'Informe um e-mail válido.';
+    }
+    if (body.role !== undefined || !partial) {
+        if (Object.values(ROLES).includes(body.role)) {
+            value.role = body.role;
+        } else {
+            errors.role = 'Perfil inválido.';
+        }
+    }
+    if (typeof body.password === 'string' && body.password !== '') {
+        value.password = body.password;
+    } else if (!partial) {
+        errors.password = 'Informe a senha.';
+    }
+    if (body.avatarUrl !== undefined) {
+        value.avatarUrl = body.avatarUrl || null;
+    }
+    if (Object.keys(errors).length > 0) return { errors };
+    return { value };
+};
+
+const sendDuplicateUser = (res) => res.status(409).json({ message: 'Já existe um usuário com este nome de usuário ou e-mail.' });
+
+app.get('/api/users', async (req, res) => {
     try {
-        const [users] = await db.promise().query('SELECT * FROM users WHERE username = ?', [username]);
-        if (users.length === 0) {
-            return res.status(401).json({ message: 'Usuário não encontrado' });
+        const [users] = await db.promise().query('SELECT * FROM users ORDER BY realName');
+        res.json(users.map(sanitizeUser));
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// { user: { username, realName, email, role, password, avatarUrl? } }
+app.post('/api/users', async (req, res) => {
+    const { value, errors } = validateUserInput(req.body.user);
+    if (errors) {
+        return res.status(400).json({ message: 'Existem campos inválidos. Corrija-os e tente novamente.', errors });
+    }
+    try {
+        const record = { ...value, password: bcrypt.hashSync(value.password, SALT_ROUNDS) };
+        const [result] = await db.promise().query('INSERT INTO users SET ?', [record]);
+        await logAudit(req.user.username, 'CREATE', 'USER', result.insertId, `Created user ${value.username} (${value.role})`);
+        const [users] = await db.promise().query('SELECT * FROM users WHERE id = ?', [result.insertId]);
+        res.json(sanitizeUser(users[0]));
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') return sendDuplicateUser(res);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// { user }: same fields as the creation, all optional; an empty password keeps the current one
+app.put('/api/users/:id(\\d+)', async (req, res) => {
+    const { value, errors } = validateUserInput(req.body.user, { partial: true });
+    if (errors) {
+        return res.status(400).json({ message: 'Existem campos inválidos. Corrija-os e tente novamente.', errors });
+    }
+    if (Number(req.params.id) === req.user.id && value.role && value.role !== req.user.role) {
+        return res.status(400).json({ message: 'Você não pode alterar o próprio perfil de acesso.' });
+    }
+    try {
+        const user = await getTargetUser(req.params.id);
+        const record = value.password ? { ...value, password: bcrypt.hashSync(value.password, SALT_ROUNDS) } : value;
+        if (Object.keys(record).length > 0) {
+            await db.promise().query('UPDATE users SET ? WHERE id = ?', [record, user.id]);
         }
-        const user = users[0];
-        
-        if (user.ssoProvider) {
-             return res.status(401).json({ message: 'Por favor, use o login via SSO.' });
+        await logAudit(req.user.username, 'UPDATE', 'USER', user.id, `Updated user ${user.username}: ${Object.keys(value).join(', ') || 'no changes'}`);
+        res.json(sanitizeUser(await getTargetUser(user.id)));
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') return sendDuplicateUser(res);
+        sendUserError(res, error);
+    }
+});
+
+// The user's own name and picture: { realName, avatarUrl }
+app.put('/api/users/:id(\\d+)/profile', async (req, res) => {
+    const { value, errors } = validateUserInput({ realName: req.body.realName, avatarUrl: req.body.avatarUrl }, { partial: true });
+    if (errors) {
+        return res.status(400).json({ message: 'Existem campos inválidos. Corrija-os e tente novamente.', errors });
+    }
+    try {
+        if (Object.keys(value).length > 0) {
+            await db.promise().query('UPDATE users SET ? WHERE id = ?', [value, req.user.id]);
+        }
+        await logAudit(req.user.username, 'UPDATE', 'USER', req.user.id, 'Profile updated by the user');
+        res.json(sanitizeUser(await getTargetUser(req.user.id)));
+    } catch (error) {
+        sendUserError(res, error);
+    }
+});
+
+app.delete('/api/users/:id(\\d+)', async (req, res) => {
+    if (Number(req.params.id) === req.user.id) {
+        return res.status(400).json({ message: 'Você não pode excluir o próprio usuário.' });
+    }
+    try {
+        const user = await getTargetUser(req.params.id);
+        await db.promise().query('DELETE FROM users WHERE id = ?', [user.id]);
+        await logAudit(req.user.username, 'DELETE', 'USER', user.id, `Deleted user ${user.username} (${user.role})`);
+        res.status(204).send();
+    } catch (error) {
+        sendUserError(res, error);
+    }
+});
+
+// ------------------------------------------------------------------
+// PASSWORD RESET AND POLICY
+// ------------------------------------------------------------------
+// Self-service reset through a single-use link e-mailed with the SMTP settings (accountSecurity.js).
+// The /api/password-reset/ routes are public (see auth.js); tokens travel in request bodies, not in URLs.
+
+// Body: { identifier: username or e-mail }. The link points to the configured system address.
+app.post('/api/password-reset/request', async (req, res) => {
+    try {
+        res.json({ message: await requestPasswordReset(req.body.identifier, req.ip) });
+    } catch (error) {
+        sendAccountSecurityError(res, error);
+    }
+});
+
+// Body: { token }
+app.post('/api/password-reset/verify', async (req, res) => {
+    try {
+        res.json(await checkResetToken(req.body.token));
+    } catch (error) {
+        sendAccountSecurityError(res, error);
+    }
+});
+
+// Body: { token, newPassword }
+app.post('/api/password-reset/confirm', async (req, res) => {
+    try {
+        await resetPassword(req.body.token, req.body.newPassword, req.ip);
+        res.json({ message: 'Senha redefinida. Entre com a nova senha.' });
+    } catch (error) {
+        sendAccountSecurityError(res, error);
+    }
+});
+
+app.get('/api/settings/password-policy', async (req, res) => {
+    try {
+        res.json(await getPasswordPolicy());
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+app.put('/api/settings/password-policy', async (req, res) => {
+    const { value, errors } = validatePasswordPolicy(req.body);
+    if (errors) {
+        return res.status(400).json({ message: 'Existem campos inválidos. Corrija-os e tente novamente.', errors });
+    }
+    try {
+        await savePasswordPolicy(value);
+        await logAudit(req.user.username, 'SETTINGS_UPDATE', 'SETTINGS', 'passwordPolicy',
+            `Password policy: min ${value.minLength} chars, expiry ${value.expiryDays || 'never'}${value.expiryDays ? ' days' : ''}, history ${value.historySize}`);
+        res.json(value);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// The policy is saved only through the route above: a stale copy in the general settings form must not overwrite it
+app.post('/api/settings', (req, res, next) => {
+    if (req.body && req.body.settings && typeof req.body.settings === 'object') {
+        delete req.body.settings.passwordPolicy;
+    }
+    next();
+});
+
+// ------------------------------------------------------------------
+// SAML SSO
+// ------------------------------------------------------------------
+// SP-initiated login (sso.js): /api/sso/login redirects to the IdP, the IdP posts its response to
+// /api/sso/callback, and the browser returns to the app with a one-time code that POST /api/login
+// exchanges for a session. The /api/sso/ routes are public (see auth.js).
+
+// Failures go back to the login screen when the app address is known, as #/sso-erro/<message>
+const sendSsoFailure = (res, returnTo, error) => {
+    console.error('SSO login failed:', error.message);
+    if (returnTo) {
+        return res.redirect(303, `${returnTo}#/sso-erro/${encodeURIComponent(error.message)}`);
+    }
+    res.status(error.status || 500).type('text/plain').send(error.message);
+};
+
+app.get('/api/sso/metadata', (req, res) => {
+    res.type('application/xml').send(getServiceProviderMetadata(req));
+});
+
+// ?returnTo=<app address>
+app.get('/api/sso/login', async (req, res) => {
+    let returnTo = null;
+    try {
+        returnTo = await resolveReturnTo(req, req.query.returnTo);
+        if (!returnTo) {
+            return res.status(400).type('text/plain').send('Endereço de retorno inválido.');
         }
+        res.redirect(await buildLoginRedirect(req, returnTo));
+    } catch (error) {
+        sendSsoFailure(res, returnTo, error);
+    }
+});
 
-        const isPasswordValid = bcrypt.compareSync(password, user.password);
-        if (!isPasswordValid) {
-            return res.status(401).json({ message: 'Senha incorreta' });
+// Assertion Consumer Service (HTTP-POST binding)
+app.post('/api/sso/callback', async (req, res) => {
+    try {
+        const { code, returnTo } = await handleCallback(req);
+        if (!returnTo) {
+            return res.status(400).type('text/plain').send('Login via SSO concluído, mas o endereço de retorno ao sistema é inválido.');
         }
+        res.redirect(303, `${returnTo}#/sso/${code}`);
+    } catch (error) {
+        sendSsoFailure(res, error.returnTo, error);
+    }
+});
 
-        // Check global settings to see if 2FA setup is required
-        const [settingsRows] = await db.promise().query('SELECT config_value FROM app_config WHERE config_key = "require2fa"');
-        const require2FA = settingsRows.length > 0 && settingsRows[0].config_value === 'true';
+// Entity ID and ACS URL to register at the IdP, as this API computes them
+app.get('/api/settings/sso', (req, res) => {
+    res.json(getServiceProvider(req));
+});
 
-        await db.promise().query('UPDATE users SET lastLogin = NOW() WHERE id = ?', [user.id]);
-        // Explicit timestamp NOW() for audit_log to fix potential "default value" errors
-        await db.promise().query('INSERT INTO audit_log (username, action_type, target_type, target_id, details, timestamp) VALUES (?, ?, ?, ?, ?, NOW())', [username, 'LOGIN', 'USER', user.id, 'User logged in']);
-        
-        const { password: _, twoFASecret: __, ...userWithoutSensitiveData } = user;
-        
-        // Inform frontend if 2FA setup is required
-        if (require2FA && !user.is2FAEnabled) {
-            userWithoutSensitiveData.requires2FASetup = true;
+app.post('/api/settings', (req, res, next) => {
+    const errors = validateSsoSettings(req.body && req.body.settings);
+    if (errors) {
+        return res.status(400).json({ message: 'Existem campos inválidos. Corrija-os e tente novamente.', errors });
+    }
+    next();
+});
+
+// ------------------------------------------------------------------
+// CHANGE REQUESTS
+// ------------------------------------------------------------------
+// Edits and deletions by non-admins are held as change requests until an Admin approves them, and the
+// records they create wait for approval as a whole (changeRequests.js).
+
+const sendChangeRequestError = (res, error) => res.status(error.status || 500).json({ message: error.message });
+
+// Runs after validation; lets Admins (and the cases needsChangeRequest allows) through to the real handler
+const holdForApproval = (itemType, action) => async (req, res, next) => {
+    try {
+        if (!(await needsChangeRequest(req.user, itemType, req.params.id))) {
+            return next();
+        }
+        const payload = action === ACTIONS.UPDATE ? req.body[itemType] : undefined;
+        const changeRequest = await submitChangeRequest({ itemType, itemId: Number(req.params.id), action, payload }, req.user);
+        if (!changeRequest) {
+            // Nothing differs from the stored record, so there is nothing to review
+            return res.json({ id: Number(req.params.id), ...payload });
         }
+        res.status(202).json({ message: 'Solicitação enviada para aprovação de um administrador.', changeRequest });
+    } catch (error) {
+        sendChangeRequestError(res, error);
+    }
+};
 
-        res.json(userWithoutSensitiveData);
+// New records created by non-admins, awaiting approval as a whole: [{ id, name, itemType }]
+app.get('/api/approvals/pending', async (req, res) => {
+    try {
+        res.json(await listPendingRecords());
     } catch (error) {
-        res.status(500).json({ message: error.message });
+        sendChangeRequestError(res, error);
+    }
+});
+
+// { type: 'equipment' | 'license', id } and, to reject, { reason }
+app.post(['/api/approvals/approve', '/api/approvals/reject'], async (req, res) => {
+    const decision = req.path.endsWith('/approve') ? RECORD_DECISIONS.approve : RECORD_DECISIONS.reject;
+    const { value, errors } = validateRecordDecision(req.body, decision);
+    if (errors) {
+        return res.status(400).json({ message: 'Existem campos inválidos. Corrija-os e tente novamente.', errors });
+    }
+    try {
+        res.json(await decideRecord(value, decision, req.user.username));
+    } catch (error) {
+        sendChangeRequestError(res, error);
+    }
+});
+
+// Pending requests with the proposed diff, for the approval queue
+app.get('/api/approvals/change-requests', async (req, res) => {
+    try {
+        res.json(await listPendingChangeRequests());
+    } catch (error) {
+        sendChangeRequestError(res, error);
+    }
+});
+
+app.post('/api/approvals/change-requests/:id(\\d+)/approve', async (req, res) => {
+    try {
+        res.json(await approveChangeRequest(req.params.id, req.user.username));
+    } catch (error) {
+        sendChangeRequestError(res, error);
+    }
+});
+
+// { reason }
+app.post('/api/approvals/change-requests/:id(\\d+)/reject', async (req, res) => {
+    const { value: reason, errors } = validateRejection(req.body.reason);
+    if (errors) {
+        return res.status(400).json({ message: 'Existem campos inválidos. Corrija-os e tente novamente.', errors });
+    }
+    try {
+        res.json(await rejectChangeRequest(req.params.id, req.user.username, reason));
+    } catch (error) {
+        sendChangeRequestError(res, error);
+    }
+});
+
+// The current user's own requests and their outcome
+app.get('/api/change-requests/mine', async (req, res) => {
+    try {
+        res.json(await listMyChangeRequests(req.user.id));
+    } catch (error) {
+        sendChangeRequestError(res, error);
     }
 });
 
@@ -342,57 +669,104 @@ app.post('/api/login', async (req, res) => {
 // EQUIPMENT ROUTES
 // ------------------------------------------------------------------
 
-app.get('/api/equipment', async (req, res) => {
+// Sends one page when `page` is given, otherwise the whole list. List rows never carry the foto/qrCode blobs.
+const sendList = async (req, res, spec) => {
+    try {
+        if (!isPagedRequest(req.query)) {
+            return res.json(await listAll(spec));
+        }
+        const parsed = parseListQuery(req.query, spec);
+        if (parsed.errors) {
+            return res.status(400).json({ message: 'Parâmetros de consulta inválidos.', errors: parsed.errors });
+        }
+        res.json(await runListQuery(spec, parsed));
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+const sendFilterOptions = async (res, spec) => {
+    try {
+        res.json(await getFilterOptions(spec));
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+// ?page=&pageSize=&q=&status=&setor=&local=&tipo=&brand=&sort=&order=
+app.get('/api/equipment', (req, res) => sendList(req, res, LIST_SPECS.equipment));
+
+app.get('/api/equipment/filters', (req, res) => sendFilterOptions(res, LIST_SPECS.equipment));
+
+// Full record, including the blobs left out of the list
+app.get('/api/equipment/:id(\\d+)', async (req, res) => {
     try {
-        const [rows] = await db.promise().query('SELECT * FROM equipment WHERE approval_status = "approved" ORDER BY id DESC');
-        res.json(rows);
+        const [rows] = await db.promise().query('SELECT * FROM equipment WHERE id = ?', [req.params.id]);
+        if (rows.length === 0) {
+            return res.status(404).json({ message: 'Equipamento não encontrado.' });
+        }
+        res.json(rows[0]);
     } catch (error) {
         res.status(500).json({ message: error.message });
     }
 });
 
-app.post('/api/equipment', async (req, res) => {
-    const { equipment, username } = req.body;
-    const columns = Object.keys(equipment).join(', ');
-    const placeholders = Object.keys(equipment).map(() => '?').join(', ');
-    const values = Object.values(equipment);
+app.post('/api/equipment', validateBody('equipment', EQUIPMENT_SCHEMA, { allowServerManaged: isAdmin }), async (req, res) => {
+    const { equipment } = req.body;
+    const { username } = req.user;
+    // Only Admins publish directly; everything else goes through the approval queue
+    const record = {
+        ...equipment,
+        approval_status: req.user.role === ROLES.ADMIN ? 'approved' : 'pending_approval',
+        created_by_id: req.user.id
+    };
+    const columns = Object.keys(record).join(', ');
+    const placeholders = Object.keys(record).map(() => '?').join(', ');
+    const values = Object.values(record);
     
     try {
         const [result] = await db.promise().query(`INSERT INTO equipment (${columns}) VALUES (${placeholders})`, values);
         const newId = result.insertId;
         
-        await db.promise().query('INSERT INTO equipment_history (equipment_id, timestamp, changedBy, changeType, to_value) VALUES (?, NOW(), ?, ?, ?)', 
-            [newId, username, 'CREATE', JSON.stringify(equipment)]);
-        await db.promise().query('INSERT INTO audit_log (username, action_type, target_type, target_id, details, timestamp) VALUES (?, ?, ?, ?, ?, NOW())', 
-            [username, 'CREATE', 'EQUIPMENT', newId, `Created equipment: ${equipment.equipamento}`]);
+        await recordCreation(newId, username, SOURCES.MANUAL, equipment);
+        await logAudit(username, 'CREATE', 'EQUIPMENT', newId, `Created equipment: ${equipment.equipamento}`);
+        // Records awaiting approval are announced when they are approved
+        if (record.approval_status === 'approved') {
+            emitEquipmentEvent('equipment.created', newId, username);
+        }
             
-        res.json({ id: newId, ...equipment });
+        res.json({ id: newId, ...record });
     } catch (error) {
         res.status(500).json({ message: error.message });
     }
 });
 
-app.put('/api/equipment/:id', async (req, res) => {
+app.put('/api/equipment/:id', validateBody('equipment', EQUIPMENT_SCHEMA, { partial: true, allowServerManaged: isAdmin }), holdForApproval('equipment', ACTIONS.UPDATE), async (req, res) => {
     const { id } = req.params;
-    const { equipment, username } = req.body;
+    const { equipment } = req.body;
+    const { username } = req.user;
+    if (Object.keys(equipment).length === 0) {
+        return res.status(400).json({ message: 'Nenhum campo para atualizar.' });
+    }
     
     try {
         // Get old values for history
         const [oldData] = await db.promise().query('SELECT * FROM equipment WHERE id = ?', [id]);
+        if (oldData.length === 0) {
+            return res.status(404).json({ message: 'Equipamento não encontrado.' });
+        }
         
         const updates = Object.keys(equipment).map(key => `${key} = ?`).join(', ');
         const values = [...Object.values(equipment), id];
         
         await db.promise().query(`UPDATE equipment SET ${updates} WHERE id = ?`, values);
+        const changes = diffRecords(oldData[0], equipment);
+        await recordChanges(id, username, 'UPDATE', SOURCES.MANUAL, changes);
         
-        // Log history
-        if (oldData.length > 0) {
-             await db.promise().query('INSERT INTO equipment_history (equipment_id, timestamp, changedBy, changeType, from_value, to_value) VALUES (?, NOW(), ?, ?, ?, ?)', 
-            [id, username, 'UPDATE', JSON.stringify(oldData[0]), JSON.stringify(equipment)]);
+        await logAudit(username, 'UPDATE', 'EQUIPMENT', id, `Updated equipment: ${equipment.equipamento || oldData[0].equipamento}`);
+        if (oldData[0].approval_status === 'approved') {
+            emitEquipmentEvent('equipment.updated', id, username, { changed_fields: changes.map(change => change.field) });
         }
-        
-        await db.promise().query('INSERT INTO audit_log (username, action_type, target_type, target_id, details, timestamp) VALUES (?, ?, ?, ?, ?, NOW())', 
-            [username, 'UPDATE', 'EQUIPMENT', id, `Updated equipment: ${equipment.equipamento}`]);
             
         res.json({ id, ...equipment });
     } catch (error) {
@@ -400,106 +774,1484 @@ app.put('/api/equipment/:id', async (req, res) => {
     }
 });
 
-app.delete('/api/equipment/:id', async (req, res) => {
+app.delete('/api/equipment/:id', holdForApproval('equipment', ACTIONS.DELETE), async (req, res) => {
     const { id } = req.params;
-    const { username } = req.body; // Username needed for audit log
+    const { username } = req.user;
     
     try {
+        const [oldData] = await db.promise().query('SELECT * FROM equipment WHERE id = ?', [id]);
         await db.promise().query('DELETE FROM equipment WHERE id = ?', [id]);
-        await db.promise().query('INSERT INTO audit_log (username, action_type, target_type, target_id, details, timestamp) VALUES (?, ?, ?, ?, ?, NOW())', 
-            [username, 'DELETE', 'EQUIPMENT', id, 'Deleted equipment']);
+        await logAudit(username, 'DELETE', 'EQUIPMENT', id, 'Deleted equipment');
+        if (oldData.length > 0 && oldData[0].approval_status === 'approved') {
+            emitEquipmentEvent('equipment.deleted', oldData[0], username);
+        }
         res.status(204).send();
     } catch (error) {
         res.status(500).json({ message: error.message });
     }
 });
 
+// Field-level history: one entry per changed field, newest first
 app.get('/api/equipment/:id/history', async (req, res) => {
     const { id } = req.params;
     try {
-        const [rows] = await db.promise().query('SELECT * FROM equipment_history WHERE equipment_id = ? ORDER BY timestamp DESC', [id]);
-        res.json(rows);
+        res.json(await getFieldHistory(id));
     } catch (error) {
         res.status(500).json({ message: error.message });
     }
 });
 
-// PERIODIC UPDATE ROUTE
-app.post('/api/equipment/periodic-update', async (req, res) => {
-    const { equipmentList, username } = req.body;
-    if (!Array.isArray(equipmentList)) {
-        return res.status(400).json({ message: 'Lista de equipamentos inválida.' });
-    }
+const parseHistoryTimestamp = (value) => {
+    const date = new Date(value);
+    return value && !isNaN(date.getTime()) ? date : null;
+};
 
-    const connection = await db.promise().getConnection();
+// Preview of a point-in-time restore: the state at `at` and the fields that would change
+app.get('/api/equipment/:id/history/state', async (req, res) => {
+    const at = parseHistoryTimestamp(req.query.at);
+    if (!at) {
+        return res.status(400).json({ message: 'Data de referência inválida.' });
+    }
     try {
-        await connection.beginTransaction();
-
-        for (const item of equipmentList) {
-            if (!item.serial) continue;
+        const result = await getStateAt(req.params.id, at);
+        if (!result) {
+            return res.status(404).json({ message: 'Equipamento não encontrado.' });
+        }
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Rolls an equipment back to its state at `timestamp`. The rollback is itself recorded in the history.
+app.post('/api/equipment/:id/restore', async (req, res) => {
+    const { id } = req.params;
+    const { username } = req.user;
+    const at = parseHistoryTimestamp(req.body.timestamp);
+    if (!at) {
+        return res.status(400).json({ message: 'Data de referência inválida.' });
+    }
+
+    const connection = await db.promise().getConnection();
+    try {
+        await connection.beginTransaction();
+        const result = await getStateAt(id, at, connection);
+        if (!result) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Equipamento não encontrado.' });
+        }
+        if (!result.existed) {
+            await connection.rollback();
+            return res.status(400).json({ message: 'O equipamento ainda não existia na data escolhida.' });
+        }
+        if (result.changes.length === 0) {
+            await connection.rollback();
+            return res.json({ success: true, message: 'O equipamento já está neste estado. Nada foi alterado.', changes: [] });
+        }
+
+        const updates = result.changes.map(change => `${change.field} = ?`).join(', ');
+        await connection.query(`UPDATE equipment SET ${updates} WHERE id = ?`, [...result.changes.map(change => change.to), id]);
+        await recordChanges(id, username, 'RESTORE', SOURCES.RESTORE, result.changes, connection);
+        await logAudit(username, 'UPDATE', 'EQUIPMENT', id, `Restored equipment to its state at ${at.toISOString()} (${result.changes.length} field(s))`, connection);
+        await connection.commit();
+        emitEquipmentEvent('equipment.updated', id, username, { changed_fields: result.changes.map(change => change.field) });
+
+        res.json({ success: true, message: `${result.changes.length} campo(s) restaurado(s).`, changes: result.changes, unresolved: result.unresolved });
+    } catch (error) {
+        await connection.rollback();
+        res.status(500).json({ message: error.message });
+    } finally {
+        connection.release();
+    }
+});
+
+// Initial consolidation: replaces the whole inventory with { equipmentList }. The history, termos,
+// repairs and audit scans of the removed equipment go with it (ON DELETE CASCADE).
+app.post('/api/equipment/import', async (req, res) => {
+    const { equipmentList } = req.body;
+    const { username } = req.user;
+
+    const connection = await db.promise().getConnection();
+    try {
+        await connection.beginTransaction();
+        const [removed] = await connection.query('DELETE FROM equipment');
+        for (const equipment of equipmentList) {
+            const record = { ...equipment, approval_status: 'approved', created_by_id: req.user.id };
+            const [result] = await connection.query(
+                `INSERT INTO equipment (${Object.keys(record).join(', ')}) VALUES (${Object.keys(record).map(() => '?').join(', ')})`,
+                Object.values(record)
+            );
+            await recordCreation(result.insertId, username, SOURCES.CSV_IMPORT, equipment, connection);
+        }
+        await connection.query(
+            'INSERT INTO app_config (config_key, config_value) VALUES (?, ?) ON DUPLICATE KEY UPDATE config_value = VALUES(config_value)',
+            ['hasInitialConsolidationRun', 'true']
+        );
+        await logAudit(username, 'CREATE', 'EQUIPMENT', null,
+            `Imported ${equipmentList.length} equipment record(s) from the consolidation, replacing ${removed.affectedRows}`, connection);
+        await connection.commit();
+        res.json({ success: true, message: `${equipmentList.length} equipamento(s) importado(s).` });
+    } catch (error) {
+        await connection.rollback();
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ message: 'A planilha tem patrimônios ou números de série repetidos. Nenhuma alteração foi aplicada.' });
+        }
+        res.status(500).json({ message: error.message });
+    } finally {
+        connection.release();
+    }
+});
+
+// CHECK-OUT / CHECK-IN AND TERMOS
+// Both actions update the custody fields together, record them in the history and archive the
+// rendered termo; condicaoTermo stays "Pendente" until the termo is marked as signed.
+
+const sendTermoError = (res, error) => res.status(error.status || 500).json({ message: error.message });
+
+app.post('/api/equipment/:id/check-out', async (req, res) => {
+    const { value, errors } = validateCheckOut(req.body);
+    if (errors) {
+        return res.status(400).json({ message: 'Existem campos inválidos. Corrija-os e tente novamente.', errors });
+    }
+    try {
+        res.json(await checkOut(req.params.id, value, req.user.username));
+    } catch (error) {
+        sendTermoError(res, error);
+    }
+});
+
+app.post('/api/equipment/:id/check-in', async (req, res) => {
+    const { value, errors } = validateCheckIn(req.body);
+    if (errors) {
+        return res.status(400).json({ message: 'Existem campos inválidos. Corrija-os e tente novamente.', errors });
+    }
+    try {
+        res.json(await checkIn(req.params.id, value, req.user.username));
+    } catch (error) {
+        sendTermoError(res, error);
+    }
+});
+
+app.get('/api/equipment/:id/termos', async (req, res) => {
+    try {
+        res.json(await listTermos(req.params.id));
+    } catch (error) {
+        sendTermoError(res, error);
+    }
+});
+
+app.get('/api/termos/pending', async (req, res) => {
+    try {
+        res.json(await listPendingTermos());
+    } catch (error) {
+        sendTermoError(res, error);
+    }
+});
+
+// Archived termo including its rendered content
+app.get('/api/termos/:id(\\d+)', async (req, res) => {
+    try {
+        const termo = await getTermo(req.params.id);
+        if (!termo) {
+            return res.status(404).json({ message: 'Termo não encontrado.' });
+        }
+        res.json(termo);
+    } catch (error) {
+        sendTermoError(res, error);
+    }
+});
+
+app.post('/api/termos/:id(\\d+)/sign', async (req, res) => {
+    try {
+        res.json(await signTermo(req.params.id, req.user.username));
+    } catch (error) {
+        sendTermoError(res, error);
+    }
+});
+
+app.get('/api/termos/:id(\\d+)/pdf', async (req, res) => {
+    try {
+        const { filename, pdf } = await buildTermoPdf(req.params.id);
+        res.set({ 'Content-Type': 'application/pdf', 'Content-Disposition': `attachment; filename="${filename}"` });
+        res.send(pdf);
+    } catch (error) {
+        sendTermoError(res, error);
+    }
+});
+
+// E-mails the termo as a PDF with the SMTP settings. Optional body: { to } overriding the archived e-mail.
+app.post('/api/termos/:id(\\d+)/send', async (req, res) => {
+    const { value, errors } = validateSend(req.body);
+    if (errors) {
+        return res.status(400).json({ message: 'Existem campos inválidos. Corrija-os e tente novamente.', errors });
+    }
+    try {
+        res.json(await sendTermo(req.params.id, value.to, req.user.username));
+    } catch (error) {
+        sendTermoError(res, error);
+    }
+});
+
+// Sends the latest termo of each asset: { equipmentIds: [id] } -> { sent, failed }
+app.post('/api/termos/send', async (req, res) => {
+    const { equipmentIds } = req.body || {};
+    if (!Array.isArray(equipmentIds) || equipmentIds.length === 0 || !equipmentIds.every(id => Number.isInteger(id) && id > 0)) {
+        return res.status(400).json({ message: 'Informe a lista de equipamentos (equipmentIds).' });
+    }
+    try {
+        res.json(await sendLatestTermos([...new Set(equipmentIds)], req.user.username));
+    } catch (error) {
+        sendTermoError(res, error);
+    }
+});
+
+// MAINTENANCE
+// Opening a repair moves the equipment to "MANUTENÇÃO" and closing it puts the previous status back,
+// both recorded in the equipment history (see maintenance.js). For non-admins the status change is
+// submitted for approval instead and the response carries the pending `changeRequest`.
+
+const sendMaintenanceError = (res, error) => res.status(error.status || 500).json({ message: error.message });
+
+app.get('/api/equipment/:id/maintenance', async (req, res) => {
+    try {
+        res.json(await listEquipmentMaintenance(req.params.id));
+    } catch (error) {
+        sendMaintenanceError(res, error);
+    }
+});
+
+app.post('/api/equipment/:id/maintenance', async (req, res) => {
+    const { value, errors } = validateOpenMaintenance(req.body);
+    if (errors) {
+        return res.status(400).json({ message: 'Existem campos inválidos. Corrija-os e tente novamente.', errors });
+    }
+    try {
+        res.status(201).json(await openMaintenance(req.params.id, value, req.user));
+    } catch (error) {
+        sendMaintenanceError(res, error);
+    }
+});
+
+app.get('/api/maintenance/open', async (req, res) => {
+    try {
+        res.json(await listOpenMaintenance());
+    } catch (error) {
+        sendMaintenanceError(res, error);
+    }
+});
+
+// Repairs opened in the period grouped by model or brand: ?groupBy=model|brand&from=&to=
+app.get('/api/maintenance/summary', async (req, res) => {
+    const { value, errors } = parseMaintenanceSummaryQuery(req.query);
+    if (errors) {
+        return res.status(400).json({ message: 'Existem campos inválidos. Corrija-os e tente novamente.', errors });
+    }
+    try {
+        res.json(await buildMaintenanceSummary(value));
+    } catch (error) {
+        sendMaintenanceError(res, error);
+    }
+});
+
+app.put('/api/maintenance/:id(\\d+)', async (req, res) => {
+    const { value, errors } = validateMaintenanceUpdate(req.body);
+    if (errors) {
+        return res.status(400).json({ message: 'Existem campos inválidos. Corrija-os e tente novamente.', errors });
+    }
+    try {
+        res.json(await updateMaintenance(req.params.id, value, req.user.username));
+    } catch (error) {
+        sendMaintenanceError(res, error);
+    }
+});
+
+app.post('/api/maintenance/:id(\\d+)/close', async (req, res) => {
+    const { value, errors } = validateCloseMaintenance(req.body);
+    if (errors) {
+        return res.status(400).json({ message: 'Existem campos inválidos. Corrija-os e tente novamente.', errors });
+    }
+    try {
+        res.json(await closeMaintenance(req.params.id, value, req.user));
+    } catch (error) {
+        sendMaintenanceError(res, error);
+    }
+});
+
+// Template placeholders and the logo are checked here, before the settings handler stores them
+app.post('/api/settings', (req, res, next) => {
+    const errors = validateTermoSettings(req.body && req.body.settings);
+    if (errors) {
+        return res.status(400).json({ message: 'Existem campos inválidos. Corrija-os e tente novamente.', errors });
+    }
+    next();
+});
+
+// QR CODES, LABELS AND PHYSICAL AUDITS
+// Labels encode the asset page of the web app (#/ativo/:id); scanning one during a physical audit
+// session records the asset as found.
+
+const sendLabelError = (res, error) => res.status(error.status || 500).json({ message: error.message });
+
+const parseEquipmentIds = (value) => Array.isArray(value) && value.length > 0 && value.every(id => Number.isInteger(id) && id > 0)
+    ? [...new Set(value)]
+    : null;
+
+// Asset URL and QR code (PNG data URL), refreshing equipment.qrCode when needed
+app.get('/api/equipment/:id(\\d+)/qrcode', async (req, res) => {
+    try {
+        const [{ url, qrCode }] = await ensureQrCodes([Number(req.params.id)]);
+        res.json({ url, qrCode });
+    } catch (error) {
+        sendLabelError(res, error);
+    }
+});
+
+// Printable PDF sheet of labels: { equipmentIds: [id] }
+app.post('/api/equipment/labels', async (req, res) => {
+    const equipmentIds = parseEquipmentIds(req.body && req.body.equipmentIds);
+    if (!equipmentIds) {
+        return res.status(400).json({ message: 'Informe a lista de equipamentos (equipmentIds).' });
+    }
+    try {
+        const pdf = await renderLabelSheet(equipmentIds);
+        res.set({ 'Content-Type': 'application/pdf', 'Content-Disposition': 'attachment; filename="etiquetas.pdf"' });
+        res.send(pdf);
+    } catch (error) {
+        sendLabelError(res, error);
+    }
+});
+
+// The address encoded in the labels must be an absolute http(s) URL
+app.post('/api/settings', (req, res, next) => {
+    const baseUrl = req.body && req.body.settings && req.body.settings[BASE_URL_KEY];
+    if (baseUrl && !/^https?:\/\/[^\s/]+(\/[^\s]*)?$/i.test(baseUrl)) {
+        return res.status(400).json({
+            message: 'Existem campos inválidos. Corrija-os e tente novamente.',
+            errors: { [BASE_URL_KEY]: 'Informe um endereço completo, por exemplo http://inventario.empresa.local.' }
+        });
+    }
+    next();
+});
+
+app.get('/api/physical-audits', async (req, res) => {
+    try {
+        res.json(await listAudits());
+    } catch (error) {
+        sendLabelError(res, error);
+    }
+});
+
+// Starts a session: { name, local? } (local limits the assets expected in the report)
+app.post('/api/physical-audits', async (req, res) => {
+    const { value, errors } = validateAuditInput(req.body);
+    if (errors) {
+        return res.status(400).json({ message: 'Existem campos inválidos. Corrija-os e tente novamente.', errors });
+    }
+    try {
+        res.json(await startAudit(value, req.user.username));
+    } catch (error) {
+        sendLabelError(res, error);
+    }
+});
+
+app.get('/api/physical-audits/:id(\\d+)', async (req, res) => {
+    try {
+        res.json(await getAuditReport(req.params.id));
+    } catch (error) {
+        sendLabelError(res, error);
+    }
+});
+
+app.post('/api/physical-audits/:id(\\d+)/scans', async (req, res) => {
+    const equipmentId = req.body && req.body.equipmentId;
+    if (!Number.isInteger(equipmentId) || equipmentId <= 0) {
+        return res.status(400).json({ message: 'Informe o equipamento (equipmentId).' });
+    }
+    try {
+        res.json(await recordScan(req.params.id, equipmentId, req.user.username));
+    } catch (error) {
+        sendLabelError(res, error);
+    }
+});
+
+app.post('/api/physical-audits/:id(\\d+)/finish', async (req, res) => {
+    try {
+        res.json(await finishAudit(req.params.id, req.user.username));
+    } catch (error) {
+        sendLabelError(res, error);
+    }
+});
+
+// COLLABORATORS AND OFFBOARDING
+// Equipment and licenses are linked to the directory by their holder text when read (collaborators.js);
+// everyone can look the directory up, only admins change it or run offboardings.
+
+const sendCollaboratorError = (res, error) => res.status(error.status || 500).json({ message: error.message });
+
+app.get('/api/collaborators', async (req, res) => {
+    try {
+        res.json(await listCollaborators());
+    } catch (error) {
+        sendCollaboratorError(res, error);
+    }
+});
+
+app.post('/api/collaborators', async (req, res) => {
+    const { value, errors } = validateCollaborator(req.body);
+    if (errors) {
+        return res.status(400).json({ message: 'Existem campos inválidos. Corrija-os e tente novamente.', errors });
+    }
+    try {
+        res.status(201).json(await createCollaborator(value, req.user.username));
+    } catch (error) {
+        sendCollaboratorError(res, error);
+    }
+});
+
+// Holders waiting for review (similar or repeated names) and holders that match nobody
+app.get('/api/collaborators/matching', async (req, res) => {
+    try {
+        res.json(await getMatchingReport());
+    } catch (error) {
+        sendCollaboratorError(res, error);
+    }
+});
+
+// { holder, collaboratorId | null, itemType?, itemId? }: without an item it links every record with that spelling
+app.post('/api/collaborators/matching/decisions', async (req, res) => {
+    const { value, errors } = validateMatchDecision(req.body);
+    if (errors) {
+        return res.status(400).json({ message: 'Existem campos inválidos. Corrija-os e tente novamente.', errors });
+    }
+    try {
+        await decideMatch(value, req.user.username);
+        res.json(await getMatchingReport());
+    } catch (error) {
+        sendCollaboratorError(res, error);
+    }
+});
+
+app.delete('/api/collaborators/aliases/:key', async (req, res) => {
+    try {
+        await removeAlias(req.params.key, req.user.username);
+        res.status(204).end();
+    } catch (error) {
+        sendCollaboratorError(res, error);
+    }
+});
+
+// { holderKeys? }: creates collaborators for the unmatched holders (all of them when omitted)
+app.post('/api/collaborators/import-from-inventory', async (req, res) => {
+    const { value, errors } = validateImportSelection(req.body);
+    if (errors) {
+        return res.status(400).json({ message: 'Existem campos inválidos. Corrija-os e tente novamente.', errors });
+    }
+    try {
+        res.json(await importFromInventory(value, req.user.username));
+    } catch (error) {
+        sendCollaboratorError(res, error);
+    }
+});
+
+app.get('/api/collaborators/:id(\\d+)', async (req, res) => {
+    try {
+        res.json(await getCollaboratorProfile(req.params.id));
+    } catch (error) {
+        sendCollaboratorError(res, error);
+    }
+});
+
+app.put('/api/collaborators/:id(\\d+)', async (req, res) => {
+    const { value, errors } = validateCollaborator(req.body, { partial: true });
+    if (errors) {
+        return res.status(400).json({ message: 'Existem campos inválidos. Corrija-os e tente novamente.', errors });
+    }
+    try {
+        res.json(await updateCollaborator(req.params.id, value, req.user.username));
+    } catch (error) {
+        sendCollaboratorError(res, error);
+    }
+});
+
+// Opens the checklist with everything the collaborator holds: { notes? }
+app.post('/api/collaborators/:id(\\d+)/offboarding', async (req, res) => {
+    const { value, errors } = validateOffboardingStart(req.body);
+    if (errors) {
+        return res.status(400).json({ message: 'Existem campos inválidos. Corrija-os e tente novamente.', errors });
+    }
+    try {
+        res.status(201).json(await startOffboarding(req.params.id, value, req.user.username));
+    } catch (error) {
+        sendCollaboratorError(res, error);
+    }
+});
+
+app.get('/api/offboardings', async (req, res) => {
+    const { value, errors } = validateOffboardingFilter(req.query);
+    if (errors) {
+        return res.status(400).json({ message: 'Existem campos inválidos. Corrija-os e tente novamente.', errors });
+    }
+    try {
+        res.json(await listOffboardings(value));
+    } catch (error) {
+        sendCollaboratorError(res, error);
+    }
+});
+
+app.get('/api/offboardings/:id(\\d+)', async (req, res) => {
+    try {
+        res.json(await getOffboarding(req.params.id));
+    } catch (error) {
+        sendCollaboratorError(res, error);
+    }
+});
+
+// { resolution: 'returned' | 'waived', notes?, checkIn? }: checkIn takes the same fields as the equipment check-in
+app.post('/api/offboardings/:id(\\d+)/items/:itemId(\\d+)', async (req, res) => {
+    const { value, errors } = validateItemResolution(req.body);
+    if (errors) {
+        return res.status(400).json({ message: 'Existem campos inválidos. Corrija-os e tente novamente.', errors });
+    }
+    try {
+        res.json(await resolveOffboardingItem(req.params.id, req.params.itemId, value, req.user.username));
+    } catch (error) {
+        sendCollaboratorError(res, error);
+    }
+});
+
+app.post('/api/offboardings/:id(\\d+)/cancel', async (req, res) => {
+    try {
+        res.json(await cancelOffboarding(req.params.id, req.user.username));
+    } catch (error) {
+        sendCollaboratorError(res, error);
+    }
+});
+
+// AI ASSISTANT QUERIES
+// The local model only translates the question into a query spec (aiQuery.js); the spec is validated
+// and run here, and returned with the results so the user can review and edit it.
+
+const sendQueryError = (res, error) => res.status(error.status || 500).json({ message: error.message, ...(error.errors ? { errors: error.errors } : {}) });
+
+app.get('/api/ai/query/schema', (req, res) => {
+    res.json(getQuerySchema());
+});
+
+// { question, history: [{ question, spec }] } -> { spec, explanation, rows | total | groups }
+app.post('/api/ai/query', async (req, res) => {
+    const { value: question, errors } = validateQuestion(req.body.question);
+    if (errors) {
+        return res.status(400).json({ message: 'Existem campos inválidos. Corrija-os e tente novamente.', errors });
+    }
+    try {
+        const { spec, explanation } = await interpretQuestion(question, req.body.history);
+        res.json({ spec, explanation, ...(await runQuerySpec(spec)) });
+    } catch (error) {
+        sendQueryError(res, error);
+    }
+});
+
+// Runs a spec edited by the user, without asking the model again
+app.post('/api/ai/query/run', async (req, res) => {
+    const { value: spec, errors } = validateQuerySpec(req.body.spec);
+    if (errors) {
+        return res.status(400).json({ message: 'A consulta tem campos inválidos.', errors });
+    }
+    try {
+        res.json({ spec, ...(await runQuerySpec(spec)) });
+    } catch (error) {
+        sendQueryError(res, error);
+    }
+});
+
+// LICENSES
+// Same approval rules as the equipment: only Admins publish directly, and edits or deletions by
+// anyone else are held as change requests.
+
+const TOTALS_KEY = 'licenseTotals';
+
+app.post('/api/licenses', async (req, res) => {
+    const { license } = req.body;
+    const { username } = req.user;
+    const record = {
+        ...license,
+        approval_status: isAdmin(req) ? 'approved' : 'pending_approval',
+        created_by_id: req.user.id
+    };
+    const columns = Object.keys(record).join(', ');
+    const placeholders = Object.keys(record).map(() => '?').join(', ');
+
+    try {
+        const [result] = await db.promise().query(`INSERT INTO licenses (${columns}) VALUES (${placeholders})`, Object.values(record));
+        await logAudit(username, 'CREATE', 'LICENSE', result.insertId, `Created license: ${license.produto} (${license.usuario})`);
+        res.json({ id: result.insertId, ...record });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+app.put('/api/licenses/:id', holdForApproval('license', ACTIONS.UPDATE), async (req, res) => {
+    const { id } = req.params;
+    const { license } = req.body;
+    if (Object.keys(license).length === 0) {
+        return res.status(400).json({ message: 'Nenhum campo para atualizar.' });
+    }
+
+    try {
+        const [oldData] = await db.promise().query('SELECT * FROM licenses WHERE id = ?', [id]);
+        if (oldData.length === 0) {
+            return res.status(404).json({ message: 'Licença não encontrada.' });
+        }
+        const updates = Object.keys(license).map(key => `${key} = ?`).join(', ');
+        await db.promise().query(`UPDATE licenses SET ${updates} WHERE id = ?`, [...Object.values(license), id]);
+        await logAudit(req.user.username, 'UPDATE', 'LICENSE', id, `Updated license: ${license.produto || oldData[0].produto} (${Object.keys(license).join(', ')})`);
+        res.json({ id, ...license });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+app.delete('/api/licenses/:id', holdForApproval('license', ACTIONS.DELETE), async (req, res) => {
+    const { id } = req.params;
+    try {
+        const [oldData] = await db.promise().query('SELECT * FROM licenses WHERE id = ?', [id]);
+        if (oldData.length === 0) {
+            return res.status(404).json({ message: 'Licença não encontrada.' });
+        }
+        await db.promise().query('DELETE FROM licenses WHERE id = ?', [id]);
+        await logAudit(req.user.username, 'DELETE', 'LICENSE', id, `Deleted license: ${oldData[0].produto} (${oldData[0].usuario})`);
+        res.status(204).send();
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Replaces every license of one product: { productName, licenses } (rows without produto)
+app.post('/api/licenses/import', async (req, res) => {
+    const { licenses } = req.body;
+    const productName = typeof req.body.productName === 'string' ? req.body.productName.trim() : '';
+    if (!productName) {
+        return res.status(400).json({ message: 'Existem campos inválidos. Corrija-os e tente novamente.', errors: { productName: 'Informe o produto.' } });
+    }
+
+    const connection = await db.promise().getConnection();
+    try {
+        await connection.beginTransaction();
+        const [removed] = await connection.query('DELETE FROM licenses WHERE produto = ?', [productName]);
+        for (const license of licenses) {
+            const record = { ...license, produto: productName, approval_status: 'approved', created_by_id: req.user.id };
+            await connection.query(
+                `INSERT INTO licenses (${Object.keys(record).join(', ')}) VALUES (${Object.keys(record).map(() => '?').join(', ')})`,
+                Object.values(record)
+            );
+        }
+        await logAudit(req.user.username, 'CREATE', 'LICENSE', null,
+            `Imported ${licenses.length} license(s) for ${productName}, replacing ${removed.affectedRows}`, connection);
+        await connection.commit();
+        res.json({ success: true, message: `${licenses.length} licença(s) importada(s) para o produto "${productName}".` });
+    } catch (error) {
+        await connection.rollback();
+        res.status(500).json({ message: error.message });
+    } finally {
+        connection.release();
+    }
+});
+
+// Seats purchased per product: { produto: total }
+app.get('/api/licenses/totals', async (req, res) => {
+    try {
+        const [rows] = await db.promise().query('SELECT config_value FROM app_config WHERE config_key = ?', [TOTALS_KEY]);
+        res.json(rows.length > 0 && rows[0].config_value ? JSON.parse(rows[0].config_value) : {});
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// { totals: { produto: total } }
+app.post('/api/licenses/totals', async (req, res) => {
+    const { totals } = req.body;
+    if (!totals || typeof totals !== 'object' || Array.isArray(totals)) {
+        return res.status(400).json({ message: 'Existem campos inválidos. Corrija-os e tente novamente.', errors: { totals: 'Informe o total por produto.' } });
+    }
+    const errors = Object.fromEntries(Object.entries(totals)
+        .filter(([, total]) => !Number.isInteger(total) || total < 0)
+        .map(([produto]) => [produto, 'Informe um número inteiro maior ou igual a zero.']));
+    if (Object.keys(errors).length > 0) {
+        return res.status(400).json({ message: 'Existem campos inválidos. Corrija-os e tente novamente.', errors });
+    }
+    try {
+        await db.promise().query(
+            'INSERT INTO app_config (config_key, config_value) VALUES (?, ?) ON DUPLICATE KEY UPDATE config_value = VALUES(config_value)',
+            [TOTALS_KEY, JSON.stringify(totals)]
+        );
+        await logAudit(req.user.username, 'SETTINGS_UPDATE', 'SETTINGS', TOTALS_KEY,
+            `License totals: ${Object.entries(totals).map(([produto, total]) => `${produto} = ${total}`).join(', ') || 'none'}`);
+        res.json({ success: true, message: 'Totais de licenças salvos com sucesso.' });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// { oldName, newName }: renames the product in its licenses and in the purchased totals
+app.post('/api/licenses/rename-product', async (req, res) => {
+    const oldName = typeof req.body.oldName === 'string' ? req.body.oldName.trim() : '';
+    const newName = typeof req.body.newName === 'string' ? req.body.newName.trim() : '';
+    const errors = {
+        ...(oldName ? {} : { oldName: 'Informe o produto.' }),
+        ...(newName && newName.length <= 255 ? {} : { newName: 'Informe o novo nome (até 255 caracteres).' })
+    };
+    if (Object.keys(errors).length > 0) {
+        return res.status(400).json({ message: 'Existem campos inválidos. Corrija-os e tente novamente.', errors });
+    }
+
+    const connection = await db.promise().getConnection();
+    try {
+        await connection.beginTransaction();
+        const [result] = await connection.query('UPDATE licenses SET produto = ? WHERE produto = ?', [newName, oldName]);
+        const [rows] = await connection.query('SELECT config_value FROM app_config WHERE config_key = ? FOR UPDATE', [TOTALS_KEY]);
+        const totals = rows.length > 0 && rows[0].config_value ? JSON.parse(rows[0].config_value) : {};
+        if (oldName in totals) {
+            const { [oldName]: total, ...others } = totals;
+            await connection.query('UPDATE app_config SET config_value = ? WHERE config_key = ?', [JSON.stringify({ ...others, [newName]: total }), TOTALS_KEY]);
+        }
+        await logAudit(req.user.username, 'UPDATE', 'LICENSE', null, `Renamed product "${oldName}" to "${newName}" (${result.affectedRows} license(s))`, connection);
+        await connection.commit();
+        res.json({ success: true, message: `Produto renomeado em ${result.affectedRows} licença(s).` });
+    } catch (error) {
+        await connection.rollback();
+        res.status(500).json({ message: error.message });
+    } finally {
+        connection.release();
+    }
+});
+
+// PAGED LICENSE AND AUDIT LOG LISTS
+// Without `page` these return the whole list, as the older screens expect.
+
+// ?page=&pageSize=&q=&produto=&setor=&tipoLicenca=&sort=&order=
+app.get('/api/licenses', (req, res) => sendList(req, res, LIST_SPECS.licenses));
+
+// Approved licenses per product matching ?q= (all of them without q): { produto: count }
+app.get('/api/licenses/summary', async (req, res) => {
+    const parsed = parseListQuery({ q: req.query.q }, LIST_SPECS.licenses);
+    try {
+        res.json(await countByColumn(LIST_SPECS.licenses, parsed, 'produto'));
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// ?page=&pageSize=&q=&username=&action_type=&target_type=&from=&to=&sort=&order=
+app.get('/api/audit-log', (req, res) => sendList(req, res, LIST_SPECS.auditLog));
+
+app.get('/api/audit-log/filters', (req, res) => sendFilterOptions(res, LIST_SPECS.auditLog));
+
+// AUDIT TRAIL (hash chain verification, retention and archives, exports and client-side errors)
+
+const sendAuditTrailError = (res, error) => res.status(error.status || 500).json({ message: error.message });
+
+app.get('/api/audit-log/verify', async (req, res) => {
+    try {
+        res.json(await verifyAuditChain(req.user.username));
+    } catch (error) {
+        sendAuditTrailError(res, error);
+    }
+});
+
+// Same filters as the paged list, plus ?format=csv|json. Streams the whole filtered set, oldest first.
+app.get('/api/audit-log/export', async (req, res) => {
+    const { value, errors } = parseExportQuery(req.query);
+    if (errors) {
+        return res.status(400).json({ message: 'Existem campos inválidos. Corrija-os e tente novamente.', errors });
+    }
+    const filters = Object.fromEntries(['q', 'username', 'action_type', 'target_type', 'from', 'to']
+        .filter(key => typeof req.query[key] === 'string' && req.query[key] !== '')
+        .map(key => [key, req.query[key]]));
+    const filename = `auditoria-${new Date().toISOString().slice(0, 10)}.${value.format}`;
+    res.set({
+        'Content-Type': value.format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${filename}"`
+    });
+    try {
+        await writeAuditExport(value, filters, req.user.username, chunk => res.write(chunk));
+        res.end();
+    } catch (error) {
+        // Headers (and maybe part of the file) are already out: cut the download short
+        console.error('Audit export error:', error.message);
+        res.destroy(error);
+    }
+});
+
+app.get('/api/audit-log/retention', async (req, res) => {
+    try {
+        res.json(await getRetentionSettings());
+    } catch (error) {
+        sendAuditTrailError(res, error);
+    }
+});
+
+app.put('/api/audit-log/retention', async (req, res) => {
+    const { value, errors } = validateRetentionSettings(req.body);
+    if (errors) {
+        return res.status(400).json({ message: 'Existem campos inválidos. Corrija-os e tente novamente.', errors });
+    }
+    try {
+        await saveRetentionSettings(value);
+        await logAudit(req.user.username, 'SETTINGS_UPDATE', 'SETTINGS', 'auditRetention',
+            `Audit archiving ${value.archiveEnabled ? 'enabled' : 'disabled'}: entries older than ${value.retentionDays} days; client errors kept ${value.clientErrorRetentionDays} days`);
+        res.json(value);
+    } catch (error) {
+        sendAuditTrailError(res, error);
+    }
+});
+
+app.get('/api/audit-log/archives', async (req, res) => {
+    try {
+        res.json(await listArchives());
+    } catch (error) {
+        sendAuditTrailError(res, error);
+    }
+});
+
+// Archives now with the configured retention, whether or not automatic archiving is on
+app.post('/api/audit-log/archives', async (req, res) => {
+    try {
+        const { retentionDays } = await getRetentionSettings();
+        const archive = await archiveOldEntries({ retentionDays, username: req.user.username });
+        if (!archive) {
+            return res.json({ archive: null, message: `Nenhum registro com mais de ${retentionDays} dias para arquivar.` });
+        }
+        res.status(201).json({ archive, message: `${archive.entry_count} registros movidos para ${archive.file_name}.` });
+    } catch (error) {
+        sendAuditTrailError(res, error);
+    }
+});
+
+app.get('/api/audit-log/archives/:id(\\d+)/download', async (req, res) => {
+    try {
+        const { archive, filePath } = await getArchiveFile(req.params.id);
+        res.download(filePath, archive.file_name);
+    } catch (error) {
+        sendAuditTrailError(res, error);
+    }
+});
+
+// ?page=&pageSize=&q=&username=&type=&from=&to=&sort=&order=
+app.get('/api/audit-log/client-errors', (req, res) => sendList(req, res, LIST_SPECS.clientErrors));
+
+app.get('/api/audit-log/client-errors/filters', (req, res) => sendFilterOptions(res, LIST_SPECS.clientErrors));
+
+// Any signed-in user: the web app reports the errors its LogService collected
+app.post('/api/client-errors', async (req, res) => {
+    const { value, errors } = validateClientErrors(req.body);
+    if (errors) {
+        return res.status(400).json({ message: 'Existem campos inválidos. Corrija-os e tente novamente.', errors });
+    }
+    try {
+        const stored = await recordClientErrors(value, req.user.username, req.get('user-agent'));
+        res.status(202).json({ stored });
+    } catch (error) {
+        sendAuditTrailError(res, error);
+    }
+});
+
+// IMPORT PROFILES (named column mappings shared by every import screen)
+
+app.get('/api/import-profiles', async (req, res) => {
+    try {
+        res.json(await listProfiles(req.query.target));
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+app.post('/api/import-profiles', async (req, res) => {
+    const { value, errors } = validateProfile(req.body);
+    if (errors) {
+        return res.status(400).json({ message: 'Existem campos inválidos. Corrija-os e tente novamente.', errors });
+    }
+    try {
+        const profile = await createProfile(value, req.user.username);
+        await logAudit(req.user.username, 'CREATE', 'SETTINGS', profile.id, `Created import profile "${profile.name}" (${profile.target})`);
+        res.status(201).json(profile);
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ message: `Já existe um perfil de importação chamado "${value.name}".` });
+        }
+        res.status(500).json({ message: error.message });
+    }
+});
+
+app.put('/api/import-profiles/:id', async (req, res) => {
+    const { value, errors } = validateProfile(req.body);
+    if (errors) {
+        return res.status(400).json({ message: 'Existem campos inválidos. Corrija-os e tente novamente.', errors });
+    }
+    try {
+        if (!(await getProfile(req.params.id))) {
+            return res.status(404).json({ message: 'Perfil de importação não encontrado.' });
+        }
+        const profile = await updateProfile(req.params.id, value, req.user.username);
+        await logAudit(req.user.username, 'UPDATE', 'SETTINGS', profile.id, `Updated import profile "${profile.name}" (${profile.target})`);
+        res.json(profile);
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ message: `Já existe um perfil de importação chamado "${value.name}".` });
+        }
+        res.status(500).json({ message: error.message });
+    }
+});
+
+app.delete('/api/import-profiles/:id', async (req, res) => {
+    try {
+        const profile = await getProfile(req.params.id);
+        if (!profile) {
+            return res.status(404).json({ message: 'Perfil de importação não encontrado.' });
+        }
+        await deleteProfile(req.params.id);
+        await logAudit(req.user.username, 'DELETE', 'SETTINGS', profile.id, `Deleted import profile "${profile.name}" (${profile.target})`);
+        res.status(204).send();
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Per-row validation of mapped rows, before the import screen shows its preview: { target, rows, requiredFields }
+app.post('/api/import/validate', (req, res) => {
+    const { target, rows, requiredFields } = req.body;
+    if (!IMPORT_TARGETS[target]) {
+        return res.status(400).json({ message: 'Tipo de importação inválido.' });
+    }
+    if (!Array.isArray(rows)) {
+        return res.status(400).json({ message: 'Lista de registros inválida.' });
+    }
+    const rowErrors = validateImportRows(target, rows, Array.isArray(requiredFields) ? requiredFields : []);
+    res.json({ total: rows.length, valid: rows.length - rowErrors.length, rowErrors });
+});
 
-            // Check if equipment exists by serial
-            const [existing] = await connection.query('SELECT * FROM equipment WHERE serial = ?', [item.serial]);
-            
-            if (existing.length > 0) {
-                // Update existing
-                const current = existing[0];
-                let hasChanges = false;
-                const updates = [];
-                const values = [];
-                const historyEntries = [];
-
-                for (const key in item) {
-                    // Skip special fields or fields that match existing data
-                    if (key !== 'id' && item[key] !== undefined && item[key] !== null && String(item[key]) !== String(current[key])) {
-                        updates.push(`${key} = ?`);
-                        values.push(item[key]);
-                        hasChanges = true;
-                        
-                        // Prepare history entry
-                        historyEntries.push({
-                            equipment_id: current.id,
-                            changedBy: username,
-                            changeType: 'UPDATE (AUTO)',
-                            from_value: String(current[key] || ''),
-                            to_value: String(item[key])
-                        });
-                    }
-                }
-
-                if (hasChanges) {
-                    values.push(current.id);
-                    await connection.query(`UPDATE equipment SET ${updates.join(', ')} WHERE id = ?`, values);
-                    
-                    // Insert history
-                    for (const entry of historyEntries) {
-                        // Use equipment_id (snake_case) and explicitly set timestamp with NOW() to avoid "Field doesn't have a default value" error
-                        await connection.query(
-                            'INSERT INTO equipment_history (equipment_id, timestamp, changedBy, changeType, from_value, to_value) VALUES (?, NOW(), ?, ?, ?, ?)',
-                            [entry.equipment_id, entry.changedBy, entry.changeType, entry.from_value, entry.to_value]
-                        );
-                    }
-                }
-            } else {
-                // Insert new
-                const columns = Object.keys(item).filter(k => item[k] !== undefined);
-                if (columns.length === 0) continue;
-                
-                const placeholders = columns.map(() => '?').join(', ');
-                const values = columns.map(k => item[k]);
-                
-                columns.push('approval_status');
-                values.push('approved');
-                const placeholdersFinal = placeholders + ', ?';
-
-                const [result] = await connection.query(
-                    `INSERT INTO equipment (${columns.join(', ')}) VALUES (${placeholdersFinal})`,
-                    values
-                );
-                
-                const newId = result.insertId;
-                // History log for creation
-                // Explicit timestamp NOW()
-                await connection.query(
-                    'INSERT INTO equipment_history (equipment_id, timestamp, changedBy, changeType, from_value, to_value) VALUES (?, NOW(), ?, ?, ?, ?)',
-                    [newId, username, 'CREATE (IMPORT)', null, 'Importado via Atualização Periódica
\ No newline at end of file
+// LICENSE COMPLIANCE (expiration windows, over-allocation and the scheduled e-mail digest)
+
+app.get('/api/licenses/compliance', async (req, res) => {
+    try {
+        const settings = await getAlertSettings();
+        res.json(await buildComplianceReport(settings.windows));
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// --- ANALYTICS ---
+app.get('/api/analytics', async (req, res) => {
+    const { value, errors } = parseAnalyticsQuery(req.query);
+    if (errors) {
+        return res.status(400).json({ message: 'Existem campos inválidos. Corrija-os e tente novamente.', errors });
+    }
+    try {
+        res.json(await buildAnalytics(value));
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+app.get('/api/analytics/drilldown', async (req, res) => {
+    const { value, errors } = parseAnalyticsQuery(req.query);
+    if (errors) {
+        return res.status(400).json({ message: 'Existem campos inválidos. Corrija-os e tente novamente.', errors });
+    }
+    try {
+        res.json(await buildDrilldown(value, req.query.widget, req.query.key, req.query.kind));
+    } catch (error) {
+        res.status(error.status || 500).json({ message: error.message, ...(error.errors ? { errors: error.errors } : {}) });
+    }
+});
+
+app.get('/api/licenses/alerts/settings', async (req, res) => {
+    try {
+        const [rows] = await db.promise().query('SELECT config_value FROM app_config WHERE config_key = "licenseAlertLastRun"');
+        res.json({ ...(await getAlertSettings()), lastRun: rows.length > 0 ? rows[0].config_value : null });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+app.put('/api/licenses/alerts/settings', async (req, res) => {
+    const { value, errors } = validateAlertSettings(req.body);
+    if (errors) {
+        return res.status(400).json({ message: 'Existem campos inválidos. Corrija-os e tente novamente.', errors });
+    }
+    try {
+        await saveAlertSettings(value);
+        await logAudit(req.user.username, 'SETTINGS_UPDATE', 'SETTINGS', 'licenseAlertSettings', `License alerts ${value.enabled ? 'enabled' : 'disabled'}, windows: ${value.windows.join('/')} days`);
+        res.json(value);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Sends the full current digest now, regardless of what was already notified
+app.post('/api/licenses/alerts/run', async (req, res) => {
+    try {
+        const result = await runLicenseAlerts({ force: true, username: req.user.username });
+        if (result.sentTo.length === 0 && result.failed.length > 0) {
+            return res.status(502).json({ message: `Falha ao enviar o resumo: ${result.failed[0].error}`, ...result });
+        }
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// LICENSE RECONCILIATION (licenses matched to the equipment inventory and its users, licenseReconciliation.js)
+// Everyone can read the report; rules and fixes are for admins.
+
+const sendReconciliationError = (res, error) => res.status(error.status || 500).json({ message: error.message });
+
+app.get('/api/licenses/reconciliation', async (req, res) => {
+    try {
+        res.json(await buildReconciliation());
+    } catch (error) {
+        sendReconciliationError(res, error);
+    }
+});
+
+// { rules: [{ id?, field, contains, produto, coverage }] }: which devices need which product
+app.put('/api/licenses/reconciliation/rules', async (req, res) => {
+    const { value, errors } = validateReconciliationRules(req.body);
+    if (errors) {
+        return res.status(400).json({ message: 'Existem campos inválidos. Corrija-os e tente novamente.', errors });
+    }
+    try {
+        await saveReconciliationRules(value.rules);
+        await logAudit(req.user.username, 'SETTINGS_UPDATE', 'SETTINGS', 'licenseReconciliationRules',
+            `License reconciliation rules: ${value.rules.map(rule => `${rule.field} contains "${rule.contains}" needs ${rule.produto} per ${rule.coverage}`).join('; ') || 'none'}`);
+        res.json(await buildReconciliation());
+    } catch (error) {
+        sendReconciliationError(res, error);
+    }
+});
+
+// { findingKey, action: release | reassign | move | dismiss, equipmentId?, licenseId?, reason? }
+app.post('/api/licenses/reconciliation/actions', async (req, res) => {
+    const { value, errors } = validateReconciliationAction(req.body);
+    if (errors) {
+        return res.status(400).json({ message: 'Existem campos inválidos. Corrija-os e tente novamente.', errors });
+    }
+    try {
+        res.json(await applyReconciliationAction(value, req.user.username));
+    } catch (error) {
+        sendReconciliationError(res, error);
+    }
+});
+
+app.delete('/api/licenses/reconciliation/dismissals/:key', async (req, res) => {
+    try {
+        await restoreDismissal(req.params.key, req.user.username);
+        res.json(await buildReconciliation());
+    } catch (error) {
+        sendReconciliationError(res, error);
+    }
+});
+
+// API KEYS AND WEBHOOKS
+// Managed by Admins in Settings (the /api/settings guard). The keys authenticate /api/v1 (publicApi.js);
+// webhooks receive signed events and keep a delivery log (webhooks.js).
+
+const sendIntegrationError = (res, error) => res.status(error.status || 500).json({ message: error.message });
+
+app.get('/api/settings/api-keys', async (req, res) => {
+    try {
+        res.json(await listApiKeys());
+    } catch (error) {
+        sendIntegrationError(res, error);
+    }
+});
+
+// { name, scopes } -> { apiKey, key }. The key is only shown in this response.
+app.post('/api/settings/api-keys', async (req, res) => {
+    const { value, errors } = validateApiKeyInput(req.body);
+    if (errors) {
+        return res.status(400).json({ message: 'Existem campos inválidos. Corrija-os e tente novamente.', errors });
+    }
+    try {
+        res.status(201).json(await createApiKey(value, req.user.username));
+    } catch (error) {
+        sendIntegrationError(res, error);
+    }
+});
+
+app.post('/api/settings/api-keys/:id(\\d+)/revoke', async (req, res) => {
+    try {
+        res.json(await revokeApiKey(req.params.id, req.user.username));
+    } catch (error) {
+        sendIntegrationError(res, error);
+    }
+});
+
+app.get('/api/settings/webhooks', async (req, res) => {
+    try {
+        res.json(await listWebhooks());
+    } catch (error) {
+        sendIntegrationError(res, error);
+    }
+});
+
+// { name, url, events, active? } -> the webhook with its secret
+app.post('/api/settings/webhooks', async (req, res) => {
+    const { value, errors } = validateWebhook(req.body);
+    if (errors) {
+        return res.status(400).json({ message: 'Existem campos inválidos. Corrija-os e tente novamente.', errors });
+    }
+    try {
+        res.status(201).json(await createWebhook(value, req.user.username));
+    } catch (error) {
+        sendIntegrationError(res, error);
+    }
+});
+
+app.put('/api/settings/webhooks/:id(\\d+)', async (req, res) => {
+    const { value, errors } = validateWebhook(req.body, { partial: true });
+    if (errors) {
+        return res.status(400).json({ message: 'Existem campos inválidos. Corrija-os e tente novamente.', errors });
+    }
+    try {
+        res.json(await updateWebhook(req.params.id, value, req.user.username));
+    } catch (error) {
+        sendIntegrationError(res, error);
+    }
+});
+
+app.delete('/api/settings/webhooks/:id(\\d+)', async (req, res) => {
+    try {
+        await deleteWebhook(req.params.id, req.user.username);
+        res.status(204).send();
+    } catch (error) {
+        sendIntegrationError(res, error);
+    }
+});
+
+app.post('/api/settings/webhooks/:id(\\d+)/rotate-secret', async (req, res) => {
+    try {
+        res.json(await rotateWebhookSecret(req.params.id, req.user.username));
+    } catch (error) {
+        sendIntegrationError(res, error);
+    }
+});
+
+// Sends a ping right away and returns the delivery with the receiver's response
+app.post('/api/settings/webhooks/:id(\\d+)/test', async (req, res) => {
+    try {
+        res.json(await sendTestEvent(req.params.id, req.user.username));
+    } catch (error) {
+        sendIntegrationError(res, error);
+    }
+});
+
+// ?webhookId=&status=pending|delivered|failed
+app.get('/api/settings/webhook-deliveries', async (req, res) => {
+    const { value, errors } = validateDeliveryFilter(req.query);
+    if (errors) {
+        return res.status(400).json({ message: 'Parâmetros de consulta inválidos.', errors });
+    }
+    try {
+        res.json(await listDeliveries(value));
+    } catch (error) {
+        sendIntegrationError(res, error);
+    }
+});
+
+app.post('/api/settings/webhook-deliveries/:id(\\d+)/redeliver', async (req, res) => {
+    try {
+        res.json(await redeliver(req.params.id, req.user.username));
+    } catch (error) {
+        sendIntegrationError(res, error);
+    }
+});
+
+// DATABASE BACKUPS (checksummed dumps in BACKUP_DIR, restore, clear and the backup schedule)
+
+const sendBackupError = (res, error) => res.status(error.status || 500).json({ message: error.message });
+
+app.get('/api/database/backups', async (req, res) => {
+    try {
+        res.json(await listBackups());
+    } catch (error) {
+        sendBackupError(res, error);
+    }
+});
+
+app.get('/api/database/backup-status', async (req, res) => {
+    try {
+        const latest = await getLatestBackup();
+        res.json(latest ? { hasBackup: true, backupTimestamp: latest.createdAt, backupId: latest.id } : { hasBackup: false });
+    } catch (error) {
+        sendBackupError(res, error);
+    }
+});
+
+app.post('/api/database/backup', async (req, res) => {
+    try {
+        const backup = await createBackup({ username: req.user.username });
+        res.status(201).json({ success: true, message: `Backup ${backup.id} criado com sucesso.`, backupTimestamp: backup.createdAt, backup });
+    } catch (error) {
+        sendBackupError(res, error);
+    }
+});
+
+app.get('/api/database/backups/:id/verify', async (req, res) => {
+    try {
+        res.json(await verifyBackup(req.params.id));
+    } catch (error) {
+        sendBackupError(res, error);
+    }
+});
+
+app.delete('/api/database/backups/:id', async (req, res) => {
+    try {
+        await deleteBackup(req.params.id, { username: req.user.username });
+        res.status(204).send();
+    } catch (error) {
+        sendBackupError(res, error);
+    }
+});
+
+// { backupId } restores that backup; without it, the most recent one (what older clients send)
+app.post('/api/database/restore', async (req, res) => {
+    try {
+        const backupId = req.body.backupId || (await getLatestBackup() || {}).id;
+        if (!backupId) {
+            return res.status(404).json({ message: 'Nenhum backup disponível para restaurar.' });
+        }
+        const result = await restoreBackup(backupId, { username: req.user.username });
+        res.json({ success: true, message: `Backup ${backupId} restaurado com sucesso. Um backup dos dados anteriores foi salvo como ${result.safetyBackupId}.`, result });
+    } catch (error) {
+        sendBackupError(res, error);
+    }
+});
+
+app.post('/api/database/clear', async (req, res) => {
+    try {
+        const result = await clearDatabase({ username: req.user.username, reseedMigrationIds: SEED_MIGRATION_IDS });
+        await runMigrations({ exitOnFailure: false });
+        res.json({ success: true, message: `Banco de dados zerado. Um backup dos dados anteriores foi salvo como ${result.safetyBackupId}.`, result });
+    } catch (error) {
+        sendBackupError(res, error);
+    }
+});
+
+app.get('/api/database/backup-schedule', async (req, res) => {
+    try {
+        res.json(await getBackupSchedule());
+    } catch (error) {
+        sendBackupError(res, error);
+    }
+});
+
+app.put('/api/database/backup-schedule', async (req, res) => {
+    const { value, errors } = validateBackupSchedule(req.body);
+    if (errors) {
+        return res.status(400).json({ message: 'Existem campos inválidos. Corrija-os e tente novamente.', errors });
+    }
+    try {
+        await saveBackupSchedule(value);
+        await logAudit(req.user.username, 'SETTINGS_UPDATE', 'SETTINGS', 'backupSchedule', `Scheduled backups ${value.enabled ? 'enabled' : 'disabled'}: every ${value.intervalHours}h, keeping ${value.keep}`);
+        res.json(value);
+    } catch (error) {
+        sendBackupError(res, error);
+    }
+});
+
+// PERIODIC UPDATE (DRY RUN + REVIEWED COMMIT)
+
+// Dry run: what the report would change, per serial. Nothing is written.
+app.post('/api/equipment/periodic-update/preview', validateRows('equipmentList', EQUIPMENT_SCHEMA), async (req, res) => {
+    try {
+        res.json(await buildPreview(req.body.equipmentList));
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Applies only the rows/fields accepted in the review: { equipmentList, selection: { create: [serial], update: { serial: [field] } }, fileName }
+app.post('/api/equipment/periodic-update/commit', validateRows('equipmentList', EQUIPMENT_SCHEMA), async (req, res) => {
+    const { equipmentList, selection, fileName } = req.body;
+    if (!selection || typeof selection !== 'object') {
+        return res.status(400).json({ message: 'Seleção de alterações inválida.' });
+    }
+    try {
+        const run = await commitPeriodicUpdate(equipmentList, selection, { username: req.user.username, fileName });
+        res.json({
+            success: true,
+            message: `Atualização concluída: ${run.created} equipamento(s) adicionado(s) e ${run.updated} atualizado(s) (${run.fieldsUpdated} campo(s)).`,
+            run
+        });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+app.get('/api/equipment/periodic-update/runs', async (req, res) => {
+    try {
+        res.json(await getRuns('periodic_update'));
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+app.get('/api/equipment/periodic-update/protected-fields', async (req, res) => {
+    try {
+        res.json({ fields: await getProtectedFields() });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+app.put('/api/equipment/periodic-update/protected-fields', async (req, res) => {
+    const { fields } = req.body;
+    if (!Array.isArray(fields)) {
+        return res.status(400).json({ message: 'Lista de campos inválida.' });
+    }
+    try {
+        const saved = await saveProtectedFields(fields);
+        await logAudit(req.user.username, 'SETTINGS_UPDATE', 'SETTINGS', 'periodicUpdateProtectedFields', `Protected fields: ${saved.join(', ') || '(none)'}`);
+        res.json({ fields: saved });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// ------------------------------------------------------------------
+// SETTINGS
+// ------------------------------------------------------------------
+// The general settings form (AppSettings in types.ts). The POST /api/settings validators registered
+// above (SSO, termos, label address) run before the handler below; the password policy, license
+// alerts, backups and the other settings screens have routes of their own.
+
+const SETTINGS_KEYS = [
+    'companyName', BASE_URL_KEY, 'companyLogo',
+    'isSsoEnabled', 'is2faEnabled', 'require2fa',
+    'ssoUrl', 'ssoEntityId', 'ssoCertificate', 'ssoRoleAttribute', 'ssoRoleMapping', 'ssoDefaultRole',
+    'smtpHost', 'smtpPort', 'smtpUser', 'smtpPass', 'smtpSecure',
+    TEMPLATE_KEYS.entrega, TEMPLATE_KEYS.devolucao
+];
+// Written by the imports and only shown in the form
+const SETTINGS_STATUS_KEYS = ['hasInitialConsolidationRun', 'lastAbsoluteUpdateTimestamp'];
+const BOOLEAN_SETTINGS = ['isSsoEnabled', 'is2faEnabled', 'require2fa', 'smtpSecure', 'hasInitialConsolidationRun'];
+// Secrets are left out of the audit details
+const SECRET_SETTINGS = ['smtpPass'];
+
+const readSetting = (key, value) => {
+    if (BOOLEAN_SETTINGS.includes(key)) return value === 'true';
+    if (key === 'smtpPort') return value ? Number(value) : undefined;
+    return value === null ? undefined : value;
+};
+
+const validateSettings = (settings) => {
+    const errors = {};
+    BOOLEAN_SETTINGS.filter(key => key in settings && SETTINGS_KEYS.includes(key)).forEach(key => {
+        if (typeof settings[key] !== 'boolean') errors[key] = 'Deve ser verdadeiro ou falso.';
+    });
+    const port = settings.smtpPort;
+    if (port !== undefined && port !== null && port !== '' && !(Number.isInteger(Number(port)) && Number(port) >= 1 && Number(port) <= 65535)) {
+        errors.smtpPort = 'Informe uma porta entre 1 e 65535.';
+    }
+    if (settings.ssoDefaultRole && !Object.values(ROLES).includes(settings.ssoDefaultRole)) {
+        errors.ssoDefaultRole = 'Perfil inválido.';
+    }
+    return Object.keys(errors).length > 0 ? errors : null;
+};
+
+app.get('/api/settings', async (req, res) => {
+    try {
+        const [rows] = await db.promise().query('SELECT config_key, config_value FROM app_config WHERE config_key IN (?)', [[...SETTINGS_KEYS, ...SETTINGS_STATUS_KEYS]]);
+        res.json(rows.reduce((acc, row) => ({ ...acc, [row.config_key]: readSetting(row.config_key, row.config_value) }), {}));
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// { settings }: keys outside the form are ignored
+app.post('/api/settings', async (req, res) => {
+    const { settings } = req.body;
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        return res.status(400).json({ message: 'Configurações inválidas.' });
+    }
+    const errors = validateSettings(settings);
+    if (errors) {
+        return res.status(400).json({ message: 'Existem campos inválidos. Corrija-os e tente novamente.', errors });
+    }
+    const entries = SETTINGS_KEYS
+        .filter(key => settings[key] !== undefined)
+        .map(key => [key, settings[key] === null || settings[key] === '' ? null : String(settings[key])]);
+
+    const connection = await db.promise().getConnection();
+    try {
+        await connection.beginTransaction();
+        const [current] = entries.length > 0
+            ? await connection.query('SELECT config_key, config_value FROM app_config WHERE config_key IN (?)', [entries.map(([key]) => key)])
+            : [[]];
+        const stored = current.reduce((acc, row) => ({ ...acc, [row.config_key]: row.config_value }), {});
+        const changed = entries.filter(([key, value]) => (stored[key] ?? null) !== value);
+        for (const [key, value] of changed) {
+            await connection.query(
+                'INSERT INTO app_config (config_key, config_value) VALUES (?, ?) ON DUPLICATE KEY UPDATE config_value = VALUES(config_value)',
+                [key, value]
+            );
+        }
+        if (changed.length > 0) {
+            await logAudit(req.user.username, 'SETTINGS_UPDATE', 'SETTINGS', 'general',
+                `Settings changed: ${changed.map(([key, value]) => SECRET_SETTINGS.includes(key) || (value && value.length > 100) ? key : `${key} = ${value}`).join(', ')}`, connection);
+        }
+        await connection.commit();
+        res.json({ success: true, message: 'Configurações salvas com sucesso.' });
+    } catch (error) {
+        await connection.rollback();
+        res.status(500).json({ message: error.message });
+    } finally {
+        connection.release();
+    }
+});
+
+// Checks the SMTP values typed in the form, before saving them: { smtpHost, smtpPort, smtpUser, smtpPass, smtpSecure }.
+// An empty password uses the saved one.
+app.post('/api/settings/test-smtp', async (req, res) => {
+    const { smtpHost, smtpPort, smtpUser, smtpPass, smtpSecure } = req.body;
+    const overrides = Object.fromEntries(Object.entries({
+        host: smtpHost,
+        port: smtpPort ? parseInt(smtpPort, 10) : undefined,
+        user: smtpUser,
+        pass: smtpPass || undefined,
+        secure: typeof smtpSecure === 'boolean' ? smtpSecure : undefined
+    }).filter(([, value]) => value !== undefined));
+    try {
+        await verifySmtp(overrides);
+        res.json({ success: true, message: 'Conexão com o servidor SMTP realizada com sucesso.' });
+    } catch (error) {
+        res.status(502).json({ success: false, message: `Falha na conexão com o servidor SMTP: ${error.message}` });
+    }
+});
+
+// Any signed-in user: the templates the termo preview renders (the built-in text when none was saved)
+app.get('/api/config/termo-templates', async (req, res) => {
+    try {
+        const [entrega, devolucao] = await Promise.all([getTemplate('entrega'), getTemplate('devolucao')]);
+        res.json({ entregaTemplate: entrega.template, devolucaoTemplate: devolucao.template });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// --- STARTUP ---
+// `node server.js` (or `pm2 start server.js`, which loads the file through its own wrapper) migrates,
+// starts the schedulers and listens; required from elsewhere, as the tests do, it only builds the app.
+if (require.main === module || process.env.pm_exec_path === __filename) {
+    runMigrations().then(() => {
+        startAuditSealer();
+        startAuditRetentionScheduler();
+        startLicenseAlertScheduler();
+        startWebhookDispatcher();
+        startBackupScheduler();
+        app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+    });
+}
+
+module.exports = { app };
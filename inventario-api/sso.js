@@ -0,0 +1,295 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { SAML, ValidateInResponseTo, generateServiceProviderMetadata } = require('@node-saml/node-saml');
+const db = require('./db');
+const { logAudit } = require('./audit');
+const { ROLES } = require('./auth');
+
+// app_config keys written by the SAML section of Settings (the first four also by its metadata import)
+const SSO_KEYS = ['isSsoEnabled', 'ssoUrl', 'ssoEntityId', 'ssoCertificate', 'ssoRoleAttribute', 'ssoRoleMapping', 'ssoDefaultRole'];
+const SSO_PROVIDER = 'saml';
+const CLOCK_SKEW_MS = 2 * 60 * 1000;
+const REQUEST_TTL_MS = 10 * 60 * 1000;
+const LOGIN_CODE_TTL_MS = 60 * 1000;
+// Highest role first: a user in several mapped groups gets the most privileged one
+const ROLE_PRIORITY = [ROLES.ADMIN, ROLES.USER_MANAGER, ROLES.USER];
+const EMAIL_ATTRIBUTES = ['email', 'mail', 'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/emailaddress'];
+const NAME_ATTRIBUTES = ['displayName', 'name', 'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/name', 'cn'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const ssoError = (status, message) => Object.assign(new Error(message), { status });
+
+const getSsoSettings = async () => {
+    const [rows] = await db.promise().query('SELECT config_key, config_value FROM app_config WHERE config_key IN (?)', [SSO_KEYS]);
+    const config = rows.reduce((acc, row) => ({ ...acc, [row.config_key]: row.config_value }), {});
+    return { ...config, isSsoEnabled: config.isSsoEnabled === 'true' };
+};
+
+/**
+ * Parses the role mapping typed in Settings: one "IdP value = Role" pair per line, e.g.
+ * "TI-Admins = Admin". Blank lines and lines starting with # are ignored.
+ * Resolves with { mapping: [{ value, role }], errors: [string] }.
+ */
+const parseRoleMapping = (text) => {
+    const mapping = [];
+    const errors = [];
+    String(text || '').split(/\r?\n/).forEach((line, index) => {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) return;
+        const separator = trimmed.lastIndexOf('=');
+        const value = separator > 0 ? trimmed.slice(0, separator).trim() : '';
+        const role = separator > 0 ? trimmed.slice(separator + 1).trim() : '';
+        const knownRole = ROLE_PRIORITY.find(candidate => candidate.toLowerCase() === role.toLowerCase());
+        if (!value || !knownRole) {
+            errors.push(`Linha ${index + 1}: use o formato "valor = ${ROLE_PRIORITY.join(' | ')}".`);
+            return;
+        }
+        mapping.push({ value, role: knownRole });
+    });
+    return { mapping, errors };
+};
+
+const isValidCertificate = (certificate) => {
+    const body = String(certificate || '').replace(/-----(BEGIN|END) CERTIFICATE-----/g, '').replace(/\s/g, '');
+    try {
+        new crypto.X509Certificate(`-----BEGIN CERTIFICATE-----\n${body.match(/.{1,64}/g).join('\n')}\n-----END CERTIFICATE-----\n`);
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+// Checks the SAML fields of POST /api/settings. Returns a field -> message map, or null when valid.
+const validateSsoSettings = (settings) => {
+    if (!settings || !(settings.isSsoEnabled === true || settings.isSsoEnabled === 'true')) {
+        return null;
+    }
+    const errors = {};
+    if (!/^https?:\/\/\S+$/i.test(settings.ssoUrl || '')) {
+        errors.ssoUrl = 'Informe a URL de login do provedor de identidade (http ou https).';
+    }
+    if (!isValidCertificate(settings.ssoCertificate)) {
+        errors.ssoCertificate = 'Cole o certificado X.509 do provedor de identidade (formato PEM ou base64).';
+    }
+    const { errors: mappingErrors } = parseRoleMapping(settings.ssoRoleMapping);
+    if (mappingErrors.length > 0) {
+        errors.ssoRoleMapping = mappingErrors.join(' ');
+    }
+    if (settings.ssoDefaultRole && !ROLE_PRIORITY.includes(settings.ssoDefaultRole)) {
+        errors.ssoDefaultRole = 'Papel padrão inválido.';
+    }
+    return Object.keys(errors).length > 0 ? errors : null;
+};
+
+/**
+ * Addresses of this service provider. The API is reached directly by the browser and the IdP, so
+ * they default to the address of the current request; API_PUBLIC_URL pins them behind a proxy.
+ */
+const getServiceProvider = (req) => {
+    const base = (process.env.API_PUBLIC_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+    return {
+        entityId: `${base}/api/sso/metadata`,
+        acsUrl: `${base}/api/sso/callback`,
+        metadataUrl: `${base}/api/sso/metadata`
+    };
+};
+
+// One SAML instance per configuration: it keeps the ids of the requests sent to the IdP, so each
+// response can only answer a request issued here, and only once.
+let samlCache = { key: null, saml: null };
+
+const getSaml = (settings, serviceProvider) => {
+    const key = JSON.stringify([settings.ssoUrl, settings.ssoEntityId, settings.ssoCertificate, serviceProvider]);
+    if (samlCache.key !== key) {
+        samlCache = {
+            key,
+            saml: new SAML({
+                entryPoint: settings.ssoUrl,
+                idpIssuer: settings.ssoEntityId || undefined,
+                idpCert: String(settings.ssoCertificate).replace(/-----(BEGIN|END) CERTIFICATE-----/g, '').replace(/\s/g, ''),
+                issuer: serviceProvider.entityId,
+                audience: serviceProvider.entityId,
+                callbackUrl: serviceProvider.acsUrl,
+                identifierFormat: null,
+                disableRequestedAuthnContext: true,
+                wantAssertionsSigned: true,
+                wantAuthnResponseSigned: false,
+                acceptedClockSkewMs: CLOCK_SKEW_MS,
+                validateInResponseTo: ValidateInResponseTo.always,
+                requestIdExpirationPeriodMs: REQUEST_TTL_MS
+            })
+        };
+    }
+    return samlCache.saml;
+};
+
+const getConfiguredSaml = async (req) => {
+    const settings = await getSsoSettings();
+    if (!settings.isSsoEnabled) {
+        throw ssoError(404, 'O login via SSO não está habilitado.');
+    }
+    if (validateSsoSettings(settings)) {
+        throw ssoError(503, 'O login via SSO não está configurado corretamente. Procure um administrador.');
+    }
+    return { settings, saml: getSaml(settings, getServiceProvider(req)) };
+};
+
+const getServiceProviderMetadata = (req) => {
+    const serviceProvider = getServiceProvider(req);
+    return generateServiceProviderMetadata({
+        issuer: serviceProvider.entityId,
+        callbackUrl: serviceProvider.acsUrl,
+        identifierFormat: null,
+        wantAssertionsSigned: true
+    });
+};
+
+/**
+ * The app address the browser returns to after the IdP. Only addresses on the same host as the API
+ * (any port) or the configured web app address are accepted, so the login flow cannot be used to
+ * send a session to another site.
+ */
+const resolveReturnTo = async (req, returnTo) => {
+    let url;
+    try {
+        url = new URL(String(returnTo || ''));
+    } catch (error) {
+        return null;
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) return null;
+    const [rows] = await db.promise().query('SELECT config_value FROM app_config WHERE config_key = "assetBaseUrl"');
+    const allowedOrigins = [rows[0] && rows[0].config_value, process.env.APP_BASE_URL]
+        .filter(Boolean)
+        .map(base => { try { return new URL(base).origin; } catch (error) { return null; } });
+    if (url.hostname !== req.hostname && !allowedOrigins.includes(url.origin)) return null;
+    return `${url.origin}${url.pathname}`;
+};
+
+// Redirect URL to the IdP login page, carrying the app address in RelayState
+const buildLoginRedirect = async (req, returnTo) => {
+    const { saml } = await getConfiguredSaml(req);
+    return saml.getAuthorizeUrlAsync(returnTo, req.get('host'), {});
+};
+
+const attributeValues = (profile, name) => {
+    const value = profile[name];
+    if (value === undefined || value === null) return [];
+    return (Array.isArray(value) ? value : [value]).map(item => String(typeof item === 'object' ? item._ || '' : item).trim()).filter(Boolean);
+};
+
+const firstAttribute = (profile, names) => names.map(name => attributeValues(profile, name)[0]).find(Boolean) || null;
+
+// Role from the configured attribute (e.g. "groups"); values may name a role directly or go through the mapping
+const mapRole = (profile, settings) => {
+    if (!settings.ssoRoleAttribute) return null;
+    const values = attributeValues(profile, settings.ssoRoleAttribute).map(value => value.toLowerCase());
+    const { mapping } = parseRoleMapping(settings.ssoRoleMapping);
+    const matched = new Set(mapping.filter(entry => values.includes(entry.value.toLowerCase())).map(entry => entry.role));
+    ROLE_PRIORITY.filter(role => values.includes(role.toLowerCase())).forEach(role => matched.add(role));
+    return ROLE_PRIORITY.find(role => matched.has(role)) || null;
+};
+
+/**
+ * Finds or creates the local user of a validated SAML profile. Users are matched by username
+ * (the NameID) and then by e-mail. Users created here (ssoProvider = 'saml') have their role kept
+ * in sync with the IdP on every login; accounts created in the app keep the role set by an admin.
+ */
+const provisionUser = async (profile, settings) => {
+    const username = String(profile.nameID || '').trim();
+    if (!username) {
+        throw ssoError(400, 'O provedor de identidade não enviou o identificador do usuário (NameID).');
+    }
+    const email = firstAttribute(profile, EMAIL_ATTRIBUTES) || profile.email || (EMAIL_PATTERN.test(username) ? username : null);
+    const realName = firstAttribute(profile, NAME_ATTRIBUTES)
+        || [firstAttribute(profile, ['givenName']), firstAttribute(profile, ['sn', 'surname'])].filter(Boolean).join(' ')
+        || username;
+    const mappedRole = mapRole(profile, settings);
+
+    const [matches] = await db.promise().query(
+        'SELECT * FROM users WHERE username = ? OR (? IS NOT NULL AND email = ?) ORDER BY username = ? DESC LIMIT 1',
+        [username, email, email, username]
+    );
+    if (matches.length > 0) {
+        const user = matches[0];
+        if (user.ssoProvider === SSO_PROVIDER && mappedRole && mappedRole !== user.role) {
+            const details = `Role changed from ${user.role} to ${mappedRole} by SSO attribute ${settings.ssoRoleAttribute}`;
+            await db.promise().query('UPDATE users SET role = ? WHERE id = ?', [mappedRole, user.id]);
+            await logAudit(user.username, 'UPDATE', 'USER', user.id, details);
+            return { ...user, role: mappedRole };
+        }
+        return user;
+    }
+
+    if (!email) {
+        throw ssoError(400, 'O provedor de identidade não enviou o e-mail do usuário, necessário para criar a conta.');
+    }
+    const role = mappedRole || settings.ssoDefaultRole || ROLES.USER;
+    // SSO accounts never log in with a password; the hash only satisfies the NOT NULL column
+    const password = bcrypt.hashSync(crypto.randomBytes(32).toString('hex'), 10);
+    const [result] = await db.promise().query(
+        'INSERT INTO users (username, realName, email, password, role, ssoProvider) VALUES (?, ?, ?, ?, ?, ?)',
+        [username, realName, email, password, role, SSO_PROVIDER]
+    );
+    await logAudit(username, 'CREATE', 'USER', result.insertId, `User provisioned on first SSO login with role ${role}`);
+    const [created] = await db.promise().query('SELECT * FROM users WHERE id = ?', [result.insertId]);
+    return created[0];
+};
+
+// Short-lived, single-use codes that hand the session from the ACS redirect to the app (POST /api/login)
+const loginCodes = new Map();
+
+const issueLoginCode = (userId) => {
+    const now = Date.now();
+    for (const [code, entry] of loginCodes) {
+        if (entry.expiresAt <= now) loginCodes.delete(code);
+    }
+    const code = crypto.randomBytes(24).toString('hex');
+    loginCodes.set(code, { userId, expiresAt: now + LOGIN_CODE_TTL_MS });
+    return code;
+};
+
+const consumeLoginCode = (code) => {
+    const entry = loginCodes.get(String(code || ''));
+    loginCodes.delete(String(code || ''));
+    if (!entry || entry.expiresAt <= Date.now()) {
+        throw ssoError(401, 'O login via SSO expirou. Tente novamente.');
+    }
+    return entry.userId;
+};
+
+/**
+ * ACS: validates the SAMLResponse posted by the IdP (signature against the stored certificate,
+ * audience, NotBefore/NotOnOrAfter and InResponseTo), provisions the user and issues a login code.
+ * Resolves with { code, returnTo }; returnTo is null when RelayState is missing or not allowed.
+ */
+const handleCallback = async (req) => {
+    const returnTo = await resolveReturnTo(req, req.body && req.body.RelayState);
+    try {
+        const { settings, saml } = await getConfiguredSaml(req);
+        let profile;
+        try {
+            ({ profile } = await saml.validatePostResponseAsync({ SAMLResponse: req.body && req.body.SAMLResponse }));
+        } catch (error) {
+            console.error('SAML response rejected:', error.message);
+            throw ssoError(401, 'A resposta do provedor de identidade foi recusada. Tente novamente ou procure um administrador.');
+        }
+        if (!profile) {
+            throw ssoError(401, 'O provedor de identidade não autenticou o usuário.');
+        }
+        const user = await provisionUser(profile, settings);
+        return { code: issueLoginCode(user.id), returnTo };
+    } catch (error) {
+        throw Object.assign(error, { returnTo });
+    }
+};
+
+module.exports = {
+    SSO_PROVIDER,
+    validateSsoSettings,
+    getServiceProvider,
+    getServiceProviderMetadata,
+    resolveReturnTo,
+    buildLoginRedirect,
+    handleCallback,
+    consumeLoginCode
+};
@@ -0,0 +1,167 @@
+const PDFDocument = require('pdfkit');
+
+const BLOCK_TAGS = ['div', 'p', 'h1', 'h2', 'h3', 'h4', 'ul', 'ol', 'li', 'table', 'tr'];
+const HEADING_SIZES = { h1: 18, h2: 14, h3: 12, h4: 11 };
+const BODY_SIZE = 11;
+// Placeholder for <br> that survives whitespace collapsing
+const LINE_BREAK = '\u2028';
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", apos: "'", nbsp: ' ' };
+
+const decodeEntities = (text) => text.replace(/&(#\d+|#x[0-9a-f]+|[a-z]+);/gi, (entity, code) => {
+    if (ENTITIES[code.toLowerCase()] !== undefined) return ENTITIES[code.toLowerCase()];
+    if (code[0] === '#') {
+        const number = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return Number.isFinite(number) ? String.fromCodePoint(number) : entity;
+    }
+    return entity;
+});
+
+const classOf = (attributes) => {
+    const match = attributes.match(/class\s*=\s*"([^"]*)"|class\s*=\s*'([^']*)'/i);
+    return match ? (match[1] || match[2]).split(/\s+/) : [];
+};
+
+/**
+ * Turns the termo HTML (the templates edited in Settings, styled with Tailwind classes) into a flat
+ * list of blocks PDFKit can lay out: { runs: [{ text, bold }], heading, bullet, align, ruleBefore, spaceBefore }.
+ * Only the structure the templates use is understood; any other markup is reduced to its text.
+ */
+const htmlToBlocks = (html) => {
+    const blocks = [];
+    const stack = [];
+    let runs = [];
+    let pendingRule = false;
+    let pendingSpace = 0;
+
+    const has = (predicate) => stack.some(predicate);
+    const flush = () => {
+        const text = runs.map(run => run.text).join('');
+        if (text.trim()) {
+            // Collapse whitespace like a browser would, keeping explicit <br> line breaks
+            const cleaned = runs.map(run => ({ ...run, text: run.text.replace(/[ \t\r\n]+/g, ' ').replace(/ ?\u2028 ?/g, '\n') }));
+            cleaned[0].text = cleaned[0].text.replace(/^ +/, '');
+            cleaned[cleaned.length - 1].text = cleaned[cleaned.length - 1].text.replace(/ +$/, '');
+            const heading = [...stack].reverse().find(el => HEADING_SIZES[el.tag]);
+            const classes = stack.flatMap(el => el.classes);
+            const align = [...stack].reverse().flatMap(el => el.classes).find(c => ['text-center', 'text-justify', 'text-right', 'text-left'].includes(c));
+            blocks.push({
+                runs: cleaned.filter(run => run.text),
+                heading: heading ? heading.tag : null,
+                bullet: has(el => el.tag === 'li'),
+                align: align ? align.replace('text-', '') : 'left',
+                uppercase: classes.includes('uppercase'),
+                ruleBefore: pendingRule,
+                spaceBefore: pendingSpace
+            });
+            pendingRule = false;
+            pendingSpace = 0;
+        }
+        runs = [];
+    };
+
+    const tokenRegex = /<\s*(\/)?\s*([a-z0-9]+)([^>]*)>|([^<]+)/gi;
+    let match;
+    while ((match = tokenRegex.exec(html)) !== null) {
+        const [, closing, rawTag, attributes = '', text] = match;
+        if (text !== undefined) {
+            const bold = has(el => ['strong', 'b'].includes(el.tag) || HEADING_SIZES[el.tag] || el.classes.includes('font-bold') || el.classes.includes('font-semibold'));
+            runs.push({ text: decodeEntities(text), bold: !!bold });
+            continue;
+        }
+        const tag = rawTag.toLowerCase();
+        if (tag === 'br') {
+            runs.push({ text: LINE_BREAK, bold: false });
+            continue;
+        }
+        const isBlock = BLOCK_TAGS.includes(tag);
+        if (closing) {
+            if (isBlock) flush();
+            const index = stack.map(el => el.tag).lastIndexOf(tag);
+            if (index !== -1) stack.splice(index);
+            continue;
+        }
+        if (isBlock) flush();
+        const classes = classOf(attributes);
+        if (classes.includes('border-t')) pendingRule = true;
+        const margin = classes.map(c => c.match(/^mt-(\d+)$/)).find(Boolean);
+        if (margin) pendingSpace = Math.max(pendingSpace, Number(margin[1]));
+        if (!/\/\s*$/.test(attributes)) stack.push({ tag, classes });
+    }
+    flush();
+    return blocks;
+};
+
+// Logo saved in Settings as a data URL; PDFKit reads PNG and JPEG
+const logoBuffer = (dataUrl) => {
+    const match = typeof dataUrl === 'string' && dataUrl.match(/^data:image\/(png|jpe?g);base64,(.+)$/);
+    return match ? Buffer.from(match[2], 'base64') : null;
+};
+
+const writeBlock = (doc, block, width) => {
+    const size = block.heading ? HEADING_SIZES[block.heading] : BODY_SIZE;
+    if (block.spaceBefore) doc.moveDown(Math.min(block.spaceBefore, 12) / 6);
+    if (block.ruleBefore) {
+        doc.moveTo(doc.page.margins.left, doc.y).lineTo(doc.page.margins.left + width, doc.y).strokeColor('#cccccc').stroke();
+        doc.moveDown(0.5);
+    }
+    const x = doc.page.margins.left + (block.bullet ? 14 : 0);
+    const options = { width: width - (block.bullet ? 14 : 0), align: block.align };
+    if (block.bullet) {
+        doc.font('Helvetica').fontSize(size).text('•', doc.page.margins.left + 2, doc.y, { lineBreak: false });
+    }
+    block.runs.forEach((run, index) => {
+        const text = block.uppercase ? run.text.toUpperCase() : run.text;
+        doc.font(run.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(size).fillColor('#000000');
+        if (index === 0) {
+            doc.text(text, x, doc.y, { ...options, continued: index < block.runs.length - 1 });
+        } else {
+            doc.text(text, { ...options, continued: index < block.runs.length - 1 });
+        }
+    });
+    doc.moveDown(block.heading ? 0.4 : 0.3);
+};
+
+/**
+ * Renders an archived termo to PDF: letterhead with the company logo and name, the termo content
+ * and a footer identifying the document. Resolves with the PDF as a Buffer.
+ */
+const renderTermoPdf = ({ termo, title, companyName, logo }) => new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margins: { top: 50, bottom: 60, left: 60, right: 60 }, info: { Title: title, Author: companyName } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const top = doc.y;
+    const image = logoBuffer(logo);
+    let headerBottom = top;
+    if (image) {
+        try {
+            doc.image(image, doc.page.margins.left, top, { fit: [120, 50] });
+            headerBottom = top + 50;
+        } catch (e) {
+            // An unreadable logo should not prevent the termo from being generated
+        }
+    }
+    doc.font('Helvetica-Bold').fontSize(12).text(companyName, doc.page.margins.left, top + 16, { width, align: 'right' });
+    doc.y = Math.max(doc.y, headerBottom) + 10;
+    doc.moveTo(doc.page.margins.left, doc.y).lineTo(doc.page.margins.left + width, doc.y).strokeColor('#999999').stroke();
+    doc.moveDown(1.5);
+
+    htmlToBlocks(termo.content).forEach(block => writeBlock(doc, block, width));
+
+    const generatedAt = new Date(termo.created_at).toLocaleString('pt-BR');
+    const footerY = doc.page.height - doc.page.margins.bottom + 20;
+    // Writing below the bottom margin would otherwise make PDFKit start a new page
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(8).fillColor('#666666').text(
+        `Termo nº ${termo.id} — gerado em ${generatedAt} por ${termo.created_by || 'sistema'}`,
+        doc.page.margins.left,
+        footerY,
+        { width, align: 'center', lineBreak: false }
+    );
+    doc.end();
+});
+
+module.exports = { htmlToBlocks, renderTermoPdf };
@@ -0,0 +1,484 @@
+const db = require('./db');
+const { logAudit } = require('./audit');
+const { EQUIPMENT_SCHEMA, validateRecord } = require('./validation');
+const { SOURCES, diffRecords, recordChanges } = require('./history');
+const { sendMail } = require('./mailer');
+const { renderTermoPdf } = require('./termoPdf');
+const { emitEquipmentEvent } = require('./webhooks');
+
+const TEMPLATE_KEYS = { entrega: 'termo_entrega_template', devolucao: 'termo_devolucao_template' };
+// condicaoTermo once the termo of each type is signed
+const SIGNED_CONDITION = { entrega: 'Assinado - Entrega', devolucao: 'Assinado - Devolução' };
+const PENDING_CONDITION = 'Pendente';
+// Document titles, as shown by TermoResponsabilidade.tsx
+const TERMO_TITLES = { entrega: 'Termo de Responsabilidade', devolucao: 'Termo de Devolução de Equipamento' };
+// Data URL of the logo printed on the PDFs; app_config.config_value holds up to 16 MB (migration 22)
+const MAX_LOGO_LENGTH = 700 * 1024;
+const STATUS_IN_USE = 'EM USO';
+const STATUS_IN_STOCK = 'ESTOQUE';
+
+// Used while the template in Settings is still empty; same text as the defaults in Settings.tsx
+const DEFAULT_TEMPLATES = {
+    entrega: `
+<div class="text-center mb-6">
+    <h1 class="text-2xl font-bold uppercase">TERMO DE RESPONSABILIDADE</h1>
+    <p class="text-md mt-2">Utilização de Equipamento de Propriedade da Empresa</p>
+</div>
+<div class="space-y-4">
+    <p><strong>Empresa:</strong> {{EMPRESA}}</p>
+    <p><strong>Colaborador(a):</strong> {{USUARIO}}</p>
+</div>
+<div class="mt-6 border-t pt-4">
+    <h2 class="font-bold mb-2">Detalhes do Equipamento:</h2>
+    <ul class="list-disc list-inside space-y-1">
+        <li><strong>Equipamento:</strong> {{EQUIPAMENTO}}</li>
+        <li><strong>Patrimônio:</strong> {{PATRIMONIO}}</li>
+        <li><strong>Serial:</strong> {{SERIAL}}</li>
+    </ul>
+</div>
+<div class="mt-6 text-justify space-y-3">
+    <p>Declaro, para todos os fins, ter recebido da empresa {{EMPRESA}} o equipamento descrito acima, em perfeitas condições de uso e funcionamento, para meu uso exclusivo no desempenho de minhas funções profissionais.</p>
+    <p>Comprometo-me a zelar pela guarda, conservação e bom uso do equipamento, utilizando-o de acordo com as políticas de segurança e normas da empresa. Estou ciente de que o equipamento é uma ferramenta de trabalho e não deve ser utilizado para fins pessoais não autorizados.</p>
+    <p>Em caso de dano, perda, roubo ou qualquer outro sinistro, comunicarei imediatamente meu gestor direto e o departamento de TI. Comprometo-me a devolver o equipamento nas mesmas condições em que o recebi, ressalvado o desgaste natural pelo uso normal, quando solicitado pela empresa ou ao término do meu contrato de trabalho.</p>
+</div>
+<div class="mt-12 text-center">
+    <p>________________________________________________</p>
+    <p class="mt-1 font-semibold">{{USUARIO}}</p>
+</div>
+<div class="mt-8 text-center">
+    <p>Local e Data: {{DATA}}</p>
+</div>
+`,
+    devolucao: `
+<div class="text-center mb-6">
+    <h1 class="text-2xl font-bold uppercase">TERMO DE DEVOLUÇÃO DE EQUIPAMENTO</h1>
+    <p class="text-md mt-2">Devolução de Equipamento de Propriedade da Empresa</p>
+</div>
+<div class="space-y-4">
+    <p><strong>Empresa:</strong> {{EMPRESA}}</p>
+    <p><strong>Colaborador(a):</strong> {{USUARIO}}</p>
+</div>
+<div class="mt-6 border-t pt-4">
+    <h2 class="font-bold mb-2">Detalhes do Equipamento:</h2>
+    <ul class="list-disc list-inside space-y-1">
+        <li><strong>Equipamento:</strong> {{EQUIPAMENTO}}</li>
+        <li><strong>Patrimônio:</strong> {{PATRIMONIO}}</li>
+        <li><strong>Serial:</strong> {{SERIAL}}</li>
+    </ul>
+</div>
+<div class="mt-6 text-justify space-y-3">
+    <p>Declaro, para todos os fins, ter devolvido à empresa {{EMPRESA}} o equipamento descrito acima, que estava sob minha responsabilidade para uso profissional.</p>
+    <p>O equipamento foi devolvido nas mesmas condições em que o recebi, ressalvado o desgaste natural pelo uso normal, na data de {{DATA_DEVOLUCAO}}.</p>
+</div>
+<div class="mt-12 text-center">
+    <p>________________________________________________</p>
+    <p class="mt-1 font-semibold">{{USUARIO}}</p>
+</div>
+<div class="mt-8 text-center">
+    <p>Local e Data: {{DATA}}</p>
+</div>
+`
+};
+
+// Fields a check-out or check-in may set, validated with the equipment rules from validation.js
+const CHECK_OUT_SCHEMA = {
+    usuarioAtual: { type: 'string', required: true, maxLength: 255 },
+    emailColaborador: { type: 'email', maxLength: 255 },
+    dataEntregaUsuario: { type: 'date' },
+    setor: { type: 'string', maxLength: 255 },
+    local: { type: 'string', maxLength: 255 }
+};
+
+const CHECK_IN_SCHEMA = {
+    dataDevolucao: { type: 'date' },
+    status: { type: 'string', maxLength: 255 },
+    local: { type: 'string', maxLength: 255 }
+};
+
+const SEND_SCHEMA = {
+    to: { type: 'email', maxLength: 255 }
+};
+
+// Errors carry the HTTP status the route should answer with
+const termoError = (status, message) => Object.assign(new Error(message), { status });
+
+const validateCheckOut = (input) => {
+    const { value, errors } = validateRecord(CHECK_OUT_SCHEMA, input);
+    if (errors) return { errors };
+    // An empty setor/local keeps the current one; the e-mail always belongs to the new holder
+    ['setor', 'local'].forEach(field => value[field] === null && delete value[field]);
+    return { value: { emailColaborador: null, ...value } };
+};
+
+const validateCheckIn = (input) => {
+    const { value, errors } = validateRecord(CHECK_IN_SCHEMA, input || {}, { partial: true });
+    if (errors) return { errors };
+    ['status', 'local'].forEach(field => value[field] === null && delete value[field]);
+    return { value };
+};
+
+// Optional recipient overriding the e-mail archived with the termo
+const validateSend = (input) => validateRecord(SEND_SCHEMA, input || {}, { partial: true });
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const formatDate = (value) => {
+    if (!value) return 'N/A';
+    const date = new Date(String(value).length === 10 ? `${value}T12:00:00` : value);
+    return isNaN(date.getTime()) ? String(value) : date.toLocaleDateString('pt-BR');
+};
+
+// Devolução termos are made out to the previous holder, entrega termos to the current one
+const collaboratorFor = (termoType, equipment) => termoType === 'devolucao' ? equipment.usuarioAnterior : equipment.usuarioAtual;
+
+// Placeholders with a computed value. Every other equipment field is also available as {{fieldName}}.
+const COMPUTED_PLACEHOLDERS = ['USUARIO', 'EQUIPAMENTO', 'SERIAL', 'PATRIMONIO', 'EMPRESA', 'DATA', 'DATA_ENTREGA', 'DATA_DEVOLUCAO'];
+const NON_PLACEHOLDER_FIELDS = ['foto', 'qrCode', 'approval_status', 'rejection_reason', 'created_by_id'];
+const FIELD_PLACEHOLDERS = Object.keys(EQUIPMENT_SCHEMA).filter(field => !NON_PLACEHOLDER_FIELDS.includes(field));
+const PLACEHOLDER_REGEX = /{{\s*([^{}]*?)\s*}}/g;
+
+/**
+ * Checks that a template only uses known placeholders and has no unbalanced braces.
+ * Returns an error message, or null when the template is valid.
+ */
+const validateTemplatePlaceholders = (template) => {
+    if (!template) return null;
+    const unknown = new Set();
+    for (const [, key] of template.matchAll(PLACEHOLDER_REGEX)) {
+        if (!COMPUTED_PLACEHOLDERS.includes(key) && !FIELD_PLACEHOLDERS.includes(key)) unknown.add(`{{${key}}}`);
+    }
+    if (unknown.size > 0) {
+        return `Placeholder(s) desconhecido(s): ${[...unknown].join(', ')}.`;
+    }
+    const leftover = template.replace(PLACEHOLDER_REGEX, '');
+    if (leftover.includes('{{') || leftover.includes('}}')) {
+        return 'Há chaves "{{" ou "}}" sem par no modelo.';
+    }
+    return null;
+};
+
+/**
+ * Checks the termo-related keys of a settings save: the template placeholders and the company logo.
+ * Returns a field -> message map, or null when everything is valid.
+ */
+const validateTermoSettings = (settings = {}) => {
+    const errors = {};
+    Object.values(TEMPLATE_KEYS).forEach(key => {
+        const message = typeof settings[key] === 'string' ? validateTemplatePlaceholders(settings[key]) : null;
+        if (message) errors[key] = message;
+    });
+    const logo = settings.companyLogo;
+    if (logo) {
+        if (typeof logo !== 'string' || !/^data:image\/(png|jpe?g);base64,/.test(logo)) {
+            errors.companyLogo = 'O logotipo deve ser uma imagem PNG ou JPEG.';
+        } else if (logo.length > MAX_LOGO_LENGTH) {
+            errors.companyLogo = 'O logotipo deve ter no máximo 500 KB.';
+        }
+    }
+    return Object.keys(errors).length > 0 ? errors : null;
+};
+
+/**
+ * Fills a termo template with the equipment data: the computed placeholders TermoResponsabilidade.tsx
+ * also understands, plus {{fieldName}} for any equipment field. Values are HTML-escaped because the
+ * archived document is rendered as HTML.
+ */
+const renderTermo = (template, termoType, equipment, companyName, now = new Date()) => {
+    const values = {
+        USUARIO: collaboratorFor(termoType, equipment) || 'Usuário não especificado',
+        EQUIPAMENTO: equipment.equipamento || 'N/A',
+        SERIAL: equipment.serial || 'N/A',
+        PATRIMONIO: equipment.patrimonio || 'N/A',
+        EMPRESA: companyName,
+        DATA: now.toLocaleDateString('pt-BR', { day: '2-digit', month: 'long', year: 'numeric' }),
+        DATA_ENTREGA: formatDate(equipment.dataEntregaUsuario),
+        DATA_DEVOLUCAO: formatDate(equipment.dataDevolucao)
+    };
+    for (const field of FIELD_PLACEHOLDERS) {
+        const value = equipment[field];
+        values[field] = EQUIPMENT_SCHEMA[field].type === 'date' ? formatDate(value) : (value === null || value === undefined || value === '' ? 'N/A' : value);
+    }
+    return template.replace(PLACEHOLDER_REGEX, (placeholder, key) => key in values ? escapeHtml(values[key]) : placeholder);
+};
+
+const getTemplate = async (termoType, executor = db.promise()) => {
+    const [rows] = await executor.query(
+        'SELECT config_key, config_value FROM app_config WHERE config_key IN (?, "companyName")',
+        [TEMPLATE_KEYS[termoType]]
+    );
+    const config = rows.reduce((acc, row) => ({ ...acc, [row.config_key]: row.config_value }), {});
+    return {
+        template: config[TEMPLATE_KEYS[termoType]] || DEFAULT_TEMPLATES[termoType],
+        companyName: config.companyName || 'MRR INFORMATICA'
+    };
+};
+
+const today = () => new Date().toISOString().split('T')[0];
+
+// Renders and archives the termo for the equipment as it is after the check-out/check-in
+const archiveTermo = async (termoType, equipment, username, executor) => {
+    const { template, companyName } = await getTemplate(termoType, executor);
+    const content = renderTermo(template, termoType, equipment, companyName);
+    const [result] = await executor.query(
+        'INSERT INTO equipment_termos (equipment_id, termo_type, collaborator, email, content, created_by, created_at) VALUES (?, ?, ?, ?, ?, ?, NOW())',
+        [equipment.id, termoType, collaboratorFor(termoType, equipment), equipment.emailColaborador || null, content, username]
+    );
+    return getTermo(result.insertId, executor);
+};
+
+/**
+ * Applies `changes` to a locked equipment row, records them in the history and archives the termo,
+ * all in one transaction. `check(current)` may throw a termoError to refuse the operation.
+ */
+const runCustodyChange = async (equipmentId, username, { changeType, auditAction, termoType, check, buildChanges, auditDetails }) => {
+    const connection = await db.promise().getConnection();
+    try {
+        await connection.beginTransaction();
+        const [rows] = await connection.query('SELECT * FROM equipment WHERE id = ? FOR UPDATE', [equipmentId]);
+        if (rows.length === 0) {
+            throw termoError(404, 'Equipamento não encontrado.');
+        }
+        const current = rows[0];
+        if (current.approval_status && current.approval_status !== 'approved') {
+            throw termoError(409, 'O equipamento ainda não foi aprovado.');
+        }
+        check(current);
+
+        const changes = buildChanges(current);
+        const updated = { ...current, ...changes };
+        const fieldChanges = diffRecords(current, changes);
+        await connection.query('UPDATE equipment SET ? WHERE id = ?', [changes, equipmentId]);
+        await recordChanges(equipmentId, username, changeType, SOURCES.CUSTODY, fieldChanges, connection);
+        const termo = await archiveTermo(termoType, updated, username, connection);
+        await logAudit(username, auditAction, 'EQUIPMENT', equipmentId, auditDetails(updated), connection);
+        await connection.commit();
+        emitEquipmentEvent('equipment.updated', updated, username, { changed_fields: fieldChanges.map(change => change.field) });
+
+        const { foto: _, qrCode: __, ...equipment } = updated;
+        return { equipment, termo };
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+};
+
+// Hands the equipment to a collaborator and archives a pending entrega termo
+const checkOut = (equipmentId, input, username) => runCustodyChange(equipmentId, username, {
+    changeType: 'CHECK-OUT',
+    auditAction: 'CHECKOUT',
+    termoType: 'entrega',
+    check: (current) => {
+        if (current.usuarioAtual) {
+            throw termoError(409, `O equipamento já está com ${current.usuarioAtual}. Faça o check-in antes de uma nova entrega.`);
+        }
+    },
+    buildChanges: () => ({
+        ...input,
+        dataEntregaUsuario: input.dataEntregaUsuario || today(),
+        dataDevolucao: null,
+        status: STATUS_IN_USE,
+        condicaoTermo: PENDING_CONDITION
+    }),
+    auditDetails: (equipment) => `Checked out equipment ${equipment.equipamento} to ${equipment.usuarioAtual}`
+});
+
+// Takes the equipment back from its current holder and archives a pending devolução termo
+const checkIn = (equipmentId, input, username) => runCustodyChange(equipmentId, username, {
+    changeType: 'CHECK-IN',
+    auditAction: 'CHECKIN',
+    termoType: 'devolucao',
+    check: (current) => {
+        if (!current.usuarioAtual) {
+            throw termoError(409, 'O equipamento não está entregue a nenhum colaborador.');
+        }
+    },
+    buildChanges: (current) => ({
+        ...input,
+        usuarioAnterior: current.usuarioAtual,
+        usuarioAtual: null,
+        dataDevolucao: input.dataDevolucao || today(),
+        status: input.status || STATUS_IN_STOCK,
+        condicaoTermo: PENDING_CONDITION
+    }),
+    auditDetails: (equipment) => `Checked in equipment ${equipment.equipamento} from ${equipment.usuarioAnterior}`
+});
+
+const TERMO_SUMMARY_COLUMNS = 'id, equipment_id, termo_type, collaborator, email, created_by, created_at, signed_at, signed_by, sent_at, sent_to';
+
+// Archived termos of an equipment, newest first, without the rendered content
+const listTermos = async (equipmentId) => {
+    const [rows] = await db.promise().query(
+        `SELECT ${TERMO_SUMMARY_COLUMNS} FROM equipment_termos WHERE equipment_id = ? ORDER BY created_at DESC, id DESC`,
+        [equipmentId]
+    );
+    return rows;
+};
+
+const getTermo = async (termoId, executor = db.promise()) => {
+    const [rows] = await executor.query(`SELECT ${TERMO_SUMMARY_COLUMNS}, content FROM equipment_termos WHERE id = ?`, [termoId]);
+    return rows[0] || null;
+};
+
+const safeFilePart = (value) => String(value || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^A-Za-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '');
+
+/**
+ * Loads a termo with the equipment it belongs to and renders it to PDF with the company name and logo.
+ * Resolves with { termo, equipment, title, filename, pdf }.
+ */
+const buildTermoPdf = async (termoId) => {
+    const termo = await getTermo(termoId);
+    if (!termo) {
+        throw termoError(404, 'Termo não encontrado.');
+    }
+    const [[equipment]] = await db.promise().query(
+        'SELECT id, equipamento, serial, patrimonio, emailColaborador FROM equipment WHERE id = ?',
+        [termo.equipment_id]
+    );
+    const [rows] = await db.promise().query('SELECT config_key, config_value FROM app_config WHERE config_key IN ("companyName", "companyLogo")');
+    const config = rows.reduce((acc, row) => ({ ...acc, [row.config_key]: row.config_value }), {});
+    const companyName = config.companyName || 'MRR INFORMATICA';
+    const title = TERMO_TITLES[termo.termo_type];
+    const pdf = await renderTermoPdf({ termo, title, companyName, logo: config.companyLogo });
+    const filename = `termo-${termo.termo_type}-${safeFilePart(equipment.patrimonio || equipment.serial) || equipment.id}-${termo.id}.pdf`;
+    return { termo, equipment, title, companyName, filename, pdf };
+};
+
+/**
+ * E-mails the termo as a PDF attachment, to `to` or else to the e-mail archived with the termo or the
+ * equipment's emailColaborador. The send is recorded on the termo and in the audit log.
+ */
+const sendTermo = async (termoId, to, username) => {
+    const { termo, equipment, title, companyName, filename, pdf } = await buildTermoPdf(termoId);
+    const recipient = to || termo.email || equipment.emailColaborador;
+    if (!recipient) {
+        throw termoError(400, 'Nenhum e-mail de colaborador cadastrado para este termo. Informe o destinatário.');
+    }
+    try {
+        await sendMail({
+            to: recipient,
+            subject: `${title} - ${equipment.equipamento}`,
+            text: [
+                `Olá${termo.collaborator ? `, ${termo.collaborator}` : ''}.`,
+                '',
+                `Segue em anexo o ${title.toLowerCase()} referente ao equipamento ${equipment.equipamento} (serial ${equipment.serial}${equipment.patrimonio ? `, patrimônio ${equipment.patrimonio}` : ''}).`,
+                'Por favor, confira os dados, assine e devolva o documento ao departamento de TI.',
+                '',
+                companyName
+            ].join('\n'),
+            attachments: [{ filename, content: pdf, contentType: 'application/pdf' }]
+        });
+    } catch (error) {
+        throw termoError(502, `Falha ao enviar o e-mail: ${error.message}`);
+    }
+    await db.promise().query('UPDATE equipment_termos SET sent_at = NOW(), sent_to = ? WHERE id = ?', [recipient, termo.id]);
+    await logAudit(username, 'NOTIFY', 'EQUIPMENT', termo.equipment_id, `Sent ${termo.termo_type} termo #${termo.id} of ${termo.collaborator} to ${recipient} as PDF`);
+    return getTermo(termo.id);
+};
+
+/**
+ * Sends the latest termo of each equipment. Assets without a termo or without an e-mail are reported
+ * in `failed` instead of stopping the batch: { sent: [{ equipmentId, termoId, to }], failed: [{ equipmentId, message }] }.
+ */
+const sendLatestTermos = async (equipmentIds, username) => {
+    const sent = [];
+    const failed = [];
+    for (const equipmentId of equipmentIds) {
+        try {
+            const [[latest]] = await db.promise().query(
+                'SELECT id FROM equipment_termos WHERE equipment_id = ? ORDER BY created_at DESC, id DESC LIMIT 1',
+                [equipmentId]
+            );
+            if (!latest) {
+                throw termoError(404, 'O equipamento não possui termo arquivado.');
+            }
+            const termo = await sendTermo(latest.id, null, username);
+            sent.push({ equipmentId, termoId: termo.id, to: termo.sent_to });
+        } catch (error) {
+            failed.push({ equipmentId, message: error.message });
+        }
+    }
+    return { sent, failed };
+};
+
+/**
+ * Records that the collaborator signed the termo. The equipment condicaoTermo only moves to
+ * "Assinado" when this is its latest termo: signing an old one does not hide a newer pending termo.
+ */
+const signTermo = async (termoId, username) => {
+    const connection = await db.promise().getConnection();
+    try {
+        await connection.beginTransaction();
+        const [rows] = await connection.query('SELECT * FROM equipment_termos WHERE id = ? FOR UPDATE', [termoId]);
+        if (rows.length === 0) {
+            throw termoError(404, 'Termo não encontrado.');
+        }
+        const termo = rows[0];
+        if (termo.signed_at) {
+            throw termoError(409, 'Este termo já foi marcado como assinado.');
+        }
+        await connection.query('UPDATE equipment_termos SET signed_at = NOW(), signed_by = ? WHERE id = ?', [username, termoId]);
+
+        const [[latest]] = await connection.query('SELECT id FROM equipment_termos WHERE equipment_id = ? ORDER BY created_at DESC, id DESC LIMIT 1', [termo.equipment_id]);
+        if (latest.id === termo.id) {
+            const [[current]] = await connection.query('SELECT condicaoTermo FROM equipment WHERE id = ?', [termo.equipment_id]);
+            const changes = { condicaoTermo: SIGNED_CONDITION[termo.termo_type] };
+            await connection.query('UPDATE equipment SET ? WHERE id = ?', [changes, termo.equipment_id]);
+            await recordChanges(termo.equipment_id, username, 'TERMO SIGNED', SOURCES.CUSTODY, diffRecords(current, changes), connection);
+        }
+        await logAudit(username, 'UPDATE', 'EQUIPMENT', termo.equipment_id, `Marked ${termo.termo_type} termo #${termo.id} of ${termo.collaborator} as signed`, connection);
+        await connection.commit();
+        return getTermo(termoId);
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+};
+
+/**
+ * Every approved equipment whose termo is still unsigned (condicaoTermo = Pendente), oldest first,
+ * with its latest archived termo. `termo` is null when the condition was set by hand.
+ */
+const listPendingTermos = async () => {
+    const [rows] = await db.promise().query(`
+        SELECT e.id, e.equipamento, e.patrimonio, e.serial, e.usuarioAtual, e.usuarioAnterior, e.setor,
+               t.id AS termo_id, t.termo_type, t.collaborator, t.email, t.created_by, t.created_at, t.sent_at, t.sent_to
+        FROM equipment e
+        LEFT JOIN equipment_termos t ON t.id = (
+            SELECT id FROM equipment_termos WHERE equipment_id = e.id ORDER BY created_at DESC, id DESC LIMIT 1
+        )
+        WHERE e.condicaoTermo = ? AND e.approval_status = 'approved'
+        ORDER BY t.created_at IS NULL, t.created_at, e.id
+    `, [PENDING_CONDITION]);
+    return rows.map(({ termo_id, termo_type, collaborator, email, created_by, created_at, sent_at, sent_to, ...equipment }) => ({
+        ...equipment,
+        termo: termo_id ? { id: termo_id, equipment_id: equipment.id, termo_type, collaborator, email, created_by, created_at, signed_at: null, signed_by: null, sent_at, sent_to } : null
+    }));
+};
+
+module.exports = {
+    TEMPLATE_KEYS,
+    getTemplate,
+    validateTemplatePlaceholders,
+    validateTermoSettings,
+    validateCheckOut,
+    validateSend,
+    validateCheckIn,
+    checkOut,
+    checkIn,
+    listTermos,
+    getTermo,
+    signTermo,
+    listPendingTermos,
+    buildTermoPdf,
+    sendTermo,
+    sendLatestTermos
+};
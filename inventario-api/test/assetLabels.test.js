@@ -0,0 +1,43 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { useFakeDb } = require('./helpers');
+const { ensureQrCodes } = require('../assetLabels');
+
+let baseUrl;
+let fakeDb;
+
+before(() => {
+    fakeDb = useFakeDb((sql, params) => {
+        if (sql.includes('FROM app_config') && params[0] === 'assetBaseUrl') return [baseUrl ? [{ config_value: baseUrl }] : []];
+        if (sql.startsWith('SELECT id, equipamento, patrimonio, serial, qrCode FROM equipment')) {
+            return [[{ id: 7, equipamento: 'Notebook Dell', patrimonio: 'PAT-7', serial: 'SN-7', qrCode: null }]];
+        }
+        return undefined;
+    });
+});
+
+beforeEach(() => {
+    baseUrl = undefined;
+    delete process.env.APP_BASE_URL;
+    fakeDb.calls.length = 0;
+});
+
+after(() => fakeDb.restore());
+
+test('labels point to the configured system address', async () => {
+    baseUrl = 'https://inventario.example.com/';
+    const [label] = await ensureQrCodes([7]);
+    assert.strictEqual(label.url, 'https://inventario.example.com/#/ativo/7');
+    assert.match(label.qrCode, /^data:image\/png;base64,/);
+});
+
+test('APP_BASE_URL is used when Settings has no address', async () => {
+    process.env.APP_BASE_URL = 'http://intranet.local:8080';
+    const [label] = await ensureQrCodes([7]);
+    assert.strictEqual(label.url, 'http://intranet.local:8080/#/ativo/7');
+});
+
+test('without a configured address no QR code is generated', async () => {
+    await assert.rejects(ensureQrCodes([7]), { status: 503 });
+    assert.ok(!fakeDb.calls.some(call => call.sql.startsWith('UPDATE equipment SET qrCode')));
+});
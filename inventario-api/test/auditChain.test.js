@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+process.env.AUDIT_CHAIN_KEY = 'test-audit-chain-key';
+const { GENESIS_HASH, hashEntry } = require('../audit');
+
+const entry = { id: 1, ts: '2026-10-19 10:00:00', username: 'admin', action_type: 'UPDATE', target_type: 'EQUIPMENT', target_id: 7, details: 'Updated status' };
+const content = JSON.stringify([1, entry.id, entry.ts, entry.username, entry.action_type, entry.target_type, entry.target_id, entry.details, GENESIS_HASH]);
+
+test('entry hashes are keyed with AUDIT_CHAIN_KEY', () => {
+    const expected = crypto.createHmac('sha256', 'test-audit-chain-key').update(content).digest('hex');
+    assert.strictEqual(hashEntry(entry, 1, GENESIS_HASH), expected);
+});
+
+test('an edited entry cannot be resealed without the key', () => {
+    const edited = { ...entry, details: 'Updated nothing' };
+    const editedContent = JSON.stringify([1, edited.id, edited.ts, edited.username, edited.action_type, edited.target_type, edited.target_id, edited.details, GENESIS_HASH]);
+    // What someone with only database access could compute
+    const unkeyed = crypto.createHash('sha256').update(editedContent).digest('hex');
+    const otherKey = crypto.createHmac('sha256', 'guessed-key').update(editedContent).digest('hex');
+    assert.notStrictEqual(hashEntry(edited, 1, GENESIS_HASH), unkeyed);
+    assert.notStrictEqual(hashEntry(edited, 1, GENESIS_HASH), otherKey);
+});
+
+test('the API does not start without a chain key', () => {
+    const env = { ...process.env };
+    delete env.AUDIT_CHAIN_KEY;
+    delete env.SESSION_SECRET;
+    // Run from elsewhere so dotenv does not pick up a local .env
+    const { status, stderr } = spawnSync(process.execPath, ['-e', `require(${JSON.stringify(path.join(__dirname, '..', 'audit'))})`], { cwd: os.tmpdir(), env, encoding: 'utf8' });
+    assert.notStrictEqual(status, 0);
+    assert.match(stderr, /AUDIT_CHAIN_KEY \(ou SESSION_SECRET\) não definido/);
+});
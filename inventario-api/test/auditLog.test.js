@@ -0,0 +1,45 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { useFakeDb, startApp } = require('./helpers');
+
+let fakeDb;
+let app;
+
+// Values bound to the `?? = ?` filter on the username column of the list queries
+const filteredUsers = () => fakeDb.calls.flatMap(call => (call.params || []).flatMap((param, i) => param === 'username' ? [call.params[i + 1]] : []));
+
+before(async () => {
+    fakeDb = useFakeDb((sql) => sql.includes('COUNT(*)') ? [[{ total: 0 }]] : undefined);
+    app = await startApp();
+});
+
+beforeEach(() => {
+    fakeDb.calls.length = 0;
+});
+
+after(async () => {
+    await app.close();
+    await fakeDb.restore();
+});
+
+test('the audit log is filtered by the chosen user, not the session user', async () => {
+    const { status } = await app.request('GET', '/api/audit-log?page=1&username=maria');
+    assert.strictEqual(status, 200);
+    assert.ok(filteredUsers().length > 0);
+    assert.ok(filteredUsers().every(user => user === 'maria'));
+});
+
+test('client errors are filtered by the chosen user, not the session user', async () => {
+    const { status } = await app.request('GET', '/api/audit-log/client-errors?page=1&username=maria');
+    assert.strictEqual(status, 200);
+    assert.ok(filteredUsers().length > 0);
+    assert.ok(filteredUsers().every(user => user === 'maria'));
+});
+
+test('the export is filtered by the chosen user, not the session user', async () => {
+    const { status, body } = await app.request('GET', '/api/audit-log/export?format=json&username=maria');
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body.filters, { username: 'maria' });
+    assert.strictEqual(body.exported_by, 'admin');
+    assert.deepStrictEqual(filteredUsers(), ['maria']);
+});
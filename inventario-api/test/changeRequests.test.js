@@ -0,0 +1,73 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { useFakeDb, startApp } = require('./helpers');
+const { approveChangeRequest, rejectChangeRequest } = require('../changeRequests');
+
+const EQUIPMENT = { id: 7, equipamento: 'Notebook Dell', serial: 'SN-7', status: 'ESTOQUE', usuarioAtual: null, approval_status: 'approved' };
+let request;
+// affectedRows of the guarded decision UPDATE: 0 when another reviewer decided first
+let decisionRows;
+let fakeDb;
+let app;
+
+before(async () => {
+    fakeDb = useFakeDb((sql) => {
+        if (sql.startsWith('SELECT * FROM change_requests WHERE id = ?')) return [[{ ...request }]];
+        if (sql.startsWith('UPDATE change_requests SET')) return [{ affectedRows: decisionRows }];
+        if (sql.startsWith('SELECT * FROM equipment WHERE id = ?')) return [[{ ...EQUIPMENT }]];
+        if (sql.startsWith('INSERT INTO equipment_termos')) return [{ insertId: 4 }];
+        if (sql.includes('FROM equipment_termos WHERE id = ?')) return [[{ id: 4, equipment_id: 7, termo_type: 'entrega' }]];
+        return undefined;
+    });
+    app = await startApp();
+});
+
+beforeEach(() => {
+    request = { id: 21, item_type: 'equipment', item_id: 7, item_name: 'Notebook Dell - SN-7', action: 'update', status: 'pending', requested_by_id: 3, requested_by: 'operador', changes: JSON.stringify([{ field: 'local', from: 'Sede', to: 'Filial' }]) };
+    decisionRows = 1;
+    fakeDb.calls.length = 0;
+});
+
+after(async () => {
+    await app.close();
+    await fakeDb.restore();
+});
+
+const statements = () => fakeDb.calls.map(call => call.sql);
+
+test('approving locks the request and only decides it while it is pending', async () => {
+    await approveChangeRequest(21, 'admin');
+    assert.ok(statements().includes('SELECT * FROM change_requests WHERE id = ? FOR UPDATE'));
+    const decision = fakeDb.calls.find(call => call.sql.startsWith('UPDATE change_requests SET'));
+    assert.match(decision.sql, /WHERE id = \? AND status = \?/);
+    assert.deepStrictEqual(decision.params, [{ status: 'approved', reviewed_by: 'admin' }, 21, 'pending']);
+    assert.ok(statements().includes('COMMIT'));
+});
+
+test('an approval that loses the race is rolled back', async () => {
+    decisionRows = 0;
+    await assert.rejects(approveChangeRequest(21, 'admin'), { status: 409 });
+    assert.ok(statements().includes('ROLLBACK'));
+    assert.ok(!statements().includes('COMMIT'));
+});
+
+test('a request already reviewed cannot be rejected', async () => {
+    request.status = 'approved';
+    await assert.rejects(rejectChangeRequest(21, 'admin', 'Local errado'), { status: 409 });
+    assert.ok(!statements().some(sql => sql.startsWith('UPDATE change_requests SET')));
+});
+
+test('a rejection that loses the race is rolled back', async () => {
+    decisionRows = 0;
+    await assert.rejects(rejectChangeRequest(21, 'admin', 'Local errado'), { status: 409 });
+    assert.ok(statements().includes('SELECT * FROM change_requests WHERE id = ? FOR UPDATE'));
+    assert.ok(statements().includes('ROLLBACK'));
+    assert.ok(!statements().some(sql => sql.startsWith('INSERT INTO audit_log')));
+});
+
+test('check-out by a non-admin is exempt from approval', async () => {
+    const { status } = await app.request('POST', '/api/equipment/7/check-out', { as: 'user', body: { usuarioAtual: 'Maria Souza' } });
+    assert.strictEqual(status, 200);
+    assert.ok(statements().some(sql => sql.startsWith('UPDATE equipment SET')));
+    assert.ok(!statements().some(sql => sql.includes('change_requests')));
+});
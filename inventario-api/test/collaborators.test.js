@@ -0,0 +1,57 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { useFakeDb, startApp } = require('./helpers');
+
+const COLLABORATOR = { id: 5, name: 'Maria Souza', email: 'maria@example.com', department: 'Financeiro', active: 1 };
+let fakeDb;
+let app;
+
+before(async () => {
+    fakeDb = useFakeDb((sql) => {
+        if (sql.startsWith('INSERT INTO collaborators SET ?')) return [{ insertId: 5 }];
+        if (sql.startsWith('SELECT * FROM collaborators WHERE id = ?')) return [[{ ...COLLABORATOR }]];
+        return undefined;
+    });
+    app = await startApp();
+});
+
+beforeEach(() => {
+    fakeDb.calls.length = 0;
+});
+
+after(async () => {
+    await app.close();
+    await fakeDb.restore();
+});
+
+const written = (prefix) => fakeDb.calls.find(call => call.sql.startsWith(prefix));
+
+test('creating a collaborator passes validation after authenticate', async () => {
+    const { status, body } = await app.request('POST', '/api/collaborators', {
+        body: { name: 'Maria Souza', email: 'Maria@Example.com', department: 'Financeiro' }
+    });
+    assert.strictEqual(status, 201);
+    assert.strictEqual(body.id, 5);
+    const insert = written('INSERT INTO collaborators SET ?');
+    assert.strictEqual(insert.params[0].email, 'maria@example.com');
+    assert.strictEqual(insert.params[0].username, undefined);
+});
+
+test('updating a collaborator passes validation after authenticate', async () => {
+    const { status } = await app.request('PUT', '/api/collaborators/5', { body: { active: false } });
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(written('UPDATE collaborators SET ?').params, [{ active: false }, '5']);
+});
+
+test('match decisions pass validation after authenticate', async () => {
+    const { status } = await app.request('POST', '/api/collaborators/matching/decisions', { body: { holder: 'M. Souza', collaboratorId: 5 } });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(written('INSERT INTO collaborator_aliases').params[2], 5);
+});
+
+test('unknown fields are still rejected', async () => {
+    const { status, body } = await app.request('POST', '/api/collaborators', { body: { name: 'Maria', nickname: 'Mari' } });
+    assert.strictEqual(status, 400);
+    assert.ok(body.errors.nickname);
+    assert.strictEqual(written('INSERT INTO collaborators'), undefined);
+});
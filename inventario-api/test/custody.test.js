@@ -0,0 +1,57 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { useFakeDb, startApp } = require('./helpers');
+
+let equipment;
+let fakeDb;
+let app;
+
+before(async () => {
+    fakeDb = useFakeDb((sql) => {
+        if (sql.startsWith('SELECT * FROM equipment WHERE id = ?')) return [[{ ...equipment }]];
+        if (sql.startsWith('INSERT INTO equipment_termos')) return [{ insertId: 4 }];
+        if (sql.includes('FROM equipment_termos WHERE id = ?')) return [[{ id: 4, equipment_id: 7 }]];
+        return undefined;
+    });
+    app = await startApp();
+});
+
+beforeEach(() => {
+    equipment = { id: 7, equipamento: 'Notebook Dell', serial: 'SN-7', status: 'ESTOQUE', usuarioAtual: null, approval_status: 'approved' };
+    fakeDb.calls.length = 0;
+});
+
+after(async () => {
+    await app.close();
+    await fakeDb.restore();
+});
+
+const equipmentUpdate = () => fakeDb.calls.find(call => call.sql.startsWith('UPDATE equipment SET'));
+
+test('check-out passes validation after authenticate', async () => {
+    const { status, body } = await app.request('POST', '/api/equipment/7/check-out', {
+        as: 'user',
+        body: { usuarioAtual: 'Maria Souza', emailColaborador: 'maria@example.com', dataEntregaUsuario: '2026-10-01' }
+    });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.equipment.usuarioAtual, 'Maria Souza');
+    assert.strictEqual(equipmentUpdate().params[0].usuarioAtual, 'Maria Souza');
+    assert.strictEqual(equipmentUpdate().params[0].username, undefined);
+});
+
+test('check-in passes validation after authenticate, with or without a body', async () => {
+    equipment.usuarioAtual = 'Maria Souza';
+    const withBody = await app.request('POST', '/api/equipment/7/check-in', { as: 'manager', body: { dataDevolucao: '2026-10-02', status: 'ESTOQUE' } });
+    assert.strictEqual(withBody.status, 200);
+    assert.strictEqual(withBody.body.equipment.status, 'ESTOQUE');
+
+    const empty = await app.request('POST', '/api/equipment/7/check-in', { as: 'manager' });
+    assert.strictEqual(empty.status, 200);
+});
+
+test('unknown fields are still rejected', async () => {
+    const { status, body } = await app.request('POST', '/api/equipment/7/check-out', { body: { usuarioAtual: 'Maria', foo: 'bar' } });
+    assert.strictEqual(status, 400);
+    assert.ok(body.errors.foo);
+    assert.strictEqual(equipmentUpdate(), undefined);
+});
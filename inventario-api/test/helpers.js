@@ -0,0 +1,67 @@
+// Shared setup for the route tests: the app exported by server.js (which only listens, migrates and
+// starts its schedulers when run directly) on a free port, with the database queries answered by a fake pool.
+process.env.SESSION_SECRET = process.env.SESSION_SECRET || 'test-session-secret';
+
+const db = require('../db');
+const { ROLES, issueSessionToken } = require('../auth');
+const { sealPendingEntries } = require('../audit');
+
+const USERS = {
+    admin: { id: 1, username: 'admin', realName: 'Administrador', email: 'admin@example.com', role: ROLES.ADMIN },
+    manager: { id: 2, username: 'gestor', realName: 'Gestor', email: 'gestor@example.com', role: ROLES.USER_MANAGER },
+    user: { id: 3, username: 'operador', realName: 'Operador', email: 'operador@example.com', role: ROLES.USER }
+};
+
+const SESSION_USER_SQL = 'SELECT id, username, realName, email, role FROM users WHERE id = ?';
+
+// Replaces db.promise() with a fake that records every statement. `respond(sql, params)` returns the
+// result for the statements the test cares about; the session lookup of authenticate is answered here.
+const useFakeDb = (respond = () => undefined) => {
+    const calls = [];
+    const run = async (sql, params = []) => {
+        calls.push({ sql, params });
+        if (sql === SESSION_USER_SQL) {
+            return [Object.values(USERS).filter(user => user.id === params[0])];
+        }
+        const result = await respond(sql, params);
+        return result === undefined ? [[]] : result;
+    };
+    const connection = {
+        query: run,
+        execute: run,
+        beginTransaction: async () => calls.push({ sql: 'BEGIN' }),
+        commit: async () => calls.push({ sql: 'COMMIT' }),
+        rollback: async () => calls.push({ sql: 'ROLLBACK' }),
+        release: () => {}
+    };
+    const original = db.promise;
+    db.promise = () => ({ ...connection, getConnection: async () => connection });
+    // Entries written by logAudit are sealed in the background: let that finish on the fake first
+    const restore = async () => {
+        await new Promise(resolve => setImmediate(resolve));
+        await sealPendingEntries();
+        db.promise = original;
+    };
+    return { calls, restore };
+};
+
+// Serves the app of server.js on a free port. It is loaded on the first call, so a test can replace
+// mailer functions before the modules that keep references to them are required.
+// request() sends the session token of one of USERS.
+const startApp = async () => {
+    const { app } = require('../server');
+    const server = await new Promise(resolve => { const s = app.listen(0, () => resolve(s)); });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const request = async (method, path, { as = 'admin', body } = {}) => {
+        const headers = { Authorization: `Bearer ${issueSessionToken(USERS[as])}` };
+        if (body !== undefined) headers['Content-Type'] = 'application/json';
+        const response = await fetch(baseUrl + path, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+        const text = await response.text();
+        return { status: response.status, body: text ? JSON.parse(text) : null };
+    };
+
+    return { request, close: () => new Promise(resolve => server.close(resolve)) };
+};
+
+module.exports = { USERS, useFakeDb, startApp };
@@ -0,0 +1,86 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mailer = require('../mailer');
+const { useFakeDb } = require('./helpers');
+
+const inFiveDays = new Date(Date.now() + 5 * 86400000).toISOString().split('T')[0];
+let gestor;
+let failingRecipients;
+let sent;
+let fakeDb;
+
+before(() => {
+    fakeDb = useFakeDb((sql) => {
+        if (sql.startsWith('SELECT id, produto, chaveSerial, usuario, gestor, dataExpiracao FROM licenses')) {
+            return [[{ id: 9, produto: 'Office 365', chaveSerial: 'XXXX', usuario: 'Maria', gestor, dataExpiracao: inFiveDays }]];
+        }
+        if (sql.startsWith('SELECT username, realName, email, role FROM users')) {
+            return [[
+                { username: 'admin', realName: 'Administrador', email: 'admin@example.com', role: 'Admin' },
+                { username: 'jsilva', realName: 'João Silva', email: 'joao@example.com', role: 'User' }
+            ]];
+        }
+        return undefined;
+    });
+    mailer.sendMail = async (message) => {
+        if (failingRecipients.includes(message.to)) throw new Error('connect ECONNREFUSED');
+        sent.push(message.to);
+    };
+});
+
+beforeEach(() => {
+    gestor = null;
+    failingRecipients = [];
+    sent = [];
+    fakeDb.calls.length = 0;
+});
+
+after(() => fakeDb.restore());
+
+// Loaded after the mailer is replaced, since licenseAlerts keeps its own reference to sendMail
+const runLicenseAlerts = (...args) => require('../licenseAlerts').runLicenseAlerts(...args);
+
+const lastRunWritten = () => fakeDb.calls.some(call => call.sql.startsWith('INSERT INTO app_config') && call.params[0] === 'licenseAlertLastRun');
+// Recipients the alert of license 9 was recorded for
+const notifiedRecipients = () => fakeDb.calls
+    .filter(call => call.sql.startsWith('INSERT IGNORE INTO license_alerts_sent'))
+    .map(call => call.params[3]);
+
+test('a digest that could not be sent leaves the day open for a retry', async () => {
+    failingRecipients = ['admin@example.com'];
+    const result = await runLicenseAlerts();
+    assert.strictEqual(result.failed.length, 1);
+    assert.ok(!lastRunWritten());
+    assert.ok(!notifiedRecipients().includes('admins'));
+});
+
+test('the day is marked as done once the digest is sent', async () => {
+    const result = await runLicenseAlerts();
+    assert.deepStrictEqual(result.sentTo, ['admin@example.com']);
+    assert.ok(notifiedRecipients().includes('admins'));
+    assert.ok(lastRunWritten());
+});
+
+test('a gestor given by username or name gets the digest at their e-mail', async () => {
+    for (const value of ['jsilva', 'João Silva', 'joao@example.com']) {
+        gestor = value;
+        sent = [];
+        await runLicenseAlerts();
+        assert.deepStrictEqual(sent, ['admin@example.com', 'joao@example.com']);
+    }
+});
+
+test('a gestor who is not a user is left to the admins', async () => {
+    gestor = 'Fornecedor XPTO';
+    await runLicenseAlerts();
+    assert.deepStrictEqual(sent, ['admin@example.com']);
+});
+
+test('only the recipients who got the digest are recorded', async () => {
+    gestor = 'jsilva';
+    failingRecipients = ['joao@example.com'];
+    const result = await runLicenseAlerts();
+    assert.deepStrictEqual(result.failed.map(failure => failure.to), ['joao@example.com']);
+    assert.deepStrictEqual(notifiedRecipients(), ['admins', 'webhooks']);
+    assert.ok(!lastRunWritten());
+});
@@ -0,0 +1,90 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { USERS, useFakeDb, startApp } = require('./helpers');
+const { openMaintenance, closeMaintenance } = require('../maintenance');
+
+const today = new Date().toISOString().split('T')[0];
+let equipment;
+let fakeDb;
+let app;
+
+// Just enough of the equipment, maintenance_records and change_requests tables for one repair of equipment 7
+const respond = (sql, params) => {
+    if (sql.startsWith('SELECT * FROM equipment WHERE id = ?')) return [[{ ...equipment }]];
+    if (sql.startsWith("SELECT id FROM maintenance_records WHERE equipment_id = ? AND status = 'open'")) return [[]];
+    if (sql.startsWith('SELECT equipment_id FROM maintenance_records')) return [[{ equipment_id: 7 }]];
+    if (sql.startsWith('SELECT * FROM maintenance_records WHERE id = ? FOR UPDATE')) {
+        return [[{ id: 11, equipment_id: 7, status: 'open', opened_at: today, previous_status: 'EM USO', cost: null }]];
+    }
+    if (sql.startsWith('INSERT INTO maintenance_records')) return [{ insertId: 11 }];
+    if (sql.includes('FROM maintenance_records m JOIN equipment e')) {
+        return [[{ id: 11, equipment_id: 7, status: 'open', opened_at: today, closed_at: null, warranty_end: null, parts: null, cost: null, days_in_repair: 0 }]];
+    }
+    if (sql.startsWith('INSERT INTO change_requests')) return [{ insertId: 21 }];
+    if (sql.startsWith('SELECT * FROM change_requests WHERE id = ?')) {
+        const insert = fakeDb.calls.find(call => call.sql.startsWith('INSERT INTO change_requests'));
+        return [[{ id: 21, item_type: 'equipment', item_id: 7, action: 'update', changes: insert.params[4], status: 'pending' }]];
+    }
+    return undefined;
+};
+
+const equipmentUpdates = () => fakeDb.calls.filter(call => call.sql.startsWith('UPDATE equipment SET'));
+const changeRequestInserts = () => fakeDb.calls.filter(call => call.sql.startsWith('INSERT INTO change_requests'));
+
+before(async () => {
+    fakeDb = useFakeDb((sql, params) => respond(sql, params));
+    app = await startApp();
+});
+
+beforeEach(() => {
+    equipment = { id: 7, equipamento: 'Notebook Dell', serial: 'SN-7', status: 'EM USO', usuarioAtual: 'Maria', approval_status: 'approved', garantia: '', created_by_id: 1 };
+    fakeDb.calls.length = 0;
+});
+
+after(async () => {
+    await app.close();
+    await fakeDb.restore();
+});
+
+test('opening, updating and closing pass validation after authenticate', async () => {
+    const opened = await app.request('POST', '/api/equipment/7/maintenance', { as: 'user', body: { problem: 'Tela quebrada', vendor: 'Assistência X', parts: ['Tela'] } });
+    assert.strictEqual(opened.status, 201);
+    const insert = fakeDb.calls.find(call => call.sql.startsWith('INSERT INTO maintenance_records'));
+    assert.strictEqual(insert.params[0].problem, 'Tela quebrada');
+
+    const updated = await app.request('PUT', '/api/maintenance/11', { as: 'manager', body: { cost: '350,00' } });
+    assert.strictEqual(updated.status, 200);
+
+    const closed = await app.request('POST', '/api/maintenance/11/close', { as: 'manager', body: { resolution: 'Tela trocada' } });
+    assert.strictEqual(closed.status, 200);
+});
+
+test('an admin opening a repair moves the equipment to maintenance directly', async () => {
+    const result = await openMaintenance(7, { problem: 'Não liga' }, USERS.admin);
+    assert.strictEqual(result.changeRequest, null);
+    assert.strictEqual(result.equipment.status, 'MANUTENÇÃO');
+    assert.strictEqual(equipmentUpdates().length, 1);
+    assert.deepStrictEqual(equipmentUpdates()[0].params[0], { status: 'MANUTENÇÃO' });
+    assert.strictEqual(changeRequestInserts().length, 0);
+});
+
+test('a non-admin opening a repair submits the status change for approval', async () => {
+    const result = await openMaintenance(7, { problem: 'Não liga' }, USERS.user);
+    assert.strictEqual(equipmentUpdates().length, 0);
+    assert.strictEqual(result.equipment.status, 'EM USO');
+    assert.strictEqual(result.changeRequest.id, 21);
+    assert.deepStrictEqual(result.changeRequest.changes, [{ field: 'status', from: 'EM USO', to: 'MANUTENÇÃO' }]);
+    // The repair record is kept, inside the same transaction as the request
+    const statements = fakeDb.calls.map(call => call.sql);
+    const commit = statements.indexOf('COMMIT');
+    assert.ok(statements.findIndex(sql => sql.startsWith('INSERT INTO maintenance_records')) < commit);
+    assert.ok(statements.findIndex(sql => sql.startsWith('INSERT INTO change_requests')) < commit);
+});
+
+test('a non-admin closing a repair submits the status change back for approval', async () => {
+    equipment.status = 'MANUTENÇÃO';
+    const result = await closeMaintenance(11, {}, USERS.manager);
+    assert.strictEqual(equipmentUpdates().length, 0);
+    assert.deepStrictEqual(result.changeRequest.changes, [{ field: 'status', from: 'MANUTENÇÃO', to: 'EM USO' }]);
+    assert.ok(fakeDb.calls.some(call => call.sql.startsWith('UPDATE maintenance_records SET')));
+});
@@ -0,0 +1,65 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mailer = require('../mailer');
+const { useFakeDb } = require('./helpers');
+
+let baseUrl;
+let sent;
+// Set to make the SMTP server refuse the message
+let mailFailure;
+let fakeDb;
+
+before(() => {
+    fakeDb = useFakeDb((sql, params) => {
+        if (sql.includes('FROM app_config') && params[0] === 'assetBaseUrl') return [baseUrl ? [{ config_value: baseUrl }] : []];
+        if (sql.startsWith('SELECT * FROM users WHERE username = ? OR email = ?')) {
+            return [[{ id: 3, username: 'operador', realName: 'Operador', email: 'operador@example.com', ssoProvider: null }]];
+        }
+        if (sql.startsWith('SELECT COUNT(*) AS total FROM password_reset_tokens')) return [[{ total: 0 }]];
+        return undefined;
+    });
+    mailer.getSmtpConfig = async () => ({ host: 'smtp.example.com', companyName: 'Empresa' });
+    mailer.sendMail = async (message) => {
+        if (mailFailure) throw mailFailure;
+        sent.push(message);
+    };
+});
+
+beforeEach(() => {
+    sent = [];
+    mailFailure = null;
+    delete process.env.APP_BASE_URL;
+});
+
+after(() => fakeDb.restore());
+
+// Loaded after the mailer is replaced, since accountSecurity keeps its own references to it
+const requestPasswordReset = (...args) => require('../accountSecurity').requestPasswordReset(...args);
+
+test('the reset link points to the configured system address', async () => {
+    baseUrl = 'https://inventario.example.com/';
+    await requestPasswordReset('operador', '203.0.113.9');
+    assert.strictEqual(sent.length, 1);
+    assert.match(sent[0].text, /https:\/\/inventario\.example\.com\/#\/redefinir-senha\/[\w-]+/);
+});
+
+test('APP_BASE_URL is used when Settings has no address', async () => {
+    baseUrl = null;
+    process.env.APP_BASE_URL = 'http://intranet.local:8080';
+    await requestPasswordReset('operador', '203.0.113.9');
+    assert.match(sent[0].text, /http:\/\/intranet\.local:8080\/#\/redefinir-senha\//);
+});
+
+test('without a configured address no link is sent', async () => {
+    baseUrl = null;
+    await assert.rejects(requestPasswordReset('operador', '203.0.113.9'), { status: 503 });
+    assert.strictEqual(sent.length, 0);
+});
+
+test('a failed e-mail gives the same answer as an unknown account', async () => {
+    baseUrl = 'https://inventario.example.com';
+    mailFailure = new Error('Connection refused');
+    const message = await requestPasswordReset('operador', '203.0.113.9');
+    assert.match(message, /^Se existir uma conta com esses dados/);
+    assert.strictEqual(sent.length, 0);
+});
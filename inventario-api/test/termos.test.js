@@ -0,0 +1,50 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mailer = require('../mailer');
+const { useFakeDb, startApp } = require('./helpers');
+
+let sent;
+let fakeDb;
+let app;
+
+before(async () => {
+    fakeDb = useFakeDb((sql) => {
+        if (sql.includes('FROM equipment_termos WHERE id = ?')) {
+            return [[{ id: 4, equipment_id: 7, termo_type: 'entrega', collaborator: 'Maria Souza', email: 'maria@example.com', content: '<p>Termo de entrega</p>' }]];
+        }
+        if (sql.startsWith('SELECT id, equipamento, serial, patrimonio, emailColaborador FROM equipment WHERE id = ?')) {
+            return [[{ id: 7, equipamento: 'Notebook Dell', serial: 'SN-7', patrimonio: 'PAT-7', emailColaborador: null }]];
+        }
+        return undefined;
+    });
+    mailer.sendMail = async (message) => { sent.push(message); };
+    // Loaded after the mailer is replaced, since termos.js keeps its own reference to sendMail
+    app = await startApp();
+});
+
+beforeEach(() => {
+    sent = [];
+});
+
+after(async () => {
+    await app.close();
+    await fakeDb.restore();
+});
+
+test('sending a termo passes validation after authenticate', async () => {
+    const withRecipient = await app.request('POST', '/api/termos/4/send', { as: 'user', body: { to: 'ti@example.com' } });
+    assert.strictEqual(withRecipient.status, 200);
+    assert.strictEqual(sent[0].to, 'ti@example.com');
+
+    // The frontend posts an empty object to use the archived e-mail
+    const archived = await app.request('POST', '/api/termos/4/send', { as: 'user', body: {} });
+    assert.strictEqual(archived.status, 200);
+    assert.strictEqual(sent[1].to, 'maria@example.com');
+});
+
+test('an invalid recipient is still rejected', async () => {
+    const { status, body } = await app.request('POST', '/api/termos/4/send', { body: { to: 'not-an-email' } });
+    assert.strictEqual(status, 400);
+    assert.ok(body.errors.to);
+    assert.strictEqual(sent.length, 0);
+});
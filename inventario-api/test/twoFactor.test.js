@@ -0,0 +1,65 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { authenticator } = require('otplib');
+const { USERS, useFakeDb, startApp } = require('./helpers');
+
+const SECRET = authenticator.generateSecret();
+let account;
+let locked;
+let fakeDb;
+let app;
+
+before(async () => {
+    fakeDb = useFakeDb((sql) => {
+        if (sql.startsWith('SELECT * FROM users WHERE id = ?')) return [[{ ...account }]];
+        if (sql.includes('FROM login_attempts WHERE ip_address = ?')) return [[{ failures: 0, retryAfter: null }]];
+        if (sql.includes('AND lockedUntil > NOW()')) return [locked ? [{ id: account.id, lockedFor: 600 }] : []];
+        return undefined;
+    });
+    app = await startApp();
+});
+
+beforeEach(() => {
+    account = { ...USERS.user, password: 'hash', is2FAEnabled: 1, twoFASecret: SECRET, failed2FAAttempts: 0 };
+    locked = false;
+    fakeDb.calls.length = 0;
+});
+
+after(async () => {
+    await app.close();
+    await fakeDb.restore();
+});
+
+const userUpdate = () => fakeDb.calls.find(call => call.sql.startsWith('UPDATE users SET'));
+// The current code plus one, so it never matches
+const wrongCode = () => String((Number(authenticator.generate(SECRET)) + 1) % 1000000).padStart(6, '0');
+
+test('a wrong code is counted towards the account lock', async () => {
+    const { status } = await app.request('POST', '/api/verify-2fa', { as: 'user', body: { token: wrongCode() } });
+    assert.strictEqual(status, 400);
+    assert.deepStrictEqual(userUpdate().params, [1, account.id]);
+    assert.ok(fakeDb.calls.some(call => call.sql.startsWith('INSERT INTO login_attempts')));
+});
+
+test('the last wrong code allowed locks the account', async () => {
+    account.failed2FAAttempts = 4;
+    const { status } = await app.request('POST', '/api/verify-2fa', { as: 'user', body: { token: wrongCode() } });
+    assert.strictEqual(status, 429);
+    assert.match(userUpdate().sql, /lockedUntil = DATE_ADD/);
+});
+
+test('a locked account cannot verify even with the right code', async () => {
+    locked = true;
+    const { status } = await app.request('POST', '/api/verify-2fa', { as: 'user', body: { token: authenticator.generate(SECRET) } });
+    assert.strictEqual(status, 429);
+    assert.strictEqual(userUpdate(), undefined);
+});
+
+test('the right code resets the counter and opens a session', async () => {
+    account.failed2FAAttempts = 3;
+    const { status, body } = await app.request('POST', '/api/verify-2fa', { as: 'user', body: { token: authenticator.generate(SECRET) } });
+    assert.strictEqual(status, 200);
+    assert.ok(body.token);
+    assert.strictEqual(body.failed2FAAttempts, undefined);
+    assert.deepStrictEqual(userUpdate(), { sql: 'UPDATE users SET failed2FAAttempts = 0 WHERE id = ?', params: [account.id] });
+});
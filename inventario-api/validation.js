@@ -0,0 +1,306 @@
+// Column whitelists and field rules for the Equipment and License shapes (see types.ts).
+// Every write that builds SQL from client keys must go through validateRecord first:
+// only columns listed here ever reach a query.
+
+const APPROVAL_STATUSES = ['pending_approval', 'approved', 'rejected'];
+const CONDICOES_TERMO = ['Assinado - Entrega', 'Assinado - Devolução', 'Pendente', 'N/A'];
+
+// serverManaged fields are only accepted from Admins; for everyone else they are dropped silently,
+// because edit forms send back the whole record they loaded.
+const EQUIPMENT_SCHEMA = {
+    equipamento: { type: 'string', required: true, maxLength: 255 },
+    garantia: { type: 'string', maxLength: 255 },
+    patrimonio: { type: 'string', maxLength: 255 },
+    serial: { type: 'string', required: true, maxLength: 255 },
+    usuarioAtual: { type: 'string', maxLength: 255 },
+    usuarioAnterior: { type: 'string', maxLength: 255 },
+    local: { type: 'string', maxLength: 255 },
+    setor: { type: 'string', maxLength: 255 },
+    dataEntregaUsuario: { type: 'date' },
+    status: { type: 'string', maxLength: 255 },
+    dataDevolucao: { type: 'date' },
+    tipo: { type: 'string', maxLength: 255 },
+    notaCompra: { type: 'string', maxLength: 255 },
+    notaPlKm: { type: 'string', maxLength: 255 },
+    termoResponsabilidade: { type: 'string', maxLength: 255 },
+    foto: { type: 'text' },
+    qrCode: { type: 'text' },
+    brand: { type: 'string', maxLength: 100 },
+    model: { type: 'string', maxLength: 100 },
+    observacoes: { type: 'text' },
+    emailColaborador: { type: 'email', maxLength: 255 },
+    approval_status: { type: 'enum', values: APPROVAL_STATUSES, serverManaged: true },
+    rejection_reason: { type: 'text', serverManaged: true },
+    created_by_id: { type: 'integer', serverManaged: true },
+    identificador: { type: 'string', maxLength: 255 },
+    nomeSO: { type: 'string', maxLength: 255 },
+    memoriaFisicaTotal: { type: 'string', maxLength: 100 },
+    grupoPoliticas: { type: 'string', maxLength: 100 },
+    pais: { type: 'string', maxLength: 100 },
+    cidade: { type: 'string', maxLength: 100 },
+    estadoProvincia: { type: 'string', maxLength: 100 },
+    condicaoTermo: { type: 'enum', values: CONDICOES_TERMO },
+    // Purchase data used by the analytics dashboard (analytics.js)
+    dataCompra: { type: 'date' },
+    valorCompra: { type: 'decimal', min: 0, max: 9999999999.99 },
+    centroCusto: { type: 'string', maxLength: 255 },
+    empresa: { type: 'string', maxLength: 255 }
+};
+
+const LICENSE_SCHEMA = {
+    produto: { type: 'string', required: true, maxLength: 255 },
+    tipoLicenca: { type: 'string', maxLength: 255 },
+    chaveSerial: { type: 'string', required: true, maxLength: 255 },
+    dataExpiracao: { type: 'date' },
+    usuario: { type: 'string', required: true, maxLength: 255 },
+    cargo: { type: 'string', maxLength: 255 },
+    empresa: { type: 'string', maxLength: 255 },
+    setor: { type: 'string', maxLength: 255 },
+    gestor: { type: 'string', maxLength: 255 },
+    centroCusto: { type: 'string', maxLength: 255 },
+    contaRazao: { type: 'string', maxLength: 255 },
+    nomeComputador: { type: 'string', maxLength: 255 },
+    numeroChamado: { type: 'string', maxLength: 255 },
+    observacoes: { type: 'text' },
+    approval_status: { type: 'enum', values: APPROVAL_STATUSES, serverManaged: true },
+    rejection_reason: { type: 'text', serverManaged: true },
+    created_by_id: { type: 'integer', serverManaged: true }
+};
+
+// Keys that identify the row and are never written as columns
+const IGNORED_KEYS = ['id'];
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const toIsoDate = (year, month, day) => {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        return null;
+    }
+    return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+/**
+ * Normalizes the date formats we get from forms, CSVs and spreadsheets to YYYY-MM-DD.
+ * Accepts YYYY-MM-DD (optionally followed by a time), DD/MM/YYYY, DD-MM-YYYY and Excel serial numbers.
+ * Returns null when the value is not a valid date.
+ */
+const normalizeDate = (value) => {
+    if (value instanceof Date) {
+        return isNaN(value.getTime()) ? null : value.toISOString().split('T')[0];
+    }
+    if (typeof value === 'number') {
+        // Excel serial dates count days from 1899-12-30
+        if (value < 1 || value > 2958465) return null;
+        const date = new Date(Date.UTC(1899, 11, 30) + Math.floor(value) * 86400000);
+        return date.toISOString().split('T')[0];
+    }
+    const text = String(value).trim();
+    let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ].*)?$/);
+    if (match) {
+        return toIsoDate(Number(match[1]), Number(match[2]), Number(match[3]));
+    }
+    match = text.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/);
+    if (match) {
+        return toIsoDate(Number(match[3]), Number(match[2]), Number(match[1]));
+    }
+    if (/^\d+(\.\d+)?$/.test(text)) {
+        return normalizeDate(Number(text));
+    }
+    return null;
+};
+
+/**
+ * Reads amounts typed as 4599.90, 4599,90, 4.599,90 or R$ 4.599,90 (spreadsheets mix both conventions).
+ * The last separator followed by one or two digits is the decimal one. Returns null when it is not a number.
+ */
+const parseDecimal = (value) => {
+    if (typeof value === 'number') return isFinite(value) ? Math.round(value * 100) / 100 : null;
+    const text = String(value).replace(/^R\$\s*/i, '').replace(/\s/g, '');
+    if (!/^-?[\d.,]+$/.test(text)) return null;
+    const match = text.match(/^(-?[\d.,]*?)[.,](\d{1,2})$/);
+    const integerPart = (match ? match[1] : text).replace(/[.,]/g, '');
+    const number = Number(`${integerPart || '0'}.${match ? match[2] : '0'}`);
+    return isFinite(number) ? Math.round(number * 100) / 100 : null;
+};
+
+// Returns { value } or { error } for a single non-empty field value
+const validateField = (rule, value) => {
+    switch (rule.type) {
+        case 'string':
+        case 'text':
+        case 'email': {
+            if (typeof value !== 'string' && typeof value !== 'number') {
+                return { error: 'Deve ser um texto.' };
+            }
+            const text = String(value).trim();
+            if (rule.maxLength && text.length > rule.maxLength) {
+                return { error: `Deve ter no máximo ${rule.maxLength} caracteres.` };
+            }
+            if (rule.type === 'email' && !EMAIL_REGEX.test(text)) {
+                return { error: 'E-mail inválido.' };
+            }
+            return { value: text };
+        }
+        case 'integer': {
+            const number = Number(value);
+            if (!Number.isInteger(number)) {
+                return { error: 'Deve ser um número inteiro.' };
+            }
+            return { value: number };
+        }
+        case 'decimal': {
+            const number = parseDecimal(value);
+            if (number === null) {
+                return { error: 'Deve ser um valor numérico (ex.: 4599,90).' };
+            }
+            if ((rule.min !== undefined && number < rule.min) || (rule.max !== undefined && number > rule.max)) {
+                return { error: `Deve estar entre ${rule.min} e ${rule.max}.` };
+            }
+            // Same text MySQL returns for DECIMAL(…,2), so history diffs don't report "4599.9" -> "4599.90"
+            return { value: number.toFixed(2) };
+        }
+        case 'date': {
+            const date = normalizeDate(value);
+            if (!date) {
+                return { error: 'Data inválida. Use o formato AAAA-MM-DD ou DD/MM/AAAA.' };
+            }
+            return { value: date };
+        }
+        case 'enum': {
+            if (!rule.values.includes(value)) {
+                return { error: `Valor inválido. Valores aceitos: ${rule.values.join(', ')}.` };
+            }
+            return { value };
+        }
+        default:
+            return { error: 'Campo sem regra de validação.' };
+    }
+};
+
+const isEmpty = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+/**
+ * Validates `input` against `schema`.
+ * Options:
+ *  - partial: required fields are only checked when present (updates and periodic imports)
+ *  - allowServerManaged: keep serverManaged fields instead of dropping them
+ * Returns { value, errors } where `value` only contains whitelisted columns (empty strings become null)
+ * and `errors` maps field name -> message. `errors` is null when the record is valid.
+ */
+const validateRecord = (schema, input, { partial = false, allowServerManaged = false } = {}) => {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { value: null, errors: { _record: 'Registro inválido.' } };
+    }
+
+    const value = {};
+    const errors = {};
+
+    for (const key of Object.keys(input)) {
+        if (IGNORED_KEYS.includes(key)) continue;
+        const rule = schema[key];
+        if (!rule) {
+            errors[key] = 'Campo desconhecido.';
+            continue;
+        }
+        if (rule.serverManaged && !allowServerManaged) continue;
+
+        const raw = input[key];
+        if (isEmpty(raw)) {
+            if (rule.required) {
+                errors[key] = 'Campo obrigatório.';
+            } else if (raw !== undefined) {
+                value[key] = null;
+            }
+            continue;
+        }
+
+        const result = validateField(rule, raw);
+        if (result.error) {
+            errors[key] = result.error;
+        } else {
+            value[key] = result.value;
+        }
+    }
+
+    if (!partial) {
+        for (const [key, rule] of Object.entries(schema)) {
+            if (rule.required && !(key in input) && !errors[key]) {
+                errors[key] = 'Campo obrigatório.';
+            }
+        }
+    }
+
+    return { value, errors: Object.keys(errors).length > 0 ? errors : null };
+};
+
+// DATE columns come back from mysql2 as local-midnight Dates: returns the record with them as YYYY-MM-DD
+const formatDateFields = (schema, record) => Object.fromEntries(Object.entries(record).map(([field, value]) => [
+    field,
+    value instanceof Date && schema[field] && schema[field].type === 'date'
+        ? `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`
+        : value
+]));
+
+const validationFailed = (res, errors, message = 'Existem campos inválidos. Corrija-os e tente novamente.') =>
+    res.status(400).json({ message, errors });
+
+/**
+ * Express middleware: validates req.body[key] and replaces it with the normalized record.
+ * `options.allowServerManaged` may be a function of the request (e.g. "is the user an Admin?").
+ */
+const validateBody = (key, schema, options = {}) => (req, res, next) => {
+    const allowServerManaged = typeof options.allowServerManaged === 'function'
+        ? options.allowServerManaged(req)
+        : !!options.allowServerManaged;
+    const { value, errors } = validateRecord(schema, req.body[key], { partial: !!options.partial, allowServerManaged });
+    if (errors) {
+        return validationFailed(res, errors);
+    }
+    req.body[key] = value;
+    next();
+};
+
+/**
+ * Express middleware for bulk imports: validates every row of req.body[key] (partial records).
+ * Responds 400 with `rowErrors: [{ row, errors }]` (row is 1-based) if any row is invalid.
+ */
+const validateRows = (key, schema, options = {}) => (req, res, next) => {
+    const rows = req.body[key];
+    if (!Array.isArray(rows)) {
+        return validationFailed(res, { [key]: 'Deve ser uma lista de registros.' }, 'Lista de registros inválida.');
+    }
+    const normalized = [];
+    const rowErrors = [];
+    rows.forEach((row, index) => {
+        const { value, errors } = validateRecord(schema, row, { partial: true, ...options });
+        if (errors) {
+            rowErrors.push({ row: index + 1, errors });
+        } else {
+            normalized.push(value);
+        }
+    });
+    if (rowErrors.length > 0) {
+        return res.status(400).json({
+            message: `${rowErrors.length} linha(s) com campos inválidos. Nenhuma alteração foi aplicada.`,
+            rowErrors
+        });
+    }
+    req.body[key] = normalized;
+    next();
+};
+
+module.exports = {
+    APPROVAL_STATUSES,
+    CONDICOES_TERMO,
+    EQUIPMENT_SCHEMA,
+    LICENSE_SCHEMA,
+    normalizeDate,
+    formatDateFields,
+    validateRecord,
+    parseDecimal,
+    validateBody,
+    validateRows
+};
@@ -0,0 +1,420 @@
+const crypto = require('crypto');
+const db = require('./db');
+const { logAudit } = require('./audit');
+const { EQUIPMENT_SCHEMA, formatDateFields } = require('./validation');
+
+/*
+ * Outbound webhooks. An event is queued as one webhook_deliveries row per subscribed webhook and
+ * POSTed as JSON by the dispatcher, with an HMAC-SHA256 of "<timestamp>.<body>" made with the
+ * webhook's secret (X-Inventario-Signature). Failed attempts are retried with growing delays
+ * (RETRY_DELAYS_MINUTES); the delivery log keeps the last response of each delivery.
+ */
+
+const WEBHOOK_EVENTS = ['equipment.created', 'equipment.updated', 'equipment.deleted', 'license.expiring', 'approval.decided'];
+// Sent by "Testar"; webhooks do not subscribe to it
+const PING_EVENT = 'ping';
+// Delay before each retry: the delivery fails for good after the last one
+const RETRY_DELAYS_MINUTES = [1, 5, 30, 120, 720];
+const REQUEST_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10);
+const DISPATCH_INTERVAL_MS = 30 * 1000;
+const BATCH_SIZE = 20;
+const RESPONSE_BODY_MAX_LENGTH = 2000;
+const DELIVERY_RETENTION_DAYS = 30;
+const DELIVERY_LIST_LIMIT = 100;
+const NAME_MAX_LENGTH = 100;
+const URL_MAX_LENGTH = 2048;
+const SECRET_PREFIX = 'whsec_';
+
+const webhookError = (status, message) => Object.assign(new Error(message), { status });
+
+const generateSecret = () => `${SECRET_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+
+const sign = (secret, timestamp, body) => crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+// The secret is only returned when it is created or rotated; lists show its last characters
+const parseWebhook = ({ secret, ...row }, { withSecret = false } = {}) => ({
+    ...row,
+    active: !!row.active,
+    events: row.events.split(',').filter(Boolean),
+    secret_hint: `…${secret.slice(-4)}`,
+    ...(withSecret ? { secret } : {})
+});
+
+// { name, url, events: [...], active } (all optional when partial)
+const validateWebhook = (input, { partial = false } = {}) => {
+    const source = input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+    const value = {};
+    const errors = {};
+
+    if (source.name !== undefined || !partial) {
+        const name = typeof source.name === 'string' ? source.name.trim() : '';
+        if (!name) errors.name = 'Informe um nome para o webhook.';
+        else if (name.length > NAME_MAX_LENGTH) errors.name = `Máximo de ${NAME_MAX_LENGTH} caracteres.`;
+        else value.name = name;
+    }
+    if (source.url !== undefined || !partial) {
+        const url = typeof source.url === 'string' ? source.url.trim() : '';
+        let parsed = null;
+        try {
+            parsed = new URL(url);
+        } catch (e) {
+            parsed = null;
+        }
+        if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) errors.url = 'Informe uma URL http:// ou https:// válida.';
+        else if (url.length > URL_MAX_LENGTH) errors.url = `Máximo de ${URL_MAX_LENGTH} caracteres.`;
+        else value.url = url;
+    }
+    if (source.events !== undefined || !partial) {
+        const events = Array.isArray(source.events) ? [...new Set(source.events)] : [];
+        if (events.length === 0) errors.events = 'Selecione ao menos um evento.';
+        else if (events.some(event => !WEBHOOK_EVENTS.includes(event))) errors.events = `Eventos aceitos: ${WEBHOOK_EVENTS.join(', ')}.`;
+        else value.events = WEBHOOK_EVENTS.filter(event => events.includes(event));
+    }
+    if (source.active !== undefined) {
+        if (typeof source.active !== 'boolean') errors.active = 'Deve ser verdadeiro ou falso.';
+        else value.active = source.active;
+    }
+
+    if (Object.keys(errors).length > 0) return { errors };
+    return { value };
+};
+
+const toColumns = (value) => ({ ...value, ...(value.events ? { events: value.events.join(',') } : {}) });
+
+const getWebhookRow = async (id) => {
+    const [rows] = await db.promise().query('SELECT * FROM webhooks WHERE id = ?', [id]);
+    if (rows.length === 0) {
+        throw webhookError(404, 'Webhook não encontrado.');
+    }
+    return rows[0];
+};
+
+// Webhooks with how their recent deliveries went
+const listWebhooks = async () => {
+    const [rows] = await db.promise().query(`
+        SELECT w.*,
+               SUM(d.status = 'pending') AS pending_deliveries,
+               SUM(d.status = 'failed') AS failed_deliveries,
+               MAX(CASE WHEN d.status = 'delivered' THEN d.last_attempt_at END) AS last_delivered_at
+        FROM webhooks w
+        LEFT JOIN webhook_deliveries d ON d.webhook_id = w.id
+        GROUP BY w.id
+        ORDER BY w.name, w.id`);
+    return rows.map(row => ({
+        ...parseWebhook(row),
+        pending_deliveries: Number(row.pending_deliveries || 0),
+        failed_deliveries: Number(row.failed_deliveries || 0)
+    }));
+};
+
+const createWebhook = async (value, username) => {
+    const secret = generateSecret();
+    const [result] = await db.promise().query('INSERT INTO webhooks SET ?', [{ ...toColumns({ active: true, ...value }), secret, created_by: username }]);
+    await logAudit(username, 'CREATE', 'WEBHOOK', result.insertId, `Created webhook "${value.name}" (${value.url}) for ${value.events.join(', ')}`);
+    return parseWebhook(await getWebhookRow(result.insertId), { withSecret: true });
+};
+
+const updateWebhook = async (id, value, username) => {
+    const current = await getWebhookRow(id);
+    if (Object.keys(value).length > 0) {
+        await db.promise().query('UPDATE webhooks SET ? WHERE id = ?', [toColumns(value), id]);
+    }
+    await logAudit(username, 'UPDATE', 'WEBHOOK', id, `Updated webhook "${value.name || current.name}": ${Object.keys(value).join(', ') || 'no changes'}`);
+    return parseWebhook(await getWebhookRow(id));
+};
+
+// The receiver has to be updated with the new secret: deliveries still queued are signed with it
+const rotateWebhookSecret = async (id, username) => {
+    const current = await getWebhookRow(id);
+    await db.promise().query('UPDATE webhooks SET secret = ? WHERE id = ?', [generateSecret(), id]);
+    await logAudit(username, 'UPDATE', 'WEBHOOK', id, `Rotated the secret of webhook "${current.name}"`);
+    return parseWebhook(await getWebhookRow(id), { withSecret: true });
+};
+
+// Its delivery log goes with it (ON DELETE CASCADE)
+const deleteWebhook = async (id, username) => {
+    const current = await getWebhookRow(id);
+    await db.promise().query('DELETE FROM webhooks WHERE id = ?', [id]);
+    await logAudit(username, 'DELETE', 'WEBHOOK', id, `Deleted webhook "${current.name}" (${current.url})`);
+};
+
+// ---------------------------------------------------------------
+// Deliveries
+// ---------------------------------------------------------------
+
+const buildPayload = (event, data) => JSON.stringify({ id: crypto.randomUUID(), event, created_at: new Date().toISOString(), data });
+
+const queueDelivery = async (webhookId, event, payload) => {
+    const [result] = await db.promise().query(
+        "INSERT INTO webhook_deliveries (webhook_id, event, payload, status, next_attempt_at, created_at) VALUES (?, ?, ?, 'pending', NOW(), NOW())",
+        [webhookId, event, payload]
+    );
+    return result.insertId;
+};
+
+/**
+ * Queues `event` for every active webhook subscribed to it and returns how many deliveries were
+ * queued. Never throws: a broken webhook setup must not fail the change that raised the event.
+ */
+const emitEvent = async (event, data) => {
+    try {
+        const [webhooks] = await db.promise().query('SELECT id, events FROM webhooks WHERE active = TRUE');
+        const subscribed = webhooks.filter(webhook => webhook.events.split(',').includes(event));
+        if (subscribed.length === 0) return 0;
+        const payload = buildPayload(event, data);
+        for (const webhook of subscribed) {
+            await queueDelivery(webhook.id, event, payload);
+        }
+        setImmediate(dispatchDueDeliveries);
+        return subscribed.length;
+    } catch (error) {
+        console.error(`Failed to queue webhook event ${event}:`, error.message);
+        return 0;
+    }
+};
+
+// Webhook payloads carry the equipment as /api/v1 returns it, without the foto/qrCode blobs
+const toEventRecord = ({ foto: _, qrCode: __, ...record }) => formatDateFields(EQUIPMENT_SCHEMA, record);
+
+/**
+ * equipment.* events. `equipment` is the record as it is now (or as it was, for deletions); given
+ * an id, the record is loaded first. `extra` is merged into the event data (e.g. changed_fields).
+ */
+const emitEquipmentEvent = async (event, equipment, actor, extra = {}) => {
+    let record = equipment;
+    if (typeof equipment !== 'object') {
+        try {
+            const [rows] = await db.promise().query('SELECT * FROM equipment WHERE id = ?', [equipment]);
+            record = rows[0];
+        } catch (error) {
+            console.error(`Failed to load equipment ${equipment} for webhook event ${event}:`, error.message);
+            return 0;
+        }
+        if (!record) return 0;
+    }
+    return emitEvent(event, { equipment: toEventRecord(record), actor, ...extra });
+};
+
+const NEW_RECORD_TARGETS = {
+    equipment: { table: 'equipment', label: (record) => [record.equipamento, record.serial].filter(Boolean).join(' - ') },
+    license: { table: 'licenses', label: (record) => [record.produto, record.usuario].filter(Boolean).join(' - ') }
+};
+
+/**
+ * approval.decided for a record created by a non-admin ({ itemType, itemId, decision, reason }),
+ * plus equipment.created when an equipment is approved: that is when it joins the inventory.
+ */
+const emitNewRecordDecision = async ({ itemType, itemId, decision, reason }, decidedBy) => {
+    const target = NEW_RECORD_TARGETS[itemType];
+    if (!target) return 0;
+    let record;
+    try {
+        const [rows] = await db.promise().query(
+            'SELECT r.*, u.username AS requested_by FROM ?? r LEFT JOIN users u ON u.id = r.created_by_id WHERE r.id = ?',
+            [target.table, itemId]
+        );
+        record = rows[0];
+    } catch (error) {
+        console.error(`Failed to load ${itemType} ${itemId} for webhook event approval.decided:`, error.message);
+        return 0;
+    }
+    if (decision === 'approved' && itemType === 'equipment' && record) {
+        const { requested_by: requestedBy, ...equipment } = record;
+        emitEquipmentEvent('equipment.created', equipment, requestedBy || decidedBy);
+    }
+    return emitEvent('approval.decided', {
+        kind: 'new_record',
+        item_type: itemType,
+        item_id: Number(itemId),
+        item_name: record ? target.label(record) : null,
+        action: 'create',
+        decision,
+        reason: reason || null,
+        requested_by: record ? record.requested_by : null,
+        decided_by: decidedBy,
+        change_request_id: null
+    });
+};
+
+const truncate = (text, max) => (text && text.length > max ? `${text.slice(0, max)}…` : text);
+
+// POSTs one delivery and returns { ok, status, body, error }
+const postDelivery = async (delivery) => {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+    try {
+        const response = await fetch(delivery.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'InventarioPro-Webhooks/1.0',
+                'X-Inventario-Event': delivery.event,
+                'X-Inventario-Delivery': String(delivery.id),
+                'X-Inventario-Timestamp': String(timestamp),
+                'X-Inventario-Signature': `sha256=${sign(delivery.secret, timestamp, delivery.payload)}`
+            },
+            body: delivery.payload,
+            // A redirect is reported as a failure instead of re-posting the payload somewhere else
+            redirect: 'manual',
+            signal: controller.signal
+        });
+        const body = truncate(await response.text().catch(() => ''), RESPONSE_BODY_MAX_LENGTH);
+        return response.ok
+            ? { ok: true, status: response.status, body }
+            : { ok: false, status: response.status, body, error: `O destino respondeu HTTP ${response.status}.` };
+    } catch (error) {
+        const reason = error.name === 'AbortError' ? `tempo esgotado (${REQUEST_TIMEOUT_MS} ms)` : (error.cause && error.cause.message) || error.message;
+        return { ok: false, status: null, body: null, error: `Falha ao conectar: ${reason}` };
+    } finally {
+        clearTimeout(timer);
+    }
+};
+
+const attemptDelivery = async (delivery) => {
+    if (!delivery.active) {
+        await db.promise().query(
+            "UPDATE webhook_deliveries SET status = 'failed', next_attempt_at = NULL, error = ? WHERE id = ?",
+            ['O webhook foi desativado antes da entrega.', delivery.id]
+        );
+        return;
+    }
+    const attempts = delivery.attempts + 1;
+    const outcome = await postDelivery(delivery);
+    const retryDelay = RETRY_DELAYS_MINUTES[attempts - 1];
+    const status = outcome.ok ? 'delivered' : (retryDelay === undefined ? 'failed' : 'pending');
+    await db.promise().query(
+        `UPDATE webhook_deliveries
+         SET status = ?, attempts = ?, last_attempt_at = NOW(), response_status = ?, response_body = ?, error = ?,
+             next_attempt_at = ${status === 'pending' ? 'DATE_ADD(NOW(), INTERVAL ? MINUTE)' : 'NULL'}
+         WHERE id = ?`,
+        [status, attempts, outcome.status, outcome.body, outcome.error || null, ...(status === 'pending' ? [retryDelay] : []), delivery.id]
+    );
+};
+
+let dispatching = false;
+let dispatchAgain = false;
+
+// Sends the deliveries that are due, one batch at a time. Runs from the timer and right after emitEvent.
+const dispatchDueDeliveries = async () => {
+    if (dispatching) {
+        dispatchAgain = true;
+        return;
+    }
+    dispatching = true;
+    try {
+        const [deliveries] = await db.promise().query(`
+            SELECT d.*, w.url, w.secret, w.active
+            FROM webhook_deliveries d
+            JOIN webhooks w ON w.id = d.webhook_id
+            WHERE d.status = 'pending' AND d.next_attempt_at <= NOW()
+            ORDER BY d.next_attempt_at, d.id
+            LIMIT ?`, [BATCH_SIZE]);
+        for (const delivery of deliveries) {
+            await attemptDelivery(delivery);
+        }
+        dispatchAgain = dispatchAgain || deliveries.length === BATCH_SIZE;
+    } catch (error) {
+        console.error('Webhook dispatcher error:', error.message);
+    } finally {
+        dispatching = false;
+    }
+    if (dispatchAgain) {
+        dispatchAgain = false;
+        setImmediate(dispatchDueDeliveries);
+    }
+};
+
+const pruneDeliveries = () => db.promise().query(
+    "DELETE FROM webhook_deliveries WHERE status <> 'pending' AND created_at < DATE_SUB(NOW(), INTERVAL ? DAY)",
+    [DELIVERY_RETENTION_DAYS]
+);
+
+// Latest deliveries, optionally of one webhook and/or in one status
+const listDeliveries = async ({ webhookId, status } = {}) => {
+    const where = ['1 = 1'];
+    const params = [];
+    if (webhookId) {
+        where.push('d.webhook_id = ?');
+        params.push(webhookId);
+    }
+    if (status) {
+        where.push('d.status = ?');
+        params.push(status);
+    }
+    const [rows] = await db.promise().query(`
+        SELECT d.*, w.name AS webhook_name, w.url AS webhook_url
+        FROM webhook_deliveries d
+        JOIN webhooks w ON w.id = d.webhook_id
+        WHERE ${where.join(' AND ')}
+        ORDER BY d.created_at DESC, d.id DESC
+        LIMIT ?`, [...params, DELIVERY_LIST_LIMIT]);
+    return rows;
+};
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+const validateDeliveryFilter = (query) => {
+    const webhookId = query.webhookId ? Number(query.webhookId) : null;
+    if (webhookId !== null && !Number.isInteger(webhookId)) return { errors: { webhookId: 'Webhook inválido.' } };
+    if (query.status && !DELIVERY_STATUSES.includes(query.status)) return { errors: { status: `Use ${DELIVERY_STATUSES.join(', ')}.` } };
+    return { value: { webhookId, status: query.status || null } };
+};
+
+const getDelivery = async (id) => {
+    const [rows] = await db.promise().query(
+        'SELECT d.*, w.name AS webhook_name, w.url AS webhook_url FROM webhook_deliveries d JOIN webhooks w ON w.id = d.webhook_id WHERE d.id = ?',
+        [id]
+    );
+    if (rows.length === 0) {
+        throw webhookError(404, 'Entrega não encontrada.');
+    }
+    return rows[0];
+};
+
+// Sends the same payload again right away; a delivery that had given up gets one more attempt
+const redeliver = async (id, username) => {
+    const delivery = await getDelivery(id);
+    if (delivery.status === 'pending') {
+        throw webhookError(409, 'Esta entrega ainda está na fila.');
+    }
+    await db.promise().query("UPDATE webhook_deliveries SET status = 'pending', next_attempt_at = NOW() WHERE id = ?", [id]);
+    await logAudit(username, 'UPDATE', 'WEBHOOK', delivery.webhook_id, `Requeued delivery #${id} (${delivery.event}) of webhook "${delivery.webhook_name}"`);
+    setImmediate(dispatchDueDeliveries);
+    return getDelivery(id);
+};
+
+// Queues a ping for one webhook, whatever its events, so the receiver and its signature check can be tested
+const sendTestEvent = async (webhookId, username) => {
+    const webhook = await getWebhookRow(webhookId);
+    const deliveryId = await queueDelivery(webhook.id, PING_EVENT, buildPayload(PING_EVENT, { webhook_id: webhook.id, requested_by: username }));
+    await dispatchDueDeliveries();
+    return getDelivery(deliveryId);
+};
+
+const startWebhookDispatcher = () => {
+    const tick = () => dispatchDueDeliveries();
+    const prune = () => pruneDeliveries().catch(error => console.error('Webhook delivery pruning error:', error.message));
+    // First run a minute after startup, once migrations have had time to run
+    setTimeout(() => { tick(); prune(); }, 60 * 1000).unref();
+    setInterval(tick, DISPATCH_INTERVAL_MS).unref();
+    setInterval(prune, 24 * 60 * 60 * 1000).unref();
+};
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    validateWebhook,
+    listWebhooks,
+    createWebhook,
+    updateWebhook,
+    rotateWebhookSecret,
+    deleteWebhook,
+    emitEvent,
+    emitEquipmentEvent,
+    emitNewRecordDecision,
+    validateDeliveryFilter,
+    listDeliveries,
+    redeliver,
+    sendTestEvent,
+    startWebhookDispatcher
+};
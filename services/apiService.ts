@@ -1,5 +1,21 @@
 
-import { User, Equipment, License, UserRole, EquipmentHistory, AuditLogEntry, AppSettings } from '../types';
+import { User, Equipment, License, UserRole, EquipmentHistory, EquipmentFieldChange, EquipmentStateAt, PeriodicUpdatePreview, PeriodicUpdateSelection, PeriodicUpdateRunSummary, ImportRun, ImportProfile, ImportRowError, ImportTarget, LicenseComplianceReport, LicenseReconciliationReport, ReconciliationRule, ReconciliationActionInput, LicenseAlertSettings, LicenseAlertRunResult, AnalyticsQuery, AnalyticsSummary, AnalyticsWidget, AnalyticsTrendKind, AnalyticsDrilldown, BackupInfo, BackupVerification, BackupRestoreResult, BackupSchedule, PagedResult, ListQuery, EquipmentTermo, CheckOutData, CheckInData, CustodyResult, EquipmentMaintenance, MaintenanceRecord, MaintenanceInput, MaintenanceCloseInput, MaintenanceResult, MaintenanceSummary, MaintenanceSummaryQuery, PendingTermo, TermoBatchSendResult, AssetQrCode, PhysicalAudit, PhysicalAuditScanResult, PhysicalAuditReport, Collaborator, CollaboratorListItem, CollaboratorInput, CollaboratorProfile, CollaboratorMatchingReport, CollaboratorMatchDecision, Offboarding, OffboardingStatus, OffboardingDetail, OffboardingItemResolution, ChangeRequest, ChangeRequestReceipt, AiQuerySpec, AiQueryResult, AiQuerySchema, AiConversationTurn, AuditLogEntry, AuditChainVerification, AuditRetentionSettings, AuditArchive, AuditExportFormat, ClientErrorEntry, AppSettings, SsoServiceProvider, PasswordPolicy, ApiKey, ApiKeyInput, CreatedApiKey, Webhook, WebhookInput, WebhookDelivery, WebhookDeliveryStatus } from '../types';
+
+// Erro devolvido pela API. `fieldErrors` vem preenchido nas respostas 400 de validação (campo -> mensagem)
+// e `rowErrors` nas importações em lote (linha começando em 1).
+export class ApiError extends Error {
+    status: number;
+    fieldErrors?: Record<string, string>;
+    rowErrors?: { row: number; errors: Record<string, string> }[];
+
+    constructor(message: string, status: number, data: any = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.fieldErrors = data.errors;
+        this.rowErrors = data.rowErrors;
+    }
+}
 
 const handleResponse = async (response: Response) => {
     if (response.status === 204) {
@@ -7,22 +23,71 @@ const handleResponse = async (response: Response) => {
     }
     if (!response.ok) {
         const errorData = await response.json().catch(() => ({ message: `HTTP error! status: ${response.status}` }));
-        throw new Error(errorData.message || 'An unknown error occurred');
+        throw new ApiError(errorData.message || 'An unknown error occurred', response.status, errorData);
     }
     return response.json();
 };
 
 const getApiBaseUrl = () => `http://${window.location.hostname}:3001/api`;
 
+const AUTH_TOKEN_KEY = 'authToken';
+let authToken: string | null = localStorage.getItem(AUTH_TOKEN_KEY);
+
+export const setAuthToken = (token: string) => {
+    authToken = token;
+    localStorage.setItem(AUTH_TOKEN_KEY, token);
+};
+
+export const clearAuthToken = () => {
+    authToken = null;
+    localStorage.removeItem(AUTH_TOKEN_KEY);
+};
+
+export const hasAuthToken = () => !!authToken;
+
 const apiRequest = async (endpoint: string, options: RequestInit = {}) => {
     const headers = {
         'Content-Type': 'application/json',
+        ...(authToken ? { Authorization: `Bearer ${authToken}` } : {}),
         ...options.headers,
     };
     const response = await fetch(`${getApiBaseUrl()}${endpoint}`, { ...options, headers });
+    if (response.status === 401 && authToken) {
+        // A sessão expirou ou foi invalidada no servidor: o App volta para a tela de login
+        clearAuthToken();
+        window.dispatchEvent(new Event('auth:expired'));
+    }
     return handleResponse(response);
 };
 
+// Para respostas binárias (PDF): devolve o corpo como Blob, com os mesmos erros de apiRequest
+const apiDownload = async (endpoint: string, options: RequestInit = {}): Promise<Blob> => {
+    const response = await fetch(`${getApiBaseUrl()}${endpoint}`, {
+        ...options,
+        headers: {
+            ...(options.body ? { 'Content-Type': 'application/json' } : {}),
+            ...(authToken ? { Authorization: `Bearer ${authToken}` } : {}),
+        },
+    });
+    if (response.status === 401 && authToken) {
+        clearAuthToken();
+        window.dispatchEvent(new Event('auth:expired'));
+    }
+    if (!response.ok) {
+        return handleResponse(response);
+    }
+    return response.blob();
+};
+
+// Login e verificação 2FA devolvem o token da sessão junto com o usuário
+const storeSessionToken = (response: User & { token?: string }): User => {
+    const { token, ...user } = response;
+    if (token) {
+        setAuthToken(token);
+    }
+    return user as User;
+};
+
 export const checkApiStatus = async (): Promise<{ ok: boolean, message?: string }> => {
     try {
         const response = await fetch(getApiBaseUrl());
@@ -36,47 +101,300 @@ export const checkApiStatus = async (): Promise<{ ok: boolean, message?: string
     }
 };
 
-export const login = (credentials: {username: string, password?: string, ssoToken?: string}): Promise<User> => {
-    return apiRequest('/login', { method: 'POST', body: JSON.stringify(credentials) });
+export const getPublicSettings = (): Promise<Pick<AppSettings, 'companyName' | 'isSsoEnabled' | 'is2faEnabled' | 'require2fa'> & { passwordPolicy: PasswordPolicy }> => {
+    return apiRequest('/config/public');
+};
+
+export const login = async (credentials: {username: string, password?: string}): Promise<User> => {
+    return storeSessionToken(await apiRequest('/login', { method: 'POST', body: JSON.stringify(credentials) }));
+};
+
+// Página da API que inicia o login SAML; o provedor de identidade devolve o navegador a este endereço do sistema
+export const getSsoLoginUrl = (): string => {
+    const returnTo = `${window.location.origin}${window.location.pathname}`;
+    return `${getApiBaseUrl()}/sso/login?returnTo=${encodeURIComponent(returnTo)}`;
+};
+
+// Troca o código de uso único recebido após o SSO (#/sso/<código>) por uma sessão
+export const loginWithSso = async (ssoToken: string): Promise<User> => {
+    return storeSessionToken(await apiRequest('/login', { method: 'POST', body: JSON.stringify({ ssoToken }) }));
 };
 
-export const verify2FA = (userId: number, token: string): Promise<User> => {
-    return apiRequest('/verify-2fa', { method: 'POST', body: JSON.stringify({ userId, token }) });
+export const verify2FA = async (userId: number, token: string): Promise<User> => {
+    return storeSessionToken(await apiRequest('/verify-2fa', { method: 'POST', body: JSON.stringify({ userId, token }) }));
 };
 
-export const getEquipment = (user: User): Promise<Equipment[]> => {
-    return apiRequest(`/equipment?userId=${user.id}&role=${user.role}`);
+// Troca de senha pelo próprio usuário. Durante um login que exige a troca, a resposta traz o token que dá sequência ao login.
+export const changePassword = async (currentPassword: string, newPassword: string): Promise<User> => {
+    return storeSessionToken(await apiRequest('/password/change', { method: 'POST', body: JSON.stringify({ currentPassword, newPassword }) }));
+};
+
+// O link enviado por e-mail abre o Endereço do Sistema configurado em #/redefinir-senha/<token>
+export const requestPasswordReset = (identifier: string): Promise<{ message: string }> => {
+    return apiRequest('/password-reset/request', { method: 'POST', body: JSON.stringify({ identifier }) });
+};
+
+export const verifyPasswordResetToken = (token: string): Promise<{ username: string }> => {
+    return apiRequest('/password-reset/verify', { method: 'POST', body: JSON.stringify({ token }) });
+};
+
+export const resetPassword = (token: string, newPassword: string): Promise<{ message: string }> => {
+    return apiRequest('/password-reset/confirm', { method: 'POST', body: JSON.stringify({ token, newPassword }) });
+};
+
+export const getPasswordPolicy = (): Promise<PasswordPolicy> => {
+    return apiRequest('/settings/password-policy');
+};
+
+export const savePasswordPolicy = (policy: PasswordPolicy): Promise<PasswordPolicy> => {
+    return apiRequest('/settings/password-policy', { method: 'PUT', body: JSON.stringify(policy) });
+};
+
+export const logout = async (): Promise<void> => {
+    try {
+        if (authToken) {
+            await apiRequest('/logout', { method: 'POST' });
+        }
+    } finally {
+        clearAuthToken();
+    }
+};
+
+const toQueryString = (query: ListQuery) => {
+    const params = new URLSearchParams();
+    Object.entries(query).forEach(([key, value]) => {
+        if (value !== undefined && value !== '') params.set(key, String(value));
+    });
+    const queryString = params.toString();
+    return queryString ? `?${queryString}` : '';
+};
+
+// Percorre todas as páginas de uma consulta: as exportações cobrem o conjunto filtrado completo, não só a página visível
+export const fetchAllPages = async <T>(fetchPage: (query: ListQuery) => Promise<PagedResult<T>>, query: ListQuery): Promise<T[]> => {
+    const pageSize = 500;
+    const items: T[] = [];
+    for (let page = 1; ; page++) {
+        const result = await fetchPage({ ...query, page, pageSize });
+        items.push(...result.items);
+        if (result.items.length < pageSize || items.length >= result.total) return items;
+    }
+};
+
+// Lista completa (sem foto/qrCode), para quem ainda precisa de todos os registros, como o Dashboard
+export const getEquipment = (): Promise<Equipment[]> => {
+    return apiRequest('/equipment');
+};
+
+export const getEquipmentPage = (query: ListQuery): Promise<PagedResult<Equipment>> => {
+    return apiRequest(`/equipment${toQueryString({ page: 1, ...query })}`);
+};
+
+export const getEquipmentFilterOptions = (): Promise<Record<string, string[]>> => {
+    return apiRequest('/equipment/filters');
+};
+
+// Registro completo, incluindo foto e QR code
+export const getEquipmentById = (equipmentId: number): Promise<Equipment> => {
+    return apiRequest(`/equipment/${equipmentId}`);
 };
 
 export const getEquipmentHistory = (equipmentId: number): Promise<EquipmentHistory[]> => {
     return apiRequest(`/equipment/${equipmentId}/history`);
 };
 
+export const getEquipmentStateAt = (equipmentId: number, timestamp: string): Promise<EquipmentStateAt> => {
+    return apiRequest(`/equipment/${equipmentId}/history/state?at=${encodeURIComponent(timestamp)}`);
+};
+
+export const restoreEquipment = (equipmentId: number, timestamp: string): Promise<{ success: boolean; message: string; changes: EquipmentFieldChange[] }> => {
+    return apiRequest(`/equipment/${equipmentId}/restore`, { method: 'POST', body: JSON.stringify({ timestamp }) });
+};
+
+// Check-out / check-in: atualizam os campos de posse juntos e arquivam o termo gerado
+export const checkOutEquipment = (equipmentId: number, data: CheckOutData): Promise<CustodyResult> => {
+    return apiRequest(`/equipment/${equipmentId}/check-out`, { method: 'POST', body: JSON.stringify(data) });
+};
+
+export const checkInEquipment = (equipmentId: number, data: CheckInData): Promise<CustodyResult> => {
+    return apiRequest(`/equipment/${equipmentId}/check-in`, { method: 'POST', body: JSON.stringify(data) });
+};
+
+export const getEquipmentTermos = (equipmentId: number): Promise<EquipmentTermo[]> => {
+    return apiRequest(`/equipment/${equipmentId}/termos`);
+};
+
+export const getTermo = (termoId: number): Promise<EquipmentTermo> => {
+    return apiRequest(`/termos/${termoId}`);
+};
+
+export const signTermo = (termoId: number): Promise<EquipmentTermo> => {
+    return apiRequest(`/termos/${termoId}/sign`, { method: 'POST' });
+};
+
+export const getPendingTermos = (): Promise<PendingTermo[]> => {
+    return apiRequest('/termos/pending');
+};
+
+export const downloadTermoPdf = (termoId: number): Promise<Blob> => {
+    return apiDownload(`/termos/${termoId}/pdf`);
+};
+
+// Envia o PDF por e-mail; sem `to`, vai para o e-mail do colaborador arquivado no termo
+export const sendTermo = (termoId: number, to?: string): Promise<EquipmentTermo> => {
+    return apiRequest(`/termos/${termoId}/send`, { method: 'POST', body: JSON.stringify({ to }) });
+};
+
+export const sendTermosBatch = (equipmentIds: number[]): Promise<TermoBatchSendResult> => {
+    return apiRequest('/termos/send', { method: 'POST', body: JSON.stringify({ equipmentIds }) });
+};
+
+// Manutenção: abrir e encerrar um reparo também muda o status do equipamento
+export const getEquipmentMaintenance = (equipmentId: number): Promise<EquipmentMaintenance> => {
+    return apiRequest(`/equipment/${equipmentId}/maintenance`);
+};
+
+export const openMaintenance = (equipmentId: number, data: MaintenanceInput): Promise<MaintenanceResult> => {
+    return apiRequest(`/equipment/${equipmentId}/maintenance`, { method: 'POST', body: JSON.stringify(data) });
+};
+
+export const updateMaintenance = (recordId: number, data: MaintenanceInput & { closed_at?: string }): Promise<MaintenanceRecord> => {
+    return apiRequest(`/maintenance/${recordId}`, { method: 'PUT', body: JSON.stringify(data) });
+};
+
+export const closeMaintenance = (recordId: number, data: MaintenanceCloseInput): Promise<MaintenanceResult> => {
+    return apiRequest(`/maintenance/${recordId}/close`, { method: 'POST', body: JSON.stringify(data) });
+};
+
+export const getOpenMaintenance = (): Promise<MaintenanceRecord[]> => {
+    return apiRequest('/maintenance/open');
+};
+
+export const getMaintenanceSummary = (query: MaintenanceSummaryQuery): Promise<MaintenanceSummary> => {
+    return apiRequest(`/maintenance/summary${toQueryString({ ...query })}`);
+};
+
 export const addEquipment = (equipment: Omit<Equipment, 'id'>, user: User): Promise<Equipment> => {
     return apiRequest('/equipment', { method: 'POST', body: JSON.stringify({ equipment, username: user.username }) });
 };
 
-export const updateEquipment = (equipment: Equipment, username: string): Promise<Equipment> => {
+// QR code e etiquetas: o QR aponta para a página do equipamento no sistema (#/ativo/:id)
+export const getEquipmentQrCode = (equipmentId: number): Promise<AssetQrCode> => {
+    return apiRequest(`/equipment/${equipmentId}/qrcode`);
+};
+
+export const downloadEquipmentLabels = (equipmentIds: number[]): Promise<Blob> => {
+    return apiDownload('/equipment/labels', { method: 'POST', body: JSON.stringify({ equipmentIds }) });
+};
+
+// Auditoria física (inventário presencial)
+export const getPhysicalAudits = (): Promise<PhysicalAudit[]> => {
+    return apiRequest('/physical-audits');
+};
+
+export const startPhysicalAudit = (data: { name: string; local?: string }): Promise<PhysicalAudit> => {
+    return apiRequest('/physical-audits', { method: 'POST', body: JSON.stringify(data) });
+};
+
+export const getPhysicalAuditReport = (auditId: number): Promise<PhysicalAuditReport> => {
+    return apiRequest(`/physical-audits/${auditId}`);
+};
+
+export const recordPhysicalAuditScan = (auditId: number, equipmentId: number): Promise<PhysicalAuditScanResult> => {
+    return apiRequest(`/physical-audits/${auditId}/scans`, { method: 'POST', body: JSON.stringify({ equipmentId }) });
+};
+
+export const finishPhysicalAudit = (auditId: number): Promise<PhysicalAuditReport> => {
+    return apiRequest(`/physical-audits/${auditId}/finish`, { method: 'POST' });
+};
+
+// Diretório de colaboradores: os vínculos com equipamentos e licenças são calculados pelo servidor
+export const getCollaborators = (): Promise<CollaboratorListItem[]> => {
+    return apiRequest('/collaborators');
+};
+
+export const createCollaborator = (data: CollaboratorInput): Promise<Collaborator> => {
+    return apiRequest('/collaborators', { method: 'POST', body: JSON.stringify(data) });
+};
+
+export const updateCollaborator = (id: number, data: Partial<CollaboratorInput>): Promise<Collaborator> => {
+    return apiRequest(`/collaborators/${id}`, { method: 'PUT', body: JSON.stringify(data) });
+};
+
+export const getCollaboratorProfile = (id: number): Promise<CollaboratorProfile> => {
+    return apiRequest(`/collaborators/${id}`);
+};
+
+export const getCollaboratorMatching = (): Promise<CollaboratorMatchingReport> => {
+    return apiRequest('/collaborators/matching');
+};
+
+export const decideCollaboratorMatch = (decision: CollaboratorMatchDecision): Promise<CollaboratorMatchingReport> => {
+    return apiRequest('/collaborators/matching/decisions', { method: 'POST', body: JSON.stringify(decision) });
+};
+
+export const removeCollaboratorAlias = (aliasKey: string): Promise<void> => {
+    return apiRequest(`/collaborators/aliases/${encodeURIComponent(aliasKey)}`, { method: 'DELETE' });
+};
+
+// Sem holderKeys, cadastra todos os responsáveis que não correspondem a nenhum colaborador
+export const importCollaboratorsFromInventory = (holderKeys?: string[]): Promise<{ created: Collaborator[]; skipped: string[] }> => {
+    return apiRequest('/collaborators/import-from-inventory', { method: 'POST', body: JSON.stringify({ holderKeys }) });
+};
+
+export const startOffboarding = (collaboratorId: number, notes?: string): Promise<OffboardingDetail> => {
+    return apiRequest(`/collaborators/${collaboratorId}/offboarding`, { method: 'POST', body: JSON.stringify({ notes }) });
+};
+
+export const getOffboardings = (status?: OffboardingStatus): Promise<Offboarding[]> => {
+    return apiRequest(`/offboardings${status ? `?status=${status}` : ''}`);
+};
+
+export const getOffboarding = (id: number): Promise<OffboardingDetail> => {
+    return apiRequest(`/offboardings/${id}`);
+};
+
+export const resolveOffboardingItem = (offboardingId: number, itemId: number, resolution: OffboardingItemResolution): Promise<OffboardingDetail> => {
+    return apiRequest(`/offboardings/${offboardingId}/items/${itemId}`, { method: 'POST', body: JSON.stringify(resolution) });
+};
+
+export const cancelOffboarding = (id: number): Promise<OffboardingDetail> => {
+    return apiRequest(`/offboardings/${id}/cancel`, { method: 'POST' });
+};
+
+// Usuários não administradores recebem um ChangeRequestReceipt: a alteração fica pendente de aprovação
+export const isChangeRequestReceipt = (result: unknown): result is ChangeRequestReceipt =>
+    !!result && typeof result === 'object' && 'changeRequest' in result;
+
+export const updateEquipment = (equipment: Equipment, username: string): Promise<Equipment | ChangeRequestReceipt> => {
     return apiRequest(`/equipment/${equipment.id}`, { method: 'PUT', body: JSON.stringify({ equipment, username }) });
 };
 
-export const deleteEquipment = (id: number, username: string): Promise<void> => {
+export const deleteEquipment = (id: number, username: string): Promise<ChangeRequestReceipt | void> => {
     return apiRequest(`/equipment/${id}`, { method: 'DELETE', body: JSON.stringify({ username }) });
 };
 
-export const getLicenses = (user: User): Promise<License[]> => {
-    return apiRequest(`/licenses?userId=${user.id}&role=${user.role}`);
+export const getLicenses = (): Promise<License[]> => {
+    return apiRequest('/licenses');
+};
+
+export const getLicensesPage = (query: ListQuery): Promise<PagedResult<License>> => {
+    return apiRequest(`/licenses${toQueryString({ page: 1, ...query })}`);
+};
+
+// Quantidade de licenças por produto que atendem à busca (todas, sem busca)
+export const getLicenseSummary = (q?: string): Promise<Record<string, number>> => {
+    return apiRequest(`/licenses/summary${toQueryString({ q })}`);
 };
 
 export const addLicense = (license: Omit<License, 'id'>, user: User): Promise<License> => {
     return apiRequest('/licenses', { method: 'POST', body: JSON.stringify({ license, username: user.username }) });
 };
 
-export const updateLicense = (license: License, username: string): Promise<License> => {
+export const updateLicense = (license: License, username: string): Promise<License | ChangeRequestReceipt> => {
     return apiRequest(`/licenses/${license.id}`, { method: 'PUT', body: JSON.stringify({ license, username }) });
 };
 
-export const deleteLicense = (id: number, username: string): Promise<void> => {
+export const deleteLicense = (id: number, username: string): Promise<ChangeRequestReceipt | void> => {
     return apiRequest(`/licenses/${id}`, { method: 'DELETE', body: JSON.stringify({ username }) });
 };
 
@@ -104,6 +422,57 @@ export const getAuditLog = (): Promise<AuditLogEntry[]> => {
     return apiRequest('/audit-log');
 };
 
+export const getAuditLogPage = (query: ListQuery): Promise<PagedResult<AuditLogEntry>> => {
+    return apiRequest(`/audit-log${toQueryString({ page: 1, ...query })}`);
+};
+
+export const getAuditLogFilterOptions = (): Promise<Record<string, string[]>> => {
+    return apiRequest('/audit-log/filters');
+};
+
+export const verifyAuditChain = (): Promise<AuditChainVerification> => {
+    return apiRequest('/audit-log/verify');
+};
+
+// Mesmos filtros da listagem; sem paginação, ordem cronológica
+export const exportAuditLog = (query: ListQuery, format: AuditExportFormat): Promise<Blob> => {
+    const { page, pageSize, sort, order, ...filters } = query;
+    return apiDownload(`/audit-log/export${toQueryString({ ...filters, format })}`);
+};
+
+export const getAuditRetention = (): Promise<AuditRetentionSettings> => {
+    return apiRequest('/audit-log/retention');
+};
+
+export const saveAuditRetention = (settings: AuditRetentionSettings): Promise<AuditRetentionSettings> => {
+    return apiRequest('/audit-log/retention', { method: 'PUT', body: JSON.stringify(settings) });
+};
+
+export const getAuditArchives = (): Promise<AuditArchive[]> => {
+    return apiRequest('/audit-log/archives');
+};
+
+export const archiveAuditLogNow = (): Promise<{ archive: AuditArchive | null; message: string }> => {
+    return apiRequest('/audit-log/archives', { method: 'POST' });
+};
+
+export const downloadAuditArchive = (id: number): Promise<Blob> => {
+    return apiDownload(`/audit-log/archives/${id}/download`);
+};
+
+export const getClientErrorsPage = (query: ListQuery): Promise<PagedResult<ClientErrorEntry>> => {
+    return apiRequest(`/audit-log/client-errors${toQueryString({ page: 1, ...query })}`);
+};
+
+export const getClientErrorFilterOptions = (): Promise<Record<string, string[]>> => {
+    return apiRequest('/audit-log/client-errors/filters');
+};
+
+// Usado pelo LogService; erros de envio ficam com ele
+export const reportClientErrors = (entries: { type: string; message: string; stack?: string; url: string; timestamp: string }[]): Promise<{ stored: number }> => {
+    return apiRequest('/client-errors', { method: 'POST', body: JSON.stringify({ entries }) });
+};
+
 export const getPendingApprovals = (): Promise<{id: number, name: string, itemType: 'equipment' | 'license'}[]> => {
     return apiRequest('/approvals/pending');
 };
@@ -116,6 +485,22 @@ export const rejectItem = (type: 'equipment' | 'license', id: number, username:
     return apiRequest(`/approvals/reject`, { method: 'POST', body: JSON.stringify({ type, id, username, reason }) });
 };
 
+export const getPendingChangeRequests = (): Promise<ChangeRequest[]> => {
+    return apiRequest('/approvals/change-requests');
+};
+
+export const approveChangeRequest = (id: number): Promise<ChangeRequest> => {
+    return apiRequest(`/approvals/change-requests/${id}/approve`, { method: 'POST' });
+};
+
+export const rejectChangeRequest = (id: number, reason: string): Promise<ChangeRequest> => {
+    return apiRequest(`/approvals/change-requests/${id}/reject`, { method: 'POST', body: JSON.stringify({ reason }) });
+};
+
+export const getMyChangeRequests = (): Promise<ChangeRequest[]> => {
+    return apiRequest('/change-requests/mine');
+};
+
 export const getLicenseTotals = (): Promise<Record<string, number>> => {
     return apiRequest('/licenses/totals');
 };
@@ -128,13 +513,90 @@ export const renameProduct = (oldName: string, newName: string, username: string
     return apiRequest('/licenses/rename-product', { method: 'POST', body: JSON.stringify({ oldName, newName, username }) });
 };
 
+export const getLicenseCompliance = (): Promise<LicenseComplianceReport> => {
+    return apiRequest('/licenses/compliance');
+};
+
+export const getLicenseReconciliation = (): Promise<LicenseReconciliationReport> => {
+    return apiRequest('/licenses/reconciliation');
+};
+
+export const saveReconciliationRules = (rules: ReconciliationRule[]): Promise<LicenseReconciliationReport> => {
+    return apiRequest('/licenses/reconciliation/rules', { method: 'PUT', body: JSON.stringify({ rules }) });
+};
+
+// Correção de uma pendência; devolve o relatório atualizado
+export const applyReconciliationAction = (input: ReconciliationActionInput): Promise<LicenseReconciliationReport> => {
+    return apiRequest('/licenses/reconciliation/actions', { method: 'POST', body: JSON.stringify(input) });
+};
+
+export const restoreReconciliationFinding = (findingKey: string): Promise<LicenseReconciliationReport> => {
+    return apiRequest(`/licenses/reconciliation/dismissals/${encodeURIComponent(findingKey)}`, { method: 'DELETE' });
+};
+
+export const getAnalytics = (query: AnalyticsQuery): Promise<AnalyticsSummary> => {
+    return apiRequest(`/analytics${toQueryString({ ...query })}`);
+};
+
+// Equipamentos (ou licenças) por trás de uma barra do gráfico, com os mesmos filtros do resumo
+export const getAnalyticsDrilldown = (query: AnalyticsQuery, widget: AnalyticsWidget, key: string, kind?: AnalyticsTrendKind): Promise<AnalyticsDrilldown> => {
+    return apiRequest(`/analytics/drilldown${toQueryString({ ...query, widget, key, kind })}`);
+};
+
+export const getLicenseAlertSettings = (): Promise<LicenseAlertSettings> => {
+    return apiRequest('/licenses/alerts/settings');
+};
+
+export const saveLicenseAlertSettings = (settings: Omit<LicenseAlertSettings, 'lastRun'>): Promise<LicenseAlertSettings> => {
+    return apiRequest('/licenses/alerts/settings', { method: 'PUT', body: JSON.stringify(settings) });
+};
+
+export const sendLicenseAlertDigest = (): Promise<LicenseAlertRunResult> => {
+    return apiRequest('/licenses/alerts/run', { method: 'POST' });
+};
+
 export const importEquipment = (data: Omit<Equipment, 'id'>[], username: string): Promise<{success: boolean, message: string}> => {
     return apiRequest('/equipment/import', { method: 'POST', body: JSON.stringify({ equipmentList: data, username }) });
 }
 
-export const periodicUpdateEquipment = (data: Partial<Equipment>[], username: string): Promise<{success: boolean, message: string}> => {
-    return apiRequest('/equipment/periodic-update', { method: 'POST', body: JSON.stringify({ equipmentList: data, username }) });
-}
+export const previewPeriodicUpdate = (data: Partial<Equipment>[]): Promise<PeriodicUpdatePreview> => {
+    return apiRequest('/equipment/periodic-update/preview', { method: 'POST', body: JSON.stringify({ equipmentList: data }) });
+};
+
+export const commitPeriodicUpdate = (data: Partial<Equipment>[], selection: PeriodicUpdateSelection, fileName?: string): Promise<{ success: boolean; message: string; run: PeriodicUpdateRunSummary & { id: number } }> => {
+    return apiRequest('/equipment/periodic-update/commit', { method: 'POST', body: JSON.stringify({ equipmentList: data, selection, fileName }) });
+};
+
+export const getPeriodicUpdateRuns = (): Promise<ImportRun[]> => {
+    return apiRequest('/equipment/periodic-update/runs');
+};
+
+export const getPeriodicUpdateProtectedFields = (): Promise<{ fields: (keyof Equipment)[] }> => {
+    return apiRequest('/equipment/periodic-update/protected-fields');
+};
+
+export const savePeriodicUpdateProtectedFields = (fields: (keyof Equipment)[]): Promise<{ fields: (keyof Equipment)[] }> => {
+    return apiRequest('/equipment/periodic-update/protected-fields', { method: 'PUT', body: JSON.stringify({ fields }) });
+};
+
+export const getImportProfiles = (target: ImportTarget): Promise<ImportProfile[]> => {
+    return apiRequest(`/import-profiles?target=${target}`);
+};
+
+export const saveImportProfile = (profile: Omit<ImportProfile, 'id'> & { id?: number }): Promise<ImportProfile> => {
+    if (profile.id) {
+        return apiRequest(`/import-profiles/${profile.id}`, { method: 'PUT', body: JSON.stringify(profile) });
+    }
+    return apiRequest('/import-profiles', { method: 'POST', body: JSON.stringify(profile) });
+};
+
+export const deleteImportProfile = (id: number): Promise<void> => {
+    return apiRequest(`/import-profiles/${id}`, { method: 'DELETE' });
+};
+
+export const validateImportRows = (target: ImportTarget, rows: Record<string, string>[], requiredFields: string[] = []): Promise<{ total: number; valid: number; rowErrors: ImportRowError[] }> => {
+    return apiRequest('/import/validate', { method: 'POST', body: JSON.stringify({ target, rows, requiredFields }) });
+};
 
 export interface LicenseImportData {
     productName: string;
@@ -168,6 +630,10 @@ export const getSettings = (): Promise<AppSettings> => {
     return apiRequest('/settings');
 };
 
+export const getSsoServiceProvider = (): Promise<SsoServiceProvider> => {
+    return apiRequest('/settings/sso');
+};
+
 // Updated return type to match the new JSON response from backend
 export const saveSettings = (settings: AppSettings, username: string): Promise<{ success: boolean; message: string; }> => {
     return apiRequest('/settings', { method: 'POST', body: JSON.stringify({ settings, username }) });
@@ -177,34 +643,110 @@ export const testSmtp = (settings: Partial<AppSettings>): Promise<{success: bool
      return apiRequest('/settings/test-smtp', { method: 'POST', body: JSON.stringify(settings) });
 }
 
+// Documento OpenAPI da API pública (não exige sessão)
+export const getOpenApiUrl = () => `${getApiBaseUrl()}/v1/openapi.json`;
+
+export const getApiKeys = (): Promise<ApiKey[]> => {
+    return apiRequest('/settings/api-keys');
+};
+
+export const createApiKey = (data: ApiKeyInput): Promise<CreatedApiKey> => {
+    return apiRequest('/settings/api-keys', { method: 'POST', body: JSON.stringify(data) });
+};
+
+export const revokeApiKey = (id: number): Promise<ApiKey> => {
+    return apiRequest(`/settings/api-keys/${id}/revoke`, { method: 'POST' });
+};
+
+export const getWebhooks = (): Promise<Webhook[]> => {
+    return apiRequest('/settings/webhooks');
+};
+
+export const createWebhook = (data: WebhookInput): Promise<Webhook> => {
+    return apiRequest('/settings/webhooks', { method: 'POST', body: JSON.stringify(data) });
+};
+
+export const updateWebhook = (id: number, data: Partial<WebhookInput>): Promise<Webhook> => {
+    return apiRequest(`/settings/webhooks/${id}`, { method: 'PUT', body: JSON.stringify(data) });
+};
+
+export const deleteWebhook = (id: number): Promise<void> => {
+    return apiRequest(`/settings/webhooks/${id}`, { method: 'DELETE' });
+};
+
+export const rotateWebhookSecret = (id: number): Promise<Webhook> => {
+    return apiRequest(`/settings/webhooks/${id}/rotate-secret`, { method: 'POST' });
+};
+
+export const testWebhook = (id: number): Promise<WebhookDelivery> => {
+    return apiRequest(`/settings/webhooks/${id}/test`, { method: 'POST' });
+};
+
+export const getWebhookDeliveries = (filter: { webhookId?: number; status?: WebhookDeliveryStatus } = {}): Promise<WebhookDelivery[]> => {
+    const params = new URLSearchParams();
+    if (filter.webhookId) params.set('webhookId', String(filter.webhookId));
+    if (filter.status) params.set('status', filter.status);
+    const query = params.toString();
+    return apiRequest(`/settings/webhook-deliveries${query ? `?${query}` : ''}`);
+};
+
+export const redeliverWebhookDelivery = (id: number): Promise<WebhookDelivery> => {
+    return apiRequest(`/settings/webhook-deliveries/${id}/redeliver`, { method: 'POST' });
+};
+
 // Termo Template Endpoints
 export const getTermoTemplates = (): Promise<{ entregaTemplate: string, devolucaoTemplate: string }> => {
     return apiRequest('/config/termo-templates');
 };
 
 // Database Management Endpoints
-export const checkDatabaseBackupStatus = (username?: string): Promise<{ hasBackup: boolean; backupTimestamp?: string }> => {
+export const checkDatabaseBackupStatus = (username?: string): Promise<{ hasBackup: boolean; backupTimestamp?: string; backupId?: string }> => {
     const query = username ? `?username=${encodeURIComponent(username)}` : '';
     return apiRequest(`/database/backup-status${query}`);
 };
 
-export const backupDatabase = (username: string): Promise<{ success: boolean; message: string; backupTimestamp?: string }> => {
+export const getBackups = (): Promise<BackupInfo[]> => {
+    return apiRequest('/database/backups');
+};
+
+export const backupDatabase = (username: string): Promise<{ success: boolean; message: string; backupTimestamp?: string; backup?: BackupInfo }> => {
     return apiRequest('/database/backup', { method: 'POST', body: JSON.stringify({ username }) });
 };
 
-export const restoreDatabase = (username: string): Promise<{ success: boolean; message: string }> => {
-    return apiRequest('/database/restore', { method: 'POST', body: JSON.stringify({ username }) });
+export const verifyBackup = (backupId: string): Promise<BackupVerification> => {
+    return apiRequest(`/database/backups/${encodeURIComponent(backupId)}/verify`);
+};
+
+export const deleteBackup = (backupId: string): Promise<void> => {
+    return apiRequest(`/database/backups/${encodeURIComponent(backupId)}`, { method: 'DELETE' });
+};
+
+// Sem `backupId`, o servidor restaura o backup mais recente
+export const restoreDatabase = (username: string, backupId?: string): Promise<{ success: boolean; message: string; result?: BackupRestoreResult }> => {
+    return apiRequest('/database/restore', { method: 'POST', body: JSON.stringify({ username, backupId }) });
 };
 
 export const clearDatabase = (username: string): Promise<{ success: boolean; message: string }> => {
     return apiRequest('/database/clear', { method: 'POST', body: JSON.stringify({ username }) });
 };
 
-export const generateAiReport = (query: string, data: Equipment[], username: string): Promise<{ reportData?: Equipment[], error?: string }> => {
-    return apiRequest('/ai/generate-report', {
-        method: 'POST',
-        body: JSON.stringify({ query, data, username })
-    }).catch(err => {
-        return { error: err.message || 'Falha na comunicação com o serviço de IA.' };
-    });
+export const getBackupSchedule = (): Promise<BackupSchedule> => {
+    return apiRequest('/database/backup-schedule');
+};
+
+export const saveBackupSchedule = (schedule: BackupSchedule): Promise<BackupSchedule> => {
+    return apiRequest('/database/backup-schedule', { method: 'PUT', body: JSON.stringify(schedule) });
+};
+
+export const getAiQuerySchema = (): Promise<AiQuerySchema> => {
+    return apiRequest('/ai/query/schema');
+};
+
+// O modelo local só traduz a pergunta em uma consulta; quem busca os dados é o servidor
+export const askAiQuery = (question: string, history: AiConversationTurn[]): Promise<AiQueryResult> => {
+    return apiRequest('/ai/query', { method: 'POST', body: JSON.stringify({ question, history }) });
+};
+
+export const runAiQuerySpec = (spec: AiQuerySpec): Promise<AiQueryResult> => {
+    return apiRequest('/ai/query/run', { method: 'POST', body: JSON.stringify({ spec }) });
 };
@@ -0,0 +1,199 @@
+// Motor de importação compartilhado pelas telas de importação (Atualização Periódica, Consolidação,
+// ArCo e Licenças): lê CSV ou XLSX, detecta codificação e separador e aplica o mapeamento de colunas
+// de um perfil salvo no servidor.
+
+export interface ImportSheet {
+    fileName: string;
+    format: 'csv' | 'xlsx';
+    encoding?: string;
+    separator?: string;
+    headers: string[];
+    // Linhas de dados, já sem o cabeçalho e sem linhas totalmente vazias
+    rows: string[][];
+    // Número da linha de cada registro no arquivo original (o cabeçalho é a linha 1)
+    lineNumbers: number[];
+}
+
+export interface MappedRows {
+    records: Record<string, string>[];
+    lineNumbers: number[];
+}
+
+const SEPARATORS = [';', ',', '\t', '|'];
+
+// Mesma normalização do servidor (inventario-api/importProfiles.js): "Número de série" -> "NUMERODESERIE"
+export const normalizeHeader = (header: string): string => {
+    return String(header)
+        .toUpperCase()
+        .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+        .replace(/[^A-Z0-9]/g, "");
+};
+
+/**
+ * Decodifica o arquivo respeitando o BOM. Sem BOM, tenta UTF-8 estrito e cai para Windows-1252,
+ * que é o que o Excel em português grava ao "Salvar como CSV".
+ */
+export const decodeText = (buffer: ArrayBuffer): { text: string; encoding: string } => {
+    const bytes = new Uint8Array(buffer);
+    if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+        return { text: new TextDecoder('utf-8').decode(bytes.subarray(3)), encoding: 'utf-8' };
+    }
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+        return { text: new TextDecoder('utf-16le').decode(bytes.subarray(2)), encoding: 'utf-16le' };
+    }
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+        return { text: new TextDecoder('utf-16be').decode(bytes.subarray(2)), encoding: 'utf-16be' };
+    }
+    try {
+        return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'utf-8' };
+    } catch {
+        return { text: new TextDecoder('windows-1252').decode(bytes), encoding: 'windows-1252' };
+    }
+};
+
+// O separador é o candidato que mais aparece fora de aspas na primeira linha não vazia
+export const detectSeparator = (text: string): string => {
+    const firstLine = text.split(/\r\n|\n|\r/).find(line => line.trim() !== '') || '';
+    const counts: Record<string, number> = {};
+    let inQuote = false;
+    for (const char of firstLine) {
+        if (char === '"') inQuote = !inQuote;
+        else if (!inQuote && SEPARATORS.includes(char)) counts[char] = (counts[char] || 0) + 1;
+    }
+    return SEPARATORS.reduce((best, candidate) => (counts[candidate] || 0) > (counts[best] || 0) ? candidate : best, ',');
+};
+
+/**
+ * Parser de CSV com aspas: aceita separador e quebras de linha dentro de campos entre aspas
+ * e aspas duplicadas ("") como aspas literais. Devolve as linhas com o número da linha de início.
+ */
+export const parseDelimited = (text: string, separator: string): { cells: string[]; line: number }[] => {
+    const rows: { cells: string[]; line: number }[] = [];
+    let cells: string[] = [];
+    let current = '';
+    let inQuote = false;
+    let line = 1;
+    let rowStart = 1;
+
+    const endRow = () => {
+        cells.push(current.trim());
+        rows.push({ cells, line: rowStart });
+        cells = [];
+        current = '';
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuote) {
+            if (char === '"' && text[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else if (char === '"') {
+                inQuote = false;
+            } else {
+                if (char === '\n') line++;
+                current += char;
+            }
+        } else if (char === '"') {
+            inQuote = true;
+        } else if (char === separator) {
+            cells.push(current.trim());
+            current = '';
+        } else if (char === '\r' || char === '\n') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            endRow();
+            line++;
+            rowStart = line;
+        } else {
+            current += char;
+        }
+    }
+    if (current !== '' || cells.length > 0) endRow();
+    return rows;
+};
+
+const toSheet = (fileName: string, format: ImportSheet['format'], table: { cells: string[]; line: number }[], extra: Partial<ImportSheet> = {}): ImportSheet => {
+    const nonEmpty = table.filter(row => row.cells.some(cell => cell !== ''));
+    if (nonEmpty.length < 2) {
+        throw new Error("O arquivo deve conter um cabeçalho e pelo menos uma linha de dados.");
+    }
+    const [header, ...data] = nonEmpty;
+    return {
+        fileName,
+        format,
+        ...extra,
+        headers: header.cells,
+        rows: data.map(row => row.cells),
+        lineNumbers: data.map(row => row.line),
+    };
+};
+
+const formatExcelCell = (value: unknown): string => {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString().split('T')[0];
+    return String(value).trim();
+};
+
+const readXlsx = async (file: File): Promise<ImportSheet> => {
+    await import('xlsx');
+    const XLSX = (window as any).XLSX;
+    if (!XLSX) {
+        throw new Error("Erro ao carregar a biblioteca de planilhas.");
+    }
+    const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array', cellDates: true });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    const table: unknown[][] = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: '', blankrows: true });
+    return toSheet(file.name, 'xlsx', table.map((row, index) => ({ cells: row.map(formatExcelCell), line: index + 1 })));
+};
+
+export const readImportFile = async (file: File): Promise<ImportSheet> => {
+    if (/\.xlsx?$/i.test(file.name)) {
+        return readXlsx(file);
+    }
+    const { text, encoding } = decodeText(await file.arrayBuffer());
+    const separator = detectSeparator(text);
+    return toSheet(file.name, 'csv', parseDelimited(text, separator), { encoding, separator });
+};
+
+// Mapeamento por coluna (índice no arquivo -> campo) a partir do mapeamento de um perfil
+export const columnsFromProfile = (headers: string[], profileMapping: Record<string, string>): string[] => {
+    return headers.map(header => profileMapping[normalizeHeader(header)] || '');
+};
+
+// Converte o mapeamento por coluna de volta para o formato de perfil (cabeçalho normalizado -> campo)
+export const profileFromColumns = (headers: string[], columns: string[]): Record<string, string> => {
+    const mapping: Record<string, string> = {};
+    headers.forEach((header, index) => {
+        const key = normalizeHeader(header);
+        if (key && columns[index]) mapping[key] = columns[index];
+    });
+    return mapping;
+};
+
+// Quantas colunas do arquivo o perfil reconhece; usado para sugerir o perfil mais adequado
+export const profileMatchCount = (headers: string[], profileMapping: Record<string, string>): number => {
+    return headers.filter(header => !!profileMapping[normalizeHeader(header)]).length;
+};
+
+/**
+ * Aplica o mapeamento por coluna. Células vazias não geram a chave no registro; se duas colunas
+ * apontam para o mesmo campo, vale a primeira preenchida.
+ */
+export const applyColumnMapping = (sheet: ImportSheet, columns: string[]): MappedRows => {
+    const records: Record<string, string>[] = [];
+    const lineNumbers: number[] = [];
+    sheet.rows.forEach((row, rowIndex) => {
+        const record: Record<string, string> = {};
+        columns.forEach((field, index) => {
+            const value = row[index]?.trim();
+            if (field && value && !(field in record)) {
+                record[field] = value;
+            }
+        });
+        if (Object.keys(record).length > 0) {
+            records.push(record);
+            lineNumbers.push(sheet.lineNumbers[rowIndex]);
+        }
+    });
+    return { records, lineNumbers };
+};
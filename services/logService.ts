@@ -1,3 +1,5 @@
+import { reportClientErrors, hasAuthToken } from './apiService';
+
 export interface LogEntry {
     timestamp: string;
     message: string;
@@ -8,6 +10,43 @@ export interface LogEntry {
 const logs: LogEntry[] = [];
 const MAX_LOGS = 100;
 
+// Erros ainda não enviados ao servidor (Auditoria > Erros do Sistema). Só os mais recentes são guardados.
+const pending: LogEntry[] = [];
+const MAX_PENDING = 20;
+const FLUSH_DELAY_MS = 5000;
+const RETRY_DELAY_MS = 30000;
+let flushTimer: number | undefined;
+
+const scheduleFlush = (delay: number) => {
+    if (flushTimer === undefined) {
+        flushTimer = window.setTimeout(flush, delay);
+    }
+};
+
+// Sem sessão os erros esperam o login; falhas de envio não passam pelo LogService para não gerar um ciclo
+const flush = async () => {
+    flushTimer = undefined;
+    if (pending.length === 0) return;
+    if (!hasAuthToken()) {
+        scheduleFlush(RETRY_DELAY_MS);
+        return;
+    }
+    const batch = pending.splice(0, pending.length);
+    // Sem a query string, que pode trazer tokens (ex.: redefinição de senha)
+    const url = `${window.location.origin}${window.location.pathname}${window.location.hash}`;
+    try {
+        await reportClientErrors(batch.map(entry => ({ type: entry.type, message: entry.message, stack: entry.stack, url, timestamp: entry.timestamp })));
+    } catch (error: any) {
+        console.warn('Não foi possível enviar os erros ao servidor:', error?.message);
+        // Só vale tentar de novo quando o servidor não chegou a avaliar o envio
+        if (!error?.status || error.status >= 500) {
+            const room = MAX_PENDING - pending.length;
+            if (room > 0) pending.unshift(...batch.slice(-room));
+            scheduleFlush(RETRY_DELAY_MS);
+        }
+    }
+};
+
 const LogService = {
     add: (message: string, stack?: string, type: 'APP_ERROR' | 'API_ERROR' | 'INFO' = 'INFO') => {
         if (!message) return;
@@ -21,6 +60,13 @@ const LogService = {
         if (logs.length > MAX_LOGS) {
             logs.pop();
         }
+        if (type !== 'INFO') {
+            pending.push(entry);
+            if (pending.length > MAX_PENDING) {
+                pending.shift();
+            }
+            scheduleFlush(FLUSH_DELAY_MS);
+        }
         console.error(`[LOG - ${type}]`, message, stack);
     },
     get: (): LogEntry[] => [...logs],
@@ -1,6 +1,6 @@
 // types.ts
 
-export type Page = 'Dashboard' | 'Inventário de Equipamentos' | 'Controle de Licenças' | 'Usuários e Permissões' | 'Configurações' | 'Auditoria';
+export type Page = 'Dashboard' | 'Inventário de Equipamentos' | 'Auditoria Física' | 'Manutenção' | 'Controle de Licenças' | 'Colaboradores' | 'Usuários e Permissões' | 'Configurações' | 'Auditoria';
 
 export enum UserRole {
     Admin = 'Admin',
@@ -19,6 +19,23 @@ export interface User {
     is2FAEnabled: boolean;
     avatarUrl?: string;
     ssoProvider?: string;
+    // Presente na resposta do login quando a senha precisa ser trocada antes de continuar
+    requiresPasswordChange?: PasswordChangeReason;
+}
+
+// 'default': senha padrão de instalação; 'required': senha temporária definida por um administrador; 'expired': prazo da política vencido
+export type PasswordChangeReason = 'default' | 'required' | 'expired';
+
+export interface PasswordPolicy {
+    minLength: number;
+    requireUppercase: boolean;
+    requireLowercase: boolean;
+    requireNumber: boolean;
+    requireSymbol: boolean;
+    // 0 = a senha não expira
+    expiryDays: number;
+    // Quantas senhas anteriores não podem ser reutilizadas
+    historySize: number;
 }
 
 export interface Equipment {
@@ -56,6 +73,11 @@ export interface Equipment {
     cidade?: string;
     estadoProvincia?: string;
     condicaoTermo?: 'Assinado - Entrega' | 'Assinado - Devolução' | 'Pendente' | 'N/A';
+    // Dados de compra usados nas análises do dashboard
+    dataCompra?: string;
+    valorCompra?: string | number;
+    centroCusto?: string;
+    empresa?: string;
 }
 
 export interface License {
@@ -79,33 +101,853 @@ export interface License {
     created_by_id?: number;
 }
 
+export type HistorySource = 'manual' | 'csv_import' | 'periodic_update' | 'approval' | 'restore' | 'custody' | 'maintenance' | 'api';
+
+// Uma entrada por campo alterado. `field` é null em registros antigos que não identificam o campo.
 export interface EquipmentHistory {
     id: number;
     timestamp: string;
     changedBy: string;
+    // Administrador que aprovou a alteração solicitada por changedBy
+    approvedBy?: string | null;
     changeType: string;
+    source: HistorySource;
+    field: keyof Equipment | null;
     from_value: string | null;
     to_value: string | null;
 }
 
+// Edição ou exclusão feita por um usuário não administrador, aguardando revisão
+export interface ChangeRequestField {
+    field: string;
+    from: string | null;
+    to: string | number | null;
+    // Só na fila de aprovação: valor atual do registro e se ele mudou desde a solicitação
+    current?: string | null;
+    conflict?: boolean;
+}
+
+export interface ChangeRequest {
+    id: number;
+    item_type: 'equipment' | 'license';
+    item_id: number;
+    item_name: string;
+    action: 'update' | 'delete';
+    changes: ChangeRequestField[];
+    status: 'pending' | 'approved' | 'rejected';
+    requested_by_id: number;
+    requested_by: string;
+    requested_at: string;
+    reviewed_by?: string | null;
+    reviewed_at?: string | null;
+    rejection_reason?: string | null;
+    itemMissing?: boolean;
+}
+
+// Resposta de uma edição ou exclusão que ficou pendente de aprovação
+export interface ChangeRequestReceipt {
+    message: string;
+    changeRequest: ChangeRequest;
+}
+
+export type TermoType = 'entrega' | 'devolucao';
+
+// Termo gerado e arquivado em cada check-out (entrega) ou check-in (devolução)
+export interface EquipmentTermo {
+    id: number;
+    equipment_id: number;
+    termo_type: TermoType;
+    collaborator: string | null;
+    email: string | null;
+    created_by: string;
+    created_at: string;
+    signed_at: string | null;
+    signed_by: string | null;
+    // Último envio do PDF por e-mail
+    sent_at: string | null;
+    sent_to: string | null;
+    // Documento renderizado; só vem na consulta de um termo específico
+    content?: string;
+}
+
+export interface CheckOutData {
+    usuarioAtual: string;
+    emailColaborador?: string;
+    dataEntregaUsuario?: string;
+    setor?: string;
+    local?: string;
+}
+
+export interface CheckInData {
+    dataDevolucao?: string;
+    status?: string;
+    local?: string;
+}
+
+export interface CustodyResult {
+    equipment: Equipment;
+    termo: EquipmentTermo;
+}
+
+// Cobertura da garantia calculada a partir do campo `garantia` (data final ou duração contada da compra)
+export type MaintenanceWarrantyStatus = 'covered' | 'expired' | 'unknown';
+
+// Reparo de um equipamento. Enquanto está aberto, o equipamento fica com o status "MANUTENÇÃO".
+export interface MaintenanceRecord {
+    id: number;
+    equipment_id: number;
+    status: 'open' | 'closed';
+    opened_at: string;
+    closed_at: string | null;
+    vendor: string | null;
+    ticket_number: string | null;
+    problem: string;
+    resolution: string | null;
+    parts: string[];
+    cost: number | null;
+    // Situação da garantia na data de abertura
+    warranty_status: MaintenanceWarrantyStatus;
+    warranty_end: string | null;
+    // Status do equipamento antes do reparo e o status em que ele voltou
+    previous_status: string | null;
+    return_status: string | null;
+    opened_by: string;
+    closed_by: string | null;
+    created_at: string;
+    updated_at: string;
+    // Dias entre a abertura e o encerramento (ou hoje, se ainda aberto)
+    days_in_repair: number;
+    // Dados do equipamento; não vêm na lista de um equipamento específico
+    equipamento?: string;
+    serial?: string;
+    patrimonio?: string | null;
+    brand?: string | null;
+    model?: string | null;
+    tipo?: string | null;
+    usuarioAtual?: string | null;
+    local?: string | null;
+    equipment_status?: string | null;
+}
+
+export interface EquipmentMaintenance {
+    // Garantia do equipamento hoje
+    warranty: { status: MaintenanceWarrantyStatus; end: string | null };
+    records: MaintenanceRecord[];
+}
+
+export interface MaintenanceInput {
+    opened_at?: string;
+    vendor?: string;
+    ticket_number?: string;
+    problem?: string;
+    resolution?: string;
+    cost?: string;
+    parts?: string[];
+}
+
+export interface MaintenanceCloseInput extends Omit<MaintenanceInput, 'opened_at' | 'problem'> {
+    closed_at?: string;
+    // Vazio: volta ao status anterior ao reparo
+    return_status?: string;
+}
+
+export interface MaintenanceResult {
+    equipment: Equipment;
+    record: MaintenanceRecord;
+    // Usuários não administradores: a mudança de status do equipamento fica pendente de aprovação
+    changeRequest: ChangeRequest | null;
+}
+
+export type MaintenanceGroupBy = 'model' | 'brand';
+
+export interface MaintenanceSummaryQuery {
+    groupBy: MaintenanceGroupBy;
+    from?: string;
+    to?: string;
+}
+
+// Reparos abertos no período para um modelo (ou marca)
+export interface MaintenanceSummaryItem {
+    key: string;
+    brand: string | null;
+    model: string | null;
+    repairs: number;
+    openRepairs: number;
+    warrantyRepairs: number;
+    totalCost: number;
+    averageCost: number;
+    // Média de dias em reparo dos já encerrados
+    averageDays: number | null;
+    assetsRepaired: number;
+    // Unidades do modelo no inventário (sem os descartados) e a porcentagem delas que foi para reparo
+    units: number;
+    repairRate: number | null;
+}
+
+export interface MaintenanceSummary {
+    groupBy: MaintenanceGroupBy;
+    from: string;
+    to: string;
+    totals: { repairs: number; openRepairs: number; warrantyRepairs: number; totalCost: number };
+    items: MaintenanceSummaryItem[];
+}
+
+// Equipamento com termo ainda não assinado e o último termo arquivado (null se o "Pendente" foi marcado à mão)
+export interface PendingTermo {
+    id: number;
+    equipamento: string;
+    patrimonio?: string;
+    serial: string;
+    usuarioAtual?: string;
+    usuarioAnterior?: string;
+    setor?: string;
+    termo: EquipmentTermo | null;
+}
+
+// Resultado do envio em lote: equipamentos sem termo ou sem e-mail vêm em `failed`
+export interface TermoBatchSendResult {
+    sent: { equipmentId: number; termoId: number; to: string }[];
+    failed: { equipmentId: number; message: string }[];
+}
+
+export interface AssetQrCode {
+    url: string;
+    // PNG em data URL, o mesmo gravado em Equipment.qrCode
+    qrCode: string;
+}
+
+// Sessão de auditoria física: equipamentos encontrados (etiqueta lida) x esperados no escopo
+export interface PhysicalAudit {
+    id: number;
+    name: string;
+    // Limita os equipamentos esperados a um local; null = todo o inventário
+    local: string | null;
+    started_by: string;
+    started_at: string;
+    finished_at: string | null;
+    finished_by: string | null;
+    scannedCount?: number;
+}
+
+export interface PhysicalAuditScanResult {
+    audit: PhysicalAudit;
+    equipment: Pick<Equipment, 'id' | 'equipamento' | 'patrimonio' | 'serial' | 'local'>;
+    inScope: boolean;
+    alreadyScanned: boolean;
+    scannedCount: number;
+    expectedCount: number;
+}
+
+export interface PhysicalAuditReport {
+    audit: PhysicalAudit;
+    expectedCount: number;
+    scanned: {
+        equipment_id: number;
+        equipamento: string;
+        patrimonio?: string;
+        serial: string;
+        local?: string;
+        usuarioAtual?: string;
+        status?: string;
+        scanned_by: string;
+        scanned_at: string;
+        inScope: boolean;
+    }[];
+    missing: Pick<Equipment, 'id' | 'equipamento' | 'patrimonio' | 'serial' | 'local' | 'setor' | 'usuarioAtual' | 'status'>[];
+}
+
+export interface Collaborator {
+    id: number;
+    name: string;
+    email: string | null;
+    department: string | null;
+    manager: string | null;
+    cost_center: string | null;
+    active: boolean;
+    created_at: string;
+    updated_at: string;
+}
+
+export interface CollaboratorListItem extends Collaborator {
+    equipmentCount: number;
+    licenseCount: number;
+    openOffboardingId: number | null;
+}
+
+export type CollaboratorInput = Pick<Collaborator, 'name' | 'email' | 'department' | 'manager' | 'cost_center' | 'active'>;
+
+// Como o texto do responsável no inventário foi ligado ao colaborador
+export type CollaboratorMatchReason = 'record' | 'alias' | 'email' | 'name' | 'department';
+// Por que um nome escrito de outra forma pode ser o mesmo colaborador
+export type CollaboratorCandidateReason = 'homonym' | 'reordered' | 'partial' | 'initials' | 'email_name';
+
+export type CollaboratorItemType = 'equipment' | 'license';
+
+export interface CollaboratorItem {
+    itemType: CollaboratorItemType;
+    itemId: number;
+    name: string;
+    detail: string;
+    holder: string;
+    setor?: string | null;
+}
+
+export interface CollaboratorAlias {
+    alias_key: string;
+    alias: string;
+    created_by: string;
+    created_at: string;
+}
+
+export interface CollaboratorMatchingReport {
+    counts: { linked: number; ignored: number; ambiguous: number; unmatched: number };
+    ambiguous: {
+        holderKey: string;
+        spellings: string[];
+        items: CollaboratorItem[];
+        candidates: (Collaborator & { reason: CollaboratorCandidateReason })[];
+    }[];
+    unmatched: {
+        holderKey: string;
+        spellings: string[];
+        itemCount: number;
+        suggestion: Pick<Collaborator, 'name' | 'email' | 'department' | 'manager' | 'cost_center'>;
+    }[];
+    ignored: CollaboratorAlias[];
+}
+
+// Sem item, a decisão vale para todos os registros com essa grafia; collaboratorId null = não é colaborador
+export interface CollaboratorMatchDecision {
+    holder: string;
+    collaboratorId: number | null;
+    itemType?: CollaboratorItemType;
+    itemId?: number;
+}
+
+export type OffboardingStatus = 'open' | 'completed' | 'cancelled';
+export type OffboardingItemStatus = 'pending' | 'returned' | 'waived';
+
+export interface Offboarding {
+    id: number;
+    collaborator_id: number;
+    collaborator_name: string;
+    collaborator_email: string | null;
+    status: OffboardingStatus;
+    notes: string | null;
+    started_by: string;
+    started_at: string;
+    closed_by: string | null;
+    closed_at: string | null;
+    item_count: number;
+    pending_count: number;
+}
+
+export interface OffboardingItem {
+    id: number;
+    offboarding_id: number;
+    item_type: CollaboratorItemType;
+    item_id: number;
+    item_name: string;
+    // Cópia do registro no início do desligamento
+    item_details: Partial<Equipment> & Partial<License>;
+    status: OffboardingItemStatus;
+    resolved_by: string | null;
+    resolved_at: string | null;
+    notes: string | null;
+}
+
+export interface OffboardingDetail {
+    offboarding: Offboarding;
+    items: OffboardingItem[];
+}
+
+export interface OffboardingItemResolution {
+    resolution: 'returned' | 'waived';
+    notes?: string;
+    checkIn?: CheckInData;
+}
+
+export interface CollaboratorProfile {
+    collaborator: Collaborator;
+    equipment: (Equipment & { matchReason: CollaboratorMatchReason })[];
+    licenses: (License & { matchReason: CollaboratorMatchReason })[];
+    possibleMatches: (CollaboratorItem & { reason: CollaboratorCandidateReason })[];
+    aliases: CollaboratorAlias[];
+    offboardings: Offboarding[];
+}
+
+export interface EquipmentFieldChange {
+    field: keyof Equipment;
+    from: string | null;
+    to: string | null;
+}
+
+export interface EquipmentStateAt {
+    state: Partial<Record<keyof Equipment, string | null>>;
+    changes: EquipmentFieldChange[];
+    unresolved: number;
+    existed: boolean;
+}
+
+export interface PeriodicUpdateFieldChange {
+    field: keyof Equipment;
+    from: string | null;
+    to: string;
+    protected: boolean;
+}
+
+export interface PeriodicUpdatePreview {
+    protectedFields: (keyof Equipment)[];
+    newAssets: { serial: string; record: Partial<Equipment> }[];
+    changed: { serial: string; equipmentId: number; equipamento: string; fields: PeriodicUpdateFieldChange[] }[];
+    missing: { id: number; serial: string; equipamento: string; usuarioAtual?: string; status?: string }[];
+    unchanged: number;
+    totalRows: number;
+}
+
+// Seriais novos a criar e, por serial, os campos aceitos na revisão
+export interface PeriodicUpdateSelection {
+    create: string[];
+    update: Record<string, (keyof Equipment)[]>;
+}
+
+export interface PeriodicUpdateRunSummary {
+    totalRows: number;
+    created: number;
+    newRejected: number;
+    updated: number;
+    fieldsUpdated: number;
+    rejectedFields: number;
+    protectedSkipped: number;
+    unchanged: number;
+    missing: number;
+    missingSerials: string[];
+}
+
+export interface ImportRun<TSummary = PeriodicUpdateRunSummary> {
+    id: number;
+    run_type: string;
+    run_at: string;
+    username: string;
+    file_name: string | null;
+    summary: TSummary;
+}
+
+export type ImportTarget = 'equipment' | 'license';
+
+// Perfil de importação: chaves são cabeçalhos normalizados (ver normalizeHeader em services/importEngine.ts)
+export interface ImportProfile {
+    id: number;
+    name: string;
+    target: ImportTarget;
+    mapping: Record<string, string>;
+    updated_by?: string;
+    updated_at?: string;
+}
+
+export interface ImportRowError {
+    row: number;
+    errors: Record<string, string>;
+}
+
+export interface LicenseAlertItem {
+    id: number;
+    produto: string;
+    chaveSerial: string;
+    usuario: string;
+    gestor?: string | null;
+    dataExpiracao: string;
+    daysLeft: number;
+    // Menor prazo de aviso (em dias) que contém a licença; 0 para licenças vencidas
+    window: number;
+}
+
+export interface LicenseComplianceReport {
+    generatedAt: string;
+    windows: number[];
+    expiring: LicenseAlertItem[];
+    expired: LicenseAlertItem[];
+    overAllocated: { produto: string; total: number; assigned: number; excess: number }[];
+}
+
+// Conciliação das licenças com o inventário de equipamentos (ver inventario-api/licenseReconciliation.js)
+export type ReconciliationRuleField = 'nomeSO' | 'equipamento' | 'model' | 'brand' | 'tipo';
+
+// Equipamentos cujo campo contém o texto precisam de uma licença do produto, no próprio equipamento
+// ('device') ou com o usuário atual dele ('user')
+export interface ReconciliationRule {
+    id?: string;
+    field: ReconciliationRuleField;
+    contains: string;
+    produto: string;
+    coverage: 'device' | 'user';
+}
+
+export type ReconciliationFindingType = 'missing_device' | 'retired_device' | 'holder_mismatch' | 'unlicensed_device';
+export type ReconciliationAction = 'release' | 'reassign' | 'move' | 'dismiss';
+
+export interface ReconciliationCollaboratorRef {
+    id: number;
+    name: string;
+    active: boolean;
+}
+
+export interface ReconciliationLicenseRef {
+    id: number;
+    produto: string;
+    chaveSerial: string;
+    usuario: string;
+    setor?: string | null;
+    nomeComputador?: string | null;
+    collaborator: ReconciliationCollaboratorRef | null;
+}
+
+export interface ReconciliationDeviceRef {
+    id: number;
+    equipamento: string;
+    patrimonio?: string | null;
+    serial?: string | null;
+    usuarioAtual?: string | null;
+    status?: string | null;
+    nomeSO?: string | null;
+    collaborator: ReconciliationCollaboratorRef | null;
+    // Campo do equipamento que correspondeu ao nome do computador da licença
+    matchedBy?: 'equipamento' | 'serial' | 'patrimonio';
+}
+
+export interface ReconciliationFinding {
+    key: string;
+    type: ReconciliationFindingType;
+    actions: ReconciliationAction[];
+    license?: ReconciliationLicenseRef;
+    device?: ReconciliationDeviceRef | null;
+    rule?: ReconciliationRule;
+    // Só em unlicensed_device: licenças do produto que podem ser movidas para o equipamento
+    candidates?: ReconciliationLicenseRef[];
+    // Só nas pendências ignoradas
+    dismissedBy?: string;
+    dismissedAt?: string;
+    reason?: string | null;
+}
+
+export interface LicenseReconciliationReport {
+    generatedAt: string;
+    rules: ReconciliationRule[];
+    summary: {
+        licenses: number;
+        onDevice: number;
+        withoutDevice: number;
+        ok: number;
+        missingDevice: number;
+        retiredDevice: number;
+        holderMismatch: number;
+        unlicensedDevices: number;
+        dismissed: number;
+    };
+    findings: ReconciliationFinding[];
+    dismissed: ReconciliationFinding[];
+    // Todas as licenças que indicam um computador, com o equipamento encontrado
+    matches: { license: ReconciliationLicenseRef; device: ReconciliationDeviceRef | null; status: ReconciliationFindingType | 'ok' }[];
+}
+
+export interface ReconciliationActionInput {
+    findingKey: string;
+    action: ReconciliationAction;
+    equipmentId?: number;
+    licenseId?: number;
+    reason?: string;
+}
+
+export interface LicenseAlertSettings {
+    enabled: boolean;
+    windows: number[];
+    lastRun?: string | null;
+}
+
+export interface LicenseAlertRunResult {
+    sentTo: string[];
+    failed: { to: string; error: string }[];
+    licenses: number;
+    overAllocated: number;
+    // Entregas de webhook license.expiring enfileiradas
+    webhookDeliveries: number;
+}
+
+// Análises do ciclo de vida do parque (ver inventario-api/analytics.js)
+export type AnalyticsSpendGroup = 'setor' | 'centroCusto';
+export type AnalyticsWidget = 'warranty' | 'age' | 'refresh' | 'spend' | 'trend' | 'licenses';
+export type AnalyticsTrendKind = 'added' | 'retired' | 'reassigned';
+
+export interface AnalyticsFilters {
+    local?: string;
+    setor?: string;
+    empresa?: string;
+}
+
+export interface AnalyticsQuery extends AnalyticsFilters {
+    warrantyMonths?: number;
+    refreshYears?: number;
+    trendMonths?: number;
+    spendBy?: AnalyticsSpendGroup;
+}
+
+export interface AnalyticsSummary {
+    generatedAt: string;
+    filterOptions: Record<keyof AnalyticsFilters, string[]>;
+    equipmentCount: number;
+    warranty: {
+        // Mês (AAAA-MM) em que a garantia termina, dentro da janela pedida
+        months: { month: string; count: number }[];
+        expired: number;
+        // Garantia vazia ou em formato não reconhecido
+        unknown: number;
+    };
+    age: {
+        buckets: { key: string; label: string; count: number }[];
+        unknown: number;
+        // Idade calculada pela data de cadastro, por falta da data de compra
+        estimated: number;
+        refreshYears: number;
+        refreshCandidates: number;
+    };
+    spend: {
+        groupBy: AnalyticsSpendGroup;
+        // Chave vazia agrupa os equipamentos sem setor/centro de custo
+        groups: { key: string; total: number; count: number }[];
+        total: number;
+        withoutValue: number;
+    };
+    trends: ({ month: string } & Record<AnalyticsTrendKind, number>)[];
+    // total é null para produtos sem quantidade contratada cadastrada
+    licenses: { produto: string; used: number; total: number | null; utilization: number | null }[];
+}
+
+export type AnalyticsDrilldown =
+    | { entity: 'equipment'; items: (Equipment & { warrantyEnd: string | null; ageYears: number | null })[]; truncated: boolean }
+    | { entity: 'licenses'; items: License[]; truncated: boolean };
+
+// Página de uma listagem paginada no servidor (equipamentos, licenças, auditoria)
+export interface PagedResult<T> {
+    items: T[];
+    total: number;
+    page: number;
+    pageSize: number;
+}
+
+export type SortOrder = 'asc' | 'desc';
+
+// Parâmetros das listagens paginadas; as demais chaves são filtros exatos por coluna (ex.: status, setor)
+export interface ListQuery {
+    page?: number;
+    pageSize?: number;
+    q?: string;
+    sort?: string;
+    order?: SortOrder;
+    [filter: string]: string | number | undefined;
+}
+
+export interface BackupInfo {
+    id: string;
+    createdAt: string;
+    createdBy?: string;
+    reason?: 'manual' | 'scheduled' | 'pre-restore' | 'pre-clear';
+    size: number;
+    sha256?: string;
+    rowCounts?: Record<string, number>;
+    // Preenchido quando o arquivo não pôde ser lido
+    error?: string;
+}
+
+export interface BackupVerification {
+    id: string;
+    valid: boolean;
+    errors: string[];
+    rowCounts: Record<string, number> | null;
+}
+
+export interface BackupRestoreResult {
+    id: string;
+    safetyBackupId: string;
+    restored: Record<string, number>;
+    skippedTables: string[];
+    untouchedTables: string[];
+}
+
+export interface BackupSchedule {
+    enabled: boolean;
+    intervalHours: number;
+    keep: number;
+}
+
 export interface AuditLogEntry {
     id: number;
     username: string;
-    action_type: 'CREATE' | 'UPDATE' | 'DELETE' | 'LOGIN' | 'LOGOUT' | '2FA_ENABLE' | '2FA_DISABLE' | 'SETTINGS_UPDATE';
-    target_type: 'EQUIPMENT' | 'LICENSE' | 'USER' | 'SETTINGS' | 'PRODUCT' | 'TOTALS' | 'DATABASE';
+    action_type: 'CREATE' | 'UPDATE' | 'DELETE' | 'LOGIN' | 'LOGOUT' | '2FA_ENABLE' | '2FA_DISABLE' | 'SETTINGS_UPDATE' | 'NOTIFY' | 'BACKUP' | 'RESTORE' | 'CHECKOUT' | 'CHECKIN' | 'MAINTENANCE_OPEN' | 'MAINTENANCE_CLOSE'
+        | 'LOGIN_FAILED' | 'LOGIN_THROTTLED' | 'ACCOUNT_LOCKED' | 'PASSWORD_CHANGE' | 'PASSWORD_CHANGE_REQUIRED' | 'PASSWORD_RESET_REQUEST' | 'PASSWORD_RESET'
+        | 'API_CALL' | 'VERIFY' | 'EXPORT' | 'ARCHIVE';
+    target_type: 'EQUIPMENT' | 'LICENSE' | 'USER' | 'SETTINGS' | 'PRODUCT' | 'TOTALS' | 'DATABASE' | 'PHYSICAL_AUDIT' | 'COLLABORATOR' | 'API_KEY' | 'WEBHOOK' | 'AUDIT_LOG';
     target_id: number | string | null;
     details: string;
     timestamp: string;
+    // Posição na cadeia de hashes; nulo só nos segundos entre a gravação e o encadeamento
+    chain_seq?: number | null;
+}
+
+// Cadeia de hashes da auditoria, retenção e erros do navegador (ver inventario-api/audit.js e auditTrail.js)
+export interface AuditChainBreak {
+    type: 'missing' | 'link' | 'hash' | 'head';
+    message: string;
+    seq?: number;
+    id?: number;
+    fromSeq?: number;
+    toSeq?: number;
+}
+
+export interface AuditChainVerification {
+    valid: boolean;
+    checked: number;
+    firstSeq: number | null;
+    lastSeq: number | null;
+    // Último registro arquivado, de onde a cadeia em uso continua
+    anchor: { seq: number; hash: string; archiveId: number | null; archiveFile: string | null };
+    breakCount: number;
+    breaks: AuditChainBreak[];
+    unsealed: number;
+    verifiedAt: string;
+}
+
+export interface AuditRetentionSettings {
+    archiveEnabled: boolean;
+    retentionDays: number;
+    clientErrorRetentionDays: number;
+}
+
+export interface AuditArchive {
+    id: number;
+    file_name: string;
+    first_seq: number;
+    last_seq: number;
+    last_hash: string;
+    entry_count: number;
+    from_timestamp: string | null;
+    to_timestamp: string | null;
+    sha256: string;
+    size: number;
+    created_by: string | null;
+    created_at: string;
+    file_exists: boolean;
+}
+
+export type AuditExportFormat = 'csv' | 'json';
+
+export interface ClientErrorEntry {
+    id: number;
+    username: string | null;
+    type: 'APP_ERROR' | 'API_ERROR';
+    message: string;
+    stack: string | null;
+    url: string | null;
+    user_agent: string | null;
+    occurred_at: string | null;
+    created_at: string;
+}
+
+// Endereços deste provedor de serviço (SP), a cadastrar no provedor de identidade
+export interface SsoServiceProvider {
+    entityId: string;
+    acsUrl: string;
+    metadataUrl: string;
+}
+
+// API pública (/api/v1) e webhooks (ver inventario-api/apiKeys.js e webhooks.js)
+export type ApiKeyScope = 'equipment:read' | 'equipment:write' | 'licenses:read' | 'licenses:write' | 'history:read';
+
+export interface ApiKey {
+    id: number;
+    name: string;
+    // Início da chave, só para identificá-la; a chave completa aparece apenas na criação
+    key_prefix: string;
+    scopes: ApiKeyScope[];
+    created_by: string | null;
+    created_at: string;
+    last_used_at: string | null;
+    revoked_by: string | null;
+    revoked_at: string | null;
+}
+
+export interface ApiKeyInput {
+    name: string;
+    scopes: ApiKeyScope[];
+}
+
+export interface CreatedApiKey {
+    apiKey: ApiKey;
+    key: string;
+}
+
+export type WebhookEvent = 'equipment.created' | 'equipment.updated' | 'equipment.deleted' | 'license.expiring' | 'approval.decided';
+
+export interface Webhook {
+    id: number;
+    name: string;
+    url: string;
+    events: WebhookEvent[];
+    active: boolean;
+    secret_hint: string;
+    // Só vem na criação e ao gerar um novo segredo
+    secret?: string;
+    created_by: string | null;
+    created_at: string;
+    updated_at: string;
+    pending_deliveries?: number;
+    failed_deliveries?: number;
+    last_delivered_at?: string | null;
+}
+
+export interface WebhookInput {
+    name: string;
+    url: string;
+    events: WebhookEvent[];
+    active?: boolean;
+}
+
+export type WebhookDeliveryStatus = 'pending' | 'delivered' | 'failed';
+
+export interface WebhookDelivery {
+    id: number;
+    webhook_id: number;
+    webhook_name: string;
+    webhook_url: string;
+    event: WebhookEvent | 'ping';
+    // Corpo JSON enviado, igual em todas as tentativas
+    payload: string;
+    status: WebhookDeliveryStatus;
+    attempts: number;
+    next_attempt_at: string | null;
+    last_attempt_at: string | null;
+    response_status: number | null;
+    response_body: string | null;
+    error: string | null;
+    created_at: string;
 }
 
 export interface AppSettings {
     companyName: string;
+    // Endereço do sistema gravado nos QR codes das etiquetas (ex.: http://inventario.empresa.local)
+    assetBaseUrl?: string;
+    // Data URL (PNG ou JPEG) impresso no cabeçalho dos termos em PDF
+    companyLogo?: string;
     isSsoEnabled: boolean;
     is2faEnabled: boolean;
     require2fa: boolean;
     ssoUrl?: string;
     ssoEntityId?: string;
     ssoCertificate?: string;
+    // Atributo da declaração SAML usado para definir o papel (ex.: "groups") e o mapeamento "valor = Papel", um por linha
+    ssoRoleAttribute?: string;
+    ssoRoleMapping?: string;
+    // Papel dos usuários criados no primeiro login via SSO quando nenhum valor do atributo é mapeado
+    ssoDefaultRole?: UserRole;
     smtpHost?: string;
     smtpPort?: number;
     smtpUser?: string;
@@ -115,4 +957,46 @@ export interface AppSettings {
     termo_devolucao_template?: string;
     hasInitialConsolidationRun?: boolean;
     lastAbsoluteUpdateTimestamp?: string;
-}
\ No newline at end of file
+}
+
+// Consulta estruturada gerada pelo assistente de IA a partir de uma pergunta (ver inventario-api/aiQuery.js)
+export type AiQueryEntity = 'equipment' | 'licenses';
+export type AiQueryOperator = 'eq' | 'neq' | 'contains' | 'starts_with' | 'in' | 'gt' | 'gte' | 'lt' | 'lte' | 'between' | 'is_empty' | 'not_empty';
+export type AiQueryFieldType = 'text' | 'date' | 'integer';
+
+export interface AiQueryFilter {
+    field: string;
+    op: AiQueryOperator;
+    value?: string | number | (string | number)[];
+}
+
+export interface AiQuerySpec {
+    entity: AiQueryEntity;
+    filters: AiQueryFilter[];
+    result: 'rows' | 'count' | 'group';
+    groupBy?: string;
+    sort?: { field: string; order: 'asc' | 'desc' };
+    limit: number;
+}
+
+export interface AiQueryResult {
+    spec: AiQuerySpec;
+    explanation?: string;
+    // Total de registros que atendem aos filtros; `rows` traz no máximo `spec.limit` deles
+    total: number;
+    rows?: Record<string, any>[];
+    groups?: { key: string | null; count: number }[];
+}
+
+export interface AiQuerySchema {
+    entities: Record<AiQueryEntity, { fields: { name: string; type: AiQueryFieldType }[] }>;
+    operators: Record<AiQueryFieldType, AiQueryOperator[]>;
+    resultTypes: AiQuerySpec['result'][];
+    maxLimit: number;
+}
+
+// Pergunta anterior da conversa, enviada de volta para dar contexto às perguntas de continuação
+export interface AiConversationTurn {
+    question: string;
+    spec: AiQuerySpec;
+}